@@ -0,0 +1,27 @@
+// ================================
+// scripts/copy-pdfjs.js
+// Copies the PDF.js build used by the PDF viewer into src/lib/pdfjs
+// ================================
+
+const fs = require('fs');
+const path = require('path');
+
+const FILES = ['pdf.min.mjs', 'pdf.worker.min.mjs'];
+
+const root = path.resolve(__dirname, '..');
+const target = path.join(root, 'src', 'lib', 'pdfjs');
+
+let source;
+try {
+    source = path.join(path.dirname(require.resolve('pdfjs-dist/package.json', { paths: [root] })), 'build');
+} catch (error) {
+    console.error('pdfjs-dist is not installed. Run npm install first.');
+    process.exit(1);
+}
+
+fs.mkdirSync(target, { recursive: true });
+
+for (const file of FILES) {
+    fs.copyFileSync(path.join(source, file), path.join(target, file));
+    console.log(`Copied ${file} to ${path.relative(root, target)}`);
+}
@@ -13,17 +13,22 @@
     // 1. utils/background-types.js
     // 2. services/state-manager.js
     // 3. services/storage-manager.js
-    // 4. services/text-extraction-service.js
-    // 5. services/rag-background-service-enhanced.js
-    // 6. handlers/rag-handler.js
-    // 7. handlers/property-handler.js
-    // 8. handlers/highlight-handler.js
-    // 9. handlers/marker-handler.js
-    // 10. handlers/context-menu-handler.js
-    // 11. services/message-router.js
-    // 12. services/service-manager.js
-    // 13. External services (orkg-background-service.js, openai-background-service.js, etc.)
-    // 14. background.js (this file)
+    // 4. services/session-store.js
+    // 5. services/text-extraction-service.js
+    // 6. services/rag-background-service-enhanced.js
+    // 7. handlers/session-handler.js
+    // 8. handlers/review-handler.js
+    // 9. handlers/rag-handler.js
+    // 10. handlers/property-handler.js
+    // 11. handlers/highlight-handler.js
+    // 12. handlers/marker-handler.js
+    // 13. handlers/context-menu-handler.js
+    // 14. services/message-router.js
+    // 15. services/service-manager.js
+    // 16. External services (orkg-background-service.js, orkg-write-service.js, openai-background-service.js, etc.)
+    // 17. services/batch-queue-service.js
+    // 18. handlers/orkg-write-handler.js
+    // 19. background.js (this file)
     
     // ================================
     // Installation and Setup
@@ -100,6 +100,21 @@ var HighlightHandler = (function() {
         });
     }
     
+    // The PDF viewer loads the content script itself and cannot be scripted
+    function ensureContentScript(tabId, callback) {
+        chrome.tabs.get(tabId, function(tab) {
+            if (!chrome.runtime.lastError && BackgroundTypes.isPDFViewerTab(tab)) {
+                callback();
+                return;
+            }
+            
+            chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['src/content/content-script.js']
+            }, callback);
+        });
+    }
+    
     function notifyPopup(eventType, data) {
         chrome.runtime.sendMessage({
             action: eventType,
@@ -316,10 +331,7 @@ var HighlightHandler = (function() {
         showPropertyModal: function(tabId, selectedText, selectionContext) {
             return new Promise(function(resolve) {
                 // Ensure content script is injected
-                chrome.scripting.executeScript({
-                    target: { tabId: tabId },
-                    files: ['src/content/content-script.js']
-                }, function() {
+                ensureContentScript(tabId, function() {
                     if (chrome.runtime.lastError) {
                         resolve({
                             success: false,
@@ -0,0 +1,982 @@
+// ================================
+// src/background/handlers/orkg-write-handler.js
+// Persists sent markers to ORKG as a paper contribution
+// ================================
+
+var ORKGWriteHandler = (function() {
+    'use strict';
+
+    // Private variables
+    var activeWrites = new Map(); // tabId -> Promise
+
+    // Load the workflow context pushed by the popup (metadata, field, problem, template)
+    function loadWorkflowContext(tabId) {
+        var tabState = StateManager.getTabState(tabId);
+        if (tabState && tabState.analysisData) {
+            return Promise.resolve(tabState.analysisData);
+        }
+
+        return StorageManager.loadWorkflowState(tabId);
+    }
+
+    // Load IDs of a paper/contribution created earlier for this tab
+    function loadWriteState(tabId) {
+        var tabState = StateManager.getTabState(tabId);
+        if (tabState && tabState.orkgWrite) {
+            return Promise.resolve(tabState.orkgWrite);
+        }
+
+        var key = BackgroundTypes.STORAGE_KEYS.ORKG_WRITE_PREFIX + tabId;
+        return StorageManager.get(key).then(function(result) {
+            return result[key] || null;
+        });
+    }
+
+    function saveWriteState(tabId, writeState) {
+        StateManager.updateTabState(tabId, { orkgWrite: writeState });
+
+        // The paper's session keeps the ORKG paper for citation exports
+        SessionHandler.recordORKGPaper(tabId, writeState);
+
+        var data = {};
+        data[BackgroundTypes.STORAGE_KEYS.ORKG_WRITE_PREFIX + tabId] = writeState;
+        return StorageManager.set(data);
+    }
+
+    function notifyPopup(action, data) {
+        chrome.runtime.sendMessage({
+            action: action,
+            data: data
+        }).catch(function() {
+            // Popup not open, ignore
+        });
+    }
+
+    // Labels whose normalized similarity reaches this are flagged as near-duplicates
+    var DUPLICATE_THRESHOLD = 0.75;
+    var MAX_DUPLICATE_CANDIDATES = 5;
+
+    function normalizeLabel(label) {
+        return String(label || '')
+            .toLowerCase()
+            .replace(/[_\-]+/g, ' ')
+            .replace(/[^a-z0-9 ]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Normalized Levenshtein similarity (1 = identical)
+    function labelSimilarity(a, b) {
+        a = normalizeLabel(a);
+        b = normalizeLabel(b);
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        var previous = [];
+        var current = [];
+        var i, j;
+
+        for (j = 0; j <= b.length; j++) previous[j] = j;
+
+        for (i = 1; i <= a.length; i++) {
+            current = [i];
+            for (j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    // Look up existing ORKG predicates that look like a predicate the write would create
+    function findNearDuplicates(label) {
+        if (typeof PropertyHandler === 'undefined') {
+            return Promise.resolve([]);
+        }
+
+        return PropertyHandler.searchORKGProperties(label).then(function(result) {
+            return (result.properties || [])
+                .filter(function(property) {
+                    return /^P\d+$/.test(property.id || '');
+                })
+                .map(function(property) {
+                    return {
+                        id: property.id,
+                        label: property.label,
+                        description: property.description || '',
+                        similarity: labelSimilarity(label, property.label)
+                    };
+                })
+                .filter(function(candidate) {
+                    return candidate.similarity >= DUPLICATE_THRESHOLD;
+                })
+                .sort(function(a, b) {
+                    return b.similarity - a.similarity;
+                })
+                .slice(0, MAX_DUPLICATE_CANDIDATES);
+        }).catch(function(error) {
+            console.warn('Near-duplicate lookup failed for', label, error);
+            return [];
+        });
+    }
+
+    function loadWriteInputs(tabId) {
+        return Promise.all([
+            loadWorkflowContext(tabId),
+            loadWriteState(tabId)
+        ]).then(function(loaded) {
+            var context = loaded[0];
+            if (!context || !context.metadata) {
+                throw new Error('No paper metadata available. Complete the workflow in the annotator popup first.');
+            }
+            return { context: context, previous: loaded[1] || {} };
+        });
+    }
+
+    function getTabUrl(tabId) {
+        return new Promise(function(resolve) {
+            chrome.tabs.get(tabId, function(tab) {
+                resolve(chrome.runtime.lastError || !tab ? null : tab.url);
+            });
+        });
+    }
+
+    function analysisKey(propertyId, text) {
+        return (propertyId || 'unknown') + '|' + String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Values the RAG analysis extracted for the tab's paper, as write items.
+     * Rejected values are left out and edited ones carry the reviewed value.
+     */
+    function loadAnalysisValues(tabId, context) {
+        if (typeof SessionStore === 'undefined') {
+            return Promise.resolve([]);
+        }
+
+        return getTabUrl(tabId).then(function(url) {
+            return Promise.all([
+                SessionStore.findSession({ doi: context.metadata && context.metadata.doi, url: url }),
+                typeof ReviewHandler !== 'undefined' && url ? ReviewHandler.getDecisions(url) : {}
+            ]);
+        }).then(function(loaded) {
+            var highlights = (loaded[0] && loaded[0].highlights) || [];
+            var decisions = loaded[1] || {};
+
+            return highlights.filter(function(highlight) {
+                return highlight.source === 'rag' &&
+                    !(decisions[highlight.id] && decisions[highlight.id].decision === 'rejected');
+            }).map(function(highlight) {
+                var decision = decisions[highlight.id];
+                var value = decision && decision.decision === 'edited' && decision.value !== null ?
+                    decision.value : highlight.value;
+
+                return {
+                    id: highlight.id,
+                    type: 'text',
+                    property: { id: highlight.propertyId, label: highlight.propertyLabel },
+                    contribution: null,
+                    text: String(value !== null && value !== undefined && value !== '' ? value : highlight.text),
+                    sentence: highlight.text,
+                    confidence: highlight.confidence,
+                    review: decision ? decision.decision : null,
+                    source: 'analysis'
+                };
+            }).filter(function(item) {
+                return item.text;
+            });
+        }).catch(function(error) {
+            console.warn('Could not load analysis values:', error);
+            return [];
+        });
+    }
+
+    /**
+     * Put the analysis results next to the marker items. A marker on a
+     * sentence the analysis took a value from writes that value; with
+     * `includeAll` the values that have no marker are added as well,
+     * unless an earlier send already wrote them.
+     */
+    function withAnalysisValues(tabId, inputs, items, includeAll) {
+        return loadAnalysisValues(tabId, inputs.context).then(function(values) {
+            var byKey = new Map();
+            values.forEach(function(value) {
+                byKey.set(analysisKey(value.property.id, value.sentence), value);
+            });
+
+            var used = new Set();
+            var merged = items.map(function(item) {
+                var value = item.type === 'text' && item.property ?
+                    byKey.get(analysisKey(item.property.id, item.text)) : null;
+                if (!value) return item;
+
+                used.add(value.id);
+                return Object.assign({}, item, {
+                    text: value.text,
+                    sentence: item.text,
+                    confidence: value.confidence,
+                    review: value.review,
+                    source: 'analysis'
+                });
+            });
+
+            if (!includeAll) {
+                return merged;
+            }
+
+            var written = inputs.previous.items || {};
+            return merged.concat(values.filter(function(value) {
+                return !used.has(value.id) && !written[value.id];
+            }));
+        });
+    }
+
+    // Items an earlier send from this tab wrote are not written again
+    function splitWrittenItems(previous, items) {
+        var written = previous.items || {};
+        var alreadySaved = {};
+
+        var pending = items.filter(function(item) {
+            if (written[item.id]) {
+                alreadySaved[item.id] = written[item.id];
+                return false;
+            }
+            return true;
+        });
+
+        return { pending: pending, alreadySaved: alreadySaved };
+    }
+
+    // Dry-run a write: `plan` receives the service and loaded inputs and returns the plan
+    function previewWrite(tabId, plan) {
+        var service = ServiceManager.getService('ORKGWriteService');
+        if (!service) {
+            return Promise.reject(new Error('ORKG write service not available'));
+        }
+
+        return loadWriteInputs(tabId).then(function(inputs) {
+            return plan(service, inputs);
+        }).then(addNearDuplicates);
+    }
+
+    // Attach existing look-alikes to every predicate a plan would create
+    function addNearDuplicates(plan) {
+        var newPredicates = plan.predicates.filter(function(predicate) {
+            return predicate.status === 'new';
+        });
+
+        return Promise.all(newPredicates.map(function(predicate) {
+            return findNearDuplicates(predicate.label).then(function(candidates) {
+                predicate.nearDuplicates = candidates;
+            });
+        })).then(function() {
+            plan.summary.nearDuplicates = newPredicates.filter(function(predicate) {
+                return predicate.nearDuplicates.length > 0;
+            }).length;
+            return plan;
+        });
+    }
+
+    // Only ORKG resource IDs can be related to a template
+    function getORKGResource(resource) {
+        return resource && /^R\d+$/.test(resource.id || '') ?
+            { id: resource.id, label: resource.label || resource.title || resource.id } : null;
+    }
+
+    // Contexts saved before the popup supported several contributions have a single implicit one
+    var DEFAULT_CONTRIBUTION = 'default';
+
+    function getContributions(context) {
+        return context.contributions && context.contributions.length > 0 ?
+            context.contributions :
+            [{ id: DEFAULT_CONTRIBUTION }];
+    }
+
+    // Problem, template and label of one contribution, layered over the workflow context
+    function getContributionContext(context, contribution, index) {
+        if (!context.contributions || context.contributions.length === 0) {
+            return {};
+        }
+
+        return {
+            problem: contribution.problem || null,
+            template: contribution.template || null,
+            contributionIndex: index,
+            contributionLabel: contribution.customLabel ? contribution.label : null
+        };
+    }
+
+    /**
+     * Split items by the contribution they were assigned to on the page.
+     * Unassigned items, or items of a contribution that no longer exists,
+     * go to the active contribution.
+     */
+    function groupItemsByContribution(context, items, previous) {
+        var contributions = getContributions(context);
+        var activeId = context.activeContributionId || contributions[0].id;
+        var written = previous.contributions || {};
+        var groups = [];
+
+        items.forEach(function(item) {
+            var index = contributions.findIndex(function(contribution) {
+                return contribution.id === item.contribution;
+            });
+            if (index === -1) {
+                index = Math.max(0, contributions.findIndex(function(contribution) {
+                    return contribution.id === activeId;
+                }));
+            }
+
+            var contribution = contributions[index];
+            var group = groups.find(function(candidate) {
+                return candidate.key === contribution.id;
+            });
+
+            if (!group) {
+                // Write states from before multi-contribution support only know one contribution
+                var legacyId = !previous.contributions && index === 0 ? previous.contributionId : null;
+                var writtenContribution = written[contribution.id];
+                group = {
+                    key: contribution.id,
+                    context: getContributionContext(context, contribution, index),
+                    contributionId: writtenContribution ? writtenContribution.contributionId : legacyId,
+                    // Links a failed send did not get to write
+                    pendingSteps: writtenContribution ? writtenContribution.pendingSteps || null : null,
+                    items: []
+                };
+                groups.push(group);
+            }
+
+            group.items.push(item);
+        });
+
+        return groups;
+    }
+
+    function writeItems(tabId, items, predicateMappings, includeAnalysis) {
+        var service = ServiceManager.getService('ORKGWriteService');
+        if (!service) {
+            return Promise.reject(new Error('ORKG write service not available'));
+        }
+
+        return loadWriteInputs(tabId).then(function(inputs) {
+            return withAnalysisValues(tabId, inputs, items, includeAnalysis).then(function(allItems) {
+                items = allItems;
+                return inputs;
+            });
+        }).then(function(inputs) {
+            var previous = inputs.previous;
+            var split = splitWrittenItems(previous, items);
+
+            if (split.pending.length === 0) {
+                return {
+                    success: true,
+                    paperId: previous.paperId || null,
+                    contributionId: previous.contributionId || null,
+                    contributions: previous.contributions || {},
+                    paperUrl: previous.paperUrl || null,
+                    items: {},
+                    alreadySaved: split.alreadySaved,
+                    skipped: [],
+                    errors: []
+                };
+            }
+
+            var groups = groupItemsByContribution(inputs.context, split.pending, previous);
+            var combined = { paperId: previous.paperId, items: {}, skipped: [], errors: [] };
+            var contributions = Object.assign({}, previous.contributions || {});
+
+            // Saved after every contribution, so a retry after a failure reuses
+            // the paper and the contributions already created
+            function saveProgress() {
+                var activeKey = inputs.context.activeContributionId || groups[0].key;
+                var active = contributions[activeKey] || contributions[groups[0].key] || {};
+
+                var writeState = Object.assign({}, previous, {
+                    paperId: combined.paperId,
+                    contributionId: active.contributionId || previous.contributionId || null,
+                    contributions: contributions,
+                    paperUrl: combined.paperId ? service.getPaperUrl(combined.paperId) : null,
+                    items: Object.assign({}, previous.items || {}, combined.items),
+                    updatedAt: Date.now()
+                });
+
+                return saveWriteState(tabId, writeState).then(function() {
+                    return writeState;
+                });
+            }
+
+            var options = {
+                predicateMappings: predicateMappings || {},
+                // A new paper is recorded before its metadata and contributions are written
+                onPaper: function(paper) {
+                    combined.paperId = paper.id;
+                    return saveProgress();
+                }
+            };
+
+            // One contribution at a time, so later ones reuse the paper created by the first
+            var writes = groups.reduce(function(chain, group) {
+                return chain.then(function() {
+                    var context = Object.assign({}, inputs.context, group.context);
+                    var existing = {
+                        paperId: combined.paperId,
+                        contributionId: group.contributionId,
+                        pendingSteps: group.pendingSteps
+                    };
+                    var groupOptions = Object.assign({}, options, {
+                        // A new contribution is recorded before it is linked, so a
+                        // retry reuses it and only writes the links still missing
+                        onContribution: function(contribution, pendingSteps) {
+                            contributions[group.key] = pendingSteps.length > 0 ?
+                                { contributionId: contribution.id, pendingSteps: pendingSteps } :
+                                { contributionId: contribution.id };
+                            return saveProgress();
+                        }
+                    });
+
+                    return service.writeContribution(context, group.items, existing, groupOptions).then(function(result) {
+                        combined.paperId = result.paper.id;
+                        contributions[group.key] = { contributionId: result.contribution.id };
+
+                        Object.keys(result.items).forEach(function(itemId) {
+                            combined.items[itemId] = Object.assign({ contributionId: result.contribution.id }, result.items[itemId]);
+                        });
+                        combined.skipped = combined.skipped.concat(result.skipped);
+                        combined.errors = combined.errors.concat(result.errors);
+
+                        return saveProgress();
+                    });
+                });
+            }, Promise.resolve());
+
+            return writes.then(function(writeState) {
+                return {
+                    success: combined.errors.length === 0,
+                    paperId: writeState.paperId,
+                    contributionId: writeState.contributionId,
+                    contributions: contributions,
+                    paperUrl: writeState.paperUrl,
+                    items: combined.items,
+                    alreadySaved: split.alreadySaved,
+                    skipped: combined.skipped,
+                    errors: combined.errors,
+                    error: combined.errors.length > 0 ?
+                        combined.errors.length + ' item(s) could not be saved' : undefined
+                };
+            });
+        });
+    }
+
+    // Rows carry a key unique within their table; rows saved before keys existed match by label
+    function tableRowKey(contribution) {
+        return contribution.key || String(contribution.label || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Split a table's rows into those an earlier send wrote and those still
+     * to write. Rows a failed send started are pending with `resume`, so
+     * their contribution is reused.
+     */
+    function splitTableRows(previous, table, contributions) {
+        var written = (previous.tableContributions || {})[table.id] || [];
+        var findWritten = function(contribution) {
+            return written.find(function(row) {
+                return row.key ? row.key === tableRowKey(contribution) :
+                    tableRowKey(row) === tableRowKey({ label: contribution.label });
+            });
+        };
+
+        var alreadySaved = [];
+        var pending = [];
+        contributions.forEach(function(contribution) {
+            var row = findWritten(contribution);
+            if (row && !row.pendingSteps) {
+                alreadySaved.push(row);
+            } else if (row) {
+                pending.push(Object.assign({}, contribution, {
+                    resume: { contributionId: row.id, pendingSteps: row.pendingSteps }
+                }));
+            } else {
+                pending.push(contribution);
+            }
+        });
+
+        return { written: written, alreadySaved: alreadySaved, pending: pending };
+    }
+
+    function writeTableContributions(tabId, table, contributions, predicateMappings) {
+        var service = ServiceManager.getService('ORKGWriteService');
+        if (!service) {
+            return Promise.reject(new Error('ORKG write service not available'));
+        }
+
+        return loadWriteInputs(tabId).then(function(inputs) {
+            var previous = inputs.previous;
+            var rows = splitTableRows(previous, table, contributions);
+            var tableRows = rows.written.slice();
+
+            // Marker sends keep using the first contribution; table contributions are listed per table
+            function saveTableRow(row) {
+                var index = tableRows.findIndex(function(candidate) {
+                    return candidate.id === row.id;
+                });
+                if (index === -1) {
+                    tableRows.push(row);
+                } else {
+                    tableRows[index] = row;
+                }
+
+                var tableContributions = Object.assign({}, previous.tableContributions || {});
+                tableContributions[table.id] = tableRows.slice();
+                previous = Object.assign({}, previous, { tableContributions: tableContributions, updatedAt: Date.now() });
+                return saveWriteState(tabId, previous);
+            }
+
+            var options = {
+                predicateMappings: predicateMappings || {},
+                onPaper: function(paper) {
+                    previous = Object.assign({}, previous, {
+                        paperId: paper.id,
+                        paperUrl: service.getPaperUrl(paper.id),
+                        updatedAt: Date.now()
+                    });
+                    return saveWriteState(tabId, previous);
+                },
+                // A row's contribution is recorded before its values are written,
+                // so a retry continues with it instead of creating another one
+                onContribution: function(entry, contribution, pendingSteps) {
+                    var row = {
+                        id: contribution.id,
+                        key: tableRowKey(entry),
+                        label: entry.label,
+                        evaluations: (entry.evaluations || []).length
+                    };
+                    if (pendingSteps.length > 0) {
+                        row.pendingSteps = pendingSteps;
+                    }
+                    return saveTableRow(row);
+                }
+            };
+
+            // Sending a table again only writes the rows that failed or are new
+            if (rows.pending.length === 0) {
+                return {
+                    success: true,
+                    paperId: previous.paperId,
+                    paperUrl: previous.paperUrl,
+                    contributions: [],
+                    alreadySaved: rows.alreadySaved,
+                    errors: []
+                };
+            }
+
+            return service.writeTableContributions(inputs.context, rows.pending, previous, options).then(function(result) {
+                var writeState = Object.assign({}, previous, {
+                    paperId: result.paper.id,
+                    paperUrl: service.getPaperUrl(result.paper.id),
+                    updatedAt: Date.now()
+                });
+
+                return saveWriteState(tabId, writeState).then(function() {
+                    return {
+                        success: result.errors.length === 0,
+                        paperId: writeState.paperId,
+                        paperUrl: writeState.paperUrl,
+                        contributions: result.contributions,
+                        alreadySaved: rows.alreadySaved,
+                        errors: result.errors,
+                        error: result.errors.length > 0 ?
+                            result.errors.length + ' contribution(s) could not be saved' : undefined
+                    };
+                });
+            });
+        });
+    }
+
+    // Queue a write behind any write already running for the tab
+    function enqueueWrite(tabId, write) {
+        var previous = activeWrites.get(tabId) || Promise.resolve();
+        var current = previous.catch(function() {}).then(write);
+
+        activeWrites.set(tabId, current);
+        var release = function() {
+            if (activeWrites.get(tabId) === current) {
+                activeWrites.delete(tabId);
+            }
+        };
+        current.then(release, release);
+
+        return current;
+    }
+
+    function getRequestTabId(request, sender) {
+        return request.tabId || (sender && sender.tab && sender.tab.id);
+    }
+
+    // Public API
+    return {
+        // Write serialized marker items for a tab
+        sendItems: function(request, sender) {
+            var tabId = getRequestTabId(request, sender);
+            if (!tabId) {
+                return Promise.resolve({
+                    success: false,
+                    error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+                });
+            }
+
+            var items = request.items || [];
+            if (items.length === 0) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'No items to send'
+                });
+            }
+
+            // Serialize writes per tab so a second send reuses the same paper
+            return enqueueWrite(tabId, function() {
+                console.log('✍️ Writing', items.length, 'items to ORKG for tab', tabId);
+                return writeItems(tabId, items, request.predicateMappings, !!request.includeAnalysis);
+            }).then(function(response) {
+                notifyPopup('ORKG_WRITE_COMPLETE', {
+                    tabId: tabId,
+                    paperId: response.paperId,
+                    contributionId: response.contributionId,
+                    paperUrl: response.paperUrl,
+                    savedCount: Object.keys(response.items).length
+                });
+                return response;
+            }).catch(function(error) {
+                console.error('❌ ORKG write failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Dry run: describe the statement graph a send would create
+        previewItems: function(request, sender) {
+            var tabId = getRequestTabId(request, sender);
+            if (!tabId) {
+                return Promise.resolve({
+                    success: false,
+                    error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+                });
+            }
+
+            var items = request.items || [];
+            if (items.length === 0) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'No items to send'
+                });
+            }
+
+            return previewWrite(tabId, function(service, inputs) {
+                return withAnalysisValues(tabId, inputs, items, !!request.includeAnalysis).then(function(allItems) {
+                    var split = splitWrittenItems(inputs.previous, allItems);
+                    var groups = groupItemsByContribution(inputs.context, split.pending, inputs.previous);
+                    return service.planContributions(inputs.context, groups, inputs.previous, {
+                        predicateMappings: request.predicateMappings || {}
+                    }).then(function(plan) {
+                        plan.summary.alreadySaved = Object.keys(split.alreadySaved).length;
+                        return plan;
+                    });
+                });
+            }).then(function(plan) {
+                return { success: true, plan: plan };
+            }).catch(function(error) {
+                console.error('❌ ORKG preview failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Write one contribution per model mapped from a results table
+        sendTableContributions: function(request, sender) {
+            var tabId = getRequestTabId(request, sender);
+            if (!tabId) {
+                return Promise.resolve({
+                    success: false,
+                    error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+                });
+            }
+
+            var contributions = request.contributions || [];
+            if (contributions.length === 0) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'No contributions to send'
+                });
+            }
+
+            var table = request.table || { id: 'table' };
+
+            return enqueueWrite(tabId, function() {
+                console.log('✍️ Writing', contributions.length, 'table contributions to ORKG for tab', tabId);
+                return writeTableContributions(tabId, table, contributions, request.predicateMappings);
+            }).then(function(response) {
+                notifyPopup('ORKG_WRITE_COMPLETE', {
+                    tabId: tabId,
+                    paperId: response.paperId,
+                    paperUrl: response.paperUrl,
+                    savedCount: response.contributions.length
+                });
+                return response;
+            }).catch(function(error) {
+                console.error('❌ ORKG table contribution write failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Dry run of sendTableContributions
+        previewTableContributions: function(request, sender) {
+            var tabId = getRequestTabId(request, sender);
+            if (!tabId) {
+                return Promise.resolve({
+                    success: false,
+                    error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+                });
+            }
+
+            var contributions = request.contributions || [];
+            if (contributions.length === 0) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'No contributions to send'
+                });
+            }
+
+            var table = request.table || { id: 'table' };
+            var alreadySaved = [];
+
+            return previewWrite(tabId, function(service, inputs) {
+                var rows = splitTableRows(inputs.previous, table, contributions);
+                alreadySaved = rows.alreadySaved;
+
+                return service.planTableContributions(inputs.context, rows.pending, inputs.previous, {
+                    predicateMappings: request.predicateMappings || {}
+                });
+            }).then(function(plan) {
+                return { success: true, plan: plan, alreadySaved: alreadySaved };
+            }).catch(function(error) {
+                console.error('❌ ORKG table contribution preview failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Create an ORKG research problem from the (edited) AI-generated problem
+        publishProblem: function(request) {
+            var problem = request.problem || {};
+            if (!problem.title || !String(problem.title).trim()) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'A research problem needs a title'
+                });
+            }
+
+            var service = ServiceManager.getService('ORKGWriteService');
+            if (!service) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'ORKG write service not available'
+                });
+            }
+
+            var researchField = request.researchField && /^R\d+$/.test(request.researchField.id || '') ?
+                request.researchField : null;
+
+            console.log('✍️ Publishing research problem to ORKG:', problem.title);
+
+            return service.writeResearchProblem(problem, researchField).then(function(result) {
+                return {
+                    success: true,
+                    problem: {
+                        id: result.problem.id,
+                        label: result.problem.label,
+                        url: service.getProblemUrl(result.problem.id)
+                    },
+                    researchFieldId: researchField ? researchField.id : null,
+                    errors: result.errors,
+                    warning: result.errors.length > 0 ?
+                        result.errors.length + ' statement(s) could not be added' : undefined
+                };
+            }).catch(function(error) {
+                console.error('❌ Publishing research problem failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Dry run of publishTemplate: predicates per property, with near-duplicates
+        previewTemplate: function(request) {
+            var template = request.template || {};
+            if (!template.properties || template.properties.length === 0) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'The template has no properties'
+                });
+            }
+
+            var service = ServiceManager.getService('ORKGWriteService');
+            if (!service) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'ORKG write service not available'
+                });
+            }
+
+            return service.planTemplate(template, {
+                predicateMappings: request.predicateMappings || {}
+            }).then(addNearDuplicates).then(function(plan) {
+                return { success: true, plan: plan };
+            }).catch(function(error) {
+                console.error('❌ ORKG template preview failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Create an ORKG template from the (edited) AI-generated template
+        publishTemplate: function(request) {
+            var template = request.template || {};
+            if (!template.name || !String(template.name).trim()) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'A template needs a name'
+                });
+            }
+
+            var service = ServiceManager.getService('ORKGWriteService');
+            if (!service) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'ORKG write service not available'
+                });
+            }
+
+            var relations = {
+                researchField: getORKGResource(request.researchField),
+                problem: getORKGResource(request.problem)
+            };
+
+            console.log('✍️ Publishing template to ORKG:', template.name);
+
+            return service.writeTemplate(template, relations, {
+                predicateMappings: request.predicateMappings || {}
+            }).then(function(result) {
+                return {
+                    success: true,
+                    template: {
+                        id: result.template.id,
+                        label: result.template.label,
+                        url: service.getTemplateUrl(result.template.id),
+                        targetClass: result.targetClass,
+                        properties: result.properties
+                    },
+                    researchFieldId: relations.researchField ? relations.researchField.id : null,
+                    problemId: relations.problem ? relations.problem.id : null
+                };
+            }).catch(function(error) {
+                console.error('❌ Publishing template failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Publish an edited ORKG template as a new version of that template
+        updateTemplate: function(request) {
+            var template = request.template || {};
+            var templateId = request.templateId;
+            if (!/^R\d+$/.test(templateId || '')) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'Not an ORKG template'
+                });
+            }
+
+            var service = ServiceManager.getService('ORKGWriteService');
+            if (!service) {
+                return Promise.resolve({
+                    success: false,
+                    error: 'ORKG write service not available'
+                });
+            }
+
+            console.log('✍️ Updating ORKG template:', templateId);
+
+            return service.updateTemplate(templateId, template, request.upstream || {}, {
+                predicateMappings: request.predicateMappings || {}
+            }).then(function(result) {
+                return {
+                    success: true,
+                    template: {
+                        id: result.template.id,
+                        label: result.template.label,
+                        previousVersion: result.template.previousVersion,
+                        url: service.getTemplateUrl(result.template.id),
+                        properties: result.properties
+                    }
+                };
+            }).catch(function(error) {
+                console.error('❌ Updating template failed:', error);
+                return {
+                    success: false,
+                    error: error.message || BackgroundTypes.ERROR_MESSAGES.NETWORK_ERROR
+                };
+            });
+        },
+
+        // Get what has been saved for a tab
+        getWriteState: function(tabId) {
+            if (!tabId) {
+                return Promise.resolve({
+                    success: false,
+                    error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+                });
+            }
+
+            return loadWriteState(tabId).then(function(writeState) {
+                return { success: true, state: writeState };
+            });
+        },
+
+        // Forget the paper/contribution created for a tab
+        clearWriteState: function(tabId) {
+            StateManager.updateTabState(tabId, { orkgWrite: null });
+            return StorageManager.remove(BackgroundTypes.STORAGE_KEYS.ORKG_WRITE_PREFIX + tabId).then(function() {
+                return { success: true };
+            });
+        },
+
+        isWriting: function(tabId) {
+            return activeWrites.has(tabId);
+        }
+    };
+})();
+
+// Expose to global scope
+if (typeof self !== 'undefined') {
+    self.ORKGWriteHandler = ORKGWriteHandler;
+}
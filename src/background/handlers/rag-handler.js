@@ -8,6 +8,7 @@ var RAGHandler = (function() {
     var activeExtraction = null;
     var injectedTabs = new Set();
     var extractionResults = new Map();
+    var listeners = [];
     
     /**
      * Start RAG analysis - Main entry point
@@ -27,8 +28,13 @@ var RAGHandler = (function() {
                 return;
             }
             
-            if (activeExtraction && activeExtraction.tabId === request.tabId) {
-                reject(new Error('Analysis already in progress for this tab'));
+            // One pipeline at a time: its state is shared by every tab
+            if (activeExtraction) {
+                var busyError = new Error(activeExtraction.tabId === request.tabId ?
+                    'Analysis already in progress for this tab' :
+                    'Another analysis is in progress in a different tab');
+                busyError.code = 'EXTRACTION_BUSY';
+                reject(busyError);
                 return;
             }
             
@@ -36,6 +42,7 @@ var RAGHandler = (function() {
             activeExtraction = {
                 tabId: request.tabId,
                 template: request.template,
+                extractionMode: request.extractionMode || 'auto',
                 type: 'rag_analysis',
                 startTime: Date.now(),
                 currentPhase: 'initializing',
@@ -52,6 +59,12 @@ var RAGHandler = (function() {
                 .then(function(results) {
                     console.log('✅ RAG analysis completed successfully');
                     sendCompletionMessage(results);
+
+                    // Keep extracted values with the paper's session
+                    if (typeof SessionHandler !== 'undefined') {
+                        SessionHandler.recordAnalysis(request.tabId, results);
+                    }
+
                     resolve({ success: true, results: results });
                 })
                 .catch(function(error) {
@@ -182,7 +195,7 @@ var RAGHandler = (function() {
                     
                     // Phase 3: Run RAG analysis with just the sections object
                     updatePhase('analyzing', 35, 'Starting property-value extraction...');
-                    return runRAGAnalysis(sections, template);
+                    return runRAGAnalysis(sections, template, activeExtraction.extractionMode);
                 })
                 .then(function(analysisResults) {
                     ragResults = analysisResults;
@@ -511,7 +524,7 @@ var RAGHandler = (function() {
     /**
      * Run RAG analysis on extracted sections
      */
-    function runRAGAnalysis(sections, template) {
+    function runRAGAnalysis(sections, template, extractionMode) {
         return new Promise(function(resolve, reject) {
             console.log('🧠 Starting RAG analysis...');
             console.log('📊 Sections to analyze:', Object.keys(sections));
@@ -535,6 +548,7 @@ var RAGHandler = (function() {
             
             // Call the RAG service with properly formatted sections
             RAGBackgroundService.analyzePaperSections(sectionsToAnalyze, template, {
+                extractionMode: extractionMode || 'auto',
                 batchSize: 3,
                 delayBetweenBatches: 1000,
                 progressCallback: function(progress) {
@@ -621,6 +635,7 @@ var RAGHandler = (function() {
                                 evidence: value.evidence || {},
                                 location: value.location || {},
                                 metadata: value.metadata || {},
+                                extractionMethod: propertyResult.extraction_method || 'rag',
                                 source: 'rag' // Mark as RAG source
                             };
                             
@@ -757,17 +772,26 @@ var RAGHandler = (function() {
                 return;
             }
             
-            chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                files: ['src/content/content-script.js']
-            }, function() {
-                if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
-                } else {
+            chrome.tabs.get(tabId, function(tab) {
+                // The PDF viewer loads the content script itself
+                if (!chrome.runtime.lastError && BackgroundTypes.isPDFViewerTab(tab)) {
                     injectedTabs.add(tabId);
-                    console.log('✅ Content script injected');
-                    setTimeout(resolve, 500); // Longer delay for script initialization
+                    resolve();
+                    return;
                 }
+                
+                chrome.scripting.executeScript({
+                    target: { tabId: tabId },
+                    files: ['src/content/content-script.js']
+                }, function() {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        injectedTabs.add(tabId);
+                        console.log('✅ Content script injected');
+                        setTimeout(resolve, 500); // Longer delay for script initialization
+                    }
+                });
             });
         });
     }
@@ -819,7 +843,7 @@ var RAGHandler = (function() {
     function sendProgressUpdate(phase, progress, message) {
         if (!activeExtraction) return;
         
-        chrome.runtime.sendMessage({
+        broadcast({
             action: 'RAG_PROGRESS',
             tabId: activeExtraction.tabId,
             phase: phase,
@@ -827,29 +851,25 @@ var RAGHandler = (function() {
             message: message,
             type: determineMessageType(message),
             timestamp: Date.now()
-        }).catch(function() {
-            // Extension might be closed
         });
     }
     
     function sendCompletionMessage(results) {
         if (!activeExtraction) return;
         
-        chrome.runtime.sendMessage({
+        broadcast({
             action: 'RAG_COMPLETE',
             tabId: activeExtraction.tabId,
             results: results,
             stats: getExtractionStats(),
             timestamp: Date.now()
-        }).catch(function() {
-            // Extension might be closed
         });
     }
     
     function sendErrorMessage(error) {
         if (!activeExtraction) return;
         
-        chrome.runtime.sendMessage({
+        broadcast({
             action: 'RAG_ERROR',
             tabId: activeExtraction.tabId,
             error: {
@@ -857,11 +877,38 @@ var RAGHandler = (function() {
                 stack: error.stack
             },
             timestamp: Date.now()
-        }).catch(function() {
+        });
+    }
+    
+    // Messages from the worker don't reach its own onMessage listeners,
+    // so background services that follow an analysis are called directly
+    function broadcast(message) {
+        listeners.forEach(function(listener) {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('RAG listener failed:', error);
+            }
+        });
+        
+        chrome.runtime.sendMessage(message).catch(function() {
             // Extension might be closed
         });
     }
     
+    /**
+     * Follow RAG_PROGRESS, RAG_COMPLETE and RAG_ERROR inside the worker
+     * @returns {Function} removes the listener
+     */
+    function addListener(listener) {
+        listeners.push(listener);
+        return function() {
+            listeners = listeners.filter(function(existing) {
+                return existing !== listener;
+            });
+        };
+    }
+    
     /**
      * Determine message type for logging
      */
@@ -915,7 +962,8 @@ var RAGHandler = (function() {
                 (activeExtraction.template.properties ? activeExtraction.template.properties.length : 0) : 0,
             propertiesWithValues: propertiesWithValues,
             totalValuesFound: totalValues,
-            highlightsCreated: activeExtraction.highlights ? activeExtraction.highlights.length : 0
+            highlightsCreated: activeExtraction.highlights ? activeExtraction.highlights.length : 0,
+            extractionMode: (activeExtraction.ragResults && activeExtraction.ragResults.mode) || activeExtraction.extractionMode
         };
     }
     
@@ -1004,7 +1052,8 @@ var RAGHandler = (function() {
     return {
         startAnalysis: startAnalysis,
         getStatus: getStatus,
-        handleContentExtraction: handleContentExtraction
+        handleContentExtraction: handleContentExtraction,
+        addListener: addListener
     };
 })();
 
@@ -0,0 +1,201 @@
+// ================================
+// src/background/handlers/review-handler.js
+// Stores accept/reject decisions on RAG values and derives per-property precision
+// ================================
+
+var ReviewHandler = (function() {
+    'use strict';
+
+    // Private variables
+    var MAX_DECISIONS = 5000;
+    var DECISIONS = ['accepted', 'edited', 'rejected'];
+
+    // Confidence bands used to compare stated confidence with observed precision
+    var CALIBRATION_BANDS = [
+        { min: 0, max: 0.5 },
+        { min: 0.5, max: 0.7 },
+        { min: 0.7, max: 0.85 },
+        { min: 0.85, max: 1 }
+    ];
+
+    var writeQueue = Promise.resolve(); // Serializes read-modify-write cycles
+
+    function enqueue(task) {
+        var next = writeQueue.then(task, task);
+        writeQueue = next.catch(function(error) {
+            console.warn('Review update failed:', error);
+        });
+        return next;
+    }
+
+    function storageKey() {
+        return BackgroundTypes.STORAGE_KEYS.RAG_REVIEW_DECISIONS;
+    }
+
+    function loadDecisions() {
+        return StorageManager.get(storageKey()).then(function(result) {
+            return (result && result[storageKey()]) || [];
+        });
+    }
+
+    function saveDecisions(decisions) {
+        var data = {};
+        data[storageKey()] = decisions.slice(-MAX_DECISIONS);
+        return StorageManager.set(data);
+    }
+
+    function toDecision(request, sender) {
+        var confidence = Number(request.confidence);
+
+        return {
+            valueId: request.valueId,
+            url: request.url || (sender && sender.tab && sender.tab.url) || null,
+            propertyId: request.propertyId || 'unknown',
+            propertyLabel: request.propertyLabel || request.propertyId || 'Unknown Property',
+            decision: request.decision,
+            confidence: isFinite(confidence) ? confidence : null,
+            extractedValue: request.extractedValue !== undefined ? request.extractedValue : null,
+            value: request.value !== undefined ? request.value : null,
+            section: request.section || null,
+            decidedAt: Date.now()
+        };
+    }
+
+    function emptyCounts() {
+        return { accepted: 0, edited: 0, rejected: 0, total: 0, precision: null };
+    }
+
+    function count(counts, decision) {
+        counts[decision.decision]++;
+        counts.total++;
+        // Edited values were wrong as extracted, so only accepted ones count as correct
+        counts.precision = counts.accepted / counts.total;
+    }
+
+    function summarize(decisions) {
+        var properties = {};
+        var calibration = CALIBRATION_BANDS.map(function(band) {
+            return Object.assign({ min: band.min, max: band.max, confidenceSum: 0 }, emptyCounts());
+        });
+        var overall = emptyCounts();
+
+        decisions.forEach(function(decision) {
+            if (!properties[decision.propertyId]) {
+                properties[decision.propertyId] = Object.assign(
+                    { propertyId: decision.propertyId, propertyLabel: decision.propertyLabel },
+                    emptyCounts()
+                );
+            }
+            count(properties[decision.propertyId], decision);
+            count(overall, decision);
+
+            if (decision.confidence !== null) {
+                var band = calibration.find(function(b) {
+                    return decision.confidence >= b.min &&
+                        (decision.confidence < b.max || (b.max === 1 && decision.confidence === 1));
+                });
+                if (band) {
+                    count(band, decision);
+                    band.confidenceSum += decision.confidence;
+                }
+            }
+        });
+
+        calibration.forEach(function(band) {
+            band.meanConfidence = band.total > 0 ? band.confidenceSum / band.total : null;
+            delete band.confidenceSum;
+        });
+
+        return {
+            overall: overall,
+            properties: properties,
+            calibration: calibration
+        };
+    }
+
+    // Public API
+    return {
+        /**
+         * Record a decision on an extracted value. A later decision on the
+         * same value replaces the earlier one.
+         */
+        recordDecision: function(request, sender) {
+            if (!request.valueId || DECISIONS.indexOf(request.decision) === -1) {
+                return Promise.resolve({ success: false, error: 'Invalid review decision' });
+            }
+
+            var decision = toDecision(request, sender);
+
+            return enqueue(function() {
+                return loadDecisions().then(function(decisions) {
+                    decisions = decisions.filter(function(existing) {
+                        return !(existing.valueId === decision.valueId && existing.url === decision.url);
+                    });
+                    decisions.push(decision);
+                    return saveDecisions(decisions).then(function() {
+                        return decisions;
+                    });
+                });
+            }).then(function(decisions) {
+                return { success: true, stats: summarize(decisions) };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Undoing a decision puts the value back to pending
+        removeDecision: function(request, sender) {
+            if (!request.valueId) {
+                return Promise.resolve({ success: false, error: 'Missing value ID' });
+            }
+
+            var url = request.url || (sender && sender.tab && sender.tab.url) || null;
+
+            return enqueue(function() {
+                return loadDecisions().then(function(decisions) {
+                    decisions = decisions.filter(function(existing) {
+                        return !(existing.valueId === request.valueId && existing.url === url);
+                    });
+                    return saveDecisions(decisions).then(function() {
+                        return decisions;
+                    });
+                });
+            }).then(function(decisions) {
+                return { success: true, stats: summarize(decisions) };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Decisions taken on a page's values, keyed by value ID
+        getDecisions: function(url) {
+            return loadDecisions().then(function(decisions) {
+                var byValue = {};
+                decisions.forEach(function(decision) {
+                    if (decision.url === url) {
+                        byValue[decision.valueId] = decision;
+                    }
+                });
+                return byValue;
+            });
+        },
+
+        getStats: function(request) {
+            return loadDecisions().then(function(decisions) {
+                if (request && request.propertyIds) {
+                    decisions = decisions.filter(function(decision) {
+                        return request.propertyIds.indexOf(decision.propertyId) !== -1;
+                    });
+                }
+                return { success: true, stats: summarize(decisions) };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        }
+    };
+})();
+
+// Expose to global scope
+if (typeof self !== 'undefined') {
+    self.ReviewHandler = ReviewHandler;
+}
@@ -0,0 +1,413 @@
+// ================================
+// src/background/handlers/session-handler.js
+// Keeps the per-paper session in sync with popup state and page highlights
+// ================================
+
+var SessionHandler = (function() {
+    'use strict';
+
+    // Private variables
+    var writeQueue = Promise.resolve(); // Serializes read-modify-write cycles
+
+    function enqueue(task) {
+        var next = writeQueue.then(task, task);
+        writeQueue = next.catch(function(error) {
+            console.warn('Session update failed:', error);
+        });
+        return next;
+    }
+
+    function getTab(tabId) {
+        return new Promise(function(resolve) {
+            chrome.tabs.get(tabId, function(tab) {
+                resolve(chrome.runtime.lastError ? null : tab);
+            });
+        });
+    }
+
+    // DOI comes from the metadata the popup pushed for this tab, if any
+    function identityForTab(tab) {
+        var tabState = StateManager.getTabState(tab.id);
+        var metadata = tabState && tabState.analysisData && tabState.analysisData.metadata;
+
+        return {
+            doi: metadata && metadata.doi,
+            url: tab.url,
+            title: (metadata && metadata.title) || tab.title
+        };
+    }
+
+    function highlightKey(highlight) {
+        var text = String(highlight.text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        return (highlight.propertyId || 'unknown') + '|' + text;
+    }
+
+    // Highlights from the RAG pipeline and from the page use different shapes
+    function toStoredHighlight(highlight) {
+        var property = highlight.property || {};
+
+        return {
+            id: highlight.id,
+            pageId: null,
+            text: highlight.sentence || highlight.text || '',
+            propertyId: highlight.propertyId || property.id || 'unknown',
+            propertyLabel: highlight.propertyLabel || property.label || 'Unknown Property',
+            color: highlight.color || property.color || null,
+            value: highlight.value !== undefined ? highlight.value : null,
+            confidence: highlight.confidence !== undefined ? highlight.confidence : null,
+            section: highlight.section || null,
+            sentenceIndex: highlight.sentenceIndex !== undefined ? highlight.sentenceIndex : null,
+            extractionMethod: highlight.extractionMethod || null,
+            selectors: highlight.selectors || null,
+            anchorStatus: 'anchored',
+            source: highlight.source || 'manual',
+            createdAt: highlight.timestamp || Date.now()
+        };
+    }
+
+    // Merge highlights into the list, keeping extracted values already stored
+    function mergeHighlights(existing, incoming, pageIds) {
+        var byKey = new Map();
+
+        (existing || []).forEach(function(highlight) {
+            byKey.set(highlightKey(highlight), highlight);
+        });
+
+        incoming.forEach(function(highlight, index) {
+            var key = highlightKey(highlight);
+            var current = byKey.get(key);
+            var pageId = pageIds ? pageIds[index] : null;
+
+            if (current) {
+                byKey.set(key, Object.assign({}, current, {
+                    pageId: pageId || current.pageId,
+                    value: current.value !== null ? current.value : highlight.value,
+                    color: current.color || highlight.color,
+                    // Selectors from the latest anchoring reflect the current page text
+                    selectors: highlight.selectors || current.selectors || null,
+                    anchorStatus: pageId ? 'anchored' : current.anchorStatus
+                }));
+            } else {
+                byKey.set(key, Object.assign({}, highlight, { pageId: pageId }));
+            }
+        });
+
+        return Array.from(byKey.values());
+    }
+
+    function updateHighlights(tab, transform) {
+        if (!tab || !SessionStore.getSessionKey({ url: tab.url })) {
+            return Promise.resolve({ success: false, error: 'Page cannot hold a session' });
+        }
+
+        var identity = identityForTab(tab);
+
+        return enqueue(function() {
+            return SessionStore.findSession(identity).then(function(session) {
+                var highlights = transform(session ? session.highlights : []);
+                return SessionStore.saveSession(identity, { highlights: highlights });
+            });
+        }).then(function(session) {
+            return { success: true, key: session.key, highlightCount: session.highlights.length };
+        });
+    }
+
+    // Shape sent to the popup when offering a restore
+    function summarize(session) {
+        var data = session.data || {};
+
+        return {
+            key: session.key,
+            name: session.name,
+            doi: session.doi,
+            updatedAt: session.updatedAt,
+            currentStep: session.workflow ? session.workflow.currentStep : 'welcome',
+            hasField: !!data.researchField,
+            hasProblem: !!data.problemAnalysis,
+            hasTemplate: !!(data.templateAnalysis || data.template),
+            highlightCount: (session.highlights || []).length,
+            orphanedCount: (session.highlights || []).filter(function(h) {
+                return h.anchorStatus === 'orphaned';
+            }).length,
+            valueCount: (session.highlights || []).filter(function(h) {
+                return h.value !== null && h.value !== undefined;
+            }).length
+        };
+    }
+
+    function applyHighlights(tabId, highlights) {
+        if (!highlights || highlights.length === 0) {
+            return Promise.resolve({ success: true, appliedCount: 0 });
+        }
+
+        return new Promise(function(resolve) {
+            chrome.tabs.sendMessage(tabId, {
+                action: 'APPLY_RAG_HIGHLIGHTS',
+                highlights: highlights.map(function(highlight) {
+                    return Object.assign({}, highlight, {
+                        sentence: highlight.text,
+                        confidence: highlight.confidence !== null ? highlight.confidence : 1
+                    });
+                }),
+                force: true
+            }, function(response) {
+                if (chrome.runtime.lastError) {
+                    console.warn('Could not re-apply session highlights:', chrome.runtime.lastError);
+                    resolve({ success: false, appliedCount: 0 });
+                    return;
+                }
+
+                var stats = response && response.stats;
+                resolve({
+                    success: !!(response && response.success),
+                    appliedCount: stats ? stats.successful : 0,
+                    failedCount: stats ? stats.failed : 0
+                });
+            });
+        });
+    }
+
+    // Public API
+    return {
+        // Popup state for the paper open in a tab
+        saveSession: function(request) {
+            var identity = {
+                doi: request.doi,
+                url: request.url,
+                title: request.title
+            };
+
+            if (!SessionStore.getSessionKey(identity)) {
+                return Promise.resolve({ success: false, error: 'Page cannot hold a session' });
+            }
+
+            return enqueue(function() {
+                return SessionStore.saveSession(identity, {
+                    workflow: request.workflow,
+                    data: request.data
+                });
+            }).then(function(session) {
+                return { success: true, key: session.key };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        findSession: function(request) {
+            return SessionStore.findSession({ doi: request.doi, url: request.url }).then(function(session) {
+                return {
+                    success: true,
+                    session: session ? summarize(session) : null
+                };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Hand the saved state back to the popup and re-anchor highlights on the page
+        restoreSession: function(tabId, key) {
+            return SessionStore.getSession(key).then(function(session) {
+                if (!session) {
+                    return { success: false, error: 'Session not found' };
+                }
+
+                return applyHighlights(tabId, session.highlights).then(function(applied) {
+                    return {
+                        success: true,
+                        session: {
+                            key: session.key,
+                            name: session.name,
+                            workflow: session.workflow,
+                            data: session.data,
+                            highlights: session.highlights,
+                            extraction: session.extraction
+                        },
+                        applied: applied
+                    };
+                });
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        listSessions: function() {
+            return SessionStore.listSessions().then(function(sessions) {
+                return { success: true, sessions: sessions.map(summarize) };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Highlights with their extracted values, used by the contribution exporters
+        getHighlights: function(request) {
+            return SessionStore.findSession({ doi: request.doi, url: request.url }).then(function(session) {
+                return {
+                    success: true,
+                    key: session ? session.key : null,
+                    highlights: session ? session.highlights || [] : []
+                };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Metadata of every annotated paper, used for citation exports
+        listMetadata: function() {
+            return SessionStore.listSessions().then(function(sessions) {
+                var papers = sessions.filter(function(session) {
+                    return session.data && session.data.metadata;
+                }).map(function(session) {
+                    var data = session.data;
+                    var existing = data.existingPaper && data.existingPaper.id && data.existingPaper.action !== 'new' ?
+                        { id: data.existingPaper.id } : null;
+
+                    return {
+                        key: session.key,
+                        name: session.name,
+                        metadata: data.metadata,
+                        orkgPaper: session.orkgPaper || data.orkgPaper || existing,
+                        updatedAt: session.updatedAt
+                    };
+                });
+                return { success: true, papers: papers };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Remember which ORKG paper the tab's paper was written to
+        recordORKGPaper: function(tabId, paper) {
+            return getTab(tabId).then(function(tab) {
+                if (!tab || !paper || !paper.paperId || !SessionStore.getSessionKey({ url: tab.url })) {
+                    return null;
+                }
+
+                var identity = identityForTab(tab);
+                return enqueue(function() {
+                    return SessionStore.saveSession(identity, {
+                        orkgPaper: { id: paper.paperId, url: paper.paperUrl || null }
+                    });
+                });
+            }).catch(function(error) {
+                console.warn('Failed to record ORKG paper for session:', error);
+                return null;
+            });
+        },
+
+        renameSession: function(key, name) {
+            var trimmed = String(name || '').trim();
+            if (!key || !trimmed) {
+                return Promise.resolve({ success: false, error: 'A session key and a name are required' });
+            }
+
+            return enqueue(function() {
+                return SessionStore.renameSession(key, trimmed);
+            }).then(function(session) {
+                return { success: true, session: summarize(session) };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        deleteSession: function(key) {
+            return SessionStore.deleteSession(key).then(function() {
+                return { success: true };
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Highlight created on the page (manual selection or re-applied RAG highlight)
+        recordHighlight: function(request, sender) {
+            var data = request.data;
+            if (!data || !data.text || !sender.tab) {
+                return Promise.resolve({ success: false, error: 'No highlight data' });
+            }
+
+            return updateHighlights(sender.tab, function(highlights) {
+                return mergeHighlights(highlights, [toStoredHighlight(data)], [data.id]);
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        removeHighlight: function(request, sender) {
+            var id = request.data && request.data.id;
+            if (!id || !sender.tab) {
+                return Promise.resolve({ success: false, error: 'No highlight ID' });
+            }
+
+            return updateHighlights(sender.tab, function(highlights) {
+                return (highlights || []).filter(function(highlight) {
+                    return highlight.id !== id && highlight.pageId !== id;
+                });
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Highlights the page could not anchor stay in the session, flagged for review
+        markUnanchored: function(request, sender) {
+            var reported = (request.data && request.data.highlights) || [];
+            if (reported.length === 0 || !sender.tab) {
+                return Promise.resolve({ success: false, error: 'No highlights reported' });
+            }
+
+            var ids = new Set();
+            var keys = new Set();
+            reported.forEach(function(highlight) {
+                if (highlight.id) ids.add(highlight.id);
+                if (highlight.text) keys.add(highlightKey(highlight));
+            });
+
+            return updateHighlights(sender.tab, function(highlights) {
+                return (highlights || []).map(function(highlight) {
+                    var matches = ids.has(highlight.id) || ids.has(highlight.pageId) ||
+                        keys.has(highlightKey(highlight));
+
+                    return matches
+                        ? Object.assign({}, highlight, { anchorStatus: 'orphaned', pageId: null })
+                        : highlight;
+                });
+            }).catch(function(error) {
+                return { success: false, error: error.message };
+            });
+        },
+
+        // Extracted values from a finished RAG run
+        recordAnalysis: function(tabId, results) {
+            return getTab(tabId).then(function(tab) {
+                if (!tab) {
+                    return { success: false, error: BackgroundTypes.ERROR_MESSAGES.TAB_NOT_FOUND };
+                }
+
+                var incoming = (results.highlights || []).map(toStoredHighlight);
+
+                return updateHighlights(tab, function(highlights) {
+                    return mergeHighlights(highlights, incoming);
+                }).then(function(result) {
+                    return enqueue(function() {
+                        return SessionStore.saveSession(identityForTab(tab), {
+                            extraction: {
+                                completedAt: Date.now(),
+                                stats: results.stats || null,
+                                imageCount: (results.images || []).length,
+                                tableCount: (results.tables || []).length
+                            }
+                        });
+                    }).then(function() {
+                        return result;
+                    });
+                });
+            }).catch(function(error) {
+                console.warn('Failed to record analysis in session:', error);
+                return { success: false, error: error.message };
+            });
+        }
+    };
+})();
+
+// Expose to global scope
+if (typeof self !== 'undefined') {
+    self.SessionHandler = SessionHandler;
+}
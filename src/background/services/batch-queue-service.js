@@ -0,0 +1,999 @@
+// ================================
+// src/background/services/batch-queue-service.js
+// Runs metadata, field, problem and RAG extraction with a fixed template for many papers (no ES6 imports)
+// ================================
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'batchQueue';
+    const STAGES = ['load', 'metadata', 'field', 'problem', 'extraction'];
+    const MAX_CONCURRENCY = 4;
+    const TAB_LOAD_TIMEOUT = 45000;
+    const REQUEST_TIMEOUT = 30000;
+    const EXTRACTION_TIMEOUT = 10 * 60 * 1000;
+    const PIPELINE_POLL_INTERVAL = 2000;
+    const PAUSED = 'paused';
+    const OFFSCREEN_URL = 'src/offscreen/offscreen.html';
+    const TAXONOMY_STORAGE_KEY = 'researchFieldTaxonomy';
+    const DOI_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i;
+
+    const STAGE_LABELS = {
+        load: 'Loading page',
+        metadata: 'Metadata',
+        field: 'Research field',
+        problem: 'Research problem',
+        extraction: 'Extraction'
+    };
+
+    // Same instructions the popup's generation adapter uses for the problem step
+    const PROBLEM_SYSTEM_PROMPT = 'You are an expert research analyst specializing in identifying and articulating ' +
+        'research problems from academic papers. Generate a research problem that is different from the paper ' +
+        'title, focuses on the underlying challenge or gap the paper addresses and is general enough to apply to ' +
+        'related research. Respond as JSON: {"title": "Brief problem title", "description": "2-3 sentences"}';
+
+    /**
+     * Papers move through the stages one after the other. Up to
+     * `concurrency` papers are processed at once, except for the extraction
+     * stage: the RAG pipeline handles one tab at a time, so extractions
+     * wait for each other.
+     *
+     * The queue runs here in the service worker, so it keeps going when
+     * the popup closes. Its state lives in extension storage, where popup
+     * instances follow it; they change it only through messages. Papers
+     * interrupted by a worker restart continue from their last finished
+     * stage.
+     *
+     * Metadata and research fields come from the popup's own services,
+     * which run in an offscreen document while the queue is working.
+     */
+    class BatchQueueService {
+        constructor(config) {
+            const env = (typeof self !== 'undefined' && self.__ENV__) ||
+                       (typeof globalThis !== 'undefined' && globalThis.__ENV__) ||
+                       {};
+
+            this.apiURL = (config?.apiUrl || env.ORKG_API_URL || 'https://orkg.org/api').replace(/\/$/, '') + '/';
+
+            this.papers = [];
+            this.settings = { concurrency: 2, template: null };
+            this.running = false;
+            this.paused = false;
+
+            this.active = new Set();
+            this.extractionLock = Promise.resolve();
+            this.pendingExtractions = new Map();
+            this.removeRAGListener = null;
+            this.offscreenReady = null;
+            this.isInitialized = false;
+
+            this.handleRAGMessage = this.handleRAGMessage.bind(this);
+        }
+
+        /**
+         * Read the queue from storage and pick up where a stopped worker left off
+         */
+        async init() {
+            if (this.isInitialized) return;
+
+            const stored = (await chrome.storage.local.get([STORAGE_KEY]))[STORAGE_KEY] || {};
+
+            this.papers = stored.papers || [];
+            this.settings = { ...this.settings, ...(stored.settings || {}) };
+            this.papers.forEach(paper => {
+                if (paper.status === 'running') {
+                    paper.status = 'queued';
+                    paper.stage = null;
+                }
+            });
+
+            if (typeof RAGHandler !== 'undefined') {
+                this.removeRAGListener = RAGHandler.addListener(this.handleRAGMessage);
+            }
+
+            this.isInitialized = true;
+
+            if (stored.running) {
+                console.log('📚 Resuming batch queue');
+                await this.start().catch(error => {
+                    console.warn('Batch queue could not resume:', error);
+                    this.paused = true;
+                });
+            } else {
+                this.paused = !!stored.paused;
+            }
+        }
+
+        async persist() {
+            await chrome.storage.local.set({
+                [STORAGE_KEY]: {
+                    papers: this.papers,
+                    settings: this.settings,
+                    running: this.running,
+                    paused: this.paused,
+                    updatedAt: Date.now()
+                }
+            });
+        }
+
+        async save() {
+            try {
+                await this.persist();
+            } catch (error) {
+                console.error('Failed to save batch queue:', error);
+            }
+        }
+
+        // ================================
+        // Queue contents
+        // ================================
+
+        /**
+         * Queue DOIs and URLs, one per line (commas and spaces also separate)
+         * @returns {Object} { added, duplicates, invalid }
+         */
+        async addInputs(text) {
+            const result = { added: 0, duplicates: 0, invalid: [] };
+            const entries = String(text || '').split(/[\s,;]+/).map(entry => entry.trim()).filter(Boolean);
+
+            entries.forEach(entry => {
+                const source = this.parseInput(entry);
+                if (!source) {
+                    result.invalid.push(entry);
+                    return;
+                }
+                if (this.findDuplicate(source)) {
+                    result.duplicates++;
+                    return;
+                }
+
+                this.papers.push(this.createPaper(source));
+                result.added++;
+            });
+
+            await this.save();
+            return result;
+        }
+
+        /**
+         * Queue open web pages. Their tabs are used as they are and stay open afterwards.
+         * @param {Array} tabs - { id, url, title } of the tabs in the popup's window
+         */
+        async addTabs(tabs) {
+            const result = { added: 0, duplicates: 0, invalid: [] };
+
+            (tabs || []).filter(tab => /^https?:/i.test(tab.url || '')).forEach(tab => {
+                const source = { url: tab.url, tabId: tab.id, title: tab.title };
+                if (this.findDuplicate(source)) {
+                    result.duplicates++;
+                    return;
+                }
+
+                this.papers.push(this.createPaper(source));
+                result.added++;
+            });
+
+            await this.save();
+            return result;
+        }
+
+        parseInput(entry) {
+            const doiMatch = entry.match(DOI_PATTERN);
+            if (doiMatch) {
+                const doi = doiMatch[1].replace(/[.)]+$/, '');
+                return { doi, url: `https://doi.org/${doi}` };
+            }
+
+            try {
+                const url = new URL(entry);
+                return /^https?:$/.test(url.protocol) ? { url: url.href } : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        findDuplicate(source) {
+            return this.papers.find(paper =>
+                (source.doi && paper.doi && paper.doi.toLowerCase() === source.doi.toLowerCase()) ||
+                (source.tabId && paper.tabId === source.tabId) ||
+                (source.url && paper.input === source.url)
+            );
+        }
+
+        createPaper(source) {
+            return {
+                id: this.generateId('paper'),
+                input: source.url,
+                doi: source.doi || null,
+                url: source.url,
+                tabId: source.tabId || null,
+                ownsTab: false,
+                title: source.title || source.doi || source.url,
+                status: 'queued',
+                stage: null,
+                progress: 0,
+                completedStages: [],
+                results: {},
+                error: null,
+                addedAt: Date.now(),
+                updatedAt: Date.now()
+            };
+        }
+
+        async remove(paperId) {
+            const paper = this.getPaper(paperId);
+            if (!paper) return false;
+            if (paper.status === 'running') {
+                throw new Error('Pause the queue before removing a paper that is being processed');
+            }
+
+            this.papers = this.papers.filter(p => p.id !== paperId);
+            await this.save();
+            return true;
+        }
+
+        // Approved and rejected papers are done with
+        async clearReviewed() {
+            const before = this.papers.length;
+            this.papers = this.papers.filter(paper => !['approved', 'rejected'].includes(paper.status));
+            await this.save();
+            return before - this.papers.length;
+        }
+
+        async retry(paperId) {
+            const paper = this.getPaper(paperId);
+            if (!paper || !['failed', 'rejected'].includes(paper.status)) return;
+
+            // A failed stage is run again; a rejected paper starts over
+            if (paper.status === 'rejected') {
+                paper.completedStages = [];
+                paper.results = {};
+            }
+            this.setStatus(paper, 'queued', { error: null });
+
+            await this.save();
+            this.pump();
+        }
+
+        // ================================
+        // Settings
+        // ================================
+
+        async setTemplate(template) {
+            if (this.running) {
+                throw new Error('The template cannot change while the queue is running');
+            }
+
+            this.settings.template = template ? {
+                id: template.id,
+                name: template.name || template.label || 'Template',
+                description: template.description || '',
+                properties: (template.properties || []).map(property => ({ ...property })),
+                ...(template.targetClass ? { targetClass: template.targetClass } : {}),
+                ...(template.libraryId ? { libraryId: template.libraryId } : {})
+            } : null;
+
+            await this.save();
+        }
+
+        async setConcurrency(value) {
+            this.settings.concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(value, 10) || 1));
+            await this.save();
+            this.pump();
+        }
+
+        // ================================
+        // Running
+        // ================================
+
+        async start() {
+            if (!this.settings.template?.properties?.length) {
+                throw new Error('Choose a template with properties first');
+            }
+
+            this.papers.forEach(paper => {
+                if (paper.status === 'paused') {
+                    this.setStatus(paper, 'queued');
+                }
+            });
+
+            this.running = true;
+            this.paused = false;
+
+            await this.save();
+            this.pump();
+        }
+
+        /**
+         * Stop taking new papers. Papers being processed stop after their
+         * current stage; a running extraction is allowed to finish.
+         */
+        async pause() {
+            if (!this.running) return;
+
+            this.running = false;
+            this.paused = true;
+
+            await this.save();
+        }
+
+        pump() {
+            if (!this.running) return;
+
+            while (this.active.size < this.settings.concurrency) {
+                const paper = this.papers.find(p => p.status === 'queued' && !this.active.has(p.id));
+                if (!paper) break;
+
+                this.active.add(paper.id);
+                this.process(paper).finally(() => {
+                    this.active.delete(paper.id);
+                    this.pump();
+                    this.checkFinished();
+                });
+            }
+
+            this.checkFinished();
+        }
+
+        async checkFinished() {
+            if (!this.running || this.active.size > 0) return;
+            if (this.papers.some(paper => paper.status === 'queued')) return;
+
+            this.running = false;
+            await this.save();
+            await this.closeOffscreenDocument();
+
+            const done = this.papers.filter(paper => paper.status === 'done').length;
+            console.log(`📚 Batch queue finished: ${done} paper(s) ready for review`);
+        }
+
+        async process(paper) {
+            this.setStatus(paper, 'running', { error: null });
+            await this.save();
+
+            try {
+                for (const stage of STAGES) {
+                    if (paper.completedStages.includes(stage)) continue;
+
+                    // Pausing stops a paper between stages
+                    if (!this.running) {
+                        this.setStatus(paper, 'paused', { stage: null });
+                        await this.save();
+                        return;
+                    }
+
+                    paper.stage = stage;
+                    paper.progress = 0;
+                    await this.save();
+
+                    if (await this.runStage(stage, paper) === PAUSED) {
+                        this.setStatus(paper, 'paused', { stage: null });
+                        await this.save();
+                        return;
+                    }
+
+                    paper.completedStages.push(stage);
+                    paper.updatedAt = Date.now();
+                    await this.save();
+                }
+
+                this.setStatus(paper, 'done', { stage: null, progress: 100 });
+
+            } catch (error) {
+                console.error(`Batch paper failed at ${paper.stage}:`, error);
+                this.setStatus(paper, 'failed', { error: `${STAGE_LABELS[paper.stage] || 'Queued'}: ${error.message}` });
+            }
+
+            await this.save();
+        }
+
+        runStage(stage, paper) {
+            switch (stage) {
+                case 'load':
+                    return this.loadPage(paper);
+                case 'metadata':
+                    return this.extractMetadata(paper);
+                case 'field':
+                    return this.detectField(paper);
+                case 'problem':
+                    return this.generateProblem(paper);
+                case 'extraction':
+                    // The queue may have been paused while this paper waited its turn
+                    return this.runExclusive(() => this.running ? this.runExtraction(paper) : PAUSED);
+                default:
+                    return Promise.resolve();
+            }
+        }
+
+        // ================================
+        // Stages
+        // ================================
+
+        async loadPage(paper) {
+            if (paper.tabId && await this.getTab(paper.tabId)) {
+                await this.waitForTab(paper.tabId);
+            } else {
+                const tab = await chrome.tabs.create({ url: paper.url, active: false });
+                paper.tabId = tab.id;
+                paper.ownsTab = true;
+                await this.waitForTab(tab.id);
+            }
+
+            // DOIs resolve to the publisher's page
+            const tab = await this.getTab(paper.tabId);
+            if (tab) {
+                paper.url = tab.url;
+                if (paper.title === paper.input || paper.title === paper.doi) {
+                    paper.title = tab.title || paper.title;
+                }
+            }
+        }
+
+        /**
+         * Citation meta tags on the page, merged with the same sources the
+         * popup's metadata step resolves the paper's identifiers with
+         */
+        async extractMetadata(paper) {
+            const tab = await this.requireTab(paper);
+
+            const page = await this.readPageMetadata(tab.id).catch(error => {
+                console.warn('Page metadata extraction failed:', error);
+                return null;
+            });
+
+            const resolved = await this.callOffscreen('RESOLVE_METADATA', {
+                url: tab.url,
+                page,
+                doi: paper.doi || page?.doi || null
+            }).catch(error => {
+                console.warn('Metadata lookup failed:', error.message);
+                return null;
+            });
+
+            const metadata = resolved?.metadata || page;
+            if (!metadata?.title) {
+                throw new Error('No title or metadata found on the page');
+            }
+
+            paper.doi = paper.doi || metadata.doi || null;
+            paper.title = metadata.title;
+            paper.results.metadata = metadata;
+        }
+
+        /**
+         * ORKG NLP classification, ranked locally against the research
+         * field taxonomy when the NLP service is down
+         */
+        async detectField(paper) {
+            const metadata = paper.results.metadata || {};
+            const text = metadata.abstract || metadata.title;
+
+            const stored = await chrome.storage.local.get([TAXONOMY_STORAGE_KEY]).catch(() => ({}));
+            const { annotations, source } = await this.callOffscreen('CLASSIFY_RESEARCH_FIELD', {
+                abstract: text,
+                taxonomy: stored[TAXONOMY_STORAGE_KEY] || null,
+                embeddings: this.getEmbeddingSettings(),
+                topN: 5
+            });
+
+            if (annotations.length === 0) {
+                throw new Error('No research field found');
+            }
+
+            const fields = [];
+            for (const annotation of annotations) {
+                fields.push(await this.findResearchField(annotation));
+            }
+
+            paper.results.researchField = {
+                allFields: fields,
+                selectedField: fields[0],
+                abstract: metadata.abstract || '',
+                source,
+                timestamp: Date.now()
+            };
+        }
+
+        async generateProblem(paper) {
+            const metadata = paper.results.metadata || {};
+            const field = paper.results.researchField?.selectedField;
+            const generated = await this.requestProblem(metadata).catch(error => {
+                console.warn('Research problem generation failed:', error);
+                return null;
+            });
+
+            // Same placeholder the problem step uses without an AI provider
+            paper.results.problem = generated ? {
+                id: 'ai-generated',
+                ...generated,
+                source: 'ai',
+                confidence: 0.85,
+                editable: true
+            } : {
+                id: 'ai-generated',
+                title: `Research challenges in ${field?.label || 'this domain'}`,
+                description: metadata.abstract?.substring(0, 200) || 'Click to edit this problem description.',
+                source: 'fallback',
+                confidence: 0.5,
+                editable: true
+            };
+
+            await this.syncWriteContext(paper);
+        }
+
+        /**
+         * Start the RAG pipeline for the paper's tab and wait for it to report it finished
+         */
+        async runExtraction(paper) {
+            await this.requireTab(paper);
+
+            if (typeof RAGHandler === 'undefined') {
+                throw new Error('RAG Handler not available');
+            }
+
+            // An analysis started from the popup holds the pipeline until it finishes
+            if (!await this.waitForPipeline()) {
+                return PAUSED;
+            }
+
+            const completion = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pendingExtractions.delete(paper.tabId);
+                    reject(new Error('Extraction timed out'));
+                }, EXTRACTION_TIMEOUT);
+
+                this.pendingExtractions.set(paper.tabId, { paper, resolve, reject, timer });
+            });
+
+            try {
+                await RAGHandler.startAnalysis({
+                    tabId: paper.tabId,
+                    template: this.settings.template,
+                    extractionMode: this.getExtractionMode()
+                });
+            } catch (error) {
+                const pending = this.pendingExtractions.get(paper.tabId);
+                clearTimeout(pending?.timer);
+                this.pendingExtractions.delete(paper.tabId);
+
+                // Another tab took the pipeline between the check and the start
+                if (error.code === 'EXTRACTION_BUSY') {
+                    return this.runExtraction(paper);
+                }
+                throw new Error(error.message || 'Extraction could not be started');
+            }
+
+            const results = await completion;
+            paper.results.extraction = this.summarizeExtraction(results);
+        }
+
+        /**
+         * Wait until no other analysis is running. Resolves false when the
+         * queue is paused in the meantime.
+         */
+        async waitForPipeline() {
+            const deadline = Date.now() + EXTRACTION_TIMEOUT;
+
+            while (RAGHandler.getStatus().isActive) {
+                if (!this.running) return false;
+                if (Date.now() > deadline) {
+                    throw new Error('Another analysis kept the extraction pipeline busy');
+                }
+                await new Promise(resolve => setTimeout(resolve, PIPELINE_POLL_INTERVAL));
+            }
+
+            return this.running;
+        }
+
+        // Runs tasks one after the other, in the order they were queued
+        runExclusive(task) {
+            const run = this.extractionLock.then(task, task);
+            this.extractionLock = run.catch(() => {});
+            return run;
+        }
+
+        handleRAGMessage(message) {
+            const pending = message?.tabId ? this.pendingExtractions.get(message.tabId) : null;
+            if (!pending) return;
+
+            switch (message.action) {
+                case 'RAG_PROGRESS':
+                    pending.paper.progress = message.progress || 0;
+                    this.save();
+                    break;
+
+                case 'RAG_COMPLETE':
+                    clearTimeout(pending.timer);
+                    this.pendingExtractions.delete(message.tabId);
+                    pending.resolve(message.results || {});
+                    break;
+
+                case 'RAG_ERROR':
+                    clearTimeout(pending.timer);
+                    this.pendingExtractions.delete(message.tabId);
+                    pending.reject(new Error(message.error?.message || 'Extraction failed'));
+                    break;
+            }
+        }
+
+        summarizeExtraction(results) {
+            const values = (results.highlights || []).map(highlight => ({
+                propertyId: highlight.propertyId,
+                propertyLabel: highlight.propertyLabel || highlight.propertyId,
+                value: highlight.value,
+                sentence: String(highlight.sentence || highlight.text || '').substring(0, 300),
+                confidence: highlight.confidence ?? null
+            }));
+
+            return {
+                values,
+                valueCount: values.length,
+                propertyCount: new Set(values.map(value => value.propertyId)).size,
+                imageCount: (results.images || []).length,
+                tableCount: (results.tables || []).length,
+                completedAt: Date.now()
+            };
+        }
+
+        // ================================
+        // Stage helpers
+        // ================================
+
+        async readPageMetadata(tabId) {
+            const results = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => {
+                    const getMeta = (selectors) => {
+                        for (const selector of selectors) {
+                            const content = document.querySelector(selector)?.getAttribute('content');
+                            if (content && content.trim()) return content.trim();
+                        }
+                        return '';
+                    };
+                    const date = getMeta(['meta[name="citation_publication_date"]', 'meta[name="citation_date"]', 'meta[name="dc.date"]']);
+                    const journal = getMeta(['meta[name="citation_journal_title"]', 'meta[name="citation_conference_title"]', 'meta[name="dc.source"]']);
+
+                    return {
+                        source: 'dom',
+                        title: getMeta(['meta[name="citation_title"]', 'meta[name="dc.title"]', 'meta[property="og:title"]']) || document.title || '',
+                        authors: Array.from(document.querySelectorAll('meta[name="citation_author"], meta[name="dc.creator"]'))
+                            .map(element => element.getAttribute('content')?.trim())
+                            .filter(Boolean)
+                            .map(name => ({ name })),
+                        abstract: getMeta(['meta[name="citation_abstract"]', 'meta[name="dc.description"]', 'meta[name="description"]']),
+                        doi: getMeta(['meta[name="citation_doi"]', 'meta[name="dc.identifier.doi"]', 'meta[name="doi"]']).replace(/^doi:\s*/i, ''),
+                        url: window.location.href,
+                        venue: journal,
+                        journal: journal,
+                        year: (date.match(/\d{4}/) || [''])[0],
+                        publisher: getMeta(['meta[name="citation_publisher"]', 'meta[name="dc.publisher"]']),
+                        arxivId: getMeta(['meta[name="citation_arxiv_id"]']),
+                        pmid: getMeta(['meta[name="citation_pmid"]', 'meta[name="ncbi_pmid"]'])
+                    };
+                }
+            });
+
+            return results?.[0]?.result || null;
+        }
+
+        /**
+         * The ORKG research field resource with the label the classifier returned
+         */
+        async findResearchField(annotation) {
+            const label = annotation.research_field;
+
+            // Fields ranked against the taxonomy already carry their ID
+            const data = annotation.id ? { content: [{ id: annotation.id, label }] } :
+                await this.fetchJSON(`${this.apiURL}resources?` + new URLSearchParams({ q: label, classes: 'ResearchField', size: 10 }), {
+                    headers: { 'Accept': 'application/json' }
+                }).catch(error => {
+                    console.warn(`Failed to look up research field "${label}":`, error.message);
+                    return null;
+                });
+
+            const resource = (data?.content || []).find(candidate =>
+                String(candidate.label || '').toLowerCase() === label.toLowerCase()
+            );
+
+            return {
+                label: label,
+                score: annotation.score,
+                id: resource?.id || null,
+                url: resource ? `${this.apiURL.replace(/api\/$/, '')}field/${resource.id}` : null,
+                hasORKGInfo: !!resource,
+                orkgInfo: resource || null,
+                shared: resource?.shared || 0,
+                verified: resource?.verified || false,
+                hasResearchFieldClass: !!resource,
+                path: annotation.path || null
+            };
+        }
+
+        async requestProblem(metadata) {
+            const openAIService = ServiceManager.getService('OpenAIService');
+            if (!openAIService?.isConfigured() || !(metadata.title || metadata.abstract)) {
+                return null;
+            }
+
+            let prompt = '';
+            if (metadata.title) prompt += `Paper Title: "${metadata.title}"\n\n`;
+            if (metadata.abstract) prompt += `Abstract: "${metadata.abstract.substring(0, 1000)}"\n\n`;
+            prompt += 'Based on the text above, generate a research problem that this paper likely addresses.';
+
+            const response = await openAIService.makeRequest({
+                messages: [
+                    { role: 'system', content: PROBLEM_SYSTEM_PROMPT },
+                    { role: 'user', content: prompt }
+                ],
+                temperature: 0.7,
+                max_tokens: 500
+            });
+
+            const content = response?.choices?.[0]?.message?.content || '';
+            const json = content.match(/\{[\s\S]*\}/);
+            const problem = json ? JSON.parse(json[0]) : null;
+            if (!problem?.title) return null;
+
+            return {
+                title: problem.title.length > 100 ? problem.title.substring(0, 97) + '...' : problem.title,
+                description: problem.description || 'Please edit this AI-generated problem description.'
+            };
+        }
+
+        /**
+         * Run a shared popup service in the offscreen document
+         * (src/offscreen/offscreen.js)
+         */
+        async callOffscreen(action, data) {
+            await this.ensureOffscreenDocument();
+
+            const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, ...data });
+            if (!response?.success) {
+                throw new Error(response?.error || `${action} failed`);
+            }
+            return response;
+        }
+
+        ensureOffscreenDocument() {
+            if (!this.offscreenReady) {
+                this.offscreenReady = chrome.offscreen.hasDocument()
+                    .then(exists => exists || chrome.offscreen.createDocument({
+                        url: OFFSCREEN_URL,
+                        reasons: ['DOM_PARSER'],
+                        justification: 'Resolve paper metadata and research fields for the batch queue'
+                    }))
+                    .catch(error => {
+                        this.offscreenReady = null;
+                        throw error;
+                    });
+            }
+            return this.offscreenReady;
+        }
+
+        async closeOffscreenDocument() {
+            if (!this.offscreenReady) return;
+
+            this.offscreenReady = null;
+            await chrome.offscreen.closeDocument().catch(error => {
+                console.warn('Failed to close the offscreen document:', error.message);
+            });
+        }
+
+        async fetchJSON(url, options = {}) {
+            const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+            if (!response.ok) {
+                throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        }
+
+        /**
+         * OpenAI embeddings for the local field ranking, only while the
+         * OpenAI provider is selected - as in the popup
+         */
+        getEmbeddingSettings() {
+            const openAIService = ServiceManager.getService('OpenAIService');
+            if (openAIService?.provider !== 'openai' || !openAIService.isConfigured()) {
+                return null;
+            }
+            return { apiKey: openAIService.apiKey, baseURL: openAIService.baseURL };
+        }
+
+        /**
+         * 'deterministic' runs only the pattern extractors - used when no LLM is configured
+         */
+        getExtractionMode() {
+            const openAIService = ServiceManager.getService('OpenAIService');
+            return openAIService?.isConfigured() ? 'auto' : 'deterministic';
+        }
+
+        // ================================
+        // Review
+        // ================================
+
+        /**
+         * Keep the paper's results as its session, so opening the paper
+         * offers to resume at the analysis step, and hand the write context
+         * to the write handler so its markers can be sent to ORKG.
+         * @param {Object} changes - { fieldIndex } picked during review
+         */
+        async approve(paperId, changes = {}) {
+            const paper = this.getPaper(paperId);
+            if (!paper || paper.status !== 'done') {
+                throw new Error('Only finished papers can be approved');
+            }
+
+            const researchField = paper.results.researchField;
+            if (researchField && changes.fieldIndex !== undefined) {
+                researchField.selectedField = researchField.allFields[changes.fieldIndex] || researchField.selectedField;
+            }
+
+            const response = await SessionHandler.saveSession({
+                url: paper.url,
+                doi: paper.doi,
+                title: paper.title,
+                workflow: {
+                    currentStep: 'analysis',
+                    visitedSteps: ['welcome', 'metadata', 'field', 'problem', 'template', 'analysis'],
+                    completedSteps: ['welcome', 'metadata', 'field', 'problem', 'template']
+                },
+                data: this.buildSessionData(paper)
+            });
+
+            if (!response?.success) {
+                throw new Error(response?.error || 'Session could not be saved');
+            }
+
+            if (await this.getTab(paper.tabId)) {
+                await this.syncWriteContext(paper);
+            }
+
+            this.setStatus(paper, 'approved', { sessionKey: response.key });
+            await this.save();
+            return paper;
+        }
+
+        async reject(paperId) {
+            const paper = this.getPaper(paperId);
+            if (!paper) return;
+
+            this.setStatus(paper, 'rejected');
+            await this.save();
+
+            // Tabs the queue opened are not needed any more
+            if (paper.ownsTab && await this.getTab(paper.tabId)) {
+                await chrome.tabs.remove(paper.tabId).catch(() => {});
+            }
+        }
+
+        buildSessionData(paper) {
+            const { metadata, researchField, problem } = paper.results;
+
+            return {
+                metadata: metadata || null,
+                researchField: researchField ? {
+                    ...researchField,
+                    selectedFieldId: researchField.selectedField?.id || null
+                } : null,
+                problemAnalysis: {
+                    aiGeneratedProblem: problem || null,
+                    selectedProblem: problem || null,
+                    currentField: researchField?.selectedField || null,
+                    analysisComplete: true,
+                    timestamp: Date.now()
+                },
+                templateAnalysis: {
+                    selectedTemplate: this.settings.template,
+                    timestamp: Date.now()
+                }
+            };
+        }
+
+        /**
+         * The same context the analysis step pushes for the active tab
+         */
+        async syncWriteContext(paper) {
+            const { metadata, researchField, problem } = paper.results;
+            const data = {
+                currentStep: 'analysis',
+                pageTitle: paper.title,
+                url: paper.url,
+                metadata: metadata || null,
+                existingPaper: null,
+                researchField: researchField?.selectedField || null,
+                problem: problem || null,
+                template: this.settings.template
+            };
+
+            StateManager.updateTabState(paper.tabId, { workflowStep: data.currentStep, analysisData: data });
+            await StorageManager.saveWorkflowState(paper.tabId, data);
+        }
+
+        // ================================
+        // Helpers
+        // ================================
+
+        getPaper(paperId) {
+            return this.papers.find(paper => paper.id === paperId) || null;
+        }
+
+        getState() {
+            return {
+                papers: this.papers,
+                settings: this.settings,
+                running: this.running,
+                paused: this.paused
+            };
+        }
+
+        setStatus(paper, status, changes = {}) {
+            Object.assign(paper, changes, { status, updatedAt: Date.now() });
+        }
+
+        generateId(prefix) {
+            return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+
+        async getTab(tabId) {
+            if (!tabId) return null;
+            try {
+                return await chrome.tabs.get(tabId);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        async requireTab(paper) {
+            const tab = await this.getTab(paper.tabId);
+            if (!tab) {
+                throw new Error('The paper\'s tab was closed');
+            }
+            return tab;
+        }
+
+        waitForTab(tabId) {
+            return new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    clearTimeout(timer);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                };
+                const listener = (updatedId, changeInfo) => {
+                    if (updatedId === tabId && changeInfo.status === 'complete') {
+                        cleanup();
+                        resolve();
+                    }
+                };
+                const timer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error('The page did not finish loading'));
+                }, TAB_LOAD_TIMEOUT);
+
+                chrome.tabs.onUpdated.addListener(listener);
+                this.getTab(tabId).then(tab => {
+                    if (!tab) {
+                        cleanup();
+                        reject(new Error('The paper\'s tab was closed'));
+                    } else if (tab.status === 'complete') {
+                        cleanup();
+                        resolve();
+                    }
+                });
+            });
+        }
+
+        cleanup() {
+            this.removeRAGListener?.();
+            this.removeRAGListener = null;
+            this.pendingExtractions.forEach(pending => clearTimeout(pending.timer));
+            this.pendingExtractions.clear();
+            this.isInitialized = false;
+        }
+    }
+
+    // Create global instance
+    if (typeof globalThis !== 'undefined') {
+        globalThis.BatchQueueService = BatchQueueService;
+    } else if (typeof self !== 'undefined') {
+        self.BatchQueueService = BatchQueueService;
+    }
+})();
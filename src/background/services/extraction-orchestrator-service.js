@@ -33,12 +33,24 @@ var ExtractionOrchestrator = (function() {
         }
     }
     
+    function getTab(tabId) {
+        return new Promise(function(resolve) {
+            chrome.tabs.get(tabId, function(tab) {
+                resolve(chrome.runtime.lastError ? null : tab);
+            });
+        });
+    }
+    
     function validateTab(tab) {
         if (!tab) {
             return Promise.reject(new Error('No tab available for extraction'));
         }
         
         // Check if it's a valid URL
+        if (BackgroundTypes.isPDFViewerTab(tab)) {
+            return Promise.resolve(tab);
+        }
+        
         if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
             return Promise.reject(new Error('Cannot extract from browser internal pages'));
         }
@@ -385,11 +397,25 @@ var ExtractionOrchestrator = (function() {
                     includeCanvas: true
                 };
                 
-                BaseExtractionService.executeInTab(
-                    tabId,
-                    extractImagesFromPage,
-                    [config]
-                ).then(function(images) {
+                getTab(tabId).then(function(tab) {
+                    // Scripts cannot be injected into the PDF viewer; its
+                    // content script extracts the rendered page images
+                    if (BackgroundTypes.isPDFViewerTab(tab)) {
+                        return BaseExtractionService.sendMessageToTab(tabId, {
+                            action: 'EXTRACT_IMAGES',
+                            options: { minWidth: config.minWidth, minHeight: config.minHeight }
+                        }).then(function(response) {
+                            var result = response && response.data && response.data.data;
+                            return result && result.images ? result.images : [];
+                        });
+                    }
+                    
+                    return BaseExtractionService.executeInTab(
+                        tabId,
+                        extractImagesFromPage,
+                        [config]
+                    );
+                }).then(function(images) {
                     console.log('Images extracted:', images.length);
                     resolve(images || []);
                 }).catch(function(error) {
@@ -51,9 +51,54 @@ var MessageRouter = (function() {
         routingTable[actions.GET_PROPERTY_SUGGESTIONS] = handleGetPropertySuggestions;
         routingTable[actions.SEARCH_ORKG_PROPERTIES] = handleSearchProperties;
         
+        // ORKG write routes
+        routingTable[actions.SEND_TO_ORKG] = handleSendToORKG;
+        routingTable[actions.PREVIEW_ORKG_WRITE] = handlePreviewORKGWrite;
+        routingTable[actions.SEND_TABLE_CONTRIBUTIONS] = handleSendTableContributions;
+        routingTable[actions.PREVIEW_TABLE_CONTRIBUTIONS] = handlePreviewTableContributions;
+        routingTable[actions.PUBLISH_ORKG_PROBLEM] = handlePublishORKGProblem;
+        routingTable[actions.PREVIEW_ORKG_TEMPLATE] = handlePreviewORKGTemplate;
+        routingTable[actions.PUBLISH_ORKG_TEMPLATE] = handlePublishORKGTemplate;
+        routingTable[actions.UPDATE_ORKG_TEMPLATE] = handleUpdateORKGTemplate;
+        routingTable[actions.GET_ORKG_WRITE_STATE] = handleGetORKGWriteState;
+        routingTable[actions.CLEAR_ORKG_WRITE_STATE] = handleClearORKGWriteState;
+        
         // Highlighting routes
         routingTable[actions.HIGHLIGHT_SELECTION] = handleHighlightSelection;
         routingTable[actions.SHOW_PROPERTY_MODAL] = handleShowPropertyModal;
+        routingTable[actions.TEXT_HIGHLIGHT_CREATED] = handleHighlightCreated;
+        routingTable[actions.RAG_HIGHLIGHT_CREATED] = handleHighlightCreated;
+        routingTable[actions.TEXT_HIGHLIGHT_REMOVED] = handleHighlightRemoved;
+        routingTable[actions.HIGHLIGHTS_UNANCHORED] = handleHighlightsUnanchored;
+        
+        // Session routes
+        routingTable[actions.FIND_SESSION] = handleFindSession;
+        routingTable[actions.SAVE_SESSION] = handleSaveSession;
+        routingTable[actions.RESTORE_SESSION] = handleRestoreSession;
+        routingTable[actions.LIST_SESSIONS] = handleListSessions;
+        routingTable[actions.RENAME_SESSION] = handleRenameSession;
+        routingTable[actions.DELETE_SESSION] = handleDeleteSession;
+        routingTable[actions.GET_SESSION_HIGHLIGHTS] = handleGetSessionHighlights;
+        routingTable[actions.LIST_SESSION_METADATA] = handleListSessionMetadata;
+        
+        // Batch queue routes
+        routingTable[actions.BATCH_GET_STATE] = handleBatchGetState;
+        routingTable[actions.BATCH_ADD_INPUTS] = handleBatchAddInputs;
+        routingTable[actions.BATCH_ADD_TABS] = handleBatchAddTabs;
+        routingTable[actions.BATCH_REMOVE_PAPER] = handleBatchRemovePaper;
+        routingTable[actions.BATCH_CLEAR_REVIEWED] = handleBatchClearReviewed;
+        routingTable[actions.BATCH_RETRY_PAPER] = handleBatchRetryPaper;
+        routingTable[actions.BATCH_SET_TEMPLATE] = handleBatchSetTemplate;
+        routingTable[actions.BATCH_SET_CONCURRENCY] = handleBatchSetConcurrency;
+        routingTable[actions.BATCH_START] = handleBatchStart;
+        routingTable[actions.BATCH_PAUSE] = handleBatchPause;
+        routingTable[actions.BATCH_APPROVE_PAPER] = handleBatchApprovePaper;
+        routingTable[actions.BATCH_REJECT_PAPER] = handleBatchRejectPaper;
+        
+        // Review routes
+        routingTable[actions.RECORD_RAG_REVIEW] = handleRecordRAGReview;
+        routingTable[actions.REMOVE_RAG_REVIEW] = handleRemoveRAGReview;
+        routingTable[actions.GET_RAG_REVIEW_STATS] = handleGetRAGReviewStats;
         
         // System routes
         routingTable[actions.CONTENT_SCRIPT_READY] = handleContentScriptReady;
@@ -379,6 +424,125 @@ var MessageRouter = (function() {
         return PropertyHandler.searchORKGProperties(request.query);
     }
     
+    // ORKG write handlers
+    function handleSendToORKG(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.sendItems(request, sender);
+    }
+    
+    function handlePreviewORKGWrite(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.previewItems(request, sender);
+    }
+    
+    function handleSendTableContributions(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.sendTableContributions(request, sender);
+    }
+    
+    function handlePreviewTableContributions(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.previewTableContributions(request, sender);
+    }
+    
+    function handlePublishORKGProblem(request) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.publishProblem(request);
+    }
+    
+    function handlePreviewORKGTemplate(request) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.previewTemplate(request);
+    }
+    
+    function handlePublishORKGTemplate(request) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.publishTemplate(request);
+    }
+    
+    function handleUpdateORKGTemplate(request) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.updateTemplate(request);
+    }
+    
+    function handleGetORKGWriteState(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        return ORKGWriteHandler.getWriteState(getTabId(request, sender));
+    }
+    
+    function handleClearORKGWriteState(request, sender) {
+        if (typeof ORKGWriteHandler === 'undefined') {
+            return Promise.resolve({
+                success: false,
+                error: 'ORKG write handler not available'
+            });
+        }
+        
+        var tabId = getTabId(request, sender);
+        if (!tabId) {
+            return Promise.resolve({
+                success: false,
+                error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+            });
+        }
+        
+        return ORKGWriteHandler.clearWriteState(tabId);
+    }
+    
     // Highlighting handlers
     function handleHighlightSelection(request, sender) {
         return HighlightHandler.createHighlight(request, sender.tab);
@@ -400,6 +564,163 @@ var MessageRouter = (function() {
         );
     }
     
+    // Page highlights are mirrored into the paper's session
+    function handleHighlightCreated(request, sender) {
+        return SessionHandler.recordHighlight(request, sender);
+    }
+    
+    function handleHighlightRemoved(request, sender) {
+        return SessionHandler.removeHighlight(request, sender);
+    }
+    
+    function handleHighlightsUnanchored(request, sender) {
+        return SessionHandler.markUnanchored(request, sender);
+    }
+    
+    // Session handlers
+    function handleFindSession(request) {
+        return SessionHandler.findSession(request);
+    }
+    
+    function handleSaveSession(request) {
+        return SessionHandler.saveSession(request);
+    }
+    
+    function handleRestoreSession(request, sender) {
+        var tabId = getTabId(request, sender);
+        if (!tabId) {
+            return Promise.resolve({
+                success: false,
+                error: BackgroundTypes.ERROR_MESSAGES.NO_TAB_ID
+            });
+        }
+        
+        return SessionHandler.restoreSession(tabId, request.key);
+    }
+    
+    function handleListSessions() {
+        return SessionHandler.listSessions();
+    }
+    
+    function handleRenameSession(request) {
+        return SessionHandler.renameSession(request.key, request.name);
+    }
+    
+    function handleDeleteSession(request) {
+        return SessionHandler.deleteSession(request.key);
+    }
+    
+    function handleGetSessionHighlights(request) {
+        return SessionHandler.getHighlights(request);
+    }
+    
+    function handleListSessionMetadata() {
+        return SessionHandler.listMetadata();
+    }
+    
+    // Batch queue handlers - the queue answers with its state after every change
+    function runBatchCommand(command) {
+        var batchQueue = ServiceManager.getService('BatchQueue');
+        if (!batchQueue) {
+            return Promise.resolve({
+                success: false,
+                error: 'Batch queue not available'
+            });
+        }
+        
+        return Promise.resolve().then(function() {
+            return command(batchQueue);
+        }).then(function(result) {
+            return { success: true, result: result, state: batchQueue.getState() };
+        }).catch(function(error) {
+            console.error('Batch queue command failed:', error);
+            return { success: false, error: error.message };
+        });
+    }
+    
+    function handleBatchGetState() {
+        return runBatchCommand(function() {});
+    }
+    
+    function handleBatchAddInputs(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.addInputs(request.text);
+        });
+    }
+    
+    function handleBatchAddTabs(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.addTabs(request.tabs);
+        });
+    }
+    
+    function handleBatchRemovePaper(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.remove(request.paperId);
+        });
+    }
+    
+    function handleBatchClearReviewed() {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.clearReviewed();
+        });
+    }
+    
+    function handleBatchRetryPaper(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.retry(request.paperId);
+        });
+    }
+    
+    function handleBatchSetTemplate(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.setTemplate(request.template);
+        });
+    }
+    
+    function handleBatchSetConcurrency(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.setConcurrency(request.concurrency);
+        });
+    }
+    
+    function handleBatchStart() {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.start();
+        });
+    }
+    
+    function handleBatchPause() {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.pause();
+        });
+    }
+    
+    function handleBatchApprovePaper(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.approve(request.paperId, request.changes || {});
+        });
+    }
+    
+    function handleBatchRejectPaper(request) {
+        return runBatchCommand(function(batchQueue) {
+            return batchQueue.reject(request.paperId);
+        });
+    }
+    
+    // Review handlers
+    function handleRecordRAGReview(request, sender) {
+        return ReviewHandler.recordDecision(request, sender);
+    }
+    
+    function handleRemoveRAGReview(request, sender) {
+        return ReviewHandler.removeDecision(request, sender);
+    }
+    
+    function handleGetRAGReviewStats(request) {
+        return ReviewHandler.getStats(request);
+    }
+    
     // System handlers
     function handleContentScriptReady(request, sender) {
         console.log('Content script ready in tab:', sender.tab ? sender.tab.id : 'unknown');
@@ -1,6 +1,8 @@
 // ================================
 // src/background/openai-background-service.js
 // Standalone OpenAI service for background script (no ES6 imports)
+// Also talks to local OpenAI-compatible servers and Anthropic, following
+// the provider chosen in the popup settings (chrome.storage 'orkg_llm_settings')
 // ================================
 
 (function() {
@@ -20,6 +22,12 @@
             this.maxTokens = parseInt(config?.maxTokens || env.OPENAI_MAX_TOKENS || '500');
             this.timeout = parseInt(config?.timeout || env.OPENAI_TIMEOUT || '30000');
             
+            // Active backend: 'openai', 'openai-compatible' or 'anthropic'
+            this.provider = config?.provider || env.LLM_PROVIDER || 'openai';
+            this.anthropicVersion = '2023-06-01';
+            this.openaiSettings = null;
+            this.storageListener = null;
+            
             // Simple in-memory cache
             this.cache = new Map();
             this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
@@ -29,7 +37,10 @@
                 totalRequests: 0,
                 cacheHits: 0,
                 cacheMisses: 0,
-                errors: 0
+                errors: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0
             };
             
             this.isInitialized = false;
@@ -62,9 +73,11 @@
             // Fallback: try to get from storage (for user-provided keys)
             if (!this.apiKey) {
                 try {
-                    const result = await chrome.storage.local.get(['openai_api_key']);
-                    if (result.openai_api_key) {
-                        this.apiKey = result.openai_api_key;
+                    // The popup saves the key as orkg_openai_api_key
+                    const result = await chrome.storage.local.get(['openai_api_key', 'orkg_openai_api_key']);
+                    const storedKey = result.openai_api_key || result.orkg_openai_api_key;
+                    if (storedKey) {
+                        this.apiKey = storedKey;
                         console.log('✅ OpenAI API key loaded from storage');
                     }
                 } catch (error) {
@@ -72,6 +85,33 @@
                 }
             }
             
+            // Remember the OpenAI settings so switching back from another provider works
+            this.openaiSettings = {
+                apiKey: this.apiKey,
+                model: this.model,
+                baseURL: this.baseURL
+            };
+            
+            if (this.provider !== 'openai') {
+                this.applyProviderSettings({ provider: this.provider });
+            }
+            await this.loadProviderSettings();
+            this.watchProviderSettings();
+            
+            if (this.provider !== 'openai') {
+                this.isInitialized = true;
+                
+                if (!this.isConfigured()) {
+                    console.warn(`⚠️ LLM provider "${this.provider}" is not fully configured - AI suggestions will use fallbacks`);
+                    return false;
+                }
+                
+                console.log(`✅ LLM Background Service initialized with ${this.provider}:`);
+                console.log(`   - Model: ${this.model}`);
+                console.log(`   - Base URL: ${this.baseURL}`);
+                return true;
+            }
+            
             if (!this.apiKey) {
                 console.warn('⚠️ No OpenAI API key found - AI suggestions will use fallbacks');
                 console.log('   To add an API key, either:');
@@ -92,6 +132,88 @@
             return true;
         }
         
+        /**
+         * Apply the provider settings saved from the popup
+         */
+        async loadProviderSettings() {
+            try {
+                const result = await chrome.storage.local.get(['orkg_llm_settings']);
+                if (result.orkg_llm_settings) {
+                    this.applyProviderSettings(result.orkg_llm_settings);
+                }
+            } catch (error) {
+                console.error('Failed to load LLM provider settings:', error);
+            }
+        }
+        
+        applyProviderSettings(llmSettings) {
+            const provider = llmSettings?.provider || 'openai';
+            const saved = llmSettings?.providers?.[provider] || {};
+            const env = (typeof self !== 'undefined' && self.__ENV__) || 
+                       (typeof globalThis !== 'undefined' && globalThis.__ENV__) || 
+                       {};
+            const defaults = {
+                'openai-compatible': {
+                    baseURL: env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+                    apiKey: env.LLM_LOCAL_API_KEY || null,
+                    model: env.LLM_LOCAL_MODEL || null
+                },
+                'anthropic': {
+                    baseURL: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+                    apiKey: env.ANTHROPIC_API_KEY || null,
+                    model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+                }
+            };
+            
+            this.provider = provider;
+            
+            if (provider === 'openai') {
+                const openai = this.openaiSettings || {};
+                this.apiKey = openai.apiKey || this.apiKey;
+                this.model = saved.model || openai.model || this.model;
+                this.baseURL = saved.baseURL || openai.baseURL || this.baseURL;
+            } else {
+                this.apiKey = saved.apiKey || defaults[provider]?.apiKey || null;
+                this.model = saved.model || defaults[provider]?.model || null;
+                this.baseURL = (saved.baseURL || defaults[provider]?.baseURL || '').replace(/\/+$/, '');
+            }
+            
+            this.clearCache();
+            console.log(`🔄 LLM provider set to ${provider} (${this.model || 'no model'})`);
+        }
+        
+        /**
+         * Follow provider changes made in the popup while the worker is alive
+         */
+        watchProviderSettings() {
+            if (this.storageListener || !chrome.storage?.onChanged) return;
+            
+            this.storageListener = (changes, areaName) => {
+                if (areaName === 'local' && changes.orkg_llm_settings) {
+                    this.applyProviderSettings(changes.orkg_llm_settings.newValue);
+                }
+                // The popup saves the OpenAI key under its own name
+                const keyChange = changes.orkg_openai_api_key || changes.openai_api_key;
+                if (areaName === 'local' && keyChange && this.openaiSettings) {
+                    this.openaiSettings.apiKey = keyChange.newValue;
+                    if (this.provider === 'openai') {
+                        this.apiKey = keyChange.newValue;
+                    }
+                }
+            };
+            chrome.storage.onChanged.addListener(this.storageListener);
+        }
+        
+        /**
+         * Whether requests can be made with the active provider
+         */
+        isConfigured() {
+            if (this.provider === 'openai-compatible') {
+                return !!(this.baseURL && this.model);
+            }
+            return !!this.apiKey;
+        }
+        
         /**
          * Get AI-powered property suggestions for selected text
          */
@@ -151,40 +273,128 @@
         }
         
         /**
-         * Make a request to OpenAI API
+         * Make a chat request to the active provider. Always resolves to the
+         * OpenAI chat completions shape.
          */
         async makeRequest(options) {
             const { messages, temperature = 0.7, max_tokens = 300 } = options;
             
             try {
-                const response = await fetch(`${this.baseURL}/chat/completions`, {
+                const request = this.provider === 'anthropic' ?
+                    this.buildAnthropicRequest(messages, temperature, max_tokens) :
+                    this.buildChatCompletionsRequest(messages, temperature, max_tokens);
+                
+                const response = await fetch(request.url, {
                     method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        model: this.model,
-                        messages: messages,
-                        temperature: temperature,
-                        max_tokens: max_tokens
-                    })
+                    headers: request.headers,
+                    body: JSON.stringify(request.body)
                 });
                 
                 if (!response.ok) {
                     const error = await response.text();
-                    throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+                    throw new Error(`${this.provider} API error: ${response.status} - ${error}`);
+                }
+                
+                let data = await response.json();
+                if (this.provider === 'anthropic') {
+                    data = this.toChatCompletion(data);
                 }
                 
-                const data = await response.json();
+                this.recordUsage(data.usage);
                 return data;
                 
             } catch (error) {
-                console.error('OpenAI API request failed:', error);
+                console.error(`${this.provider} API request failed:`, error);
                 throw error;
             }
         }
         
+        buildChatCompletionsRequest(messages, temperature, max_tokens) {
+            const headers = { 'Content-Type': 'application/json' };
+            
+            // Local servers usually run without a key
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+            
+            return {
+                url: `${this.baseURL}/chat/completions`,
+                headers: headers,
+                body: {
+                    model: this.model,
+                    messages: messages,
+                    temperature: temperature,
+                    max_tokens: max_tokens
+                }
+            };
+        }
+        
+        buildAnthropicRequest(messages, temperature, max_tokens) {
+            const system = messages
+                .filter(m => m.role === 'system')
+                .map(m => m.content)
+                .join('\n\n');
+            
+            const body = {
+                model: this.model,
+                messages: messages
+                    .filter(m => m.role !== 'system')
+                    .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
+                temperature: temperature,
+                max_tokens: max_tokens
+            };
+            
+            if (system) {
+                body.system = system;
+            }
+            
+            return {
+                url: `${this.baseURL}/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': this.anthropicVersion,
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: body
+            };
+        }
+        
+        toChatCompletion(data) {
+            const text = (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            const promptTokens = data.usage?.input_tokens || 0;
+            const completionTokens = data.usage?.output_tokens || 0;
+            
+            return {
+                id: data.id,
+                model: data.model,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: text },
+                    finish_reason: data.stop_reason === 'max_tokens' ? 'length' : 'stop'
+                }],
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                }
+            };
+        }
+        
+        recordUsage(usage) {
+            if (!usage) return;
+            
+            const promptTokens = usage.prompt_tokens || 0;
+            const completionTokens = usage.completion_tokens || 0;
+            
+            this.stats.promptTokens += promptTokens;
+            this.stats.completionTokens += completionTokens;
+            this.stats.totalTokens += usage.total_tokens || (promptTokens + completionTokens);
+        }
+        
         /**
          * Build the prompt for property suggestions
          */
@@ -483,10 +693,10 @@
          * Test the API connection
          */
         async testConnection() {
-            if (!this.apiKey) {
+            if (!this.isConfigured()) {
                 return {
                     success: false,
-                    error: 'No API key configured'
+                    error: this.provider === 'openai-compatible' ? 'No server model configured' : 'No API key configured'
                 };
             }
             
@@ -523,6 +733,9 @@
                 cacheSize: this.cache.size,
                 hitRate: `${hitRate}%`,
                 hasApiKey: !!this.apiKey,
+                provider: this.provider,
+                model: this.model,
+                isConfigured: this.isConfigured(),
                 isInitialized: this.isInitialized
             };
         }
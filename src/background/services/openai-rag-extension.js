@@ -572,7 +572,8 @@ class DeterministicExtractor {
      * Get patterns for property extraction
      */
     getPatternsForProperty(property, expectedType) {
-        const label = property.label.toLowerCase();
+        // Labels like "F1 (macro)" must not be read as regex syntax
+        const label = property.label.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const patterns = [];
         
         // Type-specific patterns
@@ -642,6 +643,9 @@ class DeterministicExtractor {
                     if (matches.length >= this.config.maxValuesPerProperty) {
                         return matches;
                     }
+                    
+                    // Non-global patterns match once; exec would return the same match forever
+                    if (!regex.global) break;
                 }
             }
         }
@@ -1035,4 +1039,11 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = EnhancedRAGHelper;
 } else if (typeof window !== 'undefined') {
     window.EnhancedRAGHelper = EnhancedRAGHelper;
+} else if (typeof self !== 'undefined') {
+    // Service worker: the offline extraction mode in RAGBackgroundService uses the pieces directly
+    self.EnhancedRAGHelper = EnhancedRAGHelper;
+    self.RAGConfig = RAGConfig;
+    self.TextProcessor = TextProcessor;
+    self.TypeInferencer = TypeInferencer;
+    self.DeterministicExtractor = DeterministicExtractor;
 }
\ No newline at end of file
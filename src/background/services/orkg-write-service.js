@@ -0,0 +1,1327 @@
+// ================================
+// src/background/services/orkg-write-service.js
+// Writes papers, contributions and statements to ORKG (no ES6 imports)
+// ================================
+
+(function() {
+    'use strict';
+
+    // Well-known ORKG predicates used for paper metadata
+    const PREDICATES = {
+        HAS_DOI: 'P26',
+        HAS_AUTHOR: 'P27',
+        PUBLICATION_MONTH: 'P28',
+        PUBLICATION_YEAR: 'P29',
+        HAS_RESEARCH_FIELD: 'P30',
+        HAS_CONTRIBUTION: 'P31',
+        HAS_RESEARCH_PROBLEM: 'P32',
+        HAS_ORCID: 'HAS_ORCID',
+        DESCRIPTION: 'description',
+        SAME_AS: 'SAME_AS',
+        HAS_PREVIOUS_VERSION: 'hasPreviousVersion'
+    };
+
+    // Predicate labels used when a marker has no property assigned
+    const FALLBACK_PREDICATE_LABELS = {
+        image: 'Figure',
+        table: 'Table'
+    };
+
+    // Predicate labels for contributions mapped from results tables; the
+    // review step offers existing ORKG predicates with similar labels
+    const TABLE_PREDICATE_LABELS = {
+        model: 'model',
+        evaluation: 'evaluation',
+        dataset: 'dataset',
+        metric: 'metric',
+        score: 'score',
+        error: 'error',
+        unit: 'unit'
+    };
+
+    // Template property types as ORKG literal classes; resource properties stay untyped
+    const TEMPLATE_DATATYPES = {
+        text: 'String',
+        number: 'Decimal',
+        date: 'Date',
+        boolean: 'Boolean',
+        url: 'URI'
+    };
+
+    const TEMPLATE_MEDIA_TYPE = 'application/vnd.orkg.template.v1+json';
+
+    // ORKG Write Service - creates resources, literals and statements
+    class ORKGWriteService {
+        constructor(config) {
+            const env = (typeof self !== 'undefined' && self.__ENV__) ||
+                       (typeof globalThis !== 'undefined' && globalThis.__ENV__) ||
+                       {};
+
+            this.serverUrl = (config?.serverUrl || env.ORKG_SERVER_URL || 'https://orkg.org').replace(/\/$/, '');
+            this.apiURL = (config?.apiUrl || env.ORKG_API_URL || 'https://orkg.org/api').replace(/\/$/, '') + '/';
+            this.credentials = {
+                clientId: config?.clientId || env.ORKG_CLIENT_ID || 'orkg-client',
+                clientSecret: config?.clientSecret || env.ORKG_CLIENT_SECRET || '',
+                username: config?.username || env.ORKG_USERNAME || '',
+                password: config?.password || env.ORKG_PASSWORD || ''
+            };
+            this.timeout = parseInt(config?.timeout || env.ORKG_TIMEOUT || '10000');
+
+            this.authToken = null;
+            this.tokenExpiry = null;
+            this.predicateCache = new Map();
+            this.resourceCache = new Map();
+            this.isInitialized = false;
+
+            this.stats = {
+                resources: 0,
+                literals: 0,
+                statements: 0,
+                predicates: 0,
+                classes: 0,
+                templates: 0,
+                errors: 0
+            };
+        }
+
+        async init() {
+            if (this.isInitialized) return;
+
+            console.log('✍️ Initializing ORKG Write Service...');
+
+            if (!this.hasCredentials()) {
+                console.warn('⚠️ No ORKG credentials configured - writing to ORKG will fail');
+                console.log('   Set ORKG_USERNAME, ORKG_PASSWORD and ORKG_CLIENT_SECRET in your .env file and rebuild');
+            }
+
+            this.isInitialized = true;
+            console.log('✅ ORKG Write Service initialized');
+        }
+
+        hasCredentials() {
+            return !!(this.credentials.username && this.credentials.password && this.credentials.clientSecret);
+        }
+
+        // ================================
+        // Authentication
+        // ================================
+
+        async getAuthToken() {
+            if (this.authToken && this.tokenExpiry && Date.now() < this.tokenExpiry - 60000) {
+                return this.authToken;
+            }
+
+            if (!this.credentials.clientSecret) {
+                throw new Error('ORKG client secret is not configured. Set ORKG_CLIENT_SECRET in your .env file and rebuild');
+            }
+            if (!this.hasCredentials()) {
+                throw new Error('ORKG credentials are not configured');
+            }
+
+            const authString = btoa(`${this.credentials.clientId}:${this.credentials.clientSecret}`);
+            const response = await fetch(`${this.serverUrl}/oauth/token`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${authString}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    grant_type: 'password',
+                    username: this.credentials.username,
+                    password: this.credentials.password
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to obtain ORKG token: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.authToken = data.access_token;
+            this.tokenExpiry = Date.now() + ((data.expires_in || 3600) * 1000);
+
+            return this.authToken;
+        }
+
+        // ================================
+        // HTTP
+        // ================================
+
+        async request(method, path, body = null, options = {}) {
+            // Versioned endpoints (e.g. templates) expect their own media type
+            const headers = {
+                'Accept': options.contentType || 'application/json',
+                'Content-Type': options.contentType || 'application/json'
+            };
+
+            if (options.auth !== false) {
+                headers['Authorization'] = `Bearer ${await this.getAuthToken()}`;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeout);
+
+            try {
+                const response = await fetch(this.apiURL + path, {
+                    method: method,
+                    headers: headers,
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+
+                if (response.status === 401 && options.retry !== false) {
+                    this.authToken = null;
+                    this.tokenExpiry = null;
+                    return this.request(method, path, body, { ...options, retry: false });
+                }
+
+                if (!response.ok) {
+                    const error = new Error(`ORKG ${method} ${path} failed: ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                const text = await response.text();
+                const data = text ? JSON.parse(text) : {};
+
+                // Newer ORKG endpoints answer 201 with an empty body and a Location header
+                if (!data.id) {
+                    const location = response.headers.get('Location');
+                    if (location) {
+                        data.id = location.replace(/\/$/, '').split('/').pop();
+                    }
+                }
+
+                return data;
+
+            } catch (error) {
+                this.stats.errors++;
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        // ================================
+        // Graph primitives
+        // ================================
+
+        async createResource(label, classes = []) {
+            const resource = await this.request('POST', 'resources/', {
+                label: label,
+                classes: classes
+            });
+            this.stats.resources++;
+            return { id: resource.id, label: label, classes: classes };
+        }
+
+        async createLiteral(label, datatype = 'xsd:string') {
+            const literal = await this.request('POST', 'literals/', {
+                label: String(label),
+                datatype: datatype
+            });
+            this.stats.literals++;
+            return { id: literal.id, label: String(label), datatype: datatype };
+        }
+
+        async createStatement(subjectId, predicateId, objectId) {
+            const statement = await this.request('POST', 'statements/', {
+                subject_id: subjectId,
+                predicate_id: predicateId,
+                object_id: objectId
+            });
+            this.stats.statements++;
+            return { id: statement.id, subjectId: subjectId, predicateId: predicateId, objectId: objectId };
+        }
+
+        async createClass(label) {
+            const created = await this.request('POST', 'classes/', { label: label });
+            this.stats.classes++;
+            return { id: created.id, label: label };
+        }
+
+        async findPredicate(label) {
+            const key = label.trim().toLowerCase();
+            if (this.predicateCache.has(key)) {
+                return this.predicateCache.get(key);
+            }
+
+            const found = await this.request(
+                'GET',
+                `predicates/?q=${encodeURIComponent(label.trim())}&exact=true&size=1`,
+                null,
+                { auth: false }
+            );
+
+            const predicate = found.content && found.content[0];
+            if (!predicate) return null;
+
+            const result = { id: predicate.id, label: predicate.label };
+            this.predicateCache.set(key, result);
+            return result;
+        }
+
+        async findResource(label) {
+            const key = label.trim().toLowerCase();
+            if (this.resourceCache.has(key)) {
+                return this.resourceCache.get(key);
+            }
+
+            const found = await this.request(
+                'GET',
+                `resources/?q=${encodeURIComponent(label.trim())}&exact=true&size=1`,
+                null,
+                { auth: false }
+            );
+
+            const resource = found.content && found.content[0];
+            if (!resource) return null;
+
+            const result = { id: resource.id, label: resource.label };
+            this.resourceCache.set(key, result);
+            return result;
+        }
+
+        // Reuse a resource with exactly this label so comparisons line up
+        async findOrCreateResource(label, classes = []) {
+            const existing = await this.findResource(label);
+            if (existing) return { ...existing, reused: true };
+
+            const resource = await this.createResource(label.trim(), classes);
+            this.resourceCache.set(label.trim().toLowerCase(), resource);
+            return resource;
+        }
+
+        async findOrCreatePredicate(label) {
+            const existing = await this.findPredicate(label);
+            if (existing) return existing;
+
+            const predicate = await this.request('POST', 'predicates/', { label: label.trim() });
+            this.stats.predicates++;
+
+            const result = { id: predicate.id, label: label.trim() };
+            this.predicateCache.set(label.trim().toLowerCase(), result);
+            return result;
+        }
+
+        getPredicateLabel(property, fallbackLabel) {
+            return property?.label || property?.property || fallbackLabel || null;
+        }
+
+        /**
+         * Resolve the predicate for a marker property. `mappings` maps a
+         * lower-cased property label to an existing predicate chosen during review.
+         */
+        async resolvePredicate(property, fallbackLabel, mappings = {}, options = {}) {
+            // Template properties published to ORKG keep their predicate in predicateId
+            const predicateId = property?.predicateId || property?.id;
+            if (predicateId && /^P\d+$/.test(predicateId)) {
+                return { id: predicateId, label: property.predicateLabel || property.label || predicateId, reused: true };
+            }
+
+            const label = this.getPredicateLabel(property, fallbackLabel);
+            if (!label) return null;
+
+            const mapped = mappings[label.trim().toLowerCase()];
+            if (mapped) {
+                return { id: mapped.id, label: mapped.label || label, reused: true };
+            }
+
+            if (options.dryRun) {
+                const existing = await this.findPredicate(label);
+                return existing ? { ...existing, reused: true } : { id: null, label: label.trim(), reused: false };
+            }
+
+            return this.findOrCreatePredicate(label);
+        }
+
+        // ================================
+        // Paper / contribution pipeline
+        // ================================
+
+        /**
+         * Create (or reuse) the paper and contribution described by the
+         * workflow context, then add one statement per marker item.
+         * Returns the created IDs keyed by marker ID. `options.onPaper` and
+         * `options.onContribution` are called as soon as a new paper or
+         * contribution exists, so the caller can record it before anything
+         * else can fail.
+         */
+        async writeContribution(context, items, existing = {}, options = {}) {
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            const result = {
+                paper: null,
+                contribution: null,
+                items: {},
+                skipped: [],
+                errors: []
+            };
+
+            result.paper = await this.ensurePaper(context, existing, options.onPaper);
+
+            // Contribution
+            const steps = this.getContributionLinkSteps(context, result.paper.id, () => result.contribution.id);
+            let pending;
+            if (existing.contributionId) {
+                result.contribution = { id: existing.contributionId, reused: true };
+                pending = existing.pendingSteps || [];
+            } else {
+                const classes = ['Contribution'];
+                const targetClass = context.template?.targetClass?.id || context.template?.target_class?.id;
+                if (targetClass) {
+                    classes.push(targetClass);
+                }
+
+                result.contribution = await this.createResource(this.getContributionLabel(context), classes);
+                pending = steps.map(step => step.key);
+            }
+
+            const onProgress = options.onContribution ?
+                (remaining) => options.onContribution(result.contribution, remaining) :
+                null;
+            if (!result.contribution.reused && onProgress) {
+                await onProgress(pending);
+            }
+            await this.runSteps(steps, pending, onProgress);
+
+            // Marker items - written sequentially to keep ORKG request volume predictable
+            for (const item of items) {
+                try {
+                    const written = await this.writeItem(result.contribution.id, item, options.predicateMappings);
+                    if (written) {
+                        result.items[item.id] = written;
+                    } else {
+                        result.skipped.push({ id: item.id, reason: 'No property assigned' });
+                    }
+                } catch (error) {
+                    console.error(`Failed to write item ${item.id}:`, error);
+                    result.errors.push({ id: item.id, error: error.message });
+                }
+            }
+
+            return result;
+        }
+
+        // Statements that attach a contribution to its paper and research problem
+        getContributionLinkSteps(context, paperId, getContributionId) {
+            const steps = [{
+                key: 'paper',
+                run: () => this.createStatement(paperId, PREDICATES.HAS_CONTRIBUTION, getContributionId())
+            }];
+
+            if (context.problem?.id) {
+                steps.push({
+                    key: 'problem',
+                    run: () => this.createStatement(getContributionId(), PREDICATES.HAS_RESEARCH_PROBLEM, context.problem.id)
+                });
+            }
+            return steps;
+        }
+
+        /**
+         * Run the steps whose keys are still pending, in order. `onProgress`
+         * receives the keys left after each step, so a retry after a failure
+         * continues where this run stopped.
+         */
+        async runSteps(steps, pending, onProgress = null) {
+            let remaining = steps.map(step => step.key).filter(key => pending.includes(key));
+
+            for (const step of steps) {
+                if (!remaining.includes(step.key)) continue;
+
+                await step.run();
+                remaining = remaining.filter(key => key !== step.key);
+                if (onProgress) {
+                    await onProgress(remaining);
+                }
+            }
+        }
+
+        // Paper - an earlier send from this tab or a paper already in ORKG
+        async ensurePaper(context, existing = {}, onPaper = null) {
+            const paperId = existing.paperId || context.existingPaper?.id;
+            if (paperId) {
+                return { id: paperId, reused: true };
+            }
+
+            const metadata = context.metadata || {};
+            const title = metadata.title || context.pageTitle || 'Untitled Paper';
+            const paper = await this.createResource(title, ['Paper']);
+            if (onPaper) {
+                await onPaper(paper);
+            }
+            await this.addPaperMetadata(paper.id, metadata, context.researchField);
+            return paper;
+        }
+
+        // Number new contributions after those already on an existing ORKG paper,
+        // unless the user labelled the contribution in the popup
+        getContributionLabel(context) {
+            if (context.contributionLabel) {
+                return context.contributionLabel;
+            }
+            const position = (context.existingPaper?.contributionCount || 0) + (context.contributionIndex || 0) + 1;
+            return `Contribution ${position}`;
+        }
+
+        async addPaperMetadata(paperId, metadata, researchField) {
+            if (metadata.doi) {
+                const doi = await this.createLiteral(metadata.doi);
+                await this.createStatement(paperId, PREDICATES.HAS_DOI, doi.id);
+            }
+
+            for (const author of metadata.authors || []) {
+                const authorId = await this.writeAuthor(author);
+                if (authorId) {
+                    await this.createStatement(paperId, PREDICATES.HAS_AUTHOR, authorId);
+                }
+            }
+
+            const year = parseInt(metadata.year || (metadata.publicationDate || '').substring(0, 4));
+            if (year) {
+                const literal = await this.createLiteral(year, 'xsd:integer');
+                await this.createStatement(paperId, PREDICATES.PUBLICATION_YEAR, literal.id);
+            }
+
+            if (researchField?.id) {
+                await this.createStatement(paperId, PREDICATES.HAS_RESEARCH_FIELD, researchField.id);
+            }
+        }
+
+        getAuthorName(author) {
+            return typeof author === 'string' ? author : author.name || [author.given, author.family].filter(Boolean).join(' ');
+        }
+
+        // Authors linked in the metadata step point to their ORKG resource; authors
+        // with only an ORCID iD become new Author resources, the rest stay literals
+        async writeAuthor(author) {
+            const name = this.getAuthorName(author);
+            if (!name) return null;
+
+            if (author.orkgId) {
+                return author.orkgId;
+            }
+
+            if (author.orcid) {
+                const resource = await this.createResource(name, ['Author']);
+                const orcid = await this.createLiteral(author.orcid);
+                await this.createStatement(resource.id, PREDICATES.HAS_ORCID, orcid.id);
+                return resource.id;
+            }
+
+            const literal = await this.createLiteral(name);
+            return literal.id;
+        }
+
+        async writeItem(contributionId, item, predicateMappings = {}) {
+            const object = this.getItemLiteral(item);
+            if (!object) {
+                return null;
+            }
+
+            const predicate = await this.resolvePredicate(
+                item.property,
+                FALLBACK_PREDICATE_LABELS[item.type],
+                predicateMappings
+            );
+            if (!predicate) {
+                return null;
+            }
+
+            const literal = await this.createLiteral(object.label, object.datatype);
+            const statement = await this.createStatement(contributionId, predicate.id, literal.id);
+
+            return {
+                predicateId: predicate.id,
+                predicateLabel: predicate.label,
+                objectId: literal.id,
+                statementId: statement.id,
+                savedAt: Date.now()
+            };
+        }
+
+        // Literal value written for a marker item, or null if it has none
+        getItemLiteral(item) {
+            switch (item.type) {
+                case 'image':
+                    return item.src ? { label: item.src, datatype: 'xsd:anyURI' } : null;
+                case 'table':
+                    return { label: item.caption || item.summary || item.text || 'Table', datatype: 'xsd:string' };
+                default:
+                    return item.text ? { label: item.text, datatype: 'xsd:string' } : null;
+            }
+        }
+
+        // ================================
+        // Contributions from results tables
+        // ================================
+
+        /**
+         * Write one contribution per model mapped from a results table:
+         *   contribution -model-> model
+         *   contribution -evaluation-> evaluation -dataset/metric/score-> ...
+         * Models, datasets and metrics reuse existing resources by label.
+         * A row's contribution is reported through `options.onContribution`
+         * as soon as it exists and after each of its steps; a row passed
+         * with `resume` ({ contributionId, pendingSteps }) only runs the
+         * steps an earlier write did not finish.
+         */
+        async writeTableContributions(context, contributions, existing = {}, options = {}) {
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            const mappings = options.predicateMappings || {};
+            const result = {
+                paper: await this.ensurePaper(context, existing, options.onPaper),
+                contributions: [],
+                errors: []
+            };
+
+            // Predicates are resolved on first use so unused ones are never created.
+            // A failed lookup is dropped, so the next row tries again.
+            const predicates = new Map();
+            const predicate = (key) => {
+                if (!predicates.has(key)) {
+                    const lookup = this.resolvePredicate({ label: TABLE_PREDICATE_LABELS[key] }, null, mappings);
+                    predicates.set(key, lookup);
+                    lookup.catch(() => {
+                        if (predicates.get(key) === lookup) {
+                            predicates.delete(key);
+                        }
+                    });
+                }
+                return predicates.get(key);
+            };
+
+            for (const entry of contributions) {
+                try {
+                    let contribution = null;
+                    const steps = [
+                        ...this.getContributionLinkSteps(context, result.paper.id, () => contribution.id),
+                        ...(entry.model ? [{
+                            key: 'model',
+                            run: async () => {
+                                const model = await this.findOrCreateResource(entry.model);
+                                await this.createStatement(contribution.id, (await predicate('model')).id, model.id);
+                            }
+                        }] : []),
+                        ...(entry.evaluations || []).map((evaluation, index) => ({
+                            key: `evaluation:${index}`,
+                            run: () => this.writeEvaluation(contribution.id, evaluation, predicate)
+                        }))
+                    ];
+
+                    let pending;
+                    if (entry.resume?.contributionId) {
+                        contribution = { id: entry.resume.contributionId, reused: true };
+                        pending = entry.resume.pendingSteps || [];
+                    } else {
+                        contribution = await this.createResource(entry.label, ['Contribution']);
+                        pending = steps.map(step => step.key);
+                    }
+
+                    const onProgress = options.onContribution ?
+                        (remaining) => options.onContribution(entry, contribution, remaining) :
+                        null;
+                    if (!contribution.reused && onProgress) {
+                        await onProgress(pending);
+                    }
+                    await this.runSteps(steps, pending, onProgress);
+
+                    result.contributions.push({
+                        id: contribution.id,
+                        key: entry.key,
+                        label: entry.label,
+                        evaluations: (entry.evaluations || []).length
+                    });
+                } catch (error) {
+                    console.error(`Failed to write contribution ${entry.label}:`, error);
+                    result.errors.push({ label: entry.label, error: error.message });
+                }
+            }
+
+            return result;
+        }
+
+        async writeEvaluation(contributionId, evaluation, predicate) {
+            const node = await this.createResource(this.getEvaluationLabel(evaluation), []);
+            await this.createStatement(contributionId, (await predicate('evaluation')).id, node.id);
+
+            if (evaluation.dataset) {
+                const dataset = await this.findOrCreateResource(evaluation.dataset);
+                await this.createStatement(node.id, (await predicate('dataset')).id, dataset.id);
+            }
+
+            if (evaluation.metric) {
+                const metric = await this.findOrCreateResource(evaluation.metric);
+                await this.createStatement(node.id, (await predicate('metric')).id, metric.id);
+            }
+
+            for (const literal of this.getEvaluationLiterals(evaluation)) {
+                const object = await this.createLiteral(literal.label, literal.datatype);
+                await this.createStatement(node.id, (await predicate(literal.key)).id, object.id);
+            }
+
+            return node;
+        }
+
+        getEvaluationLabel(evaluation) {
+            const metric = evaluation.metric || 'Score';
+            return evaluation.dataset ? `${metric} on ${evaluation.dataset}` : metric;
+        }
+
+        // Score, error and unit literals of an evaluation
+        getEvaluationLiterals(evaluation) {
+            const literals = [{ key: 'score', label: String(evaluation.score), datatype: 'xsd:decimal' }];
+
+            if (evaluation.error !== undefined && evaluation.error !== null) {
+                literals.push({ key: 'error', label: String(evaluation.error), datatype: 'xsd:decimal' });
+            }
+            if (evaluation.unit) {
+                literals.push({ key: 'unit', label: evaluation.unit, datatype: 'xsd:string' });
+            }
+
+            return literals;
+        }
+
+        /**
+         * Dry run of writeTableContributions
+         */
+        async planTableContributions(context, contributions, existing = {}, options = {}) {
+            const builder = this.createPlanBuilder();
+            const { plan, addPredicate, addStatement, wellKnown } = builder;
+            const paper = this.planPaper(builder, context, existing);
+
+            const predicates = new Map();
+            const predicate = async (key) => {
+                if (!predicates.has(key)) {
+                    const label = TABLE_PREDICATE_LABELS[key];
+                    predicates.set(key, addPredicate(
+                        await this.resolvePredicate({ label: label }, null, options.predicateMappings, { dryRun: true })
+                    ));
+                }
+                return predicates.get(key);
+            };
+
+            // Model, dataset and metric nodes are shared across contributions
+            const shared = new Map();
+            const sharedResource = async (label, kind) => {
+                const key = label.trim().toLowerCase();
+                if (!shared.has(key)) {
+                    const found = await this.findResource(label).catch(() => null);
+                    const node = found ?
+                        { id: found.id, label: found.label, kind: kind, status: 'reused' } :
+                        { id: null, label: label.trim(), kind: kind, status: 'new' };
+                    shared.set(key, node);
+                    plan.resources.push(node);
+                }
+                return shared.get(key);
+            };
+
+            const problem = context.problem?.id ?
+                { id: context.problem.id, label: context.problem.label || context.problem.title, kind: 'research problem', status: 'reused' } :
+                null;
+            if (problem) plan.resources.push(problem);
+
+            for (const entry of contributions) {
+                // Rows a failed send started continue with their remaining steps
+                const resumed = entry.resume?.contributionId;
+                const pending = resumed ? entry.resume.pendingSteps || [] : null;
+                const isPending = (key) => !pending || pending.includes(key);
+
+                const contribution = resumed ?
+                    { id: resumed, label: entry.label, kind: 'contribution', status: 'reused' } :
+                    { id: null, label: entry.label, kind: 'contribution', status: 'new', classes: ['Contribution'] };
+                plan.resources.push(contribution);
+                if (isPending('paper')) {
+                    addStatement(paper, wellKnown(PREDICATES.HAS_CONTRIBUTION, 'has contribution'), contribution);
+                }
+
+                if (problem && isPending('problem')) {
+                    addStatement(contribution, wellKnown(PREDICATES.HAS_RESEARCH_PROBLEM, 'has research problem'), problem);
+                }
+
+                if (entry.model && isPending('model')) {
+                    addStatement(contribution, await predicate('model'), await sharedResource(entry.model, 'model'));
+                }
+
+                for (const [index, evaluation] of (entry.evaluations || []).entries()) {
+                    if (!isPending(`evaluation:${index}`)) continue;
+
+                    const node = { id: null, label: this.getEvaluationLabel(evaluation), kind: 'evaluation', status: 'new' };
+                    plan.resources.push(node);
+                    addStatement(contribution, await predicate('evaluation'), node);
+
+                    if (evaluation.dataset) {
+                        addStatement(node, await predicate('dataset'), await sharedResource(evaluation.dataset, 'dataset'));
+                    }
+                    if (evaluation.metric) {
+                        addStatement(node, await predicate('metric'), await sharedResource(evaluation.metric, 'metric'));
+                    }
+
+                    for (const literal of this.getEvaluationLiterals(evaluation)) {
+                        const object = { label: literal.label, datatype: literal.datatype, status: 'new' };
+                        plan.literals.push(object);
+                        addStatement(node, await predicate(literal.key), object);
+                    }
+                }
+            }
+
+            return builder.finish();
+        }
+
+        // ================================
+        // Dry run
+        // ================================
+
+        /**
+         * Describe everything writeContribution would create without
+         * touching ORKG. Each node is marked as reused or new.
+         */
+        async planContribution(context, items, existing = {}, options = {}) {
+            return this.planContributions(context, [{ items: items, contributionId: existing.contributionId }], existing, options);
+        }
+
+        /**
+         * Dry run for several contributions of one paper. Each group holds
+         * the items of one contribution, the ID of that contribution if it
+         * was written before, and context overrides (problem, template,
+         * label) for it.
+         */
+        async planContributions(context, groups, existing = {}, options = {}) {
+            const builder = this.createPlanBuilder();
+            const { plan, addPredicate, addStatement, wellKnown } = builder;
+            const paper = this.planPaper(builder, context, existing);
+            const problems = new Map();
+
+            for (const group of groups) {
+                const groupContext = { ...context, ...(group.context || {}) };
+
+                // Contribution
+                const targetClass = groupContext.template?.targetClass?.id || groupContext.template?.target_class?.id;
+                const contribution = group.contributionId ?
+                    { id: group.contributionId, label: groupContext.contributionLabel || 'Contribution', kind: 'contribution', status: 'reused' } :
+                    { id: null, label: this.getContributionLabel(groupContext), kind: 'contribution', status: 'new', classes: ['Contribution'].concat(targetClass || []) };
+                plan.resources.push(contribution);
+
+                // A contribution recorded by a failed send may still miss its links
+                const pending = group.contributionId ? group.pendingSteps || [] : ['paper', 'problem'];
+                if (pending.includes('paper')) {
+                    addStatement(paper, wellKnown(PREDICATES.HAS_CONTRIBUTION, 'has contribution'), contribution);
+                }
+                const problemId = groupContext.problem?.id;
+                if (problemId && pending.includes('problem')) {
+                    if (!problems.has(problemId)) {
+                        const problem = { id: problemId, label: groupContext.problem.label || groupContext.problem.title, kind: 'research problem', status: 'reused' };
+                        problems.set(problemId, problem);
+                        plan.resources.push(problem);
+                    }
+                    addStatement(contribution, wellKnown(PREDICATES.HAS_RESEARCH_PROBLEM, 'has research problem'), problems.get(problemId));
+                }
+
+                // Marker items and analysis values
+                for (const item of group.items) {
+                    const object = this.getItemLiteral(item);
+                    const predicate = object && await this.resolvePredicate(
+                        item.property,
+                        FALLBACK_PREDICATE_LABELS[item.type],
+                        options.predicateMappings,
+                        { dryRun: true }
+                    );
+
+                    if (!predicate) {
+                        plan.skipped.push({ id: item.id, reason: 'No property assigned' });
+                        continue;
+                    }
+
+                    const literal = { ...object, status: 'new', itemId: item.id, source: item.source || 'marker' };
+                    if (item.source === 'analysis') {
+                        literal.sentence = item.sentence || null;
+                        literal.confidence = item.confidence ?? null;
+                        literal.review = item.review || null;
+                    }
+                    plan.literals.push(literal);
+                    addStatement(contribution, addPredicate(predicate, item.id), literal, item.id);
+                }
+            }
+
+            return builder.finish();
+        }
+
+        // Collects the nodes and statements of a dry run
+        createPlanBuilder() {
+            const plan = {
+                resources: [],
+                predicates: [],
+                literals: [],
+                statements: [],
+                skipped: []
+            };
+            const predicateIndex = new Map();
+
+            const addPredicate = (predicate, itemId) => {
+                const key = predicate.id || `new:${predicate.label.toLowerCase()}`;
+                if (!predicateIndex.has(key)) {
+                    const entry = {
+                        id: predicate.id,
+                        label: predicate.label,
+                        status: predicate.reused ? 'reused' : 'new',
+                        itemIds: []
+                    };
+                    predicateIndex.set(key, entry);
+                    plan.predicates.push(entry);
+                }
+                if (itemId) predicateIndex.get(key).itemIds.push(itemId);
+                return predicateIndex.get(key);
+            };
+
+            const addStatement = (subject, predicate, object, itemId = null) => {
+                plan.statements.push({
+                    subject: subject,
+                    predicate: { id: predicate.id, label: predicate.label },
+                    object: object,
+                    itemId: itemId
+                });
+            };
+
+            const wellKnown = (id, label) => addPredicate({ id: id, label: label, reused: true });
+
+            const finish = () => {
+                plan.summary = {
+                    newResources: plan.resources.filter(r => r.status === 'new').length,
+                    newPredicates: plan.predicates.filter(p => p.status === 'new').length,
+                    newLiterals: plan.literals.length,
+                    newStatements: plan.statements.length,
+                    analysisValues: plan.literals.filter(l => l.source === 'analysis').length
+                };
+                return plan;
+            };
+
+            return { plan, addPredicate, addStatement, wellKnown, finish };
+        }
+
+        // Plan the paper node and, for a new paper, its metadata statements
+        planPaper(builder, context, existing = {}) {
+            const { plan, addStatement, wellKnown } = builder;
+            const metadata = context.metadata || {};
+
+            const paperId = existing.paperId || context.existingPaper?.id;
+            const paper = paperId ?
+                { id: paperId, label: context.existingPaper?.title || metadata.title || paperId, kind: 'paper', status: 'reused' } :
+                { id: null, label: metadata.title || context.pageTitle || 'Untitled Paper', kind: 'paper', status: 'new', classes: ['Paper'] };
+            plan.resources.push(paper);
+
+            if (!paperId) {
+                if (metadata.doi) {
+                    const doi = { label: metadata.doi, datatype: 'xsd:string', status: 'new' };
+                    plan.literals.push(doi);
+                    addStatement(paper, wellKnown(PREDICATES.HAS_DOI, 'DOI'), doi);
+                }
+
+                (metadata.authors || []).forEach(author => {
+                    const name = this.getAuthorName(author);
+                    if (!name) return;
+
+                    let object;
+                    if (author.orkgId) {
+                        object = { id: author.orkgId, label: author.orkgLabel || name, kind: 'author', status: 'reused' };
+                        plan.resources.push(object);
+                    } else if (author.orcid) {
+                        object = { id: null, label: name, kind: 'author', status: 'new', classes: ['Author'] };
+                        plan.resources.push(object);
+                        const orcid = { label: author.orcid, datatype: 'xsd:string', status: 'new' };
+                        plan.literals.push(orcid);
+                        addStatement(object, wellKnown(PREDICATES.HAS_ORCID, 'ORCID'), orcid);
+                    } else {
+                        object = { label: name, datatype: 'xsd:string', status: 'new' };
+                        plan.literals.push(object);
+                    }
+                    addStatement(paper, wellKnown(PREDICATES.HAS_AUTHOR, 'has author'), object);
+                });
+
+                const year = parseInt(metadata.year || (metadata.publicationDate || '').substring(0, 4));
+                if (year) {
+                    const literal = { label: String(year), datatype: 'xsd:integer', status: 'new' };
+                    plan.literals.push(literal);
+                    addStatement(paper, wellKnown(PREDICATES.PUBLICATION_YEAR, 'publication year'), literal);
+                }
+
+                if (context.researchField?.id) {
+                    const field = { id: context.researchField.id, label: context.researchField.label, kind: 'research field', status: 'reused' };
+                    plan.resources.push(field);
+                    addStatement(paper, wellKnown(PREDICATES.HAS_RESEARCH_FIELD, 'has research field'), field);
+                }
+            }
+
+            return paper;
+        }
+
+        // ================================
+        // Research problems
+        // ================================
+
+        /**
+         * Create a research problem with its description and sameAs links,
+         * attached to a research field. The problem resource is created
+         * first; later statements that fail are reported in `errors` so
+         * the caller still gets the new ID.
+         */
+        async writeResearchProblem(problem, researchField) {
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            const title = (problem?.title || '').trim();
+            if (!title) {
+                throw new Error('A research problem needs a title');
+            }
+
+            const result = {
+                problem: await this.createResource(title, ['Problem']),
+                statements: [],
+                errors: []
+            };
+
+            // `getObjectId` may create a literal first
+            const addStatement = async (label, predicateId, getObjectId) => {
+                try {
+                    const objectId = await getObjectId();
+                    result.statements.push(await this.createStatement(result.problem.id, predicateId, objectId));
+                } catch (error) {
+                    console.error(`Failed to add ${label} to problem ${result.problem.id}:`, error);
+                    result.errors.push({ statement: label, error: error.message });
+                }
+            };
+
+            const description = (problem.description || '').trim();
+            if (description) {
+                await addStatement('description', PREDICATES.DESCRIPTION,
+                    async () => (await this.createLiteral(description)).id);
+            }
+
+            for (const url of problem.sameAs || []) {
+                await addStatement(`sameAs ${url}`, PREDICATES.SAME_AS,
+                    async () => (await this.createLiteral(url, 'xsd:anyURI')).id);
+            }
+
+            if (researchField?.id) {
+                await addStatement('research field', PREDICATES.HAS_RESEARCH_FIELD, async () => researchField.id);
+            }
+
+            return result;
+        }
+
+        // ================================
+        // Templates
+        // ================================
+
+        // Template properties that came from ORKG already carry their predicate
+        getTemplatePropertyPredicate(property) {
+            const id = property.predicateId || property.predicate?.id || property.id;
+            return { id: /^P\d+$/.test(id || '') ? id : null, label: property.label };
+        }
+
+        getTemplatePropertyCardinality(property) {
+            return {
+                minCount: property.minCount !== undefined && property.minCount !== null ?
+                    property.minCount : (property.required ? 1 : 0),
+                maxCount: property.maxCount !== undefined ? property.maxCount : null
+            };
+        }
+
+        /**
+         * Dry run of writeTemplate: the predicate each property would use
+         * and whether it already exists in ORKG
+         */
+        async planTemplate(template, options = {}) {
+            const predicates = new Map();
+            const properties = [];
+
+            for (const property of template.properties || []) {
+                const predicate = await this.resolvePredicate(
+                    this.getTemplatePropertyPredicate(property),
+                    null,
+                    options.predicateMappings,
+                    { dryRun: true }
+                );
+                if (!predicate) continue;
+
+                const key = predicate.id || `new:${predicate.label.toLowerCase()}`;
+                if (!predicates.has(key)) {
+                    predicates.set(key, {
+                        id: predicate.id,
+                        label: predicate.label,
+                        status: predicate.reused ? 'reused' : 'new',
+                        propertyIds: []
+                    });
+                }
+                predicates.get(key).propertyIds.push(property.id);
+
+                properties.push({
+                    propertyId: property.id,
+                    label: property.label,
+                    type: property.type || 'text',
+                    datatype: TEMPLATE_DATATYPES[property.type || 'text'] || null,
+                    ...this.getTemplatePropertyCardinality(property),
+                    predicate: predicates.get(key)
+                });
+            }
+
+            const plan = {
+                label: (template.name || '').trim(),
+                targetClass: { id: null, label: (template.name || '').trim(), status: 'new' },
+                properties: properties,
+                predicates: Array.from(predicates.values())
+            };
+            plan.summary = {
+                properties: properties.length,
+                newPredicates: plan.predicates.filter(p => p.status === 'new').length
+            };
+
+            return plan;
+        }
+
+        /**
+         * Create an ORKG template (a SHACL node shape) from an edited
+         * template. Each property becomes a property shape whose path is an
+         * existing predicate where one matches, or a new one. The template
+         * gets its own target class and is related to the research field
+         * and problem.
+         */
+        async writeTemplate(template, relations = {}, options = {}) {
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            const label = (template.name || '').trim();
+            if (!label) {
+                throw new Error('A template needs a name');
+            }
+
+            const properties = await this.resolveTemplateProperties(template, options);
+            const targetClass = await this.createClass(label);
+
+            const created = await this.request('POST', 'templates/',
+                this.buildTemplateBody(template, properties, targetClass.id, {
+                    research_fields: relations.researchField?.id ? [relations.researchField.id] : [],
+                    research_problems: relations.problem?.id ? [relations.problem.id] : [],
+                    predicate: null
+                }),
+                { contentType: TEMPLATE_MEDIA_TYPE }
+            );
+            this.stats.templates++;
+
+            return {
+                template: { id: created.id, label: label },
+                targetClass: targetClass,
+                properties: properties.map(({ property, predicate }) => ({
+                    propertyId: property.id,
+                    predicate: { id: predicate.id, label: predicate.label },
+                    ...this.getTemplatePropertyCardinality(property)
+                }))
+            };
+        }
+
+        /**
+         * Publish an edited ORKG template as a new version: a new template
+         * with its own target class that points to the original through
+         * hasPreviousVersion. The original, and every instance of it, stays
+         * as it is. Properties the user did not change are copied from the
+         * upstream shapes as they are; changed ones only take over what was
+         * changed. Template-level settings (formatted label, closed flag,
+         * relations, observatories, organizations) come from upstream.
+         */
+        async updateTemplate(templateId, template, upstream = {}, options = {}) {
+            if (!this.isInitialized) {
+                await this.init();
+            }
+
+            const label = (template.name || '').trim();
+            if (!label) {
+                throw new Error('A template needs a name');
+            }
+
+            const upstreamByKey = new Map();
+            (upstream.properties || []).forEach(property => {
+                upstreamByKey.set(this.getTemplatePropertyKey(property), property);
+            });
+
+            const properties = await this.resolveTemplateProperties(template, options);
+            const shapes = properties.map(({ property, predicate }) => {
+                const original = upstreamByKey.get(this.getTemplatePropertyKey(property));
+                return original?.shape ?
+                    this.mergeTemplateShape(original, property, predicate) :
+                    this.buildTemplateShape(property, predicate);
+            });
+
+            const targetClass = await this.createClass(label);
+            const body = {
+                ...this.buildTemplateBody(template, [], targetClass.id, {
+                    research_fields: upstream.relations?.researchFields || [],
+                    research_problems: upstream.relations?.researchProblems || [],
+                    predicate: upstream.relations?.predicate || null
+                }),
+                formatted_label: upstream.formattedLabel ?? null,
+                is_closed: !!upstream.isClosed,
+                observatories: upstream.observatories || [],
+                organizations: upstream.organizations || [],
+                properties: shapes
+            };
+
+            const created = await this.request('POST', 'templates/', body, { contentType: TEMPLATE_MEDIA_TYPE });
+            this.stats.templates++;
+
+            try {
+                await this.createStatement(created.id, PREDICATES.HAS_PREVIOUS_VERSION, templateId);
+            } catch (error) {
+                console.warn(`Could not link template ${created.id} to ${templateId}:`, error);
+            }
+
+            return {
+                template: { id: created.id, label: label, previousVersion: templateId },
+                targetClass: targetClass,
+                properties: properties.map(({ property, predicate }) => ({
+                    propertyId: property.id,
+                    predicate: { id: predicate.id, label: predicate.label },
+                    ...this.getTemplatePropertyCardinality(property)
+                }))
+            };
+        }
+
+        // Same matching as the template diff: by predicate, else by label
+        getTemplatePropertyKey(property) {
+            const predicateId = property.predicateId || (/^P\d+$/.test(property.id || '') ? property.id : null);
+            return predicateId || `label:${(property.label || '').trim().toLowerCase()}`;
+        }
+
+        /**
+         * Upstream property shape with only the edited aspects replaced. The
+         * datatype or class is kept unless the editor type changed, so an
+         * Integer stays an Integer and a resource keeps its class.
+         */
+        mergeTemplateShape(upstream, property, predicate) {
+            const shape = { ...upstream.shape, path: predicate.id };
+            delete shape.order;
+
+            if ((upstream.label || '').trim() !== property.label.trim()) {
+                shape.label = property.label.trim();
+            }
+            if ((upstream.description || '').trim() !== (property.description || '').trim()) {
+                shape.description = (property.description || '').trim() || null;
+            }
+
+            const before = this.getTemplatePropertyCardinality(upstream);
+            const after = this.getTemplatePropertyCardinality(property);
+            if (before.minCount !== after.minCount || before.maxCount !== after.maxCount) {
+                shape.min_count = after.minCount;
+                shape.max_count = after.maxCount;
+            }
+
+            if ((upstream.type || 'text') !== (property.type || 'text')) {
+                const datatype = TEMPLATE_DATATYPES[property.type || 'text'] || null;
+                shape.datatype = datatype;
+                shape.class = datatype ? null : (property.classId || null);
+            }
+
+            // ORKG takes a shape with either a datatype or a class, not both keys
+            Object.keys(shape).forEach(key => {
+                if (shape[key] === null && ['datatype', 'class', 'pattern', 'min_inclusive', 'max_inclusive'].includes(key)) {
+                    delete shape[key];
+                }
+            });
+
+            return shape;
+        }
+
+        async resolveTemplateProperties(template, options = {}) {
+            const properties = [];
+            for (const property of template.properties || []) {
+                if (!property.label || !property.label.trim()) continue;
+
+                const predicate = await this.resolvePredicate(
+                    this.getTemplatePropertyPredicate(property),
+                    null,
+                    options.predicateMappings
+                );
+                properties.push({ property: property, predicate: predicate });
+            }
+
+            if (properties.length === 0) {
+                throw new Error('A template needs at least one property');
+            }
+
+            return properties;
+        }
+
+        // Request body shared by creating a template and a new version of one
+        buildTemplateBody(template, properties, targetClassId, relations) {
+            return {
+                label: (template.name || '').trim(),
+                description: (template.description || '').trim() || null,
+                formatted_label: null,
+                target_class: targetClassId,
+                relations: relations,
+                properties: properties.map(({ property, predicate }) => this.buildTemplateShape(property, predicate)),
+                is_closed: false,
+                observatories: [],
+                organizations: [],
+                extraction_method: 'MANUAL'
+            };
+        }
+
+        buildTemplateShape(property, predicate) {
+            const { minCount, maxCount } = this.getTemplatePropertyCardinality(property);
+            const shape = {
+                label: property.label.trim(),
+                placeholder: null,
+                description: property.description || null,
+                min_count: minCount,
+                max_count: maxCount,
+                path: predicate.id
+            };
+
+            const datatype = TEMPLATE_DATATYPES[property.type || 'text'];
+            if (datatype) {
+                shape.datatype = datatype;
+            } else if (property.classId) {
+                shape.class = property.classId;
+            }
+            return shape;
+        }
+
+        getPaperUrl(paperId) {
+            return `${this.serverUrl}/paper/${paperId}`;
+        }
+
+        getProblemUrl(problemId) {
+            return `${this.serverUrl}/problem/${problemId}`;
+        }
+
+        getTemplateUrl(templateId) {
+            return `${this.serverUrl}/template/${templateId}`;
+        }
+
+        getStatus() {
+            return {
+                isInitialized: this.isInitialized,
+                hasCredentials: this.hasCredentials(),
+                stats: { ...this.stats }
+            };
+        }
+    }
+
+    ORKGWriteService.PREDICATES = PREDICATES;
+    ORKGWriteService.TABLE_PREDICATE_LABELS = TABLE_PREDICATE_LABELS;
+    ORKGWriteService.TEMPLATE_DATATYPES = TEMPLATE_DATATYPES;
+
+    // Create global instance
+    if (typeof globalThis !== 'undefined') {
+        globalThis.ORKGWriteService = ORKGWriteService;
+    } else if (typeof self !== 'undefined') {
+        self.ORKGWriteService = ORKGWriteService;
+    }
+})();
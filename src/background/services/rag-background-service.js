@@ -11,6 +11,8 @@ var RAGBackgroundService = (function() {
     var cache = new Map();
     var cacheTimeout = 5 * 60 * 1000;
     var openAIService = null;
+    var deterministicTools = null;
+    var currentMode = 'ai';
     
     // Configuration
     var config = {
@@ -20,7 +22,10 @@ var RAGBackgroundService = (function() {
         batchSize: 3,
         maxConcurrentRequests: 2,
         confidenceThreshold: 0.3,
-        delayBetweenBatches: 1500
+        delayBetweenBatches: 1500,
+        // 'auto' uses the LLM when one is configured, 'deterministic' never does
+        extractionMode: 'auto',
+        maxDeterministicValues: 5
     };
     
     // Statistics
@@ -32,7 +37,8 @@ var RAGBackgroundService = (function() {
         processedProperties: 0,
         totalMatches: 0,
         openAIRequests: 0,
-        fallbackUsed: 0
+        fallbackUsed: 0,
+        deterministicUsed: 0
     };
     
     /**
@@ -43,15 +49,15 @@ var RAGBackgroundService = (function() {
         
         console.log('🤖 Initializing Enhanced RAG Background Service...');
         
-        // Initialize OpenAI service if available
+        // Initialize OpenAI service if available. It is kept when unconfigured:
+        // it follows settings saved later, and each run checks isConfigured()
         if (typeof OpenAIBackgroundService !== 'undefined') {
             openAIService = new OpenAIBackgroundService();
             return openAIService.init().then(function(success) {
                 if (success) {
                     console.log('✅ OpenAI service ready for RAG analysis');
                 } else {
-                    console.warn('⚠️ OpenAI service not configured - RAG will use fallbacks');
-                    openAIService = null;
+                    console.warn('⚠️ OpenAI service not configured - RAG will use fallbacks until it is');
                 }
                 
                 // Clean up old cache entries periodically
@@ -82,7 +88,10 @@ var RAGBackgroundService = (function() {
                     return;
                 }
                 
-                console.log('🔍 Starting smart property-value extraction');
+                options = options || {};
+                currentMode = resolveExtractionMode(options.extractionMode);
+                
+                console.log('🔍 Starting smart property-value extraction (' + currentMode + ' mode)');
                 console.log('📋 Properties to analyze:', properties.length);
                 console.log('📄 Available sections:', Object.keys(sections).length);
                 
@@ -91,16 +100,27 @@ var RAGBackgroundService = (function() {
                 stats.totalMatches = 0;
                 stats.openAIRequests = 0;
                 stats.fallbackUsed = 0;
+                stats.deterministicUsed = 0;
+                
+                if (currentMode === 'deterministic') {
+                    sendProgressUpdate('analyzing', 0,
+                        'No AI provider configured - running offline pattern extraction');
+                    
+                    // Nothing is rate limited, so don't wait between batches
+                    options = Object.assign({}, options, { delayBetweenBatches: 0 });
+                }
                 
                 // Process properties in batches
-                processPropertiesInBatches(properties, sections, options || {})
+                processPropertiesInBatches(properties, sections, options)
                     .then(function(results) {
                         var summary = {
+                            mode: currentMode,
                             totalProperties: properties.length,
                             processedProperties: stats.processedProperties,
                             totalMatches: stats.totalMatches,
                             openAIRequests: stats.openAIRequests,
                             fallbackUsed: stats.fallbackUsed,
+                            deterministicUsed: stats.deterministicUsed,
                             results: results
                         };
                         
@@ -112,6 +132,22 @@ var RAGBackgroundService = (function() {
         });
     }
     
+    /**
+     * Decide between LLM and deterministic extraction for this run
+     */
+    function resolveExtractionMode(requestedMode) {
+        var mode = requestedMode || config.extractionMode;
+        
+        if (mode === 'deterministic' || !hasLLM()) {
+            return 'deterministic';
+        }
+        return 'ai';
+    }
+    
+    function hasLLM() {
+        return !!(openAIService && openAIService.isConfigured());
+    }
+    
     /**
      * Extract properties from template
      */
@@ -246,7 +282,7 @@ var RAGBackgroundService = (function() {
             stats.totalRequests++;
             
             // Check cache first
-            var cacheKey = generateCacheKey(property, sections);
+            var cacheKey = currentMode + '_' + generateCacheKey(property, sections);
             var cached = getFromCache(cacheKey);
             
             if (cached) {
@@ -258,8 +294,17 @@ var RAGBackgroundService = (function() {
             
             stats.cacheMisses++;
             
+            // Offline mode: pattern extractors only
+            if (currentMode === 'deterministic') {
+                stats.deterministicUsed++;
+                var deterministicResult = performDeterministicAnalysis(property, sections, 'deterministic');
+                setCache(cacheKey, deterministicResult);
+                resolve(deterministicResult);
+                return;
+            }
+            
             // Use OpenAI service if available
-            if (openAIService && typeof openAIService.analyzePropertyWithRAG === 'function') {
+            if (hasLLM() && typeof openAIService.analyzePropertyWithRAG === 'function') {
                 stats.openAIRequests++;
                 
                 openAIService.analyzePropertyWithRAG(property, sections)
@@ -393,16 +438,24 @@ var RAGBackgroundService = (function() {
      */
     function performEnhancedFallbackAnalysis(property, sections) {
         console.log('🔄 Using enhanced fallback analysis for: ' + property.label);
-        
+        return performDeterministicAnalysis(property, sections, 'fallback');
+    }
+    
+    /**
+     * Run the regex pattern families and the typed DeterministicExtractor over
+     * every section. Values carry the same evidence/location/highlight shape as
+     * LLM results so the results window and highlighting work unchanged.
+     */
+    function performDeterministicAnalysis(property, sections, method) {
         var result = {
             property: property.label,
             property_id: property.id,
             property_type: property.type || 'text',
             values: [],
-            extraction_method: 'fallback',
+            extraction_method: method,
             overall_confidence: 0,
             metadata: {
-                extraction_method: 'fallback',
+                extraction_method: method,
                 property_type: property.type || 'text',
                 sections_analyzed: Object.keys(sections),
                 timestamp: new Date().toISOString()
@@ -423,6 +476,8 @@ var RAGBackgroundService = (function() {
             }
         }
         
+        foundValues = foundValues.concat(findTypedMatches(property, sections));
+        
         // Deduplicate and sort by confidence
         foundValues = deduplicateValues(foundValues);
         foundValues.sort(function(a, b) {
@@ -432,10 +487,11 @@ var RAGBackgroundService = (function() {
         // Take top results above threshold
         result.values = foundValues
             .filter(function(v) { return v.confidence >= config.confidenceThreshold; })
-            .slice(0, 5);
+            .slice(0, config.maxDeterministicValues);
         
         // Normalize values
         result.values = result.values.map(function(value, index) {
+            value.metadata = { extraction_method: method };
             return normalizeValue(value, property, index);
         });
         
@@ -451,6 +507,120 @@ var RAGBackgroundService = (function() {
         return result;
     }
     
+    /**
+     * Typed matches (numbers, dates, URLs, "label: value") from the
+     * DeterministicExtractor in openai-rag-extension.js
+     */
+    function findTypedMatches(property, sections) {
+        var tools = getDeterministicTools();
+        if (!tools) return [];
+        
+        var matches = [];
+        var labelWords = property.label.toLowerCase().split(/[^a-z0-9]+/).filter(function(word) {
+            return word.length > 1;
+        });
+        
+        try {
+            var processed = tools.textProcessor.processSections(sections);
+            var extracted = tools.extractor.extract(processed, property);
+            
+            extracted.forEach(function(match) {
+                var sectionText = sections[match.section];
+                var sentences = typeof sectionText === 'string' ? extractSentences(sectionText) : [];
+                var sentenceIndex = findSentenceIndex(sentences, match.sentence);
+                var value = String(match.value);
+                var start = match.sentence.indexOf(value);
+                
+                // Typed patterns are loose (any number, any year) - trust them only
+                // when the sentence also talks about the property
+                var sentenceLower = match.sentence.toLowerCase();
+                var mentionsProperty = labelWords.some(function(word) {
+                    return sentenceLower.indexOf(word) !== -1;
+                });
+                var confidence = mentionsProperty ?
+                    Math.min(match.confidence + 0.2, 0.9) :
+                    match.confidence * 0.8;
+                
+                matches.push({
+                    value: value,
+                    sentence: match.sentence,
+                    section: match.section,
+                    sentenceIndex: sentenceIndex,
+                    confidence: confidence,
+                    evidence: {
+                        reasoning: 'Typed pattern match: ' + tools.typeInferencer.inferFromTemplate(property),
+                        context: getContextAroundSentence(sentences, sentenceIndex),
+                        implicit: false,
+                        explanation: 'Found by the deterministic extractor in ' + match.section
+                    },
+                    location: {
+                        section: match.section,
+                        sentenceIndex: sentenceIndex,
+                        start: start,
+                        end: start === -1 ? -1 : start + value.length,
+                        found: true
+                    },
+                    highlight: {
+                        text: match.sentence,
+                        color: generatePropertyColor(property.label),
+                        propertyId: property.id,
+                        propertyLabel: property.label
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('⚠️ Deterministic extractor failed for "' + property.label + '":', error);
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Lazily create the extractor pieces - openai-rag-extension.js may not be loaded
+     */
+    function getDeterministicTools() {
+        if (deterministicTools) return deterministicTools;
+        
+        if (typeof DeterministicExtractor === 'undefined' ||
+            typeof TextProcessor === 'undefined' ||
+            typeof TypeInferencer === 'undefined' ||
+            typeof RAGConfig === 'undefined') {
+            return null;
+        }
+        
+        // Scan whole sections - there is no prompt size to respect offline
+        var ragConfig = new RAGConfig({
+            maxSectionSize: 50000,
+            maxSentencesPerSection: 1000,
+            maxValuesPerProperty: config.maxDeterministicValues * 2,
+            confidenceThreshold: config.confidenceThreshold
+        });
+        var typeInferencer = new TypeInferencer();
+        
+        deterministicTools = {
+            textProcessor: new TextProcessor(ragConfig),
+            typeInferencer: typeInferencer,
+            extractor: new DeterministicExtractor(ragConfig, typeInferencer)
+        };
+        
+        return deterministicTools;
+    }
+    
+    /**
+     * Map a sentence from the extractor's tokenizer back to our sentence list
+     */
+    function findSentenceIndex(sentences, sentence) {
+        var probe = sentence.substring(0, 40).toLowerCase();
+        
+        for (var i = 0; i < sentences.length; i++) {
+            var candidate = sentences[i].toLowerCase();
+            if (candidate.indexOf(probe) !== -1 || probe.indexOf(candidate.substring(0, 40)) !== -1) {
+                return i;
+            }
+        }
+        return 0;
+    }
+    
     /**
      * Create comprehensive patterns for property matching
      */
@@ -854,11 +1024,13 @@ var RAGBackgroundService = (function() {
             totalMatches: stats.totalMatches,
             openAIRequests: stats.openAIRequests,
             fallbackUsed: stats.fallbackUsed,
+            deterministicUsed: stats.deterministicUsed,
+            mode: currentMode,
             cacheSize: cache.size,
             hitRate: hitRate + '%',
             openAIRate: openAIRate + '%',
             isInitialized: isInitialized,
-            hasOpenAI: !!openAIService
+            hasOpenAI: hasLLM()
         };
     }
     
@@ -875,7 +1047,8 @@ var RAGBackgroundService = (function() {
             processedProperties: 0,
             totalMatches: 0,
             openAIRequests: 0,
-            fallbackUsed: 0
+            fallbackUsed: 0,
+            deterministicUsed: 0
         };
         console.log('🔄 RAG service reset');
     }
@@ -10,6 +10,7 @@ var ServiceManager = (function() {
     var services = {};
     var initializationOrder = [];
     var isInitialized = false;
+    var initialization = null;
     
     // Service initialization functions
     var serviceInitializers = {
@@ -30,6 +31,15 @@ var ServiceManager = (function() {
             return null;
         },
         
+        'SessionStore': function() {
+            if (typeof SessionStore !== 'undefined') {
+                return SessionStore.init().then(function() {
+                    return SessionStore;
+                });
+            }
+            return Promise.resolve(null);
+        },
+        
         // Handler services
         'PropertyHandler': function() {
             if (typeof PropertyHandler !== 'undefined') {
@@ -83,6 +93,16 @@ var ServiceManager = (function() {
             return Promise.resolve(null);
         },
         
+        'ORKGWriteService': function() {
+            if (typeof ORKGWriteService !== 'undefined') {
+                var service = new ORKGWriteService();
+                return service.init().then(function() {
+                    return service;
+                });
+            }
+            return Promise.resolve(null);
+        },
+        
         'OpenAIService': function() {
             if (typeof OpenAIBackgroundService !== 'undefined') {
                 var service = new OpenAIBackgroundService();
@@ -98,6 +118,17 @@ var ServiceManager = (function() {
             return Promise.resolve(null);
         },
         
+        // Resumes a batch queue that was running when the worker stopped
+        'BatchQueue': function() {
+            if (typeof BatchQueueService !== 'undefined') {
+                var service = new BatchQueueService();
+                return service.init().then(function() {
+                    return service;
+                });
+            }
+            return Promise.resolve(null);
+        },
+        
         // Message router (must be last)
         'MessageRouter': function() {
             if (typeof MessageRouter !== 'undefined') {
@@ -155,13 +186,16 @@ var ServiceManager = (function() {
         initializationOrder = [
             'StateManager',
             'StorageManager',
+            'SessionStore',
             'PropertyHandler',
             'HighlightHandler',
             'MarkerHandler',
             'ContextMenuHandler',
             'ExtractionOrchestrator',
             'ORKGService',
+            'ORKGWriteService',
             'OpenAIService',
+            'BatchQueue',
             'MessageRouter'  // Must be last
         ];
         
@@ -189,8 +223,15 @@ var ServiceManager = (function() {
                 return Promise.resolve(services);
             }
             
-            console.log('Initializing ServiceManager...');
-            return initializeAllServices();
+            // onInstalled and onStartup fire while the worker's own init is still
+            // running; a second pass would start services such as the batch queue twice
+            if (!initialization) {
+                console.log('Initializing ServiceManager...');
+                initialization = initializeAllServices().finally(function() {
+                    initialization = null;
+                });
+            }
+            return initialization;
         },
         
         // Get a service
@@ -0,0 +1,302 @@
+// ================================
+// src/background/services/session-store.js
+// Per-paper annotation sessions persisted in IndexedDB
+// ================================
+
+var SessionStore = (function() {
+    'use strict';
+
+    // Private variables
+    var DB_NAME = 'orkg-annotator-sessions';
+    var DB_VERSION = 1;
+    var STORE_NAME = 'sessions';
+    var MAX_SESSIONS = 200;
+
+    var dbPromise = null;
+
+    // Open (and upgrade) the sessions database once per worker lifetime
+    function openDatabase() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise(function(resolve, reject) {
+            var request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                var db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    var store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                    store.createIndex('urls', 'urls', { multiEntry: true });
+                }
+            };
+
+            request.onsuccess = function(event) {
+                var db = event.target.result;
+
+                // Another context deleted or upgraded the database
+                db.onversionchange = function() {
+                    db.close();
+                    dbPromise = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = function() {
+                dbPromise = null;
+                reject(request.error || new Error('Failed to open sessions database'));
+            };
+        });
+
+        return dbPromise;
+    }
+
+    // Run a single request inside a transaction and resolve with its result
+    function withStore(mode, operation) {
+        return openDatabase().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                var transaction = db.transaction(STORE_NAME, mode);
+                var store = transaction.objectStore(STORE_NAME);
+                var request = operation(store);
+                var result;
+
+                if (request) {
+                    request.onsuccess = function() {
+                        result = request.result;
+                    };
+                }
+
+                transaction.oncomplete = function() {
+                    resolve(result);
+                };
+                transaction.onerror = function() {
+                    reject(transaction.error || new Error(BackgroundTypes.ERROR_MESSAGES.STORAGE_ERROR));
+                };
+                transaction.onabort = transaction.onerror;
+            });
+        });
+    }
+
+    function normalizeDOI(doi) {
+        if (!doi) return null;
+
+        var clean = String(doi)
+            .trim()
+            .replace(/^(doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i, '')
+            .toLowerCase();
+
+        return clean || null;
+    }
+
+    // Drop fragments and tracking parameters so reloads map to the same paper
+    function normalizeURL(url) {
+        if (!url) return null;
+
+        try {
+            var parsed = new URL(url);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                return null;
+            }
+
+            parsed.hash = '';
+            Array.from(parsed.searchParams.keys()).forEach(function(param) {
+                if (/^(utm_|fbclid$|gclid$)/i.test(param)) {
+                    parsed.searchParams.delete(param);
+                }
+            });
+
+            return parsed.origin + parsed.pathname.replace(/\/+$/, '') + parsed.search;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function getSessionKey(identity) {
+        var doi = normalizeDOI(identity && identity.doi);
+        if (doi) {
+            return 'doi:' + doi;
+        }
+
+        var url = normalizeURL(identity && identity.url);
+        return url ? 'url:' + url : null;
+    }
+
+    function getSession(key) {
+        if (!key) {
+            return Promise.resolve(null);
+        }
+
+        return withStore('readonly', function(store) {
+            return store.get(key);
+        }).then(function(session) {
+            return session || null;
+        });
+    }
+
+    function findByURL(url) {
+        var normalized = normalizeURL(url);
+        if (!normalized) {
+            return Promise.resolve(null);
+        }
+
+        return withStore('readonly', function(store) {
+            return store.index('urls').getAll(normalized);
+        }).then(function(sessions) {
+            if (!sessions || sessions.length === 0) {
+                return null;
+            }
+
+            // Prefer the most recently touched session for the page
+            return sessions.sort(function(a, b) {
+                return b.updatedAt - a.updatedAt;
+            })[0];
+        });
+    }
+
+    // Look a paper up by DOI first, then by any URL it was opened from
+    function findSession(identity) {
+        var doiKey = normalizeDOI(identity && identity.doi) ? getSessionKey({ doi: identity.doi }) : null;
+
+        return getSession(doiKey).then(function(session) {
+            return session || findByURL(identity && identity.url);
+        });
+    }
+
+    function putSession(session) {
+        return withStore('readwrite', function(store) {
+            return store.put(session);
+        }).then(function() {
+            return session;
+        });
+    }
+
+    function deleteSession(key) {
+        return withStore('readwrite', function(store) {
+            return store.delete(key);
+        }).then(function() {
+            return true;
+        });
+    }
+
+    // Merge a patch into the session for a paper, creating it if needed
+    function saveSession(identity, patch) {
+        var key = getSessionKey(identity);
+        if (!key) {
+            return Promise.reject(new Error('A DOI or web URL is required to save a session'));
+        }
+
+        return findSession(identity).then(function(existing) {
+            // A different paper served from the same URL gets its own session
+            var doi = normalizeDOI(identity.doi);
+            if (existing && existing.doi && doi && existing.doi !== doi) {
+                existing = null;
+            }
+
+            var now = Date.now();
+            var session = existing ? Object.assign({}, existing) : {
+                key: key,
+                name: null,
+                doi: null,
+                urls: [],
+                createdAt: now,
+                workflow: null,
+                data: null,
+                highlights: [],
+                extraction: null
+            };
+
+            Object.keys(patch || {}).forEach(function(field) {
+                if (field !== 'key' && field !== 'urls' && patch[field] !== undefined) {
+                    session[field] = patch[field];
+                }
+            });
+
+            var url = normalizeURL(identity.url);
+            if (url && session.urls.indexOf(url) === -1) {
+                session.urls = session.urls.concat(url);
+            }
+
+            session.doi = doi || session.doi;
+            session.name = session.name || identity.title || identity.url || key;
+            session.updatedAt = now;
+
+            // A URL-only session is promoted once the DOI becomes known
+            var previousKey = session.key;
+            session.key = getSessionKey({ doi: session.doi, url: identity.url }) || previousKey;
+
+            var write = putSession(session);
+            if (previousKey !== session.key) {
+                write = write.then(function() {
+                    return deleteSession(previousKey);
+                }).then(function() {
+                    return session;
+                });
+            }
+
+            return write;
+        }).then(function(session) {
+            pruneSessions();
+            return session;
+        });
+    }
+
+    function listSessions() {
+        return withStore('readonly', function(store) {
+            return store.getAll();
+        }).then(function(sessions) {
+            return (sessions || []).sort(function(a, b) {
+                return b.updatedAt - a.updatedAt;
+            });
+        });
+    }
+
+    function renameSession(key, name) {
+        return getSession(key).then(function(session) {
+            if (!session) {
+                throw new Error('Session not found: ' + key);
+            }
+
+            session.name = name;
+            session.updatedAt = Date.now();
+            return putSession(session);
+        });
+    }
+
+    // Keep the store bounded by dropping the least recently used sessions
+    function pruneSessions() {
+        return listSessions().then(function(sessions) {
+            var stale = sessions.slice(MAX_SESSIONS);
+            return Promise.all(stale.map(function(session) {
+                return deleteSession(session.key);
+            }));
+        }).catch(function(error) {
+            console.warn('Failed to prune sessions:', error);
+        });
+    }
+
+    // Public API
+    return {
+        init: function() {
+            return openDatabase().then(function() {
+                console.log('Session store ready');
+                return true;
+            });
+        },
+
+        getSessionKey: getSessionKey,
+        normalizeURL: normalizeURL,
+        getSession: getSession,
+        findSession: findSession,
+        saveSession: saveSession,
+        listSessions: listSessions,
+        renameSession: renameSession,
+        deleteSession: deleteSession
+    };
+})();
+
+// Expose to global scope
+if (typeof self !== 'undefined') {
+    self.SessionStore = SessionStore;
+}
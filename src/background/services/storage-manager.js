@@ -416,6 +416,9 @@ var StorageManager = (function() {
             // Clear workflow state
             promises.push(this.clearWorkflowState(tabId));
             
+            // Clear ORKG write state
+            promises.push(this.remove(BackgroundTypes.STORAGE_KEYS.ORKG_WRITE_PREFIX + tabId));
+            
             // Remove tab-specific data from analysis results
             promises.push(
                 this.loadAnalysisResults().then(function(results) {
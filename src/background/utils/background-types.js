@@ -40,10 +40,55 @@ var BackgroundTypes = (function() {
         GET_PROPERTY_SUGGESTIONS: 'GET_PROPERTY_SUGGESTIONS',
         SEARCH_ORKG_PROPERTIES: 'SEARCH_ORKG_PROPERTIES',
         
+        // ORKG write operations
+        SEND_TO_ORKG: 'SEND_TO_ORKG',
+        PREVIEW_ORKG_WRITE: 'PREVIEW_ORKG_WRITE',
+        SEND_TABLE_CONTRIBUTIONS: 'SEND_TABLE_CONTRIBUTIONS',
+        PREVIEW_TABLE_CONTRIBUTIONS: 'PREVIEW_TABLE_CONTRIBUTIONS',
+        PUBLISH_ORKG_PROBLEM: 'PUBLISH_ORKG_PROBLEM',
+        PREVIEW_ORKG_TEMPLATE: 'PREVIEW_ORKG_TEMPLATE',
+        PUBLISH_ORKG_TEMPLATE: 'PUBLISH_ORKG_TEMPLATE',
+        UPDATE_ORKG_TEMPLATE: 'UPDATE_ORKG_TEMPLATE',
+        GET_ORKG_WRITE_STATE: 'GET_ORKG_WRITE_STATE',
+        CLEAR_ORKG_WRITE_STATE: 'CLEAR_ORKG_WRITE_STATE',
+        
         // Highlighting
         HIGHLIGHT_SELECTION: 'HIGHLIGHT_SELECTION',
         SHOW_PROPERTY_MODAL: 'SHOW_PROPERTY_MODAL',
         APPLY_HIGHLIGHT: 'APPLY_HIGHLIGHT',
+        TEXT_HIGHLIGHT_CREATED: 'TEXT_HIGHLIGHT_CREATED',
+        RAG_HIGHLIGHT_CREATED: 'RAG_HIGHLIGHT_CREATED',
+        TEXT_HIGHLIGHT_REMOVED: 'TEXT_HIGHLIGHT_REMOVED',
+        HIGHLIGHTS_UNANCHORED: 'HIGHLIGHTS_UNANCHORED',
+        
+        // Annotation sessions
+        FIND_SESSION: 'FIND_SESSION',
+        SAVE_SESSION: 'SAVE_SESSION',
+        RESTORE_SESSION: 'RESTORE_SESSION',
+        LIST_SESSIONS: 'LIST_SESSIONS',
+        RENAME_SESSION: 'RENAME_SESSION',
+        DELETE_SESSION: 'DELETE_SESSION',
+        GET_SESSION_HIGHLIGHTS: 'GET_SESSION_HIGHLIGHTS',
+        LIST_SESSION_METADATA: 'LIST_SESSION_METADATA',
+        
+        // Batch queue
+        BATCH_GET_STATE: 'BATCH_GET_STATE',
+        BATCH_ADD_INPUTS: 'BATCH_ADD_INPUTS',
+        BATCH_ADD_TABS: 'BATCH_ADD_TABS',
+        BATCH_REMOVE_PAPER: 'BATCH_REMOVE_PAPER',
+        BATCH_CLEAR_REVIEWED: 'BATCH_CLEAR_REVIEWED',
+        BATCH_RETRY_PAPER: 'BATCH_RETRY_PAPER',
+        BATCH_SET_TEMPLATE: 'BATCH_SET_TEMPLATE',
+        BATCH_SET_CONCURRENCY: 'BATCH_SET_CONCURRENCY',
+        BATCH_START: 'BATCH_START',
+        BATCH_PAUSE: 'BATCH_PAUSE',
+        BATCH_APPROVE_PAPER: 'BATCH_APPROVE_PAPER',
+        BATCH_REJECT_PAPER: 'BATCH_REJECT_PAPER',
+        
+        // Review of extracted values
+        RECORD_RAG_REVIEW: 'RECORD_RAG_REVIEW',
+        REMOVE_RAG_REVIEW: 'REMOVE_RAG_REVIEW',
+        GET_RAG_REVIEW_STATS: 'GET_RAG_REVIEW_STATS',
         
         // System
         CONTENT_SCRIPT_READY: 'CONTENT_SCRIPT_READY',
@@ -53,11 +98,13 @@ var BackgroundTypes = (function() {
     // Storage keys
     const STORAGE_KEYS = {
         WORKFLOW_STATE_PREFIX: 'workflowState_',
+        ORKG_WRITE_PREFIX: 'orkgWrite_',
         ANALYSIS_RESULTS: 'analysisResults',
         ANALYSIS_TIMESTAMP: 'analysisResultsTimestamp',
         TEXT_HIGHLIGHTS: 'textHighlights',
         ORKG_SETTINGS: 'orkg-settings',
-        TAB_STATES: 'tabStates'
+        TAB_STATES: 'tabStates',
+        RAG_REVIEW_DECISIONS: 'ragReviewDecisions'
     };
     
     // Default configurations
@@ -132,7 +179,8 @@ var BackgroundTypes = (function() {
             markerImages: [],
             extractedTables: [],
             extractedText: [],
-            textHighlights: []
+            textHighlights: [],
+            orkgWrite: null
         },
         
         EXTENSION_STATE: {
@@ -232,6 +280,9 @@ var BackgroundTypes = (function() {
         QUICK_FALLBACK_PREFIX: 'orkg-quick-fallback-'
     };
     
+    // Bundled PDF viewer page
+    const PDF_VIEWER_PATH = 'src/viewer/pdf-viewer.html';
+    
     // Utility functions
     function createTabState() {
         return JSON.parse(JSON.stringify(STATE_TEMPLATES.TAB_STATE));
@@ -265,8 +316,16 @@ var BackgroundTypes = (function() {
         return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
+    // The bundled PDF viewer hosts the content script itself, so scripting
+    // APIs cannot reach it but messages can
+    function isPDFViewerTab(tab) {
+        if (!tab || !tab.url || typeof chrome === 'undefined' || !chrome.runtime) return false;
+        return tab.url.startsWith(chrome.runtime.getURL(PDF_VIEWER_PATH));
+    }
+    
     function isValidTab(tab) {
         if (!tab || !tab.url) return false;
+        if (isPDFViewerTab(tab)) return true;
         if (tab.url.startsWith('chrome://')) return false;
         if (tab.url.startsWith('chrome-extension://')) return false;
         if (tab.url.startsWith('edge://')) return false;
@@ -288,6 +347,7 @@ var BackgroundTypes = (function() {
         PROPERTY_COLORS: PROPERTY_COLORS,
         FALLBACK_PREDICATES: FALLBACK_PREDICATES,
         CONTEXT_MENU_IDS: CONTEXT_MENU_IDS,
+        PDF_VIEWER_PATH: PDF_VIEWER_PATH,
         
         // Factory functions
         createTabState: createTabState,
@@ -299,6 +359,7 @@ var BackgroundTypes = (function() {
         // Utility functions
         generateId: generateId,
         isValidTab: isValidTab,
+        isPDFViewerTab: isPDFViewerTab,
         getStorageKey: getStorageKey
     };
 })();
@@ -28,6 +28,25 @@ class Config {
                 baseURL: this.getEnvVariable('OPENAI_BASE_URL', 'https://api.openai.com/v1')
             },
             
+            // LLM provider selection - 'openai' settings live in the openai section above
+            llm: {
+                provider: this.getEnvVariable('LLM_PROVIDER', 'openai'),
+                providers: {
+                    openai: {},
+                    'openai-compatible': {
+                        baseURL: this.getEnvVariable('LLM_LOCAL_BASE_URL', 'http://localhost:11434/v1'),
+                        apiKey: this.getEnvVariable('LLM_LOCAL_API_KEY', ''),
+                        model: this.getEnvVariable('LLM_LOCAL_MODEL', ''),
+                        vision: this.getEnvVariable('LLM_LOCAL_VISION', 'false') === 'true'
+                    },
+                    anthropic: {
+                        baseURL: this.getEnvVariable('ANTHROPIC_BASE_URL', 'https://api.anthropic.com/v1'),
+                        apiKey: this.getEnvVariable('ANTHROPIC_API_KEY', ''),
+                        model: this.getEnvVariable('ANTHROPIC_MODEL', 'claude-3-5-haiku-latest')
+                    }
+                }
+            },
+            
             // ORKG Configuration
             orkg: {
                 serverUrl: this.getEnvVariable('ORKG_SERVER_URL', 'https://orkg.org'),
@@ -58,6 +77,7 @@ class Config {
                 maxPageSize: 500,
                 cacheTTL: {
                     researchFields: 3600000,    // 1 hour
+                    fieldTaxonomy: 86400000,    // 1 day
                     problems: 1800000,          // 30 minutes
                     fieldProblems: 900000,      // 15 minutes
                     templates: 1800000,         // 30 minutes
@@ -93,9 +113,32 @@ class Config {
                     userAgent: 'ORKG-Annotator/2.0 (mailto:orkg@tib.eu)'
                 },
                 arxiv: {
-                    baseUrl: this.getEnvVariable('ARXIV_BASE_URL', 'http://export.arxiv.org/api/query'),
+                    baseUrl: this.getEnvVariable('ARXIV_BASE_URL', 'https://export.arxiv.org/api/query'),
                     timeout: parseInt(this.getEnvVariable('ARXIV_TIMEOUT', '15000')),
-                    maxResults: 5
+                    maxResults: 5,
+                    retryAttempts: 2,
+                    retryDelay: 3000
+                },
+                openAlex: {
+                    baseUrl: this.getEnvVariable('OPENALEX_BASE_URL', 'https://api.openalex.org'),
+                    timeout: parseInt(this.getEnvVariable('OPENALEX_TIMEOUT', '10000')),
+                    mailto: 'orkg@tib.eu',
+                    retryAttempts: 2,
+                    retryDelay: 1000
+                },
+                dataCite: {
+                    baseUrl: this.getEnvVariable('DATACITE_BASE_URL', 'https://api.datacite.org'),
+                    timeout: parseInt(this.getEnvVariable('DATACITE_TIMEOUT', '10000')),
+                    retryAttempts: 2,
+                    retryDelay: 1000
+                },
+                pubmed: {
+                    baseUrl: this.getEnvVariable('PUBMED_BASE_URL', 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils'),
+                    timeout: parseInt(this.getEnvVariable('PUBMED_TIMEOUT', '10000')),
+                    apiKey: this.getEnvVariable('PUBMED_API_KEY', ''),
+                    email: 'orkg@tib.eu',
+                    retryAttempts: 2,
+                    retryDelay: 1000
                 }
             },
             
@@ -156,7 +199,7 @@ class Config {
             
             // Metadata Extraction Configuration
             metadataExtraction: {
-                sourcePriority: ['doi_api', 'semantic_scholar', 'crossref', 'arxiv', 'dom_extraction'],
+                sourcePriority: ['doi_api', 'semantic_scholar', 'crossref', 'arxiv', 'openalex', 'datacite', 'pubmed', 'dom_extraction'],
                 searchStrategies: {
                     title: {
                         enabled: true,
@@ -365,6 +408,11 @@ class Config {
                 this.defaults.openai.apiKey = openaiKey;
             }
             
+            const llmSettings = localStorage.getItem('orkg_llm_settings');
+            if (llmSettings) {
+                this.defaults.llm = this.deepMerge(this.defaults.llm, JSON.parse(llmSettings));
+            }
+            
             const semanticScholarKey = localStorage.getItem('orkg_semantic_scholar_api_key');
             if (semanticScholarKey) {
                 this.defaults.externalApis.semanticScholar.apiKey = semanticScholarKey;
@@ -682,7 +730,7 @@ class Config {
         const validated = { ...config };
         
         if (validated.sourcePriority && Array.isArray(validated.sourcePriority)) {
-            const validSources = ['doi_api', 'semantic_scholar', 'crossref', 'arxiv', 'dom_extraction'];
+            const validSources = ['doi_api', 'semantic_scholar', 'crossref', 'arxiv', 'openalex', 'datacite', 'pubmed', 'dom_extraction'];
             validated.sourcePriority = validated.sourcePriority.filter(source => validSources.includes(source));
         }
         
@@ -793,6 +841,63 @@ class Config {
         return this.defaults.openai.apiKey;
     }
     
+    /**
+     * Get the active LLM provider type
+     */
+    getLLMProvider() {
+        return this.defaults.llm.provider || 'openai';
+    }
+    
+    /**
+     * Get connection settings for an LLM provider (defaults to the active one)
+     */
+    getLLMSettings(providerType = this.getLLMProvider()) {
+        const shared = {
+            temperature: this.defaults.openai.temperature,
+            maxTokens: this.defaults.openai.maxTokens,
+            timeout: this.defaults.openai.timeout
+        };
+        const saved = this.defaults.llm.providers[providerType] || {};
+        
+        if (providerType === 'openai') {
+            return { ...this.defaults.openai, ...saved, apiKey: this.defaults.openai.apiKey };
+        }
+        
+        return { ...shared, ...saved };
+    }
+    
+    /**
+     * Save LLM provider settings and make the provider active.
+     * Stored in chrome.storage too so the background service worker follows.
+     */
+    async setLLMSettings(providerType, settings = {}) {
+        const { apiKey, ...rest } = settings;
+        
+        this.defaults.llm.provider = providerType;
+        this.defaults.llm.providers[providerType] = {
+            ...(this.defaults.llm.providers[providerType] || {}),
+            ...rest
+        };
+        
+        if (providerType === 'openai') {
+            if (apiKey) await this.setOpenAIKey(apiKey);
+        } else if (apiKey !== undefined) {
+            this.defaults.llm.providers[providerType].apiKey = apiKey;
+        }
+        
+        try {
+            localStorage.setItem('orkg_llm_settings', JSON.stringify(this.defaults.llm));
+            if (this.storage) {
+                await this.storage.set({ orkg_llm_settings: this.defaults.llm });
+            }
+            console.log(`✅ LLM provider settings saved (${providerType})`);
+            return true;
+        } catch (error) {
+            console.warn('Could not save LLM provider settings:', error);
+            return false;
+        }
+    }
+    
     /**
      * Set Semantic Scholar API key
      */
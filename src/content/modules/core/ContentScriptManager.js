@@ -161,7 +161,11 @@
         'ragHandler',        // Handles RAG-related messages
         'markerHandler',     // Handles marker-related messages
         'extractionHandler', // Handles extraction-related messages
-        'propertyHandler'    // Handles property window messages
+        'propertyHandler',   // Handles property window messages
+        'annotationHandler', // Handles Web Annotation export/import
+        'contributionHandler', // Assigns highlights and markers to contributions
+        'historyHandler',    // Undo/redo of annotation actions
+        'keyboardAnnotationHandler' // Keyboard-driven annotation mode
       ];
       
       for (const service of handlerServices) {
@@ -13,6 +13,21 @@
  */
 import serviceRegistry from './ServiceRegistry.js';
 
+/**
+ * Actions the background service worker answers itself. On extension pages
+ * (the bundled PDF viewer) the popup's runtime broadcasts for these reach the
+ * content script too, so they are left to the background there.
+ */
+const BACKGROUND_ROUTED_ACTIONS = new Set([
+  'PING',
+  'EXTRACT_TEXT',
+  'EXTRACT_TABLES',
+  'EXTRACT_ALL',
+  'ACTIVATE_MARKERS',
+  'GET_PROPERTY_SUGGESTIONS',
+  'GET_RAG_STATUS'
+]);
+
 class MessageHandler {
   constructor() {
     this.handlers = new Map();
@@ -82,12 +97,20 @@ class MessageHandler {
         return false;
       }
       
+      if (this.isExtensionPage() && !this.isAddressedToPage(action, sender)) {
+        return false;
+      }
+      
       console.log(`📨 Received message: ${action}`);
       
       // Get handler for this action
       const handler = this.handlers.get(action);
       
       if (!handler) {
+        // Extension pages see every runtime message; let the real recipient answer
+        if (this.isExtensionPage()) {
+          return false;
+        }
         console.warn(`No handler registered for action: ${action}`);
         sendResponse({ success: false, error: `Unhandled action: ${action}` });
         return false;
@@ -174,6 +197,29 @@ class MessageHandler {
     }
   }
   
+  /**
+   * Check if the content script runs inside an extension page (PDF viewer)
+   * @returns {boolean}
+   */
+  isExtensionPage() {
+    return window.location.protocol === 'chrome-extension:';
+  }
+  
+  /**
+   * On extension pages, tell messages meant for this page apart from
+   * runtime broadcasts meant for the background
+   * @private
+   */
+  isAddressedToPage(action, sender) {
+    if (!BACKGROUND_ROUTED_ACTIONS.has(action)) {
+      return true;
+    }
+    
+    // The background forwards these actions to the tab itself
+    const worker = chrome.runtime.getManifest().background?.service_worker;
+    return !!(worker && sender?.url === chrome.runtime.getURL(worker));
+  }
+  
   /**
    * Clean up the message handler
    */
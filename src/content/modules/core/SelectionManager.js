@@ -28,6 +28,11 @@ class SelectionManager {
       autoShowWindow: true,
       enableKeyboardShortcuts: true
     };
+    
+    // Bound once so the listeners can be removed again
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleSelectionChange = this.handleSelectionChange.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
   }
   
   /**
@@ -92,14 +97,14 @@ class SelectionManager {
    */
   setupEventListeners() {
     // Handle mouseup for selection
-    document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    document.addEventListener('mouseup', this.handleMouseUp);
     
     // Handle selection changes
-    document.addEventListener('selectionchange', this.handleSelectionChange.bind(this));
+    document.addEventListener('selectionchange', this.handleSelectionChange);
     
-    // Keyboard shortcuts
+    // Keyboard shortcuts (capture phase, so keyboard mode sees keys before the page)
     if (this.config.enableKeyboardShortcuts) {
-      document.addEventListener('keydown', this.handleKeyDown.bind(this));
+      document.addEventListener('keydown', this.handleKeyDown, true);
     }
     
     console.log('🔍 Selection event listeners attached');
@@ -110,9 +115,9 @@ class SelectionManager {
    * @private
    */
   removeEventListeners() {
-    document.removeEventListener('mouseup', this.handleMouseUp.bind(this));
-    document.removeEventListener('selectionchange', this.handleSelectionChange.bind(this));
-    document.removeEventListener('keydown', this.handleKeyDown.bind(this));
+    document.removeEventListener('mouseup', this.handleMouseUp);
+    document.removeEventListener('selectionchange', this.handleSelectionChange);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
   }
   
   /**
@@ -159,7 +164,22 @@ class SelectionManager {
     if (event.ctrlKey && event.shiftKey && event.key === 'H') {
       event.preventDefault();
       this.togglePropertyWindow();
+      return;
+    }
+    
+    const keyboardMode = serviceRegistry.get('keyboardAnnotationHandler');
+    if (!keyboardMode) return;
+    
+    // Alt+Shift+K: Toggle keyboard annotation mode
+    if (event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey && event.code === 'KeyK') {
+      event.preventDefault();
+      event.stopPropagation();
+      keyboardMode.toggle();
+      return;
     }
+    
+    // Everything else only while keyboard mode is on
+    keyboardMode.handleKeyDown(event);
   }
   
   /**
@@ -108,8 +108,9 @@ class ImageExtractor {
           return;
         }
         
-        // Skip if not visible
-        if (!isElementVisible(img)) {
+        // Skip if not visible. Rendered PDF pages sit under their text layer
+        // and are mostly scrolled out of view, but always belong to the paper
+        if (!isElementVisible(img) && !img.dataset.orkgPdfPage) {
           return;
         }
         
@@ -122,6 +122,7 @@
      */
     processTableElement(table, index) {
       const rect = table.getBoundingClientRect();
+      const model = this.buildModel(table);
       
       return {
         id: table.id || `table_${index}`,
@@ -129,8 +130,9 @@
         tagName: 'TABLE',
         element: table,
         caption: this.extractCaption(table),
-        headers: this.extractHeaders(table),
-        rows: this.extractRows(table),
+        headers: this.extractHeaders(table, model),
+        rows: this.extractRows(table, model),
+        model: model,
         position: {
           top: rect.top + window.scrollY,
           left: rect.left + window.scrollX,
@@ -138,7 +140,7 @@
           height: rect.height
         },
         isVisible: this.isVisible(table),
-        content: this.extractTableContent(table)
+        content: this.extractTableContent(table, model)
       };
     }
     
@@ -166,9 +168,11 @@
       };
       
       if (table) {
-        data.headers = this.extractHeaders(table);
-        data.rows = this.extractRows(table);
-        data.content = this.extractTableContent(table);
+        const model = this.buildModel(table);
+        data.headers = this.extractHeaders(table, model);
+        data.rows = this.extractRows(table, model);
+        data.model = model;
+        data.content = this.extractTableContent(table, model);
       }
       
       // Check for table links (common in academic papers)
@@ -205,9 +209,11 @@
       };
       
       if (table) {
-        data.headers = this.extractHeaders(table);
-        data.rows = this.extractRows(table);
-        data.content = this.extractTableContent(table);
+        const model = this.buildModel(table);
+        data.headers = this.extractHeaders(table, model);
+        data.rows = this.extractRows(table, model);
+        data.model = model;
+        data.content = this.extractTableContent(table, model);
       }
       
       return data;
@@ -271,13 +277,32 @@
     }
     
     /**
-     * Extract table headers
+     * Build the shared span-expanded table model
      */
-    extractHeaders(table) {
+    buildModel(table) {
+      if (!table || !global.tableModel) return null;
+      
+      try {
+        return global.tableModel.build(table);
+      } catch (error) {
+        console.warn('Table model failed, falling back to flat cells:', error);
+        return null;
+      }
+    }
+    
+    /**
+     * Extract table headers, one label per grid column ("Group / Sub" for
+     * multi-level headers)
+     */
+    extractHeaders(table, model = this.buildModel(table)) {
       const headers = [];
       
       if (!table) return headers;
       
+      if (model) {
+        return model.columns.map(column => column.label);
+      }
+      
       // Try thead first
       const theadCells = table.querySelectorAll('thead th, thead td');
       if (theadCells.length > 0) {
@@ -300,13 +325,18 @@
     }
     
     /**
-     * Extract table rows
+     * Extract table body rows, with spanned cells repeated so every row
+     * lines up with the headers
      */
-    extractRows(table) {
+    extractRows(table, model = this.buildModel(table)) {
       const rows = [];
       
       if (!table) return rows;
       
+      if (model) {
+        return model.rows.map(row => row.cells.map(cell => cell.text));
+      }
+      
       const allRows = table.querySelectorAll('tr');
       let startIndex = 0;
       
@@ -336,12 +366,12 @@
     /**
      * Extract full table content
      */
-    extractTableContent(table) {
+    extractTableContent(table, model = this.buildModel(table)) {
       if (!table) return null;
       
       return {
-        headers: this.extractHeaders(table),
-        rows: this.extractRows(table),
+        headers: this.extractHeaders(table, model),
+        rows: this.extractRows(table, model),
         html: table.outerHTML.substring(0, 500), // First 500 chars
         text: this.cleanText(table.textContent)
       };
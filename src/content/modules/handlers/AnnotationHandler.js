@@ -0,0 +1,502 @@
+// ================================
+// src/content/modules/handlers/AnnotationHandler.js
+// ================================
+
+(function(global) {
+  'use strict';
+
+  /**
+   * AnnotationHandler Service
+   *
+   * Exports the text highlights and image/table markers on the page as
+   * W3C Web Annotation JSON-LD, and imports the same format back by
+   * re-anchoring text selectors and re-marking images and tables.
+   */
+  class AnnotationHandler {
+    constructor() {
+      this.isInitialized = false;
+      this.serializer = null;
+      this.textAnchoring = null;
+
+      console.log('📝 AnnotationHandler instance created');
+    }
+
+    /**
+     * Initialize the annotation handler
+     */
+    async init() {
+      if (this.isInitialized) {
+        console.warn('AnnotationHandler already initialized');
+        return;
+      }
+
+      console.log('📝 Initializing AnnotationHandler...');
+
+      try {
+        this.setupDependencies();
+        this.registerMessageHandlers();
+
+        this.isInitialized = true;
+        console.log('✅ AnnotationHandler initialized');
+      } catch (error) {
+        console.error('❌ Failed to initialize AnnotationHandler:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Setup dependencies
+     * @private
+     */
+    setupDependencies() {
+      this.serializer = global.webAnnotationSerializer || null;
+      this.textAnchoring = global.textAnchoring || global.serviceRegistry?.get('textAnchoring') || null;
+
+      if (!this.serializer) {
+        throw new Error('WebAnnotationSerializer not available');
+      }
+    }
+
+    /**
+     * Register message handlers with MessageHandler
+     * @private
+     */
+    registerMessageHandlers() {
+      const messageHandler = global.serviceRegistry?.get('messageHandler');
+      if (!messageHandler) {
+        console.warn('⚠️ MessageHandler not available for AnnotationHandler');
+        return;
+      }
+
+      messageHandler.registerHandler('EXPORT_ANNOTATIONS', () => this.exportAnnotations());
+      messageHandler.registerHandler('IMPORT_ANNOTATIONS', (msg) => this.importAnnotations(msg.document));
+
+      console.log('📝 Annotation message handlers registered');
+    }
+
+    // ================================
+    // Export
+    // ================================
+
+    /**
+     * Build the JSON-LD document for everything annotated on the page
+     * @returns {Object} AnnotationCollection
+     */
+    exportAnnotations() {
+      return this.serializer.serializeCollection(this.collectItems(), {
+        url: window.location.href,
+        title: document.title
+      });
+    }
+
+    downloadAnnotations() {
+      const collection = this.exportAnnotations();
+
+      if (collection.total === 0) {
+        this.showFeedback('No annotations on this page yet', 'warning');
+        return collection;
+      }
+
+      const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/ld+json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `annotations-${Date.now()}.jsonld`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+
+      this.showFeedback(`Downloaded ${collection.total} annotation${collection.total === 1 ? '' : 's'}`, 'success');
+      return collection;
+    }
+
+    /**
+     * Gather highlights and image/table markers in the serializer's item shape
+     * @private
+     */
+    collectItems() {
+      const items = [];
+      const seen = new Set();
+
+      const highlights = global.TextHighlighter?.getAllHighlights?.() || [];
+      highlights.forEach(highlight => {
+        if (seen.has(highlight.id)) return;
+        seen.add(highlight.id);
+
+        items.push({
+          kind: 'text',
+          property: this.cleanProperty(highlight.property),
+          value: highlight.value,
+          selectors: highlight.selectors,
+          text: highlight.text,
+          confidence: highlight.source === 'rag' ? highlight.confidence : undefined,
+          origin: highlight.source,
+          section: highlight.section,
+          created: highlight.timestamp
+        });
+      });
+
+      const registry = global.MarkerRegistry;
+      ['image', 'table'].forEach(type => {
+        (registry?.getByType(type) || []).forEach(markerData => {
+          const metadata = markerData.metadata || {};
+          const element = markerData.element;
+
+          items.push({
+            kind: type,
+            property: this.cleanProperty(metadata.property),
+            value: metadata.value,
+            src: type === 'image' ? (metadata.src || element?.currentSrc || element?.src || null) : null,
+            cssSelector: this.serializer.cssSelectorFor(element),
+            caption: metadata.caption || null,
+            confidence: metadata.confidence,
+            origin: metadata.source || (metadata.fromRAG ? 'rag' : 'manual'),
+            created: markerData.createdAt
+          });
+        });
+      });
+
+      return items;
+    }
+
+    cleanProperty(property) {
+      if (!property || (!property.id && !property.label)) return null;
+      return { id: property.id, label: property.label };
+    }
+
+    // ================================
+    // Import
+    // ================================
+
+    /**
+     * Apply a Web Annotation document to the page. Annotations made on
+     * another page are skipped, and elements the user already annotated
+     * differently keep their annotation and are reported as conflicts.
+     * @param {Object|string} doc - JSON-LD document or its text
+     * @returns {Promise<Object>} counts plus the annotations that could not be anchored or conflict
+     */
+    async importAnnotations(doc) {
+      const items = this.serializer.parse(doc);
+
+      const result = {
+        total: items.length,
+        imported: 0,
+        duplicates: 0,
+        otherPage: 0,
+        unanchored: [],
+        conflicts: []
+      };
+
+      for (const item of items) {
+        if (item.pageUrl && !this.isSamePage(item.pageUrl)) {
+          result.otherPage++;
+          continue;
+        }
+
+        try {
+          const outcome = item.kind === 'text'
+            ? this.importTextAnnotation(item)
+            : await this.importElementAnnotation(item);
+
+          if (outcome === 'duplicate') {
+            result.duplicates++;
+          } else if (outcome?.conflict) {
+            result.conflicts.push(outcome.conflict);
+          } else if (outcome) {
+            result.imported++;
+          } else {
+            result.unanchored.push({
+              kind: item.kind,
+              text: item.text || item.caption || item.src || item.cssSelector,
+              property: item.property?.label || null
+            });
+          }
+        } catch (error) {
+          console.warn('Failed to import annotation:', error);
+          result.unanchored.push({
+            kind: item.kind,
+            text: item.text || item.caption || item.src || item.cssSelector,
+            property: item.property?.label || null,
+            error: error.message
+          });
+        }
+      }
+
+      if (result.unanchored.length > 0) {
+        console.warn(`📝 ${result.unanchored.length} imported annotation(s) could not be anchored:`, result.unanchored);
+      }
+      if (result.conflicts.length > 0) {
+        console.warn(`📝 ${result.conflicts.length} imported annotation(s) conflict with existing markers:`, result.conflicts);
+      }
+
+      console.log('📝 Annotation import finished:', result);
+      return result;
+    }
+
+    /**
+     * @private
+     */
+    importTextAnnotation(item) {
+      const textHighlighter = global.TextHighlighter;
+      if (!textHighlighter || !this.textAnchoring) {
+        throw new Error('Text highlighting not available');
+      }
+
+      const propertyId = item.property?.id;
+      const normalizedText = this.normalizeText(item.text);
+      const existing = (textHighlighter.getAllHighlights?.() || []).find(highlight =>
+        !highlight.orphaned &&
+        highlight.property?.id === propertyId &&
+        this.normalizeText(highlight.text) === normalizedText
+      );
+
+      if (existing) return 'duplicate';
+
+      const anchored = this.textAnchoring.anchor(item.selectors);
+      if (!anchored) return null;
+
+      return textHighlighter.highlightImported({
+        range: anchored.range,
+        text: item.text,
+        property: item.property || { id: 'unknown', label: 'Unknown Property' },
+        value: item.value,
+        confidence: item.confidence ?? 1,
+        section: item.section,
+        source: item.origin === 'rag' ? 'rag' : 'manual'
+      });
+    }
+
+    /**
+     * @private
+     */
+    async importElementAnnotation(item) {
+      const element = this.findElement(item);
+      if (!element) return null;
+
+      const marker = await this.getMarkerInstance(item.kind);
+      if (!marker) {
+        throw new Error(`${item.kind} markers not available`);
+      }
+
+      const annotationData = {
+        property: item.property,
+        value: item.value,
+        confidence: item.confidence,
+        imported: true
+      };
+
+      // Element already marked: only a marker without a property takes the
+      // imported one, the user's own property and value are never replaced
+      const existing = global.MarkerRegistry?.getByElement(element)?.find(m => m.type === item.kind);
+      if (existing) {
+        const property = existing.metadata?.property;
+        if (!property?.id) {
+          marker.updateMarker(existing.id, annotationData);
+          return existing;
+        }
+
+        if (property.id === item.property?.id &&
+            (item.value === undefined || this.normalizeText(String(existing.metadata.value ?? '')) === this.normalizeText(String(item.value ?? '')))) {
+          return 'duplicate';
+        }
+
+        return {
+          conflict: {
+            kind: item.kind,
+            text: item.caption || item.src || item.cssSelector,
+            property: item.property?.label || null,
+            value: item.value ?? null,
+            existingProperty: property.label || property.id,
+            existingValue: existing.metadata.value ?? null
+          }
+        };
+      }
+
+      const metadata = item.kind === 'image'
+        ? marker.extractImageMetadata?.(element, document.images.length) || {}
+        : marker.extractTableMetadata?.(element, document.querySelectorAll('table').length) || {};
+
+      return marker.createMarker(element, {
+        ...metadata,
+        ...annotationData,
+        caption: metadata.caption || item.caption || undefined
+      });
+    }
+
+    /**
+     * @private
+     */
+    findElement(item) {
+      if (item.cssSelector) {
+        try {
+          const bySelector = document.querySelector(item.cssSelector);
+          if (bySelector && this.matchesKind(bySelector, item)) return bySelector;
+        } catch (error) {
+          console.warn('Invalid CSS selector in annotation:', item.cssSelector);
+        }
+      }
+
+      if (item.kind === 'image' && item.src) {
+        const byImageSrc = Array.from(document.images).find(img =>
+          img.currentSrc === item.src || img.src === item.src || img.getAttribute('data-src') === item.src
+        );
+        if (byImageSrc) return byImageSrc;
+      }
+
+      if (item.kind === 'table' && item.caption) {
+        const caption = this.normalizeText(item.caption);
+        return Array.from(document.querySelectorAll('table')).find(table => {
+          const own = table.querySelector('caption')?.textContent;
+          const figure = table.closest('figure')?.querySelector('figcaption')?.textContent;
+          return this.normalizeText(own) === caption || this.normalizeText(figure) === caption;
+        }) || null;
+      }
+
+      return null;
+    }
+
+    matchesKind(element, item) {
+      if (item.kind === 'table') return element.tagName === 'TABLE';
+      if (item.kind !== 'image') return true;
+
+      // Page layout may have shifted; the selector must still point at the same image
+      const isImage = ['IMG', 'SVG', 'CANVAS'].includes(element.tagName.toUpperCase());
+      return isImage && (!item.src || element.tagName !== 'IMG' ||
+        element.currentSrc === item.src || element.src === item.src);
+    }
+
+    /**
+     * Same lookup order as ContentScriptManager uses for RAG markers
+     * @private
+     */
+    async getMarkerInstance(type) {
+      const markerHandler = global.serviceRegistry?.get('markerHandler') || global.markerHandler;
+      let marker = markerHandler?.getMarker(type) || null;
+
+      if (!marker) {
+        marker = type === 'image'
+          ? global.imageMarkerInstance || global.ImageMarker?.instance
+          : global.tableMarkerInstance || global.TableMarker?.instance;
+      }
+
+      if (!marker) {
+        const MarkerClass = type === 'image' ? global.ImageMarker : global.TableMarker;
+        if (!MarkerClass) return null;
+
+        marker = new MarkerClass();
+        await marker.init();
+        global[`${type}MarkerInstance`] = marker;
+
+        if (markerHandler && typeof markerHandler.registerMarker === 'function') {
+          markerHandler.registerMarker(type, marker);
+        }
+      }
+
+      if (!marker.isActive) {
+        await marker.activate({ autoMark: false });
+      }
+
+      return marker;
+    }
+
+    /**
+     * Let the user pick a .jsonld file and import it
+     */
+    pickAndImport() {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.jsonld,.json,application/ld+json,application/json';
+
+      input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+          const result = await this.importAnnotations(await file.text());
+          const failed = result.unanchored.length;
+          const conflicts = result.conflicts.length;
+
+          let message = `Imported ${result.imported} of ${result.total} annotations`;
+          if (failed > 0) message += `, ${failed} could not be found on this page`;
+          if (conflicts > 0) message += `, ${conflicts} kept your existing annotation`;
+          if (result.otherPage > 0) message += ` (${result.otherPage} from another page skipped)`;
+
+          this.showFeedback(message, failed > 0 || conflicts > 0 ? 'warning' : 'success');
+        } catch (error) {
+          console.error('❌ Annotation import failed:', error);
+          this.showFeedback(`Import failed: ${error.message}`, 'error');
+        }
+      });
+
+      input.click();
+    }
+
+    // ================================
+    // Helpers
+    // ================================
+
+    isSamePage(url) {
+      try {
+        const strip = (u) => {
+          const parsed = new URL(u, window.location.href);
+          return parsed.origin + parsed.pathname.replace(/\/$/, '');
+        };
+        return strip(url) === strip(window.location.href);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    normalizeText(text) {
+      return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    showFeedback(message, type = 'info') {
+      const existing = document.querySelector('.orkg-feedback');
+      if (existing) {
+        existing.remove();
+      }
+
+      const feedback = document.createElement('div');
+      feedback.className = `orkg-feedback orkg-feedback-${type}`;
+      feedback.textContent = message;
+      document.body.appendChild(feedback);
+
+      requestAnimationFrame(() => {
+        feedback.classList.add('orkg-feedback-visible');
+      });
+
+      setTimeout(() => {
+        feedback.classList.remove('orkg-feedback-visible');
+        setTimeout(() => feedback.remove(), 300);
+      }, 3500);
+    }
+
+    getStatus() {
+      return {
+        isInitialized: this.isInitialized,
+        hasSerializer: !!this.serializer,
+        hasTextAnchoring: !!this.textAnchoring
+      };
+    }
+
+    cleanup() {
+      this.isInitialized = false;
+      console.log('✅ AnnotationHandler cleanup completed');
+    }
+  }
+
+  // Create instance
+  const annotationHandler = new AnnotationHandler();
+
+  // Register with service registry
+  if (global.serviceRegistry) {
+    global.serviceRegistry.register('annotationHandler', annotationHandler);
+  }
+
+  // Expose globally
+  global.annotationHandler = annotationHandler;
+  global.AnnotationHandler = AnnotationHandler;
+
+  console.log('📢 AnnotationHandler exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
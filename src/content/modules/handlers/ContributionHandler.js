@@ -0,0 +1,207 @@
+// ================================
+// src/content/modules/handlers/ContributionHandler.js
+// ================================
+
+(function(global) {
+  'use strict';
+
+  /**
+   * ContributionHandler Service
+   *
+   * Keeps the page's copy of the contributions defined in the popup and
+   * assigns highlights, markers and RAG results to one of them. The
+   * assignment is stored on highlight elements (data-contribution) and in
+   * marker metadata, where SendHandler picks it up.
+   */
+  class ContributionHandler {
+    constructor() {
+      this.isInitialized = false;
+      this.contributions = [];
+      this.activeId = null;
+      this.listeners = new Set();
+
+      console.log('🧩 ContributionHandler instance created');
+    }
+
+    async init() {
+      if (this.isInitialized) {
+        console.warn('ContributionHandler already initialized');
+        return;
+      }
+
+      this.registerMessageHandlers();
+      await this.refresh();
+
+      this.isInitialized = true;
+      console.log('✅ ContributionHandler initialized');
+    }
+
+    /**
+     * Register message handlers with MessageHandler
+     * @private
+     */
+    registerMessageHandlers() {
+      const messageHandler = global.serviceRegistry?.get('messageHandler');
+      if (!messageHandler) {
+        console.warn('⚠️ MessageHandler not available for ContributionHandler');
+        return;
+      }
+
+      // Sent by the popup whenever contributions are added, renamed, removed or switched
+      messageHandler.registerHandler('CONTRIBUTIONS_UPDATED', (msg) => {
+        this.setContributions(msg.contributions, msg.activeContributionId);
+        return { success: true };
+      });
+    }
+
+    /**
+     * Read the contributions from the write context the popup saved for this tab
+     */
+    async refresh() {
+      if (!chrome?.runtime?.id) return;
+
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'LOAD_WORKFLOW_STATE' });
+        if (response?.success && response.data) {
+          this.setContributions(response.data.contributions, response.data.activeContributionId);
+        }
+      } catch (error) {
+        console.warn('Could not load contributions:', error);
+      }
+    }
+
+    setContributions(contributions, activeId) {
+      this.contributions = (contributions || []).map(contribution => ({
+        id: contribution.id,
+        label: contribution.label || 'Contribution'
+      }));
+      this.activeId = this.contributions.some(c => c.id === activeId) ?
+        activeId :
+        (this.contributions[0]?.id || null);
+
+      this.listeners.forEach(callback => {
+        try {
+          callback(this.getContributions(), this.activeId);
+        } catch (error) {
+          console.error('Contribution listener failed:', error);
+        }
+      });
+    }
+
+    getContributions() {
+      return [...this.contributions];
+    }
+
+    getActiveId() {
+      return this.activeId;
+    }
+
+    getLabel(contributionId) {
+      return this.contributions.find(c => c.id === contributionId)?.label || null;
+    }
+
+    // Switchers are only worth showing once a paper has more than one contribution
+    hasMultiple() {
+      return this.contributions.length > 1;
+    }
+
+    /**
+     * @param {Function} callback - (contributions, activeId) => void
+     * @returns {Function} unsubscribe
+     */
+    onChange(callback) {
+      this.listeners.add(callback);
+      return () => this.listeners.delete(callback);
+    }
+
+    // ================================
+    // Assignment
+    // ================================
+
+    /**
+     * Assign highlights or markers to a contribution
+     * @param {string[]} itemIds - highlight or marker IDs
+     * @returns {number} number of items found and assigned
+     */
+    assign(itemIds, contributionId) {
+      let assigned = 0;
+
+      (itemIds || []).forEach(itemId => {
+        let found = false;
+
+        document.querySelectorAll(`[data-highlight-id="${CSS.escape(itemId)}"]`).forEach(element => {
+          element.dataset.contribution = contributionId;
+          found = true;
+        });
+
+        const highlight = global.TextHighlighter?.getHighlight?.(itemId);
+        if (highlight) {
+          highlight.contribution = contributionId;
+          found = true;
+        }
+
+        // Registry markers are keyed by marker ID, text markers also carry their highlight ID
+        const markers = global.MarkerRegistry ? [
+          global.MarkerRegistry.get(itemId),
+          ...global.MarkerRegistry.find(m => m.metadata?.highlightId === itemId)
+        ].filter(Boolean) : [];
+
+        markers.forEach(marker => {
+          this.assignMarker(marker, contributionId);
+          found = true;
+        });
+
+        if (found) assigned++;
+      });
+
+      return assigned;
+    }
+
+    assignMarker(marker, contributionId) {
+      const metadata = { ...(marker.metadata || {}), contribution: contributionId };
+      global.MarkerRegistry?.update(marker.id, { metadata: metadata });
+      marker.metadata = metadata;
+
+      const markerElement = marker.markerElement;
+      if (markerElement?.dataset.metadata) {
+        try {
+          markerElement.dataset.metadata = JSON.stringify({
+            ...JSON.parse(markerElement.dataset.metadata),
+            contribution: contributionId
+          });
+        } catch (e) {
+          console.warn('Could not update marker metadata:', e);
+        }
+      }
+    }
+
+    getStatus() {
+      return {
+        isInitialized: this.isInitialized,
+        contributions: this.contributions.length,
+        activeId: this.activeId
+      };
+    }
+
+    cleanup() {
+      this.listeners.clear();
+      this.isInitialized = false;
+      console.log('✅ ContributionHandler cleanup completed');
+    }
+  }
+
+  // Create instance
+  const contributionHandler = new ContributionHandler();
+
+  // Register with service registry
+  if (global.serviceRegistry) {
+    global.serviceRegistry.register('contributionHandler', contributionHandler);
+  }
+
+  // Expose globally
+  global.contributionHandler = contributionHandler;
+  global.ContributionHandler = ContributionHandler;
+
+  console.log('📢 ContributionHandler exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
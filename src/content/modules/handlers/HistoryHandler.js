@@ -0,0 +1,366 @@
+// ================================
+// src/content/modules/handlers/HistoryHandler.js
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const MAX_ENTRIES = 50;
+
+  /**
+   * HistoryHandler Service
+   *
+   * Undo/redo stack for annotation actions on the page: highlights created
+   * or deleted, highlights moved to another property and RAG review
+   * decisions. Each entry carries undo and redo functions written by the
+   * code that performed the action; while one of them runs, nothing new is
+   * recorded.
+   *
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes and Alt+Shift+H
+   * opens the history list. Shortcuts are left to the page while an input
+   * has focus.
+   */
+  class HistoryHandler {
+    constructor() {
+      this.isInitialized = false;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.isReplaying = false;
+      this.nextId = 1;
+      this.listeners = new Set();
+      this.panel = null;
+
+      this.handleKeydown = this.handleKeydown.bind(this);
+
+      console.log('↩️ HistoryHandler instance created');
+    }
+
+    async init() {
+      if (this.isInitialized) {
+        console.warn('HistoryHandler already initialized');
+        return;
+      }
+
+      document.addEventListener('keydown', this.handleKeydown, true);
+
+      if (global.HistoryPanel) {
+        this.panel = new global.HistoryPanel(this);
+      }
+
+      this.isInitialized = true;
+      console.log('✅ HistoryHandler initialized');
+    }
+
+    // ================================
+    // Stack
+    // ================================
+
+    /**
+     * Record an action that can be undone
+     * @param {Object} entry - { type, label, undo, redo }; undo/redo may return a promise
+     * @returns {Object|null} the recorded entry, or null while replaying
+     */
+    record(entry) {
+      if (this.isReplaying) return null;
+
+      const recorded = {
+        id: `history_${this.nextId++}`,
+        type: entry.type || 'action',
+        label: entry.label || 'Annotation change',
+        timestamp: Date.now(),
+        undo: entry.undo,
+        redo: entry.redo
+      };
+
+      this.undoStack.push(recorded);
+      if (this.undoStack.length > MAX_ENTRIES) {
+        this.undoStack = this.undoStack.slice(-MAX_ENTRIES);
+      }
+      this.redoStack = [];
+
+      this.notify();
+      return recorded;
+    }
+
+    canUndo() {
+      return this.undoStack.length > 0 && !this.isReplaying;
+    }
+
+    canRedo() {
+      return this.redoStack.length > 0 && !this.isReplaying;
+    }
+
+    async undo() {
+      if (!this.canUndo()) return false;
+
+      const entry = this.undoStack.pop();
+      const done = await this.replay(entry, 'undo');
+      if (done) {
+        this.redoStack.push(entry);
+        this.showFeedback(`Undone: ${entry.label}`, 'info');
+      }
+
+      this.notify();
+      return done;
+    }
+
+    async redo() {
+      if (!this.canRedo()) return false;
+
+      const entry = this.redoStack.pop();
+      const done = await this.replay(entry, 'redo');
+      if (done) {
+        this.undoStack.push(entry);
+        this.showFeedback(`Redone: ${entry.label}`, 'info');
+      }
+
+      this.notify();
+      return done;
+    }
+
+    /**
+     * Undo everything after and including an entry, or redo everything up
+     * to and including it, depending on which stack holds it
+     */
+    async jumpTo(entryId) {
+      if (this.undoStack.some(entry => entry.id === entryId)) {
+        while (this.undoStack.some(entry => entry.id === entryId)) {
+          if (!await this.undo()) return false;
+        }
+        return true;
+      }
+
+      while (this.redoStack.some(entry => entry.id === entryId)) {
+        if (!await this.redo()) return false;
+      }
+      return true;
+    }
+
+    // An entry that fails cannot be trusted in either direction, so it is dropped
+    async replay(entry, direction) {
+      this.isReplaying = true;
+
+      try {
+        await entry[direction]();
+        return true;
+      } catch (error) {
+        console.error(`Could not ${direction} "${entry.label}":`, error);
+        this.showFeedback(`Could not ${direction} "${entry.label}": ${error.message}`, 'error');
+        return false;
+      } finally {
+        this.isReplaying = false;
+      }
+    }
+
+    /**
+     * Entries newest first: undone entries that can be redone, then the
+     * entries that can be undone
+     */
+    getEntries() {
+      const describe = (entry) => ({
+        id: entry.id,
+        type: entry.type,
+        label: entry.label,
+        timestamp: entry.timestamp
+      });
+
+      return {
+        redo: this.redoStack.map(describe),
+        undo: [...this.undoStack].reverse().map(describe)
+      };
+    }
+
+    clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.notify();
+    }
+
+    /**
+     * @param {Function} callback - (entries) => void
+     * @returns {Function} unsubscribe
+     */
+    onChange(callback) {
+      this.listeners.add(callback);
+      return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+      const entries = this.getEntries();
+
+      this.panel?.render(entries);
+      this.listeners.forEach(callback => {
+        try {
+          callback(entries);
+        } catch (error) {
+          console.error('History listener failed:', error);
+        }
+      });
+    }
+
+    // ================================
+    // Highlight entries
+    // ================================
+
+    /**
+     * Record a new highlight. Call once the highlight is on the page.
+     */
+    recordHighlightCreated(highlightId) {
+      const highlighter = global.TextHighlighter;
+      const snapshot = highlighter?.captureHighlight?.(highlightId);
+      if (!snapshot) return null;
+
+      return this.record({
+        type: 'highlight',
+        label: `Highlight ${this.quote(snapshot.text)} as ${this.propertyLabel(snapshot.property)}`,
+        undo: () => highlighter.discardHighlight(highlightId),
+        redo: () => this.restore(snapshot)
+      });
+    }
+
+    /**
+     * Record a deleted highlight
+     * @param {Object} snapshot - TextHighlighter.captureHighlight() taken before deleting
+     */
+    recordHighlightDeleted(snapshot) {
+      const highlighter = global.TextHighlighter;
+      if (!snapshot || !highlighter) return null;
+
+      return this.record({
+        type: 'delete',
+        label: `Delete highlight ${this.quote(snapshot.text)}`,
+        undo: () => this.restore(snapshot),
+        redo: () => highlighter.discardHighlight(snapshot.id)
+      });
+    }
+
+    /**
+     * Record a highlight replaced by another, as the update action does
+     * when the property or the extent of a highlight changes
+     * @param {Object} before - snapshot of the old highlight, taken before the change
+     * @param {string} highlightId - ID of the new highlight
+     */
+    recordHighlightReplaced(before, highlightId) {
+      const highlighter = global.TextHighlighter;
+      const after = highlighter?.captureHighlight?.(highlightId);
+      if (!before || !after) return null;
+
+      return this.record({
+        type: 'update',
+        label: `Change ${this.quote(after.text)} to ${this.propertyLabel(after.property)}`,
+        undo: () => {
+          highlighter.discardHighlight(after.id);
+          return this.restore(before);
+        },
+        redo: () => {
+          highlighter.discardHighlight(before.id);
+          return this.restore(after);
+        }
+      });
+    }
+
+    restore(snapshot) {
+      const restored = global.TextHighlighter?.restoreHighlight?.(snapshot);
+      if (!restored) {
+        throw new Error('The highlighted text is no longer on the page');
+      }
+      return restored;
+    }
+
+    quote(text) {
+      const clean = String(text || '').replace(/\s+/g, ' ').trim();
+      return `"${clean.length > 40 ? clean.substring(0, 40) + '…' : clean}"`;
+    }
+
+    propertyLabel(property) {
+      return property?.label || property?.property || 'Unknown Property';
+    }
+
+    // ================================
+    // Keyboard and panel
+    // ================================
+
+    handleKeydown(e) {
+      if (this.isEditable(e.target)) return;
+
+      const modifier = e.ctrlKey || e.metaKey;
+      const key = (e.key || '').toLowerCase();
+      let action = null;
+
+      if (modifier && !e.altKey && key === 'z') {
+        action = e.shiftKey ? 'redo' : 'undo';
+      } else if (e.ctrlKey && !e.shiftKey && !e.altKey && key === 'y') {
+        action = 'redo';
+      } else if (e.altKey && e.shiftKey && !modifier && e.code === 'KeyH') {
+        e.preventDefault();
+        this.panel?.toggle();
+        return;
+      }
+
+      // With nothing to undo or redo the page keeps its own shortcut
+      if (!action || (action === 'undo' ? !this.canUndo() : !this.canRedo())) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this[action]();
+    }
+
+    isEditable(target) {
+      if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+      return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    showFeedback(message, type = 'info') {
+      const existing = document.querySelector('.orkg-feedback');
+      if (existing) existing.remove();
+
+      const feedback = document.createElement('div');
+      feedback.className = `orkg-feedback orkg-feedback-${type}`;
+      feedback.textContent = message;
+      document.body.appendChild(feedback);
+
+      requestAnimationFrame(() => {
+        feedback.classList.add('orkg-feedback-visible');
+      });
+
+      setTimeout(() => {
+        feedback.classList.remove('orkg-feedback-visible');
+        setTimeout(() => feedback.remove(), 300);
+      }, 2500);
+    }
+
+    getStatus() {
+      return {
+        isInitialized: this.isInitialized,
+        undo: this.undoStack.length,
+        redo: this.redoStack.length
+      };
+    }
+
+    cleanup() {
+      document.removeEventListener('keydown', this.handleKeydown, true);
+      this.panel?.destroy();
+      this.panel = null;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.listeners.clear();
+      this.isInitialized = false;
+      console.log('✅ HistoryHandler cleanup completed');
+    }
+  }
+
+  // Create instance
+  const historyHandler = new HistoryHandler();
+
+  // Register with service registry
+  if (global.serviceRegistry) {
+    global.serviceRegistry.register('historyHandler', historyHandler);
+  }
+
+  // Expose globally
+  global.historyHandler = historyHandler;
+  global.HistoryHandler = HistoryHandler;
+
+  console.log('📢 HistoryHandler exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,732 @@
+// ================================
+// src/content/modules/handlers/KeyboardAnnotationHandler.js
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const RECENT_STORAGE_KEY = 'orkg_recent_properties';
+  const MAX_RECENT = 9;
+
+  const BLOCK_SELECTOR = [
+    'p', 'li', 'dd', 'dt', 'td', 'th', 'caption', 'figcaption', 'blockquote', 'pre',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'section', 'article', 'body'
+  ].join(', ');
+
+  // Text that sentence navigation never lands on
+  const SKIP_SELECTOR = [
+    '.orkg-property-window',
+    '.orkg-property-palette',
+    '.orkg-keyboard-bar',
+    '.orkg-history-panel',
+    '.orkg-feedback',
+    '.orkg-marker',
+    '[data-orkg-element]:not(.orkg-marker-container)',
+    'nav', 'header', 'footer',
+    'script', 'style', 'noscript',
+    'button', 'input', 'textarea', 'select'
+  ].join(', ');
+
+  const JUMP_SELECTOR = '.orkg-highlighted, .orkg-marker-container';
+
+  // Sentence splitters break after these; papers are full of them
+  const ABBREVIATION_END = /\b(e\.g|i\.e|et al|etc|cf|vs|fig|figs|eq|eqs|ref|refs|sec|no|vol|approx|resp|ca)\.$/i;
+
+  /**
+   * KeyboardAnnotationHandler Service
+   *
+   * Keyboard-first annotation. Alt+Shift+K turns the mode on; from then
+   * on the arrow keys select text sentence by sentence, / opens the
+   * property palette, 1-9 assign the recently used properties and J/K
+   * jump between the highlights and markers already on the page. Keys are
+   * handed over by SelectionManager, and only while the mode is on.
+   *
+   * The recently used properties are kept in extension storage so they
+   * follow the user from paper to paper; properties assigned through the
+   * property window count too.
+   */
+  class KeyboardAnnotationHandler {
+    constructor() {
+      this.isInitialized = false;
+      this.isActive = false;
+      this.recentProperties = [];
+      this.focusedTarget = null;
+      this.status = '';
+      this.bar = null;
+      this.palette = null;
+
+      this.handleStorageChange = this.handleStorageChange.bind(this);
+
+      console.log('⌨️ KeyboardAnnotationHandler instance created');
+    }
+
+    async init() {
+      if (this.isInitialized) {
+        console.warn('KeyboardAnnotationHandler already initialized');
+        return;
+      }
+
+      await this.loadRecentProperties();
+      chrome?.storage?.onChanged?.addListener(this.handleStorageChange);
+
+      this.isInitialized = true;
+      console.log('✅ KeyboardAnnotationHandler initialized');
+    }
+
+    // ================================
+    // Mode
+    // ================================
+
+    toggle() {
+      if (this.isActive) {
+        this.deactivate();
+      } else {
+        this.activate();
+      }
+      return this.isActive;
+    }
+
+    activate() {
+      if (this.isActive) return;
+
+      this.isActive = true;
+      this.bar = global.KeyboardModeBar ? new global.KeyboardModeBar() : null;
+
+      const range = this.getSelectionRange();
+      this.setStatus(range ? this.describeRange(range) : '');
+    }
+
+    deactivate() {
+      if (!this.isActive) return;
+
+      this.palette?.close();
+      this.clearFocus();
+      this.bar?.destroy();
+      this.bar = null;
+      this.isActive = false;
+      this.status = '';
+    }
+
+    /**
+     * Handle a key while the mode is on
+     * @param {KeyboardEvent} e
+     * @returns {boolean} true if the key was used
+     */
+    handleKeyDown(e) {
+      if (!this.isActive || this.palette?.isOpen()) return false;
+      // Ctrl/Cmd/Alt combinations stay with undo/redo and the browser
+      if (e.ctrlKey || e.metaKey || e.altKey) return false;
+      if (this.isEditable(e.target)) return false;
+
+      const key = e.key;
+
+      if (key === 'ArrowRight' || key === 'ArrowLeft') {
+        const direction = key === 'ArrowRight' ? 1 : -1;
+        if (e.shiftKey) {
+          this.extendSelection(direction);
+        } else {
+          this.selectSentence(direction);
+        }
+      } else if (key === '/' || key === 'Enter') {
+        this.openPalette();
+      } else if (/^[1-9]$/.test(key)) {
+        this.assignRecent(Number(key) - 1);
+      } else if (key === 'j' || key === 'J') {
+        this.jumpToMarker(1);
+      } else if (key === 'k' || key === 'K') {
+        this.jumpToMarker(-1);
+      } else if (key === '?') {
+        this.bar?.toggleHelp(this.getBarState());
+      } else if (key === 'Escape') {
+        this.deactivate();
+      } else {
+        return false;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      return true;
+    }
+
+    // ================================
+    // Sentence selection
+    // ================================
+
+    /**
+     * Select the sentence after (or before) the current selection. With
+     * only a caret, the sentence around it; with nothing at all, the
+     * first sentence on screen.
+     */
+    selectSentence(direction) {
+      const selection = window.getSelection();
+      const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+      const usable = range && !this.isSkipped(range.commonAncestorContainer) ? range : null;
+
+      let point = null;
+      if (usable) {
+        point = direction > 0 ?
+          { node: usable.endContainer, offset: usable.endOffset, collapsed: usable.collapsed } :
+          { node: usable.startContainer, offset: usable.startOffset, collapsed: usable.collapsed };
+      } else if (this.focusedTarget?.isConnected) {
+        const around = document.createRange();
+        around.selectNode(this.focusedTarget);
+        point = direction > 0 ?
+          { node: around.endContainer, offset: around.endOffset, collapsed: false } :
+          { node: around.startContainer, offset: around.startOffset, collapsed: false };
+      }
+
+      const sentence = point ?
+        this.findSentence(point, direction) :
+        this.findFirstVisibleSentence();
+
+      if (!sentence) {
+        this.setStatus(direction > 0 ? 'No more sentences below' : 'No more sentences above');
+        return null;
+      }
+
+      this.setSelection(sentence);
+      return sentence;
+    }
+
+    /**
+     * Grow the selection by the next sentence, or shrink it by its last
+     * one. The selection stays inside the paragraph it starts in.
+     */
+    extendSelection(direction) {
+      const range = this.getSelectionRange();
+      if (!range) {
+        return direction > 0 ? this.selectSentence(1) : null;
+      }
+
+      const block = this.getBlock(range.startContainer);
+      const index = this.buildIndex(block);
+      if (!index) return null;
+
+      const start = global.textAnchoring.pointToOffset(range.startContainer, range.startOffset, index);
+      const end = global.textAnchoring.pointToOffset(range.endContainer, range.endOffset, index);
+      const sentences = this.splitSentences(index.text);
+
+      let newEnd;
+      if (direction > 0) {
+        newEnd = sentences.find(sentence => sentence.end > end)?.end;
+        if (newEnd === undefined) {
+          this.setStatus('End of the paragraph');
+          return null;
+        }
+      } else {
+        newEnd = sentences.map(sentence => sentence.end).filter(value => value > start && value < end).pop();
+        if (newEnd === undefined) {
+          this.setStatus('The selection is a single sentence');
+          return null;
+        }
+      }
+
+      const extended = global.textAnchoring.offsetsToRange(start, newEnd, index);
+      if (extended) {
+        this.setSelection(extended);
+      }
+      return extended;
+    }
+
+    findSentence(point, direction) {
+      let block = this.getBlock(point.node);
+      let boundary = point;
+      let collapsed = point.collapsed;
+
+      while (block) {
+        const index = this.buildIndex(block);
+        if (index) {
+          const offset = global.textAnchoring.pointToOffset(boundary.node, boundary.offset, index);
+          const sentences = this.splitSentences(index.text);
+
+          // A caret selects the sentence it is in; a selection moves past itself
+          const sentence = direction > 0 ?
+            sentences.find(s => collapsed ? s.end > offset : s.start >= offset) :
+            sentences.filter(s => collapsed ? s.start < offset : s.end <= offset).pop();
+
+          if (sentence) {
+            return global.textAnchoring.offsetsToRange(sentence.start, sentence.end, index);
+          }
+        }
+
+        // Continue in the next block, searching from its edge
+        const next = this.getAdjacentBlock(block, direction);
+        if (!next) return null;
+
+        const edge = document.createRange();
+        if (direction > 0) {
+          edge.setStartAfter(block);
+        } else {
+          edge.setStartBefore(block);
+        }
+        boundary = { node: edge.startContainer, offset: edge.startOffset };
+        collapsed = false;
+        block = next;
+      }
+
+      return null;
+    }
+
+    findFirstVisibleSentence() {
+      const walker = this.createTextWalker();
+      let node;
+
+      while ((node = walker.nextNode())) {
+        const rect = node.parentElement.getBoundingClientRect();
+        if (rect.bottom < 0) continue;
+
+        const block = this.getBlock(node);
+        const index = this.buildIndex(block);
+        const start = index ? global.textAnchoring.pointToOffset(node, 0, index) : -1;
+        const sentence = index ? this.splitSentences(index.text).find(s => s.end > start) : null;
+
+        if (sentence) {
+          return global.textAnchoring.offsetsToRange(sentence.start, sentence.end, index);
+        }
+      }
+
+      return null;
+    }
+
+    getAdjacentBlock(block, direction) {
+      const walker = this.createTextWalker();
+      walker.currentNode = block;
+
+      let node;
+      while ((node = direction > 0 ? walker.nextNode() : walker.previousNode())) {
+        if (block.contains(node)) continue;
+        return this.getBlock(node);
+      }
+      return null;
+    }
+
+    createTextWalker() {
+      return document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+          if (!node.nodeValue.trim() || this.isSkipped(node)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          const parent = node.parentElement;
+          if (parent.checkVisibility && !parent.checkVisibility()) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      });
+    }
+
+    getBlock(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return element?.closest(BLOCK_SELECTOR) || document.body;
+    }
+
+    buildIndex(block) {
+      if (!global.textAnchoring || !block) return null;
+      const index = global.textAnchoring.buildIndex(block);
+      return index.text.trim() ? index : null;
+    }
+
+    /**
+     * Sentence offsets in a block's text, without surrounding whitespace
+     * @returns {Array} [{ start, end }]
+     */
+    splitSentences(text) {
+      const pieces = [];
+
+      if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: 'sentence' });
+        for (const segment of segmenter.segment(text)) {
+          pieces.push({ start: segment.index, end: segment.index + segment.segment.length });
+        }
+      } else {
+        const regex = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+        let match;
+        while ((match = regex.exec(text)) !== null && match[0]) {
+          pieces.push({ start: match.index, end: match.index + match[0].length });
+        }
+      }
+
+      const sentences = [];
+      pieces.forEach(piece => {
+        const previous = sentences[sentences.length - 1];
+        if (previous && ABBREVIATION_END.test(text.substring(previous.start, previous.end).trim())) {
+          previous.end = piece.end;
+        } else {
+          sentences.push({ ...piece });
+        }
+      });
+
+      return sentences
+        .map(sentence => {
+          const value = text.substring(sentence.start, sentence.end);
+          const leading = value.length - value.trimStart().length;
+          const trailing = value.length - value.trimEnd().length;
+          return { start: sentence.start + leading, end: sentence.end - trailing };
+        })
+        .filter(sentence => sentence.end > sentence.start);
+    }
+
+    setSelection(range) {
+      this.clearFocus();
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      const element = range.startContainer.nodeType === Node.ELEMENT_NODE ?
+        range.startContainer : range.startContainer.parentElement;
+      this.scrollIntoView(element, range.getBoundingClientRect());
+      this.setStatus(this.describeRange(range));
+    }
+
+    getSelectionRange() {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+      const range = selection.getRangeAt(0);
+      return this.isSkipped(range.commonAncestorContainer) ? null : range;
+    }
+
+    describeRange(range) {
+      const text = range.toString();
+      return `Selected ${this.quote(text)} (${text.length} characters)`;
+    }
+
+    // ================================
+    // Marker navigation
+    // ================================
+
+    jumpToMarker(direction) {
+      const targets = Array.from(document.querySelectorAll(JUMP_SELECTOR))
+        .filter(element => !element.parentElement?.closest('.orkg-highlighted'));
+
+      if (targets.length === 0) {
+        this.setStatus('No highlights or markers on this page yet');
+        return null;
+      }
+
+      let reference = this.focusedTarget?.isConnected ? this.focusedTarget : null;
+      if (!reference) {
+        const range = this.getSelectionRange();
+        reference = range ? (direction > 0 ? range.endContainer : range.startContainer) : null;
+      }
+
+      let target;
+      if (reference) {
+        const after = (element) => element !== reference && !element.contains(reference) &&
+          (reference.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+        target = direction > 0 ?
+          targets.find(after) || targets[0] :
+          targets.filter(element => element !== reference && !after(element) && !element.contains(reference)).pop() ||
+            targets[targets.length - 1];
+      } else {
+        // Nothing selected yet: start from what is on screen
+        target = direction > 0 ?
+          targets.find(element => element.getBoundingClientRect().bottom >= 0) || targets[0] :
+          targets.filter(element => element.getBoundingClientRect().top < window.innerHeight).pop() || targets[targets.length - 1];
+      }
+
+      this.focusTarget(target, targets.indexOf(target) + 1, targets.length);
+      return target;
+    }
+
+    focusTarget(target, position, total) {
+      this.clearFocus();
+      window.getSelection()?.removeAllRanges();
+
+      this.focusedTarget = target;
+      target.classList.add('orkg-keyboard-focus');
+      this.scrollIntoView(target, target.getBoundingClientRect());
+
+      let description;
+      if (target.classList.contains('orkg-highlighted')) {
+        const label = target.dataset.propertyLabel || 'Unknown Property';
+        description = `${label}: ${this.quote(this.getHighlightText(target))}`;
+      } else {
+        const type = target.querySelector('.orkg-marker')?.dataset.markerType || 'element';
+        description = `${type.charAt(0).toUpperCase()}${type.slice(1)} marker`;
+      }
+
+      this.setStatus(`${description} (${position} of ${total})`);
+    }
+
+    clearFocus() {
+      this.focusedTarget?.classList.remove('orkg-keyboard-focus');
+      this.focusedTarget = null;
+    }
+
+    getHighlightText(element) {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll('.orkg-marker').forEach(marker => marker.remove());
+      return clone.textContent;
+    }
+
+    // ================================
+    // Assigning properties
+    // ================================
+
+    openPalette() {
+      const range = this.getSelectionRange();
+      const highlight = !range && this.focusedTarget?.classList.contains('orkg-highlighted') ? this.focusedTarget : null;
+
+      if (!range && !highlight) {
+        this.setStatus('Select a sentence or jump to a highlight first');
+        return;
+      }
+
+      if (!this.palette && global.PropertyPalette) {
+        this.palette = new global.PropertyPalette();
+      }
+      if (!this.palette) return;
+
+      // Focusing the search box can drop the page selection, so keep a copy
+      const savedRange = range?.cloneRange() || null;
+
+      this.palette.open({
+        text: savedRange ? savedRange.toString() : this.getHighlightText(highlight),
+        recent: this.recentProperties,
+        onSelect: (property) => this.assign(property, savedRange, highlight),
+        onClose: () => {
+          if (savedRange && this.isActive && !savedRange.collapsed && window.getSelection().isCollapsed) {
+            window.getSelection().addRange(savedRange);
+          }
+        }
+      });
+    }
+
+    assignRecent(position) {
+      const property = this.recentProperties[position];
+      if (!property) {
+        this.setStatus(`No recently used property on ${position + 1} yet`);
+        return;
+      }
+
+      this.assign(property);
+    }
+
+    /**
+     * Highlight the selection with a property, or move the focused
+     * highlight to it
+     */
+    async assign(property, range = this.getSelectionRange(), highlight = null) {
+      const target = highlight ||
+        (!range && this.focusedTarget?.classList.contains('orkg-highlighted') ? this.focusedTarget : null);
+
+      try {
+        if (range && !range.collapsed) {
+          await this.highlightRange(range, property);
+        } else if (target) {
+          this.reassignHighlight(target, property);
+        } else {
+          this.setStatus('Select a sentence or jump to a highlight first');
+        }
+      } catch (error) {
+        console.error('Keyboard assignment failed:', error);
+        this.setStatus(`Could not assign ${property.label}: ${error.message}`);
+      }
+    }
+
+    async highlightRange(range, property) {
+      const highlighter = global.TextHighlighter;
+      if (!highlighter) throw new Error('Highlighting is not available');
+
+      const text = range.toString().trim();
+      const color = this.getColor(property);
+      const result = await highlighter.highlightRange(range.cloneRange(), {
+        property: this.toProperty(property),
+        color: color,
+        text: text,
+        source: 'manual'
+      });
+
+      if (!result) throw new Error('The selection could not be highlighted');
+
+      global.historyHandler?.recordHighlightCreated(result.id);
+      this.rememberProperty(property, color);
+
+      // Leave the caret after the highlight so → moves on to the next sentence
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      if (result.element?.isConnected) {
+        const caret = document.createRange();
+        caret.setStartAfter(result.element);
+        caret.collapse(true);
+        selection.addRange(caret);
+      }
+
+      this.setStatus(`Highlighted ${this.quote(text)} as ${property.label}`);
+    }
+
+    reassignHighlight(element, property) {
+      const highlighter = global.TextHighlighter;
+      const highlightId = element.dataset.highlightId;
+      const before = highlighter?.captureHighlight?.(highlightId);
+      if (!before) throw new Error('The highlight could not be read');
+
+      const color = this.getColor(property);
+      highlighter.discardHighlight(highlightId);
+
+      const restored = highlighter.restoreHighlight({ ...before, property: this.toProperty(property), color: color });
+      if (!restored) {
+        highlighter.restoreHighlight(before);
+        throw new Error('The highlighted text is no longer on the page');
+      }
+
+      global.historyHandler?.recordHighlightReplaced(before, highlightId);
+      this.rememberProperty(property, color);
+
+      if (restored.element?.isConnected) {
+        this.focusedTarget = restored.element;
+        restored.element.classList.add('orkg-keyboard-focus');
+      }
+      this.setStatus(`Changed ${this.quote(before.text)} to ${property.label}`);
+    }
+
+    toProperty(property) {
+      return {
+        id: property.id,
+        label: property.label,
+        description: property.description || '',
+        source: 'orkg'
+      };
+    }
+
+    getColor(property) {
+      return property.color ||
+        this.recentProperties.find(recent => recent.id === property.id)?.color ||
+        global.propertyWindow?.getRandomColor?.() ||
+        '#FFE4B5';
+    }
+
+    // ================================
+    // Recently used properties
+    // ================================
+
+    /**
+     * Move a property to the front of the recently used list
+     * @param {Object} property - { id, label, description? }
+     * @param {string} [color] - Highlight color used with it
+     */
+    rememberProperty(property, color) {
+      if (!property?.id || !property.label) return;
+
+      const entry = {
+        id: property.id,
+        label: property.label,
+        description: property.description || '',
+        color: color || property.color || null
+      };
+
+      this.recentProperties = [entry, ...this.recentProperties.filter(recent => recent.id !== entry.id)]
+        .slice(0, MAX_RECENT);
+
+      this.saveRecentProperties();
+      this.renderBar();
+    }
+
+    getRecentProperties() {
+      return [...this.recentProperties];
+    }
+
+    async loadRecentProperties() {
+      try {
+        const stored = await chrome?.storage?.local?.get(RECENT_STORAGE_KEY);
+        const recent = stored?.[RECENT_STORAGE_KEY];
+        this.recentProperties = Array.isArray(recent) ? recent.slice(0, MAX_RECENT) : [];
+      } catch (error) {
+        console.warn('Could not load recently used properties:', error);
+      }
+    }
+
+    saveRecentProperties() {
+      try {
+        chrome?.storage?.local?.set({ [RECENT_STORAGE_KEY]: this.recentProperties })
+          ?.catch?.(error => console.warn('Could not save recently used properties:', error));
+      } catch (error) {
+        console.warn('Could not save recently used properties:', error);
+      }
+    }
+
+    // Another tab annotating at the same time
+    handleStorageChange(changes, area) {
+      if (area !== 'local' || !changes[RECENT_STORAGE_KEY]) return;
+
+      const recent = changes[RECENT_STORAGE_KEY].newValue;
+      this.recentProperties = Array.isArray(recent) ? recent.slice(0, MAX_RECENT) : [];
+      this.renderBar();
+    }
+
+    // ================================
+    // Helpers
+    // ================================
+
+    setStatus(message) {
+      this.status = message;
+      this.renderBar();
+    }
+
+    getBarState() {
+      return { status: this.status, recent: this.recentProperties };
+    }
+
+    renderBar() {
+      if (this.isActive) {
+        this.bar?.render(this.getBarState());
+      }
+    }
+
+    scrollIntoView(element, rect) {
+      if (!element) return;
+      if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        element.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+      }
+    }
+
+    isSkipped(node) {
+      const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+      return !element || !!element.closest(SKIP_SELECTOR);
+    }
+
+    isEditable(target) {
+      if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+      return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    quote(text) {
+      const clean = String(text || '').replace(/\s+/g, ' ').trim();
+      return `"${clean.length > 40 ? clean.substring(0, 40) + '…' : clean}"`;
+    }
+
+    getStatus() {
+      return {
+        isInitialized: this.isInitialized,
+        isActive: this.isActive,
+        recentProperties: this.recentProperties.length
+      };
+    }
+
+    cleanup() {
+      this.deactivate();
+      this.palette?.destroy();
+      this.palette = null;
+      chrome?.storage?.onChanged?.removeListener(this.handleStorageChange);
+      this.isInitialized = false;
+      console.log('✅ KeyboardAnnotationHandler cleanup completed');
+    }
+  }
+
+  // Create instance
+  const keyboardAnnotationHandler = new KeyboardAnnotationHandler();
+
+  // Register with service registry
+  if (global.serviceRegistry) {
+    global.serviceRegistry.register('keyboardAnnotationHandler', keyboardAnnotationHandler);
+  }
+
+  // Expose globally
+  global.keyboardAnnotationHandler = keyboardAnnotationHandler;
+  global.KeyboardAnnotationHandler = KeyboardAnnotationHandler;
+
+  console.log('📢 KeyboardAnnotationHandler exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
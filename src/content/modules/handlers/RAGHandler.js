@@ -21,6 +21,7 @@
                 overlayManager: null,
                 textHighlighter: null,
                 textSearchUtility: null,
+                textAnchoring: null,
                 textMarker: null,
                 imageMarker: null,
                 ragLogger: null
@@ -109,6 +110,11 @@
                 (typeof TextSearchUtility !== 'undefined' ? new TextSearchUtility() : null) ||
                 registry?.get('textSearchUtility');
             
+            // Get TextAnchoring for highlights that carry stored selectors
+            this.dependencies.textAnchoring = 
+                global.textAnchoring ||
+                registry?.get('textAnchoring');
+            
             // Get markers
             this.dependencies.textMarker = 
                 registry?.get('textMarker') ||
@@ -127,6 +133,7 @@
                 overlayManager: !!this.dependencies.overlayManager,
                 textHighlighter: !!this.dependencies.textHighlighter,
                 textSearchUtility: !!this.dependencies.textSearchUtility,
+                textAnchoring: !!this.dependencies.textAnchoring,
                 textMarker: !!this.dependencies.textMarker,
                 imageMarker: !!this.dependencies.imageMarker,
                 ragLogger: !!this.dependencies.ragLogger
@@ -309,6 +316,12 @@
                 // Process highlights in batches
                 const results = await this.processHighlightBatches(highlights);
                 
+                // Report highlights that could not be anchored instead of dropping them
+                const unanchored = results.filter(result => !result.success);
+                if (unanchored.length > 0) {
+                    this.reportUnanchored(unanchored, highlights);
+                }
+                
                 // Auto-hide overlay if configured
                 if (this.config.autoHideOverlay) {
                     setTimeout(() => {
@@ -319,6 +332,7 @@
                 return { 
                     success: true, 
                     results,
+                    unanchored: unanchored.map(result => result.highlightId),
                     stats: this.state.processingStats
                 };
                 
@@ -552,6 +566,15 @@
          * @private
          */
         async findTextRange(highlight) {
+            // Stored W3C selectors are more reliable than searching for the text
+            if (highlight.selectors && this.dependencies.textAnchoring) {
+                const anchored = this.dependencies.textAnchoring.anchor(highlight.selectors);
+                if (anchored) {
+                    highlight.anchorMethod = anchored.method;
+                    return anchored.range;
+                }
+            }
+            
             if (!this.dependencies.textSearchUtility) {
                 console.warn('TextSearchUtility not available, using fallback');
                 return this.fallbackFindText(highlight.sentence || highlight.text);
@@ -568,6 +591,39 @@
             );
         }
         
+        /**
+         * Tell the extension which highlights have no place on the page
+         * @private
+         */
+        reportUnanchored(failedResults, highlights) {
+            const byId = new Map(highlights.map(highlight => [highlight.id, highlight]));
+            const unanchored = failedResults.map(result => {
+                const highlight = byId.get(result.highlightId) || {};
+                return {
+                    id: result.highlightId,
+                    text: highlight.sentence || highlight.text || '',
+                    propertyId: highlight.propertyId || highlight.property?.id || null,
+                    reason: result.error
+                };
+            });
+            
+            console.warn(`⚓ ${unanchored.length} highlight(s) could not be anchored:`, unanchored);
+            
+            if (this.dependencies.ragLogger) {
+                this.dependencies.ragLogger.addLog?.(
+                    `${unanchored.length} highlight(s) could not be found on this page`,
+                    'warning'
+                );
+            }
+            
+            chrome.runtime.sendMessage({
+                action: 'HIGHLIGHTS_UNANCHORED',
+                data: { highlights: unanchored, reason: 'apply' }
+            }).catch(() => {
+                // Extension context may be gone
+            });
+        }
+        
         /**
          * Fallback text search when TextSearchUtility is not available
          * @private
@@ -615,7 +671,8 @@
                 },
                 confidence: highlight.confidence || 0.5,
                 section: highlight.section,
-                sentenceIndex: highlight.sentenceIndex
+                sentenceIndex: highlight.sentenceIndex,
+                value: highlight.value
             };
             
             // Use TextHighlighter's RAG highlighting method
@@ -842,6 +899,7 @@
                 overlayManager: null,
                 textHighlighter: null,
                 textSearchUtility: null,
+                textAnchoring: null,
                 textMarker: null,
                 imageMarker: null,
                 ragLogger: null
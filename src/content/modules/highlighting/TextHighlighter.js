@@ -17,12 +17,16 @@
         let lastSelectedRange = null;
         let ragHighlights = new Map();
         let isInitialized = false;
+        let anchorObserver = null;
+        let anchorCheckTimeout = null;
         
         // Dependencies
         let textSearchUtility = null;
+        let textAnchoring = null;
         
         // Configuration
         const CONFIG = {
+            MARKER_ELEMENTS: '.orkg-marker, .orkg-marker-menu, .orkg-marker-tooltip, .orkg-marker-icon-container, .orkg-marker-type-indicator',
             MIN_SELECTION_LENGTH: 2,
             MAX_SELECTION_LENGTH: 500,
             DEFAULT_COLORS: [
@@ -31,6 +35,9 @@
                 '#87CEEB', '#FFA07A', '#FFEFD5', '#F0FFF0'
             ],
             TOOLTIP_DELAY: 300,
+            REANCHOR_DELAY: 500,
+            // Orphaned highlights are retried with a doubling delay, then given up on
+            MAX_REANCHOR_ATTEMPTS: 5,
             CONFIDENCE_THRESHOLDS: {
                 HIGH: 0.8,
                 MEDIUM: 0.5
@@ -65,6 +72,7 @@
             }
             
             setupSelectionHandler();
+            startAnchorWatch();
             isInitialized = true;
             console.log('✅ TextHighlighter initialized');
             return true;
@@ -79,6 +87,8 @@
             if (textSearchUtility) {
                 console.log('✅ TextHighlighter: Using TextSearchUtility for advanced search');
             }
+            
+            textAnchoring = global.textAnchoring || global.serviceRegistry?.get('textAnchoring') || null;
         }
         
         // ================================
@@ -182,6 +192,11 @@
                 const highlightId = existingHighlightId || generateHighlightId();
                 const finalColor = color || getRandomColor();
                 
+                // Describe the range before wrapping it, so the selectors match the page text
+                const selectors = editMode && existingHighlightId
+                    ? highlights.get(existingHighlightId)?.selectors || null
+                    : describeRange(range);
+                
                 let span;
                 if (editMode && existingHighlightId) {
                     span = document.querySelector(`[data-highlight-id="${existingHighlightId}"]`);
@@ -203,6 +218,8 @@
                     text: text,
                     property: property,
                     color: finalColor,
+                    selectors: selectors,
+                    contribution: span.dataset.contribution || null,
                     timestamp: Date.now(),
                     source: 'manual',
                     editable: true
@@ -254,7 +271,8 @@
                 confidence,
                 section,
                 sentenceIndex,
-                color
+                color,
+                value
             } = ragData;
             
             // Validate inputs
@@ -265,6 +283,7 @@
             
             const highlightId = generateHighlightId('rag');
             const finalColor = color || property?.color || getPropertyColorFromRAG(property);
+            const selectors = describeRange(range);
             
             // Create the highlight element
             const span = createRAGHighlightElement(range, highlightId, property, finalColor, confidence);
@@ -283,6 +302,9 @@
                 confidence: confidence || 0,
                 section: section,
                 sentenceIndex: sentenceIndex,
+                value: value !== undefined ? value : null,
+                selectors: selectors,
+                contribution: span.dataset.contribution || null,
                 timestamp: Date.now(),
                 source: 'rag'
             };
@@ -308,6 +330,57 @@
             return highlightData;
         }
         
+        /**
+         * Create a highlight from an imported annotation that has already been anchored
+         */
+        function highlightImported(annotation) {
+            const { range, property, color, value } = annotation;
+            
+            if (annotation.source === 'rag') {
+                return highlightFromRAG(annotation);
+            }
+            
+            if (!range) {
+                console.error('No range provided for imported highlight');
+                return null;
+            }
+            
+            const highlightId = generateHighlightId();
+            const finalColor = color || property?.color || getRandomColor();
+            const selectors = describeRange(range);
+            
+            const span = createHighlightElement(range, highlightId, property, finalColor);
+            if (!span) {
+                console.error('Failed to create imported highlight element');
+                return null;
+            }
+            
+            const highlightData = {
+                id: highlightId,
+                element: span,
+                text: annotation.text || span.textContent,
+                property: property || { id: 'unknown', label: 'Unknown Property' },
+                color: finalColor,
+                value: value !== undefined ? value : null,
+                selectors: selectors,
+                timestamp: Date.now(),
+                source: 'manual',
+                imported: true,
+                editable: true
+            };
+            
+            highlights.set(highlightId, highlightData);
+            
+            if (textMarker && typeof textMarker.createMarker === 'function') {
+                requestAnimationFrame(() => {
+                    createTextMarkerForHighlight(span, highlightData);
+                });
+            }
+            
+            sendHighlightToExtension(highlightData);
+            return highlightData;
+        }
+        
         /**
          * Create highlight from a Range object
          * Used by RAGHandler for creating highlights
@@ -329,6 +402,7 @@
                 highlightSpan.dataset.highlightId = highlightId;
                 highlightSpan.dataset.property = JSON.stringify(metadata.property || {});
                 highlightSpan.dataset.propertyLabel = metadata.property?.label || '';
+                const contribution = assignContribution(highlightSpan, metadata.contribution);
                 highlightSpan.style.backgroundColor = metadata.color || '#ffeb3b';
                 highlightSpan.style.color = 'inherit';
                 highlightSpan.style.position = 'relative';
@@ -358,6 +432,7 @@
                 if (global.TextMarker?.createMarkerForHighlight) {
                     global.TextMarker.createMarkerForHighlight(highlightSpan, {
                         ...metadata,
+                        contribution: contribution,
                         highlightId: highlightId,
                         text: text
                     });
@@ -385,6 +460,7 @@
             span.dataset.highlightId = highlightId;
             span.dataset.property = JSON.stringify(property);
             span.dataset.propertyLabel = property.label || property.property;
+            assignContribution(span);
             
             span.style.cssText = `
                 background-color: ${color} !important;
@@ -412,6 +488,7 @@
                 span.dataset.propertyLabel = property?.label || property?.property || 'Unknown';
                 span.dataset.confidence = confidence || 0;
                 span.dataset.source = 'rag';
+                assignContribution(span);
                 
                 span.style.cssText = `
                     background-color: ${color} !important;
@@ -435,6 +512,15 @@
             }
         }
         
+        // New highlights belong to the contribution active in the popup unless one is given
+        function assignContribution(span, contribution = null) {
+            const contributionId = contribution || global.contributionHandler?.getActiveId() || null;
+            if (contributionId) {
+                span.dataset.contribution = contributionId;
+            }
+            return contributionId;
+        }
+        
         function updateHighlightElement(span, property, color) {
             span.dataset.property = JSON.stringify(property);
             span.dataset.propertyLabel = property.label || property.property;
@@ -458,9 +544,16 @@
                     text: highlightData.text,
                     property: highlightData.property,
                     color: highlightData.color,
+                    selectors: highlightData.selectors,
+                    contribution: highlightData.contribution || null,
                     source: highlightData.source || 'manual'
                 };
                 
+                // Restored highlights get their marker back under its old ID
+                if (highlightData.markerId) {
+                    markerMetadata.id = highlightData.markerId;
+                }
+                
                 console.log('📍 Creating text marker with metadata:', markerMetadata);
                 
                 const marker = textMarker.createMarker(span, markerMetadata);
@@ -496,9 +589,15 @@
                     confidence: highlightData.confidence,
                     section: highlightData.section,
                     sentenceIndex: highlightData.sentenceIndex,
+                    selectors: highlightData.selectors,
+                    contribution: highlightData.contribution || null,
                     source: 'rag'
                 };
                 
+                if (highlightData.markerId) {
+                    markerMetadata.id = highlightData.markerId;
+                }
+                
                 const marker = textMarker.createMarker(span, markerMetadata);
                 if (marker) {
                     styleRAGMarker(marker, highlightData.confidence);
@@ -868,6 +967,154 @@
             return modal;
         }
         
+        // ================================
+        // Re-anchoring
+        // ================================
+        
+        function describeRange(range) {
+            if (!textAnchoring) return null;
+            
+            try {
+                return textAnchoring.describe(range);
+            } catch (error) {
+                console.warn('Could not describe highlight range:', error);
+                return null;
+            }
+        }
+        
+        // Publisher pages that re-render or lazy-load content replace our spans
+        function startAnchorWatch() {
+            if (anchorObserver || typeof MutationObserver === 'undefined' || !document.body) return;
+            
+            // Only element insertions and removals can detach our spans; text edits cannot
+            anchorObserver = new MutationObserver(() => {
+                if (highlights.size === 0) return;
+                scheduleReanchor(CONFIG.REANCHOR_DELAY);
+            });
+            
+            observeAnchors();
+        }
+        
+        function observeAnchors() {
+            anchorObserver?.observe(document.body, { childList: true, subtree: true });
+        }
+        
+        function scheduleReanchor(delay) {
+            clearTimeout(anchorCheckTimeout);
+            anchorCheckTimeout = setTimeout(() => reanchorDetachedHighlights(), delay);
+        }
+        
+        function stopAnchorWatch() {
+            clearTimeout(anchorCheckTimeout);
+            anchorObserver?.disconnect();
+            anchorObserver = null;
+        }
+        
+        /**
+         * Re-create highlights whose element left the DOM. Highlights that
+         * cannot be anchored are kept, flagged as orphaned and reported once.
+         * Each orphan is retried on later page changes with a doubling delay,
+         * up to MAX_REANCHOR_ATTEMPTS; force retries every orphan now.
+         * @param {Object} [options] - { force }
+         */
+        function reanchorDetachedHighlights(options = {}) {
+            const newlyOrphaned = [];
+            const now = Date.now();
+            let reanchored = 0;
+            let nextRetry = Infinity;
+            
+            new Set([...highlights.values(), ...ragHighlights.values()]).forEach(highlightData => {
+                if (highlightData.element && highlightData.element.isConnected) return;
+                
+                if (options.force) {
+                    highlightData.anchorAttempts = 0;
+                    highlightData.nextAnchorAttempt = 0;
+                }
+                
+                const attempts = highlightData.anchorAttempts || 0;
+                if (attempts >= CONFIG.MAX_REANCHOR_ATTEMPTS) return;
+                if ((highlightData.nextAnchorAttempt || 0) > now) {
+                    nextRetry = Math.min(nextRetry, highlightData.nextAnchorAttempt);
+                    return;
+                }
+                
+                if (reanchorHighlight(highlightData)) {
+                    reanchored++;
+                    return;
+                }
+                
+                highlightData.anchorAttempts = attempts + 1;
+                highlightData.nextAnchorAttempt = now + CONFIG.REANCHOR_DELAY * Math.pow(2, attempts + 1);
+                if (!highlightData.orphaned) {
+                    highlightData.orphaned = true;
+                    newlyOrphaned.push(highlightData);
+                }
+            });
+            
+            // Orphans waiting out their delay get another pass without needing a new mutation
+            if (nextRetry !== Infinity && anchorObserver) {
+                scheduleReanchor(Math.max(CONFIG.REANCHOR_DELAY, nextRetry - now));
+            }
+            
+            if (reanchored > 0) {
+                console.log(`⚓ Re-anchored ${reanchored} highlight(s) after page change`);
+            }
+            
+            if (newlyOrphaned.length > 0) {
+                console.warn(`⚓ ${newlyOrphaned.length} highlight(s) could not be re-anchored`);
+                sendUnanchoredToExtension(newlyOrphaned);
+                global.MarkerEventBus?.emit('highlight:unanchored', {
+                    ids: newlyOrphaned.map(highlight => highlight.id)
+                });
+            }
+            
+            return { reanchored, orphaned: newlyOrphaned.length };
+        }
+        
+        function reanchorHighlight(highlightData) {
+            if (!textAnchoring || !highlightData.selectors) return false;
+            
+            const anchored = textAnchoring.anchor(highlightData.selectors);
+            if (!anchored) return false;
+            
+            // Pause the observer so our own DOM changes don't trigger another pass
+            anchorObserver?.disconnect();
+            
+            try {
+                const isRAG = highlightData.source === 'rag';
+                const span = isRAG
+                    ? createRAGHighlightElement(anchored.range, highlightData.id, highlightData.property, highlightData.color, highlightData.confidence)
+                    : createHighlightElement(anchored.range, highlightData.id, highlightData.property, highlightData.color);
+                
+                if (!span) return false;
+                
+                if (isRAG) {
+                    setupRAGHighlightHoverEffect(span, highlightData.property, highlightData.confidence);
+                }
+                
+                highlightData.element = span;
+                highlightData.orphaned = false;
+                highlightData.anchorAttempts = 0;
+                highlightData.nextAnchorAttempt = 0;
+                highlightData.anchorMethod = anchored.method;
+                
+                if (textMarker && typeof textMarker.createMarker === 'function') {
+                    if (isRAG) {
+                        createRAGTextMarker(span, highlightData);
+                    } else {
+                        createTextMarkerForHighlight(span, highlightData);
+                    }
+                }
+                
+                return true;
+            } catch (error) {
+                console.warn('Failed to re-anchor highlight:', highlightData.id, error);
+                return false;
+            } finally {
+                observeAnchors();
+            }
+        }
+        
         // ================================
         // Highlight Management
         // ================================
@@ -907,6 +1154,136 @@
             console.log('✅ All highlights cleared');
         }
         
+        // ================================
+        // Undo Support
+        // ================================
+        
+        /**
+         * Everything needed to put a highlight back after it is removed,
+         * whichever code path created it. Selectors are taken from the
+         * page as it is now.
+         */
+        function captureHighlight(highlightId) {
+            const stored = highlights.get(highlightId) || ragHighlights.get(highlightId);
+            const span = document.querySelector(`.orkg-highlighted[data-highlight-id="${CSS.escape(highlightId)}"]`);
+            if (!stored && !span) return null;
+            
+            let selectors = stored?.selectors || null;
+            if (span?.isConnected) {
+                const range = document.createRange();
+                range.selectNodeContents(span);
+                selectors = describeRange(range) || selectors;
+            }
+            
+            let property = stored?.property;
+            if (!property && span) {
+                try {
+                    property = JSON.parse(span.dataset.property || '{}');
+                } catch (e) {
+                    property = { label: span.dataset.propertyLabel || 'Unknown Property' };
+                }
+            }
+            
+            const quote = selectors?.find(selector => selector.type === 'TextQuoteSelector');
+            
+            return {
+                id: highlightId,
+                text: stored?.text || quote?.exact || '',
+                property: property || { id: 'unknown', label: 'Unknown Property' },
+                color: stored?.color || span?.style.backgroundColor || getRandomColor(),
+                contribution: span?.dataset.contribution || stored?.contribution || null,
+                selectors: selectors,
+                source: stored?.source || 'manual',
+                confidence: stored?.confidence,
+                section: stored?.section,
+                sentenceIndex: stored?.sentenceIndex,
+                value: stored?.value !== undefined ? stored.value : null,
+                markerId: span?.querySelector('.orkg-marker')?.dataset.markerId || stored?.marker?.id || null
+            };
+        }
+        
+        /**
+         * Remove a highlight and its markers, keeping the page text and any
+         * inline formatting inside it. Unlike removeHighlight the markers
+         * are unregistered too, so restoreHighlight can bring both back.
+         */
+        function discardHighlight(highlightId) {
+            const spans = document.querySelectorAll(`.orkg-highlighted[data-highlight-id="${CSS.escape(highlightId)}"]`);
+            const markerIds = new Set();
+            
+            spans.forEach(span => {
+                span.querySelectorAll('.orkg-marker[data-marker-id]').forEach(marker => markerIds.add(marker.dataset.markerId));
+            });
+            (global.MarkerRegistry?.find(marker => marker.metadata?.highlightId === highlightId) || [])
+                .forEach(marker => markerIds.add(marker.id));
+            
+            markerIds.forEach(markerId => {
+                if (textMarker && typeof textMarker.removeMarker === 'function') {
+                    textMarker.removeMarker(markerId);
+                } else {
+                    global.MarkerRegistry?.unregister(markerId);
+                }
+            });
+            
+            spans.forEach(span => {
+                const parent = span.parentNode;
+                if (!parent) return;
+                
+                span.querySelectorAll(CONFIG.MARKER_ELEMENTS).forEach(element => element.remove());
+                while (span.firstChild) {
+                    parent.insertBefore(span.firstChild, span);
+                }
+                span.remove();
+                parent.normalize();
+            });
+            
+            const known = highlights.has(highlightId) || ragHighlights.has(highlightId);
+            highlights.delete(highlightId);
+            ragHighlights.delete(highlightId);
+            if (!known && spans.length === 0) return false;
+            
+            sendHighlightRemovalToExtension(highlightId);
+            if (global.MarkerEventBus) {
+                global.MarkerEventBus.emit('highlight:removed', { id: highlightId });
+            }
+            return true;
+        }
+        
+        /**
+         * Put back a highlight captured with captureHighlight
+         * @returns {Object|null} the highlight, or null if its text is no longer on the page
+         */
+        function restoreHighlight(snapshot) {
+            if (!snapshot?.selectors) return null;
+            
+            const highlightData = {
+                ...snapshot,
+                element: null,
+                timestamp: Date.now(),
+                editable: snapshot.source !== 'rag'
+            };
+            
+            if (!textMarker && typeof TextMarker !== 'undefined') {
+                textMarker = new TextMarker();
+            }
+            
+            if (!reanchorHighlight(highlightData)) return null;
+            
+            if (snapshot.contribution) {
+                highlightData.element.dataset.contribution = snapshot.contribution;
+            }
+            
+            highlights.set(highlightData.id, highlightData);
+            if (highlightData.source === 'rag') {
+                ragHighlights.set(highlightData.id, highlightData);
+                sendRAGHighlightToExtension(highlightData);
+            } else {
+                sendHighlightToExtension(highlightData);
+            }
+            
+            return highlightData;
+        }
+        
         // ================================
         // Communication with Extension
         // ================================
@@ -920,6 +1297,8 @@
                         text: highlightData.text,
                         property: highlightData.property,
                         color: highlightData.color,
+                        value: highlightData.value,
+                        selectors: highlightData.selectors,
                         timestamp: highlightData.timestamp,
                         source: highlightData.source
                     }
@@ -943,6 +1322,8 @@
                         confidence: highlightData.confidence,
                         section: highlightData.section,
                         sentenceIndex: highlightData.sentenceIndex,
+                        value: highlightData.value,
+                        selectors: highlightData.selectors,
                         timestamp: highlightData.timestamp,
                         source: 'rag'
                     }
@@ -954,6 +1335,23 @@
             }
         }
         
+        function sendUnanchoredToExtension(unanchored) {
+            if (chrome && chrome.runtime) {
+                chrome.runtime.sendMessage({
+                    action: 'HIGHLIGHTS_UNANCHORED',
+                    data: {
+                        highlights: unanchored.map(highlight => ({
+                            id: highlight.id,
+                            text: highlight.text,
+                            propertyId: highlight.property?.id || null,
+                            reason: 'Text no longer found after page change'
+                        })),
+                        reason: 'dom-mutation'
+                    }
+                });
+            }
+        }
+        
         function sendHighlightRemovalToExtension(highlightId) {
             if (chrome && chrome.runtime) {
                 chrome.runtime.sendMessage({
@@ -1046,6 +1444,7 @@
             // Core highlighting methods
             highlight: highlight,
             highlightFromRAG: highlightFromRAG,
+            highlightImported: highlightImported,
             highlightRange: highlightRange,
             
             // Highlight management
@@ -1105,10 +1504,20 @@
             },
             
             clearAllHighlights: clearAllHighlights,
+            captureHighlight: captureHighlight,
+            discardHighlight: discardHighlight,
+            restoreHighlight: restoreHighlight,
             getHighlight: (id) => highlights.get(id) || ragHighlights.get(id),
             getAllHighlights: () => [...highlights.values(), ...ragHighlights.values()],
             getHighlightCount: () => highlights.size + ragHighlights.size,
             
+            // Re-anchoring
+            describeRange: describeRange,
+            reanchorHighlights: () => reanchorDetachedHighlights({ force: true }),
+            getUnanchoredHighlights: () => [...new Set([...highlights.values(), ...ragHighlights.values()])]
+                .filter(highlight => highlight.orphaned),
+            stopAnchorWatch: stopAnchorWatch,
+            
             // Control marker activation
             setMarkersActive: (active) => { 
                 markersActive = active;
@@ -98,6 +98,12 @@
         
         // Process the table
         try {
+            // Score against the span-expanded model when one is available
+            const model = this.getModel(tableData);
+            if (model) {
+                tableData = { ...tableData, model: model };
+            }
+            
             // Score different aspects of the table
             const scores = {
                 rows: this.scoreRowCount(tableData),
@@ -135,6 +141,7 @@
                 importance: importance,
                 shouldExtract: normalizedScore >= this.config.thresholds.low,
                 isHighPriority: normalizedScore >= this.config.thresholds.important,
+                structure: this.describeStructure(model),
                 insights: this.generateInsights(tableData, scores, normalizedScore),
                 timestamp: Date.now()
             };
@@ -155,12 +162,45 @@
         }
     };
     
+    /**
+     * Get the shared table model, building it from the element if the
+     * extractor did not attach one
+     */
+    TableIntelligence.prototype.getModel = function(tableData) {
+        if (tableData.model) return tableData.model;
+        if (!tableData.element || !global.tableModel) return null;
+        
+        try {
+            return global.tableModel.build(tableData.element);
+        } catch (error) {
+            console.warn('Could not build table model:', error);
+            return null;
+        }
+    };
+    
+    /**
+     * Summarise the model's structure for the analysis result
+     */
+    TableIntelligence.prototype.describeStructure = function(model) {
+        if (!model) return null;
+        
+        return {
+            rows: model.rowCount,
+            columns: model.columnCount,
+            headerRows: model.headerRowCount,
+            rowGroups: model.groups.length,
+            numericRatio: model.stats.numericRatio,
+            bestCells: model.stats.bestCells,
+            errorCells: model.stats.errorCells
+        };
+    };
+    
     /**
      * Score row count
      */
     TableIntelligence.prototype.scoreRowCount = function(tableData) {
         const rows = tableData.rows || [];
-        const rowCount = rows.length;
+        const rowCount = tableData.model ? tableData.model.rowCount : rows.length;
         
         if (rowCount === 0) return 0;
         
@@ -179,7 +219,8 @@
      * Score column count
      */
     TableIntelligence.prototype.scoreColumnCount = function(tableData) {
-        const columnCount = tableData.columns?.length || 
+        const columnCount = tableData.model?.columnCount ||
+                           tableData.columns?.length || 
                            (tableData.headers?.length || 0);
         
         if (columnCount === 0) return 0;
@@ -235,27 +276,42 @@
      */
     TableIntelligence.prototype.scoreDataTypeVariety = function(tableData) {
         const rows = tableData.rows || [];
-        if (rows.length === 0) return 0;
+        if (rows.length === 0 && !tableData.model?.rowCount) return 0;
         
-        const headers = tableData.headers || [];
+        const headers = this.getHeaderTexts(tableData);
         const dataTypes = new Set();
         
-        // Try to determine data types
-        for (const row of rows) {
-            const cells = row.cells || row;
-            
-            if (Array.isArray(cells)) {
-                for (const cell of cells) {
-                    const value = typeof cell === 'object' ? cell.value : cell;
-                    dataTypes.add(this.getDataType(value));
+        if (tableData.model) {
+            // Typed cells: values with units or ± errors count as measurements
+            for (const row of tableData.model.rows) {
+                for (const cell of row.cells) {
+                    if (cell.spanned) continue;
+                    if (cell.error !== undefined) {
+                        dataTypes.add('statistic');
+                    } else if (cell.unit && cell.unit !== '%') {
+                        dataTypes.add('measurement');
+                    } else {
+                        dataTypes.add(cell.type === 'text' ? this.getDataType(cell.text) : cell.type);
+                    }
+                }
+            }
+        } else {
+            // Try to determine data types
+            for (const row of rows) {
+                const cells = row.cells || row;
+                
+                if (Array.isArray(cells)) {
+                    for (const cell of cells) {
+                        const value = typeof cell === 'object' ? cell.value : cell;
+                        dataTypes.add(this.getDataType(value));
+                    }
                 }
             }
         }
         
         // Special column types from headers
         if (headers.length > 0) {
-            for (const header of headers) {
-                const headerText = typeof header === 'object' ? header.text : header;
+            for (const headerText of headers) {
                 if (typeof headerText === 'string') {
                     const lowerHeader = headerText.toLowerCase();
                     
@@ -342,14 +398,21 @@
      * Score header quality
      */
     TableIntelligence.prototype.scoreHeaderQuality = function(tableData) {
-        const headers = tableData.headers || [];
+        const headers = this.getHeaderTexts(tableData);
         
         if (headers.length === 0) return 0.2; // No headers is bad
         
         let score = 0.5; // Base score for having headers
         
         // Check header completeness
-        if (tableData.rows && tableData.rows.length > 0) {
+        if (tableData.model) {
+            if (tableData.model.headerRowCount > 0) {
+                score += 0.1; // Grid columns all carry a header path
+            }
+            if (tableData.model.headerRowCount > 1) {
+                score += 0.1; // Multi-level headers group related columns
+            }
+        } else if (tableData.rows && tableData.rows.length > 0) {
             const firstRow = tableData.rows[0];
             const cells = firstRow.cells || firstRow;
             
@@ -362,9 +425,7 @@
         let headerLengthScore = 0;
         let descriptiveHeaders = 0;
         
-        for (const header of headers) {
-            const headerText = typeof header === 'object' ? header.text : header;
-            
+        for (const headerText of headers) {
             if (typeof headerText === 'string') {
                 const words = headerText.split(/\s+/).length;
                 
@@ -394,7 +455,6 @@
      */
     TableIntelligence.prototype.determineTableType = function(tableData) {
         const caption = tableData.caption || '';
-        const headers = tableData.headers || [];
         
         // Check caption for type clues
         const captionLower = caption.toLowerCase();
@@ -407,7 +467,7 @@
         if (captionLower.includes('metadata')) return 'metadata';
         
         // Check headers for type clues
-        const headerTexts = headers.map(h => typeof h === 'object' ? h.text : h)
+        const headerTexts = this.getHeaderTexts(tableData)
                                  .filter(h => typeof h === 'string')
                                  .map(h => h.toLowerCase());
         
@@ -429,10 +489,30 @@
             return 'comparison';
         }
         
+        // Bold best scores or values with ± errors mark result tables
+        const stats = tableData.model?.stats;
+        if (stats && stats.numericRatio >= 0.5 && (stats.bestCells > 0 || stats.errorCells > 0)) {
+            return 'results';
+        }
+        
         // Default to data
         return 'data';
     };
     
+    /**
+     * Header texts: every level of the model's column paths, or the flat
+     * extracted headers
+     */
+    TableIntelligence.prototype.getHeaderTexts = function(tableData) {
+        if (tableData.model && tableData.model.headerRowCount > 0) {
+            const texts = new Set();
+            tableData.model.columns.forEach(column => column.path.forEach(text => texts.add(text)));
+            return Array.from(texts);
+        }
+        
+        return (tableData.headers || []).map(h => typeof h === 'object' ? h.text : h);
+    };
+    
     /**
      * Determine importance level based on score
      */
@@ -558,6 +638,23 @@
             });
         }
         
+        const model = tableData.model;
+        if (model) {
+            if (model.headerRowCount > 1 || model.groups.length > 0) {
+                insights.push({
+                    type: 'info',
+                    text: `Hierarchical layout: ${model.headerRowCount} header rows, ${model.groups.length} row groups`
+                });
+            }
+            
+            if (model.stats.bestCells > 0) {
+                insights.push({
+                    type: 'positive',
+                    text: `${model.stats.bestCells} best result(s) marked in bold`
+                });
+            }
+        }
+        
         // Add type-specific insights
         const tableType = this.determineTableType(tableData);
         
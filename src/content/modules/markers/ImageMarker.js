@@ -75,7 +75,7 @@
                 if (this.shouldSkipSVG(svg, config)) return;
                 
                 const metadata = {
-                    id: `svg_${Date.now()}_${index}`,
+                    id: this.generateMarkerId(svg, 'svg'),
                     type: 'diagram',
                     elementType: 'svg',
                     dimensions: this.getElementDimensions(svg)
@@ -99,7 +99,7 @@
                 if (this.shouldSkipCanvas(canvas, config)) return;
                 
                 const metadata = {
-                    id: `canvas_${Date.now()}_${index}`,
+                    id: this.generateMarkerId(canvas, 'canvas'),
                     type: 'chart',
                     elementType: 'canvas',
                     dimensions: {
@@ -153,7 +153,7 @@
         
         extractImageMetadata(img, index) {
             const metadata = {
-                id: `img_${Date.now()}_${index}`,
+                id: this.generateMarkerId(img, 'img'),
                 src: img.src || img.currentSrc || img.getAttribute('data-src'),
                 alt: img.alt,
                 title: img.title,
@@ -248,7 +248,7 @@
                 
                 if (element && !this.processedImages.has(element)) {
                     const metadata = {
-                        id: imageData.id || this.generateMarkerId(),
+                        id: imageData.id || this.generateMarkerId(element),
                         ...imageData,
                         fromRAG: true
                     };
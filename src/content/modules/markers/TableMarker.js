@@ -77,7 +77,7 @@
         
         extractTableMetadata(table, index) {
             const metadata = {
-                id: `table_${Date.now()}_${index}`,
+                id: this.generateMarkerId(table, 'table'),
                 index: index + 1,
                 rows: table.querySelectorAll('tr').length,
                 columns: this.getColumnCount(table),
@@ -198,7 +198,7 @@
                 
                 if (element && !this.processedTables.has(element)) {
                     const metadata = {
-                        id: tableData.id || this.generateMarkerId(),
+                        id: tableData.id || this.generateMarkerId(element),
                         ...tableData,
                         fromRAG: true
                     };
@@ -184,7 +184,7 @@
                 return null;
             }
             
-            const markerId = metadata.id || this.generateMarkerId();
+            const markerId = metadata.id || this.generateMarkerId(element);
             
             // Check if marker already exists
             if (this.markers.has(markerId)) {
@@ -198,6 +198,12 @@
                 return null;
             }
             
+            // Markers belong to the contribution active in the popup when they are placed
+            const activeContribution = global.contributionHandler?.getActiveId();
+            if (!metadata.contribution && activeContribution) {
+                metadata = { ...metadata, contribution: activeContribution };
+            }
+            
             // Create marker data
             const markerData = {
                 id: markerId,
@@ -573,6 +579,20 @@
         async sendSingleItem(markerId, markerData) {
             console.log(`📤 Sending single item:`, markerId);
             
+            // Review the ORKG write before anything is animated or persisted
+            if (this.menuHandler?.sendHandler) {
+                return this.menuHandler.sendHandler.reviewBeforeSend([markerData], async (predicateMappings) => {
+                    await this.markSent(markerId, markerData);
+                    return this.menuHandler.sendHandler.persistItems([markerData], { predicateMappings });
+                });
+            }
+            
+            await this.markSent(markerId, markerData);
+            this.sendToExtension('SEND', markerId, markerData);
+            this.showFeedback('Item sent to ORKG', 'success');
+        }
+        
+        async markSent(markerId, markerData) {
             // Animate if available
             const element = markerData.element || markerData.markerElement;
             if (this.animationService && element) {
@@ -584,15 +604,22 @@
                 markerData.markerElement.classList.add('orkg-extracted');
             }
             this.extractedItems.add(markerId);
-            
-            // Send to extension
-            this.sendToExtension('SEND', markerId, markerData);
-            this.showFeedback('Item sent to ORKG', 'success');
         }
         
         async sendAllItems() {
             const items = this.getAllCategorizedItems();
             
+            // Items an earlier send wrote are listed as already sent
+            const sendHandler = this.menuHandler?.sendHandler;
+            if (sendHandler) {
+                const sentIds = await sendHandler.loadSentItemIds();
+                items.sentCount = 0;
+                [...items.text, ...items.images, ...items.tables].forEach(item => {
+                    item.sent = sendHandler.isSent(item, sentIds);
+                    if (item.sent) items.sentCount++;
+                });
+            }
+            
             if (items.totalCount === 0) {
                 this.showFeedback('No items to send', 'warning');
                 return;
@@ -608,8 +635,10 @@
         async sendSelectedItems(selectedItems) {
             console.log(`📤 Sending ${selectedItems.total} items to ORKG`);
             
+            const allItems = [...selectedItems.text, ...selectedItems.images, ...selectedItems.tables];
+            
             // Mark items as sent
-            [...selectedItems.text, ...selectedItems.images, ...selectedItems.tables].forEach(item => {
+            const markAllSent = () => allItems.forEach(item => {
                 this.extractedItems.add(item.id);
                 const markerData = this.markers.get(item.id) || this.registry?.get(item.id);
                 if (markerData?.markerElement) {
@@ -617,7 +646,15 @@
                 }
             });
             
-            // Send to extension
+            // Persist to ORKG after the statement graph has been reviewed
+            if (this.menuHandler?.sendHandler) {
+                return this.menuHandler.sendHandler.reviewBeforeSend(allItems, (predicateMappings) => {
+                    markAllSent();
+                    return this.menuHandler.sendHandler.persistItems(allItems, { predicateMappings, includeAnalysis: true });
+                }, { includeAnalysis: true });
+            }
+            
+            markAllSent();
             this.sendToExtension('SEND_MULTIPLE', null, selectedItems);
             this.showFeedback(`Sent ${selectedItems.total} items to ORKG`, 'success');
         }
@@ -823,8 +860,26 @@
         // Utility Methods
         // ================================
         
-        generateMarkerId() {
-            return `${this.getType()}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        /**
+         * With an element, the ID is derived from its position and content, so
+         * the same figure or table keeps its ID across page loads and a marker
+         * sent to ORKG is recognised as sent
+         */
+        generateMarkerId(element = null, prefix = this.getType()) {
+            if (!element) {
+                return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            }
+            
+            const position = Array.from(document.getElementsByTagName(element.tagName)).indexOf(element);
+            const content = element.currentSrc || element.getAttribute?.('src') ||
+                            element.getAttribute?.('data-src') || element.textContent || '';
+            const key = `${element.tagName}|${position}|${content.replace(/\s+/g, ' ').trim().substring(0, 500)}`;
+            
+            let hash = 5381;
+            for (let i = 0; i < key.length; i++) {
+                hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+            }
+            return `${prefix}_${(hash >>> 0).toString(36)}`;
         }
         
         isExtensionElement(element) {
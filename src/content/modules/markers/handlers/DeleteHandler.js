@@ -40,6 +40,9 @@
         performDelete(markerId, markerData) {
             console.log('Performing delete for:', markerId);
             
+            // Taken before the highlight is unwrapped, so the deletion can be undone
+            const snapshot = markerData.type === 'text' ? this.captureHighlight(markerId, markerData) : null;
+            
             if (markerData.type === 'text') {
                 this.deleteTextHighlight(markerId, markerData);
             } else {
@@ -52,6 +55,51 @@
             // Send notification
             this.menuHandler.sendToExtension('DELETE', markerId, markerData);
             this.menuHandler.showFeedback('Marker deleted successfully', 'success');
+            
+            this.recordHistory(markerId, markerData, snapshot);
+        }
+        
+        captureHighlight(markerId, markerData) {
+            const markerElement = markerData.markerElement ||
+                                document.querySelector(`[data-marker-id="${markerId}"]`);
+            const highlightId = markerData.metadata?.highlightId ||
+                              markerElement?.closest('.orkg-highlighted')?.dataset.highlightId;
+            
+            const snapshot = highlightId ? global.TextHighlighter?.captureHighlight?.(highlightId) : null;
+            return snapshot ? { ...snapshot, markerId: markerId } : null;
+        }
+        
+        recordHistory(markerId, markerData, snapshot) {
+            const history = global.historyHandler;
+            if (!history) return;
+            
+            if (snapshot) {
+                history.recordHighlightDeleted(snapshot);
+                return;
+            }
+            
+            // Image and table markers come back on the element they marked
+            const marker = this.marker;
+            const element = markerData.element;
+            if (markerData.type === 'text' || !marker || !element) return;
+            
+            history.record({
+                type: 'delete',
+                label: `Delete ${markerData.type} marker`,
+                undo: () => {
+                    if (!element.isConnected || !marker.createMarker(element, { ...markerData.metadata, id: markerId })) {
+                        throw new Error(`The marked ${markerData.type} is no longer on the page`);
+                    }
+                },
+                redo: () => {
+                    const current = marker.getMarker(markerId);
+                    if (current) {
+                        this.deleteNonTextMarker(current);
+                        this.cleanupRegistries(markerId, current);
+                        this.menuHandler.sendToExtension('DELETE', markerId, current);
+                    }
+                }
+            });
         }
         
         deleteTextHighlight(markerId, markerData) {
@@ -9,6 +9,7 @@
     const UpdateHandler = global.UpdateHandler || {};
     const InfoHandler = global.InfoHandler || {};
     const SendHandler = global.SendHandler || {};
+    const TableContributionsHandler = global.TableContributionsHandler || null;
     
     class MenuActionHandler {
         constructor(baseMarker) {
@@ -22,6 +23,7 @@
             this.updateHandler = new UpdateHandler(this);
             this.infoHandler = new InfoHandler(this);
             this.sendHandler = new SendHandler(this);
+            this.contributionsHandler = TableContributionsHandler ? new TableContributionsHandler(this) : null;
             
             // Bind methods
             this.handleMenuItemClick = this.handleMenuItemClick.bind(this);
@@ -49,6 +51,7 @@
             this.updateHandler.setup(this.propertyWindow, this.marker);
             this.infoHandler.setup(this.modalManager);
             this.sendHandler.setup(this.modalManager, this.marker);
+            this.contributionsHandler?.setup(this.modalManager, this.marker);
             
             this.isSetup = true;
             console.log('✅ MenuActionHandler setup complete');
@@ -135,6 +138,9 @@
                 case 'send':
                     this.sendHandler.handle(markerId, markerData);
                     break;
+                case 'contributions':
+                    this.contributionsHandler?.handle(markerId, markerData);
+                    break;
                 default:
                     console.warn('Unknown action:', action);
             }
@@ -188,6 +194,7 @@
             this.updateHandler?.cleanup();
             this.infoHandler?.cleanup();
             this.sendHandler?.cleanup();
+            this.contributionsHandler?.cleanup();
             
             console.log('✅ MenuActionHandler cleaned up');
         }
@@ -43,6 +43,19 @@
         sendSingleItem(markerId, markerData) {
             console.log('📤 Sending single item:', markerId);
             
+            return this.loadSentItemIds().then(sentIds => {
+                if (this.isSent(markerData, sentIds)) {
+                    this.menuHandler.showFeedback('This item is already saved to ORKG', 'info');
+                    return;
+                }
+                
+                this.reviewBeforeSend([markerData], (predicateMappings) => {
+                    this.submitSingleItem(markerData, predicateMappings);
+                });
+            });
+        }
+        
+        submitSingleItem(markerData, predicateMappings) {
             // Create send animation
             this.createSendAnimation(markerData.markerElement);
             
@@ -53,27 +66,60 @@
                 }, 1000);
             }
             
-            // Send to extension
-            this.menuHandler.sendToExtension('SEND', markerId, markerData);
-            this.menuHandler.showFeedback('Item sent to ORKG', 'success');
+            // Persist to ORKG
+            this.persistItems([markerData], { predicateMappings });
         }
         
         sendAllItems() {
-            const items = this.getAllCategorizedItems();
-            
-            if (items.totalCount === 0) {
-                this.menuHandler.showFeedback('No items to send', 'warning');
-                return;
+            return this.loadSentItemIds().then(sentIds => {
+                const items = this.getAllCategorizedItems(sentIds);
+                
+                if (items.totalCount === 0) {
+                    this.menuHandler.showFeedback('No items to send', 'warning');
+                    return;
+                }
+                
+                if (this.modalManager) {
+                    // Items already sent are listed, but cannot be selected
+                    this.modalManager.showSendAll(items, (selectedItems) => {
+                        this.sendSelectedItems(selectedItems);
+                    }, 'property-window');
+                } else if (items.sentCount === items.totalCount) {
+                    this.menuHandler.showFeedback('Everything is already saved to ORKG', 'info');
+                } else {
+                    // Send all without selection
+                    this.sendSelectedItems({
+                        text: items.text.filter(item => !item.sent),
+                        images: items.images.filter(item => !item.sent),
+                        tables: items.tables.filter(item => !item.sent)
+                    });
+                }
+            });
+        }
+        
+        /**
+         * IDs of the items an earlier send from this tab wrote to ORKG.
+         * Markers flagged as saved on the page count as sent as well.
+         */
+        loadSentItemIds() {
+            if (!chrome?.runtime?.sendMessage) {
+                return Promise.resolve(new Set());
             }
             
-            if (this.modalManager) {
-                this.modalManager.showSendAll(items, (selectedItems) => {
-                    this.sendSelectedItems(selectedItems);
-                }, 'property-window');
-            } else {
-                // Send all without selection
-                this.sendSelectedItems(items);
-            }
+            return chrome.runtime.sendMessage({ action: 'GET_ORKG_WRITE_STATE' })
+                .then(response => new Set(Object.keys(response?.state?.items || {})))
+                .catch(error => {
+                    console.warn('Could not load ORKG write state:', error);
+                    return new Set();
+                });
+        }
+        
+        isSent(item, sentIds) {
+            const element = item.element || item.markerElement;
+            return sentIds.has(item.id) ||
+                (item.metadata?.highlightId && sentIds.has(item.metadata.highlightId)) ||
+                !!item.orkg?.statementId ||
+                !!element?.classList?.contains('orkg-saved');
         }
         
         sendSelectedItems(selectedItems) {
@@ -86,6 +132,13 @@
                 ...(selectedItems.tables || [])
             ];
             
+            // Sending everything also writes the analysis values that have no marker
+            this.reviewBeforeSend(allItems, (predicateMappings) => {
+                this.submitSelectedItems(allItems, predicateMappings);
+            }, { includeAnalysis: true });
+        }
+        
+        submitSelectedItems(allItems, predicateMappings) {
             // Create wave animation
             this.createWaveAnimation();
             
@@ -106,16 +159,176 @@
                 delay += 150; // Stagger animations
             });
             
-            // Send to extension
-            this.menuHandler.sendToExtension('SEND_MULTIPLE', null, selectedItems);
-            
-            // Show feedback after animations
+            // Persist to ORKG, showing the result once animations are done
+            const persisted = this.persistItems(allItems, { silent: true, predicateMappings, includeAnalysis: true });
             setTimeout(() => {
-                const count = selectedItems.total || selectedItems.totalCount;
-                this.menuHandler.showFeedback(`Sent ${count} items to ORKG`, 'success');
+                persisted.then(response => this.showPersistFeedback(response));
             }, delay + 500);
         }
         
+        /**
+         * Dry-run the write and show the resulting statement graph. The
+         * callback receives any predicate re-mappings chosen in the review.
+         * With includeAnalysis the graph also holds the analysis values
+         * that have no marker on the page.
+         */
+        reviewBeforeSend(items, onSubmit, options = {}) {
+            const serialized = items.map(item => this.serializeItem(item)).filter(Boolean);
+            
+            if (serialized.length === 0) {
+                this.showPersistFeedback({ success: false, error: 'No items to send' });
+                return Promise.resolve(null);
+            }
+            
+            if (!this.modalManager || !chrome?.runtime?.sendMessage) {
+                onSubmit({});
+                return Promise.resolve(null);
+            }
+            
+            return chrome.runtime.sendMessage({
+                action: 'PREVIEW_ORKG_WRITE',
+                items: serialized,
+                includeAnalysis: !!options.includeAnalysis
+            }).then(response => {
+                if (!response?.success) {
+                    this.menuHandler.showFeedback(
+                        `Cannot preview ORKG contribution: ${response?.error || 'Unknown error'}`,
+                        'error'
+                    );
+                    return null;
+                }
+                
+                this.modalManager.showContributionPreview(response.plan, onSubmit);
+                return response.plan;
+            }).catch(error => {
+                console.warn('Failed to preview ORKG write:', error);
+                this.menuHandler.showFeedback(`Cannot preview ORKG contribution: ${error.message}`, 'error');
+                return null;
+            });
+        }
+        
+        /**
+         * Write items to ORKG through the background write pipeline and
+         * record the created resource/statement IDs on each marker
+         */
+        persistItems(items, options = {}) {
+            const serialized = items.map(item => this.serializeItem(item)).filter(Boolean);
+            
+            if (serialized.length === 0) {
+                const response = { success: false, error: 'No items to send' };
+                if (!options.silent) this.showPersistFeedback(response);
+                return Promise.resolve(response);
+            }
+            
+            if (!chrome?.runtime?.sendMessage) {
+                console.warn('Chrome runtime not available');
+                return Promise.resolve({ success: false, error: 'Extension not available' });
+            }
+            
+            return chrome.runtime.sendMessage({
+                action: 'SEND_TO_ORKG',
+                items: serialized,
+                predicateMappings: options.predicateMappings || {},
+                includeAnalysis: !!options.includeAnalysis
+            }).then(response => {
+                response = response || { success: false, error: 'No response from extension' };
+                this.applyPersistResults(response);
+                if (!options.silent) this.showPersistFeedback(response);
+                return response;
+            }).catch(error => {
+                console.warn('Failed to send items to ORKG:', error);
+                const response = { success: false, error: error.message };
+                if (!options.silent) this.showPersistFeedback(response);
+                return response;
+            });
+        }
+        
+        serializeItem(item) {
+            if (!item) return null;
+            
+            const metadata = item.metadata || {};
+            const type = item.type || metadata.type || 'text';
+            
+            const serialized = {
+                id: item.id,
+                type: type,
+                property: item.property || metadata.property || null,
+                contribution: item.contribution || metadata.contribution ||
+                              item.element?.dataset?.contribution || null
+            };
+            
+            if (type === 'image') {
+                serialized.src = metadata.src || item.src;
+                serialized.alt = metadata.alt || item.alt || '';
+                serialized.caption = metadata.caption || '';
+                if (!serialized.src) return null;
+            } else if (type === 'table') {
+                serialized.caption = metadata.caption || '';
+                serialized.summary = metadata.summary || '';
+                serialized.headers = metadata.headers || [];
+            } else {
+                serialized.text = item.text || metadata.text || 
+                                 (item.element ? this.extractTextContent(item.element) : '');
+            }
+            
+            return serialized;
+        }
+        
+        applyPersistResults(response) {
+            // Items skipped because an earlier send wrote them are flagged too
+            const saved = { ...(response.alreadySaved || {}), ...(response.items || {}) };
+            
+            Object.entries(saved).forEach(([itemId, info]) => {
+                const orkg = {
+                    ...info,
+                    paperId: response.paperId,
+                    contributionId: info.contributionId || response.contributionId
+                };
+                
+                // Registry markers are keyed by marker ID, text highlights by highlight ID
+                const markers = global.MarkerRegistry ? [
+                    global.MarkerRegistry.get(itemId),
+                    ...global.MarkerRegistry.find(m => m.metadata?.highlightId === itemId)
+                ].filter(Boolean) : [];
+                
+                markers.forEach(marker => {
+                    global.MarkerRegistry.update(marker.id, { orkg: orkg, extracted: true });
+                    this.markSaved(marker.markerElement, orkg);
+                });
+                
+                document.querySelectorAll(`[data-highlight-id="${CSS.escape(itemId)}"], [data-marker-id="${CSS.escape(itemId)}"]`)
+                    .forEach(el => this.markSaved(el, orkg));
+            });
+        }
+        
+        markSaved(element, orkg) {
+            if (!element) return;
+            element.classList.add('orkg-extracted', 'orkg-saved');
+            element.dataset.orkgStatementId = orkg.statementId || '';
+            element.dataset.orkgObjectId = orkg.objectId || '';
+            element.dataset.orkgPaperId = orkg.paperId || '';
+            element.title = `Saved to ORKG (statement ${orkg.statementId})`;
+        }
+        
+        showPersistFeedback(response) {
+            const savedCount = Object.keys(response.items || {}).length;
+            
+            if (savedCount > 0) {
+                const skipped = (response.skipped?.length || 0) + (response.errors?.length || 0);
+                const suffix = skipped > 0 ? ` (${skipped} not saved)` : '';
+                this.menuHandler.showFeedback(
+                    `Saved ${savedCount} item${savedCount === 1 ? '' : 's'} to ORKG paper ${response.paperId}${suffix}`,
+                    skipped > 0 ? 'warning' : 'success'
+                );
+            } else if (response.success && Object.keys(response.alreadySaved || {}).length > 0) {
+                this.menuHandler.showFeedback(`Already saved to ORKG paper ${response.paperId}`, 'info');
+            } else if (response.skipped?.length > 0) {
+                this.menuHandler.showFeedback('Nothing saved: assign a property to the selected items first', 'warning');
+            } else {
+                this.menuHandler.showFeedback(`Failed to save to ORKG: ${response.error || 'Unknown error'}`, 'error');
+            }
+        }
+        
         createSendAnimation(element) {
             if (!element) return;
             
@@ -262,34 +475,40 @@
             return counts;
         }
         
-        getAllCategorizedItems() {
+        /**
+         * Every marked item on the page by type. Items whose ID is in
+         * `sentIds`, or that are flagged as saved, have `sent` set.
+         */
+        getAllCategorizedItems(sentIds = new Set()) {
             const items = {
                 text: [],
                 images: [],
                 tables: [],
-                totalCount: 0
+                totalCount: 0,
+                sentCount: 0
             };
             
             // Collect text highlights
             document.querySelectorAll('.orkg-highlighted').forEach(el => {
+                const text = this.extractTextContent(el);
                 const markerId = el.dataset.highlightId || 
                                el.dataset.markerId || 
                                el.id ||
-                               this.generateId();
+                               this.generateId('text', text);
                 
                 items.text.push({
                     id: markerId,
                     element: el,
                     type: 'text',
-                    text: this.extractTextContent(el),
+                    text: text,
                     metadata: this.getElementMetadata(el)
                 });
             });
             
             // Collect image markers
             document.querySelectorAll('.orkg-image-marker').forEach(el => {
-                const markerId = el.dataset.markerId || this.generateId();
                 const imgElement = el.parentElement?.querySelector('img');
+                const markerId = el.dataset.markerId || this.generateId('image', imgElement?.src);
                 
                 items.images.push({
                     id: markerId,
@@ -306,8 +525,8 @@
             
             // Collect table markers
             document.querySelectorAll('.orkg-table-marker').forEach(el => {
-                const markerId = el.dataset.markerId || this.generateId();
                 const tableElement = el.parentElement?.querySelector('table');
+                const markerId = el.dataset.markerId || this.generateId('table', tableElement?.textContent);
                 
                 items.tables.push({
                     id: markerId,
@@ -337,6 +556,11 @@
                 });
             }
             
+            [...items.text, ...items.images, ...items.tables].forEach(item => {
+                item.sent = this.isSent(item, sentIds);
+                if (item.sent) items.sentCount++;
+            });
+            
             items.totalCount = items.text.length + items.images.length + items.tables.length;
             return items;
         }
@@ -377,6 +601,10 @@
                     metadata.color = element.style.backgroundColor;
                 }
                 
+                if (element.dataset.contribution) {
+                    metadata.contribution = element.dataset.contribution;
+                }
+                
                 return metadata;
             } catch (e) {
                 console.warn('Could not parse metadata:', e);
@@ -384,8 +612,14 @@
             }
         }
         
-        generateId() {
-            return `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Derived from the item's content, so it stays the same across sends and page loads
+        generateId(type, content) {
+            const key = `${type}|${String(content || '').replace(/\s+/g, ' ').trim()}`;
+            let hash = 5381;
+            for (let i = 0; i < key.length; i++) {
+                hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+            }
+            return `item_${type}_${(hash >>> 0).toString(36)}`;
         }
         
         cleanup() {
@@ -0,0 +1,209 @@
+// src/content/modules/markers/handlers/TableContributionsHandler.js
+// Handles turning a results table into one ORKG contribution per model
+
+(function(global) {
+    'use strict';
+
+    class TableContributionsHandler {
+        constructor(menuHandler) {
+            this.menuHandler = menuHandler;
+            this.modalManager = null;
+            this.marker = null;
+            this.wizard = null;
+        }
+
+        setup(modalManager, marker) {
+            this.modalManager = modalManager;
+            this.marker = marker;
+        }
+
+        handle(markerId, markerData) {
+            console.log('Handling table contributions for:', markerId);
+
+            const table = this.findTable(markerData);
+            if (!table || !global.tableModel || !global.tableContributionMapper) {
+                this.menuHandler.showFeedback('No table found for this marker', 'error');
+                return;
+            }
+
+            const model = global.tableModel.build(table);
+            if (!model) {
+                this.menuHandler.showFeedback('Could not read the rows and columns of this table', 'error');
+                return;
+            }
+            if (model.rowCount === 0 || model.columnCount < 2) {
+                this.menuHandler.showFeedback('This table is too small to map to contributions', 'warning');
+                return;
+            }
+
+            const metadata = markerData.metadata || {};
+            const tableInfo = {
+                id: metadata.id || markerId,
+                caption: metadata.caption || table.querySelector('caption')?.textContent.trim() || ''
+            };
+
+            if (!this.wizard) {
+                this.wizard = new global.TableContributionWizard(global.tableContributionMapper);
+            }
+
+            this.wizard.show({
+                model: model,
+                caption: tableInfo.caption || `Table ${metadata.index || ''}`.trim(),
+                tableType: this.classify(tableInfo, model),
+                mapping: global.tableContributionMapper.suggestMapping(model)
+            }, (contributions) => {
+                this.reviewBeforeSend(tableInfo, contributions, (predicateMappings) => {
+                    this.submit(markerData, tableInfo, contributions, predicateMappings);
+                });
+            });
+        }
+
+        findTable(markerData) {
+            const element = markerData?.element;
+            if (element?.tagName === 'TABLE') return element;
+
+            return element?.querySelector?.('table') ||
+                   markerData?.markerElement?.closest('table') ||
+                   markerData?.markerElement?.parentElement?.querySelector('table') ||
+                   null;
+        }
+
+        /**
+         * Table type from TableIntelligence, so the wizard can warn when a
+         * table does not look like a results table
+         */
+        classify(tableInfo, model) {
+            if (typeof global.TableIntelligence !== 'function') return null;
+
+            try {
+                return new global.TableIntelligence().determineTableType({ ...tableInfo, model });
+            } catch (error) {
+                console.warn('Table classification failed:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Dry-run the write and show the statement graph, as SendHandler does
+         * for single items
+         */
+        reviewBeforeSend(tableInfo, contributions, onSubmit) {
+            if (!this.modalManager || !chrome?.runtime?.sendMessage) {
+                onSubmit({});
+                return Promise.resolve(null);
+            }
+
+            return chrome.runtime.sendMessage({
+                action: 'PREVIEW_TABLE_CONTRIBUTIONS',
+                table: tableInfo,
+                contributions: contributions
+            }).then(response => {
+                if (!response?.success) {
+                    this.menuHandler.showFeedback(
+                        `Cannot preview ORKG contributions: ${response?.error || 'Unknown error'}`,
+                        'error'
+                    );
+                    return null;
+                }
+
+                // Rows saved by an earlier send are not written again
+                const saved = response.alreadySaved?.length || 0;
+                if (saved === contributions.length) {
+                    this.menuHandler.showFeedback(
+                        `All ${saved} contribution${saved === 1 ? '' : 's'} of this table are already in ORKG`,
+                        'info'
+                    );
+                    return null;
+                }
+                if (saved > 0) {
+                    this.menuHandler.showFeedback(
+                        `${saved} contribution${saved === 1 ? ' is' : 's are'} already in ORKG and will be skipped`,
+                        'info'
+                    );
+                }
+
+                this.modalManager.showContributionPreview(response.plan, onSubmit);
+                return response.plan;
+            }).catch(error => {
+                console.warn('Failed to preview table contributions:', error);
+                this.menuHandler.showFeedback(`Cannot preview ORKG contributions: ${error.message}`, 'error');
+                return null;
+            });
+        }
+
+        submit(markerData, tableInfo, contributions, predicateMappings) {
+            if (!chrome?.runtime?.sendMessage) {
+                console.warn('Chrome runtime not available');
+                return Promise.resolve({ success: false, error: 'Extension not available' });
+            }
+
+            return chrome.runtime.sendMessage({
+                action: 'SEND_TABLE_CONTRIBUTIONS',
+                table: tableInfo,
+                contributions: contributions,
+                predicateMappings: predicateMappings || {}
+            }).then(response => {
+                response = response || { success: false, error: 'No response from extension' };
+                this.showFeedback(response);
+
+                if (response.contributions?.length > 0 || response.alreadySaved?.length > 0) {
+                    this.markSaved(markerData, response);
+                }
+                return response;
+            }).catch(error => {
+                console.warn('Failed to send table contributions:', error);
+                const response = { success: false, error: error.message };
+                this.showFeedback(response);
+                return response;
+            });
+        }
+
+        markSaved(markerData, response) {
+            const element = markerData.markerElement;
+            const ids = [...(response.alreadySaved || []), ...(response.contributions || [])]
+                .map(contribution => contribution.id);
+
+            if (global.MarkerRegistry?.get(markerData.id)) {
+                global.MarkerRegistry.update(markerData.id, {
+                    orkg: { paperId: response.paperId, contributionIds: ids },
+                    extracted: true
+                });
+            }
+
+            if (!element) return;
+            element.classList.add('orkg-extracted', 'orkg-saved');
+            element.dataset.orkgPaperId = response.paperId || '';
+            element.dataset.orkgContributionIds = ids.join(',');
+            element.title = `Saved to ORKG as ${ids.length} contribution${ids.length === 1 ? '' : 's'}`;
+        }
+
+        showFeedback(response) {
+            const savedCount = response.contributions?.length || 0;
+
+            if (savedCount > 0) {
+                const failed = response.errors?.length || 0;
+                const suffix = failed > 0 ? ` (${failed} not saved)` : '';
+                this.menuHandler.showFeedback(
+                    `Saved ${savedCount} contribution${savedCount === 1 ? '' : 's'} to ORKG paper ${response.paperId}${suffix}`,
+                    failed > 0 ? 'warning' : 'success'
+                );
+            } else if (response.success && response.alreadySaved?.length > 0) {
+                this.menuHandler.showFeedback(`This table is already saved to ORKG paper ${response.paperId}`, 'info');
+            } else {
+                this.menuHandler.showFeedback(`Failed to save to ORKG: ${response.error || 'Unknown error'}`, 'error');
+            }
+        }
+
+        cleanup() {
+            this.wizard?.close();
+            this.wizard = null;
+            this.modalManager = null;
+            this.marker = null;
+        }
+    }
+
+    // Export to global scope
+    global.TableContributionsHandler = TableContributionsHandler;
+    console.log('📢 TableContributionsHandler exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
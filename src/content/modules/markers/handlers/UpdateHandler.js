@@ -85,6 +85,9 @@
                 if (currentColor) {
                     propertyWindow.selectedColor = currentColor;
                 }
+                propertyWindow.setContribution?.(
+                    highlightElement.dataset.contribution || markerData.metadata?.contribution
+                );
                 
                 // Setup update handler
                 this.setupUpdateHandler(
@@ -418,6 +421,8 @@
                 newBtn.addEventListener('click', async () => {
                     const newProperty = propertyWindow.selectedProperty;
                     const newColor = propertyWindow.selectedColor;
+                    const newContribution = propertyWindow.selectedContribution ||
+                                            highlightElement.dataset.contribution || null;
                     const newText = selectionOverlay.getSelectedText();
                     const offsets = selectionOverlay.getOffsets();
                     const fullText = selectionOverlay.getFullText();
@@ -429,6 +434,9 @@
                     
                     console.log('Updating highlight:', { newText, newProperty, newColor });
                     
+                    // Taken while the old highlight is still on the page, so the change can be undone
+                    const before = global.TextHighlighter?.captureHighlight?.(highlightElement.dataset.highlightId);
+                    
                     // Get parent and position
                     const parent = highlightElement.parentNode;
                     const nextSibling = highlightElement.nextSibling;
@@ -457,6 +465,9 @@
                     newHighlight.dataset.highlightId = newHighlightId;
                     newHighlight.dataset.property = JSON.stringify(newProperty);
                     newHighlight.dataset.propertyLabel = newProperty.label;
+                    if (newContribution) {
+                        newHighlight.dataset.contribution = newContribution;
+                    }
                     newHighlight.style.backgroundColor = newColor;
                     newHighlight.style.position = 'relative';
                     newHighlight.textContent = selectedText;
@@ -475,6 +486,7 @@
                             id: markerId, // Keep the same marker ID
                             property: newProperty,
                             color: newColor,
+                            contribution: newContribution,
                             text: selectedText,
                             highlightId: newHighlightId,
                             source: 'update'
@@ -485,6 +497,7 @@
                             ...markerData.metadata,
                             property: newProperty,
                             color: newColor,
+                            contribution: newContribution,
                             text: selectedText,
                             highlightId: newHighlightId
                         });
@@ -499,6 +512,8 @@
                     propertyWindow.hide();
                     window.getSelection().removeAllRanges();
                     
+                    global.historyHandler?.recordHighlightReplaced(before, newHighlightId);
+                    
                     // Send update notification
                     this.menuHandler.showFeedback('Highlight updated successfully', 'success');
                     this.menuHandler.sendToExtension('UPDATE', markerId, {
@@ -507,6 +522,7 @@
                             ...markerData.metadata,
                             property: newProperty,
                             color: newColor,
+                            contribution: newContribution,
                             text: newText,
                             highlightId: newHighlightId
                         }
@@ -149,6 +149,200 @@
             });
         }
         
+        // ================================
+        // Contribution Preview Modal (dry run)
+        // ================================
+        
+        showContributionPreview(plan, callback) {
+            const modalId = 'contribution-preview';
+            this.closeModal(modalId);
+            
+            const modal = document.createElement('div');
+            modal.className = 'orkg-modal-overlay';
+            modal.dataset.modalId = modalId;
+            
+            const content = document.createElement('div');
+            content.className = 'orkg-modal-content orkg-modal-large orkg-property-window-style';
+            
+            content.innerHTML = this.getContributionPreviewContent(plan);
+            modal.appendChild(content);
+            
+            content.querySelector('[data-action="cancel"]')?.addEventListener('click', () => {
+                this.closeModal(modalId);
+            });
+            
+            content.querySelector('[data-action="submit"]')?.addEventListener('click', () => {
+                this.closeModal(modalId);
+                callback(this.getPredicateMappings(content));
+            });
+            
+            // Reflect re-mapped predicates in the statement list
+            content.querySelectorAll('.orkg-predicate-remap').forEach(select => {
+                select.addEventListener('change', () => {
+                    const option = select.options[select.selectedIndex];
+                    const reused = !!select.value;
+                    const key = select.dataset.predicateKey;
+                    
+                    content.querySelectorAll(`[data-predicate-key="${CSS.escape(key)}"] .orkg-graph-badge`).forEach(badge => {
+                        badge.className = `orkg-graph-badge ${reused ? 'orkg-graph-reused' : 'orkg-graph-new'}`;
+                        badge.textContent = reused ? 'reused' : 'new';
+                    });
+                    content.querySelectorAll(`.orkg-graph-predicate-label[data-predicate-key="${CSS.escape(key)}"]`).forEach(label => {
+                        label.textContent = reused ? option.dataset.label : label.dataset.original;
+                    });
+                });
+            });
+            
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modalId);
+                }
+            });
+            
+            this.activeModals.set(modalId, modal);
+            document.body.appendChild(modal);
+            
+            requestAnimationFrame(() => {
+                modal.classList.add('orkg-modal-visible');
+            });
+        }
+        
+        getContributionPreviewContent(plan) {
+            const summary = plan.summary || {};
+            const predicateKey = (predicate) => predicate.id || `new:${predicate.label.toLowerCase()}`;
+            const badge = (status) => `<span class="orkg-graph-badge orkg-graph-${status}">${status}</span>`;
+            const node = (entry) => entry.id ?
+                `${this.escapeHtml(this.truncate(entry.label, 60))} <code>${this.escapeHtml(entry.id)}</code>` :
+                this.escapeHtml(this.truncate(entry.label, 60));
+            
+            const predicates = plan.predicates.map(predicate => {
+                const key = predicateKey(predicate);
+                const duplicates = predicate.nearDuplicates || [];
+                
+                return `
+                    <div class="orkg-graph-row" data-predicate-key="${this.escapeHtml(key)}">
+                        ${badge(predicate.status)}
+                        <span class="orkg-graph-predicate-label" data-predicate-key="${this.escapeHtml(key)}"
+                              data-original="${this.escapeHtml(predicate.label)}">${this.escapeHtml(predicate.label)}</span>
+                        ${predicate.id ? `<code>${this.escapeHtml(predicate.id)}</code>` : ''}
+                        ${duplicates.length > 0 ? `
+                            <div class="orkg-graph-duplicates">
+                                <span class="orkg-graph-warning">⚠️ Similar predicates already exist in ORKG</span>
+                                <select class="orkg-predicate-remap" data-predicate-key="${this.escapeHtml(key)}"
+                                        data-label="${this.escapeHtml(predicate.label)}">
+                                    <option value="" data-label="${this.escapeHtml(predicate.label)}">Create new "${this.escapeHtml(predicate.label)}"</option>
+                                    ${duplicates.map(candidate => `
+                                        <option value="${this.escapeHtml(candidate.id)}" data-label="${this.escapeHtml(candidate.label)}">
+                                            Use ${this.escapeHtml(candidate.label)} (${this.escapeHtml(candidate.id)}, ${Math.round(candidate.similarity * 100)}% similar)
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+            
+            const statements = plan.statements.map(statement => {
+                const key = predicateKey(plan.predicates.find(p =>
+                    (statement.predicate.id && p.id === statement.predicate.id) ||
+                    (!statement.predicate.id && !p.id && p.label === statement.predicate.label)
+                ) || statement.predicate);
+                const objectStatus = statement.object.status || 'new';
+                const fromAnalysis = statement.object.source === 'analysis';
+                
+                return `
+                    <div class="orkg-graph-statement" data-predicate-key="${this.escapeHtml(key)}">
+                        <span class="orkg-graph-node">${node(statement.subject)}</span>
+                        <span class="orkg-graph-arrow">→</span>
+                        <span class="orkg-graph-predicate-label" data-predicate-key="${this.escapeHtml(key)}"
+                              data-original="${this.escapeHtml(statement.predicate.label)}">${this.escapeHtml(statement.predicate.label)}</span>
+                        <span class="orkg-graph-arrow">→</span>
+                        <span class="orkg-graph-node">${node(statement.object)} ${badge(objectStatus)}</span>
+                        ${fromAnalysis ? `
+                            <span class="orkg-graph-badge orkg-graph-analysis"
+                                  title="${this.escapeHtml(this.truncate(statement.object.sentence || '', 200))}">analysis${
+                                statement.object.confidence !== null && statement.object.confidence !== undefined ?
+                                    ` ${Math.round(statement.object.confidence * 100)}%` : ''
+                            }${statement.object.review ? ` · ${this.escapeHtml(statement.object.review)}` : ''}</span>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="orkg-modal-header">
+                    <h3>Review Contribution</h3>
+                    <span class="orkg-modal-subtitle">Nothing has been written to ORKG yet</span>
+                </div>
+                
+                <div class="orkg-modal-body orkg-modal-scrollable">
+                    <div class="orkg-send-counts">
+                        <div class="orkg-count-item">New resources: ${summary.newResources || 0}</div>
+                        <div class="orkg-count-item">New predicates: ${summary.newPredicates || 0}</div>
+                        <div class="orkg-count-item">New statements: ${summary.newStatements || 0}</div>
+                        ${summary.analysisValues > 0 ? `
+                            <div class="orkg-count-item">From analysis: ${summary.analysisValues}</div>
+                        ` : ''}
+                    </div>
+                    
+                    ${summary.alreadySaved > 0 ? `
+                        <div class="orkg-graph-notice">
+                            ${summary.alreadySaved} item${summary.alreadySaved === 1 ? ' was' : 's were'} already sent and will not be written again.
+                        </div>
+                    ` : ''}
+                    
+                    ${summary.nearDuplicates > 0 ? `
+                        <div class="orkg-graph-notice">
+                            ${summary.nearDuplicates} new predicate${summary.nearDuplicates === 1 ? '' : 's'} may duplicate existing ones.
+                            Pick an existing predicate below to reuse it instead.
+                        </div>
+                    ` : ''}
+                    
+                    <h4 class="orkg-graph-heading">Resources</h4>
+                    ${plan.resources.map(resource => `
+                        <div class="orkg-graph-row">
+                            ${badge(resource.status)}
+                            <span class="orkg-graph-kind">${this.escapeHtml(resource.kind)}</span>
+                            <span class="orkg-graph-node">${node(resource)}</span>
+                        </div>
+                    `).join('')}
+                    
+                    <h4 class="orkg-graph-heading">Predicates</h4>
+                    ${predicates || '<p class="orkg-graph-empty">No predicates</p>'}
+                    
+                    <h4 class="orkg-graph-heading">Statements</h4>
+                    ${statements || '<p class="orkg-graph-empty">No statements</p>'}
+                    
+                    ${plan.skipped.length > 0 ? `
+                        <p class="orkg-graph-empty">${plan.skipped.length} item(s) will be skipped: no property assigned</p>
+                    ` : ''}
+                </div>
+                
+                <div class="orkg-modal-footer">
+                    <button class="orkg-modal-btn orkg-btn-secondary" data-action="cancel">Cancel</button>
+                    <button class="orkg-modal-btn orkg-btn-primary" data-action="submit"
+                            ${plan.statements.length === 0 ? 'disabled' : ''}>Submit to ORKG</button>
+                </div>
+            `;
+        }
+        
+        // Chosen re-mappings keyed by lower-cased predicate label
+        getPredicateMappings(container) {
+            const mappings = {};
+            
+            container.querySelectorAll('.orkg-predicate-remap').forEach(select => {
+                if (!select.value) return;
+                const option = select.options[select.selectedIndex];
+                mappings[select.dataset.label.trim().toLowerCase()] = {
+                    id: select.value,
+                    label: option.dataset.label
+                };
+            });
+            
+            return mappings;
+        }
+        
         // ================================
         // Enhanced Content Generators
         // ================================
@@ -336,7 +530,9 @@
             return `
                 <div class="orkg-modal-header">
                     <h3>Send All Content to ORKG</h3>
-                    <span class="orkg-modal-subtitle">Select items to send (${items.totalCount} total)</span>
+                    <span class="orkg-modal-subtitle">Select items to send (${items.totalCount} total${
+                        items.sentCount > 0 ? `, ${items.sentCount} already sent` : ''
+                    })</span>
                 </div>
                 
                 <div class="orkg-modal-body orkg-modal-scrollable">
@@ -357,7 +553,7 @@
                 <div class="orkg-modal-footer">
                     <button class="orkg-modal-btn orkg-btn-secondary" data-action="cancel">Cancel</button>
                     <button class="orkg-modal-btn orkg-btn-primary orkg-send-selected-btn" data-action="send">
-                        Send Selected (<span class="selected-count">${items.totalCount}</span>)
+                        Send Selected (<span class="selected-count">${items.totalCount - (items.sentCount || 0)}</span>)
                     </button>
                 </div>
             `;
@@ -421,10 +617,11 @@
                                                    data-category="text"
                                                    data-property="${this.escapeHtml(propertyLabel)}"
                                                    data-id="${item.id}" 
-                                                   checked>
+                                                   ${this.getItemCheckState(item)}>
                                             <span class="orkg-item-text">
                                                 "${this.escapeHtml(this.truncate(item.text || item.metadata?.text || '', 80))}"
                                             </span>
+                                            ${this.getSentBadge(item)}
                                         </label>
                                     `).join('')}
                                 </div>
@@ -459,7 +656,7 @@
                                         <input type="checkbox" class="orkg-item-checkbox" 
                                                data-category="images"
                                                data-id="${item.id}" 
-                                               checked>
+                                               ${this.getItemCheckState(item)}>
                                         ${imgSrc ? `
                                             <div class="orkg-image-preview">
                                                 <img src="${imgSrc}" alt="${this.escapeHtml(imgAlt)}" 
@@ -469,6 +666,7 @@
                                         <span class="orkg-item-text">
                                             ${this.escapeHtml(this.truncate(imgAlt, 50))}
                                         </span>
+                                        ${this.getSentBadge(item)}
                                     </label>
                                 </div>
                             `;
@@ -502,11 +700,12 @@
                                     <input type="checkbox" class="orkg-item-checkbox" 
                                            data-category="tables"
                                            data-id="${item.id}" 
-                                           checked>
+                                           ${this.getItemCheckState(item)}>
                                     <span class="orkg-item-text">
                                         ${this.escapeHtml(caption)}
                                         ${size ? `<span class="orkg-table-size">(${size})</span>` : ''}
                                     </span>
+                                    ${this.getSentBadge(item)}
                                 </label>
                             `;
                         }).join('')}
@@ -515,11 +714,21 @@
             `;
         }
         
+        // Items an earlier send wrote to ORKG are shown, but cannot be sent again
+        getItemCheckState(item) {
+            return item.sent ? 'disabled' : 'checked';
+        }
+        
+        getSentBadge(item) {
+            return item.sent ?
+                '<span class="orkg-graph-badge orkg-graph-reused" title="Already saved to ORKG">already sent</span>' : '';
+        }
+        
         setupEnhancedSendAllHandlers(modal, items, callback) {
             const selectAll = modal.querySelector('#select-all-items');
             const categoryBoxes = modal.querySelectorAll('.orkg-category-checkbox');
             const propertyBoxes = modal.querySelectorAll('.orkg-property-checkbox');
-            const itemBoxes = modal.querySelectorAll('.orkg-item-checkbox');
+            const itemBoxes = modal.querySelectorAll('.orkg-item-checkbox:not(:disabled)');
             const countSpan = modal.querySelector('.selected-count');
             const sendBtn = modal.querySelector('.orkg-send-selected-btn');
             const cancelBtn = modal.querySelector('[data-action="cancel"]');
@@ -551,7 +760,7 @@
             categoryBoxes.forEach(catBox => {
                 catBox.addEventListener('change', (e) => {
                     const category = catBox.dataset.category;
-                    modal.querySelectorAll(`.orkg-item-checkbox[data-category="${category}"]`)
+                    modal.querySelectorAll(`.orkg-item-checkbox[data-category="${category}"]:not(:disabled)`)
                          .forEach(box => box.checked = e.target.checked);
                     
                     if (category === 'text') {
@@ -572,7 +781,7 @@
             propertyBoxes.forEach(propBox => {
                 propBox.addEventListener('change', (e) => {
                     const property = propBox.dataset.property;
-                    modal.querySelectorAll(`.orkg-item-checkbox[data-property="${property}"]`)
+                    modal.querySelectorAll(`.orkg-item-checkbox[data-property="${property}"]:not(:disabled)`)
                          .forEach(box => box.checked = e.target.checked);
                     updateCount();
                 });
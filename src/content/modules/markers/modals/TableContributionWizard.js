@@ -0,0 +1,372 @@
+// src/content/modules/markers/modals/TableContributionWizard.js
+// Two-step modal mapping a results table to ORKG contributions
+
+(function(global) {
+    'use strict';
+
+    const ROLES = [
+        { key: 'model', title: 'Model / approach', hint: 'One contribution is created per model' },
+        { key: 'dataset', title: 'Dataset', hint: 'What each score was measured on' },
+        { key: 'metric', title: 'Metric', hint: 'What each score measures' }
+    ];
+
+    class TableContributionWizard {
+        constructor(mapper) {
+            this.mapper = mapper || global.tableContributionMapper;
+            this.modal = null;
+            this.state = null;
+        }
+
+        /**
+         * @param {Object} options - { model, caption, tableType, mapping }
+         * @param {Function} onSubmit - receives the contributions to review
+         */
+        show(options, onSubmit) {
+            this.close();
+
+            this.state = {
+                model: options.model,
+                caption: options.caption || 'Table',
+                tableType: options.tableType || null,
+                mapping: options.mapping || this.mapper.suggestMapping(options.model),
+                excludedRows: new Set(),
+                excludedContributions: new Set(),
+                labels: {},
+                step: 1
+            };
+            this.onSubmit = onSubmit;
+
+            this.modal = document.createElement('div');
+            this.modal.className = 'orkg-modal-overlay';
+            this.modal.dataset.modalId = 'table-contributions';
+
+            this.content = document.createElement('div');
+            this.content.className = 'orkg-modal-content orkg-modal-large orkg-property-window-style orkg-table-wizard';
+            this.modal.appendChild(this.content);
+
+            this.modal.addEventListener('click', (e) => {
+                if (e.target === this.modal) this.close();
+            });
+            this.content.addEventListener('click', (e) => this.handleClick(e));
+            this.content.addEventListener('change', (e) => this.handleChange(e));
+            this.content.addEventListener('input', (e) => this.handleInput(e));
+
+            this.render();
+            document.body.appendChild(this.modal);
+
+            requestAnimationFrame(() => {
+                this.modal?.classList.add('orkg-modal-visible');
+            });
+        }
+
+        close() {
+            const modal = this.modal;
+            if (!modal) return;
+
+            this.modal = null;
+            modal.classList.remove('orkg-modal-visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+
+        getContributions() {
+            const { model, mapping, excludedRows } = this.state;
+            return this.mapper.buildContributions(model, mapping, { excludedRows: Array.from(excludedRows) });
+        }
+
+        // ================================
+        // Rendering
+        // ================================
+
+        render() {
+            const step = this.state.step;
+            const contributions = this.getContributions();
+
+            this.content.innerHTML = `
+                <div class="orkg-modal-header">
+                    <h3>Table to Contributions</h3>
+                    <span class="orkg-modal-subtitle">
+                        Step ${step} of 2: ${step === 1 ? 'assign the table axes' : 'check the contributions'}
+                        · ${this.escapeHtml(this.truncate(this.state.caption, 60))}
+                    </span>
+                </div>
+                <div class="orkg-modal-body orkg-modal-scrollable">
+                    ${step === 1 ? this.renderMappingStep(contributions) : this.renderContributionsStep(contributions)}
+                </div>
+                <div class="orkg-modal-footer">
+                    ${step === 1 ? `
+                        <button class="orkg-modal-btn orkg-btn-secondary" data-action="cancel">Cancel</button>
+                        <button class="orkg-modal-btn orkg-btn-primary" data-action="next"
+                                ${contributions.length === 0 ? 'disabled' : ''}>Next</button>
+                    ` : `
+                        <button class="orkg-modal-btn orkg-btn-secondary" data-action="back">Back</button>
+                        <button class="orkg-modal-btn orkg-btn-primary" data-action="submit"
+                                ${this.getSelectedContributions(contributions).length === 0 ? 'disabled' : ''}>Review in ORKG</button>
+                    `}
+                </div>
+            `;
+        }
+
+        renderMappingStep(contributions) {
+            const { model, mapping, tableType } = this.state;
+            const sources = this.mapper.getSourceOptions(model);
+            const evaluations = contributions.reduce((sum, c) => sum + c.evaluations.length, 0);
+
+            const notice = tableType && !['results', 'comparison'].includes(tableType) ? `
+                <div class="orkg-graph-notice">
+                    This table looks like a ${this.escapeHtml(tableType)} table. The mapping works best on
+                    leaderboard-style results tables (model × dataset × metric).
+                </div>
+            ` : '';
+
+            const roles = ROLES.map(role => {
+                const current = mapping[role.key];
+
+                return `
+                    <div class="orkg-wizard-role orkg-wizard-role-${role.key}">
+                        <label class="orkg-wizard-role-title" title="${this.escapeHtml(role.hint)}">${role.title}</label>
+                        <select class="orkg-wizard-source" data-role="${role.key}">
+                            ${sources.map((source, index) => `
+                                <option value="${index}" ${this.sameSource(source, current) ? 'selected' : ''}>
+                                    ${this.escapeHtml(this.mapper.describeSource(source, model))}
+                                </option>
+                            `).join('')}
+                        </select>
+                        ${current.kind === 'fixed' ? `
+                            <input type="text" class="orkg-wizard-fixed" data-role="${role.key}"
+                                   value="${this.escapeHtml(current.value || '')}" placeholder="e.g. ${role.key === 'dataset' ? 'ImageNet' : role.key === 'metric' ? 'Accuracy' : 'Our method'}">
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            const valueColumns = model.columns.map(column => `
+                <label class="orkg-wizard-column">
+                    <input type="checkbox" class="orkg-wizard-value-column" data-column="${column.index}"
+                           ${mapping.valueColumns.includes(column.index) ? 'checked' : ''}>
+                    ${this.escapeHtml(column.label)}
+                </label>
+            `).join('');
+
+            return `
+                ${notice}
+                <h4 class="orkg-graph-heading">Roles</h4>
+                ${roles}
+
+                <h4 class="orkg-graph-heading">Score columns</h4>
+                <div class="orkg-wizard-columns">${valueColumns}</div>
+
+                <h4 class="orkg-graph-heading">Table</h4>
+                ${this.renderGrid()}
+
+                <div class="orkg-send-counts">
+                    <div class="orkg-count-item">Contributions: ${contributions.length}</div>
+                    <div class="orkg-count-item">Scores: ${evaluations}</div>
+                </div>
+            `;
+        }
+
+        /**
+         * The table with the cells feeding each role coloured; clicking a
+         * body row toggles it in or out of the mapping
+         */
+        renderGrid(maxRows = 12) {
+            const { model, mapping, excludedRows } = this.state;
+            const roleOf = (source) => ROLES.find(role => this.sameSource(mapping[role.key], source))?.key;
+
+            let html = '<table class="orkg-wizard-grid"><thead>';
+            model.headers.forEach((headerRow, level) => {
+                const role = roleOf({ kind: 'header', level });
+                html += '<tr>';
+                headerRow.forEach((text, c) => {
+                    const classes = mapping.valueColumns.includes(c) && role ? `orkg-wizard-cell-${role}` : '';
+                    html += `<th class="${classes}">${this.escapeHtml(text)}</th>`;
+                });
+                html += '</tr>';
+            });
+            html += '</thead><tbody>';
+
+            let lastGroup = null;
+            const groupRole = roleOf({ kind: 'group' });
+
+            model.rows.slice(0, maxRows).forEach(row => {
+                if (row.group && row.group !== lastGroup && model.groups.length > 0) {
+                    html += `<tr><th colspan="${model.columnCount}" class="${groupRole ? `orkg-wizard-cell-${groupRole}` : ''}">${this.escapeHtml(row.group)}</th></tr>`;
+                }
+                lastGroup = row.group;
+
+                const excluded = excludedRows.has(row.index);
+                html += `<tr class="orkg-wizard-row${excluded ? ' orkg-wizard-row-excluded' : ''}" data-row="${row.index}"
+                             title="${excluded ? 'Click to include this row' : 'Click to leave this row out'}">`;
+                row.cells.forEach((cell, c) => {
+                    const role = roleOf({ kind: 'column', index: c });
+                    const isValue = mapping.valueColumns.includes(c) && this.mapper.isNumeric(cell);
+                    const classes = [
+                        role ? `orkg-wizard-cell-${role}` : '',
+                        isValue ? 'orkg-wizard-cell-value' : '',
+                        cell.isBest ? 'orkg-wizard-cell-best' : ''
+                    ].filter(Boolean).join(' ');
+                    html += `<td class="${classes}">${this.escapeHtml(cell.text)}</td>`;
+                });
+                html += '</tr>';
+            });
+
+            if (model.rows.length > maxRows) {
+                html += `<tr><td colspan="${model.columnCount}" class="orkg-graph-empty">… ${model.rows.length - maxRows} more rows</td></tr>`;
+            }
+
+            return html + '</tbody></table>';
+        }
+
+        renderContributionsStep(contributions) {
+            const missingMetric = contributions.reduce((sum, c) => sum + c.evaluations.filter(e => !e.metric).length, 0);
+            const missingDataset = contributions.reduce((sum, c) => sum + c.evaluations.filter(e => !e.dataset).length, 0);
+
+            const warnings = [
+                missingMetric > 0 ? `${missingMetric} score(s) have no metric. Go back and set the metric, e.g. as a fixed value.` : '',
+                missingDataset > 0 ? `${missingDataset} score(s) have no dataset.` : ''
+            ].filter(Boolean);
+
+            const items = contributions.map(contribution => {
+                const excluded = this.state.excludedContributions.has(contribution.key);
+                const label = this.state.labels[contribution.key] ?? contribution.label;
+
+                return `
+                    <div class="orkg-wizard-contribution${excluded ? ' orkg-wizard-row-excluded' : ''}">
+                        <div class="orkg-wizard-contribution-header">
+                            <input type="checkbox" class="orkg-wizard-include" data-key="${this.escapeHtml(contribution.key)}"
+                                   ${excluded ? '' : 'checked'}>
+                            <input type="text" class="orkg-wizard-label" data-key="${this.escapeHtml(contribution.key)}"
+                                   value="${this.escapeHtml(label)}" title="Contribution label">
+                            <span class="orkg-graph-kind">${contribution.evaluations.length} score(s)</span>
+                        </div>
+                        <table class="orkg-wizard-evaluations">
+                            ${contribution.evaluations.map(evaluation => `
+                                <tr>
+                                    <td>${this.escapeHtml(evaluation.dataset || '—')}</td>
+                                    <td>${this.escapeHtml(evaluation.metric || '—')}</td>
+                                    <td class="orkg-wizard-cell-value${evaluation.isBest ? ' orkg-wizard-cell-best' : ''}">
+                                        ${this.escapeHtml(this.formatScore(evaluation))}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                ${warnings.map(text => `<div class="orkg-graph-notice">${this.escapeHtml(text)}</div>`).join('')}
+                <h4 class="orkg-graph-heading">One contribution per model</h4>
+                ${items}
+            `;
+        }
+
+        formatScore(evaluation) {
+            let text = String(evaluation.score);
+            if (evaluation.error !== undefined) text += ` ± ${evaluation.error}`;
+            if (evaluation.unit) text += evaluation.unit === '%' ? '%' : ` ${evaluation.unit}`;
+            if (evaluation.isBest) text += ' ★';
+            return text;
+        }
+
+        // ================================
+        // Events
+        // ================================
+
+        handleClick(e) {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (action === 'cancel') {
+                this.close();
+            } else if (action === 'next') {
+                this.state.step = 2;
+                this.render();
+            } else if (action === 'back') {
+                this.state.step = 1;
+                this.render();
+            } else if (action === 'submit') {
+                const selected = this.getSelectedContributions(this.getContributions());
+                this.close();
+                this.onSubmit?.(selected);
+            } else {
+                const row = e.target.closest('.orkg-wizard-row');
+                if (row) {
+                    const index = parseInt(row.dataset.row, 10);
+                    const excluded = this.state.excludedRows;
+                    excluded.has(index) ? excluded.delete(index) : excluded.add(index);
+                    this.render();
+                }
+            }
+        }
+
+        handleChange(e) {
+            const target = e.target;
+
+            if (target.classList.contains('orkg-wizard-source')) {
+                const source = this.mapper.getSourceOptions(this.state.model)[parseInt(target.value, 10)];
+                this.state.mapping[target.dataset.role] = { ...source };
+                this.render();
+            } else if (target.classList.contains('orkg-wizard-value-column')) {
+                const column = parseInt(target.dataset.column, 10);
+                const columns = this.state.mapping.valueColumns.filter(c => c !== column);
+                if (target.checked) columns.push(column);
+                this.state.mapping.valueColumns = columns.sort((a, b) => a - b);
+                this.render();
+            } else if (target.classList.contains('orkg-wizard-include')) {
+                const excluded = this.state.excludedContributions;
+                target.checked ? excluded.delete(target.dataset.key) : excluded.add(target.dataset.key);
+                this.render();
+            } else if (target.classList.contains('orkg-wizard-fixed')) {
+                // Re-render once typing is done so the counts follow the fixed value
+                this.render();
+            }
+        }
+
+        handleInput(e) {
+            const target = e.target;
+
+            if (target.classList.contains('orkg-wizard-fixed')) {
+                this.state.mapping[target.dataset.role].value = target.value;
+            } else if (target.classList.contains('orkg-wizard-label')) {
+                this.state.labels[target.dataset.key] = target.value;
+            }
+        }
+
+        getSelectedContributions(contributions) {
+            return contributions
+                .filter(contribution => !this.state.excludedContributions.has(contribution.key))
+                .map(contribution => ({
+                    ...contribution,
+                    label: (this.state.labels[contribution.key] ?? contribution.label).trim() || contribution.label
+                }));
+        }
+
+        // ================================
+        // Utilities
+        // ================================
+
+        sameSource(a, b) {
+            if (!a || !b || a.kind !== b.kind) return false;
+            if (a.kind === 'column') return a.index === b.index;
+            if (a.kind === 'header') return a.level === b.level;
+            return true;
+        }
+
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text === null || text === undefined ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        truncate(text, maxLength) {
+            if (!text) return '';
+            if (text.length <= maxLength) return text;
+            return text.substring(0, maxLength) + '...';
+        }
+    }
+
+    global.TableContributionWizard = TableContributionWizard;
+
+    console.log('📢 TableContributionWizard exposed to global scope');
+
+})(typeof window !== 'undefined' ? window : this);
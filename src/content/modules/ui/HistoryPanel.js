@@ -0,0 +1,127 @@
+// ================================
+// modules/ui/HistoryPanel.js
+// Undo/redo controls and the list of annotation actions on the page
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const TYPE_ICONS = {
+    highlight: '✚',
+    delete: '✖',
+    update: '✎',
+    review: '✔'
+  };
+
+  /**
+   * A small bar in the bottom-left corner, shown once there is something
+   * to undo. It expands to the full list; clicking an entry undoes back to
+   * before it, or redoes up to it when it was undone.
+   */
+  class HistoryPanel {
+    constructor(history) {
+      this.history = history;
+      this.element = null;
+      this.expanded = false;
+
+      this.handleClick = this.handleClick.bind(this);
+    }
+
+    render(entries = this.history.getEntries()) {
+      if (entries.undo.length === 0 && entries.redo.length === 0) {
+        this.destroy();
+        return;
+      }
+
+      if (!this.element) {
+        this.element = document.createElement('div');
+        this.element.className = 'orkg-history-panel';
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-label', 'Annotation history');
+        this.element.addEventListener('click', this.handleClick);
+        document.body.appendChild(this.element);
+      }
+
+      const nextUndo = entries.undo[0];
+      const nextRedo = entries.redo[entries.redo.length - 1];
+
+      this.element.innerHTML = `
+        <div class="orkg-history-bar">
+          <button class="orkg-history-btn" data-history-action="undo" ${nextUndo ? '' : 'disabled'}
+                  title="${nextUndo ? `Undo: ${this.escapeHtml(nextUndo.label)}` : 'Nothing to undo'} (Ctrl+Z)">↶</button>
+          <button class="orkg-history-btn" data-history-action="redo" ${nextRedo ? '' : 'disabled'}
+                  title="${nextRedo ? `Redo: ${this.escapeHtml(nextRedo.label)}` : 'Nothing to redo'} (Ctrl+Shift+Z)">↷</button>
+          <button class="orkg-history-toggle" data-history-action="toggle"
+                  aria-expanded="${this.expanded}" title="Show history (Alt+Shift+H)">
+            History (${entries.undo.length})
+          </button>
+        </div>
+        ${this.expanded ? `
+          <ol class="orkg-history-list">
+            ${entries.redo.map(entry => this.renderEntry(entry, true)).join('')}
+            ${entries.undo.map(entry => this.renderEntry(entry, false)).join('')}
+          </ol>
+        ` : ''}
+      `;
+    }
+
+    renderEntry(entry, undone) {
+      const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+      return `
+        <li class="orkg-history-item orkg-history-${entry.type} ${undone ? 'undone' : ''}"
+            data-entry-id="${entry.id}"
+            title="${undone ? 'Redo up to this action' : 'Undo back to before this action'}">
+          <span class="orkg-history-icon">${TYPE_ICONS[entry.type] || '•'}</span>
+          <span class="orkg-history-label">${this.escapeHtml(entry.label)}</span>
+          <span class="orkg-history-time">${time}</span>
+        </li>
+      `;
+    }
+
+    toggle() {
+      this.expanded = !this.expanded;
+      this.render();
+    }
+
+    handleClick(e) {
+      e.stopPropagation();
+
+      const button = e.target.closest('[data-history-action]');
+      if (button) {
+        const action = button.dataset.historyAction;
+        if (action === 'toggle') {
+          this.toggle();
+        } else {
+          this.history[action]();
+        }
+        return;
+      }
+
+      const item = e.target.closest('.orkg-history-item');
+      if (item) {
+        this.history.jumpTo(item.dataset.entryId);
+      }
+    }
+
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    destroy() {
+      if (this.element) {
+        this.element.removeEventListener('click', this.handleClick);
+        this.element.remove();
+        this.element = null;
+      }
+    }
+  }
+
+  // Export to global scope
+  global.HistoryPanel = HistoryPanel;
+
+  console.log('HistoryPanel module loaded');
+
+})(typeof window !== 'undefined' ? window : this);
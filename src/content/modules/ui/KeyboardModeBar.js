@@ -0,0 +1,96 @@
+// ================================
+// modules/ui/KeyboardModeBar.js
+// Status bar shown while keyboard annotation mode is on
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const SHORTCUTS = [
+    ['→ / ←', 'Select next / previous sentence'],
+    ['Shift+→ / Shift+←', 'Extend / shrink selection by a sentence'],
+    ['/ or Enter', 'Open the property palette'],
+    ['1 – 9', 'Assign a recently used property'],
+    ['J / K', 'Jump to next / previous marker'],
+    ['Ctrl+Z', 'Undo'],
+    ['?', 'Show or hide these keys'],
+    ['Esc', 'Leave keyboard mode']
+  ];
+
+  /**
+   * A bar along the bottom of the page with the current selection or
+   * marker, the recently used properties under their number keys and,
+   * on request, the list of keys.
+   */
+  class KeyboardModeBar {
+    constructor() {
+      this.element = null;
+      this.showHelp = false;
+    }
+
+    /**
+     * @param {Object} state - { status, recent }
+     */
+    render(state) {
+      if (!this.element) {
+        this.element = document.createElement('div');
+        this.element.className = 'orkg-keyboard-bar';
+        this.element.setAttribute('data-orkg-element', 'keyboard-bar');
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.element.addEventListener('mouseup', (e) => e.stopPropagation());
+        document.body.appendChild(this.element);
+      }
+
+      const recent = (state.recent || []).slice(0, 9);
+
+      this.element.innerHTML = `
+        ${this.showHelp ? `
+          <dl class="orkg-keyboard-help">
+            ${SHORTCUTS.map(([keys, action]) => `
+              <dt><kbd>${keys}</kbd></dt><dd>${action}</dd>
+            `).join('')}
+          </dl>
+        ` : ''}
+        <div class="orkg-keyboard-row">
+          <span class="orkg-keyboard-mode">⌨ Keyboard mode</span>
+          <span class="orkg-keyboard-status">${this.escapeHtml(state.status || 'Press → to select the first sentence')}</span>
+          <span class="orkg-keyboard-recent">
+            ${recent.map((property, index) => `
+              <span class="orkg-keyboard-chip" style="border-color: ${this.escapeHtml(property.color || '#e9ecef')}">
+                <kbd>${index + 1}</kbd>${this.escapeHtml(property.label)}
+              </span>
+            `).join('')}
+          </span>
+          <span class="orkg-keyboard-help-hint"><kbd>?</kbd> keys</span>
+        </div>
+      `;
+    }
+
+    toggleHelp(state) {
+      this.showHelp = !this.showHelp;
+      this.render(state);
+    }
+
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    destroy() {
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+      this.showHelp = false;
+    }
+  }
+
+  // Export to global scope
+  global.KeyboardModeBar = KeyboardModeBar;
+
+  console.log('KeyboardModeBar module loaded');
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,346 @@
+// ================================
+// modules/ui/PropertyPalette.js
+// Keyboard property picker with fuzzy search over ORKG properties
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const MAX_RESULTS = 12;
+  const SEARCH_DEBOUNCE = 200;
+
+  /**
+   * Centered search box opened from keyboard mode. With an empty query it
+   * lists the recently used properties under their number keys; typing
+   * ranks every property seen so far by fuzzy match and adds the ORKG
+   * search results as they arrive. Arrow keys move, Enter assigns.
+   */
+  class PropertyPalette {
+    constructor() {
+      this.element = null;
+      this.input = null;
+      this.list = null;
+      this.options = null;
+      this.results = [];
+      this.activeIndex = 0;
+      this.known = new Map();
+      this.preloaded = false;
+      this.searchTimeout = null;
+      this.searchToken = 0;
+
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleInput = this.handleInput.bind(this);
+      this.handleClick = this.handleClick.bind(this);
+      this.handleOutsideClick = this.handleOutsideClick.bind(this);
+    }
+
+    /**
+     * @param {Object} options - { text, recent, onSelect, onClose }
+     *   text is shown as context, recent is the most recently used
+     *   properties (newest first), onSelect receives the chosen property
+     */
+    open(options) {
+      this.options = options;
+      (options.recent || []).forEach(property => this.remember(property));
+
+      if (!this.element) {
+        this.element = document.createElement('div');
+        this.element.className = 'orkg-property-palette';
+        this.element.setAttribute('data-orkg-element', 'property-palette');
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Assign property');
+        this.element.innerHTML = `
+          <div class="orkg-palette-context"></div>
+          <input type="text" class="orkg-palette-input" placeholder="Search ORKG properties..."
+                 autocomplete="off" spellcheck="false" role="combobox" aria-expanded="true">
+          <ol class="orkg-palette-list" role="listbox"></ol>
+          <div class="orkg-palette-hint">↑↓ move · Enter assign · Esc close</div>
+        `;
+
+        this.input = this.element.querySelector('.orkg-palette-input');
+        this.list = this.element.querySelector('.orkg-palette-list');
+
+        this.input.addEventListener('input', this.handleInput);
+        this.element.addEventListener('keydown', this.handleKeydown);
+        this.element.addEventListener('click', this.handleClick);
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+        this.element.addEventListener('mouseup', (e) => e.stopPropagation());
+      }
+
+      const context = this.element.querySelector('.orkg-palette-context');
+      context.textContent = options.text ? this.truncate(options.text, 80) : '';
+      context.hidden = !options.text;
+
+      this.input.value = '';
+      document.body.appendChild(this.element);
+      document.addEventListener('mousedown', this.handleOutsideClick, true);
+
+      this.update('');
+      this.input.focus();
+      this.preload();
+    }
+
+    close() {
+      if (!this.isOpen()) return;
+
+      clearTimeout(this.searchTimeout);
+      this.searchToken++;
+      document.removeEventListener('mousedown', this.handleOutsideClick, true);
+      this.element.remove();
+
+      const onClose = this.options?.onClose;
+      this.options = null;
+      onClose?.();
+    }
+
+    isOpen() {
+      return !!this.element?.isConnected;
+    }
+
+    // ================================
+    // Search
+    // ================================
+
+    handleInput() {
+      const query = this.input.value.trim();
+      this.update(query);
+
+      clearTimeout(this.searchTimeout);
+      if (!query) return;
+
+      this.searchTimeout = setTimeout(() => this.searchORKG(query), SEARCH_DEBOUNCE);
+    }
+
+    update(query) {
+      if (!query) {
+        this.results = (this.options?.recent || []).slice(0, 9);
+      } else {
+        this.results = this.rank(query, Array.from(this.known.values()));
+      }
+
+      this.activeIndex = 0;
+      this.render(query);
+    }
+
+    async searchORKG(query) {
+      const token = ++this.searchToken;
+      this.element.classList.add('orkg-palette-loading');
+
+      // ORKG matches substrings, so also try the longest words of a fuzzy query
+      const words = query.split(/\s+/).filter(word => word.length >= 3).sort((a, b) => b.length - a.length);
+      const queries = [...new Set([query, ...words.slice(0, 2)])].filter(q => q.length >= 2);
+
+      try {
+        for (const q of queries) {
+          const response = await this.sendMessage({ action: 'SEARCH_ORKG_PROPERTIES', query: q });
+          (response?.properties || []).forEach(property => this.remember(property));
+        }
+      } finally {
+        if (token === this.searchToken && this.isOpen()) {
+          this.element.classList.remove('orkg-palette-loading');
+
+          const selectedId = this.results[this.activeIndex]?.id;
+          this.results = this.rank(query, Array.from(this.known.values()));
+          this.activeIndex = Math.max(0, this.results.findIndex(property => property.id === selectedId));
+          this.render(query);
+        }
+      }
+    }
+
+    // A first set of properties, so fuzzy queries have something to match before ORKG answers
+    async preload() {
+      if (this.preloaded) return;
+      this.preloaded = true;
+
+      const response = await this.sendMessage({ action: 'SEARCH_ORKG_PROPERTIES', query: '' });
+      (response?.properties || []).forEach(property => this.remember(property));
+
+      const query = this.input?.value.trim();
+      if (query && this.isOpen()) {
+        this.update(query);
+      }
+    }
+
+    remember(property) {
+      if (!property?.id || !property.label) return;
+      this.known.set(property.id, { ...this.known.get(property.id), ...property });
+    }
+
+    rank(query, properties) {
+      const recentIds = (this.options?.recent || []).map(property => property.id);
+
+      return properties
+        .map(property => {
+          const score = Math.max(
+            PropertyPalette.fuzzyScore(query, property.label),
+            PropertyPalette.fuzzyScore(query, property.id) - 1
+          );
+          // Recently used properties win ties
+          const recentBonus = score > 0 && recentIds.includes(property.id) ? 0.5 : 0;
+          return { property, score: score + recentBonus };
+        })
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.property.label.length - b.property.label.length)
+        .slice(0, MAX_RESULTS)
+        .map(entry => entry.property);
+    }
+
+    /**
+     * Characters of the query must appear in order in the text. Matches
+     * at word starts and runs of consecutive characters score higher, so
+     * "rp" finds "research problem" before "report".
+     * @returns {number} 0 when there is no match
+     */
+    static fuzzyScore(query, text) {
+      const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+      const t = String(text || '').toLowerCase();
+      if (!q || !t) return 0;
+
+      if (t === q) return 100;
+      if (t.startsWith(q)) return 50 + q.length;
+
+      let score = 0;
+      let position = -1;
+      let run = 0;
+
+      for (const char of q) {
+        const found = t.indexOf(char, position + 1);
+        if (found === -1) return 0;
+
+        const wordStart = found === 0 || /[\s_\-/(]/.test(t[found - 1]);
+        run = found === position + 1 ? run + 1 : 0;
+        score += 1 + (wordStart ? 3 : 0) + run * 2;
+        position = found;
+      }
+
+      return score;
+    }
+
+    // ================================
+    // Rendering and keys
+    // ================================
+
+    render(query) {
+      if (this.results.length === 0) {
+        this.list.innerHTML = `
+          <li class="orkg-palette-empty">${query ? 'No matching properties' : 'No recently used properties yet. Type to search.'}</li>
+        `;
+        return;
+      }
+
+      const recentIds = (this.options?.recent || []).slice(0, 9).map(property => property.id);
+
+      this.list.innerHTML = this.results.map((property, index) => {
+        const shortcut = recentIds.indexOf(property.id) + 1;
+        return `
+          <li class="orkg-palette-item ${index === this.activeIndex ? 'active' : ''}"
+              role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+            <span class="orkg-palette-swatch" style="background: ${this.escapeHtml(property.color || '#e9ecef')}"></span>
+            <span class="orkg-palette-label">${this.escapeHtml(property.label)}</span>
+            <span class="orkg-palette-id">${this.escapeHtml(property.id)}</span>
+            ${shortcut > 0 ? `<kbd class="orkg-palette-key">${shortcut}</kbd>` : ''}
+          </li>
+        `;
+      }).join('');
+
+      this.list.querySelector('.active')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+      // Keep page shortcuts and keyboard mode from seeing what is typed here
+      e.stopPropagation();
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.move(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.move(-1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this.choose(this.activeIndex);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+      }
+    }
+
+    move(step) {
+      if (this.results.length === 0) return;
+      this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+      this.render(this.input.value.trim());
+    }
+
+    handleClick(e) {
+      const item = e.target.closest('.orkg-palette-item');
+      if (item) {
+        this.choose(Number(item.dataset.index));
+      }
+    }
+
+    handleOutsideClick(e) {
+      if (!this.element.contains(e.target)) {
+        this.close();
+      }
+    }
+
+    choose(index) {
+      const property = this.results[index];
+      if (!property) return;
+
+      const onSelect = this.options?.onSelect;
+      this.close();
+      onSelect?.(property);
+    }
+
+    sendMessage(message) {
+      return new Promise((resolve) => {
+        if (!chrome?.runtime?.id) {
+          resolve({ success: false, error: 'Runtime not available' });
+          return;
+        }
+
+        try {
+          chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+              resolve({ success: false, error: chrome.runtime.lastError.message });
+            } else {
+              resolve(response || { success: false });
+            }
+          });
+        } catch (error) {
+          resolve({ success: false, error: error.message });
+        }
+      });
+    }
+
+    truncate(text, length) {
+      const clean = String(text).replace(/\s+/g, ' ').trim();
+      return clean.length > length ? clean.substring(0, length) + '…' : clean;
+    }
+
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    destroy() {
+      this.close();
+      this.element = null;
+      this.known.clear();
+      this.preloaded = false;
+    }
+  }
+
+  // Export to global scope
+  global.PropertyPalette = PropertyPalette;
+
+  console.log('PropertyPalette module loaded');
+
+})(typeof window !== 'undefined' ? window : this);
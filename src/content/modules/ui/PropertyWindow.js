@@ -9,6 +9,7 @@ class PropertyWindow {
         this.currentPosition = { x: 0, y: 0 };
         this.selectedProperty = null;
         this.selectedColor = null;
+        this.selectedContribution = null;
         this.savedRange = null;
         
         // Control flags
@@ -141,6 +142,16 @@ class PropertyWindow {
                     </div>
                 </div>
                 
+                <div class="orkg-section orkg-contribution-section orkg-hidden">
+                    <h5 class="orkg-section-title orkg-contribution-title">
+                        <svg class="orkg-section-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M8.235 1.559a.5.5 0 0 0-.47 0l-7.5 4a.5.5 0 0 0 0 .882L3.188 8 .264 9.559a.5.5 0 0 0 0 .882l7.5 4a.5.5 0 0 0 .47 0l7.5-4a.5.5 0 0 0 0-.882L12.813 8l2.922-1.559a.5.5 0 0 0 0-.882l-7.5-4zM8 9.433 1.562 6 8 2.567 14.438 6 8 9.433z"/>
+                        </svg>
+                        Contribution
+                    </h5>
+                    <select class="orkg-contribution-select"></select>
+                </div>
+                
                 <div class="orkg-section orkg-color-section">
                     <h5 class="orkg-section-title orkg-color-title">
                         <svg class="orkg-section-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
@@ -207,6 +218,14 @@ class PropertyWindow {
             colorPicker.addEventListener('change', this.handleColorChange.bind(this));
         }
         
+        // Contribution switcher
+        const contributionSelect = this.windowElement.querySelector('.orkg-contribution-select');
+        if (contributionSelect) {
+            contributionSelect.addEventListener('change', (e) => {
+                this.selectedContribution = e.target.value;
+            });
+        }
+        
         // Make window draggable
         this.makeWindowDraggable();
     }
@@ -304,6 +323,36 @@ class PropertyWindow {
         }
     }
     
+    /**
+     * Fill the contribution switcher from the contributions defined in the
+     * popup. It stays hidden while the paper has a single contribution.
+     */
+    renderContributions() {
+        const section = this.windowElement?.querySelector('.orkg-contribution-section');
+        const select = section?.querySelector('.orkg-contribution-select');
+        if (!select) return;
+        
+        const handler = window.contributionHandler;
+        const contributions = handler?.getContributions() || [];
+        
+        if (!contributions.some(c => c.id === this.selectedContribution)) {
+            this.selectedContribution = handler?.getActiveId() || null;
+        }
+        
+        select.innerHTML = contributions.map(contribution => `
+            <option value="${this.escapeHtml(contribution.id)}" ${contribution.id === this.selectedContribution ? 'selected' : ''}>
+                ${this.escapeHtml(contribution.label)}
+            </option>
+        `).join('');
+        
+        section.classList.toggle('orkg-hidden', !handler?.hasMultiple());
+    }
+    
+    setContribution(contributionId) {
+        this.selectedContribution = contributionId || null;
+        this.renderContributions();
+    }
+    
     handleColorChange(e) {
         this.selectedColor = e.target.value;
         this.updateColorPreview();
@@ -359,6 +408,8 @@ class PropertyWindow {
         this.currentPosition = position;
         this.selectedProperty = null;
         this.selectedColor = this.getRandomColor();
+        // When editing a highlight, keep the contribution it is assigned to
+        this.selectedContribution = document.querySelector('.orkg-selection-active')?.dataset.contribution || null;
         this.isMinimized = false;
         
         // Reset flags
@@ -373,6 +424,7 @@ class PropertyWindow {
         this.clearSelections();
         this.updateSelectedTextPreview();
         this.updateColorPreview();
+        this.renderContributions();
         
         // Add to DOM if not already
         if (!document.body.contains(this.windowElement)) {
@@ -885,6 +937,9 @@ class PropertyWindow {
             existingHighlight.style.backgroundColor = this.selectedColor;
             existingHighlight.dataset.property = JSON.stringify(this.selectedProperty);
             existingHighlight.dataset.propertyLabel = this.selectedProperty.label;
+            if (this.selectedContribution) {
+                existingHighlight.dataset.contribution = this.selectedContribution;
+            }
             
             // Update marker metadata
             const markerEl = existingHighlight.querySelector('.orkg-marker');
@@ -893,12 +948,20 @@ class PropertyWindow {
                     const metadata = JSON.parse(markerEl.dataset.metadata);
                     metadata.property = this.selectedProperty;
                     metadata.color = this.selectedColor;
+                    if (this.selectedContribution) {
+                        metadata.contribution = this.selectedContribution;
+                    }
                     markerEl.dataset.metadata = JSON.stringify(metadata);
                 } catch (e) {
                     console.warn('Could not update marker metadata:', e);
                 }
             }
             
+            const highlightId = existingHighlight.dataset.highlightId;
+            if (highlightId && this.selectedContribution) {
+                window.contributionHandler?.assign([highlightId], this.selectedContribution);
+            }
+            
             highlightSuccess = true;
         } else if (typeof TextHighlighter !== 'undefined') {
             // This is a new highlight
@@ -908,9 +971,13 @@ class PropertyWindow {
                     property: this.selectedProperty,
                     color: this.selectedColor,
                     text: this.selectedText,
+                    contribution: this.selectedContribution,
                     source: 'manual'
                 });
                 highlightSuccess = !!result;
+                if (result) {
+                    window.historyHandler?.recordHighlightCreated(result.id);
+                }
             } else {
                 // Fallback to selection-based highlighting
                 const selection = window.getSelection();
@@ -922,9 +989,13 @@ class PropertyWindow {
                         property: this.selectedProperty,
                         color: this.selectedColor,
                         text: text,
+                        contribution: this.selectedContribution,
                         source: 'manual'
                     });
                     highlightSuccess = !!result;
+                    if (result) {
+                        window.historyHandler?.recordHighlightCreated(result.id);
+                    }
                 }
             }
             
@@ -935,6 +1006,7 @@ class PropertyWindow {
         
         // Hide the window if operation succeeded
         if (highlightSuccess) {
+            window.keyboardAnnotationHandler?.rememberProperty(this.selectedProperty, this.selectedColor);
             this.hide();
             this.savedRange = null;
             this.selectedText = null;
@@ -5,6 +5,12 @@
 (function(global) {
   'use strict';
   
+  const REVIEW_VERBS = {
+    accepted: 'Accept',
+    edited: 'Edit',
+    rejected: 'Reject'
+  };
+  
   class RAGResultsWindow {
     constructor(config = {}) {
       // Configuration
@@ -33,11 +39,13 @@
       this.tabManager = null;
       this.panelRenderer = null;
       this.elementFinder = null;
+      this.reviewQueue = null;
       
       // Event callbacks
       this.onDataReceived = null;
       this.onElementJump = null;
       this.onWindowClosed = null;
+      this.unsubscribeContributions = null;
     }
     
     async init() {
@@ -100,6 +108,20 @@
             <span class="orkg-rag-badge" data-count="0">0</span>
           </div>
           <div class="orkg-rag-controls">
+            <button class="orkg-rag-btn import-annotations-btn" title="Import annotations (Web Annotation JSON-LD)">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="17 8 12 3 7 8"></polyline>
+                <line x1="12" y1="3" x2="12" y2="15"></line>
+              </svg>
+            </button>
+            <button class="orkg-rag-btn export-annotations-btn" title="Download annotations (Web Annotation JSON-LD)">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="7 10 12 15 17 10"></polyline>
+                <line x1="12" y1="15" x2="12" y2="3"></line>
+              </svg>
+            </button>
             <button class="orkg-rag-btn minimize-btn" title="Minimize">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <polyline points="6 9 12 15 18 9"></polyline>
@@ -123,6 +145,15 @@
         
         <!-- Content -->
         <div class="orkg-rag-content">
+          <!-- Contribution assignment, shown once the paper has several contributions -->
+          <div class="orkg-rag-contribution-bar" style="display: none;">
+            <span class="orkg-rag-contribution-label">Assign to</span>
+            <select class="orkg-rag-contribution-select"></select>
+            <button class="orkg-rag-assign-btn" title="Assign the selected results, or all results when none are selected">
+              Assign
+            </button>
+          </div>
+          
           <!-- Tabs -->
           <div class="orkg-rag-tabs">
             <button class="orkg-rag-tab active" data-tab="text">
@@ -149,6 +180,14 @@
               <span>Tables</span>
               <span class="tab-count" data-tab-count="tables">0</span>
             </button>
+            <button class="orkg-rag-tab" data-tab="review" title="Review extracted values by confidence">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="9 11 12 14 22 4"></polyline>
+                <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+              </svg>
+              <span>Review</span>
+              <span class="tab-count" data-tab-count="review">0</span>
+            </button>
           </div>
           
           <!-- Tab Panels -->
@@ -162,6 +201,9 @@
             <div class="orkg-rag-panel" data-panel="tables">
               <div class="panel-content"></div>
             </div>
+            <div class="orkg-rag-panel" data-panel="review">
+              <div class="panel-content"></div>
+            </div>
           </div>
         </div>
       `;
@@ -187,7 +229,9 @@
       // Initialize TabManager
       this.tabManager = new global.RAGTabManager(this.container, {
         defaultTab: this.config.defaultTab,
-        tabs: ['text', 'images', 'tables']
+        tabs: ['text', 'images', 'tables', 'review'],
+        // The review tab lists the text values again
+        uncountedTabs: ['review']
       });
       this.tabManager.init();
       
@@ -205,6 +249,14 @@
       });
       this.elementFinder.init();
       
+      // Initialize ReviewQueue (optional)
+      if (global.RAGReviewQueue) {
+        this.reviewQueue = new global.RAGReviewQueue(
+          this.container.querySelector('[data-panel="review"]')
+        );
+        this.reviewQueue.init();
+      }
+      
       console.log('All components initialized');
     }
     
@@ -212,6 +264,9 @@
       // Tab change events
       this.tabManager.onTabChanged((newTab, oldTab) => {
         console.log(`Tab changed: ${oldTab} → ${newTab}`);
+        if (newTab === 'review' && this.reviewQueue) {
+          this.reviewQueue.focus();
+        }
         this.emitEvent('tabChanged', { newTab, oldTab });
       });
       
@@ -220,6 +275,16 @@
         this.handleItemClick(type, id);
       });
       
+      // Review queue: show the evidence of the value under review, apply decisions
+      if (this.reviewQueue) {
+        this.reviewQueue.onSelect((item) => {
+          this.elementFinder.findAndJump('text', item.id, item);
+        });
+        this.reviewQueue.onDecision((item, decision, value, previousReview) => {
+          this.applyReviewDecision(item, decision, value, previousReview);
+        });
+      }
+      
       // Section toggle events
       this.panelRenderer.onSectionToggled((sectionId, isExpanded) => {
         console.log(`Section ${sectionId} ${isExpanded ? 'expanded' : 'collapsed'}`);
@@ -239,6 +304,32 @@
         this.emitEvent('windowRestored');
       });
       
+      // Web Annotation export/import
+      this.container.querySelector('.export-annotations-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        global.annotationHandler?.downloadAnnotations();
+      });
+      
+      this.container.querySelector('.import-annotations-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        global.annotationHandler?.pickAndImport();
+      });
+      
+      // Contribution assignment
+      this.container.querySelector('.orkg-rag-assign-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.assignToContribution(this.container.querySelector('.orkg-rag-contribution-select')?.value);
+      });
+      
+      if (global.contributionHandler) {
+        this.unsubscribeContributions = global.contributionHandler.onChange(() => {
+          if (!this.container) return;
+          this.renderContributionBar();
+          this.updateAllPanels();
+        });
+        this.renderContributionBar();
+      }
+      
       // Global event bus listeners
       if (global.eventBus) {
         global.eventBus.on('rag:resultsReady', (data) => this.handleRAGResults(data));
@@ -282,6 +373,11 @@
       // Clear all data
       this.clearAllData();
       
+      if (this.unsubscribeContributions) {
+        this.unsubscribeContributions();
+        this.unsubscribeContributions = null;
+      }
+      
       // Remove container from DOM
       if (this.container && this.container.parentNode) {
         this.container.parentNode.removeChild(this.container);
@@ -327,6 +423,7 @@
       }
       
       this.updateAllPanels();
+      this.renderContributionBar();
       this.show();
       this.updateTotalBadge();
       
@@ -349,11 +446,16 @@
           this.data.text.get(property).push({
             id: highlight.id || `text_${Date.now()}_${Math.random()}`,
             text: highlight.text || highlight.sentence || highlight.value,
+            value: highlight.value,
             sentence: highlight.sentence,
             section: highlight.section,
             confidence: highlight.confidence,
+            evidence: highlight.evidence,
+            location: highlight.location,
             color: highlight.color,
-            propertyLabel: property
+            propertyId: highlight.propertyId || null,
+            propertyLabel: property,
+            contribution: highlight.contribution || global.contributionHandler?.getActiveId() || null
           });
         });
       } else {
@@ -382,9 +484,106 @@
       );
       this.tabManager.updateTabCount('tables', tableCount);
       
+      this.updateReviewQueue();
+      
       console.log(`Updated panels - Text: ${textCount}, Images: ${imageCount}, Tables: ${tableCount}`);
     }
     
+    // Only values produced by the extraction carry a confidence worth reviewing
+    updateReviewQueue() {
+      if (!this.reviewQueue) return;
+      
+      const items = [];
+      this.data.text.forEach(group => group.forEach(item => {
+        if (item.value !== undefined && item.value !== null) {
+          items.push(item);
+        }
+      }));
+      
+      this.reviewQueue.setItems(items);
+      this.tabManager.updateTabCount('review', this.reviewQueue.getPendingCount());
+    }
+    
+    /**
+     * Apply a review decision to the page. Rejected values lose their
+     * highlight so they are not sent to ORKG; edited values keep the
+     * highlight with the corrected value. The decision goes into the
+     * annotation history so it can be undone.
+     */
+    applyReviewDecision(item, decision, value, previousReview = null) {
+      const entry = this.findTextEntry(item.id);
+      const previousValue = entry ? entry.value : item.value;
+      const snapshot = decision === 'rejected' ? global.TextHighlighter?.captureHighlight?.(item.id) : null;
+      const review = item.review;
+      
+      this.applyReview(item.id, review, value);
+      
+      const history = global.historyHandler;
+      if (!history) return;
+      
+      history.record({
+        type: 'review',
+        label: `${REVIEW_VERBS[decision]} ${item.propertyLabel || 'value'}: ${history.quote(value ?? previousValue)}`,
+        undo: () => this.revertReview(item.id, previousReview, previousValue, entry, snapshot),
+        redo: () => {
+          this.reviewQueue.setReview(item.id, review);
+          this.applyReview(item.id, review, value);
+        }
+      });
+    }
+    
+    applyReview(id, review, value) {
+      if (review?.decision === 'rejected') {
+        global.TextHighlighter?.discardHighlight?.(id);
+        this.removeHighlight({ type: 'text', id: id });
+      } else {
+        const highlight = global.TextHighlighter?.getHighlight?.(id);
+        if (highlight) {
+          highlight.value = value;
+          highlight.review = review;
+        }
+        
+        this.data.text.forEach(items => items.forEach(entry => {
+          if (entry.id === id) {
+            entry.value = value;
+            entry.review = review;
+          }
+        }));
+      }
+      
+      this.tabManager.updateTabCount('review', this.reviewQueue.getPendingCount());
+      this.saveData();
+    }
+    
+    // A rejected value first gets its highlight and its place in the results back
+    revertReview(id, previousReview, previousValue, entry, snapshot) {
+      if (snapshot && !global.TextHighlighter?.restoreHighlight?.(snapshot)) {
+        throw new Error('The highlighted text is no longer on the page');
+      }
+      
+      this.reviewQueue.setReview(id, previousReview);
+      
+      if (snapshot && entry) {
+        const restored = { ...entry, type: 'text', value: previousValue };
+        if (previousReview) {
+          restored.review = previousReview;
+        } else {
+          delete restored.review;
+        }
+        this.addHighlight(restored);
+      }
+      
+      this.applyReview(id, previousReview, previousValue);
+    }
+    
+    findTextEntry(id) {
+      for (const items of this.data.text.values()) {
+        const entry = items.find(item => item.id === id);
+        if (entry) return entry;
+      }
+      return null;
+    }
+    
     updateTotalBadge() {
       const total = this.tabManager.getTotalCount();
       const badge = this.container.querySelector('.orkg-rag-badge');
@@ -411,6 +610,7 @@
           this.container.querySelector('[data-panel="text"]')
         );
         this.tabManager.updateTabCount('text', textCount);
+        this.updateReviewQueue();
         
       } else if (data.type === 'image') {
         this.data.images.push(data);
@@ -451,6 +651,7 @@
           this.container.querySelector('[data-panel="text"]')
         );
         this.tabManager.updateTabCount('text', textCount);
+        this.updateReviewQueue();
         
       } else if (data.type === 'image' && data.id) {
         this.data.images = this.data.images.filter(img => img.id !== data.id);
@@ -474,6 +675,66 @@
       this.updateTotalBadge();
     }
     
+    renderContributionBar() {
+      const bar = this.container?.querySelector('.orkg-rag-contribution-bar');
+      const select = bar?.querySelector('.orkg-rag-contribution-select');
+      const handler = global.contributionHandler;
+      if (!select || !handler) return;
+      
+      const current = select.value || handler.getActiveId();
+      select.innerHTML = handler.getContributions().map(contribution => {
+        const option = document.createElement('option');
+        option.value = contribution.id;
+        option.textContent = contribution.label;
+        option.selected = contribution.id === current;
+        return option.outerHTML;
+      }).join('');
+      
+      bar.style.display = handler.hasMultiple() ? 'flex' : 'none';
+    }
+    
+    /**
+     * Assign the selected results, or all results when none are selected,
+     * to a contribution. The assignment goes to the page highlights and
+     * markers, so a later send writes them to that contribution.
+     */
+    assignToContribution(contributionId) {
+      const handler = global.contributionHandler;
+      if (!handler || !contributionId) return;
+      
+      const selected = this.panelRenderer.getSelectedItems();
+      let ids = [...selected.text, ...selected.images, ...selected.tables];
+      
+      if (ids.length === 0) {
+        this.data.text.forEach(items => items.forEach(item => ids.push(item.id)));
+        this.data.images.forEach(image => ids.push(image.id));
+        this.data.tables.forEach(table => ids.push(table.id));
+      }
+      
+      ids = ids.filter(Boolean);
+      if (ids.length === 0) {
+        this.showNotification('No results to assign', 'warning');
+        return;
+      }
+      
+      handler.assign(ids, contributionId);
+      
+      const idSet = new Set(ids);
+      this.data.text.forEach(items => items.forEach(item => {
+        if (idSet.has(item.id)) item.contribution = contributionId;
+      }));
+      [...this.data.images, ...this.data.tables].forEach(item => {
+        if (idSet.has(item.id)) item.contribution = contributionId;
+      });
+      
+      this.updateAllPanels();
+      this.saveData();
+      this.showNotification(
+        `Assigned ${ids.length} result${ids.length === 1 ? '' : 's'} to ${handler.getLabel(contributionId)}`,
+        'success'
+      );
+    }
+    
     clearAllData() {
       this.data.text.clear();
       this.data.images = [];
@@ -483,8 +744,12 @@
         this.panelRenderer.clearAllPanels();
       }
       
+      if (this.reviewQueue) {
+        this.reviewQueue.clear();
+      }
+      
       if (this.tabManager) {
-        this.tabManager.updateAllCounts({ text: 0, images: 0, tables: 0 });
+        this.tabManager.updateAllCounts({ text: 0, images: 0, tables: 0, review: 0 });
       }
       
       this.updateTotalBadge();
@@ -677,10 +942,16 @@
     destroy() {
       this.saveData();
       
+      if (this.unsubscribeContributions) {
+        this.unsubscribeContributions();
+        this.unsubscribeContributions = null;
+      }
+      
       if (this.windowFrame) this.windowFrame.destroy();
       if (this.tabManager) this.tabManager.destroy();
       if (this.panelRenderer) this.panelRenderer.destroy();
       if (this.elementFinder) this.elementFinder.destroy();
+      if (this.reviewQueue) this.reviewQueue.destroy();
       
       if (global.eventBus) {
         global.eventBus.off('rag:resultsReady');
@@ -0,0 +1,539 @@
+// ================================
+// modules/ui/RAGReviewQueue.js
+// Reviews extracted values one at a time, ordered by confidence
+// ================================
+
+(function(global) {
+  'use strict';
+
+  const KEY_HINTS = [
+    ['A', 'accept'],
+    ['R', 'reject'],
+    ['E', 'edit'],
+    ['J/K', 'next/previous']
+  ];
+
+  class RAGReviewQueue {
+    constructor(panel, config = {}) {
+      // DOM reference
+      this.panel = panel;
+
+      // Configuration
+      this.config = {
+        lowestFirst: true,
+        ...config
+      };
+
+      // State
+      this.items = [];
+      this.selectedId = null;
+      this.editingId = null;
+      this.stats = null;
+
+      // Callbacks
+      this.onSelectCallback = null;
+      this.onDecisionCallback = null;
+
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Initialize review queue
+     */
+    init() {
+      if (!this.panel) {
+        throw new Error('RAGReviewQueue: Panel not provided');
+      }
+
+      this.panel.addEventListener('keydown', this.handleKeydown);
+      this.panel.addEventListener('click', this.handleClick);
+      this.loadStats();
+
+      return this;
+    }
+
+    /**
+     * Replace the values under review. Decisions already taken on values
+     * that are still present are kept; rejected values stay listed even
+     * though their highlights are gone from the page.
+     */
+    setItems(items) {
+      const previous = new Map(this.items.map(item => [item.id, item]));
+      const ids = new Set(items.map(item => item.id));
+
+      this.items = items.map(item => {
+        const known = previous.get(item.id);
+        return known?.review && !item.review ? { ...item, review: known.review } : item;
+      });
+
+      previous.forEach(item => {
+        if (!ids.has(item.id) && item.review?.decision === 'rejected') {
+          this.items.push(item);
+        }
+      });
+
+      this.sortItems();
+
+      if (!this.items.some(item => item.id === this.selectedId)) {
+        this.selectedId = this.getNextPendingId(null);
+      }
+
+      this.render();
+    }
+
+    clear() {
+      this.items = [];
+      this.selectedId = null;
+      this.editingId = null;
+      this.render();
+    }
+
+    sortItems() {
+      const direction = this.config.lowestFirst ? 1 : -1;
+      this.items.sort((a, b) => direction * (this.getConfidence(a) - this.getConfidence(b)));
+    }
+
+    getConfidence(item) {
+      const confidence = Number(item.confidence);
+      return isFinite(confidence) ? confidence : 0;
+    }
+
+    getPendingCount() {
+      return this.items.filter(item => !item.review).length;
+    }
+
+    getCounts() {
+      const counts = { pending: 0, accepted: 0, edited: 0, rejected: 0 };
+      this.items.forEach(item => {
+        counts[item.review ? item.review.decision : 'pending']++;
+      });
+      return counts;
+    }
+
+    // ================================
+    // Rendering
+    // ================================
+
+    render() {
+      const content = this.panel?.querySelector('.panel-content');
+      if (!content) return;
+
+      if (this.items.length === 0) {
+        content.innerHTML = `
+          <div class="empty-state">
+            <p>No values to review</p>
+          </div>
+        `;
+        return;
+      }
+
+      const counts = this.getCounts();
+
+      content.innerHTML = `
+        <div class="review-toolbar">
+          <span class="review-progress">
+            ${counts.pending} pending · ${counts.accepted} accepted · ${counts.edited} edited · ${counts.rejected} rejected
+          </span>
+          <button class="review-sort-btn" title="Change the review order">
+            ${this.config.lowestFirst ? 'Lowest confidence first' : 'Highest confidence first'}
+          </button>
+        </div>
+        <div class="review-list" tabindex="0" role="listbox" aria-label="Values to review">
+          ${this.items.map(item => this.renderItem(item)).join('')}
+        </div>
+        <div class="review-footer">
+          <div class="review-keys">
+            ${KEY_HINTS.map(([key, label]) => `<span><kbd>${key}</kbd> ${label}</span>`).join('')}
+          </div>
+          ${this.renderCalibration()}
+        </div>
+      `;
+
+      if (this.editingId) {
+        const input = content.querySelector('.review-edit-input');
+        if (input) {
+          input.focus();
+          input.select();
+        }
+      }
+    }
+
+    renderItem(item) {
+      const selected = item.id === this.selectedId;
+      const decision = item.review?.decision || 'pending';
+      const confidence = this.getConfidence(item);
+      const level = confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+      const evidence = item.evidence || {};
+      const reasoning = evidence.reasoning || evidence.explanation || '';
+      const located = item.location?.found !== false;
+      const value = item.review?.value ?? item.value ?? '';
+
+      return `
+        <div class="review-item ${selected ? 'selected' : ''} ${decision}"
+             data-id="${this.escapeHtml(item.id)}" role="option" aria-selected="${selected}">
+          <div class="review-item-header">
+            <span class="review-confidence ${level}">${Math.round(confidence * 100)}%</span>
+            <span class="review-property">${this.escapeHtml(item.propertyLabel || 'Unknown')}</span>
+            ${this.renderPropertyPrecision(item)}
+            ${decision !== 'pending' ? `<span class="review-decision ${decision}">${decision}</span>` : ''}
+          </div>
+          ${item.id === this.editingId ? `
+            <input type="text" class="review-edit-input" value="${this.escapeHtml(String(value))}"
+                   aria-label="Corrected value">
+          ` : `
+            <div class="review-value">${this.escapeHtml(String(value))}</div>
+          `}
+          ${selected ? `
+            <div class="review-evidence">
+              <div class="review-sentence">${this.escapeHtml(item.sentence || item.text || '')}</div>
+              ${reasoning ? `<div class="review-reasoning">${this.escapeHtml(reasoning)}</div>` : ''}
+              <div class="review-location">
+                ${this.escapeHtml(item.section || item.location?.section || 'Unknown section')}
+                ${evidence.implicit ? ' · implicit' : ''}
+                ${located ? '' : ' · <span class="review-unlocated">evidence not found in page</span>'}
+              </div>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }
+
+    renderPropertyPrecision(item) {
+      const property = this.stats?.properties?.[item.propertyId];
+      if (!property || property.total === 0) return '';
+
+      return `
+        <span class="review-precision" title="Share of earlier values for this property that were accepted as extracted">
+          ${Math.round(property.precision * 100)}% of ${property.total}
+        </span>
+      `;
+    }
+
+    /**
+     * Observed precision per confidence band, so reviewers can see how far
+     * the model's stated confidence can be trusted
+     */
+    renderCalibration() {
+      const bands = (this.stats?.calibration || []).filter(band => band.total > 0);
+      if (bands.length === 0) return '';
+
+      return `
+        <div class="review-calibration" title="Accepted share of reviewed values per stated confidence band">
+          ${bands.map(band => `
+            <span>${Math.round(band.min * 100)}–${Math.round(band.max * 100)}%:
+              <strong>${Math.round(band.precision * 100)}%</strong> (${band.total})</span>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    // ================================
+    // Navigation and decisions
+    // ================================
+
+    focus() {
+      this.panel?.querySelector('.review-list')?.focus({ preventScroll: true });
+
+      const item = this.getSelected();
+      if (item && this.onSelectCallback) {
+        this.onSelectCallback(item);
+      }
+    }
+
+    getSelected() {
+      return this.items.find(item => item.id === this.selectedId) || null;
+    }
+
+    select(id) {
+      if (!this.items.some(item => item.id === id)) return;
+
+      this.selectedId = id;
+      this.editingId = null;
+      this.render();
+      this.scrollSelectedIntoView();
+      this.panel.querySelector('.review-list')?.focus({ preventScroll: true });
+
+      if (this.onSelectCallback) {
+        this.onSelectCallback(this.getSelected());
+      }
+    }
+
+    move(offset) {
+      if (this.items.length === 0) return;
+
+      const index = this.items.findIndex(item => item.id === this.selectedId);
+      const next = Math.min(Math.max(index + offset, 0), this.items.length - 1);
+      this.select(this.items[next].id);
+    }
+
+    getNextPendingId(afterId) {
+      const start = this.items.findIndex(item => item.id === afterId);
+      const ordered = [...this.items.slice(start + 1), ...this.items.slice(0, start + 1)];
+      const pending = ordered.find(item => !item.review);
+      return pending ? pending.id : (this.items[0]?.id || null);
+    }
+
+    scrollSelectedIntoView() {
+      const element = this.panel.querySelector('.review-item.selected');
+      if (element) {
+        element.scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    accept() {
+      const item = this.getSelected();
+      if (!item || !this.canDecide(item)) return;
+
+      this.decide(item, 'accepted', item.value);
+    }
+
+    reject() {
+      const item = this.getSelected();
+      if (!item || !this.canDecide(item)) return;
+
+      this.decide(item, 'rejected', null);
+    }
+
+    startEdit() {
+      const item = this.getSelected();
+      if (!item || !this.canDecide(item)) return;
+
+      this.editingId = item.id;
+      this.render();
+    }
+
+    commitEdit(value) {
+      const item = this.getSelected();
+      this.editingId = null;
+      if (!item) return;
+
+      const trimmed = String(value || '').trim();
+      if (!trimmed) {
+        this.render();
+        return;
+      }
+
+      if (trimmed === String(item.value ?? '')) {
+        this.decide(item, 'accepted', item.value);
+      } else {
+        this.decide(item, 'edited', trimmed);
+      }
+    }
+
+    cancelEdit() {
+      this.editingId = null;
+      this.render();
+      this.panel.querySelector('.review-list')?.focus({ preventScroll: true });
+    }
+
+    // The page highlight of a rejected value is removed, so there is nothing left to change
+    canDecide(item) {
+      if (item.review?.decision === 'rejected') {
+        this.showNotification('This value was rejected and removed from the page', 'warning');
+        return false;
+      }
+      return true;
+    }
+
+    decide(item, decision, value) {
+      const previous = item.review || null;
+      item.review = { decision, value, decidedAt: Date.now() };
+
+      this.recordDecision(item);
+
+      if (this.onDecisionCallback) {
+        this.onDecisionCallback(item, decision, value, previous);
+      }
+
+      this.select(this.getNextPendingId(item.id));
+    }
+
+    /**
+     * Put a value back to an earlier decision, or to pending when review
+     * is null. Used to undo and redo decisions.
+     */
+    setReview(id, review) {
+      const item = this.items.find(entry => entry.id === id);
+      if (!item) return;
+
+      if (review) {
+        item.review = review;
+        this.recordDecision(item);
+      } else {
+        delete item.review;
+        this.removeDecision(item);
+      }
+
+      this.select(id);
+    }
+
+    async recordDecision(item) {
+      if (!chrome?.runtime?.id) return;
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'RECORD_RAG_REVIEW',
+          valueId: item.id,
+          url: window.location.href,
+          propertyId: item.propertyId,
+          propertyLabel: item.propertyLabel,
+          decision: item.review.decision,
+          confidence: item.confidence,
+          extractedValue: item.value ?? null,
+          value: item.review.value ?? null,
+          section: item.section || null
+        });
+
+        if (response?.success && response.stats) {
+          this.stats = response.stats;
+          this.render();
+        }
+      } catch (error) {
+        console.warn('Could not record review decision:', error);
+      }
+    }
+
+    async removeDecision(item) {
+      if (!chrome?.runtime?.id) return;
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'REMOVE_RAG_REVIEW',
+          valueId: item.id,
+          url: window.location.href
+        });
+
+        if (response?.success && response.stats) {
+          this.stats = response.stats;
+          this.render();
+        }
+      } catch (error) {
+        console.warn('Could not remove review decision:', error);
+      }
+    }
+
+    async loadStats() {
+      if (!chrome?.runtime?.id) return;
+
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_RAG_REVIEW_STATS' });
+        if (response?.success) {
+          this.stats = response.stats;
+          this.render();
+        }
+      } catch (error) {
+        console.warn('Could not load review statistics:', error);
+      }
+    }
+
+    // ================================
+    // Event handling
+    // ================================
+
+    handleKeydown(e) {
+      if (e.target.classList?.contains('review-edit-input')) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.commitEdit(e.target.value);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          this.cancelEdit();
+        }
+        // Keep typed characters away from the shortcuts below and the page
+        e.stopPropagation();
+        return;
+      }
+
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const actions = {
+        a: () => this.accept(),
+        r: () => this.reject(),
+        e: () => this.startEdit(),
+        j: () => this.move(1),
+        k: () => this.move(-1),
+        ArrowDown: () => this.move(1),
+        ArrowUp: () => this.move(-1),
+        Enter: () => this.focus()
+      };
+
+      const action = actions[e.key];
+      if (action) {
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+      }
+    }
+
+    handleClick(e) {
+      if (e.target.closest('.review-sort-btn')) {
+        this.config.lowestFirst = !this.config.lowestFirst;
+        this.sortItems();
+        this.render();
+        return;
+      }
+
+      if (e.target.closest('.review-edit-input')) return;
+
+      const itemElement = e.target.closest('.review-item');
+      if (itemElement) {
+        this.select(itemElement.dataset.id);
+      }
+    }
+
+    // ================================
+    // Utilities
+    // ================================
+
+    showNotification(message, type = 'info') {
+      if (global.toastManager) {
+        global.toastManager[type](message);
+      } else {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+      }
+    }
+
+    escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Register callback for the value under review
+     */
+    onSelect(callback) {
+      this.onSelectCallback = callback;
+    }
+
+    /**
+     * Register callback for accept, reject and edit decisions:
+     * (item, decision, value, previousReview) => void
+     */
+    onDecision(callback) {
+      this.onDecisionCallback = callback;
+    }
+
+    /**
+     * Destroy review queue
+     */
+    destroy() {
+      if (this.panel) {
+        this.panel.removeEventListener('keydown', this.handleKeydown);
+        this.panel.removeEventListener('click', this.handleClick);
+      }
+
+      this.items = [];
+      this.panel = null;
+      this.onSelectCallback = null;
+      this.onDecisionCallback = null;
+    }
+  }
+
+  // Export to global scope
+  global.RAGReviewQueue = RAGReviewQueue;
+
+  console.log('RAGReviewQueue module loaded');
+
+})(typeof window !== 'undefined' ? window : this);
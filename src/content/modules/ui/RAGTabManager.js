@@ -15,6 +15,7 @@
       this.config = {
         defaultTab: 'text',
         tabs: ['text', 'images', 'tables'],
+        uncountedTabs: [],
         animationDuration: 200,
         ...config
       };
@@ -22,16 +23,8 @@
       // State
       this.state = {
         activeTab: this.config.defaultTab,
-        tabCounts: {
-          text: 0,
-          images: 0,
-          tables: 0
-        },
-        tabVisibility: {
-          text: true,
-          images: true,
-          tables: true
-        }
+        tabCounts: Object.fromEntries(this.config.tabs.map(tab => [tab, 0])),
+        tabVisibility: Object.fromEntries(this.config.tabs.map(tab => [tab, true]))
       };
       
       // DOM elements
@@ -348,8 +341,9 @@
      * Get total count across all tabs
      */
     getTotalCount() {
-      return Object.values(this.state.tabCounts)
-        .reduce((sum, count) => sum + count, 0);
+      return Object.entries(this.state.tabCounts)
+        .filter(([tabName]) => !this.config.uncountedTabs.includes(tabName))
+        .reduce((sum, [, count]) => sum + count, 0);
     }
     
     /**
@@ -430,7 +424,8 @@
       const messages = {
         text: 'No highlighted text found',
         images: 'No images found',
-        tables: 'No tables found'
+        tables: 'No tables found',
+        review: 'No values to review'
       };
       
       const icons = {
@@ -66,8 +66,7 @@
         createTableItem(table, index) {
             const itemId = table.id || `table_${Date.now()}_${index}`;
             const caption = table.caption || table.title || `Table ${index + 1}`;
-            const rows = table.summary?.rows || table.rows || 0;
-            const cols = table.summary?.columns || table.columns || 0;
+            const { rows, cols } = this.getDimensions(table);
             
             const item = document.createElement('div');
             item.className = 'table-item';
@@ -138,13 +137,34 @@
             item.dataset.cols = cols;
             
             // Store reference to actual table element if provided
-            if (table.element) {
+            if (table.element instanceof Element) {
                 item._tableElement = table.element;
             }
             
+            if (table.model) {
+                item._tableModel = table.model;
+            }
+            
             return item;
         }
         
+        /**
+         * Rows × columns from the table model, the RAG summary or the flat
+         * extracted rows/headers
+         */
+        getDimensions(table) {
+            if (table.model) {
+                return { rows: table.model.rowCount, cols: table.model.columnCount };
+            }
+            
+            const count = value => Array.isArray(value) ? value.length : (parseInt(value) || 0);
+            
+            return {
+                rows: table.summary?.rows || count(table.rows),
+                cols: table.summary?.columns || count(table.columns) || count(table.headers)
+            };
+        }
+        
         createTablesSummary(tables) {
             const summary = document.createElement('div');
             summary.className = 'tables-summary';
@@ -156,8 +176,7 @@
             const types = new Map();
             
             tables.forEach(table => {
-                const rows = table.summary?.rows || table.rows || 0;
-                const cols = table.summary?.columns || table.columns || 0;
+                const { rows, cols } = this.getDimensions(table);
                 totalRows += rows;
                 totalCols += cols;
                 totalCells += rows * cols;
@@ -264,21 +283,16 @@
             const rows = parseInt(item.dataset.rows) || 0;
             const cols = parseInt(item.dataset.cols) || 0;
             
-            // Try to get the actual table HTML
+            // Prefer the normalised grid; fall back to the page's own markup
+            const model = this.getTableModel(item);
             let tableHtml = '';
             
-            // If table element was stored
-            if (item._tableElement) {
-                tableHtml = item._tableElement.outerHTML;
+            if (model) {
+                tableHtml = this.renderModelTable(model);
             } else {
-                // Try to find the table in the document
-                const tables = document.querySelectorAll('table');
-                for (const table of tables) {
-                    const tableCaption = table.querySelector('caption');
-                    if (tableCaption && tableCaption.textContent.includes(caption)) {
-                        tableHtml = table.outerHTML;
-                        break;
-                    }
+                const element = this.findTableElement(item);
+                if (element) {
+                    tableHtml = element.outerHTML;
                 }
             }
             
@@ -340,6 +354,145 @@
             return modal;
         }
         
+        /**
+         * Locate the table in the page: stored element, then id, then
+         * caption text
+         */
+        findTableElement(item) {
+            if (item._tableElement && item._tableElement.isConnected) {
+                return item._tableElement;
+            }
+            
+            const id = item.dataset.id;
+            const caption = item.dataset.caption;
+            
+            const byId = id ? document.getElementById(id) : null;
+            if (byId) return byId;
+            
+            for (const table of document.querySelectorAll('table')) {
+                const tableCaption = table.querySelector('caption');
+                if (tableCaption && caption && tableCaption.textContent.includes(caption)) {
+                    return table;
+                }
+            }
+            
+            return null;
+        }
+        
+        /**
+         * Table model from the extraction result, or built from the page
+         */
+        getTableModel(item) {
+            if (item._tableModel) return item._tableModel;
+            
+            const element = this.findTableElement(item);
+            if (!element || !global.tableModel) return null;
+            
+            try {
+                item._tableModel = global.tableModel.build(element);
+            } catch (error) {
+                console.warn('Could not build table model:', error);
+            }
+            
+            return item._tableModel || null;
+        }
+        
+        /**
+         * Render the model as a preview table: merged multi-level headers,
+         * row-group rows, and typed cells with best results highlighted
+         */
+        renderModelTable(model, maxRows = 50) {
+            const hasGroupRows = model.groups.length > 0;
+            let html = '<table class="preview-table preview-table-model">';
+            
+            if (model.headerRowCount > 0) {
+                const runs = this.getHeaderRuns(model.headers);
+                const sameRun = (a, b) => a.start === b.start && a.span === b.span && a.text === b.text;
+                
+                html += '<thead>';
+                runs.forEach((rowRuns, r) => {
+                    html += '<tr>';
+                    rowRuns.forEach(run => {
+                        // Already drawn by a row-spanning cell above
+                        if (r > 0 && runs[r - 1].some(above => sameRun(above, run))) return;
+                        
+                        let rowSpan = 1;
+                        while (r + rowSpan < runs.length && runs[r + rowSpan].some(below => sameRun(below, run))) {
+                            rowSpan++;
+                        }
+                        
+                        const spans = (run.span > 1 ? ` colspan="${run.span}"` : '') +
+                                      (rowSpan > 1 ? ` rowspan="${rowSpan}"` : '');
+                        html += `<th${spans}>${this.escapeHtml(run.text)}</th>`;
+                    });
+                    html += '</tr>';
+                });
+                html += '</thead>';
+            }
+            
+            html += '<tbody>';
+            let lastGroup = null;
+            
+            model.rows.slice(0, maxRows).forEach(row => {
+                if (hasGroupRows && row.group && row.group !== lastGroup) {
+                    html += `<tr class="preview-group-row"><th colspan="${model.columnCount}">${this.escapeHtml(row.group)}</th></tr>`;
+                }
+                lastGroup = row.group;
+                
+                html += '<tr>';
+                row.cells.forEach(cell => {
+                    const classes = [];
+                    if (cell.type === 'number' || cell.type === 'percentage') classes.push('preview-cell-numeric');
+                    if (cell.isBest) classes.push('preview-cell-best');
+                    if (cell.emphasis === 'underline') classes.push('preview-cell-second');
+                    
+                    html += `<td${classes.length ? ` class="${classes.join(' ')}"` : ''}` +
+                            ` title="${this.escapeHtml(this.describeCell(cell))}">${this.escapeHtml(cell.text)}</td>`;
+                });
+                html += '</tr>';
+            });
+            
+            if (model.rows.length > maxRows) {
+                html += `<tr><td class="more-rows" colspan="${model.columnCount}">… ${model.rows.length - maxRows} more rows</td></tr>`;
+            }
+            
+            html += '</tbody></table>';
+            return html;
+        }
+        
+        /**
+         * Runs of equal header text per header row, split wherever a parent
+         * header changes so a label never spans two groups
+         */
+        getHeaderRuns(headers) {
+            return headers.map((headerRow, r) => {
+                const runs = [];
+                for (let c = 0; c < headerRow.length;) {
+                    let span = 1;
+                    while (c + span < headerRow.length &&
+                           headerRow[c + span] === headerRow[c] &&
+                           headers.slice(0, r).every(above => above[c + span] === above[c])) {
+                        span++;
+                    }
+                    runs.push({ start: c, span, text: headerRow[c] });
+                    c += span;
+                }
+                return runs;
+            });
+        }
+        
+        describeCell(cell) {
+            if (cell.type !== 'number' && cell.type !== 'percentage') {
+                return cell.text;
+            }
+            
+            let text = `${cell.comparator || ''}${cell.value}`;
+            if (cell.error !== undefined) text += ` ± ${cell.error}`;
+            if (cell.unit) text += ` ${cell.unit}`;
+            if (cell.isBest) text += ' (best)';
+            return text;
+        }
+        
         handleJumpTo(item) {
             const id = item.dataset.id;
             const caption = item.dataset.caption;
@@ -400,6 +553,13 @@
             const rows = item.dataset.rows;
             const cols = item.dataset.cols;
             
+            // Export the cell data when the table structure is known
+            const model = this.getTableModel(item);
+            if (model && global.tableModel) {
+                this.downloadCSV(global.tableModel.toCSV(model), `table-${caption.replace(/\s+/g, '-')}`);
+                return;
+            }
+            
             // Try to capture the table as an image using html2canvas if available
             if (typeof html2canvas !== 'undefined') {
                 // Find the actual table
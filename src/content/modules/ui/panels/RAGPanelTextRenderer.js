@@ -207,8 +207,14 @@
                     metaParts.push(this.getTimeAgo(item.timestamp));
                 }
                 
-                if (metaParts.length > 0) {
-                    html += `<div class="text-meta">${this.escapeHtml(metaParts.join(' • '))}</div>`;
+                const contributions = window.contributionHandler;
+                const contributionLabel = contributions?.hasMultiple() && contributions.getLabel(item.contribution);
+                
+                if (metaParts.length > 0 || contributionLabel) {
+                    html += `<div class="text-meta">
+                        ${contributionLabel ? `<span class="contribution-chip">${this.escapeHtml(contributionLabel)}</span>` : ''}
+                        ${this.escapeHtml(metaParts.join(' • '))}
+                    </div>`;
                 }
             }
             
@@ -0,0 +1,264 @@
+// ================================
+// src/content/modules/utils/TableContributionMapper.js
+// ================================
+
+(function(global) {
+    'use strict';
+
+    /**
+     * TableContributionMapper
+     *
+     * Turns a results table (see TableModel) into comparison-ready
+     * contributions: one per model/approach, each holding evaluations of
+     * { dataset, metric, score }.
+     *
+     * A mapping says where each role is read from, per value cell:
+     *   { kind: 'column', index }  - a label column of the cell's row
+     *   { kind: 'group' }          - the row's group label
+     *   { kind: 'header', level }  - a header row above the cell's column
+     *   { kind: 'fixed', value }   - the same text for every cell
+     *   { kind: 'none' }           - not present in the table
+     * so "models are rows" and "models are columns" are both just choices
+     * of source for the model role.
+     */
+    class TableContributionMapper {
+        constructor(config = {}) {
+            this.config = {
+                minNumericRatio: 0.5,
+                metricPattern: /\b(acc(uracy)?|f1|f-?score|bleu|rouge(-?[12l])?|meteor|cider|precision|recall|map|auc|roc|ppl|perplexity|em|exact match|error|wer|cer|rmse|mae|mse|top-?[15]|hits@\d+|mrr|ndcg(@\d+)?|iou|miou|psnr|ssim|fid|is|r2|spearman|pearson|kappa|latency|time|speed|params?|flops)\b/i,
+                ...config
+            };
+        }
+
+        /**
+         * Columns whose filled body cells are mostly numbers
+         */
+        getValueColumns(model) {
+            const columns = [];
+
+            for (let c = 0; c < model.columnCount; c++) {
+                let filled = 0;
+                let numeric = 0;
+
+                model.rows.forEach(row => {
+                    const cell = row.cells[c];
+                    if (!cell || cell.type === 'empty') return;
+                    filled++;
+                    if (this.isNumeric(cell)) numeric++;
+                });
+
+                if (filled > 0 && numeric / filled >= this.config.minNumericRatio) {
+                    columns.push(c);
+                }
+            }
+
+            return columns;
+        }
+
+        getLabelColumns(model) {
+            const valueColumns = this.getValueColumns(model);
+            return model.columns.map(column => column.index).filter(index => !valueColumns.includes(index));
+        }
+
+        /**
+         * Guess a mapping for a leaderboard table. The label column nearest
+         * the values names the model; an outer label column, row groups or
+         * the top header row name the dataset; the header row whose texts
+         * look like metric names names the metric.
+         */
+        suggestMapping(model) {
+            const valueColumns = this.getValueColumns(model);
+            const labelColumns = this.getLabelColumns(model);
+            const hasGroups = model.rows.some(row => row.group);
+            const levels = model.headerRowCount;
+
+            const mapping = {
+                model: { kind: 'none' },
+                dataset: { kind: 'none' },
+                metric: { kind: 'none' },
+                valueColumns: valueColumns
+            };
+
+            if (labelColumns.length > 0) {
+                mapping.model = { kind: 'column', index: labelColumns[labelColumns.length - 1] };
+            } else if (levels > 0) {
+                mapping.model = { kind: 'header', level: levels - 1 };
+            }
+
+            // Header rows not used by the model, bottom first
+            const freeLevels = [];
+            for (let level = levels - 1; level >= 0; level--) {
+                if (!(mapping.model.kind === 'header' && mapping.model.level === level)) {
+                    freeLevels.push(level);
+                }
+            }
+
+            const metricLevel = freeLevels.find(level => this.looksLikeMetrics(model, level, valueColumns));
+            if (metricLevel !== undefined) {
+                mapping.metric = { kind: 'header', level: metricLevel };
+            }
+
+            if (labelColumns.length > 1) {
+                mapping.dataset = { kind: 'column', index: labelColumns[0] };
+            } else if (hasGroups) {
+                mapping.dataset = { kind: 'group' };
+            } else {
+                const datasetLevel = freeLevels.find(level => level !== metricLevel);
+                if (datasetLevel !== undefined) {
+                    mapping.dataset = { kind: 'header', level: datasetLevel };
+                }
+            }
+
+            // Columns that are neither metrics nor datasets are still scores
+            if (mapping.metric.kind === 'none' && freeLevels.length > 0 && mapping.dataset.kind !== 'header') {
+                mapping.metric = { kind: 'header', level: freeLevels[0] };
+            }
+
+            return mapping;
+        }
+
+        looksLikeMetrics(model, level, valueColumns) {
+            const texts = valueColumns.map(c => model.headers[level]?.[c]).filter(Boolean);
+            if (texts.length === 0) return false;
+
+            const matches = texts.filter(text => this.config.metricPattern.test(text) || /%|\(\s*[↑↓]\s*\)|[↑↓]/.test(text));
+            return matches.length / texts.length >= 0.5;
+        }
+
+        /**
+         * Value of a role for the cell at (row, column)
+         */
+        resolve(source, model, row, columnIndex) {
+            if (!source) return '';
+
+            switch (source.kind) {
+                case 'column':
+                    return row.cells[source.index]?.text || '';
+                case 'group':
+                    return row.group || '';
+                case 'header':
+                    return model.headers[source.level]?.[columnIndex] || '';
+                case 'fixed':
+                    return (source.value || '').trim();
+                default:
+                    return '';
+            }
+        }
+
+        /**
+         * Group the numeric value cells into one contribution per model.
+         * Cells without a model name are skipped; a missing metric falls
+         * back to the column label unless the header already names the
+         * dataset. Unless a role reads the row groups, the same name under
+         * two groups ("Ours" in two ablations) is two contributions. Each
+         * contribution has a key unique within the table.
+         */
+        buildContributions(model, mapping, options = {}) {
+            const contributions = [];
+            const byModel = new Map();
+            const excludedRows = new Set(options.excludedRows || []);
+            const valueColumns = mapping.valueColumns || this.getValueColumns(model);
+            const groupsAreRoles = ['model', 'dataset', 'metric'].some(role => mapping[role]?.kind === 'group');
+
+            model.rows.forEach(row => {
+                if (excludedRows.has(row.index)) return;
+
+                valueColumns.forEach(c => {
+                    const cell = row.cells[c];
+                    if (!cell || cell.spanned || !this.isNumeric(cell)) return;
+
+                    const modelName = this.resolve(mapping.model, model, row, c);
+                    if (!modelName) return;
+
+                    const evaluation = {
+                        dataset: this.resolve(mapping.dataset, model, row, c) || null,
+                        metric: this.resolve(mapping.metric, model, row, c) ||
+                                (mapping.dataset?.kind === 'header' ? null : model.columns[c].label),
+                        score: cell.value,
+                        text: cell.text,
+                        row: row.index,
+                        column: c
+                    };
+
+                    if (cell.error !== undefined) evaluation.error = cell.error;
+                    if (cell.unit) evaluation.unit = cell.unit;
+                    if (cell.isBest) evaluation.isBest = true;
+
+                    const group = groupsAreRoles ? '' : row.group || '';
+                    const key = group ? `${group} / ${modelName}` : modelName;
+                    if (!byModel.has(key)) {
+                        const contribution = { key: key, label: modelName, model: modelName, group: group || null, evaluations: [] };
+                        byModel.set(key, contribution);
+                        contributions.push(contribution);
+                    }
+
+                    byModel.get(key).evaluations.push(evaluation);
+                });
+            });
+
+            // Names used under several groups are labelled with their group
+            contributions.forEach(contribution => {
+                const sameName = contributions.filter(other => other.model === contribution.model);
+                if (sameName.length > 1 && contribution.group) {
+                    contribution.label = `${contribution.model} (${contribution.group})`;
+                }
+            });
+
+            return contributions;
+        }
+
+        /**
+         * Human-readable name of a source, for the wizard
+         */
+        describeSource(source, model) {
+            switch (source?.kind) {
+                case 'column':
+                    return `Column "${model.columns[source.index]?.label}"`;
+                case 'group':
+                    return 'Row groups';
+                case 'header': {
+                    const texts = Array.from(new Set((model.headers[source.level] || []).filter(Boolean)));
+                    return `Header row ${source.level + 1} (${texts.slice(0, 3).join(', ')}${texts.length > 3 ? ', …' : ''})`;
+                }
+                case 'fixed':
+                    return 'Fixed value';
+                default:
+                    return 'Not in table';
+            }
+        }
+
+        /**
+         * Every source that can feed a role
+         */
+        getSourceOptions(model) {
+            const options = this.getLabelColumns(model).map(index => ({ kind: 'column', index }));
+
+            if (model.rows.some(row => row.group)) {
+                options.push({ kind: 'group' });
+            }
+
+            for (let level = 0; level < model.headerRowCount; level++) {
+                options.push({ kind: 'header', level });
+            }
+
+            options.push({ kind: 'fixed', value: '' });
+            options.push({ kind: 'none' });
+
+            return options;
+        }
+
+        isNumeric(cell) {
+            return cell.type === 'number' || cell.type === 'percentage';
+        }
+    }
+
+    // Create singleton instance
+    const tableContributionMapper = new TableContributionMapper();
+
+    // Export to global scope
+    global.TableContributionMapper = TableContributionMapper;
+    global.tableContributionMapper = tableContributionMapper;
+
+    console.log('🗂️ TableContributionMapper loaded and ready');
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,435 @@
+// ================================
+// src/content/modules/utils/TableModel.js
+// ================================
+
+(function(global) {
+    'use strict';
+
+    /**
+     * TableModel
+     *
+     * Shared structural model for HTML tables. Expands rowspan/colspan into
+     * a rectangular grid, detects multi-row headers (giving every column a
+     * header path such as ["BLEU", "test"]) and row-group labels, and parses
+     * cell text into typed values: numbers with ± errors, percentages and
+     * units, plus bold/underlined "best result" markers.
+     *
+     * The model is plain data (no DOM references) so it can travel in
+     * extension messages.
+     */
+    class TableModel {
+        constructor(config = {}) {
+            this.config = {
+                maxHeaderRows: 4,
+                maxUnitLength: 12,
+                footnoteMarkers: /[*†‡§¶#]+$/,
+                ...config
+            };
+        }
+
+        /**
+         * Build the model for a table, or for the first table inside a
+         * container (figure, publisher wrapper)
+         */
+        build(element) {
+            const table = this.findTable(element);
+            if (!table) return null;
+
+            const grid = this.expandGrid(table);
+            const columnCount = grid.reduce((max, row) => Math.max(max, row.length), 0);
+            if (columnCount === 0) return null;
+
+            // Pad ragged rows so every row has one slot per column
+            grid.forEach(row => {
+                for (let c = row.length; c < columnCount; c++) {
+                    row[c] = this.createEmptySlot();
+                }
+            });
+
+            const headerRowCount = this.detectHeaderRowCount(table, grid);
+            const columns = this.buildColumns(grid, headerRowCount, columnCount);
+            const { rows, groups } = this.buildBody(grid, headerRowCount, columnCount);
+
+            return {
+                columnCount,
+                rowCount: rows.length,
+                headerRowCount,
+                columns,
+                headers: grid.slice(0, headerRowCount).map(row => row.map(slot => slot.text)),
+                rows,
+                groups,
+                stats: this.calculateStats(rows)
+            };
+        }
+
+        findTable(element) {
+            if (!element) return null;
+            if (element.tagName === 'TABLE') return element;
+            return element.querySelector ? element.querySelector('table') : null;
+        }
+
+        /**
+         * Lay the table's cells out on a grid. A spanning cell occupies every
+         * slot it covers; only its top-left slot is the origin.
+         */
+        expandGrid(table) {
+            const grid = [];
+            const rows = this.getRows(table);
+
+            rows.forEach((tr, r) => {
+                grid[r] = grid[r] || [];
+                let c = 0;
+
+                Array.from(tr.cells).forEach(cell => {
+                    while (grid[r][c]) c++;
+
+                    const rowSpan = Math.max(1, Math.min(parseInt(cell.getAttribute('rowspan'), 10) || 1, rows.length - r));
+                    const colSpan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+                    const text = this.cleanText(cell.textContent);
+                    const isHeaderCell = cell.tagName === 'TH';
+                    const emphasis = this.detectEmphasis(cell, text);
+
+                    for (let dr = 0; dr < rowSpan; dr++) {
+                        const target = grid[r + dr] = grid[r + dr] || [];
+                        for (let dc = 0; dc < colSpan; dc++) {
+                            target[c + dc] = {
+                                text,
+                                isHeaderCell,
+                                emphasis,
+                                rowSpan,
+                                colSpan,
+                                isOrigin: dr === 0 && dc === 0
+                            };
+                        }
+                    }
+
+                    c += colSpan;
+                });
+            });
+
+            // Fill holes left by malformed spans
+            grid.forEach(row => {
+                for (let c = 0; c < row.length; c++) {
+                    if (!row[c]) row[c] = this.createEmptySlot();
+                }
+            });
+
+            return grid;
+        }
+
+        /**
+         * Rows of this table only, in document order (nested tables excluded)
+         */
+        getRows(table) {
+            return Array.from(table.rows || []).filter(tr => tr.closest('table') === table);
+        }
+
+        createEmptySlot() {
+            return {
+                text: '',
+                isHeaderCell: false,
+                emphasis: null,
+                rowSpan: 1,
+                colSpan: 1,
+                isOrigin: true
+            };
+        }
+
+        /**
+         * Header rows are the <thead> rows, or else the leading rows made of
+         * <th> cells. Without either, a first row with no numeric cells
+         * above numeric data is a header; a header row with spanning cells
+         * pulls the following non-numeric row in as a sub-header.
+         */
+        detectHeaderRowCount(table, grid) {
+            const max = Math.min(this.config.maxHeaderRows, grid.length - 1);
+            if (max <= 0) return 0;
+
+            const rows = this.getRows(table);
+            let count = 0;
+            while (count < max && rows[count].parentElement?.tagName === 'THEAD') count++;
+            if (count > 0) return count;
+
+            while (count < max && this.isHeaderCellRow(grid[count])) count++;
+
+            if (count === 0 && !this.hasNumericCells(grid[0]) && grid.slice(1).some(row => this.hasNumericCells(row))) {
+                count = 1;
+            }
+
+            while (count > 0 && count < max &&
+                   grid[count - 1].some(slot => slot.isOrigin && slot.colSpan > 1 && !this.isFullWidth(slot, grid[count - 1].length)) &&
+                   !this.hasNumericCells(grid[count]) &&
+                   grid.slice(count + 1).some(row => this.hasNumericCells(row))) {
+                count++;
+            }
+
+            return count;
+        }
+
+        isHeaderCellRow(row) {
+            const cells = row.filter(slot => slot.text);
+            if (cells.length === 0) return false;
+            // A lone full-width <th> is a group label, not a column header
+            if (cells.every(slot => slot.colSpan === row.length)) return false;
+            return cells.every(slot => slot.isHeaderCell);
+        }
+
+        hasNumericCells(row) {
+            return row.some(slot => slot.isOrigin && ['number', 'percentage'].includes(this.parseValue(slot.text).type));
+        }
+
+        isFullWidth(slot, columnCount) {
+            return columnCount > 1 && slot.colSpan >= columnCount;
+        }
+
+        /**
+         * Give every column the path of header texts above it
+         */
+        buildColumns(grid, headerRowCount, columnCount) {
+            const columns = [];
+
+            for (let c = 0; c < columnCount; c++) {
+                const path = [];
+                for (let r = 0; r < headerRowCount; r++) {
+                    const text = grid[r][c].text;
+                    // Row-spanning headers repeat down the grid; keep them once
+                    if (text && path[path.length - 1] !== text) {
+                        path.push(text);
+                    }
+                }
+
+                columns.push({
+                    index: c,
+                    path,
+                    label: path.join(' / ') || `Column ${c + 1}`
+                });
+            }
+
+            return columns;
+        }
+
+        /**
+         * Body rows as typed cells. Full-width rows (or rows with text only
+         * in their first cell) become group labels for the rows below them;
+         * a first-column cell spanning several rows labels those rows too.
+         */
+        buildBody(grid, headerRowCount, columnCount) {
+            const rows = [];
+            const groups = [];
+            let currentGroup = null;
+
+            for (let r = headerRowCount; r < grid.length; r++) {
+                const slots = grid[r];
+
+                if (this.isGroupLabelRow(slots, columnCount)) {
+                    currentGroup = { label: slots[0].text || slots.find(slot => slot.text).text, rows: [] };
+                    groups.push(currentGroup);
+                    continue;
+                }
+
+                if (slots.every(slot => !slot.text)) continue;
+
+                const first = slots[0];
+                const spanGroup = columnCount > 2 && first.rowSpan > 1 && first.text ? first.text : null;
+
+                const row = {
+                    index: rows.length,
+                    group: currentGroup ? currentGroup.label : spanGroup,
+                    cells: slots.map(slot => this.createCell(slot))
+                };
+
+                if (currentGroup) currentGroup.rows.push(row.index);
+                rows.push(row);
+            }
+
+            return { rows, groups };
+        }
+
+        isGroupLabelRow(slots, columnCount) {
+            if (columnCount < 2) return false;
+
+            const origins = slots.filter(slot => slot.isOrigin && slot.text);
+            if (origins.length !== 1) return false;
+
+            const label = origins[0];
+            if (this.isFullWidth(label, columnCount)) return true;
+
+            return slots[0] === label && slots.slice(label.colSpan).every(slot => !slot.text) &&
+                   this.parseValue(label.text).type === 'text';
+        }
+
+        createCell(slot) {
+            const cell = {
+                text: slot.text,
+                ...this.parseValue(slot.text),
+                isBest: slot.emphasis === 'bold',
+                emphasis: slot.emphasis
+            };
+
+            if (!slot.isOrigin) cell.spanned = true;
+            if (slot.isHeaderCell) cell.isHeader = true;
+
+            return cell;
+        }
+
+        /**
+         * Parse a cell's text into a typed value. Recognises
+         *   87.3, −1.2e-3, 1,024, 87.3%, 12 ms, $40, <0.001,
+         *   87.3 ± 0.4, 87.3 (±0.4), 87.3±0.4%, 87.3*
+         */
+        parseValue(text) {
+            const raw = this.cleanText(text);
+            if (!raw || /^[-–—]$|^n\/?a$/i.test(raw)) {
+                return { type: 'empty', value: null };
+            }
+
+            const normalized = raw
+                .replace(/[−‒–]/g, '-')
+                .replace(/\+\/-|\+-/g, '±')
+                .replace(this.config.footnoteMarkers, '')
+                .trim();
+
+            const number = '(-?(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?(?:[eE][-+]?\\d+)?|-?\\.\\d+)';
+            const unit = `([^\\d\\s±()][^\\s±()]{0,${this.config.maxUnitLength - 1}})`;
+            const pattern = new RegExp(
+                `^([<>≤≥~≈])?\\s*([$€£¥])?\\s*${number}\\s*(%)?` +
+                `(?:\\s*\\(?\\s*±\\s*${number}\\s*(%)?\\s*\\)?)?` +
+                `(?:\\s*${unit})?$`
+            );
+
+            const match = normalized.match(pattern);
+            if (!match) {
+                return { type: 'text', value: raw };
+            }
+
+            const [, comparator, currency, valueText, percent, errorText, errorPercent, trailingUnit] = match;
+            const unitText = percent || errorPercent ? '%' : (currency || trailingUnit || null);
+
+            // "12 samples" and "3 layers" read as text with a number in it
+            if (trailingUnit && !percent && /^[a-z]{5,}$/i.test(trailingUnit)) {
+                return { type: 'text', value: raw };
+            }
+
+            const result = {
+                type: unitText === '%' ? 'percentage' : 'number',
+                value: this.toNumber(valueText)
+            };
+
+            if (errorText !== undefined) result.error = this.toNumber(errorText);
+            if (unitText) result.unit = unitText;
+            if (comparator) result.comparator = comparator;
+
+            return result;
+        }
+
+        toNumber(text) {
+            return parseFloat(text.replace(/,/g, ''));
+        }
+
+        /**
+         * 'bold' when the whole cell is bold (the usual "best result"
+         * marker), 'underline' for the usual second-best marker
+         */
+        detectEmphasis(cell, text) {
+            if (!text) return null;
+
+            const coveredBy = selector => {
+                const nodes = cell.querySelectorAll(selector);
+                if (nodes.length === 0) return false;
+                const covered = Array.from(nodes).map(node => node.textContent).join('');
+                return this.cleanText(covered).replace(this.config.footnoteMarkers, '') ===
+                       text.replace(this.config.footnoteMarkers, '');
+            };
+
+            if (coveredBy('b, strong') || this.hasComputedWeight(cell)) return 'bold';
+            if (coveredBy('u')) return 'underline';
+            return null;
+        }
+
+        hasComputedWeight(cell) {
+            // Header cells are bold by default, which says nothing about results
+            if (cell.tagName === 'TH' || typeof global.getComputedStyle !== 'function') return false;
+
+            const weight = global.getComputedStyle(cell).fontWeight;
+            return parseInt(weight, 10) >= 600 || weight === 'bold';
+        }
+
+        calculateStats(rows) {
+            const types = {};
+            let bestCells = 0;
+            let errorCells = 0;
+
+            rows.forEach(row => {
+                row.cells.forEach(cell => {
+                    if (cell.spanned) return;
+                    types[cell.type] = (types[cell.type] || 0) + 1;
+                    if (cell.isBest) bestCells++;
+                    if (cell.error !== undefined) errorCells++;
+                });
+            });
+
+            const numericCells = (types.number || 0) + (types.percentage || 0);
+            const filledCells = Object.entries(types)
+                .filter(([type]) => type !== 'empty')
+                .reduce((sum, [, count]) => sum + count, 0);
+
+            return {
+                types,
+                numericCells,
+                numericRatio: filledCells > 0 ? numericCells / filledCells : 0,
+                bestCells,
+                errorCells
+            };
+        }
+
+        /**
+         * Flat header labels, one per column
+         */
+        getHeaderLabels(model) {
+            return model ? model.columns.map(column => column.label) : [];
+        }
+
+        /**
+         * Body rows as arrays of cell text, aligned with the columns
+         */
+        getRowTexts(model) {
+            return model ? model.rows.map(row => row.cells.map(cell => cell.text)) : [];
+        }
+
+        /**
+         * CSV with one header line (column paths joined) and a leading group
+         * column when the table has row groups
+         */
+        toCSV(model) {
+            if (!model) return '';
+
+            const hasGroups = model.rows.some(row => row.group);
+            const escape = value => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            const lines = [];
+            lines.push([...(hasGroups ? ['Group'] : []), ...this.getHeaderLabels(model)].map(escape).join(','));
+            model.rows.forEach(row => {
+                lines.push([...(hasGroups ? [row.group || ''] : []), ...row.cells.map(cell => cell.text)].map(escape).join(','));
+            });
+
+            return lines.join('\n');
+        }
+
+        cleanText(text) {
+            return (text || '').replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    // Create singleton instance
+    const tableModel = new TableModel();
+
+    // Export to global scope
+    global.TableModel = TableModel;
+    global.tableModel = tableModel;
+
+    console.log('🧮 TableModel loaded and ready');
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,516 @@
+// ================================
+// src/content/modules/utils/TextAnchoring.js
+// ================================
+
+(function(global) {
+    'use strict';
+
+    /**
+     * TextAnchoring
+     *
+     * Describes DOM ranges with W3C Web Annotation selectors
+     * (TextQuoteSelector + TextPositionSelector) and anchors them again
+     * after a reload or re-render. Anchoring tries, in order: the stored
+     * position, exact quote matches ranked by prefix/suffix context,
+     * whitespace/case-insensitive matches, and finally approximate matches
+     * scored by edit distance.
+     */
+    class TextAnchoring {
+        constructor(config = {}) {
+            this.config = {
+                contextLength: 32,
+                minFuzzyScore: 0.75,
+                seedLength: 24,
+                maxCandidates: 50,
+                maxQuoteLength: 2000,
+                // Longer quotes are matched fuzzily by their two ends only
+                maxFuzzyLength: 256,
+                excludeSelector: [
+                    '.orkg-marker',
+                    '.orkg-tooltip',
+                    '.orkg-rag-tooltip',
+                    '.orkg-property-selection-window',
+                    'script',
+                    'style',
+                    'noscript',
+                    'textarea'
+                ].join(', '),
+                ...config
+            };
+
+            // Statistics
+            this.stats = {
+                described: 0,
+                position: 0,
+                quote: 0,
+                normalized: 0,
+                fuzzy: 0,
+                failed: 0
+            };
+        }
+
+        // ================================
+        // Selector creation
+        // ================================
+
+        /**
+         * Describe a range with text-quote and text-position selectors
+         * @param {Range} range - DOM range to describe
+         * @param {Element} root - Element the positions are relative to
+         * @returns {Array|null} W3C selectors or null if the range has no text
+         */
+        describe(range, root = document.body) {
+            if (!range || !root) return null;
+
+            const index = this.buildIndex(root);
+            const start = this.pointToOffset(range.startContainer, range.startOffset, index);
+            const end = this.pointToOffset(range.endContainer, range.endOffset, index);
+
+            if (start === null || end === null || end <= start) {
+                return null;
+            }
+
+            const { contextLength } = this.config;
+            this.stats.described++;
+
+            return [
+                {
+                    type: 'TextQuoteSelector',
+                    exact: index.text.slice(start, end),
+                    prefix: index.text.slice(Math.max(0, start - contextLength), start),
+                    suffix: index.text.slice(end, end + contextLength)
+                },
+                {
+                    type: 'TextPositionSelector',
+                    start,
+                    end
+                }
+            ];
+        }
+
+        // ================================
+        // Anchoring
+        // ================================
+
+        /**
+         * Find the range described by a set of selectors
+         * @param {Array} selectors - W3C selectors from describe()
+         * @param {Object} options - { root }
+         * @returns {Object|null} { range, method, score } or null if it cannot be anchored
+         */
+        anchor(selectors, options = {}) {
+            const quote = this.getSelector(selectors, 'TextQuoteSelector');
+            const position = this.getSelector(selectors, 'TextPositionSelector');
+
+            if (!quote && !position) {
+                return null;
+            }
+
+            const index = this.buildIndex(options.root || document.body);
+            const strategies = quote ? [
+                () => this.anchorByPosition(index, quote, position),
+                () => this.anchorByQuote(index, quote, position),
+                () => this.anchorByNormalizedQuote(index, quote, position),
+                () => this.anchorByFuzzyQuote(index, quote, position)
+            ] : [
+                () => this.anchorByPosition(index, null, position)
+            ];
+
+            for (const strategy of strategies) {
+                try {
+                    const match = strategy();
+                    if (match) {
+                        const range = this.offsetsToRange(match.start, match.end, index);
+                        if (range) {
+                            this.stats[match.method]++;
+                            return { range, method: match.method, score: match.score };
+                        }
+                    }
+                } catch (error) {
+                    console.debug('Anchoring strategy failed:', error);
+                }
+            }
+
+            this.stats.failed++;
+            return null;
+        }
+
+        anchorByPosition(index, quote, position) {
+            if (!position || position.end > index.text.length) return null;
+
+            // Without a quote the position cannot be verified
+            if (quote && index.text.slice(position.start, position.end) !== quote.exact) {
+                return null;
+            }
+
+            return { start: position.start, end: position.end, method: 'position', score: 1 };
+        }
+
+        anchorByQuote(index, quote, position) {
+            if (!quote.exact) return null;
+
+            const candidates = [];
+            let from = 0;
+            let found;
+
+            while ((found = index.text.indexOf(quote.exact, from)) !== -1 && candidates.length < this.config.maxCandidates) {
+                candidates.push({ start: found, end: found + quote.exact.length });
+                from = found + 1;
+            }
+
+            const best = this.pickBestCandidate(candidates, index.text, quote, position);
+            return best ? { ...best, method: 'quote', score: 1 } : null;
+        }
+
+        anchorByNormalizedQuote(index, quote, position) {
+            const normalizedQuote = this.normalize(quote.exact).text.trim();
+            if (!normalizedQuote) return null;
+
+            const normalized = this.getNormalizedIndex(index);
+            const candidates = [];
+            let from = 0;
+            let found;
+
+            while ((found = normalized.text.indexOf(normalizedQuote, from)) !== -1 && candidates.length < this.config.maxCandidates) {
+                candidates.push(this.mapNormalizedMatch(normalized, found, found + normalizedQuote.length));
+                from = found + 1;
+            }
+
+            const best = this.pickBestCandidate(candidates, index.text, quote, position);
+            return best ? { ...best, method: 'normalized', score: 1 } : null;
+        }
+
+        /**
+         * Approximate match: seed with short exact substrings of the quote,
+         * then score each candidate window by a bounded edit distance. Long
+         * quotes are anchored by fuzzy-matching their head and tail.
+         */
+        anchorByFuzzyQuote(index, quote, position) {
+            const normalizedQuote = this.normalize(quote.exact).text.trim();
+            if (!normalizedQuote || normalizedQuote.length > this.config.maxQuoteLength) return null;
+
+            const normalized = this.getNormalizedIndex(index);
+            let best;
+
+            if (normalizedQuote.length <= this.config.maxFuzzyLength) {
+                best = this.findFuzzy(normalized.text, normalizedQuote);
+            } else {
+                const edge = Math.floor(this.config.maxFuzzyLength / 2);
+                const head = this.findFuzzy(normalized.text, normalizedQuote.slice(0, edge));
+                // The tail has to follow the head at roughly the original distance
+                const tail = head && this.findFuzzy(
+                    normalized.text,
+                    normalizedQuote.slice(-edge),
+                    head.end,
+                    head.start + Math.ceil(normalizedQuote.length * 1.2)
+                );
+                const length = tail ? tail.end - head.start : 0;
+
+                if (tail && Math.abs(length - normalizedQuote.length) <= normalizedQuote.length * 0.2) {
+                    best = { start: head.start, end: tail.end, score: Math.min(head.score, tail.score) };
+                }
+            }
+
+            if (!best) return null;
+
+            const match = this.mapNormalizedMatch(normalized, best.start, best.end);
+            const ranked = this.pickBestCandidate([match], index.text, quote, position);
+            return ranked ? { ...ranked, method: 'fuzzy', score: best.score } : null;
+        }
+
+        /**
+         * Best approximate occurrence of needle in text, within [from, to)
+         * @returns {Object|null} { start, end, score } in text offsets
+         */
+        findFuzzy(text, needle, from = 0, to = text.length) {
+            const seedLength = Math.min(this.config.seedLength, Math.max(4, Math.floor(needle.length / 3)));
+            const seedOffsets = [
+                0,
+                Math.max(0, Math.floor((needle.length - seedLength) / 2)),
+                Math.max(0, needle.length - seedLength)
+            ];
+
+            const starts = new Set();
+            seedOffsets.forEach(offset => {
+                const seed = needle.slice(offset, offset + seedLength);
+                let position = from;
+                let found;
+
+                while ((found = text.indexOf(seed, position)) !== -1 && found < to && starts.size < this.config.maxCandidates) {
+                    const start = found - offset;
+                    if (start >= from) starts.add(start);
+                    position = found + 1;
+                }
+            });
+
+            // Allow the re-rendered text to be slightly shorter or longer
+            const slack = Math.ceil(needle.length * 0.1);
+            let best = null;
+
+            starts.forEach(start => {
+                for (let length = needle.length - slack; length <= needle.length + slack; length += Math.max(1, slack)) {
+                    const window = text.slice(start, Math.min(start + length, to));
+                    const trimmed = window.trim();
+                    const longest = Math.max(needle.length, trimmed.length);
+
+                    // Only distances that would beat the current best are worth computing
+                    const minScore = best ? Math.max(this.config.minFuzzyScore, best.score) : this.config.minFuzzyScore;
+                    const maxDistance = Math.floor((1 - minScore) * longest);
+                    const distance = this.boundedDistance(needle, trimmed, maxDistance);
+                    if (distance === Infinity) continue;
+
+                    const score = 1 - distance / longest;
+                    if (score >= this.config.minFuzzyScore && (!best || score > best.score)) {
+                        best = { start, end: start + window.length, score };
+                    }
+                }
+            });
+
+            return best;
+        }
+
+        /**
+         * Rank matches by how well their surroundings match the stored
+         * prefix/suffix, breaking ties by distance to the stored position
+         */
+        pickBestCandidate(candidates, text, quote, position) {
+            if (candidates.length === 0) return null;
+            if (candidates.length === 1) return candidates[0];
+
+            let best = null;
+            let bestScore = -1;
+
+            candidates.forEach(candidate => {
+                const prefix = quote.prefix || '';
+                const suffix = quote.suffix || '';
+                const actualPrefix = text.slice(Math.max(0, candidate.start - prefix.length), candidate.start);
+                const actualSuffix = text.slice(candidate.end, candidate.end + suffix.length);
+
+                const contextScore = (
+                    (prefix ? this.similarity(prefix, actualPrefix) : 1) +
+                    (suffix ? this.similarity(suffix, actualSuffix) : 1)
+                ) / 2;
+
+                const proximityScore = position
+                    ? 1 - Math.min(1, Math.abs(candidate.start - position.start) / Math.max(1, text.length))
+                    : 0;
+
+                const score = contextScore * 0.8 + proximityScore * 0.2;
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            });
+
+            return best;
+        }
+
+        // ================================
+        // Text index
+        // ================================
+
+        /**
+         * Flatten the visible text under root into one string and remember
+         * where each text node starts
+         */
+        buildIndex(root) {
+            const nodes = [];
+            let text = '';
+            const excludeSelector = this.config.excludeSelector;
+
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => {
+                    const parent = node.parentElement;
+                    if (parent && parent.closest(excludeSelector)) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            });
+
+            let node;
+            while ((node = walker.nextNode())) {
+                const length = node.nodeValue.length;
+                if (length === 0) continue;
+
+                nodes.push({ node, start: text.length, end: text.length + length });
+                text += node.nodeValue;
+            }
+
+            return { root, text, nodes, normalized: null };
+        }
+
+        pointToOffset(container, offset, index) {
+            if (container.nodeType === Node.TEXT_NODE) {
+                const entry = index.nodes.find(item => item.node === container);
+                if (entry) {
+                    return entry.start + Math.min(offset, entry.end - entry.start);
+                }
+            }
+
+            // Element boundary (or excluded text): use the next indexed text node
+            const boundary = document.createRange();
+            boundary.setStart(container, container.nodeType === Node.TEXT_NODE ? Math.min(offset, container.length) : offset);
+
+            for (const entry of index.nodes) {
+                if (boundary.comparePoint(entry.node, 0) >= 0) {
+                    return entry.start;
+                }
+            }
+
+            return index.text.length;
+        }
+
+        offsetsToRange(start, end, index) {
+            const startEntry = index.nodes.find(item => start >= item.start && start < item.end);
+            const endEntry = index.nodes.find(item => end > item.start && end <= item.end);
+
+            if (!startEntry || !endEntry) return null;
+
+            const range = document.createRange();
+            range.setStart(startEntry.node, start - startEntry.start);
+            range.setEnd(endEntry.node, end - endEntry.start);
+            return range;
+        }
+
+        getNormalizedIndex(index) {
+            if (!index.normalized) {
+                index.normalized = this.normalize(index.text);
+            }
+            return index.normalized;
+        }
+
+        /**
+         * Collapse whitespace, fold case, quotes and dashes. map[i] is the
+         * offset in the original text of normalized character i.
+         */
+        normalize(text) {
+            let result = '';
+            const map = [];
+            let lastWasSpace = true;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (/\s/.test(char)) {
+                    if (!lastWasSpace) {
+                        result += ' ';
+                        map.push(i);
+                        lastWasSpace = true;
+                    }
+                    continue;
+                }
+
+                result += this.foldChar(char);
+                map.push(i);
+                lastWasSpace = false;
+            }
+
+            return { text: result, map };
+        }
+
+        foldChar(char) {
+            if (/[\u2018\u2019\u201A\u2032]/.test(char)) return "'";
+            if (/[\u201C\u201D\u201E\u2033]/.test(char)) return '"';
+            if (/[\u2010-\u2015\u2212]/.test(char)) return '-';
+            return char.toLowerCase().charAt(0);
+        }
+
+        mapNormalizedMatch(normalized, start, end) {
+            const lastIndex = Math.max(start, Math.min(end, normalized.map.length) - 1);
+            return {
+                start: normalized.map[start],
+                end: normalized.map[lastIndex] + 1
+            };
+        }
+
+        // ================================
+        // Helpers
+        // ================================
+
+        getSelector(selectors, type) {
+            if (!Array.isArray(selectors)) return null;
+            return selectors.find(selector => selector && selector.type === type) || null;
+        }
+
+        /**
+         * Levenshtein distance restricted to a diagonal band of width
+         * maxDistance, giving up as soon as every cell in a row exceeds it
+         * @returns {number} the distance, or Infinity if it is above maxDistance
+         */
+        boundedDistance(a, b, maxDistance) {
+            if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+            let previous = new Array(b.length + 1).fill(Infinity);
+            let current = new Array(b.length + 1).fill(Infinity);
+
+            for (let j = 0; j <= Math.min(b.length, maxDistance); j++) previous[j] = j;
+
+            for (let i = 1; i <= a.length; i++) {
+                const from = Math.max(1, i - maxDistance);
+                const to = Math.min(b.length, i + maxDistance);
+                let rowMin = Infinity;
+
+                current[0] = i <= maxDistance ? i : Infinity;
+                current[from - 1] = from === 1 ? current[0] : Infinity;
+                if (from === 1) rowMin = current[0];
+
+                for (let j = from; j <= to; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    if (current[j] < rowMin) rowMin = current[j];
+                }
+                if (to < b.length) current[to + 1] = Infinity;
+
+                if (rowMin > maxDistance) return Infinity;
+                [previous, current] = [current, previous];
+            }
+
+            return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+        }
+
+        /**
+         * Normalized Levenshtein similarity in [0, 1]
+         */
+        similarity(a, b) {
+            if (a === b) return 1;
+            if (!a || !b) return 0;
+
+            const previous = new Array(b.length + 1);
+            const current = new Array(b.length + 1);
+
+            for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+            for (let i = 1; i <= a.length; i++) {
+                current[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                }
+                for (let j = 0; j <= b.length; j++) previous[j] = current[j];
+            }
+
+            return 1 - previous[b.length] / Math.max(a.length, b.length);
+        }
+
+        getStats() {
+            return { ...this.stats };
+        }
+
+        resetStats() {
+            Object.keys(this.stats).forEach(key => {
+                this.stats[key] = 0;
+            });
+        }
+    }
+
+    // Create singleton instance
+    const textAnchoring = new TextAnchoring();
+
+    // Export to global scope
+    global.TextAnchoring = TextAnchoring;
+    global.textAnchoring = textAnchoring;
+
+    console.log('⚓ TextAnchoring loaded and ready');
+
+})(typeof window !== 'undefined' ? window : this);
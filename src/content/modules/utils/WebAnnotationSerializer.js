@@ -0,0 +1,344 @@
+// ================================
+// src/content/modules/utils/WebAnnotationSerializer.js
+// ================================
+
+(function(global) {
+    'use strict';
+
+    const ANNO_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+    const ORKG_BASE = 'https://orkg.org';
+    const LOCAL_PROPERTY_PREFIX = 'urn:orkg-annotator:property:';
+
+    // Terms the W3C context does not define
+    const EXTENSION_CONTEXT = {
+        orkg: 'https://orkg.org/annotator#',
+        confidence: 'orkg:confidence',
+        origin: 'orkg:origin',
+        section: 'orkg:section',
+        caption: 'orkg:caption'
+    };
+
+    /**
+     * WebAnnotationSerializer
+     *
+     * Converts highlights and image/table markers to W3C Web Annotation
+     * Data Model JSON-LD and back. Each annotation carries the ORKG property
+     * as a classifying body, its label as a tag (so Hypothesis-style tools
+     * show it) and the extracted value as a describing body.
+     */
+    class WebAnnotationSerializer {
+
+        // ================================
+        // Export
+        // ================================
+
+        /**
+         * Build an AnnotationCollection document
+         * @param {Array} items - Normalized annotation items (see toAnnotation)
+         * @param {Object} page - { url, title }
+         * @returns {Object} JSON-LD document
+         */
+        serializeCollection(items, page = {}) {
+            const annotations = items
+                .map(item => this.toAnnotation(item, page))
+                .filter(Boolean);
+
+            return {
+                '@context': [ANNO_CONTEXT, EXTENSION_CONTEXT],
+                id: this.generateId(),
+                type: 'AnnotationCollection',
+                label: page.title ? `ORKG annotations: ${page.title}` : 'ORKG annotations',
+                total: annotations.length,
+                first: {
+                    type: 'AnnotationPage',
+                    startIndex: 0,
+                    items: annotations
+                }
+            };
+        }
+
+        /**
+         * @param {Object} item - { kind: 'text'|'image'|'table', property, value,
+         *   selectors, text, src, cssSelector, caption, confidence, origin, section, created }
+         */
+        toAnnotation(item, page) {
+            const target = this.buildTarget(item, page);
+            if (!target) return null;
+
+            const body = [];
+            const property = item.property;
+
+            if (property && (property.id || property.label)) {
+                body.push({
+                    type: 'SpecificResource',
+                    purpose: 'classifying',
+                    source: {
+                        id: this.propertyToIri(property),
+                        label: property.label || property.id
+                    }
+                });
+
+                if (property.label) {
+                    body.push({
+                        type: 'TextualBody',
+                        purpose: 'tagging',
+                        value: property.label
+                    });
+                }
+            }
+
+            if (item.value !== null && item.value !== undefined && item.value !== '') {
+                body.push({
+                    type: 'TextualBody',
+                    purpose: 'describing',
+                    value: String(item.value),
+                    format: 'text/plain'
+                });
+            }
+
+            const annotation = {
+                id: this.generateId(),
+                type: 'Annotation',
+                motivation: body.length > 0 ? 'classifying' : 'highlighting',
+                created: new Date(item.created || Date.now()).toISOString(),
+                generator: {
+                    type: 'Software',
+                    name: 'ORKG Annotator'
+                },
+                target
+            };
+
+            if (body.length > 0) {
+                annotation.body = body;
+            }
+            if (typeof item.confidence === 'number') {
+                annotation.confidence = item.confidence;
+            }
+            if (item.origin) {
+                annotation.origin = item.origin;
+            }
+            if (item.section) {
+                annotation.section = item.section;
+            }
+
+            return annotation;
+        }
+
+        buildTarget(item, page) {
+            if (item.kind === 'text') {
+                if (!Array.isArray(item.selectors) || item.selectors.length === 0) return null;
+
+                return {
+                    type: 'Text',
+                    source: page.url,
+                    selector: item.selectors
+                };
+            }
+
+            if (!item.cssSelector && !item.src) return null;
+
+            const target = {
+                type: item.kind === 'image' ? 'Image' : 'Dataset',
+                source: item.kind === 'image' && item.src ? item.src : page.url
+            };
+
+            if (target.source !== page.url) {
+                target.scope = page.url;
+            }
+            if (item.cssSelector) {
+                target.selector = {
+                    type: 'CssSelector',
+                    value: item.cssSelector
+                };
+            }
+            if (item.caption) {
+                target.caption = item.caption;
+            }
+
+            return target;
+        }
+
+        // ORKG predicates get their resolvable IRI, generated properties a local URN
+        propertyToIri(property) {
+            const id = String(property.id || property.label || 'unknown');
+
+            if (/^https?:\/\//.test(id)) return id;
+            if (/^P\d+$/.test(id)) return `${ORKG_BASE}/property/${id}`;
+
+            return LOCAL_PROPERTY_PREFIX + encodeURIComponent(id);
+        }
+
+        iriToPropertyId(iri) {
+            if (!iri) return null;
+
+            const orkgMatch = String(iri).match(/orkg\.org\/(?:property|predicate)\/(P\d+)$/);
+            if (orkgMatch) return orkgMatch[1];
+
+            if (String(iri).startsWith(LOCAL_PROPERTY_PREFIX)) {
+                return decodeURIComponent(String(iri).slice(LOCAL_PROPERTY_PREFIX.length));
+            }
+
+            return String(iri);
+        }
+
+        // ================================
+        // Import
+        // ================================
+
+        /**
+         * Parse a Web Annotation document into normalized items.
+         * Accepts a single Annotation, an array, an AnnotationPage, an
+         * AnnotationCollection, or a Hypothesis API response ({ rows }).
+         * @returns {Array} items in the shape toAnnotation expects, plus pageUrl
+         */
+        parse(document) {
+            const data = typeof document === 'string' ? JSON.parse(document) : document;
+            const annotations = this.collectAnnotations(data);
+
+            if (annotations.length === 0) {
+                throw new Error('No annotations found in file');
+            }
+
+            return annotations
+                .map(annotation => this.fromAnnotation(annotation))
+                .filter(Boolean);
+        }
+
+        collectAnnotations(data) {
+            if (!data) return [];
+            if (Array.isArray(data)) return data.flatMap(entry => this.collectAnnotations(entry));
+            if (Array.isArray(data.rows)) return data.rows;
+
+            const type = this.getTypes(data);
+
+            if (type.includes('AnnotationCollection')) {
+                if (Array.isArray(data.items)) return data.items;
+                return this.collectAnnotations(data.first);
+            }
+            if (type.includes('AnnotationPage')) {
+                return (data.items || []).concat(
+                    data.next && typeof data.next === 'object' ? this.collectAnnotations(data.next) : []
+                );
+            }
+            if (type.includes('Annotation') || data.target) {
+                return [data];
+            }
+
+            return [];
+        }
+
+        fromAnnotation(annotation) {
+            const target = [].concat(annotation.target || [])[0];
+            if (!target) return null;
+
+            const selectors = [].concat(target.selector || []);
+            const bodies = [].concat(annotation.body || []);
+
+            const classifying = bodies.find(body => body && body.purpose === 'classifying' && body.source);
+            const tag = bodies.find(body => body && body.purpose === 'tagging');
+            const describing = bodies.find(body => body && (body.purpose === 'describing' || body.purpose === 'commenting'));
+
+            // Hypothesis keeps tags and the comment outside of body
+            const label = classifying?.source?.label || tag?.value || (annotation.tags || [])[0] || null;
+            const propertyId = this.iriToPropertyId(classifying?.source?.id || classifying?.source) || label;
+            const value = describing?.value ?? annotation.text ?? null;
+
+            const item = {
+                property: propertyId ? { id: propertyId, label: label || propertyId } : null,
+                value: value === '' ? null : value,
+                confidence: typeof annotation.confidence === 'number' ? annotation.confidence : null,
+                origin: annotation.origin || 'imported',
+                section: annotation.section || null,
+                created: annotation.created ? Date.parse(annotation.created) || Date.now() : Date.now(),
+                pageUrl: target.scope || target.source || annotation.uri || null
+            };
+
+            const textSelectors = selectors.filter(selector =>
+                selector && (selector.type === 'TextQuoteSelector' || selector.type === 'TextPositionSelector')
+            );
+
+            if (textSelectors.length > 0) {
+                return {
+                    ...item,
+                    kind: 'text',
+                    selectors: textSelectors,
+                    text: textSelectors.find(selector => selector.type === 'TextQuoteSelector')?.exact || ''
+                };
+            }
+
+            const cssSelector = selectors.find(selector => selector && selector.type === 'CssSelector');
+            const targetTypes = this.getTypes(target);
+            const kind = targetTypes.includes('Image') ? 'image' : (targetTypes.includes('Dataset') ? 'table' : null);
+
+            if (!kind) return null;
+
+            return {
+                ...item,
+                kind,
+                cssSelector: cssSelector?.value || null,
+                src: kind === 'image' && target.scope ? target.source : null,
+                caption: target.caption || null,
+                pageUrl: target.scope || target.source || null
+            };
+        }
+
+        // ================================
+        // Helpers
+        // ================================
+
+        /**
+         * Build a CSS selector that identifies the element within the page
+         */
+        cssSelectorFor(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+            if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+                return `#${CSS.escape(element.id)}`;
+            }
+
+            const parts = [];
+            let current = element;
+
+            while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+                if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+                    parts.unshift(`#${CSS.escape(current.id)}`);
+                    return parts.join(' > ');
+                }
+
+                const tag = current.tagName.toLowerCase();
+                const siblings = current.parentElement
+                    ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+                    : [];
+
+                parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+                current = current.parentElement;
+            }
+
+            return ['body', ...parts].join(' > ');
+        }
+
+        getTypes(node) {
+            return [].concat(node?.type || node?.['@type'] || []);
+        }
+
+        generateId() {
+            const uuid = global.crypto?.randomUUID
+                ? global.crypto.randomUUID()
+                : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+                    const r = Math.random() * 16 | 0;
+                    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+                });
+            return `urn:uuid:${uuid}`;
+        }
+    }
+
+    // Create singleton instance
+    const webAnnotationSerializer = new WebAnnotationSerializer();
+
+    // Export to global scope
+    global.WebAnnotationSerializer = WebAnnotationSerializer;
+    global.webAnnotationSerializer = webAnnotationSerializer;
+
+    console.log('📝 WebAnnotationSerializer loaded and ready');
+
+})(typeof window !== 'undefined' ? window : this);
@@ -5,6 +5,10 @@
 import { eventManager } from '../../utils/eventManager.js';
 import ImageAnalyzer from './analyzers/ImageAnalyzer.js';
 import { TableAnalyzer } from './analyzers/TableAnalyzer.js';
+import configInstance from '../../config/config.js';
+import { isProviderConfigured } from '../services/ai/providers/providerRegistry.js';
+import { ContributionExportService } from '../services/ContributionExportService.js';
+import { ContributionManager } from '../state/ContributionManager.js';
 
 export class AnalysisStep {
     constructor() {
@@ -53,6 +57,9 @@ export class AnalysisStep {
         ];
         
         this.services = {};
+        this.contributions = null;
+        this.renamingContribution = false;
+        this.exporter = new ContributionExportService();
         this.analyzers = {
             images: null,
             tables: null
@@ -88,6 +95,8 @@ export class AnalysisStep {
                 toastManager: serviceManager.getService('toastManager')
             };
         }
+        
+        this.contributions = new ContributionManager(this.services.stateManager);
     }
     
     initializeAnalyzers() {
@@ -126,6 +135,10 @@ export class AnalysisStep {
                 case 'IMAGE_ADDED_TO_ANALYZER':
                     this.handleMarkerImageAdded(request.data);
                     break;
+                    
+                case 'ORKG_WRITE_COMPLETE':
+                    this.handleORKGWriteComplete(request.data);
+                    break;
             }
             sendResponse({ received: true });
             return false;
@@ -137,6 +150,11 @@ export class AnalysisStep {
                 this.load();
             }
         });
+        
+        // Figures must follow the newly selected provider
+        eventManager.on('llm:provider_changed', () => {
+            this.analyzers.images?.initializeAnalysisService();
+        });
     }
     
     async load() {
@@ -145,6 +163,9 @@ export class AnalysisStep {
         try {
             console.log('🔬 Loading AnalysisStep...');
             
+            // Give the background write pipeline the paper context for this tab
+            await this.syncWriteContext();
+            
             // First, activate image markers on the page
             await this.activateImageMarkers();
             
@@ -200,6 +221,61 @@ export class AnalysisStep {
         }
     }
     
+    /**
+     * Push metadata, research field, problem and template to the background
+     * so markers sent from the page can be written to ORKG as a contribution.
+     * The page gets the contribution list for its switchers.
+     */
+    async syncWriteContext() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.id) return;
+            
+            const data = this.services?.stateManager?.getState()?.data || {};
+            this.contributions?.persist();
+            const contributionContext = this.contributions?.getWriteContext() || {};
+            
+            await chrome.runtime.sendMessage({
+                action: 'SAVE_WORKFLOW_STATE',
+                tabId: tab.id,
+                data: {
+                    currentStep: 'analysis',
+                    pageTitle: tab.title,
+                    url: tab.url,
+                    metadata: data.metadata || null,
+                    existingPaper: data.existingPaper?.id && data.existingPaper.action !== 'new' ? {
+                        id: data.existingPaper.id,
+                        title: data.existingPaper.title,
+                        contributionCount: (data.existingPaper.contributions || []).length
+                    } : null,
+                    researchField: data.researchField?.selectedField || null,
+                    problem: data.problemAnalysis?.selectedProblem || null,
+                    template: this.getSelectedTemplate() || null,
+                    ...contributionContext
+                }
+            });
+            
+            chrome.tabs.sendMessage(tab.id, {
+                action: 'CONTRIBUTIONS_UPDATED',
+                ...contributionContext
+            }).catch(() => {
+                // Content script not loaded yet; it reads the saved context on init
+            });
+        } catch (error) {
+            console.warn('Failed to sync write context:', error);
+        }
+    }
+    
+    handleORKGWriteComplete(data) {
+        if (!data?.savedCount) return;
+        
+        console.log('✍️ Markers saved to ORKG:', data);
+        this.services.stateManager?.updateState('data.orkgPaper', { id: data.paperId, url: data.paperUrl || null });
+        this.services.toastManager?.success(
+            `Saved ${data.savedCount} item${data.savedCount === 1 ? '' : 's'} to ORKG paper ${data.paperId}`
+        );
+    }
+    
     async startExtraction(extractionType = 'text') {
         if (this.extractionState.isExtracting) {
             console.log('⏳ Extraction already in progress');
@@ -244,6 +320,7 @@ export class AnalysisStep {
             // Add template for text extraction
             if (extractionType === 'text') {
                 config.template = this.getSelectedTemplate();
+                config.extractionMode = this.getExtractionMode();
             }
             
             // Send message to background
@@ -260,6 +337,14 @@ export class AnalysisStep {
         }
     }
     
+    /**
+     * 'deterministic' runs only the pattern extractors - used when no LLM is configured
+     */
+    getExtractionMode() {
+        const provider = configInstance.getLLMProvider();
+        return isProviderConfigured(provider, configInstance.getLLMSettings(provider)) ? 'auto' : 'deterministic';
+    }
+    
     handleExtractionProgress(data) {
         console.log('📊 Extraction Progress:', data);
         
@@ -395,6 +480,12 @@ export class AnalysisStep {
                         </div>
                         
                         <h3>Extracting ${typeLabels[this.extractionState.extractionType]}</h3>
+                        ${this.extractionState.extractionType === 'text' && this.getExtractionMode() === 'deterministic' ? `
+                            <div class="offline-extraction-notice">
+                                <i class="fas fa-plug"></i>
+                                <span>No AI provider configured - using offline pattern extraction. Values get lower confidence and should be reviewed.</span>
+                            </div>
+                        ` : ''}
                         
                         <div class="progress-container">
                             <div class="progress-bar">
@@ -463,6 +554,8 @@ export class AnalysisStep {
                     ` : ''}
                 </div>
                 
+                ${this.renderContributionSwitcher()}
+                
                 <div class="analysis-tabs">
                     <div class="tabs-header">
                         ${this.renderTabButtons()}
@@ -620,6 +713,8 @@ export class AnalysisStep {
     }
     
     attachEventHandlers() {
+        this.attachContributionHandlers();
+        
         // Tab navigation
         this.container?.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -657,6 +752,233 @@ export class AnalysisStep {
         if (extractAllBtn) {
             extractAllBtn.addEventListener('click', () => this.startExtraction('all'));
         }
+        
+        // Contribution export
+        const exportBtn = this.container?.querySelector('#export-results-btn');
+        const exportMenu = this.container?.querySelector('.export-menu');
+        if (exportBtn && exportMenu) {
+            exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                exportMenu.classList.toggle('open');
+            });
+            
+            exportMenu.querySelectorAll('[data-export-format]').forEach(option => {
+                option.addEventListener('click', () => {
+                    exportMenu.classList.remove('open');
+                    this.exportContribution(option.dataset.exportFormat);
+                });
+            });
+        }
+    }
+    
+    /**
+     * Download metadata, problem and extracted template values in the chosen format.
+     * Values come from the paper session, which holds both RAG and manual highlights.
+     */
+    async exportContribution(format) {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const data = this.services?.stateManager?.getState()?.data || {};
+            
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_SESSION_HIGHLIGHTS',
+                url: tab?.url,
+                doi: data.metadata?.doi || null
+            });
+            
+            const model = this.exporter.buildModel(data, {
+                template: this.getSelectedTemplate(),
+                highlights: response?.success ? response.highlights : [],
+                url: tab?.url
+            });
+            
+            if (model.statements.length === 0) {
+                this.services.toastManager?.warning('No extracted values yet - exporting paper metadata only');
+            }
+            
+            const { filename } = this.exporter.download(model, format);
+            this.services.toastManager?.success(`Exported ${filename}`);
+            
+        } catch (error) {
+            console.error('Failed to export contribution:', error);
+            this.services.toastManager?.error(`Export failed: ${error.message}`);
+        }
+    }
+    
+    // ================================
+    // Contributions
+    // ================================
+    
+    renderContributionSwitcher() {
+        if (!this.contributions) return '';
+        
+        const { activeId, items } = this.contributions.getContributions();
+        const active = items.find(item => item.id === activeId);
+        const problem = active.problem?.title || active.problem?.label;
+        const template = active.template?.name || active.template?.label;
+        
+        return `
+            <div class="contribution-switcher">
+                <div class="contribution-switcher-row">
+                    <i class="fas fa-layer-group"></i>
+                    ${this.renamingContribution ? `
+                        <input type="text" id="contribution-label-input" class="form-input"
+                               value="${this.escapeHtml(active.label)}" placeholder="Contribution label">
+                        <button class="btn-icon" id="save-contribution-label-btn" title="Save label">
+                            <i class="fas fa-check"></i>
+                        </button>
+                    ` : `
+                        <select id="contribution-select" class="form-select" title="Contribution the results below belong to">
+                            ${items.map(item => `
+                                <option value="${item.id}" ${item.id === activeId ? 'selected' : ''}>
+                                    ${this.escapeHtml(item.label)}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <button class="btn-icon" id="rename-contribution-btn" title="Rename contribution">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                    `}
+                    <button class="btn-icon" id="add-contribution-btn" title="Add a contribution for another approach or experiment">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    <button class="btn-icon" id="remove-contribution-btn" title="Remove this contribution"
+                            ${items.length < 2 ? 'disabled' : ''}>
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
+                <div class="contribution-switcher-details">
+                    <span title="Research problem"><i class="fas fa-lightbulb"></i> ${this.escapeHtml(problem) || 'No problem selected'}</span>
+                    <span title="Template"><i class="fas fa-clipboard-list"></i> ${this.escapeHtml(template) || 'No template selected'}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    attachContributionHandlers() {
+        const select = this.container?.querySelector('#contribution-select');
+        if (select) {
+            select.addEventListener('change', () => this.switchContribution(select.value));
+        }
+        
+        this.container?.querySelector('#add-contribution-btn')?.addEventListener('click', () => {
+            this.addContribution();
+        });
+        
+        this.container?.querySelector('#remove-contribution-btn')?.addEventListener('click', () => {
+            this.removeContribution();
+        });
+        
+        this.container?.querySelector('#rename-contribution-btn')?.addEventListener('click', () => {
+            this.renamingContribution = true;
+            this.render();
+            this.container?.querySelector('#contribution-label-input')?.select();
+        });
+        
+        const labelInput = this.container?.querySelector('#contribution-label-input');
+        if (labelInput) {
+            labelInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.renameContribution(labelInput.value);
+                } else if (e.key === 'Escape') {
+                    this.renamingContribution = false;
+                    this.render();
+                }
+            });
+            
+            this.container.querySelector('#save-contribution-label-btn')?.addEventListener('click', () => {
+                this.renameContribution(labelInput.value);
+            });
+        }
+    }
+    
+    /**
+     * Make another contribution active. Its extracted values replace the
+     * current ones, which stay stored under the contribution they belong to.
+     */
+    async switchContribution(contributionId) {
+        if (this.extractionState.isExtracting) {
+            this.services.toastManager?.warning('Wait for the extraction to finish before switching contributions');
+            this.render();
+            return;
+        }
+        
+        try {
+            await this.saveResults();
+            const contribution = this.contributions.switchTo(contributionId);
+            await this.loadContributionResults(contribution.id);
+            await this.syncWriteContext();
+            this.render();
+        } catch (error) {
+            console.error('Failed to switch contribution:', error);
+            this.services.toastManager?.error(`Could not switch contribution: ${error.message}`);
+        }
+    }
+    
+    async addContribution() {
+        if (this.extractionState.isExtracting) {
+            this.services.toastManager?.warning('Wait for the extraction to finish before adding a contribution');
+            return;
+        }
+        
+        await this.saveResults();
+        const contribution = this.contributions.add();
+        await this.loadContributionResults(contribution.id);
+        await this.syncWriteContext();
+        this.render();
+        
+        this.services.toastManager?.info(
+            `${contribution.label || 'New contribution'} uses the current problem and template - change them in the previous steps if this approach differs`
+        );
+    }
+    
+    async renameContribution(label) {
+        this.contributions.rename(this.contributions.getActiveId(), label);
+        this.renamingContribution = false;
+        await this.syncWriteContext();
+        this.render();
+    }
+    
+    async removeContribution() {
+        const active = this.contributions.getActive();
+        if (!confirm(`Remove ${active.label} and its extracted values?`)) return;
+        
+        try {
+            this.contributions.remove(active.id);
+            
+            const stored = await chrome.storage.local.get(['contributionResults']);
+            const results = stored.contributionResults || {};
+            delete results[active.id];
+            await chrome.storage.local.set({ contributionResults: results });
+            
+            await this.loadContributionResults(this.contributions.getActiveId());
+            await this.syncWriteContext();
+            this.render();
+        } catch (error) {
+            this.services.toastManager?.error(error.message);
+        }
+    }
+    
+    async loadContributionResults(contributionId) {
+        try {
+            const stored = await chrome.storage.local.get(['contributionResults']);
+            this.analysisResults = stored.contributionResults?.[contributionId] || {
+                text: {},
+                images: [],
+                tables: [],
+                markerImages: []
+            };
+            await this.saveResults();
+        } catch (error) {
+            console.error('Failed to load contribution results:', error);
+        }
+    }
+    
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
     
     // Helper methods
@@ -726,9 +1048,21 @@ export class AnalysisStep {
                 <button class="btn btn-secondary" id="extract-all-btn">
                     <i class="fas fa-download"></i> Extract All Content
                 </button>
-                <button class="btn btn-primary" ${!hasResults ? 'disabled' : ''} id="export-results-btn">
-                    <i class="fas fa-file-export"></i> Export Results
-                </button>
+                <div class="export-dropdown">
+                    <button class="btn btn-primary" ${!hasResults && !this.getSelectedTemplate() ? 'disabled' : ''} id="export-results-btn">
+                        <i class="fas fa-file-export"></i> Export Results
+                        <i class="fas fa-caret-down"></i>
+                    </button>
+                    <div class="export-menu">
+                        ${Object.entries(ContributionExportService.FORMATS).map(([format, info]) => `
+                            <button class="export-option" data-export-format="${format}">
+                                <i class="fas ${format === 'csv' ? 'fa-file-csv' : 'fa-project-diagram'}"></i>
+                                <span>${info.label}</span>
+                                <small>.${info.extension}</small>
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -744,10 +1078,28 @@ export class AnalysisStep {
         }
     }
     
+    /**
+     * Results are stored for the active contribution and, as before, as
+     * the current analysisResults. Results of contributions that no
+     * longer exist are dropped.
+     */
     async saveResults() {
         try {
+            const contributionId = this.contributions?.getActiveId();
+            const stored = contributionId ? await chrome.storage.local.get(['contributionResults']) : {};
+            const contributionIds = this.contributions?.getContributions().items.map(item => item.id) || [];
+            const contributionResults = Object.fromEntries(
+                Object.entries(stored.contributionResults || {}).filter(([id]) => contributionIds.includes(id))
+            );
+            
             await chrome.storage.local.set({
                 analysisResults: this.analysisResults,
+                ...(contributionId ? {
+                    contributionResults: {
+                        ...contributionResults,
+                        [contributionId]: this.analysisResults
+                    }
+                } : {}),
                 timestamp: Date.now()
             });
         } catch (error) {
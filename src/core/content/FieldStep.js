@@ -3,6 +3,7 @@
 // ================================
 
 import { eventManager } from '../../utils/eventManager.js';
+import { ResearchFieldTree } from './fields/ResearchFieldTree.js';
 
 export class FieldStep {
     constructor() {
@@ -13,7 +14,9 @@ export class FieldStep {
         this.selectedField = null;
         this.previouslySelectedField = null;
         this.userAbstract = '';
+        this.fieldSource = 'orkg_nlp';
         this.eventUnsubscribers = [];
+        this.fieldTree = null;
         
         // UI element references
         this.fieldCardsContainer = null;
@@ -124,6 +127,7 @@ export class FieldStep {
                 console.log('🏷️ Using existing field data');
                 this.currentFields = existingFieldData.allFields;
                 this.selectedField = existingFieldData.selectedField;
+                this.fieldSource = existingFieldData.source || 'orkg_nlp';
                 this.renderFieldSelection();
                 this.markStepAsValid(!!this.selectedField);
                 return;
@@ -165,6 +169,7 @@ export class FieldStep {
                 fieldsData = dataCache.getResearchFieldData(abstract);
                 if (fieldsData) {
                     console.log('🏷️ Using cached field detection results');
+                    this.fieldSource = 'orkg_nlp';
                     this.currentFields = fieldsData.fields;
                     this.renderFieldSelection();
                     return;
@@ -184,12 +189,15 @@ export class FieldStep {
             const fields = response.payload.annotations;
             console.log(`🏷️ Found ${fields.length} research fields`);
             
+            // The service falls back to a local classifier when NLP is down
+            this.fieldSource = response.status === 'fallback' ? 'local_classifier' : 'orkg_nlp';
+            
             // Enrich fields with ORKG IDs and URLs
             this.updateLoadingState('Enriching field information...');
             const enrichedFields = await this.enrichFieldsWithORKGInfo(fields);
             
-            // Cache the results
-            if (dataCache) {
+            // Cache the results, but retry the NLP service next time after a fallback
+            if (dataCache && this.fieldSource === 'orkg_nlp') {
                 dataCache.setResearchFieldData(abstract, enrichedFields);
             }
             
@@ -199,7 +207,7 @@ export class FieldStep {
                 selectedField: this.selectedField,
                 abstract: abstract,
                 timestamp: Date.now(),
-                source: 'orkg_nlp'
+                source: this.fieldSource
             };
             
             const stateManager = this.getStateManager();
@@ -210,6 +218,18 @@ export class FieldStep {
             this.currentFields = enrichedFields;
             this.renderFieldSelection();
             
+            if (enrichedFields.length === 0) {
+                this.getToastManager()?.warning(
+                    'No research field could be suggested for this abstract. Pick one from the ORKG field taxonomy.',
+                    5000
+                );
+            } else if (this.fieldSource === 'local_classifier') {
+                this.getToastManager()?.warning(
+                    'ORKG field classifier unavailable: fields were ranked locally. You can also browse all fields below.',
+                    5000
+                );
+            }
+            
         } catch (error) {
             console.error('Field detection failed:', error);
             this.showErrorState(error);
@@ -228,9 +248,19 @@ export class FieldStep {
             try {
                 let fieldInfo = null;
                 
+                // Fields ranked against the taxonomy already carry their ID
+                if (field.id) {
+                    fieldInfo = {
+                        id: field.id,
+                        url: orkgService ? `${orkgService.serverUrl}/fields/${field.id}` : null,
+                        label: field.research_field,
+                        hasResearchFieldClass: true
+                    };
+                }
+                
                 // Check cache for ORKG field info
                 const cacheKey = `field_info_${orkgService?.hashString ? orkgService.hashString(field.research_field) : field.research_field}`;
-                if (dataCache) {
+                if (!fieldInfo && dataCache) {
                     fieldInfo = dataCache.get(cacheKey);
                 }
                 
@@ -250,7 +280,8 @@ export class FieldStep {
                     // Additional metadata from ORKG
                     shared: fieldInfo?.shared || 0,
                     verified: fieldInfo?.verified || false,
-                    hasResearchFieldClass: fieldInfo?.hasResearchFieldClass || false
+                    hasResearchFieldClass: fieldInfo?.hasResearchFieldClass || false,
+                    path: field.path || null
                 };
                 
                 enrichedFields.push(enrichedField);
@@ -297,14 +328,20 @@ export class FieldStep {
                     <!-- Field Comparison Notice (if changing from previous selection) -->
                     ${this.renderFieldComparisonNotice()}
                     
+                    ${this.renderFieldSourceNotice()}
+                    
                     <!-- Research Fields Grid -->
                     <div class="card-grid" id="field-cards-container">
                         ${this.renderFieldCards()}
                     </div>
+                    
+                    <!-- Manual selection from the ORKG taxonomy -->
+                    <div class="field-taxonomy-section" id="field-taxonomy-container"></div>
                 </div>
             </div>
         `;
         
+        this.mountFieldTree();
         this.setupFieldSelectionHandlers();
         this.setupTooltips();
         this.highlightSelectedField();
@@ -352,6 +389,19 @@ export class FieldStep {
         `;
     }
     
+    renderFieldSourceNotice() {
+        if (this.fieldSource !== 'local_classifier' || !this.currentFields?.length) {
+            return '';
+        }
+        
+        return `
+            <div class="field-source-notice">
+                <i class="fas fa-info-circle"></i>
+                <span>The ORKG field classifier could not be reached, so these fields were ranked locally against the ORKG field taxonomy. Check them carefully or browse for a better match below.</span>
+            </div>
+        `;
+    }
+    
     renderFieldCards() {
         if (!this.currentFields || this.currentFields.length === 0) {
             return `
@@ -359,8 +409,8 @@ export class FieldStep {
                     <div class="empty-icon">
                         <i class="fas fa-tags"></i>
                     </div>
-                    <h3>No Research Fields Found</h3>
-                    <p>Unable to detect research fields for this paper. Please check the abstract or try again.</p>
+                    <h3>No Research Fields Suggested</h3>
+                    <p>No research field matched this paper's abstract. Pick one from the ORKG field taxonomy below.</p>
                 </div>
             `;
         }
@@ -369,8 +419,10 @@ export class FieldStep {
         
         return this.currentFields.map((field, index) => {
             const isSelected = this.selectedField && this.selectedField.label === field.label;
+            const isManual = field.source === 'manual';
             const confidencePercentage = Math.round(field.score) * 10;  // Assuming score is between 0 and 1, convert to percentage
             const confidenceLevel = confidencePercentage >= 80 ? 'high' : confidencePercentage >= 60 ? 'medium' : 'low';
+            const parents = (field.path || []).slice(0, -1);
             
             // Debug log for field data
             console.log(`Field ${index}:`, {
@@ -394,24 +446,33 @@ export class FieldStep {
                             ${this.escapeHtml(field.label)}
                         </h3>
                         <div class="field-badges">
-                            <span class="badge confidence-${confidenceLevel}">
-                                ${confidencePercentage}% Confidence
-                            </span>
+                            ${isManual ? `
+                                <span class="badge badge-info">Picked manually</span>
+                            ` : `
+                                <span class="badge confidence-${confidenceLevel}">
+                                    ${confidencePercentage}% Confidence
+                                </span>
+                            `}
                             ${isSelected ? '<span class="badge badge-success">Selected</span>' : ''}
                         </div>
+                        ${parents.length > 0 ? `
+                            <div class="field-path">${this.escapeHtml(parents.join(' › '))}</div>
+                        ` : ''}
                     </div>
                     
                     <div class="card-content">
                         <div class="field-details">
-                            <div class="confidence-display">
-                                <div class="confidence-bar">
-                                    <div class="confidence-fill confidence-${confidenceLevel}" 
-                                        style="width: ${confidencePercentage}%"></div>
+                            ${isManual ? '' : `
+                                <div class="confidence-display">
+                                    <div class="confidence-bar">
+                                        <div class="confidence-fill confidence-${confidenceLevel}" 
+                                            style="width: ${confidencePercentage}%"></div>
+                                    </div>
+                                    <span class="confidence-text">
+                                        Confidence: ${confidencePercentage}%
+                                    </span>
                                 </div>
-                                <span class="confidence-text">
-                                    Confidence: ${confidencePercentage}%
-                                </span>
-                            </div>
+                            `}
                             
                             <div class="field-actions">
                                 ${field.id && field.url ? `
@@ -454,6 +515,69 @@ export class FieldStep {
         }).join('');
     }
     
+    /**
+     * Mount the taxonomy browser into the current view. The tree instance is
+     * kept across re-renders so expanded branches and the search survive.
+     */
+    mountFieldTree() {
+        const container = this.container?.querySelector('#field-taxonomy-container');
+        if (!container) return;
+        
+        if (!this.fieldTree) {
+            this.fieldTree = new ResearchFieldTree({
+                loadTaxonomy: (forceRefresh) => {
+                    const orkgService = this.getORKGService();
+                    if (!orkgService) {
+                        throw new Error('ORKG Service not available');
+                    }
+                    return orkgService.getResearchFieldTaxonomy({ forceRefresh });
+                },
+                onSelect: (field) => this.selectTaxonomyField(field)
+            });
+        }
+        
+        this.fieldTree.setSelected(this.selectedField?.id);
+        this.fieldTree.mount(container);
+        
+        // Without suggestions the taxonomy is the only way to pick a field
+        if (!this.currentFields?.length && !this.fieldTree.isOpen) {
+            this.fieldTree.open();
+        }
+    }
+    
+    /**
+     * Pick a field from the taxonomy, overriding the detected ones. It joins
+     * the card list so the usual selection and change-impact flow applies.
+     */
+    selectTaxonomyField(taxonomyField) {
+        const orkgService = this.getORKGService();
+        
+        let fieldIndex = (this.currentFields || []).findIndex(field =>
+            field.id === taxonomyField.id || field.label === taxonomyField.label
+        );
+        
+        if (fieldIndex === -1) {
+            this.currentFields = [...(this.currentFields || []), {
+                label: taxonomyField.label,
+                score: null,
+                id: taxonomyField.id,
+                url: orkgService ? `${orkgService.serverUrl}/fields/${taxonomyField.id}` : null,
+                hasORKGInfo: true,
+                orkgInfo: null,
+                shared: 0,
+                verified: false,
+                hasResearchFieldClass: true,
+                path: taxonomyField.path,
+                source: 'manual'
+            }];
+            fieldIndex = this.currentFields.length - 1;
+            
+            this.renderFieldSelection();
+        }
+        
+        this.selectField(fieldIndex);
+    }
+    
     setupFieldSelectionHandlers() {
         // Field card selection
         const fieldCards = this.container.querySelectorAll('.field-card');
@@ -609,6 +733,8 @@ export class FieldStep {
     }
     
     highlightSelectedField() {
+        this.fieldTree?.setSelected(this.selectedField?.id);
+        
         const fieldCards = this.container.querySelectorAll('.field-card');
         
         fieldCards.forEach(card => {
@@ -654,7 +780,7 @@ export class FieldStep {
             })) || [], // Store all field IDs for reference
             abstract: this.getAbstractText(),
             timestamp: Date.now(),
-            source: 'orkg_nlp'
+            source: this.fieldSource
         };
         
         stateManager.updateState('data.researchField', fieldData);
@@ -859,6 +985,7 @@ export class FieldStep {
                     const metadata = stateManager.getState('data.metadata') || {};
                     metadata.abstract = newAbstract;
                     metadata.abstractSource = 'user_edited';
+                    metadata.provenance = { ...metadata.provenance, abstract: 'manual' };
                     stateManager.updateState('data.metadata', metadata);
                 }
                 
@@ -977,10 +1104,13 @@ export class FieldStep {
                             </div>
                         </div>
                     </div>
+                    
+                    <div class="field-taxonomy-section" id="field-taxonomy-container"></div>
                 </div>
             </div>
         `;
         
+        this.mountFieldTree();
         this.setupAbstractInputHandlers();
         this.markStepAsValid(false);
     }
@@ -1138,10 +1268,13 @@ export class FieldStep {
                             </details>
                         </div>
                     </div>
+                    
+                    <div class="field-taxonomy-section" id="field-taxonomy-container"></div>
                 </div>
             </div>
         `;
         
+        this.mountFieldTree();
         this.setupErrorHandlers();
         this.markStepAsValid(false);
     }
@@ -1282,7 +1415,7 @@ export class FieldStep {
             selectedField: this.selectedField,
             abstract: this.getAbstractText(),
             timestamp: Date.now(),
-            source: 'orkg_nlp'
+            source: this.fieldSource
         };
     }
     
@@ -1307,7 +1440,9 @@ export class FieldStep {
         this.previouslySelectedField = null;
         this.currentFields = null;
         this.userAbstract = '';
+        this.fieldSource = 'orkg_nlp';
         this.isLoading = false;
+        this.fieldTree?.setSelected(null);
         
         // Clear from state
         const stateManager = this.getStateManager();
@@ -1355,11 +1490,16 @@ export class FieldStep {
             modal.remove();
         }
         
+        // Destroy the taxonomy browser
+        this.fieldTree?.destroy();
+        this.fieldTree = null;
+        
         // Clear data
         this.selectedField = null;
         this.previouslySelectedField = null;
         this.currentFields = null;
         this.userAbstract = '';
+        this.fieldSource = 'orkg_nlp';
         this.isLoading = false;
         this.loadingState = null;
         
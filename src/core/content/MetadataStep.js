@@ -3,6 +3,7 @@
 // ================================
 
 import { eventManager } from '../../utils/eventManager.js';
+import { CitationService } from '../services/CitationService.js';
 
 export class MetadataStep {
     constructor() {
@@ -10,6 +11,9 @@ export class MetadataStep {
         this.isInitialized = false;
         this.isLoading = false;
         this.currentMetadata = null;
+        this.isSaving = false;
+        this.authorCandidates = new Map();
+        this.citationService = new CitationService();
         this.eventUnsubscribers = []; // FIXED: Track event unsubscribers
     }
     
@@ -42,7 +46,8 @@ export class MetadataStep {
         const stateManager = this.getStateManager();
         if (stateManager && stateManager.subscribe) {
             const unsubscribe = stateManager.subscribe('data.metadata', (metadata) => {
-                if (metadata && this.container && !this.isLoading) {
+                // Edits made here are already on screen
+                if (metadata && this.container && !this.isLoading && !this.isSaving) {
                     this.currentMetadata = metadata;
                     this.renderMetadata(metadata);
                 }
@@ -131,6 +136,8 @@ export class MetadataStep {
         
         console.log('🎨 Rendering metadata for:', metadata.title?.substring(0, 50));
         
+        this.authorCandidates.clear();
+        
         this.container.innerHTML = `
             <div class="step-container">
                 <div class="step-header">
@@ -138,26 +145,25 @@ export class MetadataStep {
                         <i class="fas fa-file-alt"></i>
                         Paper Metadata
                     </h2>
-                    <p>Review the extracted paper information. Use the navigation buttons below to proceed.</p>
+                    <p>Review and correct the extracted paper information. Each field shows where its value came from.</p>
                 </div>
                 
-                <div class="metadata-content">
+                <div class="metadata-content metadata-editor">
+                    <!-- Existing ORKG paper (filled in asynchronously) -->
+                    <div id="existing-paper-container"></div>
+                    
                     <!-- Title Section -->
                     <div class="metadata-section title-section">
                         <div class="section-header">
                             <h3><i class="fas fa-heading"></i> Paper Title</h3>
-                            <span class="badge ${metadata.title ? 'badge-success' : 'badge-warning'}">
-                                ${metadata.title ? 'Extracted' : 'Missing'}
-                            </span>
+                            ${this.renderSourceChip(metadata, 'title')}
                         </div>
+                        ${this.renderConflicts(metadata, 'title')}
                         <div class="section-content">
-                            <div class="paper-title">${this.escapeHtml(metadata.title || 'No title available')}</div>
-                            <div class="title-meta">
-                                <span><i class="fas fa-text-width"></i> ${(metadata.title || '').length} characters</span>
-                                <span class="${metadata.title && metadata.title.length > 10 ? 'quality-good' : 'quality-warning'}">
-                                    <i class="fas ${metadata.title && metadata.title.length > 10 ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
-                                    ${metadata.title && metadata.title.length > 10 ? 'Good quality' : 'Needs review'}
-                                </span>
+                            <textarea class="metadata-input paper-title-input" data-field="title" rows="2"
+                                      placeholder="Paper title">${this.escapeHtml(metadata.title || '')}</textarea>
+                            <div class="title-meta" data-title-meta>
+                                ${this.renderTitleMeta(metadata.title)}
                             </div>
                         </div>
                     </div>
@@ -168,11 +174,10 @@ export class MetadataStep {
                         <div class="metadata-section authors-section">
                             <div class="section-header">
                                 <h3><i class="fas fa-users"></i> Authors</h3>
-                                <span class="badge ${metadata.authors && metadata.authors.length > 0 ? 'badge-success' : 'badge-warning'}">
-                                    ${(metadata.authors || []).length} ${(metadata.authors || []).length === 1 ? 'Author' : 'Authors'}
-                                </span>
+                                ${this.renderSourceChip(metadata, 'authors')}
                             </div>
-                            <div class="section-content">
+                            ${this.renderConflicts(metadata, 'authors')}
+                            <div class="section-content" data-authors>
                                 ${this.renderAuthors(metadata.authors || [])}
                             </div>
                         </div>
@@ -181,9 +186,6 @@ export class MetadataStep {
                         <div class="metadata-section publication-section">
                             <div class="section-header">
                                 <h3><i class="fas fa-journal-whills"></i> Publication</h3>
-                                <span class="badge ${(metadata.journal || metadata.year) ? 'badge-success' : 'badge-info'}">
-                                    ${(metadata.journal || metadata.year) ? 'Available' : 'Partial'}
-                                </span>
                             </div>
                             <div class="section-content">
                                 ${this.renderPublication(metadata)}
@@ -191,172 +193,898 @@ export class MetadataStep {
                         </div>
                     </div>
                     
-                    <!-- Abstract Section (if available) -->
-                    ${metadata.abstract ? `
-                        <div class="metadata-section abstract-section">
-                            <div class="section-header">
-                                <h3><i class="fas fa-align-left"></i> Abstract</h3>
-                                <span class="badge badge-success">${this.cleanText(metadata.abstract).length} chars</span>
-                            </div>
-                            <div class="section-content">
-                                <div class="abstract-text ${metadata.abstract.length > 400 ? 'expandable' : ''}" id="abstract-text-${Date.now()}">
-                                    ${this.escapeHtml(this.cleanText(metadata.abstract))}
-                                </div>
-                                ${metadata.abstract.length > 400 ? `
-                                    <button class="expand-btn" data-target="abstract-text-${Date.now()}">Show more</button>
-                                ` : ''}
-                            </div>
+                    <!-- Abstract Section -->
+                    <div class="metadata-section abstract-section">
+                        <div class="section-header">
+                            <h3><i class="fas fa-align-left"></i> Abstract</h3>
+                            ${this.renderSourceChip(metadata, 'abstract')}
+                        </div>
+                        ${this.renderConflicts(metadata, 'abstract')}
+                        <div class="section-content">
+                            <textarea class="metadata-input abstract-input" data-field="abstract" rows="6"
+                                      placeholder="Paper abstract">${this.escapeHtml(this.cleanText(metadata.abstract))}</textarea>
                         </div>
-                    ` : ''}
+                    </div>
                     
-                    <!-- DOI Section (if available) -->
-                    ${metadata.doi ? `
-                        <div class="metadata-section doi-section">
-                            <div class="section-header">
-                                <h3><i class="fas fa-link"></i> DOI</h3>
-                                <span class="badge badge-success">Verified</span>
-                            </div>
-                            <div class="section-content">
-                                <div class="doi-content">
-                                    <code>${this.escapeHtml(metadata.doi)}</code>
-                                    <a href="https://doi.org/${encodeURIComponent(metadata.doi)}" 
-                                       target="_blank" 
-                                       rel="noopener noreferrer" 
-                                       class="doi-link">
-                                        <i class="fas fa-external-link-alt"></i>
-                                        Open DOI
-                                    </a>
-                                </div>
+                    <!-- DOI Section -->
+                    <div class="metadata-section doi-section">
+                        <div class="section-header">
+                            <h3><i class="fas fa-link"></i> DOI</h3>
+                            ${this.renderSourceChip(metadata, 'doi')}
+                        </div>
+                        ${this.renderConflicts(metadata, 'doi')}
+                        <div class="section-content">
+                            <div class="doi-content">
+                                <input type="text" class="metadata-input" data-field="doi"
+                                       value="${this.escapeHtml(metadata.doi || '')}" placeholder="10.xxxx/xxxxx">
+                                <a href="https://doi.org/${encodeURIComponent(metadata.doi || '')}" 
+                                   target="_blank" 
+                                   rel="noopener noreferrer" 
+                                   class="doi-link" data-doi-link
+                                   style="${metadata.doi ? '' : 'display: none;'}">
+                                    <i class="fas fa-external-link-alt"></i>
+                                    Open DOI
+                                </a>
                             </div>
                         </div>
-                    ` : ''}
-                    
+                    </div>
                     
+                    <!-- Citation Section -->
+                    <div class="metadata-section citation-section">
+                        <div class="section-header">
+                            <h3><i class="fas fa-quote-right"></i> Citation</h3>
+                        </div>
+                        <div class="section-content">
+                            ${this.renderCitationImport()}
+                            ${this.renderCitationExport('paper', 'This paper')}
+                            ${this.renderCitationExport('all', 'All annotated papers')}
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
         
-        this.setupExpandFunctionality();
+        this.setupEditorHandlers();
+        this.checkExistingPaper(metadata);
+    }
+    
+    renderTitleMeta(title) {
+        const goodTitle = title && title.length > 10;
+        
+        return `
+            <span><i class="fas fa-text-width"></i> ${(title || '').length} characters</span>
+            <span class="${goodTitle ? 'quality-good' : 'quality-warning'}">
+                <i class="fas ${goodTitle ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
+                ${goodTitle ? 'Good quality' : 'Needs review'}
+            </span>
+        `;
+    }
+    
+    // ================================
+    // Provenance
+    // ================================
+    
+    /**
+     * Source of a field's value. Metadata stored before provenance was
+     * recorded only has the overall source, e.g. "crossref+dom".
+     */
+    getFieldSource(metadata, field) {
+        if (metadata?.provenance) {
+            return metadata.provenance[field] || null;
+        }
+        
+        const value = metadata?.[field];
+        const hasValue = Array.isArray(value) ? value.length > 0 : !!value;
+        return hasValue ? (metadata.source || '').split('+')[0] || null : null;
+    }
+    
+    renderSourceChip(metadata, field) {
+        const source = this.getFieldSource(metadata, field);
+        const conflicts = metadata?.conflicts?.[field];
+        
+        return `
+            <span class="field-source" data-source-for="${field}">
+                <span class="source-chip ${source ? `source-${source}` : 'source-missing'}"
+                      title="${source ? `Source: ${this.getSourceDisplayName(source)}` : 'No value found'}">
+                    ${source ? this.getSourceDisplayName(source) : 'Missing'}
+                </span>
+                ${conflicts ? `
+                    <button class="conflict-chip" data-conflict-toggle="${field}"
+                            title="Sources disagree on this field. Click to compare.">
+                        <i class="fas fa-exclamation-triangle"></i> ${conflicts.length} values
+                    </button>
+                ` : ''}
+            </span>
+        `;
+    }
+    
+    /**
+     * Values the sources disagree on, hidden until the conflict chip is
+     * clicked. The option matching the field's current source is marked.
+     */
+    renderConflicts(metadata, field) {
+        const conflicts = metadata?.conflicts?.[field];
+        if (!conflicts) return '';
+        
+        const current = this.getFieldSource(metadata, field);
+        
+        return `
+            <div class="field-conflicts" data-conflicts-for="${field}" style="display: none;">
+                ${conflicts.map((option, index) => `
+                    <div class="conflict-option ${option.sources.includes(current) ? 'current' : ''}">
+                        <span class="conflict-sources">
+                            ${option.sources.map(source => this.getSourceDisplayName(source)).join(', ')}
+                        </span>
+                        <span class="conflict-value">${this.escapeHtml(this.formatConflictValue(field, option.value))}</span>
+                        ${option.sources.includes(current) ? '<span class="conflict-current">In use</span>' : `
+                            <button class="btn btn-secondary btn-sm" data-conflict-use="${field}" data-option="${index}">Use</button>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    formatConflictValue(field, value) {
+        const text = field === 'authors' ?
+            value.map(author => typeof author === 'string' ? author : author.name).join(', ') :
+            this.cleanText(String(value));
+        return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+    }
+    
+    updateConflicts(field) {
+        const panel = this.container?.querySelector(`[data-conflicts-for="${field}"]`);
+        if (panel) {
+            const wasOpen = panel.style.display !== 'none';
+            panel.outerHTML = this.renderConflicts(this.currentMetadata, field);
+            const updated = this.container.querySelector(`[data-conflicts-for="${field}"]`);
+            if (updated && wasOpen) updated.style.display = '';
+        }
+    }
+    
+    /**
+     * Take the value one of the disagreeing sources reported. The field
+     * keeps that source as its provenance.
+     */
+    useConflictValue(field, index) {
+        const metadata = { ...(this.getMetadata() || {}) };
+        const option = metadata.conflicts?.[field]?.[index];
+        if (!option) return;
+        
+        const source = option.sources[0];
+        metadata[field] = field === 'authors' ?
+            option.value.map(author => typeof author === 'string' ? { name: author, source } : { ...author, source: author.source || source }) :
+            option.value;
+        metadata.provenance = { ...this.getProvenanceMap(metadata), [field]: source };
+        
+        if (field === 'journal') {
+            metadata.venue = option.value;
+            metadata.provenance.venue = source;
+        }
+        
+        this.saveMetadata(metadata);
+        
+        if (field === 'authors') {
+            this.renderAuthorList();
+        } else {
+            this.refreshFieldInput(field, metadata[field]);
+        }
+        this.updateSourceChip(field);
+        this.updateConflicts(field);
+        
+        if (field === 'title' || field === 'doi') {
+            this.checkExistingPaper(metadata);
+        }
+    }
+    
+    refreshFieldInput(field, value) {
+        const input = this.container?.querySelector(`.metadata-input[data-field="${field}"]`);
+        if (input) {
+            input.value = field === 'abstract' ? this.cleanText(value) : value || '';
+        }
+        
+        if (field === 'title') {
+            const meta = this.container.querySelector('[data-title-meta]');
+            if (meta) meta.innerHTML = this.renderTitleMeta(value);
+        }
+        
+        if (field === 'doi') {
+            const link = this.container?.querySelector('[data-doi-link]');
+            if (link) {
+                link.href = `https://doi.org/${encodeURIComponent(value || '')}`;
+                link.style.display = value ? '' : 'none';
+            }
+        }
     }
     
-    setupExpandFunctionality() {
-        const expandButtons = this.container?.querySelectorAll('.expand-btn');
+    updateSourceChip(field) {
+        const chip = this.container?.querySelector(`[data-source-for="${field}"]`);
+        if (chip) {
+            chip.outerHTML = this.renderSourceChip(this.currentMetadata, field);
+        }
+    }
+    
+    // ================================
+    // Editing
+    // ================================
+    
+    setupEditorHandlers() {
+        const editor = this.container?.querySelector('.metadata-editor');
+        if (!editor) return;
+        
+        this.setupCitationHandlers(editor);
+        
+        editor.querySelectorAll('.metadata-input[data-field]').forEach(input => {
+            input.addEventListener('change', () => this.updateField(input.dataset.field, input.value));
+        });
+        
+        editor.querySelector('.paper-title-input')?.addEventListener('input', (e) => {
+            const meta = this.container.querySelector('[data-title-meta]');
+            if (meta) meta.innerHTML = this.renderTitleMeta(e.target.value.trim());
+        });
         
-        expandButtons?.forEach(button => {
-            button.addEventListener('click', (e) => {
+        // Source chips are re-rendered, so conflict controls are delegated
+        editor.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-conflict-toggle]');
+            if (toggle) {
                 e.preventDefault();
+                const panel = this.container.querySelector(`[data-conflicts-for="${toggle.dataset.conflictToggle}"]`);
+                if (panel) panel.style.display = panel.style.display === 'none' ? '' : 'none';
+                return;
+            }
+            
+            const use = e.target.closest('[data-conflict-use]');
+            if (use) {
+                e.preventDefault();
+                this.useConflictValue(use.dataset.conflictUse, parseInt(use.dataset.option));
+            }
+        });
+        
+        // Author rows are re-rendered, so their controls are delegated
+        const authors = editor.querySelector('[data-authors]');
+        authors?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('author-name-input')) {
+                this.updateAuthor(parseInt(e.target.dataset.index), { name: e.target.value.trim() });
+            }
+        });
+        authors?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            e.preventDefault();
+            this.handleAuthorAction(button.dataset.action, parseInt(button.dataset.index), button.dataset.candidate);
+        });
+    }
+    
+    /**
+     * Store an edited field. The value becomes a manual entry; a changed
+     * title or DOI also repeats the ORKG duplicate check.
+     */
+    updateField(field, rawValue) {
+        const metadata = { ...(this.getMetadata() || {}) };
+        let value = field === 'abstract' ? this.cleanText(rawValue) : String(rawValue || '').trim();
+        
+        if (field === 'doi') {
+            value = value.replace(/^(doi:\s*|https?:\/\/(dx\.)?doi\.org\/)/i, '');
+        }
+        if (field === 'year' && value && !/^\d{4}$/.test(value)) {
+            this.getToastManager()?.warning('Year must have four digits');
+            return;
+        }
+        if ((metadata[field] || '') === value) return;
+        
+        metadata[field] = value;
+        const edited = field === 'journal' ? ['journal', 'venue'] : [field];
+        if (field === 'journal') metadata.venue = value;
+        
+        metadata.provenance = { ...this.getProvenanceMap(metadata) };
+        edited.forEach(name => {
+            if (value) {
+                metadata.provenance[name] = 'manual';
+            } else {
+                delete metadata.provenance[name];
+            }
+        });
+        
+        this.saveMetadata(metadata);
+        this.updateSourceChip(field);
+        this.updateConflicts(field);
+        
+        if (field === 'doi') {
+            this.refreshFieldInput('doi', value);
+        }
+        
+        if (field === 'title' || field === 'doi') {
+            this.checkExistingPaper(metadata);
+        }
+    }
+    
+    // Provenance for every field, also for metadata stored before it was recorded
+    getProvenanceMap(metadata) {
+        if (metadata.provenance) return metadata.provenance;
+        
+        const provenance = {};
+        ['title', 'authors', 'abstract', 'doi', 'url', 'venue', 'journal', 'year', 'publisher'].forEach(field => {
+            const source = this.getFieldSource(metadata, field);
+            if (source) provenance[field] = source;
+        });
+        return provenance;
+    }
+    
+    updateAuthors(authors, { manual = true } = {}) {
+        const metadata = { ...(this.getMetadata() || {}), authors: authors };
+        metadata.provenance = { ...this.getProvenanceMap(metadata) };
+        
+        if (manual) {
+            if (authors.length > 0) {
+                metadata.provenance.authors = 'manual';
+            } else {
+                delete metadata.provenance.authors;
+            }
+        }
+        
+        this.saveMetadata(metadata);
+        this.renderAuthorList();
+        this.updateSourceChip('authors');
+    }
+    
+    updateAuthor(index, changes) {
+        const authors = [...(this.getMetadata()?.authors || [])];
+        if (!authors[index]) return;
+        
+        if (changes.name !== undefined && !changes.name) {
+            this.getToastManager()?.warning('Remove the author instead of clearing the name');
+            this.renderAuthorList();
+            return;
+        }
+        
+        authors[index] = { ...authors[index], ...changes, source: 'manual' };
+        this.updateAuthors(authors);
+    }
+    
+    async handleAuthorAction(action, index, candidate) {
+        const authors = [...(this.getMetadata()?.authors || [])];
+        const resolver = window.serviceManager?.getService('authorResolver');
+        
+        switch (action) {
+            case 'add-author':
+                authors.push({ name: '', source: 'manual' });
+                this.saveMetadata({ ...this.getMetadata(), authors: authors });
+                this.renderAuthorList();
+                this.container.querySelector(`.author-name-input[data-index="${authors.length - 1}"]`)?.focus();
+                break;
                 
-                const targetId = button.getAttribute('data-target');
-                const abstractText = document.getElementById(targetId);
+            case 'remove-author':
+                authors.splice(index, 1);
+                this.authorCandidates.clear();
+                this.updateAuthors(authors);
+                break;
                 
-                if (abstractText) {
-                    const isExpanded = abstractText.classList.contains('expanded');
-                    
-                    if (isExpanded) {
-                        abstractText.classList.remove('expanded');
-                        button.textContent = 'Show more';
-                    } else {
-                        abstractText.classList.add('expanded');
-                        button.textContent = 'Show less';
-                    }
-                    
-                    console.log(`📄 Abstract ${isExpanded ? 'collapsed' : 'expanded'}`);
-                }
-            });
-        });
+            case 'unlink-author':
+                if (!resolver) return;
+                authors[index] = resolver.unlink(authors[index]);
+                this.updateAuthors(authors, { manual: false });
+                break;
+                
+            case 'find-author':
+                await this.showAuthorCandidates(index);
+                break;
+                
+            case 'pick-orcid': {
+                const record = this.authorCandidates.get(index)?.orcid[parseInt(candidate)];
+                if (!record || !resolver) return;
+                authors[index] = await resolver.applyOrcid(authors[index], record);
+                this.authorCandidates.delete(index);
+                this.updateAuthors(authors, { manual: false });
+                break;
+            }
+                
+            case 'pick-orkg': {
+                const orkgAuthor = this.authorCandidates.get(index)?.orkg[parseInt(candidate)];
+                if (!orkgAuthor || !resolver) return;
+                authors[index] = resolver.linkOrkgAuthor(authors[index], orkgAuthor);
+                this.authorCandidates.delete(index);
+                this.updateAuthors(authors, { manual: false });
+                break;
+            }
+                
+            case 'resolve-authors':
+                await this.resolveAllAuthors();
+                break;
+        }
     }
     
-    renderAuthors(authors) {
-        if (!authors || authors.length === 0) {
-            return `
-                <div class="empty-state">
-                    <i class="fas fa-users"></i>
-                    <p>No author information available</p>
-                </div>
-            `;
+    async showAuthorCandidates(index) {
+        const author = this.getMetadata()?.authors?.[index];
+        const resolver = window.serviceManager?.getService('authorResolver');
+        if (!author?.name || !resolver) return;
+        
+        this.authorCandidates.set(index, { loading: true, orcid: [], orkg: [] });
+        this.renderAuthorList();
+        
+        try {
+            const candidates = await resolver.getCandidates(author);
+            this.authorCandidates.set(index, candidates);
+        } catch (error) {
+            console.warn('⚠️ Author lookup failed:', error);
+            this.authorCandidates.delete(index);
+            this.getToastManager()?.error('Author lookup failed');
+        }
+        
+        this.renderAuthorList();
+    }
+    
+    async resolveAllAuthors() {
+        const resolver = window.serviceManager?.getService('authorResolver');
+        const authors = this.getMetadata()?.authors || [];
+        if (!resolver || authors.length === 0) return;
+        
+        const button = this.container?.querySelector('[data-action="resolve-authors"]');
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Linking...';
         }
         
-        let html = '<div class="authors-list">';
+        const resolved = await resolver.resolveAll(authors);
+        const linked = resolved.filter((author, i) =>
+            author.orcid !== authors[i].orcid || author.orkgId !== authors[i].orkgId
+        ).length;
         
-        authors.slice(0, 8).forEach((author, index) => {
-            html += `
-                <div class="author-item">
-                    <span class="author-number">${index + 1}</span>
-                    <span class="author-name">${this.escapeHtml(author.name)}</span>
-                </div>
-            `;
+        this.updateAuthors(resolved, { manual: false });
+        
+        // ORCID found several people for these authors: show them to pick from
+        let ambiguous = 0;
+        for (const [index, author] of resolved.entries()) {
+            if (await resolver.isAmbiguous(author)) {
+                ambiguous++;
+                await this.showAuthorCandidates(index);
+            }
+        }
+        
+        const toastManager = this.getToastManager();
+        if (linked > 0) {
+            toastManager?.success(`Linked ${linked} ${linked === 1 ? 'author' : 'authors'}`);
+        } else if (ambiguous > 0) {
+            toastManager?.info('No unambiguous matches; pick the right person below each author');
+        } else {
+            toastManager?.info('No unambiguous matches; use the search button next to an author');
+        }
+    }
+    
+    saveMetadata(metadata) {
+        this.currentMetadata = metadata;
+        
+        const stateManager = this.getStateManager();
+        if (stateManager?.updateState) {
+            this.isSaving = true;
+            try {
+                stateManager.updateState('data.metadata', metadata);
+            } finally {
+                this.isSaving = false;
+            }
+        }
+        
+        this.markStepAsValid(this.hasValidMetadata(metadata));
+    }
+    
+    renderAuthorList() {
+        const container = this.container?.querySelector('[data-authors]');
+        if (container) {
+            container.innerHTML = this.renderAuthors(this.getMetadata()?.authors || []);
+        }
+    }
+    
+    getToastManager() {
+        return window.serviceManager?.getService('toastManager') || window.toastManager;
+    }
+    
+    // ================================
+    // Citations
+    // ================================
+    
+    renderCitationImport() {
+        return `
+            <div class="citation-import" data-citation-drop>
+                <textarea class="metadata-input citation-import-input" rows="3"
+                          placeholder="Paste a BibTeX or RIS entry (e.g. from Zotero) or drop a .bib / .ris file"></textarea>
+                <button class="btn btn-secondary btn-sm" data-citation-import>
+                    <i class="fas fa-file-import"></i> Use as metadata
+                </button>
+            </div>
+        `;
+    }
+    
+    renderCitationExport(scope, label) {
+        return `
+            <div class="citation-export">
+                <span class="citation-export-label">${label}:</span>
+                ${Object.entries(CitationService.FORMATS).map(([format, info]) => `
+                    <button class="btn btn-secondary btn-sm" data-citation-export="${format}" data-scope="${scope}">
+                        <i class="fas fa-download"></i> ${info.label}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    setupCitationHandlers(root) {
+        const dropZone = root.querySelector('[data-citation-drop]');
+        const input = dropZone?.querySelector('.citation-import-input');
+        
+        root.querySelector('[data-citation-import]')?.addEventListener('click', () => {
+            this.importCitation(input.value);
         });
         
-        if (authors.length > 8) {
-            html += `
-                <div class="author-more">
-                    <i class="fas fa-ellipsis-h"></i>
-                    and ${authors.length - 8} more authors
-                </div>
-            `;
+        dropZone?.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone?.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone?.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            
+            const file = e.dataTransfer.files?.[0];
+            const text = file ? await file.text() : e.dataTransfer.getData('text/plain');
+            if (text) {
+                input.value = text;
+                this.importCitation(text);
+            }
+        });
+        
+        root.querySelectorAll('[data-citation-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportCitations(button.dataset.citationExport, button.dataset.scope));
+        });
+    }
+    
+    /**
+     * Replace the metadata with the first entry of a BibTeX/RIS text,
+     * skipping the page scraper. Every field's source is the entry's format.
+     */
+    importCitation(text) {
+        const toastManager = this.getToastManager();
+        
+        let records;
+        try {
+            records = this.citationService.parse(text);
+        } catch (error) {
+            toastManager?.error(`Could not import citation: ${error.message}`);
+            return;
         }
         
-        html += '</div>';
-        return html;
+        const current = this.getMetadata();
+        if (current?.title && !confirm('Replace the current metadata with the imported entry?')) {
+            return;
+        }
+        
+        const metadataService = window.serviceManager?.getService('metadataService');
+        const record = records[0];
+        const metadata = metadataService?.withProvenance ? metadataService.withProvenance(record) : record;
+        
+        // The entry has no URL of its own, so keep the page's
+        if (!metadata.url && current?.url) {
+            metadata.url = current.url;
+            if (metadata.provenance) {
+                metadata.provenance.url = current.provenance?.url || 'dom';
+            }
+        }
+        
+        this.saveMetadata(metadata);
+        this.renderMetadata(metadata);
+        
+        const label = CitationService.FORMATS[record.source]?.label || record.source;
+        toastManager?.success(records.length > 1 ?
+            `Imported the first of ${records.length} ${label} entries` :
+            `Metadata imported from ${label}`);
     }
     
-    renderPublication(metadata) {
-        const { journal, year, citations, publisher } = metadata;
+    /**
+     * Download citations for the open paper or for every paper with a saved session
+     */
+    async exportCitations(format, scope) {
+        const toastManager = this.getToastManager();
         
-        if (!journal && !year && !citations && !publisher) {
-            return `
-                <div class="empty-state">
-                    <i class="fas fa-journal-whills"></i>
-                    <p>Limited publication information</p>
-                </div>
-            `;
+        try {
+            let entries;
+            if (scope === 'all') {
+                const response = await chrome.runtime.sendMessage({ action: 'LIST_SESSION_METADATA' });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'Annotated papers could not be loaded');
+                }
+                entries = response.papers.map(paper => ({
+                    metadata: paper.metadata,
+                    orkgPaperUrl: this.getOrkgPaperUrl(paper.orkgPaper)
+                }));
+            } else {
+                entries = [{
+                    metadata: this.getMetadata(),
+                    orkgPaperUrl: this.getOrkgPaperUrl(this.getCurrentOrkgPaper())
+                }];
+            }
+            
+            entries = entries.filter(entry => entry.metadata?.title);
+            if (entries.length === 0) {
+                toastManager?.warning('No paper metadata to export');
+                return;
+            }
+            
+            const baseName = scope === 'all' ? 'orkg-annotated-papers' : this.getCitationFileName(entries[0].metadata);
+            const { filename } = this.citationService.download(entries, format, baseName);
+            toastManager?.success(`Exported ${entries.length === 1 ? 'citation' : `${entries.length} citations`} to ${filename}`);
+            
+        } catch (error) {
+            console.error('Citation export failed:', error);
+            toastManager?.error(`Export failed: ${error.message}`);
         }
+    }
+    
+    // The ORKG paper written to from this popup, or the existing paper being extended
+    getCurrentOrkgPaper() {
+        const stateManager = this.getStateManager();
+        const orkgPaper = stateManager?.getState ? stateManager.getState('data.orkgPaper') : null;
+        const existingPaper = stateManager?.getState ? stateManager.getState('data.existingPaper') : null;
         
-        let html = '<div class="publication-details">';
+        if (orkgPaper?.id) return orkgPaper;
+        return existingPaper?.id && existingPaper.action !== 'new' ? { id: existingPaper.id } : null;
+    }
+    
+    getOrkgPaperUrl(orkgPaper) {
+        if (!orkgPaper) return '';
+        if (orkgPaper.url) return orkgPaper.url;
         
-        if (journal) {
-            html += `
-                <div class="pub-item">
-                    <i class="fas fa-book"></i>
-                    <div class="pub-content">
-                        <label>Journal:</label>
-                        <span>${this.escapeHtml(journal)}</span>
-                    </div>
-                </div>
-            `;
+        const serverUrl = window.serviceManager?.getService('orkgService')?.serverUrl || 'https://orkg.org';
+        return orkgPaper.id ? `${serverUrl}/paper/${orkgPaper.id}` : '';
+    }
+    
+    getCitationFileName(metadata) {
+        const base = String(metadata.doi || metadata.title || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+        return `citation-${base || Date.now()}`;
+    }
+    
+    // ================================
+    // Existing ORKG paper detection
+    // ================================
+    
+    getLookupKey(metadata) {
+        return (metadata?.doi || metadata?.title || '').trim().toLowerCase();
+    }
+    
+    async checkExistingPaper(metadata) {
+        const stateManager = this.getStateManager();
+        const lookupKey = this.getLookupKey(metadata);
+        if (!lookupKey) return;
+        
+        // Reuse the earlier lookup (and the user's choice) for the same paper
+        const stored = stateManager?.getState ? stateManager.getState('data.existingPaper') : null;
+        if (stored && stored.lookupKey === lookupKey) {
+            this.renderExistingPaper(stored);
+            return;
         }
         
-        if (year) {
-            html += `
-                <div class="pub-item">
-                    <i class="fas fa-calendar-alt"></i>
-                    <div class="pub-content">
-                        <label>Year:</label>
-                        <span>${year}</span>
+        const orkgService = window.serviceManager?.getService('orkgService');
+        if (!orkgService?.findExistingPaper) return;
+        
+        try {
+            const paper = await orkgService.findExistingPaper(metadata);
+            
+            // Metadata may have changed while the lookup was running
+            if (this.getLookupKey(this.currentMetadata) !== lookupKey) return;
+            
+            // A title-only match is not confirmed, so extending it is left to the user
+            const existingPaper = paper ?
+                { ...paper, lookupKey, action: paper.matchedBy === 'doi' ? 'extend' : 'new' } :
+                { lookupKey, id: null };
+            stateManager?.updateState('data.existingPaper', existingPaper);
+            this.renderExistingPaper(existingPaper);
+            
+        } catch (error) {
+            console.warn('⚠️ Could not check ORKG for an existing paper:', error);
+        }
+    }
+    
+    renderExistingPaper(existingPaper) {
+        const container = this.container?.querySelector('#existing-paper-container');
+        if (!container) return;
+        
+        if (!existingPaper?.id) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const contributions = existingPaper.contributions || [];
+        const byDOI = existingPaper.matchedBy === 'doi';
+        
+        container.innerHTML = `
+            <div class="metadata-section existing-paper-section">
+                <div class="section-header">
+                    <h3><i class="fas fa-database"></i> ${byDOI ? 'Already in ORKG' : 'Possibly already in ORKG'}</h3>
+                    <span class="badge ${byDOI ? 'badge-info' : 'badge-warning'}">${byDOI ? 'Matched by DOI' : 'Same title, no DOI to confirm'}</span>
+                </div>
+                <div class="section-content">
+                    ${byDOI ? '' : `
+                        <p class="existing-paper-note">
+                            An ORKG paper has the same title, but no DOI confirms it is this paper.
+                            Check it before adding a contribution to it.
+                        </p>
+                    `}
+                    <a href="${this.escapeHtml(existingPaper.url)}" target="_blank" rel="noopener noreferrer" class="doi-link">
+                        <i class="fas fa-external-link-alt"></i>
+                        ${this.escapeHtml(existingPaper.title)} (${this.escapeHtml(existingPaper.id)})
+                    </a>
+                    
+                    <div class="existing-contributions">
+                        <label>${contributions.length} existing ${contributions.length === 1 ? 'contribution' : 'contributions'}:</label>
+                        ${contributions.length > 0 ? `
+                            <ul>
+                                ${contributions.map(contribution => `
+                                    <li>
+                                        <a href="${this.escapeHtml(contribution.url)}" target="_blank" rel="noopener noreferrer">
+                                            ${this.escapeHtml(contribution.label)}
+                                        </a>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                    
+                    <div class="existing-paper-actions">
+                        <label>
+                            <input type="radio" name="existing-paper-action" value="extend"
+                                   ${existingPaper.action !== 'new' ? 'checked' : ''}>
+                            Add a new contribution to this paper
+                        </label>
+                        <label>
+                            <input type="radio" name="existing-paper-action" value="new"
+                                   ${existingPaper.action === 'new' ? 'checked' : ''}>
+                            Create a separate paper anyway
+                        </label>
                     </div>
                 </div>
-            `;
+            </div>
+        `;
+        
+        container.querySelectorAll('input[name="existing-paper-action"]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (!input.checked) return;
+                this.getStateManager()?.updateState('data.existingPaper.action', input.value);
+                console.log(`📚 Existing paper action: ${input.value}`);
+            });
+        });
+    }
+    
+    renderAuthors(authors) {
+        const linkable = authors.some(author => author.name && !author.orkgId);
+        
+        return `
+            <div class="authors-list">
+                ${authors.length === 0 ? `
+                    <div class="empty-state">
+                        <i class="fas fa-users"></i>
+                        <p>No author information available</p>
+                    </div>
+                ` : authors.map((author, index) => this.renderAuthor(author, index)).join('')}
+            </div>
+            <div class="author-actions">
+                <button class="btn btn-secondary btn-sm" data-action="add-author">
+                    <i class="fas fa-plus"></i> Add author
+                </button>
+                ${linkable ? `
+                    <button class="btn btn-secondary btn-sm" data-action="resolve-authors"
+                            title="Look up ORCID iDs and ORKG authors for all authors">
+                        <i class="fas fa-link"></i> Link authors
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    renderAuthor(author, index) {
+        const orkgUrl = window.serviceManager?.getService('orkgService')?.serverUrl;
+        
+        return `
+            <div class="author-item">
+                <span class="author-number">${index + 1}</span>
+                <input type="text" class="metadata-input author-name-input" data-index="${index}"
+                       value="${this.escapeHtml(author.name || '')}" placeholder="Author name">
+                ${author.orcid ? `
+                    <a class="author-id orcid" href="https://orcid.org/${this.escapeHtml(author.orcid)}"
+                       target="_blank" rel="noopener noreferrer" title="ORCID iD ${this.escapeHtml(author.orcid)}">iD</a>
+                ` : ''}
+                ${author.orkgId ? `
+                    <a class="author-id orkg" href="${this.escapeHtml(`${orkgUrl || ''}/author/${author.orkgId}`)}"
+                       target="_blank" rel="noopener noreferrer"
+                       title="ORKG author ${this.escapeHtml(author.orkgLabel || author.orkgId)}">ORKG</a>
+                ` : ''}
+                ${author.orcid || author.orkgId ? `
+                    <button class="author-action" data-action="unlink-author" data-index="${index}" title="Remove ORCID and ORKG links">
+                        <i class="fas fa-unlink"></i>
+                    </button>
+                ` : `
+                    <button class="author-action" data-action="find-author" data-index="${index}" title="Find ORCID iD and ORKG author">
+                        <i class="fas fa-search"></i>
+                    </button>
+                `}
+                <button class="author-action" data-action="remove-author" data-index="${index}" title="Remove author">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${this.renderAuthorCandidates(index)}
+        `;
+    }
+    
+    renderAuthorCandidates(index) {
+        const candidates = this.authorCandidates.get(index);
+        if (!candidates) return '';
+        
+        if (candidates.loading) {
+            return '<div class="author-candidates"><i class="fas fa-spinner fa-spin"></i> Searching ORCID and ORKG...</div>';
         }
         
-        if (publisher) {
+        if (candidates.orcid.length === 0 && candidates.orkg.length === 0) {
+            return '<div class="author-candidates">No matching ORCID records or ORKG authors</div>';
+        }
+        
+        return `
+            <div class="author-candidates">
+                ${candidates.orkg.map((author, i) => `
+                    <div class="author-candidate">
+                        <span class="author-id orkg">ORKG</span>
+                        <span class="candidate-label">${this.escapeHtml(author.label)} (${this.escapeHtml(author.id)})</span>
+                        <button class="author-action" data-action="pick-orkg" data-index="${index}" data-candidate="${i}">Link</button>
+                    </div>
+                `).join('')}
+                ${candidates.orcidTotal > candidates.orcid.length ? `
+                    <div class="author-candidate">
+                        <small>Showing ${candidates.orcid.length} of ${candidates.orcidTotal} ORCID matches; add the given name to narrow the search</small>
+                    </div>
+                ` : ''}
+                ${candidates.orcid.map((record, i) => `
+                    <div class="author-candidate">
+                        <span class="author-id orcid">iD</span>
+                        <span class="candidate-label">
+                            ${this.escapeHtml(record.name)}
+                            <small>${this.escapeHtml(record.orcid)}${record.institutions.length ? ` · ${this.escapeHtml(record.institutions[0])}` : ''}</small>
+                        </span>
+                        <button class="author-action" data-action="pick-orcid" data-index="${index}" data-candidate="${i}">Use</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    renderPublication(metadata) {
+        const fields = [
+            { field: 'journal', label: 'Venue', icon: 'fa-book', placeholder: 'Journal or conference' },
+            { field: 'year', label: 'Year', icon: 'fa-calendar-alt', placeholder: 'YYYY' },
+            { field: 'publisher', label: 'Publisher', icon: 'fa-building', placeholder: 'Publisher' }
+        ];
+        
+        let html = '<div class="publication-details">';
+        
+        fields.forEach(({ field, label, icon, placeholder }) => {
             html += `
                 <div class="pub-item">
-                    <i class="fas fa-building"></i>
+                    <i class="fas ${icon}"></i>
                     <div class="pub-content">
-                        <label>Publisher:</label>
-                        <span>${this.escapeHtml(publisher)}</span>
+                        <label>${label}: ${this.renderSourceChip(metadata, field)}</label>
+                        ${this.renderConflicts(metadata, field)}
+                        <input type="text" class="metadata-input" data-field="${field}"
+                               value="${this.escapeHtml(String(metadata[field] || ''))}" placeholder="${placeholder}">
                     </div>
                 </div>
             `;
-        }
+        });
         
-        if (citations) {
+        if (metadata.citations || metadata.citationCount) {
             html += `
                 <div class="pub-item">
                     <i class="fas fa-quote-right"></i>
                     <div class="pub-content">
                         <label>Citations:</label>
-                        <span>${citations}</span>
+                        <span>${metadata.citations || metadata.citationCount}</span>
                     </div>
                 </div>
             `;
@@ -389,9 +1117,20 @@ export class MetadataStep {
                         <h3>No Paper Information</h3>
                         <p>Please return to the welcome screen and run the page analysis to extract paper metadata.</p>
                     </div>
+                    
+                    <div class="metadata-section citation-section">
+                        <div class="section-header">
+                            <h3><i class="fas fa-file-import"></i> Import from a reference manager</h3>
+                        </div>
+                        <div class="section-content">
+                            ${this.renderCitationImport()}
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
+        
+        this.setupCitationHandlers(this.container);
     }
     
     showErrorState(error) {
@@ -439,9 +1178,16 @@ export class MetadataStep {
     
     getSourceDisplayName(source) {
         const sourceNames = {
-            'crossref': 'Crossref Database',
+            'crossref': 'CrossRef',
+            'datacite': 'DataCite',
+            'arxiv': 'arXiv',
+            'pubmed': 'PubMed',
             'openalex': 'OpenAlex',
             'semantic_scholar': 'Semantic Scholar',
+            'dom': 'Page Meta Tags',
+            'pdf': 'PDF Document',
+            'bibtex': 'BibTeX',
+            'ris': 'RIS',
             'google_scholar': 'Google Scholar',
             'page_extraction': 'Page Content',
             'validation_service_mock': 'Demo Data',
@@ -496,6 +1242,7 @@ export class MetadataStep {
         
         this.currentMetadata = null;
         this.isLoading = false;
+        this.authorCandidates.clear();
         
         const stateManager = this.getStateManager();
         if (stateManager && stateManager.updateState) {
@@ -8,6 +8,10 @@ import { SimilaritySlider } from './problems/SimilaritySlider.js';
 import { FieldComparisonModal } from '../../components/modals/FieldComparisonModal.js';
 import { InlineEditor } from '../../components/editors/InlineEditor.js';
 import { FieldSelectionModal } from '../../components/modals/FieldSelectionModal.js';
+import { ProblemPublisher } from './problems/ProblemPublisher.js';
+
+// ORKG problems at least this similar are shown as possible duplicates before publishing
+const DUPLICATE_PROBLEM_THRESHOLD = 0.7;
 
 export class ProblemStep {
     constructor() {
@@ -26,6 +30,7 @@ export class ProblemStep {
             similaritySlider: null,
             fieldComparisonModal: null,
             fieldSelectionModal: null,
+            problemPublisher: null,
             aiProblemEditors: {
                 title: null,
                 description: null
@@ -70,6 +75,12 @@ export class ProblemStep {
             this.components.logger = new ProblemAnalysisLogger();
             this.components.fieldComparisonModal = new FieldComparisonModal();
             this.components.fieldSelectionModal = new FieldSelectionModal();
+            this.components.problemPublisher = new ProblemPublisher({
+                checkDuplicates: (problem) => this.findDuplicateProblems(problem),
+                publish: (problem, field) => this.publishProblem(problem, field),
+                onPublished: (response, problem) => this.handleProblemPublished(response, problem),
+                onUseExisting: (problem) => this.selectProblem(problem)
+            });
             
             // Initialize similarity slider with callback
             this.components.similaritySlider = new SimilaritySlider({
@@ -712,6 +723,8 @@ export class ProblemStep {
         
         // Always show Change Field button after first analysis
         const showChangeFieldButton = this.hasPerformedAnalysis || this.state.analysisComplete;
+        const aiProblemId = this.state.aiProblem?.id || 'ai-generated';
+        const isAIProblemSelected = !!this.state.selectedProblem && this.state.selectedProblem.id === aiProblemId;
         console.log('AI Research Problem:', this.state.aiProblem);
         this.container.innerHTML = `
             <div class="step-container">
@@ -749,8 +762,8 @@ export class ProblemStep {
                             </h3>
                         </div>
                         
-                        <div class="ai-problem-card ${this.state.selectedProblem?.id === 'ai-generated' ? 'selected' : ''}" 
-                            data-problem-id="ai-generated">
+                        <div class="ai-problem-card ${isAIProblemSelected ? 'selected' : ''}" 
+                            data-problem-id="${this.escapeHtml(aiProblemId)}">
                             <div class="problem-badge">
                                 <i class="fas fa-robot"></i>
                                 AI Generated
@@ -767,12 +780,14 @@ export class ProblemStep {
                             </div>
                             
                             <div class="problem-actions">
-                                <button class="btn ${this.state.selectedProblem?.id === 'ai-generated' ? 'btn-success' : 'btn-primary'} select-problem-btn" 
-                                        data-problem-id="ai-generated">
-                                    <i class="fas ${this.state.selectedProblem?.id === 'ai-generated' ? 'fa-check-circle' : 'fa-check'}"></i>
-                                    ${this.state.selectedProblem?.id === 'ai-generated' ? 'Selected' : 'Select This Problem'}
+                                <button class="btn ${isAIProblemSelected ? 'btn-success' : 'btn-primary'} select-problem-btn" 
+                                        data-problem-id="${this.escapeHtml(aiProblemId)}">
+                                    <i class="fas ${isAIProblemSelected ? 'fa-check-circle' : 'fa-check'}"></i>
+                                    ${isAIProblemSelected ? 'Selected' : 'Select This Problem'}
                                 </button>
                             </div>
+                            
+                            <div class="problem-publish" id="ai-problem-publish"></div>
                         </div>
                     </div>
                     ${hasORKGProblems ? this.renderORKGResults() : this.renderNoORKGNotice()}
@@ -782,6 +797,12 @@ export class ProblemStep {
         
         this.setupResultHandlers();
         this.initializeInlineEditors();
+        
+        this.components.problemPublisher?.mount(
+            this.container.querySelector('#ai-problem-publish'),
+            this.state.aiProblem,
+            this.state.currentField
+        );
     }
    
     
@@ -1253,6 +1274,71 @@ export class ProblemStep {
         }
     }
     
+    /**
+     * Near-duplicates of the AI problem among ORKG problems of every field
+     */
+    async findDuplicateProblems(problem) {
+        const matcher = this.services.orkgProblemMatcher;
+        if (!matcher) {
+            throw new Error('Problem matcher not available');
+        }
+        
+        const result = await matcher.findSimilarProblems(
+            `${problem.title} ${problem.description || ''}`.trim(),
+            null,
+            {
+                threshold: DUPLICATE_PROBLEM_THRESHOLD,
+                maxResults: 5,
+                useCache: false,
+                searchTerms: [problem.title]
+            }
+        );
+        
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        
+        return result.filteredResults || [];
+    }
+    
+    async publishProblem(problem, field) {
+        return chrome.runtime.sendMessage({
+            action: 'PUBLISH_ORKG_PROBLEM',
+            problem: problem,
+            researchField: field ? { id: field.id, label: field.label } : null
+        });
+    }
+    
+    /**
+     * The AI problem becomes the new ORKG problem, so its ID flows into the
+     * template and contribution steps. It is no longer editable because
+     * edits would not reach ORKG.
+     */
+    handleProblemPublished(response, problem) {
+        this.state.aiProblem = {
+            ...this.state.aiProblem,
+            ...problem,
+            id: response.problem.id,
+            orkgId: response.problem.id,
+            url: response.problem.url,
+            researchFieldId: response.researchFieldId,
+            published: true,
+            publishedAt: Date.now(),
+            editable: false
+        };
+        
+        this.cacheFieldAnalysis(this.state.currentField.id || this.state.currentField.label);
+        this.selectProblem(this.state.aiProblem);
+        
+        if (this.services.toastManager) {
+            if (response.warning) {
+                this.services.toastManager.warning(`Published as ${response.problem.id}, but ${response.warning}`);
+            } else {
+                this.services.toastManager.success(`Published to ORKG as ${response.problem.id}`);
+            }
+        }
+    }
+    
     saveAIProblemChanges() {
         // Cache the edited problem
         this.cacheFieldAnalysis(this.state.currentField.id || this.state.currentField.label);
@@ -1445,6 +1531,10 @@ export class ProblemStep {
         this.isAnalyzing = false;
         this.hasPerformedAnalysis = false;
         
+        if (this.components.problemPublisher) {
+            this.components.problemPublisher.reset();
+        }
+        
         if (this.components.logger) {
             this.components.logger.clear();
         }
@@ -1484,6 +1574,10 @@ export class ProblemStep {
             this.components.fieldSelectionModal.destroy();
         }
         
+        if (this.components.problemPublisher) {
+            this.components.problemPublisher.destroy();
+        }
+        
         if (this.components.aiProblemEditors.title) {
             this.components.aiProblemEditors.title.destroy();
         }
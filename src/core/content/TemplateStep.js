@@ -5,6 +5,12 @@
 import { eventManager } from '../../utils/eventManager.js';
 import { TemplateEditor } from './templates/TemplateEditor.js';
 import { TemplateList } from './templates/TemplateList.js';
+import { TemplatePublisher } from './templates/TemplatePublisher.js';
+import { TemplateDiffView } from './templates/TemplateDiffView.js';
+import { TemplateLibraryView } from './templates/TemplateLibraryView.js';
+import { diffTemplates, getUpstreamTemplateId } from './templates/templateDiff.js';
+import { TemplateForkStore } from '../state/TemplateForkStore.js';
+import { TemplateLibrary } from '../state/TemplateLibrary.js';
 import { TemplateTableView } from '../../components/editors/TemplateTableView.js';
 import { InlineEditor } from '../../components/editors/InlineEditor.js';
 
@@ -27,9 +33,18 @@ export class TemplateStep {
             templateEditor: null,
             templateList: null,
             templateTableView: null,
+            templatePublisher: null,
+            templateDiffView: null,
+            templateLibraryView: null,
             inlineEditors: new Map()
         };
         
+        // Local forks of ORKG templates, per research problem
+        this.forkStore = new TemplateForkStore();
+        
+        // The user's own templates
+        this.library = new TemplateLibrary();
+        
         // Current state
         this.state = {
             selectedProblem: null,
@@ -38,7 +53,9 @@ export class TemplateStep {
             aiGeneratedTemplate: null,
             templateAnalysis: null,
             editMode: false,
-            currentView: 'list', // 'list', 'table', 'edit'
+            currentView: 'list', // 'list', 'table', 'edit', 'diff'
+            templateDiff: null,
+            showLibrary: false,
             scanProgress: {
                 phase: '',
                 processed: 0,
@@ -104,6 +121,29 @@ export class TemplateStep {
             editable: false,
             onPropertyChange: (property, value) => this.handlePropertyChange(property, value)
         });
+        
+        // Initialize ORKG template publishing
+        this.components.templatePublisher = new TemplatePublisher({
+            preview: (template) => this.previewTemplatePublish(template),
+            publish: (template, predicateMappings) => this.publishTemplate(template, predicateMappings),
+            onPublished: (response, template) => this.handleTemplatePublished(response, template)
+        });
+        
+        // Initialize comparison with the ORKG version of a template
+        this.components.templateDiffView = new TemplateDiffView({
+            onKeepFork: () => this.keepTemplateFork(),
+            onSubmit: () => this.submitTemplateUpstream(),
+            onDiscard: () => this.discardTemplateChanges(),
+            onClose: () => this.closeTemplateDiff()
+        });
+        
+        // Initialize the template library
+        this.components.templateLibraryView = new TemplateLibraryView({
+            library: this.library,
+            onUse: (template) => this.handleTemplateSelect(template),
+            onEdit: (template) => this.handleTemplateEdit(template),
+            onSearchORKG: () => this.searchORKGTemplates()
+        });
     }
     
     /**
@@ -114,9 +154,13 @@ export class TemplateStep {
         
         // Template events
         eventManager.on('template:saved', (data) => {
-            this.handleTemplateSave(data.template);
+            this.handleTemplateSave(data.template, data.changes);
         });
         
+        this.eventUnsubscribers.push(eventManager.on('template:compare', (data) => {
+            this.showTemplateDiff(data.template);
+        }));
+        
         // State subscription
         const stateManager = this.services.stateManager;
         if (stateManager && stateManager.subscribe) {
@@ -127,6 +171,14 @@ export class TemplateStep {
             });
             this.eventUnsubscribers.push(unsubscribe);
         }
+        
+        // Template edits and selections can be undone
+        stateManager?.trackUndo?.('data.templateAnalysis');
+        this.eventUnsubscribers.push(eventManager.on('state:undo-changed', () => this.refreshHistoryControls()));
+        
+        const handleKeydown = (e) => this.handleHistoryKeydown(e);
+        document.addEventListener('keydown', handleKeydown);
+        this.eventUnsubscribers.push(() => document.removeEventListener('keydown', handleKeydown));
     }
     
     /**
@@ -177,11 +229,19 @@ export class TemplateStep {
             const cachedData = this.getCachedData();
             if (cachedData) {
                 console.log('📋 Using cached template data');
+                cachedData.templates = await this.applyLocalForks(cachedData.templates || []);
                 this.applyTemplateData(cachedData);
                 this.renderTemplates();
                 return;
             }
             
+            // Templates in the library can be picked without scanning ORKG
+            const libraryTemplates = await this.library.list();
+            if (libraryTemplates.length > 0) {
+                this.openLibrary();
+                return;
+            }
+            
             // Start fresh analysis
             await this.analyzeTemplates();
             
@@ -262,7 +322,7 @@ export class TemplateStep {
             
             if (orkgTemplates && orkgTemplates.templates?.length > 0) {
                 const data = {
-                    templates: orkgTemplates.templates,
+                    templates: await this.applyLocalForks(orkgTemplates.templates),
                     templateAnalysis: orkgTemplates,
                     aiGeneratedTemplate: null
                 };
@@ -433,7 +493,7 @@ export class TemplateStep {
     /**
      * Update state in StateManager
      */
-    updateStateManager() {
+    updateStateManager(undoLabel = null) {
         if (!this.services.stateManager) return;
         
         this.services.stateManager.updateState('data.templateAnalysis', {
@@ -442,7 +502,7 @@ export class TemplateStep {
             aiGeneratedTemplate: this.state.aiGeneratedTemplate,
             templateAnalysis: this.state.templateAnalysis,
             timestamp: Date.now()
-        });
+        }, { undoLabel });
         
         this.updateValidation();
     }
@@ -493,7 +553,7 @@ export class TemplateStep {
      */
     handleTemplateSelect(template) {
         this.state.selectedTemplate = template;
-        this.updateStateManager();
+        this.updateStateManager(`Select template "${template.name}"`);
         
         if (this.services.toastManager) {
             this.services.toastManager.success(`Template selected: ${template.name}. Click "Next" to continue.`);
@@ -531,10 +591,39 @@ export class TemplateStep {
     }
     
     /**
-     * Handle template save
+     * Handle template save. Changes to an ORKG template go to the
+     * comparison with its current ORKG version, to fork or submit them.
      */
-    handleTemplateSave(template) {
-        // Update template in state
+    async handleTemplateSave(template, changes = null) {
+        if (template.libraryId) {
+            await this.saveToLibrary(template, { note: 'Edited' });
+            this.state.editMode = false;
+            this.state.currentView = 'list';
+            this.openLibrary();
+            return;
+        }
+        
+        this.replaceTemplate(template);
+        
+        this.state.editMode = false;
+        this.state.currentView = 'list';
+        
+        if (this.services.toastManager) {
+            this.services.toastManager.success('Template saved');
+        }
+        
+        if (changes?.modified && getUpstreamTemplateId(template)) {
+            this.showTemplateDiff(template);
+            return;
+        }
+        
+        this.renderTemplates();
+    }
+    
+    /**
+     * Put a changed template in place of the one with the same ID
+     */
+    replaceTemplate(template) {
         if (template.isAIGenerated || template.id === this.state.aiGeneratedTemplate?.id) {
             this.state.aiGeneratedTemplate = template;
         } else {
@@ -544,22 +633,326 @@ export class TemplateStep {
             }
         }
         
-        this.state.editMode = false;
-        this.state.currentView = 'list';
-        this.updateStateManager();
+        if (this.state.selectedTemplate?.id === template.id) {
+            this.state.selectedTemplate = template;
+        }
+        
+        this.updateStateManager(`Edit template "${template.name}"`);
         this.cacheData({
             templates: this.state.templates,
             aiGeneratedTemplate: this.state.aiGeneratedTemplate,
             templateAnalysis: this.state.templateAnalysis
         });
+    }
+    
+    /**
+     * Replace ORKG templates with the forks kept for the current problem
+     */
+    async applyLocalForks(templates) {
+        const forks = await this.forkStore.getForks(this.state.selectedProblem?.id);
+        if (Object.keys(forks).length === 0) return templates;
+        
+        return templates.map(template => {
+            const fork = forks[template.fork?.upstreamId || template.id];
+            return fork ? { ...fork, paperCount: template.paperCount } : template;
+        });
+    }
+    
+    /**
+     * Compare a template with the current version of its ORKG template
+     */
+    async showTemplateDiff(template) {
+        const upstreamId = getUpstreamTemplateId(template);
+        if (!upstreamId || !this.services.orkgService) return;
+        
+        this.render('loading', 'Loading the current ORKG version...');
+        
+        try {
+            const upstream = await this.services.orkgService.getTemplate(upstreamId, { forceRefresh: true });
+            
+            this.state.editMode = false;
+            this.state.currentView = 'diff';
+            this.state.templateDiff = { upstream, local: template };
+            this.renderTemplateDiff();
+        } catch (error) {
+            console.error('Failed to load ORKG template:', error);
+            
+            if (this.services.toastManager) {
+                this.services.toastManager.error(`Could not load ORKG template ${upstreamId}: ${error.message}`);
+            }
+            
+            this.closeTemplateDiff();
+        }
+    }
+    
+    renderTemplateDiff() {
+        const { upstream, local } = this.state.templateDiff;
+        
+        this.container.innerHTML = `
+            <div class="step-container">
+                <div class="step-header">
+                    <h2><i class="fas fa-columns"></i> Compare Template</h2>
+                    <p>Your changes against the current ORKG version</p>
+                </div>
+                <div id="template-diff-container"></div>
+            </div>
+        `;
+        
+        this.components.templateDiffView.render(this.container.querySelector('#template-diff-container'), {
+            upstream: upstream,
+            local: local,
+            diff: diffTemplates(upstream, local),
+            problem: this.state.selectedProblem,
+            canFork: !local.isAIGenerated && !local.libraryId && !!this.state.selectedProblem?.id
+        });
+    }
+    
+    async keepTemplateFork() {
+        const { upstream, local } = this.state.templateDiff;
+        
+        try {
+            const fork = await this.forkStore.saveFork(this.state.selectedProblem.id, local, upstream);
+            this.replaceTemplate(fork);
+            
+            if (this.services.toastManager) {
+                this.services.toastManager.success(`Kept a local fork of ${upstream.name} for this problem`);
+            }
+            
+            this.closeTemplateDiff();
+        } catch (error) {
+            console.error('Failed to save template fork:', error);
+            
+            if (this.services.toastManager) {
+                this.services.toastManager.error(`Could not save the fork: ${error.message}`);
+            }
+        }
+    }
+    
+    /**
+     * Publish the user's version as a new ORKG template that points to the
+     * original. The local fork, if any, is no longer needed afterwards, and
+     * later comparisons are made against the new version.
+     */
+    async submitTemplateUpstream() {
+        const { upstream, local } = this.state.templateDiff;
+        const { fork, ...template } = local;
+        
+        let response;
+        try {
+            response = await chrome.runtime.sendMessage({
+                action: 'UPDATE_ORKG_TEMPLATE',
+                templateId: upstream.id,
+                template: template,
+                upstream: {
+                    targetClass: upstream.targetClass,
+                    relations: upstream.relations,
+                    formattedLabel: upstream.formattedLabel,
+                    isClosed: upstream.isClosed,
+                    observatories: upstream.observatories,
+                    organizations: upstream.organizations,
+                    properties: upstream.properties
+                }
+            });
+        } catch (error) {
+            response = { success: false, error: error.message };
+        }
+        
+        if (!response?.success) {
+            if (this.services.toastManager) {
+                this.services.toastManager.error(response?.error || 'ORKG did not accept the changes');
+            }
+            return;
+        }
+        
+        if (fork) {
+            await this.forkStore.removeFork(fork.problemId, fork.upstreamId);
+        }
+        
+        this.replaceTemplate({
+            ...template,
+            orkgId: response.template.id,
+            properties: template.properties.map(property => {
+                const mapped = response.template.properties.find(p => p.propertyId === property.id);
+                return mapped ? {
+                    ...property,
+                    predicateId: mapped.predicate.id,
+                    predicateLabel: mapped.predicate.label,
+                    minCount: mapped.minCount,
+                    maxCount: mapped.maxCount
+                } : property;
+            }),
+            updatedAt: Date.now()
+        });
         
         if (this.services.toastManager) {
-            this.services.toastManager.success('Template saved');
+            this.services.toastManager.success(`Published ${response.template.id} as a new version of ORKG template ${upstream.id}`);
+        }
+        
+        this.closeTemplateDiff();
+    }
+    
+    /**
+     * Drop the user's changes and use the ORKG version again
+     */
+    async discardTemplateChanges() {
+        const { upstream, local } = this.state.templateDiff;
+        const { fork, ...template } = local;
+        
+        if (fork) {
+            await this.forkStore.removeFork(fork.problemId, fork.upstreamId);
+        }
+        
+        this.replaceTemplate({
+            ...template,
+            name: upstream.name,
+            description: upstream.description,
+            properties: upstream.properties
+        });
+        
+        if (this.services.toastManager) {
+            this.services.toastManager.success(`Using the ORKG version of ${upstream.name}`);
         }
         
+        this.closeTemplateDiff();
+    }
+    
+    closeTemplateDiff() {
+        this.state.currentView = 'list';
+        this.state.templateDiff = null;
         this.renderTemplates();
     }
     
+    /**
+     * Add a template to the library, or record a new version of a library
+     * template. A selected library template follows the saved version.
+     */
+    async saveToLibrary(template, options = {}) {
+        try {
+            const entry = await this.library.save(template, options);
+            
+            if (this.state.selectedTemplate && this.state.selectedTemplate.id === entry.id) {
+                this.state.selectedTemplate = entry.template;
+                this.updateStateManager();
+            }
+            
+            if (this.services.toastManager) {
+                const version = entry.versions[entry.versions.length - 1].version;
+                this.services.toastManager.success(version > 1 ?
+                    `Saved version ${version} of ${entry.template.name}` :
+                    `Added ${entry.template.name} to your library`);
+            }
+            
+            return entry;
+        } catch (error) {
+            console.error('Failed to save template to library:', error);
+            
+            if (this.services.toastManager) {
+                this.services.toastManager.error(`Could not save to library: ${error.message}`);
+            }
+            return null;
+        }
+    }
+    
+    openLibrary() {
+        this.state.showLibrary = true;
+        this.render('library');
+    }
+    
+    /**
+     * Leave the library for the ORKG templates, scanning only when
+     * nothing is cached for the problem yet
+     */
+    async searchORKGTemplates() {
+        this.state.showLibrary = false;
+        
+        const cachedData = this.getCachedData();
+        if (cachedData) {
+            this.applyTemplateData(cachedData);
+            this.renderTemplates();
+            return;
+        }
+        
+        try {
+            await this.analyzeTemplates();
+        } catch (error) {
+            this.isAnalyzing = false;
+            this.handleError(error);
+        }
+    }
+    
+    /**
+     * Research problem and field an ORKG template would be related to
+     */
+    getPublishContext() {
+        const state = this.services.stateManager?.getState();
+        return {
+            problem: this.state.selectedProblem,
+            researchField: state?.data?.researchField?.selectedField || null
+        };
+    }
+    
+    async previewTemplatePublish(template) {
+        return chrome.runtime.sendMessage({
+            action: 'PREVIEW_ORKG_TEMPLATE',
+            template: template
+        });
+    }
+    
+    async publishTemplate(template, predicateMappings) {
+        const { problem, researchField } = this.getPublishContext();
+        
+        return chrome.runtime.sendMessage({
+            action: 'PUBLISH_ORKG_TEMPLATE',
+            template: template,
+            predicateMappings: predicateMappings,
+            problem: problem ? { id: problem.id, label: problem.title || problem.label } : null,
+            researchField: researchField ? { id: researchField.id, label: researchField.label } : null
+        });
+    }
+    
+    /**
+     * The published template keeps its properties, now carrying the ORKG
+     * predicates and target class that contributions are written with
+     */
+    handleTemplatePublished(response, template) {
+        const published = response.template;
+        
+        const aiTemplate = {
+            ...template,
+            id: published.id,
+            orkgId: published.id,
+            url: published.url,
+            targetClass: published.targetClass,
+            properties: template.properties.map(property => {
+                const mapped = published.properties.find(p => p.propertyId === property.id);
+                return mapped ? {
+                    ...property,
+                    predicateId: mapped.predicate.id,
+                    predicateLabel: mapped.predicate.label,
+                    minCount: mapped.minCount,
+                    maxCount: mapped.maxCount
+                } : property;
+            }),
+            researchFieldId: response.researchFieldId,
+            problemId: response.problemId,
+            published: true,
+            publishedAt: Date.now()
+        };
+        
+        this.state.aiGeneratedTemplate = aiTemplate;
+        this.cacheData({
+            templates: this.state.templates,
+            aiGeneratedTemplate: aiTemplate,
+            templateAnalysis: this.state.templateAnalysis
+        });
+        
+        if (this.services.toastManager) {
+            this.services.toastManager.success(`Published to ORKG as template ${published.id}`);
+        }
+        
+        this.handleTemplateSelect(aiTemplate);
+    }
+    
     /**
      * Handle property change
      */
@@ -578,7 +971,9 @@ export class TemplateStep {
      * Render templates based on state
      */
     renderTemplates() {
-        if (this.state.templates.length > 0) {
+        if (this.state.showLibrary) {
+            this.render('library');
+        } else if (this.state.templates.length > 0) {
             this.render('orkg-templates');
         } else if (this.state.aiGeneratedTemplate) {
             this.render('ai-template');
@@ -612,14 +1007,104 @@ export class TemplateStep {
             case 'orkg-templates':
                 this.renderORKGTemplates();
                 break;
+            case 'library':
+                this.renderLibrary();
+                break;
             case 'error':
                 this.renderError(data);
                 break;
         }
         
+        this.refreshHistoryControls();
         this.updateValidation();
     }
     
+    // ================================
+    // Undo / redo of template changes
+    // ================================
+    
+    renderHistoryControls() {
+        const history = this.services.stateManager?.getUndoHistory?.();
+        if (!history || (history.undo.length === 0 && history.redo.length === 0)) return '';
+        
+        const [nextUndo] = history.undo;
+        const [nextRedo] = history.redo;
+        const attribute = (text) => this.escapeHtml(text).replace(/"/g, '&quot;');
+        
+        return `
+            <button class="btn btn-sm btn-outline" data-template-history="undo" ${nextUndo ? '' : 'disabled'}
+                    title="${nextUndo ? `Undo: ${attribute(nextUndo.label)}` : 'Nothing to undo'} (Ctrl+Z)">
+                <i class="fas fa-undo"></i> Undo
+            </button>
+            <button class="btn btn-sm btn-outline" data-template-history="redo" ${nextRedo ? '' : 'disabled'}
+                    title="${nextRedo ? `Redo: ${attribute(nextRedo.label)}` : 'Nothing to redo'} (Ctrl+Shift+Z)">
+                <i class="fas fa-redo"></i> Redo
+            </button>
+            ${history.undo.length > 0 ? `
+                <details class="template-history-list">
+                    <summary>Changes (${history.undo.length})</summary>
+                    <ol>
+                        ${history.undo.map(entry => `
+                            <li>
+                                ${this.escapeHtml(entry.label)}
+                                <span class="template-history-time">
+                                    ${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                </details>
+            ` : ''}
+        `;
+    }
+    
+    // The controls sit in the header of the template list views
+    refreshHistoryControls() {
+        const slot = this.container?.querySelector('.template-history');
+        if (!slot) return;
+        
+        slot.innerHTML = this.renderHistoryControls();
+        slot.querySelectorAll('[data-template-history]').forEach(button => {
+            button.addEventListener('click', () => this.replayTemplateChange(button.dataset.templateHistory));
+        });
+    }
+    
+    handleHistoryKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+        if (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        if (this.state.currentView !== 'list' || !this.container?.querySelector('.template-history')) return;
+        
+        e.preventDefault();
+        this.replayTemplateChange(e.shiftKey ? 'redo' : 'undo');
+    }
+    
+    replayTemplateChange(direction) {
+        const stateManager = this.services.stateManager;
+        const entry = direction === 'undo' ? stateManager?.undo?.() : stateManager?.redo?.();
+        if (!entry) return;
+        
+        this.applyTemplateAnalysis(stateManager.getState('data.templateAnalysis'));
+        
+        if (this.services.toastManager) {
+            this.services.toastManager.info(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`);
+        }
+    }
+    
+    // Unlike handleStateUpdate, empty values are applied too: undoing a selection clears it
+    applyTemplateAnalysis(templateData) {
+        this.state.templates = templateData?.templates || [];
+        this.state.selectedTemplate = templateData?.selectedTemplate || null;
+        this.state.aiGeneratedTemplate = templateData?.aiGeneratedTemplate || null;
+        
+        this.cacheData({
+            templates: this.state.templates,
+            aiGeneratedTemplate: this.state.aiGeneratedTemplate,
+            templateAnalysis: this.state.templateAnalysis
+        });
+        
+        this.renderTemplates();
+    }
+    
     renderLoading(message = 'Loading...') {
         this.container.innerHTML = `
             <div class="step-container">
@@ -698,6 +1183,10 @@ export class TemplateStep {
                         <i class="fas fa-magic"></i>
                         <span>Generate AI Template</span>
                     </button>
+                    <button class="btn btn-secondary" id="open-library">
+                        <i class="fas fa-book"></i>
+                        <span>My Library</span>
+                    </button>
                 </div>
             </div>
         `;
@@ -708,6 +1197,25 @@ export class TemplateStep {
             this.updateStateManager();
             this.render('ai-template');
         });
+        
+        this.attachHandler('#open-library', () => this.openLibrary());
+    }
+    
+    renderLibrary() {
+        this.container.innerHTML = `
+            <div class="step-container">
+                <div class="step-header">
+                    <h2><i class="fas fa-book"></i> My Templates</h2>
+                    <p>Pick a template from your library</p>
+                </div>
+                <div id="template-library-container"></div>
+            </div>
+        `;
+        
+        this.components.templateLibraryView.mount(
+            this.container.querySelector('#template-library-container'),
+            { selectedId: this.state.selectedTemplate?.libraryId }
+        );
     }
     
     renderAITemplate() {
@@ -719,6 +1227,7 @@ export class TemplateStep {
                 <div class="step-header">
                     <h2><i class="fas fa-clipboard-list"></i> AI-Generated Template</h2>
                     <p>Custom template generated for your research</p>
+                    <div class="template-history"></div>
                 </div>
                 
                 <div class="template-card ai-template">
@@ -752,7 +1261,17 @@ export class TemplateStep {
                             <i class="fas fa-check"></i>
                             Use This Template
                         </button>
+                        <button class="btn btn-outline" id="save-to-library">
+                            <i class="fas fa-book"></i>
+                            Save to Library
+                        </button>
+                        <button class="btn btn-outline" id="open-library">
+                            <i class="fas fa-folder-open"></i>
+                            My Library
+                        </button>
                     </div>
+                    
+                    <div class="template-publish" id="ai-template-publish"></div>
                 </div>
             </div>
         `;
@@ -760,6 +1279,14 @@ export class TemplateStep {
         // Attach handlers
         this.attachHandler('#use-template', () => this.handleTemplateSelect(template));
         this.attachHandler('#edit-template', () => this.handleTemplateEdit(template));
+        this.attachHandler('#save-to-library', () => this.saveToLibrary(template));
+        this.attachHandler('#open-library', () => this.openLibrary());
+        
+        this.components.templatePublisher?.mount(
+            this.container.querySelector('#ai-template-publish'),
+            template,
+            this.getPublishContext()
+        );
     }
     
     renderORKGTemplates() {
@@ -771,6 +1298,7 @@ export class TemplateStep {
                 <div class="step-header">
                     <h2><i class="fas fa-clipboard-list"></i> ORKG Templates</h2>
                     <p>Found ${analysis?.templatesFound || templates.length} templates from ${analysis?.totalPapers || 0} papers</p>
+                    <div class="template-history"></div>
                 </div>
                 
                 <div class="template-stats">
@@ -798,6 +1326,10 @@ export class TemplateStep {
                         <i class="fas fa-robot"></i>
                         Generate AI Template Instead
                     </button>
+                    <button class="btn btn-secondary" id="open-library">
+                        <i class="fas fa-book"></i>
+                        My Library
+                    </button>
                 </div>
             </div>
         `;
@@ -809,6 +1341,26 @@ export class TemplateStep {
             });
         });
         
+        this.container.querySelectorAll('.edit-template').forEach((btn, index) => {
+            btn.addEventListener('click', () => {
+                this.handleTemplateEdit(templates[index]);
+            });
+        });
+        
+        this.container.querySelectorAll('.save-template-to-library').forEach((btn, index) => {
+            btn.addEventListener('click', () => {
+                this.saveToLibrary(templates[index]);
+            });
+        });
+        
+        this.attachHandler('#open-library', () => this.openLibrary());
+        
+        this.container.querySelectorAll('.template-card').forEach(card => {
+            card.querySelector('.compare-template')?.addEventListener('click', () => {
+                this.showTemplateDiff(templates[parseInt(card.dataset.index)]);
+            });
+        });
+        
         this.attachHandler('#generate-ai', async () => {
             const template = await this.generateAITemplate();
             this.state.aiGeneratedTemplate = template;
@@ -830,6 +1382,11 @@ export class TemplateStep {
                 
                 <div class="template-card-body">
                     <h3 class="template-name">${this.escapeHtml(template.name)}</h3>
+                    ${template.fork ? `
+                        <span class="badge badge-fork" title="Changed locally for this problem">
+                            <i class="fas fa-code-branch"></i> Local fork
+                        </span>
+                    ` : ''}
                     <p class="template-description">
                         ${this.escapeHtml(template.description || 'No description available')}
                     </p>
@@ -847,6 +1404,17 @@ export class TemplateStep {
                         <i class="fas fa-check"></i>
                         Select Template
                     </button>
+                    <button class="btn btn-outline edit-template" title="Edit template">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-outline save-template-to-library" title="Save to library">
+                        <i class="fas fa-book"></i>
+                    </button>
+                    ${template.fork ? `
+                        <button class="btn btn-outline compare-template" title="Compare with ORKG">
+                            <i class="fas fa-columns"></i>
+                        </button>
+                    ` : ''}
                     ${template.id ? `
                         <a href="https://orkg.org/template/${template.id}" 
                            target="_blank" 
@@ -987,6 +1555,8 @@ export class TemplateStep {
             templateAnalysis: null,
             editMode: false,
             currentView: 'list',
+            templateDiff: null,
+            showLibrary: false,
             scanProgress: {
                 phase: '',
                 processed: 0,
@@ -1020,6 +1590,18 @@ export class TemplateStep {
             this.components.templateTableView.cleanup();
         }
         
+        if (this.components.templatePublisher?.destroy) {
+            this.components.templatePublisher.destroy();
+        }
+        
+        if (this.components.templateDiffView?.destroy) {
+            this.components.templateDiffView.destroy();
+        }
+        
+        if (this.components.templateLibraryView?.destroy) {
+            this.components.templateLibraryView.destroy();
+        }
+        
         this.reset();
         this.isInitialized = false;
         
@@ -4,6 +4,7 @@
 
 import { eventManager } from '../../utils/eventManager.js';
 import { ValidationService } from '../services/ValidationService.js';
+import { getPDFViewerURL } from '../../utils/pdfViewerUtils.js';
 
 export class WelcomeScreen {
     constructor() {
@@ -821,7 +822,11 @@ export class WelcomeScreen {
         
         const { score } = results;
         
-        if (results.canProceed && score >= 50) {
+        if (results.pageType === 'pdf_document') {
+            const viewerWrapper = this.createPDFViewerWrapper(results);
+            actionsContainer.appendChild(viewerWrapper);
+            
+        } else if (results.canProceed && score >= 50) {
             const startButton = this.createStartAnalysisButton();
             actionsContainer.appendChild(startButton);
             
@@ -883,6 +888,68 @@ export class WelcomeScreen {
         return warningWrapper;
     }
     
+    createPDFViewerWrapper(results) {
+        const viewerWrapper = document.createElement('div');
+        viewerWrapper.className = 'pdf-viewer-wrapper';
+        viewerWrapper.style.cssText = 'text-align: center; padding: 16px; background: #eff6ff; border: 1px solid #bfdbfe; border-radius: 8px;';
+        
+        viewerWrapper.innerHTML = `
+            <div style="font-size: 2rem; color: #1d4ed8; margin-bottom: 12px;">
+                <i class="fas fa-file-pdf"></i>
+            </div>
+            <h4 style="color: #1d4ed8; margin: 0 0 8px 0;">PDF Document</h4>
+            <p style="color: #1e3a8a; margin: 0 0 16px 0;">
+                Open this PDF in the ORKG PDF viewer to extract, highlight and annotate it like an HTML article.
+            </p>
+            <div style="display: flex; gap: 12px; justify-content: center; flex-wrap: wrap;">
+                <button class="btn btn-primary" data-action="open-pdf-viewer">
+                    <i class="fas fa-book-open"></i>
+                    <span>Open in PDF Viewer</span>
+                </button>
+                <button class="btn btn-secondary" data-action="find-alternative">
+                    <i class="fas fa-search"></i>
+                    <span>Find HTML Version</span>
+                </button>
+            </div>
+        `;
+        
+        const openButton = viewerWrapper.querySelector('[data-action="open-pdf-viewer"]');
+        const findButton = viewerWrapper.querySelector('[data-action="find-alternative"]');
+        
+        if (openButton) {
+            openButton.addEventListener('click', () => this.openInPDFViewer(results.pageInfo?.url));
+        }
+        
+        if (findButton) {
+            findButton.addEventListener('click', () => this.findAlternative());
+        }
+        
+        return viewerWrapper;
+    }
+    
+    async openInPDFViewer(pdfUrl) {
+        const viewerUrl = pdfUrl ? getPDFViewerURL(pdfUrl) : null;
+        if (!viewerUrl) {
+            this.getToastManager()?.error('Could not open the PDF viewer');
+            return;
+        }
+        
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab) {
+                await chrome.tabs.update(tab.id, { url: viewerUrl });
+            } else {
+                await chrome.tabs.create({ url: viewerUrl });
+            }
+            
+            // The popup is re-opened on the viewer once the PDF has rendered
+            window.close();
+        } catch (error) {
+            console.error('❌ Failed to open PDF viewer:', error);
+            this.getToastManager()?.error('Could not open the PDF viewer');
+        }
+    }
+    
     createRetryWrapper() {
         const retryWrapper = document.createElement('div');
         retryWrapper.className = 'retry-actions-wrapper';
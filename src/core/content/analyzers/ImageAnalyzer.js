@@ -69,32 +69,26 @@ export class ImageAnalyzer {
         }
     }
     
+    /**
+     * Image analysis runs on the active LLM provider, so figures only go
+     * where the rest of the paper goes. It is off when that provider has
+     * no vision model. Called again when the provider changes.
+     */
     async initializeAnalysisService() {
         try {
-            const apiKey = this.getApiKey();
-            if (!apiKey) {
-                console.log('⚠️ No API key found, analysis features disabled');
-                return;
-            }
-            
-            const [{ ImageAnalysisService }, { OpenAIProvider }] = await Promise.all([
-                import('../../services/ai/adapters/ImageAnalysisService.js'),
-                import('../../services/ai/providers/openaiProvider.js')
-            ]);
-            
-            const provider = new OpenAIProvider({
-                apiKey: apiKey,
-                model: 'gpt-4o-mini',
-                visionModel: 'gpt-4o'
-            });
+            const { ImageAnalysisService } = await import('../../services/ai/adapters/ImageAnalysisService.js');
             
-            await provider.init();
+            const service = new ImageAnalysisService();
+            await service.init();
             
-            this.imageAnalysisService = new ImageAnalysisService();
-            this.imageAnalysisService.provider = provider;
-            this.imageAnalysisService.isInitialized = true;
+            if (!service.provider || !service.getVisionModel()) {
+                console.log('⚠️ Active LLM provider has no vision model, analysis features disabled');
+                this.imageAnalysisService = null;
+                return;
+            }
             
-            console.log('✅ Analysis service initialized');
+            this.imageAnalysisService = service;
+            console.log(`✅ Analysis service initialized with ${service.getVisionModel()}`);
             
         } catch (error) {
             console.warn('⚠️ Analysis service unavailable:', error.message);
@@ -102,14 +96,6 @@ export class ImageAnalyzer {
         }
     }
     
-    getApiKey() {
-        if (window.orkgConfig?.getOpenAIKey) {
-            return window.orkgConfig.getOpenAIKey();
-        }
-        return localStorage.getItem('orkg-openai-api-key') || 
-               localStorage.getItem('openai_api_key');
-    }
-    
     async loadPersistedData() {
         try {
             console.log('📥 Loading persisted data...');
@@ -364,7 +350,7 @@ export class ImageAnalyzer {
         console.log('🔬 Analyzing single image:', imageId);
         
         if (!this.imageAnalysisService) {
-            this.showToast('Please configure OpenAI API key for analysis', 'error');
+            this.showToast('Image analysis needs an LLM provider with a vision model - check the AI settings', 'error');
             return;
         }
         
@@ -417,7 +403,7 @@ export class ImageAnalyzer {
         }
         
         if (!this.imageAnalysisService) {
-            this.showToast('Please configure OpenAI API key for analysis', 'error');
+            this.showToast('Image analysis needs an LLM provider with a vision model - check the AI settings', 'error');
             return;
         }
         
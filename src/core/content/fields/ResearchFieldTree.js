@@ -0,0 +1,342 @@
+// ================================
+// src/core/content/fields/ResearchFieldTree.js - Browsable ORKG research-field hierarchy
+// ================================
+
+import { ResearchFieldTaxonomy } from '../../services/researchFieldTaxonomy.js';
+
+export class ResearchFieldTree {
+    constructor(options = {}) {
+        this.options = {
+            loadTaxonomy: null,     // async (forceRefresh) => taxonomy data
+            onSelect: null,         // (field) => void, field has { id, label, path }
+            maxResults: 50,
+            searchDelay: 150,
+            ...options
+        };
+
+        this.container = null;
+        this.taxonomy = null;
+        this.isOpen = false;
+        this.isLoading = false;
+        this.error = null;
+        this.query = '';
+        this.expanded = new Set();
+        this.selectedId = null;
+        this.searchTimeout = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    /**
+     * Render into a container. State (open, expanded nodes, query) survives
+     * re-mounting, as FieldStep re-renders on every state change.
+     */
+    mount(container) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+        }
+
+        this.container = container;
+        if (!container) return;
+
+        container.addEventListener('click', this.handleClick);
+        container.addEventListener('input', this.handleInput);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="field-taxonomy ${this.isOpen ? 'open' : ''}">
+                <button class="field-taxonomy-toggle" data-action="toggle-browser" type="button">
+                    <i class="fas fa-sitemap"></i>
+                    <span>Browse all ORKG research fields</span>
+                    <i class="fas fa-chevron-${this.isOpen ? 'up' : 'down'}"></i>
+                </button>
+                ${this.isOpen ? `
+                    <div class="field-taxonomy-panel">
+                        <div class="field-taxonomy-search">
+                            <i class="fas fa-search"></i>
+                            <input type="text"
+                                   class="form-control field-taxonomy-input"
+                                   placeholder="Search research fields..."
+                                   value="${this.escapeHtml(this.query)}"
+                                   ${this.taxonomy ? '' : 'disabled'}>
+                        </div>
+                        <div class="field-taxonomy-body">
+                            ${this.renderBody()}
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderBody() {
+        if (this.isLoading) {
+            return `
+                <div class="field-taxonomy-message">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Loading research fields from ORKG...
+                </div>
+            `;
+        }
+
+        if (this.error) {
+            return `
+                <div class="field-taxonomy-message error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Could not load research fields: ${this.escapeHtml(this.error)}
+                    <button class="btn btn-sm btn-secondary" data-action="reload-taxonomy" type="button">
+                        <i class="fas fa-refresh"></i>
+                        <span>Retry</span>
+                    </button>
+                </div>
+            `;
+        }
+
+        if (!this.taxonomy) return '';
+
+        if (this.query.trim()) {
+            return this.renderSearchResults();
+        }
+
+        return `
+            <ul class="field-tree" role="tree">
+                ${this.taxonomy.getTopLevel().map(field => this.renderNode(field)).join('')}
+            </ul>
+            <div class="field-taxonomy-footer">
+                <small class="text-secondary">
+                    ${this.taxonomy.size} fields ·
+                    <a href="#" data-action="reload-taxonomy">refresh</a>
+                </small>
+            </div>
+        `;
+    }
+
+    renderNode(field) {
+        const children = this.taxonomy.getChildren(field.id);
+        const isExpanded = this.expanded.has(field.id);
+        const isSelected = this.selectedId === field.id;
+
+        return `
+            <li class="field-tree-node" role="treeitem" aria-expanded="${children.length > 0 ? isExpanded : ''}">
+                <div class="field-tree-row ${isSelected ? 'selected' : ''}" data-field-id="${this.escapeHtml(field.id)}">
+                    ${children.length > 0 ? `
+                        <button class="field-tree-expander" data-action="toggle-node" type="button"
+                                aria-label="${isExpanded ? 'Collapse' : 'Expand'}">
+                            <i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>
+                        </button>
+                    ` : '<span class="field-tree-leaf"></span>'}
+                    <span class="field-tree-label" data-action="${children.length > 0 ? 'toggle-node' : 'select-field'}">
+                        ${this.escapeHtml(field.label)}
+                    </span>
+                    ${children.length > 0 ? `
+                        <span class="field-tree-count">${this.taxonomy.countDescendants(field.id)}</span>
+                    ` : ''}
+                    <button class="btn btn-sm btn-secondary field-tree-select" data-action="select-field" type="button">
+                        ${isSelected ? 'Selected' : 'Select'}
+                    </button>
+                </div>
+                ${isExpanded ? `
+                    <ul class="field-tree-children" role="group">
+                        ${children.map(child => this.renderNode(child)).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    renderSearchResults() {
+        const results = this.taxonomy.search(this.query, this.options.maxResults);
+
+        if (results.length === 0) {
+            return `
+                <div class="field-taxonomy-message">
+                    No research fields match "${this.escapeHtml(this.query)}"
+                </div>
+            `;
+        }
+
+        return `
+            <ul class="field-tree field-tree-results">
+                ${results.map(field => {
+                    const parents = this.taxonomy.getPathLabels(field.id).slice(0, -1);
+                    return `
+                        <li class="field-tree-node">
+                            <div class="field-tree-row ${this.selectedId === field.id ? 'selected' : ''}"
+                                 data-field-id="${this.escapeHtml(field.id)}">
+                                <span class="field-tree-label" data-action="select-field">
+                                    ${this.highlightMatch(field.label)}
+                                    ${parents.length > 0 ? `
+                                        <small class="field-tree-path">${this.escapeHtml(parents.join(' › '))}</small>
+                                    ` : ''}
+                                </span>
+                                <button class="btn btn-sm btn-secondary field-tree-select" data-action="select-field" type="button">
+                                    ${this.selectedId === field.id ? 'Selected' : 'Select'}
+                                </button>
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    // Only the results are redrawn while typing so the input keeps focus
+    renderBodyOnly() {
+        const body = this.container?.querySelector('.field-taxonomy-body');
+        if (body) {
+            body.innerHTML = this.renderBody();
+        }
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.render();
+
+        if (!this.taxonomy && !this.isLoading) {
+            await this.load();
+        }
+    }
+
+    async load(forceRefresh = false) {
+        if (typeof this.options.loadTaxonomy !== 'function') {
+            this.error = 'ORKG service not available';
+            this.render();
+            return;
+        }
+
+        this.isLoading = true;
+        this.error = null;
+        this.render();
+
+        try {
+            const data = await this.options.loadTaxonomy(forceRefresh);
+            this.taxonomy = new ResearchFieldTaxonomy(data);
+            this.revealSelected();
+        } catch (error) {
+            console.error('Failed to load research field taxonomy:', error);
+            this.error = error.message || 'Unknown error';
+        } finally {
+            this.isLoading = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Mark a field as selected and expand its ancestors
+     */
+    setSelected(fieldId) {
+        this.selectedId = fieldId || null;
+        this.revealSelected();
+
+        if (this.isOpen) {
+            this.render();
+        }
+    }
+
+    revealSelected() {
+        if (!this.taxonomy || !this.selectedId) return;
+
+        this.taxonomy.getPath(this.selectedId).slice(0, -1).forEach(field => {
+            this.expanded.add(field.id);
+        });
+    }
+
+    handleClick(e) {
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement || !this.container?.contains(actionElement)) return;
+
+        const action = actionElement.dataset.action;
+        const fieldId = actionElement.closest('[data-field-id]')?.dataset.fieldId;
+
+        switch (action) {
+            case 'toggle-browser':
+                if (this.isOpen) {
+                    this.isOpen = false;
+                    this.render();
+                } else {
+                    this.open();
+                }
+                break;
+            case 'reload-taxonomy':
+                e.preventDefault();
+                this.load(true);
+                break;
+            case 'toggle-node':
+                if (this.expanded.has(fieldId)) {
+                    this.expanded.delete(fieldId);
+                } else {
+                    this.expanded.add(fieldId);
+                }
+                this.renderBodyOnly();
+                break;
+            case 'select-field':
+                this.selectField(fieldId);
+                break;
+        }
+    }
+
+    handleInput(e) {
+        if (!e.target.classList.contains('field-taxonomy-input')) return;
+
+        this.query = e.target.value;
+
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.renderBodyOnly(), this.options.searchDelay);
+    }
+
+    selectField(fieldId) {
+        const field = this.taxonomy?.get(fieldId);
+        if (!field) return;
+
+        this.selectedId = field.id;
+        this.renderBodyOnly();
+
+        if (typeof this.options.onSelect === 'function') {
+            this.options.onSelect({
+                id: field.id,
+                label: field.label,
+                path: this.taxonomy.getPathLabels(field.id)
+            });
+        }
+    }
+
+    highlightMatch(label) {
+        const escaped = this.escapeHtml(label);
+        const query = this.escapeHtml(this.query.trim());
+        if (!query) return escaped;
+
+        const index = escaped.toLowerCase().indexOf(query.toLowerCase());
+        if (index === -1) return escaped;
+
+        return `${escaped.slice(0, index)}<mark>${escaped.slice(index, index + query.length)}</mark>${escaped.slice(index + query.length)}`;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        clearTimeout(this.searchTimeout);
+
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+        }
+
+        this.container = null;
+        this.taxonomy = null;
+        this.expanded.clear();
+    }
+}
+
+export default ResearchFieldTree;
@@ -0,0 +1,390 @@
+// ================================
+// src/core/content/problems/ProblemPublisher.js - Publish the AI problem as an ORKG problem
+// ================================
+
+export class ProblemPublisher {
+    constructor(options = {}) {
+        this.options = {
+            checkDuplicates: null,  // async (problem) => similar ORKG problems, best first
+            publish: null,          // async (problem, field) => PUBLISH_ORKG_PROBLEM response
+            onPublished: null,      // (response, problem) => void
+            onUseExisting: null,    // (orkgProblem) => void
+            ...options
+        };
+
+        this.container = null;
+        this.problem = null;
+        this.field = null;
+
+        // idle | form | checking | duplicates | check-failed | publishing | error
+        this.phase = 'idle';
+        this.sameAsText = '';
+        this.duplicates = [];
+        this.error = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    /**
+     * Render into a container. The open form and its input survive
+     * re-mounting, as ProblemStep re-renders the whole step on selection.
+     */
+    mount(container, problem, field) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+        }
+
+        this.container = container;
+        this.problem = problem;
+        this.field = field;
+        if (!container) return;
+
+        container.addEventListener('click', this.handleClick);
+        container.addEventListener('input', this.handleInput);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (this.problem?.published) {
+            this.container.innerHTML = `
+                <div class="problem-publish-status">
+                    <i class="fas fa-check-circle"></i>
+                    Published to ORKG as
+                    <a href="${this.escapeHtml(this.problem.url)}" target="_blank" rel="noopener noreferrer">
+                        ${this.escapeHtml(this.problem.orkgId)}
+                    </a>
+                </div>
+            `;
+            return;
+        }
+
+        if (this.phase === 'idle') {
+            this.container.innerHTML = `
+                <button class="btn btn-outline btn-sm publish-problem-btn" data-action="open" type="button">
+                    <i class="fas fa-cloud-upload-alt"></i>
+                    Publish as ORKG Problem
+                </button>
+            `;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="problem-publish-panel">
+                <div class="problem-publish-header">
+                    <i class="fas fa-cloud-upload-alt"></i>
+                    Publish as ORKG Problem
+                </div>
+                ${this.renderBody()}
+            </div>
+        `;
+    }
+
+    renderBody() {
+        switch (this.phase) {
+            case 'checking':
+                return this.renderProgress('Searching ORKG for similar problems in all fields...');
+            case 'publishing':
+                return this.renderProgress('Creating the research problem in ORKG...');
+            case 'duplicates':
+                return this.renderDuplicates();
+            case 'check-failed':
+                return this.renderCheckFailed();
+            case 'error':
+                return `
+                    <div class="problem-publish-message error">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        ${this.escapeHtml(this.error)}
+                    </div>
+                    <div class="problem-publish-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                        <button class="btn btn-primary btn-sm" data-action="check" type="button">
+                            <i class="fas fa-redo"></i>
+                            Try Again
+                        </button>
+                    </div>
+                `;
+            default:
+                return this.renderForm();
+        }
+    }
+
+    renderForm() {
+        const invalid = this.getInvalidUrls();
+        const hasFieldId = this.hasORKGField();
+
+        return `
+            <div class="problem-publish-field">
+                ${hasFieldId ? `
+                    <i class="fas fa-tags"></i>
+                    Research field: <strong>${this.escapeHtml(this.field.label)}</strong>
+                ` : `
+                    <div class="problem-publish-message warning">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        The selected research field has no ORKG ID, so the problem will be published without a field.
+                    </div>
+                `}
+            </div>
+            <label class="problem-publish-label" for="problem-same-as">
+                Same as <small>(optional, one URL per line, e.g. Wikidata)</small>
+            </label>
+            <textarea id="problem-same-as" class="form-control problem-same-as-input" rows="2"
+                      placeholder="https://www.wikidata.org/wiki/Q...">${this.escapeHtml(this.sameAsText)}</textarea>
+            <div class="problem-publish-message error invalid-urls" ${invalid.length > 0 ? '' : 'hidden'}>
+                Not a URL: ${this.escapeHtml(invalid.join(', '))}
+            </div>
+            <div class="problem-publish-actions">
+                <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                <button class="btn btn-primary btn-sm" data-action="check" type="button" ${invalid.length > 0 ? 'disabled' : ''}>
+                    <i class="fas fa-search"></i>
+                    Check for Duplicates &amp; Publish
+                </button>
+            </div>
+        `;
+    }
+
+    renderDuplicates() {
+        return `
+            <div class="problem-publish-message warning">
+                <i class="fas fa-exclamation-triangle"></i>
+                ORKG already has ${this.duplicates.length === 1 ? 'a problem' : `${this.duplicates.length} problems`}
+                close to this one. Reuse an existing problem where possible.
+            </div>
+            <ul class="problem-duplicates">
+                ${this.duplicates.map((problem, index) => `
+                    <li class="problem-duplicate">
+                        <div class="problem-duplicate-info">
+                            <a href="https://orkg.org/problem/${encodeURIComponent(problem.id)}" target="_blank" rel="noopener noreferrer">
+                                ${this.escapeHtml(problem.label || problem.title)}
+                            </a>
+                            <small>${this.escapeHtml(problem.id)} · ${Math.round((problem.similarity || 0) * 100)}% similar</small>
+                        </div>
+                        <button class="btn btn-outline btn-sm" data-action="use-existing" data-index="${index}" type="button">
+                            Use This
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="problem-publish-actions">
+                <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                <button class="btn btn-warning btn-sm" data-action="publish" type="button">
+                    Publish Anyway
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Publishing without the check could create a duplicate public
+     * problem, so it takes an explicit choice
+     */
+    renderCheckFailed() {
+        return `
+            <div class="problem-publish-message error">
+                <i class="fas fa-exclamation-triangle"></i>
+                ORKG could not be searched for similar problems: ${this.escapeHtml(this.error)}
+            </div>
+            <div class="problem-publish-message warning">
+                Publishing now may create a duplicate of an existing problem.
+            </div>
+            <div class="problem-publish-actions">
+                <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                <button class="btn btn-outline btn-sm" data-action="check" type="button">
+                    <i class="fas fa-redo"></i>
+                    Check Again
+                </button>
+                <button class="btn btn-warning btn-sm" data-action="publish" type="button">
+                    Publish Anyway
+                </button>
+            </div>
+        `;
+    }
+
+    renderProgress(message) {
+        return `
+            <div class="problem-publish-message">
+                <i class="fas fa-spinner fa-spin"></i>
+                ${message}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement || !this.container?.contains(actionElement)) return;
+
+        // Keep clicks from selecting the surrounding problem card
+        e.stopPropagation();
+
+        switch (actionElement.dataset.action) {
+            case 'open':
+                this.setPhase('form');
+                break;
+            case 'cancel':
+                this.duplicates = [];
+                this.error = null;
+                this.setPhase('idle');
+                break;
+            case 'check':
+                this.checkAndPublish();
+                break;
+            case 'publish':
+                this.publish();
+                break;
+            case 'use-existing': {
+                const problem = this.duplicates[parseInt(actionElement.dataset.index)];
+                if (problem && typeof this.options.onUseExisting === 'function') {
+                    this.setPhase('idle');
+                    this.options.onUseExisting(problem);
+                }
+                break;
+            }
+        }
+    }
+
+    handleInput(e) {
+        if (!e.target.classList.contains('problem-same-as-input')) return;
+
+        this.sameAsText = e.target.value;
+
+        // Update validation in place so the textarea keeps focus
+        const invalid = this.getInvalidUrls();
+        const message = this.container.querySelector('.invalid-urls');
+        if (message) {
+            message.hidden = invalid.length === 0;
+            message.textContent = `Not a URL: ${invalid.join(', ')}`;
+        }
+
+        const checkButton = this.container.querySelector('[data-action="check"]');
+        if (checkButton) {
+            checkButton.disabled = invalid.length > 0;
+        }
+    }
+
+    async checkAndPublish() {
+        if (!this.problem?.title?.trim()) {
+            this.fail('Give the problem a title before publishing');
+            return;
+        }
+
+        if (typeof this.options.checkDuplicates !== 'function') {
+            this.fail('Checking for duplicate problems is not available');
+            return;
+        }
+
+        this.error = null;
+        this.setPhase('checking');
+
+        let similar;
+        try {
+            similar = await this.options.checkDuplicates(this.problem);
+        } catch (error) {
+            console.warn('Duplicate check failed:', error);
+            this.error = error.message || 'Unknown error';
+            this.setPhase('check-failed');
+            return;
+        }
+
+        if (similar.length > 0) {
+            this.duplicates = similar;
+            this.setPhase('duplicates');
+            return;
+        }
+
+        await this.publish();
+    }
+
+    async publish() {
+        if (typeof this.options.publish !== 'function') {
+            this.fail('Publishing is not available');
+            return;
+        }
+
+        this.setPhase('publishing');
+
+        const problem = {
+            title: this.problem.title.trim(),
+            description: (this.problem.description || '').trim(),
+            sameAs: this.getSameAsUrls()
+        };
+
+        try {
+            const response = await this.options.publish(problem, this.hasORKGField() ? this.field : null);
+
+            if (!response?.success) {
+                this.fail(response?.error || 'ORKG did not accept the problem');
+                return;
+            }
+
+            this.phase = 'idle';
+            this.sameAsText = '';
+            this.duplicates = [];
+
+            if (typeof this.options.onPublished === 'function') {
+                this.options.onPublished(response, problem);
+            }
+        } catch (error) {
+            console.error('Publishing research problem failed:', error);
+            this.fail(error.message || 'Unknown error');
+        }
+    }
+
+    fail(message) {
+        this.error = message;
+        this.setPhase('error');
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.render();
+    }
+
+    hasORKGField() {
+        return /^R\d+$/.test(this.field?.id || '');
+    }
+
+    getSameAsUrls() {
+        return Array.from(new Set(
+            this.sameAsText.split(/[\n,]+/).map(url => url.trim()).filter(Boolean)
+        ));
+    }
+
+    getInvalidUrls() {
+        return this.getSameAsUrls().filter(url => !/^https?:\/\/\S+$/i.test(url));
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Forget an open form, e.g. when a new AI problem is generated
+     */
+    reset() {
+        this.phase = 'idle';
+        this.sameAsText = '';
+        this.duplicates = [];
+        this.error = null;
+        this.render();
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+        }
+
+        this.container = null;
+        this.problem = null;
+        this.field = null;
+    }
+}
+
+export default ProblemPublisher;
@@ -0,0 +1,227 @@
+import { formatCardinality } from './templateDiff.js';
+
+/**
+ * Side-by-side comparison of the ORKG version of a template with the
+ * user's version, with the choice to keep a local fork for the research
+ * problem or to submit the changes as a new version of the ORKG template.
+ */
+export class TemplateDiffView {
+    constructor(options = {}) {
+        this.options = {
+            onKeepFork: null,   // () => Promise
+            onSubmit: null,     // () => Promise
+            onDiscard: null,    // () => void
+            onClose: null,      // () => void
+            ...options
+        };
+
+        this.container = null;
+        this.data = null;
+        this.busyAction = null;
+
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} data - { upstream, local, diff, problem, canFork }
+     */
+    render(container, data) {
+        if (this.container && this.container !== container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+
+        if (this.container !== container) {
+            container.addEventListener('click', this.handleClick);
+        }
+
+        this.container = container;
+        this.data = data;
+        this.busyAction = null;
+        this.update();
+    }
+
+    update() {
+        if (!this.container || !this.data) return;
+
+        const { upstream, local, diff, problem, canFork } = this.data;
+        const isFork = !!local.fork;
+
+        this.container.innerHTML = `
+            <div class="template-diff">
+                <div class="template-diff-header">
+                    <h3>
+                        <i class="fas fa-columns"></i>
+                        Changes to ${this.escapeHtml(upstream.name)}
+                    </h3>
+                    <button class="btn-icon" data-action="close" title="Back to templates" type="button">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+
+                ${diff.modified ? this.renderSummary(diff.summary, diff.fields) : `
+                    <div class="template-diff-message">
+                        <i class="fas fa-check-circle"></i>
+                        Your version matches the current ORKG template.
+                    </div>
+                `}
+
+                <table class="template-diff-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>ORKG <small>${this.escapeHtml(upstream.id)}</small></th>
+                            <th>${isFork ? 'Your fork' : 'Your version'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${diff.fields.map(field => `
+                            <tr class="diff-row diff-changed">
+                                <td class="diff-status"><i class="fas fa-pen"></i></td>
+                                <td><small>${field.field}</small> ${this.escapeHtml(field.before) || '<em>empty</em>'}</td>
+                                <td><small>${field.field}</small> ${this.escapeHtml(field.after) || '<em>empty</em>'}</td>
+                            </tr>
+                        `).join('')}
+                        ${diff.rows.map(row => this.renderRow(row)).join('')}
+                    </tbody>
+                </table>
+
+                <div class="template-diff-actions">
+                    ${isFork ? `
+                        <button class="btn btn-secondary btn-sm" data-action="discard" type="button">
+                            <i class="fas fa-undo"></i>
+                            Drop Fork, Use ORKG
+                        </button>
+                    ` : `
+                        <button class="btn btn-secondary btn-sm" data-action="discard" type="button">
+                            <i class="fas fa-undo"></i>
+                            Discard Changes
+                        </button>
+                    `}
+                    ${canFork ? `
+                        <button class="btn btn-outline btn-sm" data-action="fork" type="button" ${diff.modified ? '' : 'disabled'}
+                                title="Use this version for ${this.escapeHtml(problem?.title || problem?.label || 'this problem')} only">
+                            <i class="fas ${this.busyAction === 'fork' ? 'fa-spinner fa-spin' : 'fa-code-branch'}"></i>
+                            ${isFork ? 'Update Local Fork' : 'Keep as Local Fork'}
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-primary btn-sm" data-action="submit" type="button" ${diff.modified ? '' : 'disabled'}>
+                        <i class="fas ${this.busyAction === 'submit' ? 'fa-spinner fa-spin' : 'fa-cloud-upload-alt'}"></i>
+                        Submit as New ORKG Version
+                    </button>
+                </div>
+            </div>
+        `;
+
+        if (this.busyAction) {
+            this.container.querySelectorAll('[data-action]').forEach(button => {
+                button.disabled = true;
+            });
+        }
+    }
+
+    renderSummary(summary, fields) {
+        const parts = [
+            [summary.added, 'added'],
+            [summary.removed, 'removed'],
+            [summary.retyped, 'retyped'],
+            [summary.cardinality, 'cardinality changed'],
+            [summary.relabeled, 'renamed'],
+            [summary.described, 'description changed']
+        ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+        if (fields.length > 0) {
+            parts.unshift(`template ${fields.map(field => field.field).join(' and ')} changed`);
+        }
+
+        return `
+            <div class="template-diff-summary">
+                ${parts.map(part => `<span class="diff-chip">${part}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    renderRow(row) {
+        const icons = {
+            added: 'fa-plus',
+            removed: 'fa-minus',
+            changed: 'fa-pen',
+            unchanged: ''
+        };
+
+        return `
+            <tr class="diff-row diff-${row.status}">
+                <td class="diff-status">${icons[row.status] ? `<i class="fas ${icons[row.status]}"></i>` : ''}</td>
+                <td>${row.upstream ? this.renderProperty(row.upstream, row.changes) : ''}</td>
+                <td>${row.local ? this.renderProperty(row.local, row.changes) : ''}</td>
+            </tr>
+        `;
+    }
+
+    renderProperty(property, changes) {
+        const changed = (aspect) => changes.includes(aspect) ? 'diff-highlight' : '';
+
+        return `
+            <div class="diff-property">
+                <span class="diff-label ${changed('label')}">${this.escapeHtml(property.label)}</span>
+                <span class="diff-meta">
+                    <span class="${changed('type')}">${this.escapeHtml(property.type || 'text')}</span>
+                    <span class="${changed('cardinality')}">${formatCardinality(property)}</span>
+                </span>
+                ${changes.includes('description') ? `
+                    <span class="diff-description diff-highlight">${this.escapeHtml(property.description) || '<em>no description</em>'}</span>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async handleClick(e) {
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement || actionElement.disabled || this.busyAction) return;
+
+        const action = actionElement.dataset.action;
+
+        switch (action) {
+            case 'close':
+                this.options.onClose?.();
+                break;
+            case 'discard':
+                this.options.onDiscard?.();
+                break;
+            case 'fork':
+            case 'submit': {
+                const handler = action === 'fork' ? this.options.onKeepFork : this.options.onSubmit;
+                if (typeof handler !== 'function') return;
+
+                this.busyAction = action;
+                this.update();
+                try {
+                    await handler();
+                } finally {
+                    // The handler usually navigates away; only restore if still shown
+                    if (this.busyAction === action) {
+                        this.busyAction = null;
+                        this.update();
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+        }
+        this.container = null;
+        this.data = null;
+        this.busyAction = null;
+    }
+}
@@ -1,4 +1,5 @@
 import { eventManager } from '../../../utils/eventManager.js';
+import { formatCardinality, getUpstreamTemplateId } from './templateDiff.js';
 
 export class TemplateEditor {
     constructor() {
@@ -40,7 +41,7 @@ export class TemplateEditor {
                         ${this.isAIGenerated ? '<span class="ai-badge">AI Generated</span>' : ''}
                     </div>
                     <div class="template-actions">
-                        ${!this.isAIGenerated ? `
+                        ${!this.isAIGenerated || this.template.published ? `
                             <a href="${this.getORKGEditUrl()}" 
                                target="_blank" 
                                class="orkg-edit-link">
@@ -80,6 +81,12 @@ export class TemplateEditor {
                             <i class="fas fa-list"></i>
                             ${this.template.properties?.length || 0} Properties
                         </span>
+                        ${this.template.fork ? `
+                            <span class="stat-item fork-badge">
+                                <i class="fas fa-code-branch"></i>
+                                Local fork
+                            </span>
+                        ` : ''}
                         ${!this.isAIGenerated && this.template.usageCount ? `
                             <span class="stat-item">
                                 <i class="fas fa-file-alt"></i>
@@ -87,6 +94,11 @@ export class TemplateEditor {
                             </span>
                         ` : ''}
                     </div>
+                    ${this.getUpstreamId() ? `
+                        <button class="btn btn-outline" id="compare-template-btn">
+                            <i class="fas fa-columns"></i> Compare with ORKG
+                        </button>
+                    ` : ''}
                     <button class="btn btn-success" id="save-template-btn">
                         <i class="fas fa-save"></i> Save Changes
                     </button>
@@ -230,6 +242,14 @@ export class TemplateEditor {
             });
         });
         
+        // Compare button
+        const compareBtn = this.container.querySelector('#compare-template-btn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => {
+                eventManager.emit('template:compare', { template: this.template });
+            });
+        }
+        
         // Save button
         const saveBtn = this.container.querySelector('#save-template-btn');
         if (saveBtn) {
@@ -246,6 +266,12 @@ export class TemplateEditor {
         const property = this.template.properties.find(p => p.id === propertyId);
         if (property) {
             property[field] = value;
+            
+            // Keep the ORKG cardinality in line with the checkbox
+            if (field === 'required') {
+                property.minCount = value ? Math.max(1, property.minCount || 0) : 0;
+            }
+            
             this.validateProperty(property);
             this.markAsModified();
         }
@@ -392,7 +418,8 @@ export class TemplateEditor {
                     originalProp.label !== prop.label ||
                     originalProp.description !== prop.description ||
                     originalProp.type !== prop.type ||
-                    originalProp.required !== prop.required;
+                    originalProp.required !== prop.required ||
+                    formatCardinality(originalProp) !== formatCardinality(prop);
                 
                 if (isModified) {
                     changes.propertiesModified.push(prop);
@@ -416,9 +443,13 @@ export class TemplateEditor {
         }
     }
     
+    getUpstreamId() {
+        return getUpstreamTemplateId(this.template, this.isAIGenerated);
+    }
+    
     getORKGEditUrl() {
-        if (this.template.id) {
-            return `https://orkg.org/template/${this.template.id}`;
+        if (this.template.orkgId || this.template.id) {
+            return `https://orkg.org/template/${this.template.orkgId || this.template.id}`;
         }
         return '#';
     }
@@ -0,0 +1,420 @@
+import { eventManager } from '../../../utils/eventManager.js';
+
+/**
+ * The user's template library: filter by tag or text, pick a template,
+ * edit tags, browse and roll back versions, import and export JSON.
+ */
+export class TemplateLibraryView {
+    constructor(options = {}) {
+        this.options = {
+            library: null,      // TemplateLibrary
+            onUse: null,        // (template) => void
+            onEdit: null,       // (template) => void
+            onSearchORKG: null, // () => void, offered when set
+            ...options
+        };
+
+        this.container = null;
+        this.entries = [];
+        this.tags = [];
+        this.filterTag = null;
+        this.query = '';
+        this.historyId = null;
+        this.tagsEditId = null;
+        this.selectedId = null;
+        this.isLoading = false;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options - { selectedId }
+     */
+    async mount(container, options = {}) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+            this.container.removeEventListener('keydown', this.handleKeydown);
+        }
+
+        this.container = container;
+        this.selectedId = options.selectedId || null;
+        if (!container) return;
+
+        container.addEventListener('click', this.handleClick);
+        container.addEventListener('input', this.handleInput);
+        container.addEventListener('keydown', this.handleKeydown);
+
+        await this.refresh();
+    }
+
+    async refresh() {
+        const library = this.options.library;
+        if (!library) return;
+
+        this.isLoading = true;
+        this.render();
+
+        this.tags = await library.getTags();
+        if (this.filterTag && !this.tags.includes(this.filterTag)) {
+            this.filterTag = null;
+        }
+        this.entries = await library.list({ tag: this.filterTag });
+
+        this.isLoading = false;
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="template-library">
+                <div class="template-library-toolbar">
+                    <input type="search" class="form-control template-library-search"
+                           placeholder="Search templates..." value="${this.escapeHtml(this.query)}">
+                    <button class="btn btn-outline btn-sm" data-action="import" type="button" title="Import templates from JSON">
+                        <i class="fas fa-file-import"></i> Import
+                    </button>
+                    <button class="btn btn-outline btn-sm" data-action="export-all" type="button"
+                            title="Export the library as JSON" ${this.entries.length === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-file-export"></i> Export
+                    </button>
+                </div>
+
+                ${this.tags.length > 0 ? `
+                    <div class="template-library-tags">
+                        <button class="tag-chip ${this.filterTag ? '' : 'active'}" data-action="filter-tag" data-tag="" type="button">All</button>
+                        ${this.tags.map(tag => `
+                            <button class="tag-chip ${this.filterTag === tag ? 'active' : ''}" data-action="filter-tag"
+                                    data-tag="${this.escapeHtml(tag)}" type="button">${this.escapeHtml(tag)}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="template-library-list">
+                    ${this.renderEntries()}
+                </div>
+
+                ${typeof this.options.onSearchORKG === 'function' ? `
+                    <div class="template-alternative">
+                        <p>Not in your library?</p>
+                        <button class="btn btn-secondary" data-action="search-orkg" type="button">
+                            <i class="fas fa-search"></i>
+                            Search ORKG Templates
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderEntries() {
+        if (this.isLoading) {
+            return `
+                <div class="template-library-empty">
+                    <i class="fas fa-spinner fa-spin"></i> Loading library...
+                </div>
+            `;
+        }
+
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) {
+            return `
+                <div class="template-library-empty">
+                    ${this.entries.length === 0 ?
+                        'Your library is empty. Save a template to it or import a JSON file.' :
+                        'No templates match your search.'}
+                </div>
+            `;
+        }
+
+        return entries.map(entry => this.renderEntry(entry)).join('');
+    }
+
+    renderEntry(entry) {
+        const template = entry.template;
+        const latest = entry.versions[entry.versions.length - 1];
+        const isSelected = entry.id === this.selectedId;
+
+        return `
+            <div class="template-library-item ${isSelected ? 'selected' : ''}" data-library-id="${this.escapeHtml(entry.id)}">
+                <div class="template-library-item-header">
+                    <div>
+                        <h4 class="template-name">${this.escapeHtml(template.name)}</h4>
+                        <small class="template-library-meta">
+                            ${template.properties.length} properties ·
+                            v${latest.version} · ${this.formatDate(latest.savedAt)}
+                            ${entry.source?.type === 'orkg' ? ` · from ORKG ${this.escapeHtml(entry.source.id)}` : ''}
+                            ${entry.source?.type === 'ai' ? ' · AI generated' : ''}
+                        </small>
+                    </div>
+                    <div class="template-library-item-actions">
+                        <button class="btn btn-primary btn-sm" data-action="use" type="button">
+                            <i class="fas fa-check"></i> ${isSelected ? 'Selected' : 'Use'}
+                        </button>
+                        <button class="btn-icon" data-action="edit" type="button" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon" data-action="history" type="button" title="Version history">
+                            <i class="fas fa-history"></i>
+                        </button>
+                        <button class="btn-icon" data-action="export" type="button" title="Export as JSON">
+                            <i class="fas fa-download"></i>
+                        </button>
+                        <button class="btn-icon" data-action="remove" type="button" title="Remove from library">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+
+                ${template.description ? `
+                    <p class="template-description">${this.escapeHtml(template.description)}</p>
+                ` : ''}
+
+                <div class="template-library-item-tags">
+                    ${this.tagsEditId === entry.id ? `
+                        <input type="text" class="form-control template-tags-input"
+                               value="${this.escapeHtml(entry.tags.join(', '))}" placeholder="Comma-separated tags">
+                        <button class="btn btn-primary btn-sm" data-action="save-tags" type="button">Save</button>
+                        <button class="btn btn-secondary btn-sm" data-action="cancel-tags" type="button">Cancel</button>
+                    ` : `
+                        ${entry.tags.map(tag => `<span class="tag-chip">${this.escapeHtml(tag)}</span>`).join('')}
+                        <button class="btn-link" data-action="edit-tags" type="button">
+                            <i class="fas fa-tag"></i> ${entry.tags.length > 0 ? 'Edit tags' : 'Add tags'}
+                        </button>
+                    `}
+                </div>
+
+                ${this.historyId === entry.id ? this.renderHistory(entry) : ''}
+            </div>
+        `;
+    }
+
+    renderHistory(entry) {
+        const latest = entry.versions[entry.versions.length - 1];
+
+        return `
+            <ol class="template-version-list" reversed>
+                ${entry.versions.slice().reverse().map(version => `
+                    <li class="template-version ${version === latest ? 'current' : ''}">
+                        <span class="template-version-label">v${version.version}</span>
+                        <span class="template-version-note">
+                            ${this.escapeHtml(version.note)} · ${version.snapshot.properties.length} properties
+                        </span>
+                        <span class="template-version-date">${this.formatDate(version.savedAt)}</span>
+                        ${version === latest ? '<span class="template-version-current">current</span>' : `
+                            <button class="btn btn-outline btn-sm" data-action="rollback" data-version="${version.version}" type="button">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                        `}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    getVisibleEntries() {
+        const query = this.query.trim().toLowerCase();
+        if (!query) return this.entries;
+
+        return this.entries.filter(entry =>
+            entry.template.name.toLowerCase().includes(query) ||
+            (entry.template.description || '').toLowerCase().includes(query) ||
+            entry.tags.some(tag => tag.includes(query))
+        );
+    }
+
+    async handleClick(e) {
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement || actionElement.disabled) return;
+
+        const item = actionElement.closest('[data-library-id]');
+        const entry = item ? this.entries.find(en => en.id === item.dataset.libraryId) : null;
+        const library = this.options.library;
+
+        try {
+            switch (actionElement.dataset.action) {
+                case 'filter-tag':
+                    this.filterTag = actionElement.dataset.tag || null;
+                    await this.refresh();
+                    break;
+                case 'search-orkg':
+                    this.options.onSearchORKG?.();
+                    break;
+                case 'import':
+                    this.pickAndImport();
+                    break;
+                case 'export-all':
+                    await this.download();
+                    break;
+                case 'use':
+                    this.selectedId = entry.id;
+                    this.render();
+                    this.options.onUse?.(entry.template);
+                    break;
+                case 'edit':
+                    this.options.onEdit?.(entry.template);
+                    break;
+                case 'history':
+                    this.historyId = this.historyId === entry.id ? null : entry.id;
+                    this.render();
+                    break;
+                case 'export':
+                    await this.download([entry.id], entry.template.name);
+                    break;
+                case 'remove':
+                    if (confirm(`Remove "${entry.template.name}" and its history from your library?`)) {
+                        await library.remove(entry.id);
+                        await this.refresh();
+                    }
+                    break;
+                case 'edit-tags':
+                    this.tagsEditId = entry.id;
+                    this.render();
+                    this.container.querySelector('.template-tags-input')?.focus();
+                    break;
+                case 'cancel-tags':
+                    this.tagsEditId = null;
+                    this.render();
+                    break;
+                case 'save-tags':
+                    await this.saveTags(entry);
+                    break;
+                case 'rollback': {
+                    const version = parseInt(actionElement.dataset.version);
+                    const updated = await library.rollback(entry.id, version);
+                    this.showMessage(`Restored version ${version} of ${entry.template.name}`, 'success');
+                    await this.refresh();
+
+                    // The selected template follows the rollback
+                    if (this.selectedId === entry.id) {
+                        this.options.onUse?.(updated.template);
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Template library action failed:', error);
+            this.showMessage(error.message || 'Template library action failed', 'error');
+        }
+    }
+
+    handleInput(e) {
+        if (!e.target.classList.contains('template-library-search')) return;
+
+        this.query = e.target.value;
+
+        // Re-render only the list so the search field keeps focus
+        const list = this.container.querySelector('.template-library-list');
+        if (list) {
+            list.innerHTML = this.renderEntries();
+        }
+    }
+
+    handleKeydown(e) {
+        if (!e.target.classList.contains('template-tags-input')) return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const entry = this.entries.find(en => en.id === this.tagsEditId);
+            if (entry) {
+                this.saveTags(entry);
+            }
+        } else if (e.key === 'Escape') {
+            this.tagsEditId = null;
+            this.render();
+        }
+    }
+
+    async saveTags(entry) {
+        const input = this.container.querySelector('.template-tags-input');
+        await this.options.library.setTags(entry.id, input ? input.value : '');
+        this.tagsEditId = null;
+        await this.refresh();
+    }
+
+    /**
+     * Let the user pick a JSON file and import it
+     */
+    pickAndImport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+
+            try {
+                const result = await this.options.library.importJSON(await file.text());
+
+                let message = `Imported ${result.imported} template${result.imported === 1 ? '' : 's'}`;
+                if (result.updated > 0) message += `, updated ${result.updated}`;
+                if (result.skipped > 0) message += `, skipped ${result.skipped}`;
+
+                this.showMessage(message, result.errors.length > 0 ? 'warning' : 'success');
+                if (result.errors.length > 0) {
+                    console.warn('Template import problems:', result.errors);
+                }
+
+                await this.refresh();
+            } catch (error) {
+                console.error('Template import failed:', error);
+                this.showMessage(`Import failed: ${error.message}`, 'error');
+            }
+        });
+
+        input.click();
+    }
+
+    async download(libraryIds = null, name = null) {
+        const data = await this.options.library.exportJSON(libraryIds);
+
+        const slug = name ? name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'library';
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `templates-${slug || 'template'}-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.showMessage(`Exported ${data.templates.length} template${data.templates.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    showMessage(message, type) {
+        eventManager.emit('toast:show', {
+            message,
+            type,
+            duration: type === 'error' ? 3000 : 2000
+        });
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+            this.container.removeEventListener('keydown', this.handleKeydown);
+        }
+
+        this.container = null;
+        this.entries = [];
+        this.historyId = null;
+        this.tagsEditId = null;
+    }
+}
@@ -0,0 +1,398 @@
+/**
+ * Publishes a template as an ORKG template. The review lists the predicate
+ * each property will use (existing ones are reused, near-duplicates can be
+ * picked instead of creating a new predicate) and its cardinality.
+ */
+export class TemplatePublisher {
+    constructor(options = {}) {
+        this.options = {
+            preview: null,      // async (template) => PREVIEW_ORKG_TEMPLATE response
+            publish: null,      // async (template, predicateMappings) => PUBLISH_ORKG_TEMPLATE response
+            onPublished: null,  // (response, template) => void
+            ...options
+        };
+
+        this.container = null;
+        this.template = null;
+        this.context = {};
+
+        // idle | loading | review | publishing | error
+        this.phase = 'idle';
+        this.plan = null;
+        this.error = null;
+
+        // Lower-cased predicate label -> { id, label } chosen during review
+        this.predicateMappings = {};
+        // Property ID -> 'min..max'
+        this.cardinalities = {};
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} template
+     * @param {Object} context - { problem, researchField } the template will be related to
+     */
+    mount(container, template, context = {}) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+        }
+
+        // A different template invalidates an open review
+        if (this.template && template && this.template.id !== template.id) {
+            this.reset(false);
+        }
+
+        this.container = container;
+        this.template = template;
+        this.context = context;
+        if (!container) return;
+
+        container.addEventListener('click', this.handleClick);
+        container.addEventListener('change', this.handleChange);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (this.template?.published) {
+            this.container.innerHTML = `
+                <div class="template-publish-status">
+                    <i class="fas fa-check-circle"></i>
+                    Published to ORKG as
+                    <a href="${this.escapeHtml(this.template.url)}" target="_blank" rel="noopener noreferrer">
+                        ${this.escapeHtml(this.template.orkgId)}
+                    </a>
+                </div>
+            `;
+            return;
+        }
+
+        if (this.phase === 'idle') {
+            this.container.innerHTML = `
+                <button class="btn btn-outline publish-template-btn" data-action="review" type="button">
+                    <i class="fas fa-cloud-upload-alt"></i>
+                    Publish as ORKG Template
+                </button>
+            `;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="template-publish-panel">
+                <div class="template-publish-header">
+                    <i class="fas fa-cloud-upload-alt"></i>
+                    Publish as ORKG Template
+                </div>
+                ${this.renderBody()}
+            </div>
+        `;
+    }
+
+    renderBody() {
+        switch (this.phase) {
+            case 'loading':
+                return this.renderProgress('Matching properties to ORKG predicates...');
+            case 'publishing':
+                return this.renderProgress('Creating the template in ORKG...');
+            case 'error':
+                return `
+                    <div class="template-publish-message error">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        ${this.escapeHtml(this.error)}
+                    </div>
+                    <div class="template-publish-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                        <button class="btn btn-primary btn-sm" data-action="${this.plan ? 'publish' : 'review'}" type="button">
+                            <i class="fas fa-redo"></i>
+                            Try Again
+                        </button>
+                    </div>
+                `;
+            default:
+                return this.renderReview();
+        }
+    }
+
+    renderReview() {
+        const { problem, researchField } = this.context;
+        const problemId = this.getORKGId(problem);
+        const fieldId = this.getORKGId(researchField);
+
+        return `
+            <ul class="template-publish-relations">
+                <li>
+                    <i class="fas fa-puzzle-piece"></i>
+                    Research problem:
+                    ${problemId ? `
+                        <strong>${this.escapeHtml(problem.title || problem.label)}</strong> (${this.escapeHtml(problemId)})
+                    ` : `
+                        <span class="text-warning">not in ORKG yet, publish it in the problem step to link it</span>
+                    `}
+                </li>
+                <li>
+                    <i class="fas fa-tags"></i>
+                    Research field:
+                    ${fieldId ? `
+                        <strong>${this.escapeHtml(researchField.label)}</strong> (${this.escapeHtml(fieldId)})
+                    ` : `
+                        <span class="text-warning">no ORKG field selected</span>
+                    `}
+                </li>
+            </ul>
+            <table class="template-publish-table">
+                <thead>
+                    <tr>
+                        <th>Property</th>
+                        <th>ORKG predicate</th>
+                        <th>Values</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.plan.properties.map(property => this.renderPropertyRow(property)).join('')}
+                </tbody>
+            </table>
+            <div class="template-publish-summary">
+                ${this.plan.summary.properties} properties ·
+                ${this.countNewPredicates()} new predicate${this.countNewPredicates() === 1 ? '' : 's'}
+            </div>
+            <div class="template-publish-actions">
+                <button class="btn btn-secondary btn-sm" data-action="cancel" type="button">Cancel</button>
+                <button class="btn btn-primary btn-sm" data-action="publish" type="button">
+                    <i class="fas fa-cloud-upload-alt"></i>
+                    Publish Template
+                </button>
+            </div>
+        `;
+    }
+
+    renderPropertyRow(property) {
+        const predicate = property.predicate;
+        const key = predicate.label.trim().toLowerCase();
+        const mapped = this.predicateMappings[key];
+        const candidates = predicate.nearDuplicates || [];
+
+        return `
+            <tr data-property-id="${this.escapeHtml(property.propertyId)}">
+                <td>
+                    ${this.escapeHtml(property.label)}
+                    <small class="template-publish-type">${this.escapeHtml(property.datatype || 'Resource')}</small>
+                </td>
+                <td>
+                    ${predicate.status === 'reused' ? `
+                        <span class="predicate-reused" title="Existing ORKG predicate">
+                            <i class="fas fa-link"></i>
+                            ${this.escapeHtml(predicate.label)} <small>${this.escapeHtml(predicate.id)}</small>
+                        </span>
+                    ` : `
+                        <select class="form-control template-predicate-select" data-predicate-key="${this.escapeHtml(key)}">
+                            <option value="" ${mapped ? '' : 'selected'}>New predicate "${this.escapeHtml(predicate.label)}"</option>
+                            ${candidates.map(candidate => `
+                                <option value="${this.escapeHtml(candidate.id)}" ${mapped?.id === candidate.id ? 'selected' : ''}>
+                                    Use ${this.escapeHtml(candidate.label)} (${this.escapeHtml(candidate.id)}, ${Math.round(candidate.similarity * 100)}%)
+                                </option>
+                            `).join('')}
+                        </select>
+                    `}
+                </td>
+                <td>
+                    <select class="form-control template-cardinality-select">
+                        ${['0..*', '1..*', '0..1', '1..1'].map(value => `
+                            <option value="${value}" ${this.getCardinality(property) === value ? 'selected' : ''}>${value}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderProgress(message) {
+        return `
+            <div class="template-publish-message">
+                <i class="fas fa-spinner fa-spin"></i>
+                ${message}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement || !this.container?.contains(actionElement)) return;
+
+        switch (actionElement.dataset.action) {
+            case 'review':
+                this.review();
+                break;
+            case 'publish':
+                this.publish();
+                break;
+            case 'cancel':
+                this.reset();
+                break;
+        }
+    }
+
+    handleChange(e) {
+        const row = e.target.closest('tr[data-property-id]');
+
+        if (e.target.classList.contains('template-predicate-select')) {
+            const key = e.target.dataset.predicateKey;
+            const property = this.plan.properties.find(p => p.predicate.label.trim().toLowerCase() === key);
+            const candidate = property?.predicate.nearDuplicates?.find(c => c.id === e.target.value);
+
+            if (candidate) {
+                this.predicateMappings[key] = { id: candidate.id, label: candidate.label };
+            } else {
+                delete this.predicateMappings[key];
+            }
+
+            // Properties sharing the predicate follow the same choice
+            this.container.querySelectorAll(`.template-predicate-select[data-predicate-key="${CSS.escape(key)}"]`)
+                .forEach(select => { select.value = e.target.value; });
+            this.updateSummary();
+        } else if (e.target.classList.contains('template-cardinality-select') && row) {
+            this.cardinalities[row.dataset.propertyId] = e.target.value;
+        }
+    }
+
+    async review() {
+        if (typeof this.options.preview !== 'function') {
+            this.fail('Publishing is not available');
+            return;
+        }
+
+        this.setPhase('loading');
+
+        try {
+            const response = await this.options.preview(this.template);
+            if (!response?.success) {
+                this.fail(response?.error || 'Could not match template properties');
+                return;
+            }
+
+            this.plan = response.plan;
+            this.setPhase('review');
+        } catch (error) {
+            console.error('Template preview failed:', error);
+            this.fail(error.message || 'Unknown error');
+        }
+    }
+
+    async publish() {
+        if (!this.plan || typeof this.options.publish !== 'function') return;
+
+        this.setPhase('publishing');
+
+        const template = this.getTemplateToPublish();
+
+        try {
+            const response = await this.options.publish(template, { ...this.predicateMappings });
+
+            if (!response?.success) {
+                this.fail(response?.error || 'ORKG did not accept the template');
+                return;
+            }
+
+            this.reset(false);
+
+            if (typeof this.options.onPublished === 'function') {
+                this.options.onPublished(response, template);
+            }
+        } catch (error) {
+            console.error('Publishing template failed:', error);
+            this.fail(error.message || 'Unknown error');
+        }
+    }
+
+    /**
+     * The template with the cardinalities chosen during review
+     */
+    getTemplateToPublish() {
+        return {
+            ...this.template,
+            properties: (this.template.properties || []).map(property => {
+                const planned = this.plan.properties.find(p => p.propertyId === property.id);
+                if (!planned) return property;
+
+                const [min, max] = this.getCardinality(planned).split('..');
+                return {
+                    ...property,
+                    minCount: parseInt(min),
+                    maxCount: max === '*' ? null : parseInt(max)
+                };
+            })
+        };
+    }
+
+    getCardinality(property) {
+        if (this.cardinalities[property.propertyId]) {
+            return this.cardinalities[property.propertyId];
+        }
+        return `${property.minCount}..${property.maxCount === null || property.maxCount === undefined ? '*' : property.maxCount}`;
+    }
+
+    countNewPredicates() {
+        if (!this.plan) return 0;
+        return this.plan.predicates.filter(predicate =>
+            predicate.status === 'new' && !this.predicateMappings[predicate.label.trim().toLowerCase()]
+        ).length;
+    }
+
+    updateSummary() {
+        const summary = this.container?.querySelector('.template-publish-summary');
+        if (summary) {
+            const count = this.countNewPredicates();
+            summary.textContent = `${this.plan.summary.properties} properties · ${count} new predicate${count === 1 ? '' : 's'}`;
+        }
+    }
+
+    getORKGId(resource) {
+        return /^R\d+$/.test(resource?.id || '') ? resource.id : null;
+    }
+
+    fail(message) {
+        this.error = message;
+        this.setPhase('error');
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.render();
+    }
+
+    reset(render = true) {
+        this.phase = 'idle';
+        this.plan = null;
+        this.error = null;
+        this.predicateMappings = {};
+        this.cardinalities = {};
+
+        if (render) {
+            this.render();
+        }
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined || text === '') return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+        }
+
+        this.container = null;
+        this.template = null;
+        this.context = {};
+        this.reset(false);
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Property-level comparison of a customized template with the ORKG version
+ * it came from. Properties are matched by predicate, or by label when a
+ * property has no ORKG predicate yet.
+ */
+
+export function getPropertyKey(property) {
+    const predicateId = property.predicateId || (/^P\d+$/.test(property.id || '') ? property.id : null);
+    if (predicateId) return predicateId;
+    return `label:${(property.label || '').trim().toLowerCase()}`;
+}
+
+/**
+ * ORKG template a template is, or was forked from
+ */
+export function getUpstreamTemplateId(template, isAIGenerated = template?.isAIGenerated) {
+    if (!template) return null;
+    if (template.fork?.upstreamId) return template.fork.upstreamId;
+    if (template.orkgId) return template.orkgId;
+    if (!isAIGenerated && /^R\d+$/.test(template.id || '')) return template.id;
+    return null;
+}
+
+export function getCardinality(property) {
+    const min = property.minCount !== undefined && property.minCount !== null ?
+        property.minCount : (property.required ? 1 : 0);
+    const max = property.maxCount !== undefined ? property.maxCount : null;
+    return { min, max };
+}
+
+export function formatCardinality(property) {
+    const { min, max } = getCardinality(property);
+    return `${min}..${max === null ? '*' : max}`;
+}
+
+/**
+ * @param {Object} upstream - template as currently in ORKG
+ * @param {Object} local - the user's version
+ * @returns {Object} { modified, fields, rows, summary }. Each row pairs an
+ *          upstream and a local property with status added, removed,
+ *          changed or unchanged and the changed aspects (label,
+ *          description, type, cardinality).
+ */
+export function diffTemplates(upstream, local) {
+    const fields = ['name', 'description']
+        .filter(field => (upstream[field] || '').trim() !== (local[field] || '').trim())
+        .map(field => ({ field, before: upstream[field] || '', after: local[field] || '' }));
+
+    const localByKey = new Map();
+    (local.properties || []).forEach(property => {
+        localByKey.set(getPropertyKey(property), property);
+    });
+
+    const rows = [];
+    const matched = new Set();
+
+    (upstream.properties || []).forEach(property => {
+        const key = getPropertyKey(property);
+        const localProperty = localByKey.get(key);
+
+        if (!localProperty) {
+            rows.push({ key, status: 'removed', upstream: property, local: null, changes: [] });
+            return;
+        }
+
+        matched.add(key);
+        const changes = comparePropertyPair(property, localProperty);
+        rows.push({
+            key,
+            status: changes.length > 0 ? 'changed' : 'unchanged',
+            upstream: property,
+            local: localProperty,
+            changes
+        });
+    });
+
+    (local.properties || []).forEach(property => {
+        const key = getPropertyKey(property);
+        if (!matched.has(key)) {
+            rows.push({ key, status: 'added', upstream: null, local: property, changes: [] });
+        }
+    });
+
+    const count = (predicate) => rows.filter(predicate).length;
+    const summary = {
+        added: count(row => row.status === 'added'),
+        removed: count(row => row.status === 'removed'),
+        retyped: count(row => row.changes.includes('type')),
+        cardinality: count(row => row.changes.includes('cardinality')),
+        relabeled: count(row => row.changes.includes('label')),
+        described: count(row => row.changes.includes('description')),
+        unchanged: count(row => row.status === 'unchanged')
+    };
+
+    return {
+        modified: fields.length > 0 || rows.some(row => row.status !== 'unchanged'),
+        fields,
+        rows,
+        summary
+    };
+}
+
+function comparePropertyPair(upstream, local) {
+    const changes = [];
+
+    if ((upstream.label || '').trim() !== (local.label || '').trim()) {
+        changes.push('label');
+    }
+    if ((upstream.description || '').trim() !== (local.description || '').trim()) {
+        changes.push('description');
+    }
+    if ((upstream.type || 'text') !== (local.type || 'text')) {
+        changes.push('type');
+    }
+    if (formatCardinality(upstream) !== formatCardinality(local)) {
+        changes.push('cardinality');
+    }
+
+    return changes;
+}
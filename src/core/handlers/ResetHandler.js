@@ -157,6 +157,9 @@ export class ResetHandler {
             const databases = await indexedDB.databases();
             
             for (const db of databases) {
+                // Per-paper sessions outlive a reset so the paper can be resumed later
+                if (db.name === 'orkg-annotator-sessions') continue;
+                
                 if (db.name && (db.name.includes('orkg') || db.name.includes('annotator'))) {
                     await indexedDB.deleteDatabase(db.name);
                     console.log(`🗑️ Deleted IndexedDB: ${db.name}`);
@@ -0,0 +1,215 @@
+// ================================
+// src/core/services/AuthorResolver.js
+// Links paper authors to ORCID iDs and existing ORKG author resources
+// ================================
+
+const ORCID_SEARCH_URL = 'https://pub.orcid.org/v3.0/expanded-search/';
+const ORCID_PATTERN = /(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i;
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * An author is { name, given?, family?, orcid?, orkgId?, orkgLabel?, source }.
+ * Resolving only fills in identifiers it is sure about: an ORKG author
+ * found through the author's ORCID iD, or the ORCID record when the search
+ * finds exactly one and its names match. Everything else is offered as
+ * candidates for the user.
+ */
+export class AuthorResolver {
+    constructor(config = {}, dependencies = {}) {
+        this.orkgService = dependencies.orkgService || null;
+        this.maxCandidates = config.maxCandidates || 5;
+        this.orcidCache = new Map();
+    }
+
+    async init() {
+        console.log('✅ AuthorResolver initialized');
+    }
+
+    /**
+     * Fill in the identifiers that can be resolved without asking
+     * @returns {Promise<Object>} the author with orcid/orkgId added where found
+     */
+    async resolve(author) {
+        let resolved = { ...author };
+
+        if (!resolved.orcid) {
+            // Only the first rows come back, so a single name match among
+            // them says nothing about the people ORCID did not return
+            const { records, total } = await this.searchOrcid(resolved);
+            if (total === 1 && records.length === 1 && this.namesMatch(resolved, records[0])) {
+                resolved.orcid = records[0].orcid;
+            }
+        }
+
+        if (resolved.orcid && !resolved.orkgId) {
+            const orkgAuthor = await this.orkgService?.findAuthorByOrcid(resolved.orcid);
+            if (orkgAuthor) {
+                resolved = this.linkOrkgAuthor(resolved, orkgAuthor);
+            }
+        }
+
+        return resolved;
+    }
+
+    async resolveAll(authors) {
+        const resolved = [];
+        // One at a time keeps us inside the ORCID public API rate limit
+        for (const author of authors) {
+            try {
+                resolved.push(await this.resolve(author));
+            } catch (error) {
+                console.warn(`⚠️ Could not resolve author ${author.name}:`, error.message);
+                resolved.push(author);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Whether ORCID knows people by this name but none was linked, so the
+     * user has to pick one
+     */
+    async isAmbiguous(author) {
+        if (author.orcid) return false;
+        const { total } = await this.searchOrcid(author).catch(() => ({ total: 0 }));
+        return total > 0;
+    }
+
+    /**
+     * ORCID records and ORKG author resources the user can pick from
+     * @returns {Promise<Object>} { orcid: [...], orcidTotal, orkg: [...] }
+     */
+    async getCandidates(author) {
+        const [orcid, orkg] = await Promise.all([
+            this.searchOrcid(author).catch(() => ({ records: [], total: 0 })),
+            this.orkgService?.searchAuthors(author.name, this.maxCandidates).catch(() => []) || []
+        ]);
+
+        return { orcid: orcid.records, orcidTotal: orcid.total, orkg };
+    }
+
+    /**
+     * Apply a chosen ORCID record. The ORKG author holding that iD, if
+     * any, is linked too.
+     */
+    async applyOrcid(author, record) {
+        let resolved = {
+            ...author,
+            orcid: record.orcid,
+            given: author.given || record.given,
+            family: author.family || record.family
+        };
+
+        const orkgAuthor = await this.orkgService?.findAuthorByOrcid(record.orcid);
+        if (orkgAuthor) {
+            resolved = this.linkOrkgAuthor(resolved, orkgAuthor);
+        }
+        return resolved;
+    }
+
+    linkOrkgAuthor(author, orkgAuthor) {
+        return {
+            ...author,
+            orkgId: orkgAuthor.id,
+            orkgLabel: orkgAuthor.label,
+            orcid: author.orcid || orkgAuthor.orcid || null
+        };
+    }
+
+    unlink(author) {
+        const { orcid, orkgId, orkgLabel, ...rest } = author;
+        return rest;
+    }
+
+    // ================================
+    // ORCID public API
+    // ================================
+
+    /**
+     * @returns {Promise<Object>} { records, total } - the first maxCandidates
+     * records and the number of records ORCID found in all
+     */
+    async searchOrcid(author) {
+        const { given, family } = this.splitName(author);
+        if (!family) return { records: [], total: 0 };
+
+        const query = given ?
+            `given-names:(${this.escapeQuery(given)}) AND family-name:(${this.escapeQuery(family)})` :
+            `family-name:(${this.escapeQuery(family)})`;
+
+        if (this.orcidCache.has(query)) {
+            return this.orcidCache.get(query);
+        }
+
+        const url = `${ORCID_SEARCH_URL}?q=${encodeURIComponent(query)}&rows=${this.maxCandidates}`;
+        const response = await fetch(url, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            throw new Error(`ORCID search failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const records = (data['expanded-result'] || []).map(result => ({
+            orcid: result['orcid-id'],
+            given: result['given-names'] || '',
+            family: result['family-names'] || '',
+            name: [result['given-names'], result['family-names']].filter(Boolean).join(' '),
+            institutions: result['institution-name'] || [],
+            url: `https://orcid.org/${result['orcid-id']}`
+        })).filter(record => ORCID_PATTERN.test(record.orcid || ''));
+
+        const result = { records, total: data['num-found'] ?? records.length };
+        this.orcidCache.set(query, result);
+        return result;
+    }
+
+    splitName(author) {
+        if (author.family) {
+            return { given: author.given || '', family: author.family };
+        }
+
+        const name = (author.name || '').trim();
+        // "Family, Given" as used in citation styles
+        if (name.includes(',')) {
+            const [family, given] = name.split(',').map(part => part.trim());
+            return { given: given || '', family: family };
+        }
+
+        const parts = name.split(/\s+/).filter(Boolean);
+        return {
+            given: parts.slice(0, -1).join(' '),
+            family: parts[parts.length - 1] || ''
+        };
+    }
+
+    // Initials in the paper ("J. Smith") match full given names in ORCID ("John Smith")
+    namesMatch(author, record) {
+        const normalize = (value) => (value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+        const { given, family } = this.splitName(author);
+
+        if (normalize(family) !== normalize(record.family)) return false;
+        if (!given) return true;
+
+        const givenParts = normalize(given).split(/[\s.-]+/).filter(Boolean);
+        const recordParts = normalize(record.given).split(/[\s.-]+/).filter(Boolean);
+
+        return givenParts.every((part, index) => {
+            const other = recordParts[index];
+            if (!other) return false;
+            return part.length === 1 || other.length === 1 ? part[0] === other[0] : part === other;
+        });
+    }
+
+    escapeQuery(value) {
+        return value.replace(/([+\-!(){}[\]^"~*?:\\/]|&&|\|\|)/g, '\\$1');
+    }
+
+    cleanup() {
+        this.orcidCache.clear();
+    }
+}
+
+export default AuthorResolver;
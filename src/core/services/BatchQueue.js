@@ -0,0 +1,207 @@
+// ================================
+// src/core/services/BatchQueue.js
+// Popup side of the batch queue: follows the queue the background runs and sends it commands
+// ================================
+
+import { eventManager } from '../../utils/eventManager.js';
+
+const STORAGE_KEY = 'batchQueue';
+
+const STAGE_LABELS = {
+    load: 'Loading page',
+    metadata: 'Metadata',
+    field: 'Research field',
+    problem: 'Research problem',
+    extraction: 'Extraction'
+};
+
+/**
+ * The queue itself runs in the background service worker, so papers keep
+ * being processed after the popup closes. This class only mirrors its
+ * state from extension storage and forwards what the batch panel asks
+ * for; every popup or batch window showing the queue sees the same state.
+ */
+export class BatchQueue {
+    constructor() {
+        this.papers = [];
+        this.settings = { concurrency: 2, template: null };
+        this.running = false;
+        this.paused = false;
+        this.isLoaded = false;
+
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+    }
+
+    async init() {
+        chrome.storage.onChanged.addListener(this.handleStorageChange);
+    }
+
+    async load() {
+        await this.send('BATCH_GET_STATE');
+        this.isLoaded = true;
+        return this.getSnapshot();
+    }
+
+    // ================================
+    // Commands
+    // ================================
+
+    /**
+     * Queue DOIs and URLs, one per line (commas and spaces also separate)
+     * @returns {Object} { added, duplicates, invalid }
+     */
+    addInputs(text) {
+        return this.send('BATCH_ADD_INPUTS', { text });
+    }
+
+    /**
+     * Queue the web pages open in the current window. Their tabs are used
+     * as they are and stay open afterwards.
+     */
+    async addOpenTabs() {
+        const tabs = await chrome.tabs.query({ currentWindow: true });
+        return this.send('BATCH_ADD_TABS', {
+            tabs: tabs.map(tab => ({ id: tab.id, url: tab.url, title: tab.title }))
+        });
+    }
+
+    remove(paperId) {
+        return this.send('BATCH_REMOVE_PAPER', { paperId });
+    }
+
+    // Approved and rejected papers are done with
+    clearReviewed() {
+        return this.send('BATCH_CLEAR_REVIEWED');
+    }
+
+    retry(paperId) {
+        return this.send('BATCH_RETRY_PAPER', { paperId });
+    }
+
+    setTemplate(template) {
+        return this.send('BATCH_SET_TEMPLATE', { template });
+    }
+
+    setConcurrency(value) {
+        return this.send('BATCH_SET_CONCURRENCY', { concurrency: value });
+    }
+
+    start() {
+        return this.send('BATCH_START');
+    }
+
+    /**
+     * Stop taking new papers. Papers being processed stop after their
+     * current stage; a running extraction is allowed to finish.
+     */
+    pause() {
+        return this.send('BATCH_PAUSE');
+    }
+
+    resume() {
+        return this.start();
+    }
+
+    /**
+     * Keep the results of a finished paper as its session, so opening the
+     * paper offers to resume at the analysis step
+     * @param {Object} changes - { fieldIndex } picked during review
+     */
+    approve(paperId, changes = {}) {
+        return this.send('BATCH_APPROVE_PAPER', { paperId, changes });
+    }
+
+    reject(paperId) {
+        return this.send('BATCH_REJECT_PAPER', { paperId });
+    }
+
+    /**
+     * Follow the queue in its own window, which stays open while the user
+     * works in other tabs
+     */
+    async openInWindow() {
+        await chrome.windows.create({
+            url: chrome.runtime.getURL('src/popup/popup.html?view=batch'),
+            type: 'popup',
+            width: 760,
+            height: 720,
+            focused: true
+        });
+    }
+
+    async focusPaper(paperId) {
+        const paper = this.getPaper(paperId);
+        const tab = paper?.tabId ? await chrome.tabs.get(paper.tabId).catch(() => null) : null;
+        if (!tab) {
+            throw new Error('The paper\'s tab is closed');
+        }
+
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    }
+
+    /**
+     * Send a command to the background queue and take over the state it answers with
+     * @returns {*} the command's result
+     */
+    async send(action, data = {}) {
+        const response = await chrome.runtime.sendMessage({ action, ...data });
+        if (!response?.success) {
+            throw new Error(response?.error || 'The batch queue did not respond');
+        }
+
+        this.applyState(response.state);
+        return response.result;
+    }
+
+    // ================================
+    // State
+    // ================================
+
+    applyState(state = {}) {
+        this.papers = state.papers || [];
+        this.settings = { ...this.settings, ...(state.settings || {}) };
+        this.running = !!state.running;
+        this.paused = !!state.paused;
+        this.notify();
+    }
+
+    // The background saves the queue after every step
+    handleStorageChange(changes, areaName) {
+        if (areaName !== 'local' || !changes[STORAGE_KEY] || !this.isLoaded) return;
+        this.applyState(changes[STORAGE_KEY].newValue || {});
+    }
+
+    getPaper(paperId) {
+        return this.papers.find(paper => paper.id === paperId) || null;
+    }
+
+    getSnapshot() {
+        const counts = {};
+        this.papers.forEach(paper => {
+            counts[paper.status] = (counts[paper.status] || 0) + 1;
+        });
+
+        return {
+            papers: this.papers,
+            settings: this.settings,
+            running: this.running,
+            paused: this.paused,
+            counts
+        };
+    }
+
+    getStageLabel(stage) {
+        return STAGE_LABELS[stage] || 'Queued';
+    }
+
+    notify() {
+        eventManager.emit('batch:updated', this.getSnapshot());
+    }
+
+    cleanup() {
+        chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    }
+}
+
+export default BatchQueue;
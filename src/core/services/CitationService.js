@@ -0,0 +1,594 @@
+// ================================
+// src/core/services/CitationService.js
+// Reads BibTeX/RIS entries into paper metadata and writes metadata as BibTeX, RIS and CSL-JSON
+// ================================
+
+const FORMATS = {
+    bibtex: { extension: 'bib', mimeType: 'application/x-bibtex', label: 'BibTeX' },
+    ris: { extension: 'ris', mimeType: 'application/x-research-info-systems', label: 'RIS' },
+    csljson: { extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json', label: 'CSL-JSON' }
+};
+
+// Internal types follow CrossRef's work types (see MetadataService.parseCrossRefData)
+const TYPES = {
+    'journal-article': { bibtex: 'article', ris: 'JOUR', csl: 'article-journal' },
+    'proceedings-article': { bibtex: 'inproceedings', ris: 'CPAPER', csl: 'paper-conference' },
+    'book': { bibtex: 'book', ris: 'BOOK', csl: 'book' },
+    'book-chapter': { bibtex: 'incollection', ris: 'CHAP', csl: 'chapter' },
+    'preprint': { bibtex: 'misc', ris: 'UNPB', csl: 'article' },
+    'dataset': { bibtex: 'misc', ris: 'DATA', csl: 'dataset' },
+    'software': { bibtex: 'misc', ris: 'COMP', csl: 'software' },
+    'dissertation': { bibtex: 'phdthesis', ris: 'THES', csl: 'thesis' },
+    'report': { bibtex: 'techreport', ris: 'RPRT', csl: 'report' },
+    'other': { bibtex: 'misc', ris: 'GEN', csl: 'document' }
+};
+
+const TYPE_ALIASES = {
+    'article': 'journal-article',
+    'posted-content': 'preprint',
+    'thesis': 'dissertation'
+};
+
+const BIBTEX_TYPES = {
+    article: 'journal-article',
+    inproceedings: 'proceedings-article',
+    conference: 'proceedings-article',
+    book: 'book',
+    incollection: 'book-chapter',
+    inbook: 'book-chapter',
+    phdthesis: 'dissertation',
+    mastersthesis: 'dissertation',
+    techreport: 'report',
+    unpublished: 'preprint'
+};
+
+const RIS_TYPES = {
+    JOUR: 'journal-article',
+    JFULL: 'journal-article',
+    EJOUR: 'journal-article',
+    CPAPER: 'proceedings-article',
+    CONF: 'proceedings-article',
+    BOOK: 'book',
+    CHAP: 'book-chapter',
+    UNPB: 'preprint',
+    DATA: 'dataset',
+    COMP: 'software',
+    THES: 'dissertation',
+    RPRT: 'report',
+    GEN: 'other'
+};
+
+// Combining marks for LaTeX accent commands such as {\"u} and \'{e}
+const LATEX_ACCENTS = {
+    '"': '\u0308',
+    '\'': '\u0301',
+    '`': '\u0300',
+    '^': '\u0302',
+    '~': '\u0303',
+    '=': '\u0304',
+    '.': '\u0307',
+    'c': '\u0327',
+    'v': '\u030c',
+    'u': '\u0306',
+    'H': '\u030b',
+    'k': '\u0328'
+};
+
+const LATEX_SYMBOLS = {
+    'ss': 'ß',
+    'o': 'ø',
+    'O': 'Ø',
+    'ae': 'æ',
+    'AE': 'Æ',
+    'aa': 'å',
+    'AA': 'Å',
+    'l': 'ł',
+    'L': 'Ł',
+    'i': 'ı'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export class CitationService {
+    static FORMATS = FORMATS;
+
+    // ================================
+    // Import
+    // ================================
+
+    /**
+     * Parse pasted or dropped citation text
+     * @param {string} text - One or more BibTeX or RIS entries
+     * @returns {Array<Object>} Metadata records in the MetadataService shape
+     */
+    parse(text) {
+        const input = String(text || '').replace(/^\ufeff/, '').trim();
+
+        let records;
+        if (/^TY {2}- /m.test(input)) {
+            records = this.parseRIS(input);
+        } else if (/@\w+\s*[{(]/.test(input)) {
+            records = this.parseBibTeX(input);
+        } else {
+            throw new Error('Not a BibTeX or RIS entry');
+        }
+
+        records = records.filter(record => record.title);
+        if (records.length === 0) {
+            throw new Error('No entry with a title found');
+        }
+        return records;
+    }
+
+    parseBibTeX(text) {
+        const records = [];
+        const entryPattern = /@(\w+)\s*([{(])/g;
+        let match;
+
+        while ((match = entryPattern.exec(text)) !== null) {
+            const type = match[1].toLowerCase();
+            const start = match.index + match[0].length;
+            const end = this.findClosing(text, start, match[2] === '{' ? '{' : '(', match[2] === '{' ? '}' : ')');
+            entryPattern.lastIndex = end;
+
+            if (['comment', 'preamble', 'string'].includes(type)) continue;
+
+            const body = text.substring(start, end);
+            const comma = body.indexOf(',');
+            if (comma === -1) continue;
+
+            const fields = this.parseBibTeXFields(body.substring(comma + 1));
+            records.push(this.fromBibTeX(type, body.substring(0, comma).trim(), fields));
+        }
+
+        return records;
+    }
+
+    // Index of the bracket closing the one opened just before `start`
+    findClosing(text, start, open, close) {
+        let depth = 1;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === open) {
+                depth++;
+            } else if (text[i] === close && --depth === 0) {
+                return i;
+            }
+        }
+        return text.length;
+    }
+
+    parseBibTeXFields(body) {
+        const fields = {};
+        let pos = 0;
+
+        while (pos < body.length) {
+            const nameMatch = /^\s*,?\s*([\w:.-]+)\s*=\s*/.exec(body.substring(pos));
+            if (!nameMatch) break;
+
+            const name = nameMatch[1].toLowerCase();
+            pos += nameMatch[0].length;
+
+            // Values are {braced}, "quoted" or bare words, joined with #
+            const parts = [];
+            while (pos < body.length) {
+                const char = body[pos];
+                if (char === '{') {
+                    const end = this.findClosing(body, pos + 1, '{', '}');
+                    parts.push(body.substring(pos + 1, end));
+                    pos = end + 1;
+                } else if (char === '"') {
+                    let end = pos + 1;
+                    let depth = 0;
+                    while (end < body.length && !(body[end] === '"' && depth === 0)) {
+                        if (body[end] === '{') depth++;
+                        if (body[end] === '}') depth--;
+                        end++;
+                    }
+                    parts.push(body.substring(pos + 1, end));
+                    pos = end + 1;
+                } else {
+                    const word = /^[^\s,#}]+/.exec(body.substring(pos));
+                    if (!word) break;
+                    // Month macros such as `month = jan`
+                    const month = MONTHS.indexOf(word[0].toLowerCase());
+                    parts.push(month !== -1 ? String(month + 1) : word[0]);
+                    pos += word[0].length;
+                }
+
+                const next = /^\s*#\s*/.exec(body.substring(pos));
+                if (!next) break;
+                pos += next[0].length;
+            }
+
+            fields[name] = parts.join('');
+        }
+
+        return fields;
+    }
+
+    fromBibTeX(entryType, key, fields) {
+        const value = (name) => this.decodeLaTeX(fields[name] || '');
+        const isArxiv = /arxiv/i.test(fields.archiveprefix || fields.eprinttype || '') || /arxiv/i.test(fields.journal || '');
+
+        let type = BIBTEX_TYPES[entryType] || 'journal-article';
+        if (entryType === 'misc') {
+            type = isArxiv ? 'preprint' : /software/i.test(fields.howpublished || '') ? 'software' : 'other';
+        }
+
+        const venue = value('journal') || value('journaltitle') || value('booktitle');
+        // biblatex `date = {2019-05-01}` or BibTeX year, month and day
+        const date = this.parseDateParts(value('date'));
+        const year = value('year').match(/\d{4}/)?.[0] || date.year;
+
+        return this.createRecord('bibtex', {
+            title: value('title'),
+            // Raw title keeps the braces that protect its case on export
+            bibtexTitle: fields.title || null,
+            authors: this.splitBibTeXNames(fields.author || '').map(name => this.parseBibTeXName(name)),
+            abstract: value('abstract'),
+            doi: this.cleanDOI(value('doi')),
+            url: value('url'),
+            venue: venue,
+            journal: venue,
+            year: year,
+            publisher: value('publisher') || value('institution') || value('school'),
+            volume: value('volume'),
+            issue: value('number') || value('issue'),
+            pages: value('pages').replace(/[-\u2013]+/g, '-'),
+            publicationDate: this.toPublicationDate(year, value('month') || date.month, value('day') || date.day),
+            type: type,
+            arxivId: isArxiv ? value('eprint') || null : null,
+            pmid: value('pmid') || null,
+            citationKey: key
+        });
+    }
+
+    // "and" separates names, except inside braces ("{Barnes and Noble}")
+    splitBibTeXNames(text) {
+        const names = [];
+        let depth = 0;
+        let current = '';
+
+        const words = text.split(/(\s+)/);
+        words.forEach(word => {
+            if (depth === 0 && word.toLowerCase() === 'and') {
+                names.push(current);
+                current = '';
+                return;
+            }
+            depth += (word.match(/{/g) || []).length - (word.match(/}/g) || []).length;
+            current += word;
+        });
+        names.push(current);
+
+        return names.map(name => name.trim()).filter(name => name && name.toLowerCase() !== 'others');
+    }
+
+    // A fully braced name is an organisation and stays whole
+    parseBibTeXName(name) {
+        if (name.startsWith('{') && this.findClosing(name, 1, '{', '}') === name.length - 1) {
+            const organisation = this.decodeLaTeX(name);
+            return { name: organisation, given: '', family: organisation };
+        }
+        return this.parseName(this.decodeLaTeX(name));
+    }
+
+    decodeLaTeX(text) {
+        return String(text || '')
+            // {\"u}, \"{u}, \"u
+            .replace(/{?\\([`'"^~=.]|[cvuHk](?=[\s{]))\s*{?([A-Za-z])}?}?/g, (match, accent, letter) =>
+                (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+            .replace(/{?\\(ss|ae|AE|aa|AA|o|O|l|L|i)(?![A-Za-z])\s*}?/g, (match, symbol) => LATEX_SYMBOLS[symbol])
+            .replace(/\\([&%$#_{}])/g, '$1')
+            .replace(/\\textendash\s*|--/g, '–')
+            .replace(/~/g, ' ')
+            .replace(/\\[a-zA-Z]+\s*/g, '')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    parseRIS(text) {
+        const records = [];
+        let fields = null;
+
+        text.split(/\r?\n/).forEach(line => {
+            const match = /^([A-Z][A-Z0-9]) {2}-\s?(.*)$/.exec(line);
+            if (!match) return;
+
+            const [, tag, value] = match;
+            if (tag === 'TY') {
+                fields = { TY: [value.trim()] };
+            } else if (tag === 'ER') {
+                if (fields) records.push(this.fromRIS(fields));
+                fields = null;
+            } else if (fields) {
+                (fields[tag] = fields[tag] || []).push(value.trim());
+            }
+        });
+
+        // Tolerate a missing final ER
+        if (fields) records.push(this.fromRIS(fields));
+        return records;
+    }
+
+    fromRIS(fields) {
+        const first = (...tags) => {
+            for (const tag of tags) {
+                if (fields[tag]?.[0]) return fields[tag][0];
+            }
+            return '';
+        };
+
+        const venue = first('JO', 'JF', 'T2', 'JA', 'J2', 'BT');
+        // "2019/05/01/"; the day and month may be empty ("2019///")
+        const date = this.parseDateParts(first('DA', 'PY', 'Y1'));
+        const year = first('PY', 'Y1', 'DA').match(/\d{4}/)?.[0] || '';
+        const startPage = first('SP');
+        const endPage = first('EP');
+
+        return this.createRecord('ris', {
+            title: first('TI', 'T1'),
+            authors: [...(fields.AU || []), ...(fields.A1 || [])].map(name => this.parseName(name)),
+            abstract: first('AB', 'N2'),
+            doi: this.cleanDOI(first('DO')),
+            url: first('UR'),
+            venue: venue,
+            journal: venue,
+            year: year,
+            publicationDate: this.toPublicationDate(year, date.year === year ? date.month : '', date.year === year ? date.day : ''),
+            publisher: first('PB'),
+            volume: first('VL'),
+            issue: first('IS'),
+            pages: startPage && endPage ? `${startPage}-${endPage}` : startPage,
+            type: RIS_TYPES[first('TY')] || 'journal-article',
+            citationKey: first('ID') || null
+        });
+    }
+
+    createRecord(source, fields) {
+        return {
+            source: source,
+            ...fields,
+            authors: fields.authors.filter(author => author.name).map(author => ({ ...author, source: source })),
+            publicationDate: fields.publicationDate || this.toPublicationDate(fields.year),
+            citationCount: 0
+        };
+    }
+
+    parseDateParts(text) {
+        const match = /(\d{4})(?:[/-](\d{0,2}))?(?:[/-](\d{0,2}))?/.exec(String(text || ''));
+        return match ? { year: match[1], month: match[2] || '', day: match[3] || '' } : { year: '', month: '', day: '' };
+    }
+
+    // Month is a number or a name ("3", "mar", "March"); without it the date is January 1st
+    toPublicationDate(year, month = '', day = '') {
+        if (!year) return '';
+
+        const text = String(month).trim().toLowerCase();
+        const monthIndex = /^\d{1,2}$/.test(text) ? parseInt(text) - 1 : MONTHS.indexOf(text.substring(0, 3));
+        if (monthIndex < 0 || monthIndex > 11) {
+            return new Date(Date.UTC(parseInt(year), 0, 1)).toISOString();
+        }
+
+        const dayNumber = parseInt(day);
+        const validDay = dayNumber >= 1 && dayNumber <= new Date(Date.UTC(parseInt(year), monthIndex + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(parseInt(year), monthIndex, validDay ? dayNumber : 1)).toISOString();
+    }
+
+    // "Family, Given", "Given Family" or a single organisation name
+    parseName(name) {
+        const text = String(name || '').trim();
+
+        if (text.includes(',')) {
+            const [family, ...rest] = text.split(',').map(part => part.trim());
+            const given = rest.filter(Boolean).join(' ');
+            return { name: `${given} ${family}`.trim(), given: given, family: family };
+        }
+
+        const parts = text.split(/\s+/);
+        return parts.length > 1 ?
+            { name: text, given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] } :
+            { name: text, given: '', family: text };
+    }
+
+    cleanDOI(value) {
+        return String(value || '').replace(/^(doi:\s*|https?:\/\/(dx\.)?doi\.org\/)/i, '').trim().toLowerCase();
+    }
+
+    // ================================
+    // Export
+    // ================================
+
+    /**
+     * @param {Array<Object>} entries - [{ metadata, orkgPaperUrl }]
+     * @param {string} format - Key of CitationService.FORMATS
+     */
+    serialize(entries, format) {
+        const items = entries.filter(entry => entry?.metadata?.title).map(entry => this.buildItem(entry));
+        const keys = this.assignKeys(items);
+
+        switch (format) {
+            case 'bibtex':
+                return items.map((item, i) => this.toBibTeX(item, keys[i])).join('\n');
+            case 'ris':
+                return items.map(item => this.toRIS(item)).join('\r\n');
+            case 'csljson':
+                return JSON.stringify(items.map((item, i) => this.toCSL(item, keys[i])), null, 2);
+            default:
+                throw new Error(`Unsupported citation format: ${format}`);
+        }
+    }
+
+    buildItem({ metadata, orkgPaperUrl }) {
+        const type = TYPE_ALIASES[metadata.type] || metadata.type;
+        const year = metadata.year || String(metadata.publicationDate || '').substring(0, 4);
+
+        return {
+            type: TYPES[type] ? type : 'journal-article',
+            title: metadata.title,
+            // Only while the title is still the imported one
+            bibtexTitle: metadata.bibtexTitle && this.decodeLaTeX(metadata.bibtexTitle) === metadata.title ? metadata.bibtexTitle : '',
+            authors: (metadata.authors || []).map(author => {
+                if (typeof author === 'string') return this.parseName(author);
+                return author.family ? author : { ...this.parseName(author.name), orcid: author.orcid };
+            }).filter(author => author.name || author.family),
+            year: /^\d{4}$/.test(year) ? year : '',
+            venue: metadata.journal || metadata.venue || '',
+            publisher: metadata.publisher || '',
+            volume: metadata.volume || '',
+            issue: metadata.issue || '',
+            pages: metadata.pages || '',
+            doi: metadata.doi || '',
+            url: metadata.url || '',
+            abstract: String(metadata.abstract || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim(),
+            arxivId: metadata.arxivId || '',
+            pmid: metadata.pmid || '',
+            orkgPaperUrl: orkgPaperUrl || '',
+            citationKey: metadata.citationKey || null
+        };
+    }
+
+    // Imported keys are kept; the rest follow the familyYearWord convention
+    assignKeys(items) {
+        const used = new Map();
+
+        return items.map(item => {
+            const base = item.citationKey || this.generateKey(item);
+            const count = used.get(base) || 0;
+            used.set(base, count + 1);
+            return count === 0 ? base : `${base}${String.fromCharCode(97 + count - 1)}`;
+        });
+    }
+
+    generateKey(item) {
+        const ascii = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const stopWords = ['a', 'an', 'the', 'on', 'of', 'for', 'in', 'and', 'to', 'towards'];
+        const word = item.title.split(/\s+/).map(ascii).find(w => w && !stopWords.includes(w)) || 'paper';
+
+        return `${ascii(item.authors[0]?.family) || 'anon'}${item.year}${word}`;
+    }
+
+    toBibTeX(item, key) {
+        const entryType = TYPES[item.type].bibtex;
+        const fields = [
+            ['title', item.bibtexTitle || this.bibtexValue(item.title)],
+            ['author', item.authors.map(author => this.bibtexName(author)).join(' and ')],
+            [item.type === 'proceedings-article' || item.type === 'book-chapter' ? 'booktitle' : 'journal', this.bibtexValue(item.venue)],
+            ['year', item.year],
+            ['publisher', this.bibtexValue(item.publisher)],
+            ['volume', item.volume],
+            ['number', item.issue],
+            ['pages', item.pages.replace(/[-–]+/g, '--')],
+            ['doi', item.doi],
+            ['url', item.url],
+            ['eprint', item.arxivId],
+            ['archiveprefix', item.arxivId ? 'arXiv' : ''],
+            ['pmid', item.pmid],
+            ['abstract', this.bibtexValue(item.abstract)],
+            ['note', item.orkgPaperUrl ? `ORKG: \\url{${item.orkgPaperUrl}}` : '']
+        ].filter(([, value]) => value);
+
+        const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+        return `@${entryType}{${key},\n${body}\n}\n`;
+    }
+
+    // Balanced braces are kept, since they protect case in titles ("{BERT}")
+    bibtexValue(text) {
+        const value = String(text || '')
+            .replace(/\\/g, '\\textbackslash ')
+            .replace(/([&%$#_])/g, '\\$1');
+
+        let depth = 0;
+        for (const char of value) {
+            if (char === '{') depth++;
+            if (char === '}' && --depth < 0) break;
+        }
+        return depth === 0 ? value : value.replace(/[{}]/g, '');
+    }
+
+    // Organisations are braced so BibTeX does not split them into names
+    bibtexName(author) {
+        if (!author.given) {
+            return `{${this.bibtexValue(author.family || author.name)}}`;
+        }
+        return `${this.bibtexValue(author.family)}, ${this.bibtexValue(author.given)}`;
+    }
+
+    toRIS(item) {
+        const [startPage, endPage] = item.pages.split(/[-–]+/);
+        const lines = [
+            ['TY', TYPES[item.type].ris],
+            ['TI', item.title],
+            ...item.authors.map(author => ['AU', author.given ? `${author.family}, ${author.given}` : author.family || author.name]),
+            ['PY', item.year],
+            ['JO', item.venue],
+            ['PB', item.publisher],
+            ['VL', item.volume],
+            ['IS', item.issue],
+            ['SP', startPage],
+            ['EP', endPage],
+            ['DO', item.doi],
+            ['UR', item.url],
+            ['AB', item.abstract],
+            ['N1', item.orkgPaperUrl ? `ORKG: ${item.orkgPaperUrl}` : ''],
+            ['ER', '']
+        ].filter(([tag, value]) => value || tag === 'ER');
+
+        return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n') + '\r\n';
+    }
+
+    toCSL(item, key) {
+        const csl = {
+            id: key,
+            type: TYPES[item.type].csl,
+            title: item.title,
+            author: item.authors.map(author => author.given ?
+                { family: author.family, given: author.given } :
+                { literal: author.family || author.name })
+        };
+
+        if (item.year) csl.issued = { 'date-parts': [[parseInt(item.year)]] };
+        if (item.venue) csl['container-title'] = item.venue;
+        if (item.publisher) csl.publisher = item.publisher;
+        if (item.volume) csl.volume = item.volume;
+        if (item.issue) csl.issue = item.issue;
+        if (item.pages) csl.page = item.pages;
+        if (item.doi) csl.DOI = item.doi;
+        if (item.url) csl.URL = item.url;
+        if (item.pmid) csl.PMID = item.pmid;
+        if (item.abstract) csl.abstract = item.abstract;
+        if (item.orkgPaperUrl) csl.note = `ORKG: ${item.orkgPaperUrl}`;
+
+        return csl;
+    }
+
+    // ================================
+    // Download
+    // ================================
+
+    download(entries, format, baseName = 'orkg-citations') {
+        const info = FORMATS[format];
+        if (!info) {
+            throw new Error(`Unsupported citation format: ${format}`);
+        }
+
+        const content = this.serialize(entries, format);
+        const blob = new Blob([content], { type: `${info.mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}.${info.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return { filename: link.download, size: content.length };
+    }
+}
+
+export default CitationService;
@@ -0,0 +1,442 @@
+// ================================
+// src/core/services/ContributionExportService.js
+// Serializes the paper contribution (metadata, problem, template values) to Turtle, JSON-LD and CSV
+// ================================
+
+const NS = {
+    orkgr: 'http://orkg.org/orkg/resource/',
+    orkgp: 'http://orkg.org/orkg/predicate/',
+    orkgc: 'http://orkg.org/orkg/class/',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    local: 'urn:orkg-annotator:'
+};
+
+// Same predicates the background write pipeline uses
+const PREDICATES = {
+    HAS_DOI: 'P26',
+    HAS_AUTHOR: 'P27',
+    PUBLICATION_YEAR: 'P29',
+    HAS_RESEARCH_FIELD: 'P30',
+    HAS_CONTRIBUTION: 'P31',
+    HAS_RESEARCH_PROBLEM: 'P32'
+};
+
+const FORMATS = {
+    turtle: { extension: 'ttl', mimeType: 'text/turtle', label: 'Turtle (RDF)' },
+    jsonld: { extension: 'jsonld', mimeType: 'application/ld+json', label: 'JSON-LD (ORKG)' },
+    csv: { extension: 'csv', mimeType: 'text/csv', label: 'CSV' }
+};
+
+export class ContributionExportService {
+    static FORMATS = FORMATS;
+
+    /**
+     * Collect everything that makes up the contribution
+     * @param {Object} data - Popup state data (metadata, researchField, problemAnalysis, template...)
+     * @param {Object} options - { template, highlights, url }
+     * @returns {Object} Export model
+     */
+    buildModel(data = {}, options = {}) {
+        const metadata = data.metadata || {};
+        const template = options.template || null;
+        const problem = data.problemAnalysis?.selectedProblem || null;
+        const field = data.researchField?.selectedField || null;
+        const existingPaper = data.existingPaper?.id && data.existingPaper.action !== 'new' ? data.existingPaper : null;
+
+        const year = parseInt(metadata.year || String(metadata.publicationDate || '').substring(0, 4));
+
+        return {
+            paper: {
+                orkgId: existingPaper?.id || null,
+                title: metadata.title || 'Untitled Paper',
+                doi: metadata.doi || null,
+                authors: (metadata.authors || []).map(author => this.getAuthorName(author)).filter(Boolean),
+                year: year || null,
+                venue: metadata.venue || metadata.journal || null,
+                url: options.url || metadata.url || null
+            },
+            researchField: field ? { id: field.id || null, label: field.label || field.name || field.id } : null,
+            problem: problem ? {
+                id: problem.id,
+                label: problem.title || problem.label || problem.id,
+                description: problem.description || null
+            } : null,
+            template: template ? {
+                id: template.id || null,
+                label: template.label || template.name || 'Template'
+            } : null,
+            statements: this.buildStatements(template, options.highlights || [])
+        };
+    }
+
+    /**
+     * Group values by template property; values for properties outside the template are kept too
+     * @private
+     */
+    buildStatements(template, highlights) {
+        const byProperty = new Map();
+
+        (template?.properties || []).forEach(property => {
+            byProperty.set(property.id, {
+                property: { id: property.id, label: property.label || property.id, type: property.type || null },
+                values: []
+            });
+        });
+
+        highlights.forEach(highlight => {
+            const propertyId = highlight.propertyId || highlight.property?.id;
+            if (!propertyId || propertyId === 'unknown') return;
+
+            if (!byProperty.has(propertyId)) {
+                byProperty.set(propertyId, {
+                    property: {
+                        id: propertyId,
+                        label: highlight.propertyLabel || highlight.property?.label || propertyId,
+                        type: null
+                    },
+                    values: []
+                });
+            }
+
+            const value = highlight.value !== null && highlight.value !== undefined ? highlight.value : highlight.text;
+            if (value === null || value === undefined || String(value).trim() === '') return;
+
+            const entry = byProperty.get(propertyId);
+            const duplicate = entry.values.some(existing =>
+                String(existing.value).trim().toLowerCase() === String(value).trim().toLowerCase()
+            );
+            if (duplicate) return;
+
+            entry.values.push({
+                value: String(value).trim(),
+                evidence: highlight.text || highlight.sentence || '',
+                section: highlight.section || null,
+                confidence: typeof highlight.confidence === 'number' ? highlight.confidence : null,
+                source: highlight.source || null,
+                extractionMethod: highlight.extractionMethod || null
+            });
+        });
+
+        return Array.from(byProperty.values()).filter(statement => statement.values.length > 0);
+    }
+
+    // ================================
+    // Serializers
+    // ================================
+
+    serialize(model, format) {
+        switch (format) {
+            case 'turtle':
+                return this.toTurtle(model);
+            case 'jsonld':
+                return JSON.stringify(this.toJSONLD(model), null, 2);
+            case 'csv':
+                return this.toCSV(model);
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    toTurtle(model) {
+        const lines = [
+            `@prefix orkgr: <${NS.orkgr}> .`,
+            `@prefix orkgp: <${NS.orkgp}> .`,
+            `@prefix orkgc: <${NS.orkgc}> .`,
+            `@prefix rdfs: <${NS.rdfs}> .`,
+            `@prefix xsd: <${NS.xsd}> .`,
+            ''
+        ];
+
+        const paper = this.paperNode(model);
+        const contribution = this.contributionNode(model);
+        const paperTriples = [
+            'a orkgc:Paper',
+            `rdfs:label ${this.turtleLiteral(model.paper.title)}`
+        ];
+
+        if (model.paper.doi) {
+            paperTriples.push(`orkgp:${PREDICATES.HAS_DOI} ${this.turtleLiteral(model.paper.doi)}`);
+        }
+        model.paper.authors.forEach(author => {
+            paperTriples.push(`orkgp:${PREDICATES.HAS_AUTHOR} ${this.turtleLiteral(author)}`);
+        });
+        if (model.paper.year) {
+            paperTriples.push(`orkgp:${PREDICATES.PUBLICATION_YEAR} "${model.paper.year}"^^xsd:integer`);
+        }
+        if (model.researchField) {
+            paperTriples.push(`orkgp:${PREDICATES.HAS_RESEARCH_FIELD} ${this.turtleTerm(this.resourceIri(model.researchField.id, 'field'))}`);
+        }
+        paperTriples.push(`orkgp:${PREDICATES.HAS_CONTRIBUTION} ${this.turtleTerm(contribution)}`);
+
+        lines.push(this.turtleBlock(paper, paperTriples));
+
+        const contributionTriples = [
+            'a orkgc:Contribution',
+            `rdfs:label ${this.turtleLiteral(this.getContributionLabel(model))}`
+        ];
+        if (model.problem) {
+            contributionTriples.push(`orkgp:${PREDICATES.HAS_RESEARCH_PROBLEM} ${this.turtleTerm(this.resourceIri(model.problem.id, 'problem'))}`);
+        }
+        model.statements.forEach(statement => {
+            const predicate = this.turtleTerm(this.predicateIri(statement.property.id));
+            statement.values.forEach(value => {
+                contributionTriples.push(`${predicate} ${this.turtleTypedLiteral(value.value, statement.property.type)}`);
+            });
+        });
+
+        lines.push(this.turtleBlock(contribution, contributionTriples));
+
+        // Labels for the problem, field and predicates the file references
+        if (model.problem) {
+            const problemTriples = [
+                'a orkgc:Problem',
+                `rdfs:label ${this.turtleLiteral(model.problem.label)}`
+            ];
+            if (model.problem.description) {
+                problemTriples.push(`rdfs:comment ${this.turtleLiteral(model.problem.description)}`);
+            }
+            lines.push(this.turtleBlock(this.resourceIri(model.problem.id, 'problem'), problemTriples));
+        }
+        if (model.researchField) {
+            lines.push(this.turtleBlock(this.resourceIri(model.researchField.id, 'field'), [
+                'a orkgc:ResearchField',
+                `rdfs:label ${this.turtleLiteral(model.researchField.label)}`
+            ]));
+        }
+        model.statements.forEach(statement => {
+            lines.push(this.turtleBlock(this.predicateIri(statement.property.id), [
+                `rdfs:label ${this.turtleLiteral(statement.property.label)}`
+            ]));
+        });
+
+        return lines.join('\n');
+    }
+
+    toJSONLD(model) {
+        const context = {
+            orkgr: NS.orkgr,
+            orkgp: NS.orkgp,
+            orkgc: NS.orkgc,
+            rdfs: NS.rdfs,
+            xsd: NS.xsd,
+            label: 'rdfs:label',
+            comment: 'rdfs:comment',
+            doi: `orkgp:${PREDICATES.HAS_DOI}`,
+            hasAuthor: `orkgp:${PREDICATES.HAS_AUTHOR}`,
+            publicationYear: { '@id': `orkgp:${PREDICATES.PUBLICATION_YEAR}`, '@type': 'xsd:integer' },
+            hasResearchField: { '@id': `orkgp:${PREDICATES.HAS_RESEARCH_FIELD}`, '@type': '@id' },
+            hasContribution: { '@id': `orkgp:${PREDICATES.HAS_CONTRIBUTION}`, '@type': '@id' },
+            hasResearchProblem: { '@id': `orkgp:${PREDICATES.HAS_RESEARCH_PROBLEM}`, '@type': '@id' }
+        };
+
+        const contribution = {
+            '@id': this.contributionNode(model),
+            '@type': 'orkgc:Contribution',
+            label: this.getContributionLabel(model)
+        };
+
+        if (model.problem) {
+            contribution.hasResearchProblem = {
+                '@id': this.resourceIri(model.problem.id, 'problem'),
+                '@type': 'orkgc:Problem',
+                label: model.problem.label,
+                ...(model.problem.description ? { comment: model.problem.description } : {})
+            };
+        }
+
+        model.statements.forEach(statement => {
+            const key = this.predicateIri(statement.property.id);
+            contribution[key] = statement.values.map(value => this.jsonLdLiteral(value.value, statement.property.type));
+        });
+
+        const paper = {
+            '@id': this.paperNode(model),
+            '@type': 'orkgc:Paper',
+            label: model.paper.title,
+            ...(model.paper.doi ? { doi: model.paper.doi } : {}),
+            ...(model.paper.authors.length > 0 ? { hasAuthor: model.paper.authors } : {}),
+            ...(model.paper.year ? { publicationYear: String(model.paper.year) } : {}),
+            hasContribution: contribution
+        };
+
+        if (model.researchField) {
+            paper.hasResearchField = {
+                '@id': this.resourceIri(model.researchField.id, 'field'),
+                '@type': 'orkgc:ResearchField',
+                label: model.researchField.label
+            };
+        }
+
+        const predicates = model.statements.map(statement => ({
+            '@id': this.predicateIri(statement.property.id),
+            '@type': 'rdf:Property',
+            label: statement.property.label
+        }));
+
+        return {
+            '@context': { ...context, rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#' },
+            '@graph': [paper, ...predicates]
+        };
+    }
+
+    /**
+     * One row per property value, with the sentence it was extracted from
+     */
+    toCSV(model) {
+        const header = [
+            'paper_title', 'doi', 'research_field', 'research_problem', 'template',
+            'property_id', 'property_label', 'value', 'evidence', 'section', 'confidence', 'source'
+        ];
+
+        const paperColumns = [
+            model.paper.title,
+            model.paper.doi || '',
+            model.researchField?.label || '',
+            model.problem?.label || '',
+            model.template?.label || ''
+        ];
+
+        const rows = [header];
+        model.statements.forEach(statement => {
+            statement.values.forEach(value => {
+                rows.push([
+                    ...paperColumns,
+                    statement.property.id,
+                    statement.property.label,
+                    value.value,
+                    value.evidence,
+                    value.section || '',
+                    value.confidence !== null ? value.confidence.toFixed(2) : '',
+                    value.extractionMethod || value.source || ''
+                ]);
+            });
+        });
+
+        return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+    }
+
+    // ================================
+    // Download
+    // ================================
+
+    download(model, format) {
+        const info = FORMATS[format];
+        if (!info) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const content = this.serialize(model, format);
+        const blob = new Blob([content], { type: `${info.mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.getFileBaseName(model)}.${info.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return { filename: link.download, size: content.length };
+    }
+
+    // ================================
+    // Helpers
+    // ================================
+
+    paperNode(model) {
+        return model.paper.orkgId ? NS.orkgr + model.paper.orkgId : `${NS.local}paper:${this.slug(model.paper.doi || model.paper.title)}`;
+    }
+
+    contributionNode(model) {
+        return `${NS.local}contribution:${this.slug(model.paper.doi || model.paper.title)}`;
+    }
+
+    // ORKG resources keep their IRI; AI-generated ones get a local URN
+    resourceIri(id, kind) {
+        if (id && /^R\d+$/.test(id)) return NS.orkgr + id;
+        return `${NS.local}${kind}:${this.slug(id || kind)}`;
+    }
+
+    predicateIri(id) {
+        if (/^P\d+$/.test(id)) return NS.orkgp + id;
+        return `${NS.local}property:${encodeURIComponent(id)}`;
+    }
+
+    getContributionLabel(model) {
+        return model.template ? `Contribution (${model.template.label})` : 'Contribution 1';
+    }
+
+    getAuthorName(author) {
+        if (!author) return null;
+        if (typeof author === 'string') return author;
+        return author.name || [author.given, author.family].filter(Boolean).join(' ') || null;
+    }
+
+    getFileBaseName(model) {
+        const base = this.slug(model.paper.doi || model.paper.title).substring(0, 60);
+        return `orkg-contribution-${base || Date.now()}`;
+    }
+
+    slug(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    getDatatype(value, type) {
+        const text = String(value).trim();
+
+        if (type === 'number' || type === 'integer' || type === 'decimal') {
+            if (/^-?\d+$/.test(text)) return 'integer';
+            if (/^-?\d*\.\d+$/.test(text)) return 'decimal';
+        }
+        if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(text)) return 'date';
+        if ((type === 'url' || type === 'uri') && /^https?:\/\//.test(text)) return 'anyURI';
+        if (type === 'boolean' && /^(true|false)$/i.test(text)) return 'boolean';
+
+        return null;
+    }
+
+    turtleBlock(subject, predicates) {
+        return `${this.turtleTerm(subject)}\n    ${predicates.join(' ;\n    ')} .\n`;
+    }
+
+    // Compact ORKG IRIs to prefixed names, keep everything else as <IRI>
+    turtleTerm(iri) {
+        for (const prefix of ['orkgr', 'orkgp', 'orkgc']) {
+            const local = iri.startsWith(NS[prefix]) ? iri.slice(NS[prefix].length) : null;
+            if (local && /^[A-Za-z][A-Za-z0-9_]*$/.test(local)) return `${prefix}:${local}`;
+        }
+        return `<${iri}>`;
+    }
+
+    turtleLiteral(text) {
+        const escaped = String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r');
+        return `"${escaped}"`;
+    }
+
+    turtleTypedLiteral(value, type) {
+        const datatype = this.getDatatype(value, type);
+        const literal = this.turtleLiteral(value);
+        return datatype ? `${literal}^^xsd:${datatype}` : literal;
+    }
+
+    jsonLdLiteral(value, type) {
+        const datatype = this.getDatatype(value, type);
+        return datatype ? { '@value': value, '@type': `xsd:${datatype}` } : value;
+    }
+
+    csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+export default ContributionExportService;
@@ -5,6 +5,7 @@
 
 import { BaseExtractorService } from './BaseExtractorService.js';
 import { ImageIntelligence } from '../../content/intelligence/ImageIntelligence.js';
+import { isPDFViewerURL } from '../../utils/pdfViewerUtils.js';
 
 export class ImageExtractionService extends BaseExtractorService {
     constructor(config = {}) {
@@ -596,20 +597,25 @@ export class ImageExtractionService extends BaseExtractorService {
         console.log('🔄 Attempting extraction via content script...');
         
         try {
-            // First, inject the content script if needed
-            await this.injectContentScript('src/content/content-script.js');
-            
-            // Wait a bit for script to initialize
-            await new Promise(resolve => setTimeout(resolve, 500));
+            // First, inject the content script if needed (the PDF viewer loads its own)
+            if (!isPDFViewerURL(this.currentTab?.url)) {
+                await this.injectContentScript('src/content/content-script.js');
+                
+                // Wait a bit for script to initialize
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
             
             // Send extraction request
             const response = await this.sendToTab('EXTRACT_IMAGES', {
                 config: this.config
             });
             
-            if (response && response.success && response.images) {
-                console.log(`✅ Extracted ${response.images.length} images via content script`);
-                return response.images;
+            // The content script's message handler wraps the extraction result
+            const images = response?.images || response?.data?.data?.images;
+            
+            if (response && response.success && images) {
+                console.log(`✅ Extracted ${images.length} images via content script`);
+                return images;
             }
             
             throw new Error('Content script extraction failed');
@@ -1,9 +1,25 @@
 // ================================
-// src/core/services/MetadataService.js - Enhanced with CrossRef Primary, Semantic Scholar Fallback
+// src/core/services/MetadataService.js - Resolves papers via CrossRef, DataCite, arXiv, PubMed, OpenAlex and Semantic Scholar
 // ================================
 
 import { DOI_PATTERNS, METADATA_SELECTORS } from '../../utils/constants.js';
 import config from '../../config/config.js';
+import { isPDFViewerURL } from '../../utils/pdfViewerUtils.js';
+
+// Fields whose origin is recorded in metadata.provenance
+export const PROVENANCE_FIELDS = ['title', 'authors', 'abstract', 'doi', 'url', 'venue', 'journal', 'year', 'publisher'];
+
+// Sources in order of trust, per field. DOI registries own the bibliographic
+// record; PubMed and arXiv carry the abstract as the authors wrote it.
+const FIELD_PRIORITY = {
+    default: ['crossref', 'datacite', 'pubmed', 'arxiv', 'openalex', 'semantic_scholar', 'dom', 'pdf'],
+    abstract: ['pubmed', 'arxiv', 'datacite', 'semantic_scholar', 'openalex', 'crossref', 'dom', 'pdf'],
+    authors: ['crossref', 'pubmed', 'datacite', 'openalex', 'arxiv', 'semantic_scholar', 'dom', 'pdf']
+};
+
+// Fields checked for disagreement between sources. URLs always differ and
+// venue mirrors journal, so neither is compared.
+const CONFLICT_FIELDS = ['title', 'authors', 'abstract', 'doi', 'journal', 'year', 'publisher'];
 
 export class MetadataService {
     constructor(dataCache, metadataConfig, externalApisConfig) {
@@ -17,12 +33,43 @@ export class MetadataService {
             'semantic_scholar',
             'crossref',
             'arxiv',
+            'openalex',
+            'datacite',
+            'pubmed',
             'dom_extraction'
         ];
         
         this.searchStrategies = metadataConfig?.searchStrategies || {};
         this.domExtraction = metadataConfig?.domExtraction || {};
         
+        this.apiConfig = externalApisConfig || this.getDefaultApiConfig();
+        this.retryConfig = {
+            crossref: {
+                attempts: this.apiConfig.crossRef?.retryAttempts || 3,
+                delay: this.apiConfig.crossRef?.retryDelay || 1000
+            },
+            semanticScholar: {
+                attempts: this.apiConfig.semanticScholar?.retryAttempts || 2,
+                delay: this.apiConfig.semanticScholar?.retryDelay || 1000
+            },
+            arxiv: {
+                attempts: this.apiConfig.arxiv?.retryAttempts || 2,
+                delay: this.apiConfig.arxiv?.retryDelay || 3000
+            },
+            openAlex: {
+                attempts: this.apiConfig.openAlex?.retryAttempts || 2,
+                delay: this.apiConfig.openAlex?.retryDelay || 1000
+            },
+            dataCite: {
+                attempts: this.apiConfig.dataCite?.retryAttempts || 2,
+                delay: this.apiConfig.dataCite?.retryDelay || 1000
+            },
+            pubmed: {
+                attempts: this.apiConfig.pubmed?.retryAttempts || 2,
+                delay: this.apiConfig.pubmed?.retryDelay || 1000
+            }
+        };
+        
         this.isInitialized = false;
         
         console.log('📚 MetadataService created with config:', {
@@ -41,11 +88,13 @@ export class MetadataService {
     }
 
     /**
-     * Main metadata extraction method - CrossRef primary, Semantic Scholar fallback
+     * Main metadata extraction method. The page's DOI, arXiv ID and PMID are
+     * resolved with every enabled source and merged field by field.
+     * @param {Object} options - { forceRefresh, skipAPILookup, tab } - tab defaults to the active tab
      */
     async extractPageMetadata(options = {}) {
         try {
-            const tabInfo = await this.getCurrentTabInfo();
+            const tabInfo = options.tab ? { success: true, tab: options.tab } : await this.getCurrentTabInfo();
             if (!tabInfo.success) {
                 throw new Error('Cannot access current tab');
             }
@@ -66,28 +115,25 @@ export class MetadataService {
             console.log('🔍 Starting metadata extraction for:', url);
 
             // Strategy 1: Try DOM extraction first for speed
-            const domMetadata = await this.extractFromDOM(currentTab.id);
+            const isPDFViewer = isPDFViewerURL(url);
+            const domMetadata = isPDFViewer
+                ? await this.extractFromPDFViewer(currentTab.id)
+                : await this.extractFromDOM(currentTab.id);
             
-            // Strategy 2: API-based extraction (CrossRef primary, Semantic Scholar fallback)
-            let apiMetadata = null;
+            // Strategy 2: API-based extraction from every source that knows the paper
+            let apiRecords = [];
             
             if (!options.skipAPILookup) {
-                // Try DOI-based lookup first
-                const doi = await this.extractDOIFromPage(currentTab.id);
-                if (doi && this.isValidDOI(doi)) {
-                    console.log('🔗 Valid DOI found, trying API lookup:', doi);
-                    apiMetadata = await this.fetchMetadataByDOI(doi);
-                }
-                
-                // If DOI lookup failed, try title-based search
-                if (!apiMetadata && domMetadata?.title) {
-                    console.log('📄 Trying title-based API search');
-                    apiMetadata = await this.fetchMetadataByTitle(domMetadata.title);
-                }
+                const doi = isPDFViewer
+                    ? domMetadata?.doi
+                    : await this.extractDOIFromPage(currentTab.id);
+                const identifiers = this.extractIdentifiers(url, domMetadata, doi);
+                console.log('🔗 Resolving identifiers:', identifiers);
+                apiRecords = await this.fetchMetadataRecords(identifiers);
             }
             
-            // Merge DOM and API metadata (API takes priority)
-            const finalMetadata = this.mergeMetadata(domMetadata, apiMetadata);
+            // Merge DOM and API metadata field by field
+            const finalMetadata = this.mergeMetadata(domMetadata, apiRecords);
             
             // Cache the result
             if (this.cacheManager && finalMetadata) {
@@ -103,22 +149,21 @@ export class MetadataService {
     }
 
     /**
-     * Fetch metadata by DOI - CrossRef first, then Semantic Scholar
+     * Fetch metadata by DOI - the registering agency first, then Semantic Scholar
      */
     async fetchMetadataByDOI(doi) {
         let metadata = null;
         
-        // Try CrossRef first
+        // Try CrossRef or DataCite first
         try {
-            console.log('🎯 Trying CrossRef for DOI:', doi);
-            metadata = await this.fetchFromCrossRef(doi);
+            console.log('🎯 Trying DOI registry for DOI:', doi);
+            metadata = await this.fetchFromDOIRegistry(doi);
             if (metadata && this.isRichMetadata(metadata)) {
-                console.log('✅ Rich metadata from CrossRef');
-                console.log('📄 Metadata from CrossRef:', metadata);
+                console.log(`✅ Rich metadata from ${metadata.source}`);
                 return metadata;
             }
         } catch (error) {
-            console.warn('⚠️ CrossRef lookup failed:', error.message);
+            console.warn('⚠️ DOI registry lookup failed:', error.message);
         }
         
         // Fallback to Semantic Scholar
@@ -137,7 +182,7 @@ export class MetadataService {
     }
 
     /**
-     * Fetch metadata by title - CrossRef first, then Semantic Scholar
+     * Fetch metadata by title - CrossRef first, then Semantic Scholar and OpenAlex
      */
     async fetchMetadataByTitle(title) {
         let metadata = null;
@@ -172,9 +217,197 @@ export class MetadataService {
             console.warn('⚠️ Semantic Scholar title search failed:', error.message);
         }
         
+        // Last resort: OpenAlex
+        try {
+            console.log('🎯 Trying OpenAlex for title:', cleanTitle);
+            const openAlexMetadata = await this.fetchFromOpenAlex(cleanTitle, 'title');
+            if (openAlexMetadata && this.isRichMetadata(openAlexMetadata)) {
+                console.log('✅ Rich metadata from OpenAlex title search');
+                return openAlexMetadata;
+            }
+            metadata = metadata || openAlexMetadata;
+        } catch (error) {
+            console.warn('⚠️ OpenAlex title search failed:', error.message);
+        }
+        
         return metadata;
     }
 
+    /**
+     * Identifiers the resolvers can look up, taken from the URL, the DOI
+     * found on the page and the citation meta tags
+     */
+    extractIdentifiers(url, domMetadata, doi) {
+        // PDF viewer URLs carry the PDF's address encoded in a parameter
+        let pageUrl = url || '';
+        try {
+            pageUrl = decodeURIComponent(pageUrl);
+        } catch (error) {
+            // Keep the raw URL
+        }
+
+        const cleanDOI = doi && this.isValidDOI(doi) ? doi.replace(/^(doi:|DOI:)/i, '').trim().toLowerCase() : null;
+        const pmid = pageUrl.match(/(?:pubmed\.ncbi\.nlm\.nih\.gov|ncbi\.nlm\.nih\.gov\/pubmed)\/(\d+)/i)?.[1] ||
+            (/^\d+$/.test(domMetadata?.pmid || '') ? domMetadata.pmid : null);
+
+        return {
+            doi: cleanDOI,
+            // arXiv's own DOIs (10.48550/arXiv.*) name the preprint too
+            arxivId: this.parseArxivId(pageUrl) || this.parseArxivId(domMetadata?.arxivId) || this.parseArxivId(cleanDOI),
+            pmid: pmid,
+            title: domMetadata?.title || ''
+        };
+    }
+
+    // New-style (2101.00001) and old-style (hep-th/9901001) IDs, without version
+    parseArxivId(value) {
+        const match = String(value || '').match(
+            /(?:arxiv\.org\/(?:abs|pdf|html)\/|arxiv[.:]\s*|^)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/i
+        );
+        return match ? match[1] : null;
+    }
+
+    isSourceEnabled(source) {
+        // 'doi_api' stands for the DOI registration agencies
+        if ((source === 'crossref' || source === 'datacite') && this.sourcePriority.includes('doi_api')) {
+            return true;
+        }
+        return this.sourcePriority.includes(source);
+    }
+
+    /**
+     * Query every enabled source that can resolve the paper's identifiers.
+     * arXiv and PubMed go first because their records may name the DOI.
+     * @returns {Promise<Array>} one metadata record per source that answered
+     */
+    async fetchMetadataRecords(identifiers) {
+        const records = [];
+        const run = async (label, lookup) => {
+            try {
+                const record = await lookup();
+                if (record && this.isValidMetadata(record)) {
+                    records.push(record);
+                }
+            } catch (error) {
+                console.warn(`⚠️ ${label} lookup failed:`, error.message);
+            }
+        };
+
+        await Promise.all([
+            identifiers.arxivId && this.isSourceEnabled('arxiv') &&
+                run('arXiv', () => this.fetchFromArxiv(identifiers.arxivId)),
+            identifiers.pmid && this.isSourceEnabled('pubmed') &&
+                run('PubMed', () => this.fetchFromPubMed(identifiers.pmid))
+        ]);
+
+        const doi = identifiers.doi || records.map(record => record.doi).find(value => this.isValidDOI(value)) || null;
+        const pmid = identifiers.pmid || records.map(record => record.pmid).find(Boolean) || null;
+        const lookups = [];
+
+        if (doi) {
+            lookups.push(run('DOI registry', () => this.fetchFromDOIRegistry(doi)));
+        }
+
+        if (this.isSourceEnabled('openalex') && (doi || pmid)) {
+            lookups.push(run('OpenAlex', () => doi ? this.fetchFromOpenAlex(doi, 'doi') : this.fetchFromOpenAlex(pmid, 'pmid')));
+        }
+
+        if (this.isSourceEnabled('semantic_scholar')) {
+            const [type, id] = identifiers.arxivId ? ['arxiv', identifiers.arxivId] :
+                doi ? ['doi', doi] :
+                pmid ? ['pmid', pmid] : [null, null];
+            if (type) {
+                lookups.push(run('Semantic Scholar', () => this.fetchFromSemanticScholar(id, type)));
+            }
+        }
+
+        await Promise.all(lookups);
+
+        // Without identifiers, or when none of them resolved, search by title
+        if (records.length === 0 && identifiers.title) {
+            console.log('📄 Trying title-based API search');
+            await run('Title search', () => this.fetchMetadataByTitle(identifiers.title));
+        }
+
+        return records;
+    }
+
+    /**
+     * GET with a source's retry settings. A 404 means the source does not
+     * know the identifier and resolves to null instead of throwing.
+     * @param {string} apiName - key in the external APIs config, e.g. 'openAlex'
+     */
+    async fetchWithRetry(url, apiName, options = {}) {
+        const retry = this.retryConfig[apiName] || { attempts: 1, delay: 0 };
+        let lastError = null;
+        
+        for (let attempt = 1; attempt <= retry.attempts; attempt++) {
+            try {
+                const response = await fetch(url, {
+                    method: 'GET',
+                    ...options,
+                    signal: AbortSignal.timeout(this.apiConfig[apiName]?.timeout || 15000)
+                });
+                
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`${apiName} API error: ${response.status}`);
+                }
+                return response;
+                
+            } catch (error) {
+                lastError = error;
+                if (attempt < retry.attempts) {
+                    await new Promise(resolve => setTimeout(resolve, retry.delay));
+                }
+            }
+        }
+        
+        throw lastError;
+    }
+
+    /**
+     * Fetch a DOI from the agency that registered it. Dataset and software
+     * DOIs are registered with DataCite and unknown to CrossRef.
+     */
+    async fetchFromDOIRegistry(doi) {
+        const agency = await this.getRegistrationAgency(doi);
+        
+        if (agency !== 'datacite' && this.isSourceEnabled('crossref')) {
+            try {
+                const metadata = await this.fetchFromCrossRef(doi);
+                if (metadata) return metadata;
+            } catch (error) {
+                if (agency === 'crossref') throw error;
+            }
+        }
+        
+        if (agency !== 'crossref' && this.isSourceEnabled('datacite')) {
+            return this.fetchFromDataCite(doi);
+        }
+        
+        return null;
+    }
+
+    // 'crossref', 'datacite', ... or null when doi.org cannot tell
+    async getRegistrationAgency(doi) {
+        try {
+            const response = await fetch(`https://doi.org/ra/${encodeURI(doi)}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) return null;
+            
+            const data = await response.json();
+            const agency = data?.[0]?.RA;
+            return agency && !/does not exist|invalid/i.test(agency) ? agency.toLowerCase() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Fetch from CrossRef API by DOI
      */
@@ -266,6 +499,7 @@ export class MetadataService {
 
     /**
      * Fetch from Semantic Scholar API
+     * @param {string} type - 'doi', 'arxiv', 'pmid' or 'title'
      */
     async fetchFromSemanticScholar(query, type) {
         const config = this.retryConfig.semanticScholar;
@@ -279,6 +513,8 @@ export class MetadataService {
                 if (type === 'doi') {
                     const cleanQuery = query.replace(/^(doi:|DOI:)/i, '').trim();
                     url = `https://api.semanticscholar.org/graph/v1/paper/DOI:${encodeURIComponent(cleanQuery)}?fields=${fields}`;
+                } else if (type === 'arxiv' || type === 'pmid') {
+                    url = `https://api.semanticscholar.org/graph/v1/paper/${type.toUpperCase()}:${encodeURIComponent(query)}?fields=${fields}`;
                 } else {
                     const cleanQuery = this.cleanTitle(query);
                     url = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(cleanQuery)}&limit=1&fields=${fields}`;
@@ -307,7 +543,7 @@ export class MetadataService {
                 const data = await response.json();
                 
                 let paper = null;
-                if (type === 'doi') {
+                if (type !== 'title') {
                     paper = data;
                 } else if (data.data && data.data.length > 0) {
                     paper = data.data[0];
@@ -330,13 +566,100 @@ export class MetadataService {
         throw lastError;
     }
 
+    /**
+     * Fetch from the arXiv Atom API by arXiv ID
+     */
+    async fetchFromArxiv(arxivId) {
+        const baseUrl = this.apiConfig.arxiv?.baseUrl || 'https://export.arxiv.org/api/query';
+        const response = await this.fetchWithRetry(
+            `${baseUrl}?id_list=${encodeURIComponent(arxivId)}&max_results=1`,
+            'arxiv',
+            { headers: { 'Accept': 'application/atom+xml' } }
+        );
+        if (!response) return null;
+        
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        return this.parseArxivEntry(xml.getElementsByTagName('entry')[0], arxivId);
+    }
+
+    /**
+     * Fetch from PubMed E-utilities by PMID
+     */
+    async fetchFromPubMed(pmid) {
+        const pubmed = this.apiConfig.pubmed || {};
+        const params = new URLSearchParams({
+            db: 'pubmed',
+            id: pmid,
+            retmode: 'xml',
+            tool: 'orkg-annotator',
+            email: pubmed.email || 'orkg@tib.eu'
+        });
+        if (pubmed.apiKey) {
+            params.set('api_key', pubmed.apiKey);
+        }
+        
+        const baseUrl = pubmed.baseUrl || 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+        const response = await this.fetchWithRetry(`${baseUrl}/efetch.fcgi?${params}`, 'pubmed');
+        if (!response) return null;
+        
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        return this.parsePubMedArticle(xml.querySelector('PubmedArticle'));
+    }
+
+    /**
+     * Fetch from OpenAlex
+     * @param {string} type - 'doi', 'pmid' or 'title'
+     */
+    async fetchFromOpenAlex(query, type) {
+        const openAlex = this.apiConfig.openAlex || {};
+        const baseUrl = openAlex.baseUrl || 'https://api.openalex.org';
+        // Identifies us for OpenAlex's faster "polite pool"
+        const mailto = `mailto=${encodeURIComponent(openAlex.mailto || 'orkg@tib.eu')}`;
+        
+        const url = type === 'title' ?
+            `${baseUrl}/works?search=${encodeURIComponent(this.cleanTitle(query))}&per-page=1&${mailto}` :
+            `${baseUrl}/works/${type}:${encodeURI(query)}?${mailto}`;
+        
+        const response = await this.fetchWithRetry(url, 'openAlex', { headers: { 'Accept': 'application/json' } });
+        if (!response) return null;
+        
+        const data = await response.json();
+        if (type !== 'title') {
+            return this.parseOpenAlexWork(data);
+        }
+        
+        const work = data.results?.[0];
+        const similarity = work ? this.calculateSimilarity(query.toLowerCase(), (work.display_name || '').toLowerCase()) : 0;
+        return similarity >= 0.6 ? this.parseOpenAlexWork(work) : null;
+    }
+
+    /**
+     * Fetch from the DataCite REST API by DOI
+     */
+    async fetchFromDataCite(doi) {
+        const baseUrl = this.apiConfig.dataCite?.baseUrl || 'https://api.datacite.org';
+        const response = await this.fetchWithRetry(
+            `${baseUrl}/dois/${encodeURIComponent(doi)}`,
+            'dataCite',
+            { headers: { 'Accept': 'application/vnd.api+json' } }
+        );
+        if (!response) return null;
+        
+        const data = await response.json();
+        return this.parseDataCiteData(data.data?.attributes);
+    }
+
     /**
      * Parse CrossRef API response
      */
     parseCrossRefData(work) {
         try {
             const authors = work.author ? work.author.map(author => ({
-                name: `${author.given || ''} ${author.family || ''}`.trim()
+                name: `${author.given || ''} ${author.family || ''}`.trim(),
+                given: author.given || '',
+                family: author.family || '',
+                orcid: this.normalizeOrcid(author.ORCID),
+                source: 'crossref'
             })).filter(author => author.name) : [];
             
             const publicationDate = this.extractPublicationDate(work);
@@ -371,7 +694,9 @@ export class MetadataService {
     parseSemanticScholarData(paper) {
         try {
             const authors = paper.authors ? paper.authors.map(author => ({
-                name: author.name || ''
+                name: author.name || '',
+                semanticScholarId: author.authorId || null,
+                source: 'semantic_scholar'
             })).filter(author => author.name) : [];
             
             // Extract DOI from external IDs
@@ -401,6 +726,201 @@ export class MetadataService {
         }
     }
 
+    /**
+     * Parse an arXiv Atom entry
+     */
+    parseArxivEntry(entry, arxivId) {
+        // Unknown IDs come back as an entry pointing at the API's error page
+        if (!entry || (entry.getElementsByTagName('id')[0]?.textContent || '').includes('/api/errors')) {
+            return null;
+        }
+        
+        const ARXIV_NS = 'http://arxiv.org/schemas/atom';
+        const text = (name, namespace = null) => {
+            const element = namespace ?
+                entry.getElementsByTagNameNS(namespace, name)[0] :
+                entry.getElementsByTagName(name)[0];
+            return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+        };
+        
+        const authors = Array.from(entry.getElementsByTagName('author')).map(author => ({
+            name: (author.getElementsByTagName('name')[0]?.textContent || '').trim(),
+            source: 'arxiv'
+        })).filter(author => author.name);
+        
+        const published = text('published');
+        // The journal DOI once published, otherwise arXiv's DataCite DOI
+        const doi = text('doi', ARXIV_NS) || `10.48550/arxiv.${arxivId}`;
+        
+        return {
+            source: 'arxiv',
+            title: text('title'),
+            authors: authors,
+            abstract: text('summary'),
+            doi: doi.toLowerCase(),
+            url: `https://arxiv.org/abs/${arxivId}`,
+            publicationDate: published ? new Date(published).toISOString() : '',
+            venue: '',
+            journal: '',
+            year: published.substring(0, 4),
+            publisher: '',
+            volume: '',
+            issue: '',
+            pages: '',
+            type: 'preprint',
+            journalRef: text('journal_ref', ARXIV_NS),
+            arxivId: arxivId,
+            citationCount: 0
+        };
+    }
+
+    /**
+     * Parse a PubMed efetch article
+     */
+    parsePubMedArticle(article) {
+        if (!article) return null;
+        
+        const text = (selector, root = article) => (root.querySelector(selector)?.textContent || '').trim();
+        
+        const authors = Array.from(article.querySelectorAll('AuthorList > Author')).map(author => {
+            const given = text('ForeName', author);
+            const family = text('LastName', author);
+            return {
+                name: text('CollectiveName', author) || `${given} ${family}`.trim(),
+                given: given,
+                family: family,
+                orcid: this.normalizeOrcid(text('Identifier[Source="ORCID"]', author)),
+                source: 'pubmed'
+            };
+        }).filter(author => author.name);
+        
+        // Structured abstracts come in labelled parts (BACKGROUND, METHODS, ...)
+        const abstract = Array.from(article.querySelectorAll('Abstract > AbstractText')).map(part => {
+            const label = part.getAttribute('Label');
+            return label ? `${label}: ${part.textContent.trim()}` : part.textContent.trim();
+        }).join('\n\n');
+        
+        const year = text('JournalIssue PubDate Year') || (text('JournalIssue PubDate MedlineDate').match(/\d{4}/) || [''])[0];
+        const journal = text('Journal > Title');
+        const pmid = text('MedlineCitation > PMID');
+        
+        return {
+            source: 'pubmed',
+            title: text('ArticleTitle').replace(/\.$/, ''),
+            authors: authors,
+            abstract: abstract,
+            doi: text('ArticleIdList > ArticleId[IdType="doi"]').toLowerCase(),
+            url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+            publicationDate: year ? new Date(parseInt(year), 0).toISOString() : '',
+            venue: journal,
+            journal: journal,
+            year: year,
+            publisher: '',
+            volume: text('JournalIssue > Volume'),
+            issue: text('JournalIssue > Issue'),
+            pages: text('Pagination > MedlinePgn'),
+            type: 'article',
+            pmid: pmid,
+            citationCount: 0
+        };
+    }
+
+    /**
+     * Parse an OpenAlex work
+     */
+    parseOpenAlexWork(work) {
+        if (!work?.display_name) return null;
+        
+        const authors = (work.authorships || []).map(authorship => ({
+            name: authorship.author?.display_name || authorship.raw_author_name || '',
+            orcid: this.normalizeOrcid(authorship.author?.orcid),
+            source: 'openalex'
+        })).filter(author => author.name);
+        
+        const doi = (work.doi || '').replace(/^https?:\/\/doi\.org\//i, '').toLowerCase();
+        const source = work.primary_location?.source;
+        const pages = [work.biblio?.first_page, work.biblio?.last_page].filter(Boolean).join('-');
+        
+        return {
+            source: 'openalex',
+            title: work.display_name,
+            authors: authors,
+            abstract: this.rebuildAbstract(work.abstract_inverted_index),
+            doi: doi,
+            url: doi ? `https://doi.org/${doi}` : work.id || '',
+            publicationDate: work.publication_date ? new Date(work.publication_date).toISOString() : '',
+            venue: source?.display_name || '',
+            journal: source?.display_name || '',
+            year: work.publication_year?.toString() || '',
+            publisher: source?.host_organization_name || '',
+            volume: work.biblio?.volume || '',
+            issue: work.biblio?.issue || '',
+            pages: pages,
+            type: work.type || 'article',
+            pmid: (work.ids?.pmid || '').split('/').pop(),
+            citationCount: work.cited_by_count || 0
+        };
+    }
+
+    // OpenAlex ships abstracts as { word: [positions] }
+    rebuildAbstract(invertedIndex) {
+        if (!invertedIndex) return '';
+        
+        const words = [];
+        Object.entries(invertedIndex).forEach(([word, positions]) => {
+            positions.forEach(position => {
+                words[position] = word;
+            });
+        });
+        return words.filter(Boolean).join(' ');
+    }
+
+    /**
+     * Parse DataCite DOI attributes (datasets, software, arXiv preprints)
+     */
+    parseDataCiteData(attributes) {
+        if (!attributes) return null;
+        
+        const authors = (attributes.creators || []).map(creator => {
+            const orcid = (creator.nameIdentifiers || []).find(id => /orcid/i.test(id.nameIdentifierScheme || ''));
+            const given = creator.givenName || '';
+            const family = creator.familyName || '';
+            return {
+                name: given || family ? `${given} ${family}`.trim() : creator.name || '',
+                given: given,
+                family: family,
+                orcid: this.normalizeOrcid(orcid?.nameIdentifier),
+                source: 'datacite'
+            };
+        }).filter(author => author.name);
+        
+        const abstract = (attributes.descriptions || []).find(description => description.descriptionType === 'Abstract');
+        // Newer API versions return the publisher as an object
+        const publisher = typeof attributes.publisher === 'object' ? attributes.publisher?.name : attributes.publisher;
+        const container = attributes.container?.title || '';
+        const year = attributes.publicationYear ? String(attributes.publicationYear) : '';
+        const resourceType = attributes.types?.resourceTypeGeneral;
+        
+        return {
+            source: 'datacite',
+            title: attributes.titles?.[0]?.title || '',
+            authors: authors,
+            abstract: abstract?.description || '',
+            doi: (attributes.doi || '').toLowerCase(),
+            url: attributes.url || (attributes.doi ? `https://doi.org/${attributes.doi}` : ''),
+            publicationDate: year ? new Date(parseInt(year), 0).toISOString() : '',
+            venue: container,
+            journal: container,
+            year: year,
+            publisher: publisher || '',
+            volume: attributes.container?.volume || '',
+            issue: attributes.container?.issue || '',
+            pages: '',
+            type: resourceType ? resourceType.toLowerCase() : 'dataset',
+            citationCount: attributes.citationCount || 0
+        };
+    }
+
     /**
      * Extract metadata from DOM
      */
@@ -470,6 +990,10 @@ export class MetadataService {
                     // Extract publisher
                     metadata.publisher = getMeta(metaSelectors.PUBLISHER);
 
+                    // Identifiers used to look the paper up elsewhere
+                    metadata.arxivId = getMeta(metaSelectors.ARXIV_ID);
+                    metadata.pmid = getMeta(metaSelectors.PMID);
+
                     return metadata;
                 },
                 args: [METADATA_SELECTORS]
@@ -482,6 +1006,23 @@ export class MetadataService {
         }
     }
 
+    /**
+     * Extract metadata from the bundled PDF viewer. Extension pages cannot be
+     * scripted, so the viewer answers with what it read from the PDF.
+     */
+    async extractFromPDFViewer(tabId) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { action: 'GET_PDF_METADATA' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No metadata from PDF viewer');
+            }
+            return response.metadata;
+        } catch (error) {
+            console.error('❌ PDF viewer metadata extraction failed:', error);
+            return null;
+        }
+    }
+
     /**
      * Extract DOI from page
      */
@@ -523,33 +1064,189 @@ export class MetadataService {
     }
 
     /**
-     * Merge DOM and API metadata (API takes priority)
+     * Merge page metadata with the API records, field by field. Every field
+     * takes the value of the most trusted source that has one (FIELD_PRIORITY)
+     * and records it in metadata.provenance. Where sources disagree, all
+     * distinct values are kept in metadata.conflicts as
+     * { field: [{ value, sources: [...] }, ...] }, the chosen value first.
+     * @param {Object|null} domMetadata
+     * @param {Object|Array|null} apiRecords - one record or a record per source
      */
-    mergeMetadata(domMetadata, apiMetadata) {
-        if (!domMetadata && !apiMetadata) return null;
-        if (!domMetadata) return apiMetadata;
-        if (!apiMetadata) return domMetadata;
+    mergeMetadata(domMetadata, apiRecords) {
+        const records = [].concat(apiRecords || []).filter(Boolean);
+        if (domMetadata) records.push(domMetadata);
+        if (records.length === 0) return null;
+        if (records.length === 1) return this.withProvenance(records[0]);
+
+        const provenance = {};
+        const conflicts = {};
+        const hasValue = (value) => Array.isArray(value) ? value.length > 0 : !!value;
+        const ranked = (field) => this.rankBySource(records.filter(record => hasValue(record[field])), field);
+        const first = (field, fallback = '') => ranked(field)[0]?.[field] || fallback;
+
+        const pick = (field) => {
+            const candidates = ranked(field);
+            if (candidates.length === 0) {
+                return field === 'authors' ? [] : '';
+            }
+
+            const chosen = candidates[0];
+            provenance[field] = chosen.source;
+
+            if (CONFLICT_FIELDS.includes(field)) {
+                const groups = this.groupAgreeingValues(field, candidates);
+                if (groups.length > 1) {
+                    conflicts[field] = groups;
+                }
+            }
+
+            return field === 'authors' ?
+                this.enrichAuthors(this.tagAuthors(chosen.authors, chosen.source), candidates.slice(1)) :
+                chosen[field];
+        };
+
+        const sources = [...new Set(this.rankBySource(records, 'default').map(record => record.source))];
 
         return {
-            source: `${apiMetadata.source}+dom`,
-            title: apiMetadata.title || domMetadata.title || '',
-            authors: apiMetadata.authors?.length > 0 ? apiMetadata.authors : domMetadata.authors || [],
-            abstract: apiMetadata.abstract || domMetadata.abstract || '',
-            doi: apiMetadata.doi || domMetadata.doi || '',
-            url: apiMetadata.url || domMetadata.url || '',
-            venue: apiMetadata.venue || domMetadata.venue || '',
-            journal: apiMetadata.journal || domMetadata.journal || '',
-            year: apiMetadata.year || domMetadata.year || '',
-            publisher: apiMetadata.publisher || domMetadata.publisher || '',
-            publicationDate: apiMetadata.publicationDate || '',
-            volume: apiMetadata.volume || '',
-            issue: apiMetadata.issue || '',
-            pages: apiMetadata.pages || '',
-            type: apiMetadata.type || 'article',
-            citationCount: apiMetadata.citationCount || 0
+            source: sources.join('+'),
+            title: pick('title'),
+            authors: pick('authors'),
+            abstract: pick('abstract'),
+            doi: pick('doi'),
+            url: pick('url'),
+            venue: pick('venue'),
+            journal: pick('journal'),
+            year: pick('year'),
+            publisher: pick('publisher'),
+            publicationDate: first('publicationDate'),
+            volume: first('volume'),
+            issue: first('issue'),
+            pages: first('pages'),
+            type: first('type', 'article'),
+            citationCount: Math.max(0, ...records.map(record => record.citationCount || 0)),
+            arxivId: first('arxivId') || null,
+            pmid: first('pmid') || null,
+            provenance: provenance,
+            conflicts: conflicts
         };
     }
 
+    rankBySource(records, field) {
+        const priority = FIELD_PRIORITY[field] || FIELD_PRIORITY.default;
+        const rank = (record) => {
+            const index = priority.indexOf(record.source);
+            return index === -1 ? priority.length : index;
+        };
+        return [...records].sort((a, b) => rank(a) - rank(b));
+    }
+
+    // Collect candidate values into groups of values that agree with each other
+    groupAgreeingValues(field, records) {
+        const groups = [];
+
+        records.forEach(record => {
+            const group = groups.find(existing => this.valuesAgree(field, existing.value, record[field]));
+            if (group) {
+                group.sources.push(record.source);
+            } else {
+                groups.push({ value: record[field], sources: [record.source] });
+            }
+        });
+
+        return groups;
+    }
+
+    valuesAgree(field, a, b) {
+        if (field === 'authors') {
+            const familiesA = a.map(author => this.getFamilyName(author));
+            const familiesB = b.map(author => this.getFamilyName(author));
+            return familiesA.length === familiesB.length && familiesA.every((name, i) => name === familiesB[i]);
+        }
+
+        const normalizedA = this.normalizeForComparison(field === 'title' ? this.cleanTitle(a) : a);
+        const normalizedB = this.normalizeForComparison(field === 'title' ? this.cleanTitle(b) : b);
+        if (normalizedA === normalizedB) return true;
+        if (field === 'doi' || field === 'year') return false;
+
+        // Meta tag abstracts are often cut short, so check the shorter one is contained
+        if (field === 'abstract') {
+            const wordsA = normalizedA.split(' ');
+            const wordsB = normalizedB.split(' ');
+            const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, new Set(wordsB)] : [wordsB, new Set(wordsA)];
+            return shorter.filter(word => longer.has(word)).length / shorter.length >= 0.9;
+        }
+
+        return this.calculateSimilarity(normalizedA.substring(0, 300), normalizedB.substring(0, 300)) >= 0.9;
+    }
+
+    normalizeForComparison(value) {
+        return String(value || '')
+            .replace(/<[^>]+>/g, ' ')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    getFamilyName(author) {
+        const name = typeof author === 'string' ? author : author.family || author.name || '';
+        // "Family, Given" as in citation meta tags
+        const family = name.includes(',') ? name.split(',')[0] : name.trim().split(/\s+/).pop();
+        return this.normalizeForComparison(family);
+    }
+
+    // Fill in ORCID iDs the chosen source lacks from other sources' author lists
+    enrichAuthors(authors, otherRecords) {
+        return authors.map(author => {
+            if (author.orcid) return author;
+
+            const family = this.getFamilyName(author);
+            for (const record of otherRecords) {
+                const match = (record.authors || []).find(other =>
+                    other.orcid && typeof other !== 'string' && this.getFamilyName(other) === family
+                );
+                if (match) {
+                    return { ...author, orcid: match.orcid };
+                }
+            }
+            return author;
+        });
+    }
+
+    /**
+     * Record a single source for every field that has a value
+     */
+    withProvenance(metadata) {
+        if (!metadata) return metadata;
+
+        const provenance = {};
+        PROVENANCE_FIELDS.forEach(field => {
+            const value = metadata[field];
+            if (Array.isArray(value) ? value.length > 0 : !!value) {
+                provenance[field] = metadata.source;
+            }
+        });
+
+        return {
+            ...metadata,
+            authors: this.tagAuthors(metadata.authors || [], metadata.source),
+            provenance: { ...provenance, ...(metadata.provenance || {}) }
+        };
+    }
+
+    tagAuthors(authors, source) {
+        return authors.map(author => typeof author === 'string' ?
+            { name: author, source: source } :
+            { ...author, source: author.source || source });
+    }
+
+    // CrossRef gives ORCID iDs as URLs; everything else keeps the bare iD
+    normalizeOrcid(value) {
+        const match = String(value || '').match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+        return match ? match[1].toUpperCase() : null;
+    }
+
     /**
      * Check if metadata is valid
      */
@@ -687,6 +1384,23 @@ export class MetadataService {
                 baseUrl: 'https://api.semanticscholar.org/graph/v1',
                 timeout: 15000,
                 apiKey: ''
+            },
+            arxiv: {
+                baseUrl: 'https://export.arxiv.org/api/query',
+                timeout: 15000
+            },
+            openAlex: {
+                baseUrl: 'https://api.openalex.org',
+                timeout: 15000
+            },
+            dataCite: {
+                baseUrl: 'https://api.datacite.org',
+                timeout: 15000
+            },
+            pubmed: {
+                baseUrl: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils',
+                timeout: 15000,
+                apiKey: ''
             }
         };
     }
@@ -277,6 +277,24 @@ class ServiceManager {
         return serviceConfig && serviceConfig.initialized;
     }
     
+    /**
+     * Swap the instance behind a registered service (e.g. after an LLM provider switch)
+     * @param {string} name - Service name
+     * @param {Object} instance - Replacement instance
+     */
+    replaceInstance(name, instance) {
+        const serviceConfig = this.services.get(name);
+        if (!serviceConfig) {
+            throw new Error(`Service not found: ${name}`);
+        }
+        
+        serviceConfig.instance = instance;
+        serviceConfig.initialized = true;
+        
+        console.log(`🔁 Service instance replaced: ${name}`);
+        eventManager.emit('service:replaced', { name, instance });
+    }
+    
     /**
      * Wait for a service to be initialized
      * @param {string} name - Service name
@@ -6,6 +6,7 @@ import { eventManager, EVENTS } from '../../utils/eventManager.js';
 import { ACADEMIC_PUBLISHERS, ACADEMIC_KEYWORDS, DOI_PATTERNS } from '../../utils/constants.js';
 import config from '../../config/config.js';
 import { MetadataService } from './MetadataService.js';
+import { isPDFViewerURL, getPDFSourceURL } from '../../utils/pdfViewerUtils.js';
 
 export class ValidationService {
     constructor() {
@@ -99,14 +100,14 @@ export class ValidationService {
         if (!documentTypeResult.isHTMLContent) {
             // PDF detected - STOP validation entirely
             canProceed = false;
-            stopReason = 'PDF documents cannot be processed automatically due to extraction limitations.';
+            stopReason = 'PDF documents need to be opened in the ORKG PDF viewer before they can be processed.';
             
             return {
                 score: 0,
                 checks: allChecks,
                 recommendations: [{
                     title: 'PDF Document Detected',
-                    description: 'PDF files cannot be processed automatically. Please find the HTML version of this paper.',
+                    description: 'Open this PDF in the ORKG PDF viewer to annotate it, or find the HTML version of this paper.',
                     priority: 'critical'
                 }],
                 canProceed,
@@ -195,7 +196,17 @@ export class ValidationService {
         // Check if URL indicates PDF
         const isPDF = this.isPDFDocument(tabInfo.url, tabInfo.title);
         
-        if (isPDF) {
+        if (isPDFViewerURL(tabInfo.url)) {
+            checks.push({
+                id: 'pdf_viewer_content',
+                title: 'Document Format',
+                description: 'PDF rendered with a text layer',
+                status: 'passed',
+                category: 'structure',
+                weight: 0,
+                details: 'PDF opened in the ORKG PDF viewer - suitable for automatic processing'
+            });
+        } else if (isPDF) {
             checks.push({
                 id: 'pdf_content',
                 title: 'Document Format',
@@ -203,7 +214,7 @@ export class ValidationService {
                 status: 'failed',
                 category: 'structure',
                 weight: 0, // PDF detection doesn't give points, just blocks
-                details: 'PDF document detected - cannot be processed automatically'
+                details: 'PDF document detected - open it in the ORKG PDF viewer to process it'
             });
             isHTMLContent = false;
         } else {
@@ -570,13 +581,16 @@ export class ValidationService {
     }
     
     isPDFDocument(url, title) {
+        // The viewer renders PDFs as HTML with a text layer
+        if (isPDFViewerURL(url)) return false;
+        
         const pdfIndicators = ['.pdf', 'filetype:pdf'];
         const textToCheck = (url + ' ' + (title || '')).toLowerCase();
         return pdfIndicators.some(indicator => textToCheck.includes(indicator));
     }
     
     isAcademicDomain(url) {
-        const lowerUrl = url.toLowerCase();
+        const lowerUrl = getPDFSourceURL(url).toLowerCase();
         const academicDomains = [
             'biomedcentral.com', 'nature.com', 'sciencedirect.com', 'springer.com',
             'ieee.org', 'acm.org', 'arxiv.org', 'pubmed.ncbi.nlm.nih.gov',
@@ -586,7 +600,7 @@ export class ValidationService {
     }
     
     getPublisherInfo(url) {
-        const lowerUrl = url.toLowerCase();
+        const lowerUrl = getPDFSourceURL(url).toLowerCase();
         const publishers = {
             'biomedcentral.com': { name: 'BioMed Central', type: 'academic' },
             'nature.com': { name: 'Nature Publishing Group', type: 'academic' },
@@ -742,7 +756,7 @@ export class ValidationService {
     
     extractDomain(url) {
         try {
-            return new URL(url).hostname;
+            return new URL(getPDFSourceURL(url)).hostname;
         } catch (error) {
             return 'unknown';
         }
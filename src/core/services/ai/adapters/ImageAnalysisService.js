@@ -3,6 +3,7 @@
 // ================================
 
 import { eventManager } from '../../../../utils/eventManager.js';
+import { createLLMProvider, isProviderConfigured } from '../providers/providerRegistry.js';
 
 export class ImageAnalysisService {
     constructor() {
@@ -45,55 +46,23 @@ export class ImageAnalysisService {
                             };
                 
                 // Try to get provider from LLM service
-                /*const llmService = serviceManager.getService('llmService');
+                const llmService = serviceManager.hasService('llmService') ?
+                    serviceManager.getService('llmService') : null;
                 if (llmService && llmService.provider) {
                     this.provider = llmService.provider;
                     console.log('✅ Using provider from llmService');
-                }*/
+                }
             }
             
-            // If no provider yet, create one directly
+            // Without the LLM service, use the provider selected in the settings
             if (!this.provider) {
-                console.log('🔧 Creating OpenAI provider directly');
-                
-                // Get API key from various sources
-                let apiKey = null;
-                
-                // Try window.orkgConfig first
-                if (window.orkgConfig) {
-                    apiKey = window.orkgConfig.getOpenAIKey?.() || 
-                            window.orkgConfig.get?.('openai.apiKey');
-                }
-                
-                // Try environment variable
-                if (!apiKey && window.OPENAI_API_KEY) {
-                    apiKey = window.OPENAI_API_KEY;
-                }
-                
-                // Try localStorage
-                if (!apiKey) {
-                    const stored = localStorage.getItem('orkg-openai-api-key');
-                    if (stored) apiKey = stored;
-                }
-                
-                if (!apiKey) {
-                    console.warn('⚠️ No OpenAI API key found');
-                    this.provider = null;
-                    this.isInitialized = false;
-                    return;
-                }
-                
-                // Create provider with API key
-                const { OpenAIProvider } = await import('../providers/openaiProvider.js');
-                const openaiConfig = {
-                    apiKey: apiKey,
-                    model: 'gpt-4o-mini',
-                    visionModel: 'gpt-4-vision-preview' // Use correct vision model name
-                };
-                
-                this.provider = new OpenAIProvider(openaiConfig);
-                await this.provider.init();
-                console.log('✅ OpenAI provider created with API key');
+                this.provider = await this.createActiveProvider();
+            }
+            
+            if (!this.provider) {
+                console.warn('⚠️ No LLM provider configured');
+                this.isInitialized = false;
+                return;
             }
             
             this.isInitialized = true;
@@ -168,14 +137,41 @@ export class ImageAnalysisService {
         }
     }
     
+    /**
+     * The provider selected in the settings, never another one, so images
+     * do not reach OpenAI while a local or Anthropic provider is active
+     */
+    async createActiveProvider() {
+        const config = window.orkgConfig;
+        if (!config?.getLLMProvider) return null;
+        
+        const providerType = config.getLLMProvider();
+        const settings = config.getLLMSettings(providerType);
+        if (!isProviderConfigured(providerType, settings)) return null;
+        
+        const provider = createLLMProvider(providerType, settings);
+        await provider.init?.();
+        return provider;
+    }
+    
+    /**
+     * Vision model of the active provider, or null if it can't read images
+     */
+    getVisionModel() {
+        return this.provider?.getVisionModel?.() || null;
+    }
+    
     /**
      * Perform the actual analysis
      */
     async performAnalysis(imageData, options) {
         const { context, extractTriples, generateDescription, analyzeTrends } = options;
         
-        // Get vision model from config
-        const visionModel = this.config?.getAll()?.openai?.visionModel || 'gpt-4o';
+        // Get vision model from the active provider
+        const visionModel = this.getVisionModel();
+        if (!visionModel) {
+            throw new Error(`${this.provider?.displayName || 'The active LLM provider'} has no vision-capable model configured`);
+        }
         
         // Build the analysis prompt
         const systemPrompt = this.buildSystemPrompt(options);
@@ -337,8 +333,8 @@ Return your analysis as a JSON object with the following structure:
                     imageSrc: imageData.src,
                     imageAlt: imageData.alt,
                     analyzedAt: new Date().toISOString(),
-                    provider: 'openai',
-                    model: this.config?.getAll()?.openai?.visionModel || 'gpt-4o'
+                    provider: this.provider?.providerId || 'openai',
+                    model: this.getVisionModel()
                 }
             };
             
@@ -5,7 +5,8 @@
   
 import { generateId, createErrorHandler } from '../../../utils/utils.js';
   //import { CacheManager } from '../../utils/cacheManager.js';
-  import OpenAIProvider from './providers/openaiProvider.js';
+  import { eventManager } from '../../../utils/eventManager.js';
+  import { createLLMProvider, getProviderInfo, getProviderModels } from './providers/providerRegistry.js';
   import AnalysisAdapter from './adapters/analysisAdapter.js';
   import GenerationAdapter from './adapters/generationAdapter.js';
   import SuggestionAdapter from './adapters/suggestionAdapter.js';
@@ -18,8 +19,8 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
           this.options = {
               provider: 'openai',
               apiKey: null,
-              model: 'gpt-4o-mini',
-              baseUrl: 'https://api.openai.com/v1',
+              model: null,
+              baseURL: null,
               timeout: 60000,
               maxRetries: 3,
               retryDelay: 2000,
@@ -65,27 +66,22 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
        * Create provider instance
        */
       createProvider(providerType) {
-          switch (providerType) {
-              case 'openai':
-                  return new OpenAIProvider({
-                      apiKey: this.options.apiKey,
-                      model: this.options.model,
-                      baseUrl: this.options.baseUrl,
-                      timeout: this.options.timeout,
-                      maxRetries: this.options.maxRetries,
-                      retryDelay: this.options.retryDelay,
-                      cache: this.options.cache
-                  });
-              
-              case 'anthropic':
-                  throw new Error('Anthropic provider not yet implemented');
-              
-              case 'local':
-                  throw new Error('Local provider not yet implemented');
-              
-              default:
-                  throw new Error(`Unknown provider: ${providerType}`);
-          }
+          // 'local' is kept as an alias for the OpenAI-compatible server provider
+          const type = providerType === 'local' ? 'openai-compatible' : providerType;
+          
+          return createLLMProvider(type, {
+              apiKey: this.options.apiKey,
+              model: this.options.model,
+              visionModel: this.options.visionModel,
+              vision: this.options.vision,
+              baseURL: this.options.baseURL || this.options.baseUrl,
+              timeout: this.options.timeout,
+              temperature: this.options.temperature,
+              maxTokens: this.options.maxTokens,
+              maxRetries: this.options.maxRetries,
+              retryDelay: this.options.retryDelay,
+              cache: this.options.cache
+          });
       }
   
       /**
@@ -102,8 +98,8 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
                   this.provider.updateConfig({ apiKey });
               }
               
-              if (!this.options.apiKey) {
-                  console.warn('⚠️ LLM API key not provided - using mock responses');
+              if (!this.provider.isReady()) {
+                  console.warn('⚠️ LLM provider not configured - using mock responses');
                   this.isInitialized = true;
                   return;
               }
@@ -330,21 +326,42 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
   
       /**
        * Switch provider
+       * @param {string} providerType - 'openai', 'openai-compatible' or 'anthropic'
+       * @param {Object} config - Connection settings (apiKey, baseURL, model, vision)
        */
       async switchProvider(providerType, config = {}) {
           try {
+              const previousCacheManager = this.provider?.cacheManager || null;
+              
+              // Connection settings belong to one provider - don't carry them over
+              this.options = {
+                  ...this.options,
+                  apiKey: null,
+                  model: null,
+                  baseURL: null,
+                  visionModel: null,
+                  vision: false,
+                  ...config,
+                  provider: providerType
+              };
+              
               this.provider = this.createProvider(providerType);
-              this.options.provider = providerType;
+              this.provider.cacheManager = previousCacheManager;
               
               // Update adapters with new provider
               this.analysisAdapter = new AnalysisAdapter(this.provider);
               this.generationAdapter = new GenerationAdapter(this.provider);
               this.suggestionAdapter = new SuggestionAdapter(this.provider);
               
-              // Re-initialize if needed
-              if (config.apiKey) {
-                  await this.initialize(config.apiKey);
-              }
+              // Re-initialize against the new backend
+              this.isInitialized = false;
+              await this.initialize(config.apiKey);
+              
+              eventManager.emit('llm:provider_changed', {
+                  provider: this.provider,
+                  providerType: providerType,
+                  model: this.provider.model
+              });
               
               console.log('🔄 LLM Service provider switched to:', providerType);
               
@@ -354,6 +371,36 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
           }
       }
   
+      /**
+       * Models for the active provider, with their vision capability
+       */
+      async getAvailableModels() {
+          if (typeof this.provider.listModels === 'function') {
+              try {
+                  return await this.provider.listModels();
+              } catch (error) {
+                  console.warn('⚠️ Could not list provider models:', error.message);
+              }
+          }
+          return this.provider.getModels?.() || getProviderModels(this.options.provider);
+      }
+  
+      /**
+       * Describe the active provider for the settings UI
+       */
+      getProviderInfo() {
+          const info = getProviderInfo(this.options.provider === 'local' ? 'openai-compatible' : this.options.provider);
+          
+          return {
+              id: info.id,
+              label: info.label,
+              model: this.provider.model,
+              baseURL: this.provider.baseURL,
+              supportsVision: this.provider.supportsVision?.() || false,
+              isReady: this.provider.isReady()
+          };
+      }
+  
       /**
        * Get service statistics
        */
@@ -364,7 +411,7 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
               return {
                   service: 'unified_llm',
                   provider: this.options.provider,
-                  model: this.options.model,
+                  model: this.provider.model,
                   isInitialized: this.isInitialized,
                   isAvailable: this.isAvailable(),
                   activeRequests: this.activeRequests.size,
@@ -452,7 +499,7 @@ import { generateId, createErrorHandler } from '../../../utils/utils.js';
                   healthy: testResult.success,
                   service: 'unified_llm',
                   provider: this.options.provider,
-                  model: this.options.model,
+                  model: this.provider.model,
                   isInitialized: this.isInitialized,
                   isAvailable: this.isAvailable(),
                   connection: testResult,
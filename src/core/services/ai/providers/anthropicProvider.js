@@ -0,0 +1,147 @@
+// ================================
+// src/core/services/ai/providers/anthropicProvider.js
+// Anthropic Messages API, adapted to the OpenAI response shape the adapters expect
+// ================================
+
+import { HttpClient } from '../../../../utils/httpClient.js';
+import { OpenAIProvider } from './openaiProvider.js';
+
+export class AnthropicProvider extends OpenAIProvider {
+    static MODELS = [
+        { id: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', vision: true, contextWindow: 200000 },
+        { id: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet', vision: true, contextWindow: 200000 },
+        { id: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet', vision: true, contextWindow: 200000 },
+        { id: 'claude-3-opus-latest', label: 'Claude 3 Opus', vision: true, contextWindow: 200000 }
+    ];
+
+    constructor(config) {
+        if (!config) {
+            throw new Error('AnthropicProvider requires config parameter');
+        }
+
+        super({
+            ...config,
+            baseURL: config.baseURL || config.baseUrl || 'https://api.anthropic.com/v1',
+            model: config.model || 'claude-3-5-haiku-latest'
+        });
+
+        this.providerId = 'anthropic';
+        this.displayName = 'Anthropic';
+        this.requiresApiKey = true;
+        this.apiVersion = config.apiVersion || '2023-06-01';
+    }
+
+    getRequestHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion,
+            // Required for calls made directly from the extension pages
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    async sendChatRequest({ model, messages, temperature, max_tokens }) {
+        const system = messages
+            .filter(m => m.role === 'system')
+            .map(m => this.contentToText(m.content))
+            .join('\n\n');
+
+        const body = {
+            model,
+            messages: this.convertMessages(messages.filter(m => m.role !== 'system')),
+            max_tokens: max_tokens || this.maxTokens,
+            temperature
+        };
+
+        if (system) {
+            body.system = system;
+        }
+
+        const response = await HttpClient.post(`${this.baseURL}/messages`, body, {
+            headers: this.getRequestHeaders(),
+            timeout: this.timeout,
+            retries: 2,
+            retryDelay: 1000
+        });
+
+        return this.toOpenAIResponse(response);
+    }
+
+    /**
+     * Convert OpenAI chat messages to Anthropic messages. Consecutive messages
+     * with the same role are merged because Anthropic requires alternation.
+     */
+    convertMessages(messages) {
+        const converted = [];
+
+        messages.forEach(message => {
+            const role = message.role === 'assistant' ? 'assistant' : 'user';
+            const blocks = this.convertContent(message.content);
+            const previous = converted[converted.length - 1];
+
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                converted.push({ role, content: blocks });
+            }
+        });
+
+        return converted;
+    }
+
+    convertContent(content) {
+        if (typeof content === 'string') {
+            return [{ type: 'text', text: content }];
+        }
+
+        return (content || []).map(part => {
+            if (part.type === 'image_url') {
+                const url = part.image_url?.url || part.image_url;
+                const dataUrl = /^data:([^;]+);base64,(.*)$/.exec(url || '');
+
+                return dataUrl ? {
+                    type: 'image',
+                    source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] }
+                } : {
+                    type: 'image',
+                    source: { type: 'url', url: url }
+                };
+            }
+
+            return { type: 'text', text: part.text || '' };
+        });
+    }
+
+    contentToText(content) {
+        if (typeof content === 'string') return content;
+        return (content || []).map(part => part.text || '').join('\n');
+    }
+
+    toOpenAIResponse(response) {
+        const text = (response.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        const promptTokens = response.usage?.input_tokens || 0;
+        const completionTokens = response.usage?.output_tokens || 0;
+
+        return {
+            id: response.id,
+            model: response.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: text },
+                finish_reason: response.stop_reason === 'max_tokens' ? 'length' : 'stop'
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+}
+
+export default AnthropicProvider;
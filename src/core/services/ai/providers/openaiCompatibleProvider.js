@@ -0,0 +1,101 @@
+// ================================
+// src/core/services/ai/providers/openaiCompatibleProvider.js
+// Any server speaking the OpenAI chat completions API (llama.cpp, vLLM, Ollama, LM Studio)
+// ================================
+
+import { HttpClient } from '../../../../utils/httpClient.js';
+import { OpenAIProvider } from './openaiProvider.js';
+
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    // Models are discovered from the server's /models endpoint
+    static MODELS = [];
+
+    constructor(config) {
+        if (!config) {
+            throw new Error('OpenAICompatibleProvider requires config parameter');
+        }
+
+        super({
+            ...config,
+            baseURL: config.baseURL || config.baseUrl || 'http://localhost:11434/v1'
+        });
+
+        this.providerId = 'openai-compatible';
+        this.displayName = 'Local model server';
+        this.requiresApiKey = false;
+        this.model = config.model || null;
+
+        // Local servers don't report capabilities, so vision is a user setting
+        this.vision = !!config.vision;
+        this.discoveredModels = [];
+    }
+
+    /**
+     * Fetch the model list from the server
+     */
+    async listModels() {
+        const response = await HttpClient.get(`${this.baseURL}/models`, {
+            headers: this.getRequestHeaders(),
+            timeout: Math.min(this.timeout, 10000),
+            retries: 0
+        });
+
+        const models = response?.data || response?.models || [];
+        this.discoveredModels = models
+            .map(model => model.id || model.name)
+            .filter(Boolean)
+            .map(id => ({ id, label: id, vision: this.vision, contextWindow: null }));
+
+        // Fall back to the first served model if none was configured
+        if (!this.model && this.discoveredModels.length > 0) {
+            this.model = this.discoveredModels[0].id;
+        }
+
+        return this.discoveredModels;
+    }
+
+    getModels() {
+        if (this.discoveredModels.length > 0) {
+            return this.discoveredModels;
+        }
+        return this.model ? [{ id: this.model, label: this.model, vision: this.vision, contextWindow: null }] : [];
+    }
+
+    supportsVision() {
+        return this.vision;
+    }
+
+    getVisionModel() {
+        if (!this.vision) return null;
+        return this.visionModel || this.model;
+    }
+
+    isReady() {
+        return !!(this.baseURL && this.model);
+    }
+
+    async testConnection() {
+        try {
+            const models = await this.listModels();
+            return {
+                success: true,
+                model: this.model,
+                models: models.map(m => m.id)
+            };
+        } catch (error) {
+            // Some servers don't implement /models - try a real completion instead
+            return super.testConnection();
+        }
+    }
+
+    updateConfig(config) {
+        super.updateConfig(config);
+
+        if (config.vision !== undefined) {
+            this.vision = !!config.vision;
+            this.discoveredModels = this.discoveredModels.map(m => ({ ...m, vision: this.vision }));
+        }
+    }
+}
+
+export default OpenAICompatibleProvider;
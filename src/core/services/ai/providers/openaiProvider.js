@@ -5,6 +5,17 @@
 import { HttpClient } from '../../../../utils/httpClient.js';
 
 export class OpenAIProvider {
+    /**
+     * Models offered in the settings panel. `vision` marks models that accept image input.
+     */
+    static MODELS = [
+        { id: 'gpt-4o-mini', label: 'GPT-4o mini', vision: true, contextWindow: 128000 },
+        { id: 'gpt-4o', label: 'GPT-4o', vision: true, contextWindow: 128000 },
+        { id: 'gpt-4.1-mini', label: 'GPT-4.1 mini', vision: true, contextWindow: 1047576 },
+        { id: 'gpt-4.1', label: 'GPT-4.1', vision: true, contextWindow: 1047576 },
+        { id: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', vision: false, contextWindow: 16385 }
+    ];
+    
     constructor(openaiConfig) {
         console.log("🔧 Initializing OpenAIProvider with config:", openaiConfig);
         if (!openaiConfig) {
@@ -12,9 +23,14 @@ export class OpenAIProvider {
         }
         
         // Use provided config (passed from popup.js)
+        this.providerId = 'openai';
+        this.displayName = 'OpenAI';
+        this.requiresApiKey = true;
+        
         this.apiKey = openaiConfig.apiKey || null;
-        this.baseURL = openaiConfig.baseURL || 'https://api.openai.com/v1';
+        this.baseURL = (openaiConfig.baseURL || openaiConfig.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
         this.model = openaiConfig.model || 'gpt-3.5-turbo';
+        this.visionModel = openaiConfig.visionModel || null;
         this.temperature = openaiConfig.temperature || 0.7;
         this.maxTokens = openaiConfig.maxTokens || 1000;
         this.timeout = openaiConfig.timeout || 30000;
@@ -35,6 +51,8 @@ export class OpenAIProvider {
         this.stats = {
             totalRequests: 0,
             totalTokens: 0,
+            promptTokens: 0,
+            completionTokens: 0,
             cacheHits: 0,
             cacheMisses: 0,
             errors: 0
@@ -51,17 +69,18 @@ export class OpenAIProvider {
         if (this.isInitialized) return;
         
         // Validate configuration
-        if (!this.apiKey) {
-            console.warn('⚠️ OpenAI API key not configured');
-            throw new Error('OpenAI API key is required');
+        if (this.requiresApiKey && !this.apiKey) {
+            console.warn(`⚠️ ${this.displayName} API key not configured`);
+            throw new Error(`${this.displayName} API key is required`);
         }
         
-        console.log('🤖 OpenAI Provider initialized with model:', this.model);
+        console.log(`🤖 ${this.displayName} Provider initialized with model:`, this.model);
         this.isInitialized = true;
     }
     
     /**
-     * Make request to OpenAI API - this is what GenerationAdapter calls
+     * Make a chat request - this is what GenerationAdapter calls.
+     * Always resolves to the OpenAI chat completions response shape.
      */
     async makeRequest(options = {}) {
         // Initialize if needed
@@ -84,8 +103,8 @@ export class OpenAIProvider {
             throw new Error('Messages array is required');
         }
         
-        if (!this.apiKey) {
-            throw new Error('OpenAI API key is not configured');
+        if (this.requiresApiKey && !this.apiKey) {
+            throw new Error(`${this.displayName} API key is not configured`);
         }
         
         // Generate cache key if caching is enabled
@@ -99,7 +118,7 @@ export class OpenAIProvider {
             const cached = this.cacheManager.get(finalCacheKey);
             if (cached) {
                 this.stats.cacheHits++;
-                console.log(`💾 OpenAI cache hit for request type: ${this.getRequestType(messages)}`);
+                console.log(`💾 ${this.displayName} cache hit for request type: ${this.getRequestType(messages)}`);
                 return cached;
             }
             this.stats.cacheMisses++;
@@ -108,63 +127,117 @@ export class OpenAIProvider {
         try {
             this.stats.totalRequests++;
             
-            // Make actual API request using HttpClient
-            const response = await HttpClient.post(
-                `${this.baseURL}/chat/completions`,
-                {
-                    model,
-                    messages,
-                    temperature,
-                    max_tokens,
-                    stream
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: this.timeout,
-                    retries: 2,
-                    retryDelay: 1000
-                }
-            );
+            const response = await this.sendChatRequest({
+                model,
+                messages,
+                temperature,
+                max_tokens,
+                stream
+            });
             
             // Track token usage
-            if (response.usage) {
-                this.stats.totalTokens += response.usage.total_tokens || 0;
-            }
+            this.recordUsage(response.usage);
             
             // Cache the response
             if (useCache && this.cacheManager && finalCacheKey) {
                 const ttl = cacheTTL || this.getCacheTTL(messages);
                 this.cacheManager.set(finalCacheKey, response, ttl);
-                console.log(`💾 Cached OpenAI response for: ${this.getRequestType(messages)}`);
+                console.log(`💾 Cached ${this.displayName} response for: ${this.getRequestType(messages)}`);
             }
             
             return response;
             
         } catch (error) {
             this.stats.errors++;
-            console.error('OpenAI API request failed:', error);
+            console.error(`${this.displayName} API request failed:`, error);
             
             // Check for specific error types and provide helpful messages
             if (error.status === 401) {
-                throw new Error('Invalid OpenAI API key. Please check your configuration.');
+                throw new Error(`Invalid ${this.displayName} API key. Please check your configuration.`);
             } else if (error.status === 429) {
-                throw new Error('OpenAI rate limit exceeded. Please try again later.');
+                throw new Error(`${this.displayName} rate limit exceeded. Please try again later.`);
             } else if (error.code === 'TIMEOUT') {
-                throw new Error('OpenAI request timed out. Please try again.');
+                throw new Error(`${this.displayName} request timed out. Please try again.`);
             }
             
             throw error;
         }
     }
     
+    /**
+     * Send a chat completions request. Providers with a different wire
+     * format override this and convert to and from the OpenAI shape.
+     */
+    async sendChatRequest(body) {
+        return HttpClient.post(
+            `${this.baseURL}/chat/completions`,
+            body,
+            {
+                headers: this.getRequestHeaders(),
+                timeout: this.timeout,
+                retries: 2,
+                retryDelay: 1000
+            }
+        );
+    }
+    
+    getRequestHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        
+        return headers;
+    }
+    
+    /**
+     * Accumulate token usage from an OpenAI-shaped usage object
+     */
+    recordUsage(usage) {
+        if (!usage) return;
+        
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        
+        this.stats.promptTokens += promptTokens;
+        this.stats.completionTokens += completionTokens;
+        this.stats.totalTokens += usage.total_tokens || (promptTokens + completionTokens);
+    }
+    
+    // ================================
+    // Model capabilities
+    // ================================
+    
+    getModels() {
+        return this.constructor.MODELS;
+    }
+    
+    supportsVision(model = this.model) {
+        const entry = this.getModels().find(m => m.id === model);
+        return !!entry?.vision;
+    }
+    
+    /**
+     * Model to use for image input, or null if this provider has none
+     */
+    getVisionModel() {
+        if (this.visionModel && this.supportsVision(this.visionModel)) {
+            return this.visionModel;
+        }
+        if (this.supportsVision(this.model)) {
+            return this.model;
+        }
+        return this.getModels().find(m => m.vision)?.id || null;
+    }
+    
     /**
      * Test the API connection
      */
     async testConnection() {
-        if (!this.apiKey) {
+        if (this.requiresApiKey && !this.apiKey) {
             return {
                 success: false,
                 error: 'No API key configured'
@@ -197,8 +270,8 @@ export class OpenAIProvider {
      */
     clearCache() {
         if (this.cacheManager) {
-            this.cacheManager.clearByPrefix('openai_');
-            console.log('🗑️ OpenAI cache cleared');
+            this.cacheManager.clearByPrefix(`${this.providerId}_`);
+            console.log(`🗑️ ${this.displayName} cache cleared`);
         }
     }
     
@@ -219,9 +292,9 @@ export class OpenAIProvider {
      * Helper methods for caching
      */
     generateCacheKey(messages, model, temperature) {
-        const content = messages.map(m => m.content).join('|');
+        const content = messages.map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content)).join('|');
         const key = `${model}|${temperature}|${content}`;
-        return `openai_${this.hashString(key)}`;
+        return `${this.providerId}_${this.hashString(key)}`;
     }
     
     getCacheTTL(messages) {
@@ -262,13 +335,21 @@ export class OpenAIProvider {
     updateConfig(config) {
         if (config.apiKey) {
             this.apiKey = config.apiKey;
-            console.log('✅ OpenAI API key updated');
+            console.log(`✅ ${this.displayName} API key updated`);
+        }
+        
+        if (config.baseURL) {
+            this.baseURL = config.baseURL.replace(/\/$/, '');
         }
         
         if (config.model) {
             this.model = config.model;
         }
         
+        if (config.visionModel !== undefined) {
+            this.visionModel = config.visionModel;
+        }
+        
         if (config.temperature !== undefined) {
             this.temperature = config.temperature;
         }
@@ -302,7 +383,14 @@ export class OpenAIProvider {
      * Check if provider is ready
      */
     isReady() {
-        return !!this.apiKey;
+        return !this.requiresApiKey || !!this.apiKey;
+    }
+    
+    /**
+     * Alias used by LLMService
+     */
+    isAvailable() {
+        return this.isReady();
     }
     
     /**
@@ -310,16 +398,33 @@ export class OpenAIProvider {
      */
     getStatus() {
         return {
+            provider: this.providerId,
             ready: this.isReady(),
             hasApiKey: !!this.apiKey,
             hasCacheManager: !!this.cacheManager,
+            baseURL: this.baseURL,
             model: this.model,
+            supportsVision: this.supportsVision(),
             temperature: this.temperature,
             maxTokens: this.maxTokens,
             stats: this.getStats()
         };
     }
     
+    /**
+     * Usage summary used by LLMService and the settings panel
+     */
+    getUsageStats() {
+        return {
+            provider: this.providerId,
+            model: this.model,
+            totalRequests: this.stats.totalRequests,
+            promptTokens: this.stats.promptTokens,
+            completionTokens: this.stats.completionTokens,
+            totalTokens: this.stats.totalTokens
+        };
+    }
+    
     /**
      * Reset statistics
      */
@@ -327,6 +432,8 @@ export class OpenAIProvider {
         this.stats = {
             totalRequests: 0,
             totalTokens: 0,
+            promptTokens: 0,
+            completionTokens: 0,
             cacheHits: 0,
             cacheMisses: 0,
             errors: 0
@@ -339,7 +446,7 @@ export class OpenAIProvider {
     cleanup() {
         this.clearCache();
         this.resetStats();
-        console.log('🧹 OpenAI Provider cleaned up');
+        console.log(`🧹 ${this.displayName} Provider cleaned up`);
     }
 }
 
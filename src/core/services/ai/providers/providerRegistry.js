@@ -0,0 +1,76 @@
+// ================================
+// src/core/services/ai/providers/providerRegistry.js
+// Available LLM provider backends and their defaults
+// ================================
+
+import { OpenAIProvider } from './openaiProvider.js';
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { AnthropicProvider } from './anthropicProvider.js';
+
+export const LLM_PROVIDERS = {
+    openai: {
+        id: 'openai',
+        label: 'OpenAI',
+        description: 'OpenAI hosted models',
+        providerClass: OpenAIProvider,
+        requiresApiKey: true,
+        defaultBaseURL: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini'
+    },
+    'openai-compatible': {
+        id: 'openai-compatible',
+        label: 'Local / OpenAI-compatible',
+        description: 'llama.cpp, vLLM, Ollama or any server exposing /v1/chat/completions. Nothing leaves your network.',
+        providerClass: OpenAICompatibleProvider,
+        requiresApiKey: false,
+        defaultBaseURL: 'http://localhost:11434/v1',
+        defaultModel: ''
+    },
+    anthropic: {
+        id: 'anthropic',
+        label: 'Anthropic',
+        description: 'Anthropic Messages API',
+        providerClass: AnthropicProvider,
+        requiresApiKey: true,
+        defaultBaseURL: 'https://api.anthropic.com/v1',
+        defaultModel: 'claude-3-5-haiku-latest'
+    }
+};
+
+export function getProviderInfo(providerType) {
+    const info = LLM_PROVIDERS[providerType];
+    if (!info) {
+        throw new Error(`Unknown provider: ${providerType}`);
+    }
+    return info;
+}
+
+/**
+ * Static model list for a provider (empty for servers that are queried at runtime)
+ */
+export function getProviderModels(providerType) {
+    return getProviderInfo(providerType).providerClass.MODELS;
+}
+
+/**
+ * Whether the settings are enough to make requests with this provider
+ */
+export function isProviderConfigured(providerType, settings = {}) {
+    const info = LLM_PROVIDERS[providerType];
+    if (!info) return false;
+
+    if (info.requiresApiKey) {
+        return !!settings.apiKey;
+    }
+    return !!((settings.baseURL || info.defaultBaseURL) && settings.model);
+}
+
+export function createLLMProvider(providerType, config = {}) {
+    const info = getProviderInfo(providerType);
+
+    return new info.providerClass({
+        ...config,
+        baseURL: config.baseURL || config.baseUrl || info.defaultBaseURL,
+        model: config.model || info.defaultModel
+    });
+}
@@ -7,8 +7,13 @@ import { sanitizeText } from '../../utils/textUtils.js';
 
 export class EmbeddingService {
     constructor(config = {}) {
+        // Remote embeddings are off unless the OpenAI provider is selected,
+        // so text never goes to OpenAI behind another provider's back
+        const remoteEmbeddings = config.remoteEmbeddings !== false;
+        
         // Try to get API key from multiple sources
-        const apiKey = config.openaiApiKey || 
+        const apiKey = !remoteEmbeddings ? '' :
+                      config.openaiApiKey || 
                       config.apiKey || 
                       window.orkgConfig?.defaults?.openai?.apiKey ||
                       window.orkgConfig?.getOpenAIKey?.() ||
@@ -28,7 +33,9 @@ export class EmbeddingService {
             boostKeywordMatches: config.boostKeywordMatches !== false,
             keywordBoostFactor: config.keywordBoostFactor || 0.02,
             maxKeywordBoost: config.maxKeywordBoost || 0.2,
-            ...config
+            ...config,
+            apiKey: apiKey,
+            remoteEmbeddings: remoteEmbeddings
         };
         
         // Adjust dimension based on model
@@ -80,8 +87,11 @@ export class EmbeddingService {
         try {
             console.log('🌟 Initializing OpenAI Embedding Service...');
             
-            // Check if we have an API key
-            if (!this.config.apiKey || this.config.apiKey.includes('your-') || !this.config.apiKey.startsWith('sk-')) {
+            if (!this.config.remoteEmbeddings) {
+                console.log('📝 Selected provider is not OpenAI, using text similarity');
+                this.useTextSimilarity = true;
+                this.useFallback = true;
+            } else if (!this.config.apiKey || this.config.apiKey.includes('your-') || !this.config.apiKey.startsWith('sk-')) {
                 if (this.config.useMockIfNoKey) {
                     console.log('⚠️ No valid OpenAI API key found (should start with sk-)');
                     console.log('📝 Using text similarity as fallback');
@@ -134,6 +144,24 @@ export class EmbeddingService {
         }
     }
     
+    /**
+     * Follow a change of LLM provider. Only the OpenAI provider uses the
+     * OpenAI embeddings API; with any other provider, local servers
+     * included, problems are matched by text similarity.
+     */
+    useProvider(providerType, settings = {}) {
+        const remoteEmbeddings = providerType === 'openai';
+        
+        this.config.remoteEmbeddings = remoteEmbeddings;
+        this.config.apiKey = remoteEmbeddings ? (settings.apiKey || '') : '';
+        this.config.baseUrl = remoteEmbeddings ? (settings.baseURL || 'https://api.openai.com/v1') : this.config.baseUrl;
+        
+        this.cache.clear();
+        this.initialized = false;
+        this.useFallback = false;
+        this.useTextSimilarity = false;
+    }
+    
     /**
      * Handle fallback to text similarity
      */
@@ -303,6 +331,9 @@ export class EmbeddingService {
     
     /**
      * Generate embeddings - main interface
+     * @param {Object} options - { normalize, allowFallback }; without
+     *        allowFallback, a failed API call throws instead of returning
+     *        mock embeddings
      */
     async embed(texts, options = {}) {
         if (!this.initialized) {
@@ -310,7 +341,7 @@ export class EmbeddingService {
         }
         
         const startTime = Date.now();
-        const { normalize = true } = options;
+        const { normalize = true, allowFallback = true } = options;
         
         // Handle single text or array
         const isArray = Array.isArray(texts);
@@ -327,6 +358,9 @@ export class EmbeddingService {
         
         // If using fallback, use mock embeddings
         if (this.useFallback) {
+            if (!allowFallback) {
+                throw new Error('Embeddings are not available');
+            }
             const embeddings = validTexts.map(text => this._generateMockEmbedding(text));
             return isArray ? embeddings : embeddings[0];
         }
@@ -366,6 +400,8 @@ export class EmbeddingService {
                         this._addToCache(uncachedTexts[i], embedding);
                     });
                 } catch (error) {
+                    if (!allowFallback) throw error;
+                    
                     console.error('API call failed, using fallback:', error.message);
                     
                     // Fallback to mock for failed texts
@@ -13,6 +13,7 @@ export class ORKGProblemMatcher {
         this.config = {
             chunkSize: 20,  
             maxProblems: 500,
+            searchPageSize: 50,
             defaultThreshold: 0.5,  
             cacheTTL: 1800000, // 30 minutes
             ...config
@@ -75,8 +76,10 @@ export class ORKGProblemMatcher {
     /**
      * Find similar problems for a given query
      * @param {string} queryText - Combined AI problem text (title + description)
-     * @param {string} fieldId - Research field ID
-     * @param {Object} options - Matching options
+     * @param {string|null} fieldId - Research field ID, or null to match
+     *        against problems from every field (found by label search)
+     * @param {Object} options - Matching options; `searchTerms` sets the
+     *        label searches used when fieldId is null
      * @returns {Promise<Object>} Matching results
      */
     async findSimilarProblems(queryText, fieldId, options = {}) {
@@ -86,11 +89,12 @@ export class ORKGProblemMatcher {
             threshold = this.config.defaultThreshold,
             maxResults = 15, 
             useCache = true,
+            searchTerms = null,
             onProgress = null
         } = options;
         
         console.log('🔍 Finding similar problems:', {
-            field: fieldId,
+            field: fieldId || 'all fields',
             threshold,
             maxResults,
             queryPreview: queryText.substring(0, 100) + '...'
@@ -110,11 +114,16 @@ export class ORKGProblemMatcher {
                 this.stats.cacheMisses++;
             }
             
-            // Step 2: Fetch all problems for the field
-            const orkgProblems = await this.fetchAndProcessProblems(fieldId, {
-                maxResults: this.config.maxProblems,
-                onProgress
-            });
+            // Step 2: Fetch all problems for the field, or search candidates across fields
+            const orkgProblems = fieldId
+                ? await this.fetchAndProcessProblems(fieldId, {
+                    maxResults: this.config.maxProblems,
+                    onProgress
+                })
+                : await this.fetchProblemsAcrossFields(queryText, {
+                    searchTerms,
+                    onProgress
+                });
             
             if (!orkgProblems || orkgProblems.length === 0) {
                 console.log('⚠️ No problems found for field:', fieldId);
@@ -220,6 +229,49 @@ export class ORKGProblemMatcher {
         }
     }
     
+    /**
+     * ORKG has no listing of every problem, so candidates from all fields
+     * are gathered with label searches (by default the first words of the
+     * query, which is the problem title for AI problems)
+     */
+    async fetchProblemsAcrossFields(queryText, options = {}) {
+        const { searchTerms, onProgress } = options;
+        
+        if (!this.orkgService || typeof this.orkgService.searchProblems !== 'function') {
+            throw new Error('ORKG service not available');
+        }
+        
+        const terms = (searchTerms && searchTerms.length > 0 ? searchTerms : [queryText.split(/\s+/).slice(0, 8).join(' ')])
+            .map(term => (term || '').trim())
+            .filter(Boolean);
+        
+        const problemsById = new Map();
+        
+        for (const term of terms) {
+            try {
+                const result = await this.orkgService.searchProblems(term, {
+                    size: this.config.searchPageSize
+                });
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+                (result.problems || []).forEach(problem => {
+                    if (!problemsById.has(problem.id)) {
+                        problemsById.set(problem.id, problem);
+                    }
+                });
+            } catch (error) {
+                // Results from the other terms would look complete, so a
+                // failed search fails the whole lookup
+                throw new Error(`Problem search failed for "${term}": ${error.message}`);
+            }
+        }
+        
+        console.log(`✅ Found ${problemsById.size} candidate problems across all fields`);
+        
+        return this.processProblemsInChunks(Array.from(problemsById.values()), onProgress);
+    }
+    
     /**
      * Process problems in chunks 
      */
@@ -517,7 +569,7 @@ export class ORKGProblemMatcher {
      */
     getCacheKey(queryText, fieldId, threshold) {
         const hash = this.hashString(queryText);
-        return `problem_match_${fieldId}_${hash}_${threshold}`;
+        return `problem_match_${fieldId || 'all'}_${hash}_${threshold}`;
     }
     
     /**
@@ -5,6 +5,13 @@
 import { eventManager } from '../../utils/eventManager.js';
 import { HttpClient } from '../../utils/httpClient.js';
 import configInstance from '../../config/config.js';
+import { ResearchFieldClassifier } from './researchFieldClassifier.js';
+
+// "has subfield" links a research field to each of its subfields
+const HAS_SUBFIELD_PREDICATE = 'P36';
+
+// The research-field hierarchy is kept in extension storage between popup sessions
+const TAXONOMY_STORAGE_KEY = 'researchFieldTaxonomy';
 
 export class ORKGService {
     constructor(apiService, dataCache, orkgConfig) {
@@ -62,12 +69,16 @@ export class ORKGService {
         this.maxPageSize = orkgConfig.maxPageSize || 500;
         this.cacheTTL = orkgConfig.cacheTTL || {
             researchFields: 3600000,
+            fieldTaxonomy: 86400000,
             fieldProblems: 1800000,
             problems: 1800000,
             papers: 1800000,
-            templates: 1800000
+            templates: 1800000,
+            resources: 1800000
         };
         
+        this.fieldClassifier = new ResearchFieldClassifier();
+        
         this.isInitialized = false;
         this.stats = {
             totalRequests: 0,
@@ -90,6 +101,9 @@ export class ORKGService {
         this.enrichFieldsWithORKGInfo = this.enrichFieldsWithORKGInfo.bind(this);
         this.fetchResearchFieldInfo = this.fetchResearchFieldInfo.bind(this);
         this.getFallbackResearchFields = this.getFallbackResearchFields.bind(this); 
+        this.getResearchFieldTaxonomy = this.getResearchFieldTaxonomy.bind(this);
+        this.fetchResearchFieldTaxonomy = this.fetchResearchFieldTaxonomy.bind(this);
+        this.classifyResearchFieldLocally = this.classifyResearchFieldLocally.bind(this);
         this.getProblemsInField = this.getProblemsInField.bind(this);
         this.searchProblemsForField = this.searchProblemsForField.bind(this);
         this.getStatements = this.getStatements.bind(this);
@@ -102,11 +116,15 @@ export class ORKGService {
         // Paper and Template methods
         this.findPapersForProblem = this.findPapersForProblem.bind(this);
         this.getPaperDetails = this.getPaperDetails.bind(this);
+        this.findExistingPaper = this.findExistingPaper.bind(this);
+        this.normalizeExistingPaper = this.normalizeExistingPaper.bind(this);
         this.scanPapersForTemplates = this.scanPapersForTemplates.bind(this);
         this.extractTemplatesFromPapers = this.extractTemplatesFromPapers.bind(this);
         this.getTemplateFromContribution = this.getTemplateFromContribution.bind(this);
         this.getTemplateForClass = this.getTemplateForClass.bind(this);
         this.getTemplateProperties = this.getTemplateProperties.bind(this);
+        this.getTemplate = this.getTemplate.bind(this);
+        this.normalizeTemplateProperty = this.normalizeTemplateProperty.bind(this);
         this.analyzeTemplatesForProblem = this.analyzeTemplatesForProblem.bind(this);
         
         // Utility methods
@@ -504,27 +522,182 @@ export class ORKGService {
 
         } catch (error) {
             console.error('❌ ORKG Service: NLP service error:', error);
-            console.log('⚠️ Using fallback research fields due to NLP service failure');
+            console.log('⚠️ Ranking research fields locally due to NLP service failure');
             
-            // Return fallback data in the same format as NLP service would
-            //const fallbackFields = this.getFallbackResearchFields();
+            // Return local results in the same format as NLP service would
+            const annotations = await this.classifyResearchFieldLocally(abstract, topN);
             
-            // Format the fallback data to match NLP service response structure
             return {
                 payload: {
-                    annotations: fallbackFields.map((field, index) => ({
-                        research_field: field.label,
-                        score: 1.0 - (index * 0.1), // Simulate decreasing confidence scores
-                        id: field.id,
-                        description: field.description
-                    }))
+                    annotations: annotations
                 },
                 status: 'fallback',
-                message: 'Using fallback fields due to NLP service unavailability'
+                message: 'Fields ranked locally because the ORKG NLP service is unavailable'
             };
         }
     }
 
+    /**
+     * Rank research fields against the abstract without the NLP service.
+     * Uses the cached or stored ORKG taxonomy, or the built-in short list
+     * when no copy of the taxonomy is available.
+     */
+    async classifyResearchFieldLocally(abstract, topN = 5) {
+        let fields;
+        
+        try {
+            fields = await this.getResearchFieldTaxonomy();
+        } catch (error) {
+            console.warn('⚠️ Research field taxonomy unavailable, using built-in fields:', error.message);
+            fields = this.getFallbackResearchFields();
+        }
+        
+        const annotations = await this.fieldClassifier.classify(abstract, fields, topN);
+        console.log(`📊 ORKG Service: Local classifier ranked ${annotations.length} fields`);
+        
+        return annotations;
+    }
+
+    /**
+     * The ORKG research-field hierarchy. A copy younger than the taxonomy
+     * TTL is read from extension storage instead of fetching it again; when
+     * ORKG cannot be reached, an older stored copy is used.
+     * @returns {Promise<Object>} { rootIds, fields: [{ id, label, parentId, childIds }], fetchedAt }
+     */
+    async getResearchFieldTaxonomy(options = {}) {
+        const { forceRefresh = false } = options;
+        const ttl = this.cacheTTL.fieldTaxonomy || 86400000;
+        
+        if (!forceRefresh) {
+            const cached = this.dataCache?.getResearchFieldTaxonomy?.();
+            if (cached) {
+                console.log('📋 ORKG Service: Using cached research field taxonomy');
+                this.stats.cacheHits++;
+                return cached;
+            }
+            this.stats.cacheMisses++;
+            
+            const stored = await this.loadStoredTaxonomy();
+            if (stored && Date.now() - stored.fetchedAt < ttl) {
+                console.log('📋 ORKG Service: Using stored research field taxonomy');
+                this.dataCache?.setResearchFieldTaxonomy?.(stored, stored.fetchedAt + ttl - Date.now());
+                return stored;
+            }
+        }
+        
+        let taxonomy;
+        try {
+            taxonomy = await this.fetchResearchFieldTaxonomy();
+        } catch (error) {
+            const stored = await this.loadStoredTaxonomy();
+            if (!stored) throw error;
+            
+            console.warn(`⚠️ Research field taxonomy could not be fetched, using the copy from ${new Date(stored.fetchedAt).toLocaleDateString()}:`, error.message);
+            return stored;
+        }
+        
+        this.dataCache?.setResearchFieldTaxonomy?.(taxonomy, ttl);
+        await this.storeTaxonomy(taxonomy);
+        
+        console.log(`✅ ORKG Service: Loaded ${taxonomy.fields.length} research fields`);
+        return taxonomy;
+    }
+    
+    async loadStoredTaxonomy() {
+        try {
+            const stored = (await chrome.storage.local.get([TAXONOMY_STORAGE_KEY]))[TAXONOMY_STORAGE_KEY];
+            return stored?.fields?.length ? stored : null;
+        } catch (error) {
+            console.warn('Failed to read the stored research field taxonomy:', error);
+            return null;
+        }
+    }
+    
+    async storeTaxonomy(taxonomy) {
+        try {
+            await chrome.storage.local.set({ [TAXONOMY_STORAGE_KEY]: taxonomy });
+        } catch (error) {
+            console.warn('Failed to store the research field taxonomy:', error);
+        }
+    }
+    
+    /**
+     * Fetch the whole hierarchy from ORKG. Fields point to their subfields
+     * through "has subfield" statements, so the tree comes from a few pages
+     * of statements instead of one request per field.
+     */
+    async fetchResearchFieldTaxonomy() {
+        console.log('📋 ORKG Service: Fetching research field taxonomy');
+        
+        const fields = new Map();
+        const addField = (resource) => {
+            if (!fields.has(resource.id)) {
+                fields.set(resource.id, {
+                    id: resource.id,
+                    label: resource.label || resource.id,
+                    parentId: null,
+                    childIds: []
+                });
+            }
+            return fields.get(resource.id);
+        };
+        
+        let page = 0;
+        let hasMore = true;
+        
+        while (hasMore) {
+            const url = HttpClient.buildUrl(`${this.baseURL}${this.endpoints.statements}/`, {
+                predicate_id: HAS_SUBFIELD_PREDICATE,
+                page: page,
+                size: this.maxPageSize
+            });
+            
+            this.stats.totalRequests++;
+            const response = await this.makeRequest('GET', url, null, {
+                timeout: 30000,
+                cache: false // Cached below as a whole
+            });
+            
+            const data = response.data || response;
+            const statements = data?.content || [];
+            
+            statements.forEach(statement => {
+                if (!statement.subject?.id || !statement.object?.id) return;
+                
+                const parent = addField(statement.subject);
+                const child = addField(statement.object);
+                
+                if (child.id === parent.id || parent.childIds.includes(child.id)) return;
+                parent.childIds.push(child.id);
+                
+                // A few fields are listed under several parents; keep the first
+                if (!child.parentId) {
+                    child.parentId = parent.id;
+                }
+            });
+            
+            const isLast = data?.last ?? (data?.page
+                ? data.page.number >= data.page.total_pages - 1
+                : statements.length < this.maxPageSize);
+            
+            hasMore = statements.length > 0 && !isLast;
+            page++;
+        }
+        
+        if (fields.size === 0) {
+            throw new Error('No research fields returned by ORKG');
+        }
+        
+        const byLabel = (a, b) => fields.get(a).label.localeCompare(fields.get(b).label);
+        fields.forEach(field => field.childIds.sort(byLabel));
+        
+        return {
+            rootIds: Array.from(fields.values()).filter(field => !field.parentId).map(field => field.id),
+            fields: Array.from(fields.values()),
+            fetchedAt: Date.now()
+        };
+    }
+
     getFallbackResearchFields() {
         return [
             { 
@@ -1294,6 +1467,168 @@ export class ORKGService {
         }
     }
 
+    /**
+     * Look up a paper that is already in ORKG, first by DOI and then by exact title.
+     * A DOI match needs the candidate to carry the same DOI. A title match is only
+     * a possible match: the candidate has no DOI, or the page has none, so
+     * nothing confirms it is the same paper (matchedBy 'title').
+     * @param {Object} metadata - Extracted page metadata ({ doi, title })
+     * @returns {Promise<Object|null>} Normalized paper with its contributions, or null
+     */
+    async findExistingPaper(metadata) {
+        const doi = (metadata?.doi || '').trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        const title = (metadata?.title || '').trim();
+        
+        if (!doi && !title) {
+            return null;
+        }
+        
+        const cacheKey = `existing_paper_${this.hashString(`${doi.toLowerCase()}|${title.toLowerCase()}`)}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached !== null && cached !== undefined) {
+            this.stats.cacheHits++;
+            return cached.paper;
+        }
+        this.stats.cacheMisses++;
+        
+        const lookups = [];
+        if (doi) {
+            lookups.push({ matchedBy: 'doi', query: `doi=${encodeURIComponent(doi)}` });
+        }
+        if (title) {
+            lookups.push({ matchedBy: 'title', query: `title=${encodeURIComponent(title)}&exact=true` });
+        }
+        
+        let paper = null;
+        
+        for (const lookup of lookups) {
+            try {
+                const url = `${this.baseURL}${this.endpoints.papers}?${lookup.query}&size=5`;
+                const response = await this.makeRequest('GET', url);
+                const data = response.data || response;
+                const candidates = data.content || (Array.isArray(data) ? data : []);
+                
+                const match = candidates.find(candidate => {
+                    const doiValues = (candidate.identifiers?.doi || []).map(value => value.toLowerCase());
+                    if (lookup.matchedBy === 'doi') {
+                        return doiValues.includes(doi.toLowerCase());
+                    }
+                    // A paper with a different DOI is a different paper, whatever its title
+                    const sameTitle = (candidate.title || '').trim().toLowerCase() === title.toLowerCase();
+                    return sameTitle && (!doi || doiValues.length === 0);
+                });
+                
+                if (match) {
+                    paper = this.normalizeExistingPaper(match, lookup.matchedBy);
+                    break;
+                }
+            } catch (error) {
+                console.warn(`⚠️ ORKG paper lookup by ${lookup.matchedBy} failed:`, error.message);
+            }
+        }
+        
+        // Cache misses too, so revisiting a step doesn't hit ORKG again
+        this.setInCache(cacheKey, { paper }, this.cacheTTL.papers);
+        
+        if (paper) {
+            console.log(`📚 Paper already in ORKG (${paper.matchedBy}):`, paper.id);
+        }
+        
+        return paper;
+    }
+    
+    normalizeExistingPaper(paper, matchedBy) {
+        return {
+            id: paper.id,
+            title: paper.title || paper.label || 'Untitled Paper',
+            doi: paper.identifiers?.doi?.[0] || null,
+            url: `${this.serverUrl}/paper/${paper.id}`,
+            matchedBy: matchedBy,
+            contributions: (paper.contributions || []).map(contribution => ({
+                id: contribution.id,
+                label: contribution.label || contribution.id,
+                url: `${this.serverUrl}/paper/${paper.id}/${contribution.id}`
+            })),
+            researchFields: (paper.research_fields || []).map(field => ({
+                id: field.id,
+                label: field.label
+            })),
+            authors: (paper.authors || []).map(author => author.name || author.label).filter(Boolean),
+            year: paper.publication_info?.published_year || null
+        };
+    }
+
+    // ================================
+    // Author resources
+    // ================================
+
+    /**
+     * Find the ORKG author resource that carries this ORCID iD
+     * @param {string} orcid - bare iD, e.g. 0000-0002-1825-0097
+     * @returns {Promise<Object|null>} { id, label, url, orcid }
+     */
+    async findAuthorByOrcid(orcid) {
+        if (!orcid) return null;
+
+        const cacheKey = `author_orcid_${orcid}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached !== null && cached !== undefined) {
+            return cached.author;
+        }
+
+        let author = null;
+        try {
+            const url = `${this.baseURL}${this.endpoints.statements}?predicate_id=HAS_ORCID&object_label=${encodeURIComponent(orcid)}&size=1`;
+            const response = await this.makeRequest('GET', url);
+            const data = response.data || response;
+            const statement = (data.content || [])[0];
+
+            if (statement?.subject) {
+                author = this.normalizeAuthor(statement.subject, orcid);
+            }
+        } catch (error) {
+            console.warn('⚠️ ORKG author lookup by ORCID failed:', error.message);
+        }
+
+        this.setInCache(cacheKey, { author }, this.cacheTTL.resources);
+        return author;
+    }
+
+    /**
+     * Search ORKG author resources by name
+     * @returns {Promise<Array>} [{ id, label, url, orcid }]
+     */
+    async searchAuthors(name, limit = 5) {
+        const query = (name || '').trim();
+        if (!query) return [];
+
+        const cacheKey = `author_search_${this.hashString(query.toLowerCase())}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const url = `${this.baseURL}${this.endpoints.resources}?q=${encodeURIComponent(query)}&include=Author&size=${limit}`;
+            const response = await this.makeRequest('GET', url);
+            const data = response.data || response;
+            const authors = (data.content || []).map(resource => this.normalizeAuthor(resource));
+
+            this.setInCache(cacheKey, authors, this.cacheTTL.resources);
+            return authors;
+        } catch (error) {
+            console.warn('⚠️ ORKG author search failed:', error.message);
+            return [];
+        }
+    }
+
+    normalizeAuthor(resource, orcid = null) {
+        return {
+            id: resource.id,
+            label: resource.label,
+            url: `${this.serverUrl}/author/${resource.id}`,
+            orcid: orcid
+        };
+    }
+
     /**
      * Scan papers for templates - main method for template discovery
      * @param {string} problemId - The problem ID
@@ -1553,6 +1888,107 @@ export class ORKGService {
         }
     }
 
+    /**
+     * Get a template as the template editor sees it, with the target class
+     * and relations needed to compare with or update the ORKG version
+     */
+    async getTemplate(templateId, options = {}) {
+        const { forceRefresh = false } = options;
+        const cacheKey = `orkg_template_${templateId}`;
+        
+        if (!forceRefresh && this.dataCache) {
+            const cached = this.dataCache.get(cacheKey);
+            if (cached) {
+                this.stats.cacheHits++;
+                return cached;
+            }
+        }
+        
+        this.stats.totalRequests++;
+        const response = await this.makeRequest('GET', `${this.baseURL}/templates/${templateId}`, null, {
+            headers: await this.getAuthHeaders('templates')
+        });
+        
+        const data = response.data || response;
+        if (!data || !data.id) {
+            throw new Error(`Template ${templateId} not found`);
+        }
+        
+        const template = {
+            id: data.id,
+            name: data.label || 'Unnamed Template',
+            description: data.description || '',
+            targetClass: data.target_class ? { id: data.target_class.id, label: data.target_class.label } : null,
+            relations: {
+                researchFields: (data.relations?.research_fields || []).map(field => field.id || field),
+                researchProblems: (data.relations?.research_problems || []).map(problem => problem.id || problem),
+                predicate: data.relations?.predicate?.id || data.relations?.predicate || null
+            },
+            formattedLabel: data.formatted_label ?? null,
+            isClosed: !!data.is_closed,
+            observatories: (data.observatories || []).map(observatory => observatory.id || observatory),
+            organizations: (data.organizations || []).map(organization => organization.id || organization),
+            properties: (data.properties || [])
+                .slice()
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+                .map(this.normalizeTemplateProperty),
+            createdBy: data.created_by || null,
+            fetchedAt: Date.now()
+        };
+        
+        if (this.dataCache) {
+            this.dataCache.set(cacheKey, template, this.cacheTTL.templates);
+        }
+        
+        return template;
+    }
+
+    /**
+     * ORKG property shape -> template editor property. Literal datatypes map
+     * to editor types; shapes with a class or no type are resources. The
+     * shape itself is kept so a new version can write back what the editor
+     * does not show (exact datatype, class, placeholder, order, ...).
+     */
+    normalizeTemplateProperty(prop) {
+        const datatypes = {
+            string: 'text',
+            integer: 'number',
+            decimal: 'number',
+            float: 'number',
+            date: 'date',
+            boolean: 'boolean',
+            uri: 'url'
+        };
+        
+        const datatype = (prop.datatype?.id || prop.datatype || '').toString().replace(/^xsd:/, '').toLowerCase();
+        
+        return {
+            id: prop.path?.id || `prop-${Date.now()}-${Math.random()}`,
+            predicateId: prop.path?.id || null,
+            label: prop.label || prop.path?.label || '',
+            description: prop.description || '',
+            type: datatypes[datatype] || (datatype ? 'text' : 'resource'),
+            classId: prop.class?.id || null,
+            required: prop.min_count > 0,
+            maxCount: prop.max_count ?? null,
+            minCount: prop.min_count ?? 0,
+            shape: {
+                label: prop.label ?? null,
+                placeholder: prop.placeholder ?? null,
+                description: prop.description ?? null,
+                order: prop.order ?? null,
+                min_count: prop.min_count ?? null,
+                max_count: prop.max_count ?? null,
+                path: prop.path?.id || null,
+                datatype: prop.datatype?.id || prop.datatype || null,
+                class: prop.class?.id || null,
+                pattern: prop.pattern ?? null,
+                min_inclusive: prop.min_inclusive ?? null,
+                max_inclusive: prop.max_inclusive ?? null
+            }
+        };
+    }
+
     /**
      * Get properties for a template
      */
@@ -1560,7 +1996,7 @@ export class ORKGService {
         try {
             const url = `${this.baseURL}/templates/${templateId}`;
             const response = await this.makeRequest('GET', url, null, {
-                headers: this.getAuthHeaders("templates")
+                headers: await this.getAuthHeaders("templates")
             });
             
             const data = response.data || response;
@@ -1568,15 +2004,7 @@ export class ORKGService {
                 return [];
             }
             
-            return data.properties.map(prop => ({
-                id: prop.path?.id || `prop-${Date.now()}-${Math.random()}`,
-                label: prop.path?.label || '',
-                description: prop.description || '',
-                type: prop.datatype || 'text',
-                required: prop.min_count > 0,
-                maxCount: prop.max_count,
-                minCount: prop.min_count
-            }));
+            return data.properties.map(this.normalizeTemplateProperty);
             
         } catch (error) {
             console.error(`Error fetching template properties for ${templateId}:`, error);
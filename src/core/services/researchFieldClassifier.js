@@ -0,0 +1,341 @@
+// ================================
+// src/core/services/researchFieldClassifier.js - Offline research-field ranking
+// ================================
+
+import { ResearchFieldTaxonomy } from './researchFieldTaxonomy.js';
+
+const STOP_WORDS = new Set([
+    'the', 'is', 'at', 'which', 'on', 'and', 'a', 'an', 'as', 'are',
+    'was', 'were', 'been', 'be', 'have', 'has', 'had', 'do', 'does',
+    'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can',
+    'to', 'of', 'in', 'for', 'with', 'by', 'from', 'about', 'into',
+    'through', 'during', 'before', 'after', 'between', 'under', 'all',
+    'it', 'its', 'they', 'them', 'their', 'what', 'who', 'this', 'that',
+    'these', 'those', 'we', 'our', 'us', 'you', 'your', 'not', 'only',
+    'than', 'too', 'very', 'such', 'both', 'each', 'more', 'most', 'other',
+    'some', 'also', 'using', 'based', 'use', 'used', 'new', 'paper',
+    'study', 'approach', 'method', 'methods', 'results', 'show', 'propose',
+    'proposed', 'present', 'general', 'sciences', 'science'
+]);
+
+/**
+ * Ranks ORKG research fields against an abstract, for when the ORKG NLP
+ * classifier is unreachable.
+ *
+ * With the configured embedding service, the abstract and every field's
+ * path ("Medicine > Oncology") are embedded by the model, so an abstract
+ * about tumour growth finds Oncology without naming it. Without real
+ * embeddings (no key, another provider, or the API failing), fields are
+ * ranked by lexical overlap: each field is a hashed TF-IDF vector of its
+ * own label plus, at lower weight, the labels of its ancestors (and a
+ * description when one is known). Field vectors are kept per taxonomy
+ * snapshot.
+ */
+export class ResearchFieldClassifier {
+    constructor(config = {}) {
+        this.config = {
+            dimension: 1024,
+            ancestorWeight: 0.5,
+            descriptionWeight: 0.5,
+            minScore: 0.01,
+            minSemanticScore: 0.2,
+            embeddingService: null,
+            ...config
+        };
+
+        this.index = null;
+        this.indexKey = null;
+        this.semanticIndex = null;
+        this.semanticIndexKey = null;
+    }
+
+    /**
+     * @param {string} abstract
+     * @param {ResearchFieldTaxonomy|Object|Array} fields - a taxonomy, taxonomy
+     *        data, or a flat list of { id, label, description? }
+     * @param {number} topN
+     * @returns {Array} [{ id, label, path, similarity }], best first
+     */
+    rank(abstract, fields, topN = 5) {
+        const index = this.getIndex(fields);
+        if (!abstract || index.entries.length === 0) return [];
+
+        const query = this.embed(this.getTermWeights(abstract, 1), index.idf);
+
+        return index.entries
+            .map(entry => ({
+                id: entry.id,
+                label: entry.label,
+                path: entry.path,
+                similarity: this.cosineSimilarity(query, entry.vector)
+            }))
+            .filter(result => result.similarity >= this.config.minScore)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, topN);
+    }
+
+    /**
+     * Rank by embedding similarity. Resolves null when no real embeddings
+     * are available, so the caller can fall back to rank().
+     */
+    async rankSemantically(abstract, fields, topN = 5) {
+        const embeddingService = this.getEmbeddingService();
+        if (!abstract || !embeddingService) return null;
+
+        if (!embeddingService.initialized) {
+            await embeddingService.init();
+        }
+        // Its fallback vectors carry no meaning
+        if (embeddingService.useFallback) return null;
+
+        const index = await this.getSemanticIndex(fields, embeddingService);
+        if (index.entries.length === 0) return [];
+
+        const query = await embeddingService.embed(abstract, { allowFallback: false });
+
+        return index.entries
+            .map(entry => ({
+                id: entry.id,
+                label: entry.label,
+                path: entry.path,
+                similarity: this.cosineSimilarity(query, entry.vector)
+            }))
+            .filter(result => result.similarity >= this.config.minSemanticScore)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, topN);
+    }
+
+    async getSemanticIndex(fields, embeddingService) {
+        const documents = this.toDocuments(fields);
+        const key = this.getIndexKey(fields, documents);
+
+        if (this.semanticIndex && this.semanticIndexKey === key) {
+            return this.semanticIndex;
+        }
+
+        const texts = documents.map(document =>
+            [document.path.join(' > '), document.description].filter(Boolean).join(': ')
+        );
+        const vectors = documents.length > 0 ? await embeddingService.embed(texts, { allowFallback: false }) : [];
+
+        this.semanticIndex = {
+            entries: documents.map((document, i) => ({
+                id: document.id,
+                label: document.label,
+                path: document.path,
+                vector: vectors[i]
+            }))
+        };
+        this.semanticIndexKey = key;
+
+        return this.semanticIndex;
+    }
+
+    /**
+     * The embedding service given in the config, or the popup's
+     */
+    getEmbeddingService() {
+        if (this.config.embeddingService) {
+            return this.config.embeddingService;
+        }
+
+        const serviceManager = typeof window !== 'undefined' ? window.serviceManager : null;
+        return serviceManager?.hasService?.('embeddingService') ? serviceManager.getService('embeddingService') : null;
+    }
+
+    /**
+     * Results in the shape of the ORKG NLP rfclf annotations, whose scores
+     * are on a 0-10 scale. Embedding similarity first, lexical overlap
+     * when that is unavailable or finds nothing.
+     */
+    async classify(abstract, fields, topN = 5) {
+        const semantic = await this.rankSemantically(abstract, fields, topN).catch(error => {
+            console.warn('Embedding-based field ranking failed, using lexical overlap:', error.message);
+            return null;
+        });
+
+        const ranked = semantic?.length ? semantic : this.rank(abstract, fields, topN);
+
+        return ranked.map(result => ({
+            research_field: result.label,
+            score: Math.round(result.similarity * 100) / 10,
+            id: result.id,
+            path: result.path
+        }));
+    }
+
+    getIndexKey(fields, documents) {
+        return `${documents.length}:${fields?.fetchedAt || fields?.data?.fetchedAt || documents.map(d => d.id).join(',')}`;
+    }
+
+    getIndex(fields) {
+        const documents = this.toDocuments(fields);
+        const key = this.getIndexKey(fields, documents);
+
+        if (this.index && this.indexKey === key) {
+            return this.index;
+        }
+
+        // Document frequency over every field document
+        const termWeights = documents.map(document => this.getDocumentWeights(document));
+        const documentFrequency = new Map();
+
+        termWeights.forEach(weights => {
+            weights.forEach((weight, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        const idf = new Map();
+        documentFrequency.forEach((count, term) => {
+            idf.set(term, Math.log(1 + documents.length / count));
+        });
+
+        this.index = {
+            idf,
+            entries: documents.map((document, i) => ({
+                id: document.id,
+                label: document.label,
+                path: document.path,
+                vector: this.embed(termWeights[i], idf)
+            }))
+        };
+        this.indexKey = key;
+
+        return this.index;
+    }
+
+    toDocuments(fields) {
+        if (Array.isArray(fields)) {
+            return fields.map(field => ({
+                id: field.id || null,
+                label: field.label,
+                path: [field.label],
+                ancestors: [],
+                description: field.description || ''
+            }));
+        }
+
+        const taxonomy = fields instanceof ResearchFieldTaxonomy ? fields : new ResearchFieldTaxonomy(fields);
+
+        return taxonomy.getAll().map(field => {
+            const path = taxonomy.getPathLabels(field.id);
+            return {
+                id: field.id,
+                label: field.label,
+                path,
+                ancestors: path.slice(0, -1),
+                description: field.description || ''
+            };
+        });
+    }
+
+    getDocumentWeights(document) {
+        const weights = this.getTermWeights(document.label, 1);
+
+        // Closer ancestors count more
+        document.ancestors.slice().reverse().forEach((label, depth) => {
+            const weight = this.config.ancestorWeight / (depth + 1);
+            this.getTermWeights(label, weight).forEach((value, term) => {
+                weights.set(term, Math.max(weights.get(term) || 0, value));
+            });
+        });
+
+        if (document.description) {
+            this.getTermWeights(document.description, this.config.descriptionWeight).forEach((value, term) => {
+                weights.set(term, Math.max(weights.get(term) || 0, value));
+            });
+        }
+
+        return weights;
+    }
+
+    /**
+     * Sublinear term frequencies of unigrams and adjacent bigrams
+     */
+    getTermWeights(text, scale = 1) {
+        const tokens = this.tokenize(text);
+        const counts = new Map();
+
+        tokens.forEach((token, i) => {
+            counts.set(token, (counts.get(token) || 0) + 1);
+            if (i > 0) {
+                const bigram = `${tokens[i - 1]} ${token}`;
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+        });
+
+        const weights = new Map();
+        counts.forEach((count, term) => {
+            weights.set(term, scale * (1 + Math.log(count)));
+        });
+
+        return weights;
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, ' ')
+            .split(/[\s-]+/)
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+            .map(word => this.stem(word));
+    }
+
+    /**
+     * Light suffix stripping so "networks"/"network" and
+     * "statistics"/"statistical" meet
+     */
+    stem(word) {
+        if (word.length <= 4) return word;
+
+        return word
+            .replace(/ies$/, 'y')
+            .replace(/(ical|ics|ic)$/, 'ic')
+            .replace(/(ation|ations)$/, 'ate')
+            .replace(/(ing|ed)$/, '')
+            .replace(/([^s])s$/, '$1');
+    }
+
+    /**
+     * Feature-hash TF-IDF weights into a fixed-size unit vector
+     */
+    embed(weights, idf) {
+        const vector = new Float32Array(this.config.dimension);
+
+        weights.forEach((weight, term) => {
+            const termIdf = idf.get(term);
+            if (!termIdf) return;
+            vector[this.hashTerm(term) % this.config.dimension] += weight * termIdf;
+        });
+
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+        norm = Math.sqrt(norm);
+
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        }
+
+        return vector;
+    }
+
+    hashTerm(term) {
+        let hash = 2166136261;
+        for (let i = 0; i < term.length; i++) {
+            hash ^= term.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    cosineSimilarity(vec1, vec2) {
+        let dotProduct = 0;
+        for (let i = 0; i < vec1.length; i++) {
+            dotProduct += vec1[i] * vec2[i];
+        }
+        return Math.max(0, Math.min(1, dotProduct));
+    }
+}
+
+export default ResearchFieldClassifier;
@@ -0,0 +1,140 @@
+// ================================
+// src/core/services/researchFieldTaxonomy.js - ORKG research-field hierarchy
+// ================================
+
+/**
+ * Read-only view over the taxonomy data returned by
+ * ORKGService.getResearchFieldTaxonomy(): { rootIds, fields, fetchedAt },
+ * where each field is { id, label, parentId, childIds }.
+ *
+ * The data itself stays plain so it can live in DataCache; this class only
+ * adds lookups. The ORKG root ("Research Field") is hidden, so its children
+ * are the top level.
+ */
+export class ResearchFieldTaxonomy {
+    constructor(data) {
+        this.data = data || { rootIds: [], fields: [] };
+        this.rootIds = new Set(this.data.rootIds || []);
+        this.fields = new Map();
+
+        (this.data.fields || []).forEach(field => {
+            this.fields.set(field.id, field);
+        });
+
+        this.pathCache = new Map();
+    }
+
+    get size() {
+        return this.fields.size - this.rootIds.size;
+    }
+
+    get fetchedAt() {
+        return this.data.fetchedAt || null;
+    }
+
+    get(id) {
+        return this.fields.get(id) || null;
+    }
+
+    isRoot(id) {
+        return this.rootIds.has(id);
+    }
+
+    getChildren(id) {
+        const field = this.get(id);
+        if (!field) return [];
+        return field.childIds.map(childId => this.get(childId)).filter(Boolean);
+    }
+
+    /**
+     * Fields shown at the top of the tree
+     */
+    getTopLevel() {
+        const topLevel = [];
+
+        this.rootIds.forEach(rootId => {
+            topLevel.push(...this.getChildren(rootId));
+        });
+
+        return topLevel;
+    }
+
+    /**
+     * Every selectable field (all but the hidden roots)
+     */
+    getAll() {
+        return Array.from(this.fields.values()).filter(field => !this.isRoot(field.id));
+    }
+
+    /**
+     * Ancestors from the top level down to the field itself
+     */
+    getPath(id) {
+        if (this.pathCache.has(id)) {
+            return this.pathCache.get(id);
+        }
+
+        const path = [];
+        const visited = new Set();
+        let current = this.get(id);
+
+        // Guard against cycles in user-editable ORKG data
+        while (current && !visited.has(current.id) && !this.isRoot(current.id)) {
+            visited.add(current.id);
+            path.unshift(current);
+            current = current.parentId ? this.get(current.parentId) : null;
+        }
+
+        this.pathCache.set(id, path);
+        return path;
+    }
+
+    getPathLabels(id) {
+        return this.getPath(id).map(field => field.label);
+    }
+
+    countDescendants(id) {
+        const visited = new Set();
+        const stack = [...(this.get(id)?.childIds || [])];
+
+        while (stack.length > 0) {
+            const childId = stack.pop();
+            if (visited.has(childId)) continue;
+            visited.add(childId);
+            stack.push(...(this.get(childId)?.childIds || []));
+        }
+
+        return visited.size;
+    }
+
+    /**
+     * Case-insensitive label search. Whole-label and prefix matches rank
+     * first, then shallower fields.
+     */
+    search(query, limit = 50) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return [];
+
+        const rank = (field) => {
+            const label = field.label.toLowerCase();
+            if (label === needle) return 0;
+            if (label.startsWith(needle)) return 1;
+            if (label.split(/[\s,-]+/).some(word => word.startsWith(needle))) return 2;
+            return 3;
+        };
+
+        return this.getAll()
+            .filter(field => field.label.toLowerCase().includes(needle))
+            .map(field => ({ field, rank: rank(field), depth: this.getPath(field.id).length }))
+            .sort((a, b) => a.rank - b.rank || a.depth - b.depth || a.field.label.localeCompare(b.field.label))
+            .slice(0, limit)
+            .map(result => result.field);
+    }
+
+    findByLabel(label) {
+        const needle = (label || '').trim().toLowerCase();
+        return this.getAll().find(field => field.label.toLowerCase() === needle) || null;
+    }
+}
+
+export default ResearchFieldTaxonomy;
@@ -0,0 +1,198 @@
+// ================================
+// src/core/state/ContributionManager.js
+// Several contributions per paper, each with its own problem and template
+// ================================
+
+import { eventManager } from '../../utils/eventManager.js';
+import { generateId } from '../../utils/utils.js';
+
+const STATE_PATH = 'data.contributions';
+const PROBLEM_PATH = 'data.problemAnalysis.selectedProblem';
+const TEMPLATE_PATH = 'data.templateAnalysis.selectedTemplate';
+
+/**
+ * The problem and template of the active contribution live where the
+ * workflow steps already read and write them (problemAnalysis and
+ * templateAnalysis). Switching stores them on the contribution being
+ * left and puts those of the target contribution in their place.
+ */
+export class ContributionManager {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+    }
+
+    /**
+     * A copy of the contributions with the active one's current problem
+     * and template filled in. Reading never writes state; only the
+     * methods below that change contributions save them.
+     * @returns {Object} { activeId, items: [{ id, label, customLabel, problem, template, createdAt }] }
+     */
+    getContributions() {
+        const stored = this.stateManager?.getState(STATE_PATH);
+        const items = stored?.items?.length ? stored.items : [this.getDefaultContribution()];
+        const activeId = items.some(item => item.id === stored?.activeId) ? stored.activeId : items[0].id;
+
+        // The steps may have changed the active problem or template since the last switch
+        const problem = this.stateManager?.getState(PROBLEM_PATH) || null;
+        const template = this.stateManager?.getState(TEMPLATE_PATH) || null;
+
+        return {
+            activeId,
+            items: items.map((item, index) => ({
+                ...item,
+                ...(item.id === activeId ? { problem, template } : {}),
+                label: item.customLabel ? item.label : `Contribution ${index + 1}`
+            }))
+        };
+    }
+
+    /**
+     * Papers annotated before contributions existed get one holding the
+     * current selection. Its ID stays the same until it is saved.
+     */
+    getDefaultContribution() {
+        if (!this.defaultContribution) {
+            this.defaultContribution = this.createContribution();
+        }
+        return this.defaultContribution;
+    }
+
+    /**
+     * Store the contributions as they are read, so the IDs handed to the
+     * background stay valid after the popup is closed
+     */
+    persist() {
+        const contributions = this.getContributions();
+        this.save(contributions);
+        return contributions;
+    }
+
+    getActive() {
+        const contributions = this.getContributions();
+        return contributions.items.find(item => item.id === contributions.activeId);
+    }
+
+    getActiveId() {
+        return this.getContributions().activeId;
+    }
+
+    /**
+     * Add a contribution and make it active. It starts with the problem
+     * and template of the current one, which the user can then change in
+     * the problem and template steps.
+     */
+    add(label = '') {
+        const contributions = this.getContributions();
+        const current = contributions.items.find(item => item.id === contributions.activeId);
+        const contribution = this.createContribution(label, current);
+
+        contributions.items.push(contribution);
+        this.save(contributions);
+        this.switchTo(contribution.id);
+
+        return contribution;
+    }
+
+    switchTo(contributionId) {
+        const contributions = this.getContributions();
+        const target = contributions.items.find(item => item.id === contributionId);
+        if (!target) {
+            throw new Error('Contribution not found');
+        }
+
+        const previousId = contributions.activeId;
+        if (previousId === contributionId) return target;
+
+        contributions.activeId = contributionId;
+        this.save(contributions);
+        this.stateManager.updateState(PROBLEM_PATH, target.problem || null);
+        this.stateManager.updateState(TEMPLATE_PATH, target.template || null);
+
+        eventManager.emit('contribution:switched', { previousId, contribution: target });
+        return target;
+    }
+
+    rename(contributionId, label) {
+        const contributions = this.getContributions();
+        const contribution = contributions.items.find(item => item.id === contributionId);
+        if (!contribution) {
+            throw new Error('Contribution not found');
+        }
+
+        const trimmed = String(label || '').trim();
+        contribution.label = trimmed;
+        contribution.customLabel = !!trimmed;
+        this.save(contributions);
+
+        return contribution;
+    }
+
+    /**
+     * Remove a contribution. The last one cannot be removed; removing the
+     * active one switches to its neighbour first.
+     */
+    remove(contributionId) {
+        let contributions = this.getContributions();
+        const index = contributions.items.findIndex(item => item.id === contributionId);
+        if (index === -1) return false;
+        if (contributions.items.length === 1) {
+            throw new Error('A paper needs at least one contribution');
+        }
+
+        if (contributions.activeId === contributionId) {
+            const neighbour = contributions.items[index + 1] || contributions.items[index - 1];
+            this.switchTo(neighbour.id);
+            contributions = this.getContributions();
+        }
+
+        contributions.items = contributions.items.filter(item => item.id !== contributionId);
+        this.save(contributions);
+        eventManager.emit('contribution:removed', { contributionId });
+
+        return true;
+    }
+
+    /**
+     * The part of each contribution the background needs to write it
+     */
+    getWriteContext() {
+        const contributions = this.getContributions();
+
+        return {
+            activeContributionId: contributions.activeId,
+            contributions: contributions.items.map(item => ({
+                id: item.id,
+                label: item.label,
+                customLabel: !!item.customLabel,
+                problem: item.problem ? {
+                    id: item.problem.id,
+                    title: item.problem.title || item.problem.label,
+                    label: item.problem.label || item.problem.title
+                } : null,
+                template: item.template ? {
+                    id: item.template.id,
+                    name: item.template.name || item.template.label,
+                    targetClass: item.template.targetClass || item.template.target_class || null
+                } : null
+            }))
+        };
+    }
+
+    createContribution(label = '', from = null) {
+        const trimmed = String(label || '').trim();
+        return {
+            id: generateId('contribution'),
+            label: trimmed,
+            customLabel: !!trimmed,
+            problem: from ? from.problem : (this.stateManager?.getState(PROBLEM_PATH) || null),
+            template: from ? from.template : (this.stateManager?.getState(TEMPLATE_PATH) || null),
+            createdAt: Date.now()
+        };
+    }
+
+    save(contributions) {
+        this.stateManager?.updateState(STATE_PATH, contributions);
+    }
+}
+
+export default ContributionManager;
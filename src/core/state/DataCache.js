@@ -494,6 +494,21 @@ export class DataCache {
         return this.get(key);
     }
     
+    /**
+     * Cache the ORKG research-field hierarchy. It is independent of the
+     * paper, so it is kept outside the field_ prefix cleared on reset.
+     */
+    setResearchFieldTaxonomy(taxonomy, ttl = 86400000) {
+        return this.set('taxonomy_research_fields', taxonomy, ttl);
+    }
+    
+    /**
+     * Get the cached research-field hierarchy
+     */
+    getResearchFieldTaxonomy() {
+        return this.get('taxonomy_research_fields');
+    }
+    
     /**
      * Cache ORKG field info
      */
@@ -0,0 +1,363 @@
+// ================================
+// src/core/state/PaperSessionManager.js
+// Saves the workflow for the open paper as a named session and offers to resume it
+// ================================
+
+import { eventManager } from '../../utils/eventManager.js';
+
+export class PaperSessionManager {
+    constructor(config = {}, dependencies = {}) {
+        this.stateManager = dependencies.stateManager || null;
+        this.toastManager = dependencies.toastManager || null;
+        this.workflowState = dependencies.workflowState || null;
+
+        this.saveDelay = config.saveDelay || 1500;
+        this.tab = null;
+        this.saveTimeout = null;
+        this.restoreToastId = null;
+        this.isInitialized = false;
+        this.eventUnsubscribers = [];
+    }
+
+    async init() {
+        if (this.isInitialized) return;
+
+        this.eventUnsubscribers = [
+            eventManager.on('state:saved', () => this.scheduleSave()),
+
+            // Reset data must not overwrite the paper's session
+            eventManager.on('state:reset', () => this.unbind())
+        ];
+
+        // Metadata extracted from the open tab means the state now describes this paper
+        if (this.stateManager?.subscribe) {
+            this.eventUnsubscribers.push(
+                this.stateManager.subscribe('data.metadata', (metadata) => {
+                    // Deferred: StateManager ignores updates made from inside a subscriber
+                    if (metadata && this.tab && !this.isBoundToTab()) {
+                        setTimeout(() => this.bindToTab(), 0);
+                    }
+                })
+            );
+        }
+
+        this.isInitialized = true;
+        console.log('📚 PaperSessionManager initialized');
+    }
+
+    /**
+     * Look up a saved session for the paper in the tab and offer to resume it
+     */
+    async attach(tab) {
+        if (!tab?.url) return null;
+
+        this.tab = tab;
+        const bound = this.isBoundToTab();
+        const metadata = bound ? this.stateManager?.getState('data.metadata') : null;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'FIND_SESSION',
+                url: tab.url,
+                doi: metadata?.doi || null
+            });
+
+            const session = response?.success ? response.session : null;
+
+            // The popup state is already this paper's session
+            if (!session || bound) {
+                return session;
+            }
+
+            this.offerRestore(session);
+            return session;
+
+        } catch (error) {
+            console.warn('Could not look up paper session:', error);
+            return null;
+        }
+    }
+
+    isBoundToTab() {
+        return !!this.tab && this.stateManager?.getState('app.paperUrl') === this.tab.url;
+    }
+
+    bindToTab() {
+        this.stateManager?.updateState('app.paperUrl', this.tab.url, { skipEvent: true });
+    }
+
+    unbind() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        this.stateManager?.updateState('app.paperUrl', null, { skipEvent: true, skipSave: true });
+    }
+
+    offerRestore(session) {
+        if (!this.toastManager?.show) return;
+
+        const parts = [`saved at ${this.getStepTitle(session.currentStep)}`];
+        if (session.highlightCount > 0) {
+            parts.push(`${session.highlightCount} highlight${session.highlightCount === 1 ? '' : 's'}`);
+        }
+        if (session.valueCount > 0) {
+            parts.push(`${session.valueCount} extracted value${session.valueCount === 1 ? '' : 's'}`);
+        }
+        if (session.orphanedCount > 0) {
+            parts.push(`${session.orphanedCount} not anchored`);
+        }
+
+        this.restoreToastId = this.toastManager.show(
+            `Resume "${session.name}"? (${parts.join(', ')})`,
+            'info',
+            0,
+            {
+                persistent: true,
+                actions: [
+                    {
+                        label: 'Restore',
+                        icon: 'fa-history',
+                        type: 'primary',
+                        handler: (toastId) => {
+                            this.toastManager.hide(toastId);
+                            this.restore(session.key);
+                        }
+                    },
+                    {
+                        label: 'Rename',
+                        icon: 'fa-pen',
+                        handler: async (toastId) => {
+                            this.toastManager.hide(toastId);
+                            const renamed = await this.promptRename(session);
+                            this.offerRestore(renamed || session);
+                        }
+                    },
+                    {
+                        label: 'Discard',
+                        icon: 'fa-trash',
+                        handler: (toastId) => {
+                            this.toastManager.hide(toastId);
+                            this.discard(session.key);
+                        }
+                    }
+                ]
+            }
+        );
+    }
+
+    /**
+     * Restore workflow step, selections and extracted values, and re-anchor highlights
+     */
+    async restore(key) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'RESTORE_SESSION',
+                tabId: this.tab.id,
+                key
+            });
+
+            if (!response?.success) {
+                throw new Error(response?.error || 'Session could not be loaded');
+            }
+
+            const { session, applied } = response;
+            const workflow = session.workflow || {};
+            const currentStep = workflow.currentStep || 'welcome';
+
+            this.stateManager.updateState('data', {
+                ...this.stateManager.getState('data'),
+                ...(session.data || {})
+            });
+            this.stateManager.updateState('workflow', {
+                ...this.stateManager.getState('workflow'),
+                ...workflow,
+                lastActiveStep: currentStep
+            });
+            this.bindToTab();
+
+            (workflow.visitedSteps || []).forEach(step => this.workflowState?.visitedSteps?.add(step));
+
+            eventManager.emit('session:restored', { key: session.key, currentStep });
+            eventManager.emit('NAVIGATE_TO_STEP', {
+                step: currentStep,
+                force: true,
+                restored: true
+            });
+
+            const total = session.highlights?.length || 0;
+            if (total > 0 && applied?.failedCount > 0) {
+                this.toastManager?.warning(
+                    `Session restored. ${applied.appliedCount} of ${total} highlights re-anchored; ` +
+                    `${applied.failedCount} could not be found on the page`
+                );
+            } else {
+                this.toastManager?.success(`Session "${session.name}" restored`, null, {
+                    actions: [{
+                        label: 'Rename',
+                        icon: 'fa-pen',
+                        handler: (toastId) => {
+                            this.toastManager.hide(toastId);
+                            this.promptRename(session);
+                        }
+                    }]
+                });
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to restore paper session:', error);
+            this.toastManager?.error(`Could not restore session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask for a new name for the session in a small dialog
+     * @returns {Promise<Object|null>} the renamed session, null when cancelled
+     */
+    promptRename(session) {
+        return new Promise((resolve) => {
+            document.getElementById('session-rename-modal')?.remove();
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="modal-overlay" id="session-rename-modal">
+                    <form class="modal-content session-rename-panel">
+                        <div class="modal-header">
+                            <h3><i class="fas fa-pen"></i> Rename session</h3>
+                            <button type="button" class="modal-close" data-action="cancel" aria-label="Cancel">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="form-group">
+                                <label for="session-rename-input">Name</label>
+                                <input type="text" id="session-rename-input" class="form-control" maxlength="200" required>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-check"></i>
+                                <span>Rename</span>
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            `);
+
+            const modal = document.getElementById('session-rename-modal');
+            const input = modal.querySelector('#session-rename-input');
+            input.value = session.name || '';
+
+            const close = (result) => {
+                document.removeEventListener('keydown', handleKeydown);
+                modal.remove();
+                resolve(result);
+            };
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') close(null);
+            };
+
+            modal.addEventListener('click', (event) => {
+                if (event.target === modal || event.target.closest('[data-action="cancel"]')) {
+                    close(null);
+                }
+            });
+            modal.querySelector('form').addEventListener('submit', async (event) => {
+                event.preventDefault();
+                const name = input.value.trim();
+                if (!name) return;
+
+                const renamed = await this.rename(session.key, name);
+                if (renamed) close(renamed);
+            });
+            document.addEventListener('keydown', handleKeydown);
+
+            input.focus();
+            input.select();
+        });
+    }
+
+    async rename(key, name) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'RENAME_SESSION', key, name });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Session could not be renamed');
+            }
+
+            this.toastManager?.success(`Session renamed to "${response.session.name}"`);
+            return response.session;
+
+        } catch (error) {
+            console.error('❌ Failed to rename paper session:', error);
+            this.toastManager?.error(`Could not rename session: ${error.message}`);
+            return null;
+        }
+    }
+
+    async discard(key) {
+        try {
+            await chrome.runtime.sendMessage({ action: 'DELETE_SESSION', key });
+            this.toastManager?.info('Saved session discarded');
+        } catch (error) {
+            console.warn('Could not discard paper session:', error);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.isBoundToTab()) return;
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    async save() {
+        if (!this.isBoundToTab()) return;
+
+        const state = this.stateManager.getState();
+        const metadata = state.data?.metadata;
+
+        try {
+            await chrome.runtime.sendMessage({
+                action: 'SAVE_SESSION',
+                url: this.tab.url,
+                doi: metadata?.doi || null,
+                title: metadata?.title || this.tab.title,
+                workflow: {
+                    currentStep: state.workflow.currentStep,
+                    visitedSteps: state.workflow.visitedSteps,
+                    completedSteps: state.workflow.completedSteps
+                },
+                data: state.data
+            });
+        } catch (error) {
+            console.warn('Failed to save paper session:', error);
+        }
+    }
+
+    getStepTitle(step) {
+        const titles = {
+            welcome: 'Welcome',
+            metadata: 'Paper Information',
+            field: 'Research Field',
+            problem: 'Research Problem',
+            template: 'Annotation Template',
+            analysis: 'Content Analysis'
+        };
+        return titles[step] || step;
+    }
+
+    cleanup() {
+        clearTimeout(this.saveTimeout);
+        this.eventUnsubscribers.forEach(unsubscribe => unsubscribe?.());
+        this.eventUnsubscribers = [];
+
+        if (this.restoreToastId) {
+            this.toastManager?.hide(this.restoreToastId);
+        }
+        document.getElementById('session-rename-modal')?.remove();
+
+        this.isInitialized = false;
+    }
+}
+
+export default PaperSessionManager;
@@ -20,9 +20,12 @@ export class StateManager {
             },
             data: {
                 metadata: null,
+                existingPaper: null, // Matching paper already in ORKG, if any
+                orkgPaper: null, // ORKG paper the annotations were written to
                 researchField: null, // Fixed: proper field name
                 problemAnalysis: null, // Fixed: proper field name
                 template: null,
+                contributions: null, // Contributions of the paper; see ContributionManager
                 analysis: null
             },
             ui: {
@@ -42,6 +45,9 @@ export class StateManager {
         this.subscribers = new Map();
         this.history = [];
         this.maxHistorySize = 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoBaselines = new Map(); // path -> copy of the last value written there
         this.storageKey = 'orkg-annotator-state';
         this.isInitialized = false;
         this.saveTimeout = null;
@@ -272,6 +278,10 @@ export class StateManager {
                 options
             });
             
+            if (this.undoBaselines.has(path)) {
+                this.recordUndo(path, value, options);
+            }
+            
             this.state.app.lastSaved = new Date().toISOString();
             this.state.ui.lastActivity = new Date().toISOString();
             
@@ -492,6 +502,87 @@ export class StateManager {
         }
     }
     
+    // ================================
+    // Undo / redo
+    // ================================
+    
+    /**
+     * Keep a copy of every value written to a path, so that updates made
+     * with options.undoLabel can be undone even when the caller later
+     * mutates the objects it passed in
+     */
+    trackUndo(path) {
+        if (!this.undoBaselines.has(path)) {
+            this.undoBaselines.set(path, this.deepClone(this.getState(path)));
+        }
+    }
+    
+    recordUndo(path, value, options) {
+        const previous = this.undoBaselines.get(path);
+        const next = this.deepClone(value);
+        this.undoBaselines.set(path, next);
+        
+        if (!options.undoLabel || options.fromUndo) return;
+        
+        this.undoStack.push({
+            label: options.undoLabel,
+            path,
+            oldValue: previous,
+            newValue: next,
+            timestamp: Date.now()
+        });
+        
+        if (this.undoStack.length > this.maxHistorySize) {
+            this.undoStack = this.undoStack.slice(-this.maxHistorySize);
+        }
+        this.redoStack = [];
+        
+        eventManager.emit('state:undo-changed', this.getUndoHistory());
+    }
+    
+    /**
+     * @returns {Object|null} the entry that was undone
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        this.updateState(entry.path, this.deepClone(entry.oldValue), { fromUndo: true });
+        this.redoStack.push(entry);
+        
+        eventManager.emit('state:undo-changed', this.getUndoHistory());
+        return entry;
+    }
+    
+    /**
+     * @returns {Object|null} the entry that was redone
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        this.updateState(entry.path, this.deepClone(entry.newValue), { fromUndo: true });
+        this.undoStack.push(entry);
+        
+        eventManager.emit('state:undo-changed', this.getUndoHistory());
+        return entry;
+    }
+    
+    // Next entry to undo or redo first, without the stored values
+    getUndoHistory() {
+        const describe = ({ label, path, timestamp }) => ({ label, path, timestamp });
+        return {
+            undo: [...this.undoStack].reverse().map(describe),
+            redo: [...this.redoStack].reverse().map(describe)
+        };
+    }
+    
+    clearUndoHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        eventManager.emit('state:undo-changed', this.getUndoHistory());
+    }
+    
     scheduleSave() {
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
@@ -532,9 +623,12 @@ export class StateManager {
                     },
                     data: {
                         metadata: null,
+                        existingPaper: null,
+                        orkgPaper: null,
                         researchField: null,
                         problemAnalysis: null,
                         template: null,
+                        contributions: null,
                         analysis: null
                     },
                     ui: {
@@ -567,14 +661,18 @@ export class StateManager {
                 
                 this.updateState('data', {
                     metadata: null,
+                    existingPaper: null,
+                    orkgPaper: null,
                     researchField: null,
                     problemAnalysis: null,
                     template: null,
+                    contributions: null,
                     analysis: null
                 });
             }
             
             this.history = [];
+            this.clearUndoHistory();
             this.saveToStorage();
             
             eventManager.emit('state:reset', {
@@ -760,6 +858,7 @@ export class StateManager {
             lastActiveStep: this.getLastActiveStep(),
             subscriberCount: Array.from(this.subscribers.values()).reduce((total, set) => total + set.size, 0),
             historySize: this.history.length,
+            undoSize: this.undoStack.length,
             lastSaved: this.state.app.lastSaved,
             sessionId: this.state.app.sessionId,
             hasStoredData: this.hasStoredData()
@@ -782,6 +881,9 @@ export class StateManager {
         
         this.subscribers.clear();
         this.history = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoBaselines.clear();
         
         this.isInitialized = false;
         this.isUpdating = false;
@@ -0,0 +1,92 @@
+// ================================
+// src/core/state/TemplateForkStore.js
+// Local forks of ORKG templates, kept per research problem in extension storage
+// ================================
+
+const STORAGE_KEY = 'templateForks';
+
+export class TemplateForkStore {
+    constructor(storage = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' ? chrome.storage?.local : null);
+    }
+
+    /**
+     * All forks as { problemId: { upstreamId: fork } }
+     */
+    async loadAll() {
+        if (!this.storage) return {};
+
+        try {
+            const result = await this.storage.get([STORAGE_KEY]);
+            return result[STORAGE_KEY] || {};
+        } catch (error) {
+            console.error('Failed to load template forks:', error);
+            return {};
+        }
+    }
+
+    async saveAll(forks) {
+        if (!this.storage) {
+            throw new Error('Extension storage not available');
+        }
+
+        await this.storage.set({ [STORAGE_KEY]: forks });
+    }
+
+    async getForks(problemId) {
+        if (!problemId) return {};
+        const forks = await this.loadAll();
+        return forks[problemId] || {};
+    }
+
+    async getFork(problemId, upstreamId) {
+        const forks = await this.getForks(problemId);
+        return forks[upstreamId] || null;
+    }
+
+    /**
+     * Store the user's version of an ORKG template for one problem. The
+     * fork keeps the upstream ID so it replaces that template in the list
+     * and can be compared again later.
+     */
+    async saveFork(problemId, template, upstream) {
+        if (!problemId) {
+            throw new Error('A fork needs a research problem');
+        }
+
+        const upstreamId = template.fork?.upstreamId || upstream.id;
+        const fork = {
+            ...template,
+            id: upstreamId,
+            fork: {
+                upstreamId: upstreamId,
+                upstreamName: upstream.name,
+                upstreamFetchedAt: upstream.fetchedAt || Date.now(),
+                problemId: problemId,
+                createdAt: template.fork?.createdAt || Date.now(),
+                savedAt: Date.now()
+            }
+        };
+
+        const forks = await this.loadAll();
+        forks[problemId] = { ...(forks[problemId] || {}), [upstreamId]: fork };
+        await this.saveAll(forks);
+
+        return fork;
+    }
+
+    async removeFork(problemId, upstreamId) {
+        const forks = await this.loadAll();
+        if (!forks[problemId]?.[upstreamId]) return false;
+
+        delete forks[problemId][upstreamId];
+        if (Object.keys(forks[problemId]).length === 0) {
+            delete forks[problemId];
+        }
+
+        await this.saveAll(forks);
+        return true;
+    }
+}
+
+export default TemplateForkStore;
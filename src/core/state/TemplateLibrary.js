@@ -0,0 +1,358 @@
+// ================================
+// src/core/state/TemplateLibrary.js
+// The user's own templates in extension storage, with tags, version history and JSON import/export
+// ================================
+
+import { generateId } from '../../utils/utils.js';
+
+const STORAGE_KEY = 'templateLibrary';
+const EXPORT_FORMAT = 'orkg-annotator-templates';
+const EXPORT_VERSION = 1;
+const MAX_VERSIONS = 25;
+
+// Serializes read-modify-write cycles of every TemplateLibrary on the page
+let writeQueue = Promise.resolve();
+
+function enqueue(task) {
+    // Web Locks also cover other extension windows (popup and batch window)
+    const run = () => (typeof navigator !== 'undefined' && navigator.locks ?
+        navigator.locks.request(STORAGE_KEY, task) :
+        task());
+
+    const next = writeQueue.then(run, run);
+    writeQueue = next.catch(error => {
+        console.warn('Template library update failed:', error);
+    });
+    return next;
+}
+
+export class TemplateLibrary {
+    constructor(storage = null) {
+        this.storage = storage || (typeof chrome !== 'undefined' ? chrome.storage?.local : null);
+    }
+
+    /**
+     * All entries as { libraryId: entry }. An entry holds the current
+     * template plus its versions, newest last. For reading only: a
+     * failed read gives an empty library.
+     */
+    async loadAll() {
+        try {
+            return await this.readAll();
+        } catch (error) {
+            console.error('Failed to load template library:', error);
+            return {};
+        }
+    }
+
+    // Throws when storage cannot be read, so a write never replaces the library with {}
+    async readAll() {
+        if (!this.storage) return {};
+
+        const result = await this.storage.get([STORAGE_KEY]);
+        return result[STORAGE_KEY] || {};
+    }
+
+    /**
+     * Run a change on the stored entries; the entries are saved after it
+     * unless it returns { save: false }
+     */
+    update(change) {
+        return enqueue(async () => {
+            const entries = await this.readAll();
+            const { result, save = true } = await change(entries);
+            if (save) {
+                await this.saveAll(entries);
+            }
+            return result;
+        });
+    }
+
+    async saveAll(entries) {
+        if (!this.storage) {
+            throw new Error('Extension storage not available');
+        }
+
+        await this.storage.set({ [STORAGE_KEY]: entries });
+    }
+
+    /**
+     * Entries, most recently updated first
+     * @param {Object} filter - { tag, query }
+     */
+    async list(filter = {}) {
+        const entries = Object.values(await this.loadAll());
+        const query = (filter.query || '').trim().toLowerCase();
+
+        return entries
+            .filter(entry => !filter.tag || entry.tags.includes(filter.tag))
+            .filter(entry => !query ||
+                entry.template.name.toLowerCase().includes(query) ||
+                (entry.template.description || '').toLowerCase().includes(query) ||
+                entry.tags.some(tag => tag.includes(query)))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(libraryId) {
+        const entries = await this.loadAll();
+        return entries[libraryId] || null;
+    }
+
+    async getTags() {
+        const entries = Object.values(await this.loadAll());
+        return Array.from(new Set(entries.flatMap(entry => entry.tags))).sort();
+    }
+
+    /**
+     * Add a template, or record a new version of one already in the
+     * library (matched by its libraryId). Saving unchanged content does
+     * not add a version.
+     * @returns {Object} the entry
+     */
+    save(template, options = {}) {
+        return this.update(entries => {
+            const now = Date.now();
+            const snapshot = this.createSnapshot(template);
+            const existing = template.libraryId ? entries[template.libraryId] : null;
+
+            if (!existing) {
+                const libraryId = template.libraryId || generateId('tpl');
+                entries[libraryId] = {
+                    id: libraryId,
+                    template: this.toLibraryTemplate(snapshot, libraryId),
+                    tags: this.normalizeTags(options.tags || template.tags || []),
+                    source: options.source || this.getSource(template),
+                    versions: [{ version: 1, savedAt: now, note: options.note || 'Added to library', snapshot }],
+                    createdAt: now,
+                    updatedAt: now
+                };
+                return { result: entries[libraryId] };
+            }
+
+            if (options.tags) {
+                existing.tags = this.normalizeTags(options.tags);
+            }
+
+            const latest = existing.versions[existing.versions.length - 1];
+            if (JSON.stringify(latest.snapshot) !== JSON.stringify(snapshot)) {
+                existing.versions.push({
+                    version: latest.version + 1,
+                    savedAt: now,
+                    note: options.note || 'Edited',
+                    snapshot
+                });
+                existing.versions = existing.versions.slice(-MAX_VERSIONS);
+                existing.template = this.toLibraryTemplate(snapshot, existing.id);
+            }
+
+            existing.updatedAt = now;
+            return { result: existing };
+        });
+    }
+
+    setTags(libraryId, tags) {
+        return this.update(entries => {
+            const entry = entries[libraryId];
+            if (!entry) {
+                throw new Error('Template not in library');
+            }
+
+            entry.tags = this.normalizeTags(tags);
+            entry.updatedAt = Date.now();
+            return { result: entry };
+        });
+    }
+
+    /**
+     * Make an earlier version current again. The rollback is recorded as
+     * a new version, so the versions after it stay available.
+     */
+    rollback(libraryId, version) {
+        return this.update(entries => {
+            const entry = entries[libraryId];
+            const target = entry?.versions.find(v => v.version === version);
+            if (!target) {
+                throw new Error(`Version ${version} not found`);
+            }
+
+            const latest = entry.versions[entry.versions.length - 1];
+            const now = Date.now();
+            entry.versions.push({
+                version: latest.version + 1,
+                savedAt: now,
+                note: `Rolled back to version ${version}`,
+                snapshot: target.snapshot
+            });
+            entry.versions = entry.versions.slice(-MAX_VERSIONS);
+            entry.template = this.toLibraryTemplate(target.snapshot, libraryId);
+            entry.updatedAt = now;
+            return { result: entry };
+        });
+    }
+
+    remove(libraryId) {
+        return this.update(entries => {
+            if (!entries[libraryId]) return { result: false, save: false };
+
+            delete entries[libraryId];
+            return { result: true };
+        });
+    }
+
+    // ================================
+    // Import / export
+    // ================================
+
+    /**
+     * @param {string[]} libraryIds - entries to export, all when omitted
+     */
+    async exportJSON(libraryIds = null) {
+        const entries = Object.values(await this.readAll())
+            .filter(entry => !libraryIds || libraryIds.includes(entry.id));
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: entries.map(entry => ({
+                id: entry.id,
+                ...entry.template,
+                tags: entry.tags,
+                source: entry.source,
+                versions: entry.versions
+            }))
+        };
+    }
+
+    /**
+     * Import an export file, a single template or a list of templates.
+     * Templates already in the library get the imported content as a new
+     * version instead of a duplicate.
+     * @returns {Object} { imported, updated, skipped, errors }
+     */
+    async importJSON(text) {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const items = Array.isArray(data) ? data : (Array.isArray(data?.templates) ? data.templates : [data]);
+        if (data?.format && data.format !== EXPORT_FORMAT) {
+            throw new Error(`Unknown file format: ${data.format}`);
+        }
+
+        return this.update(entries => this.importItems(entries, items));
+    }
+
+    importItems(entries, items) {
+        const result = { imported: 0, updated: 0, skipped: 0, errors: [] };
+        const now = Date.now();
+
+        items.forEach((item, index) => {
+            const problem = this.validateTemplate(item);
+            if (problem) {
+                result.skipped++;
+                result.errors.push(`Template ${index + 1}: ${problem}`);
+                return;
+            }
+
+            const snapshot = this.createSnapshot(item);
+            const existing = item.id ? entries[item.id] : null;
+
+            if (existing) {
+                const latest = existing.versions[existing.versions.length - 1];
+                if (JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+                    result.skipped++;
+                    return;
+                }
+
+                existing.versions.push({ version: latest.version + 1, savedAt: now, note: 'Imported', snapshot });
+                existing.versions = existing.versions.slice(-MAX_VERSIONS);
+                existing.template = this.toLibraryTemplate(snapshot, existing.id);
+                existing.tags = this.normalizeTags([...existing.tags, ...(item.tags || [])]);
+                existing.updatedAt = now;
+                result.updated++;
+                return;
+            }
+
+            const libraryId = /^tpl_/.test(item.id || '') ? item.id : generateId('tpl');
+            const versions = Array.isArray(item.versions) && item.versions.every(v => v?.snapshot && v.version) ?
+                item.versions.slice(-MAX_VERSIONS) :
+                [{ version: 1, savedAt: now, note: 'Imported', snapshot }];
+
+            entries[libraryId] = {
+                id: libraryId,
+                template: this.toLibraryTemplate(snapshot, libraryId),
+                tags: this.normalizeTags(item.tags || []),
+                source: item.source || { type: 'import' },
+                versions: versions,
+                createdAt: now,
+                updatedAt: now
+            };
+            result.imported++;
+        });
+
+        return { result, save: result.imported > 0 || result.updated > 0 };
+    }
+
+    validateTemplate(item) {
+        if (!item || typeof item !== 'object') return 'not an object';
+        if (!item.name || !String(item.name).trim()) return 'missing name';
+        if (!Array.isArray(item.properties)) return 'missing properties';
+        if (item.properties.some(property => !property?.label)) return 'a property has no label';
+        return null;
+    }
+
+    // ================================
+    // Helpers
+    // ================================
+
+    /**
+     * The part of a template that is versioned
+     */
+    createSnapshot(template) {
+        return {
+            name: String(template.name || '').trim(),
+            description: template.description || '',
+            orkgId: template.orkgId || (!template.isAIGenerated && /^R\d+$/.test(template.id || '') ? template.id : null),
+            properties: (template.properties || []).map((property, index) => ({
+                id: property.id || `prop_${index + 1}`,
+                label: property.label,
+                description: property.description || '',
+                type: property.type || 'text',
+                required: !!property.required,
+                ...(property.predicateId ? { predicateId: property.predicateId } : {}),
+                ...(property.minCount !== undefined ? { minCount: property.minCount } : {}),
+                ...(property.maxCount !== undefined ? { maxCount: property.maxCount } : {})
+            }))
+        };
+    }
+
+    toLibraryTemplate(snapshot, libraryId) {
+        const { orkgId, ...template } = snapshot;
+        return {
+            ...template,
+            id: libraryId,
+            libraryId: libraryId,
+            ...(orkgId ? { orkgId } : {}),
+            source: 'library'
+        };
+    }
+
+    getSource(template) {
+        if (template.isAIGenerated) return { type: 'ai' };
+        const orkgId = template.orkgId || (/^R\d+$/.test(template.id || '') ? template.id : null);
+        return orkgId ? { type: 'orkg', id: orkgId } : { type: 'local' };
+    }
+
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return Array.from(new Set(
+            list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+        )).sort();
+    }
+}
+
+export default TemplateLibrary;
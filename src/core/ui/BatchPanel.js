@@ -0,0 +1,536 @@
+// ================================
+// src/core/ui/BatchPanel.js
+// Batch mode: queue DOIs, URLs or open tabs, follow their progress and review results paper by paper
+// ================================
+
+import { eventManager } from '../../utils/eventManager.js';
+import { TemplateLibrary } from '../state/TemplateLibrary.js';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    paused: 'Paused',
+    done: 'Ready for review',
+    failed: 'Failed',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+export class BatchPanel {
+    constructor() {
+        this.modal = null;
+        this.library = new TemplateLibrary();
+        this.templates = [];
+        this.reviewId = null;
+        this.reviewVersion = null;
+        this.unsubscribe = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    getToastManager() {
+        return window.serviceManager?.getService('toastManager') || window.toastManager || null;
+    }
+
+    getQueue() {
+        if (window.serviceManager?.hasService('batchQueue')) {
+            return window.serviceManager.getService('batchQueue');
+        }
+        return null;
+    }
+
+    async open() {
+        if (this.modal) return;
+
+        const queue = this.getQueue();
+        if (!queue) {
+            this.getToastManager()?.error('Batch mode is not available');
+            return;
+        }
+
+        document.body.insertAdjacentHTML('beforeend', this.createHTML());
+        this.modal = document.getElementById('batch-modal');
+        this.setupEventListeners();
+
+        this.unsubscribe = eventManager.on('batch:updated', (snapshot) => this.render(snapshot));
+
+        let snapshot = queue.getSnapshot();
+        await this.runAction(async () => {
+            snapshot = await queue.load();
+        });
+        this.templates = await this.loadTemplateOptions();
+        this.renderTemplateOptions(snapshot.settings.template);
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.modal?.remove();
+        this.modal = null;
+        this.reviewId = null;
+        this.reviewVersion = null;
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape' && event.target.tagName !== 'TEXTAREA') {
+            this.close();
+        }
+    }
+
+    createHTML() {
+        return `
+            <div class="modal-overlay" id="batch-modal">
+                <div class="modal-content batch-panel">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-layer-group"></i> Batch Annotation</h3>
+                        <div class="batch-header-actions">
+                            <button class="btn-icon" id="batch-open-window" title="Follow the queue in its own window">
+                                <i class="fas fa-external-link-alt"></i>
+                            </button>
+                            <button class="modal-close" id="close-batch" aria-label="Close batch mode">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="modal-body">
+                        <div class="batch-notice">
+                            <i class="fas fa-info-circle"></i>
+                            The queue keeps running when this window is closed.
+                        </div>
+
+                        <div class="form-group">
+                            <label for="batch-input">DOIs or URLs</label>
+                            <textarea id="batch-input" class="form-control" rows="3" spellcheck="false"
+                                placeholder="One DOI or URL per line, e.g. 10.1145/3360901.3364435"></textarea>
+                            <div class="batch-input-actions">
+                                <button class="btn btn-secondary" data-action="add-inputs">
+                                    <i class="fas fa-plus"></i>
+                                    <span>Add to queue</span>
+                                </button>
+                                <button class="btn btn-secondary" data-action="add-tabs" title="Queue the web pages open in this window">
+                                    <i class="fas fa-window-restore"></i>
+                                    <span>Add open tabs</span>
+                                </button>
+                            </div>
+                        </div>
+
+                        <div class="batch-settings">
+                            <div class="form-group">
+                                <label for="batch-template">Template</label>
+                                <select id="batch-template" class="form-control"></select>
+                            </div>
+                            <div class="form-group">
+                                <label for="batch-concurrency">Papers at once</label>
+                                <select id="batch-concurrency" class="form-control">
+                                    ${[1, 2, 3, 4].map(n => `<option value="${n}">${n}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="batch-controls">
+                            <button class="btn btn-primary" data-action="toggle-run" id="batch-run-btn"></button>
+                            <span class="batch-summary" id="batch-summary"></span>
+                            <button class="btn btn-secondary" data-action="clear-reviewed" id="batch-clear-btn" title="Remove approved and rejected papers">
+                                <i class="fas fa-broom"></i>
+                            </button>
+                        </div>
+
+                        <div class="batch-table-wrapper">
+                            <table class="batch-table">
+                                <thead>
+                                    <tr>
+                                        <th>Paper</th>
+                                        <th>Status</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody id="batch-rows"></tbody>
+                            </table>
+                        </div>
+
+                        <div class="batch-review" id="batch-review" hidden></div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        const modal = this.modal;
+
+        modal.querySelector('#close-batch')?.addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        modal.querySelector('#batch-open-window')?.addEventListener('click', () => this.openInWindow());
+
+        modal.querySelector('#batch-template')?.addEventListener('change', (e) => {
+            const template = this.templates[parseInt(e.target.value, 10)] || null;
+            this.runAction(() => this.getQueue().setTemplate(template));
+        });
+
+        modal.querySelector('#batch-concurrency')?.addEventListener('change', (e) => {
+            this.runAction(() => this.getQueue().setConcurrency(e.target.value));
+        });
+
+        // Buttons in the table and the review pane are re-rendered, so clicks are delegated
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || button.disabled) return;
+            this.handleAction(button.dataset.action, button.dataset.paperId);
+        });
+    }
+
+    handleAction(action, paperId) {
+        const queue = this.getQueue();
+
+        switch (action) {
+            case 'add-inputs':
+                return this.addInputs();
+            case 'add-tabs':
+                return this.runAction(async () => {
+                    const result = await queue.addOpenTabs();
+                    this.reportAdded(result);
+                });
+            case 'toggle-run':
+                return this.runAction(() => queue.running ? queue.pause() : queue.start());
+            case 'clear-reviewed':
+                return this.runAction(() => queue.clearReviewed());
+            case 'review':
+                return this.showReview(paperId);
+            case 'retry':
+                return this.runAction(() => queue.retry(paperId));
+            case 'remove':
+                return this.runAction(() => queue.remove(paperId));
+            case 'focus':
+                return this.runAction(() => queue.focusPaper(paperId));
+            case 'approve':
+                return this.approve(paperId);
+            case 'reject':
+                return this.runAction(async () => {
+                    await queue.reject(paperId);
+                    this.showNextReview(paperId);
+                });
+            case 'close-review':
+                return this.showReview(null);
+        }
+    }
+
+    async addInputs() {
+        const input = this.modal.querySelector('#batch-input');
+
+        await this.runAction(async () => {
+            const result = await this.getQueue().addInputs(input.value);
+            this.reportAdded(result);
+
+            // Keep what could not be read so it can be corrected
+            input.value = result.invalid.join('\n');
+        });
+    }
+
+    reportAdded(result) {
+        const toastManager = this.getToastManager();
+        const parts = [`${result.added} paper${result.added === 1 ? '' : 's'} added`];
+        if (result.duplicates > 0) parts.push(`${result.duplicates} already queued`);
+        if (result.invalid.length > 0) parts.push(`${result.invalid.length} not a DOI or URL`);
+
+        if (result.added === 0) {
+            toastManager?.warning(parts.join(', '));
+        } else {
+            toastManager?.success(parts.join(', '));
+        }
+    }
+
+    async approve(paperId) {
+        const select = this.modal.querySelector('#batch-review-field');
+
+        await this.runAction(async () => {
+            const changes = select ? { fieldIndex: parseInt(select.value, 10) } : {};
+            const paper = await this.getQueue().approve(paperId, changes);
+            this.getToastManager()?.success(`"${paper.title}" approved - open the paper to continue in the analysis step`);
+            this.showNextReview(paperId);
+        });
+    }
+
+    async openInWindow() {
+        await this.runAction(async () => {
+            await this.getQueue().openInWindow();
+            this.close();
+        });
+    }
+
+    async runAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('Batch action failed:', error);
+            this.getToastManager()?.error(error.message);
+        }
+    }
+
+    // ================================
+    // Template options
+    // ================================
+
+    /**
+     * The template chosen in the workflow and the templates in the library
+     */
+    async loadTemplateOptions() {
+        const options = [];
+        const stateManager = window.serviceManager?.getService('stateManager');
+        const current = stateManager?.getState('data.templateAnalysis.selectedTemplate');
+
+        if (current?.properties?.length) {
+            options.push({ ...current, optionLabel: `${current.name || current.label} (current workflow)` });
+        }
+
+        const entries = await this.library.list();
+        entries.forEach(entry => {
+            options.push({ ...entry.template, optionLabel: `${entry.template.name} (library)` });
+        });
+
+        return options;
+    }
+
+    renderTemplateOptions(selected) {
+        const select = this.modal?.querySelector('#batch-template');
+        if (!select) return;
+
+        let selectedIndex = selected ? this.templates.findIndex(template =>
+            template.id === selected.id || (selected.libraryId && template.libraryId === selected.libraryId)
+        ) : -1;
+
+        // The queued template may no longer be in the workflow or library
+        if (selected && selectedIndex === -1) {
+            this.templates.unshift({ ...selected, optionLabel: `${selected.name} (queued)` });
+            selectedIndex = 0;
+        }
+
+        select.innerHTML = `
+            <option value="">Choose a template...</option>
+            ${this.templates.map((template, index) => `
+                <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>
+                    ${this.escapeHtml(template.optionLabel)} - ${(template.properties || []).length} properties
+                </option>
+            `).join('')}
+        `;
+    }
+
+    // ================================
+    // Rendering
+    // ================================
+
+    render(snapshot) {
+        if (!this.modal) return;
+
+        const { papers, settings, running, paused, counts } = snapshot;
+
+        this.modal.querySelector('#batch-template').disabled = running;
+        this.modal.querySelector('#batch-concurrency').value = String(settings.concurrency);
+
+        const runButton = this.modal.querySelector('#batch-run-btn');
+        const hasWork = papers.some(paper => ['queued', 'paused'].includes(paper.status));
+        runButton.disabled = !running && !hasWork;
+        runButton.innerHTML = running ?
+            '<i class="fas fa-pause"></i><span>Pause</span>' :
+            `<i class="fas fa-play"></i><span>${paused ? 'Resume' : 'Start'}</span>`;
+
+        const summary = ['done', 'failed', 'approved', 'rejected']
+            .filter(status => counts[status])
+            .map(status => `${counts[status]} ${STATUS_LABELS[status].toLowerCase()}`);
+        this.modal.querySelector('#batch-summary').textContent =
+            `${papers.length} paper${papers.length === 1 ? '' : 's'}${summary.length ? ' · ' + summary.join(' · ') : ''}`;
+
+        this.modal.querySelector('#batch-rows').innerHTML = papers.length > 0 ?
+            papers.map(paper => this.renderRow(paper)).join('') :
+            '<tr><td colspan="3" class="batch-empty">No papers queued yet</td></tr>';
+
+        // The review pane keeps its form state unless the paper itself changed
+        const reviewed = papers.find(paper => paper.id === this.reviewId);
+        if (!reviewed) {
+            this.showReview(null);
+        } else if (reviewed.updatedAt !== this.reviewVersion) {
+            this.renderReview(reviewed);
+        }
+    }
+
+    renderRow(paper) {
+        const queue = this.getQueue();
+        const stage = paper.status === 'running' ?
+            `${queue.getStageLabel(paper.stage)}${paper.stage === 'extraction' && paper.progress ? ` ${paper.progress}%` : ''}` :
+            '';
+        const actions = [];
+
+        if (paper.status === 'done') {
+            actions.push(this.renderActionButton('review', paper.id, 'fa-clipboard-check', 'Review'));
+        }
+        if (['failed', 'rejected'].includes(paper.status)) {
+            actions.push(this.renderActionButton('retry', paper.id, 'fa-redo', 'Run again'));
+        }
+        if (paper.tabId) {
+            actions.push(this.renderActionButton('focus', paper.id, 'fa-eye', 'Show tab'));
+        }
+        if (paper.status !== 'running') {
+            actions.push(this.renderActionButton('remove', paper.id, 'fa-trash', 'Remove from queue'));
+        }
+
+        return `
+            <tr class="batch-row ${paper.id === this.reviewId ? 'reviewing' : ''}" data-paper-id="${paper.id}">
+                <td class="batch-paper">
+                    <div class="batch-paper-title" title="${this.escapeHtml(paper.url || '')}">${this.escapeHtml(paper.title)}</div>
+                    ${paper.doi ? `<div class="batch-paper-doi">${this.escapeHtml(paper.doi)}</div>` : ''}
+                    ${paper.error ? `<div class="batch-paper-error">${this.escapeHtml(paper.error)}</div>` : ''}
+                </td>
+                <td>
+                    <span class="batch-status status-${paper.status}">${STATUS_LABELS[paper.status] || paper.status}</span>
+                    ${stage ? `<div class="batch-stage">${this.escapeHtml(stage)}</div>` : ''}
+                </td>
+                <td class="batch-actions">${actions.join('')}</td>
+            </tr>
+        `;
+    }
+
+    renderActionButton(action, paperId, icon, title, disabled = false) {
+        return `
+            <button class="btn-icon" data-action="${action}" data-paper-id="${paperId}" title="${title}" ${disabled ? 'disabled' : ''}>
+                <i class="fas ${icon}"></i>
+            </button>
+        `;
+    }
+
+    showReview(paperId) {
+        this.reviewId = paperId;
+        this.reviewVersion = null;
+
+        const paper = paperId ? this.getQueue().getPaper(paperId) : null;
+        const pane = this.modal?.querySelector('#batch-review');
+        if (!pane) return;
+
+        if (!paper) {
+            pane.hidden = true;
+            pane.innerHTML = '';
+        } else {
+            this.renderReview(paper);
+        }
+
+        this.modal.querySelectorAll('.batch-row').forEach(row => {
+            row.classList.toggle('reviewing', row.dataset.paperId === paperId);
+        });
+    }
+
+    // Papers are reviewed in queue order
+    showNextReview(afterId) {
+        const papers = this.getQueue().papers;
+        const index = papers.findIndex(paper => paper.id === afterId);
+        const next = papers.slice(index + 1).concat(papers.slice(0, index))
+            .find(paper => paper.status === 'done');
+
+        this.showReview(next?.id || null);
+    }
+
+    renderReview(paper) {
+        const pane = this.modal.querySelector('#batch-review');
+        const { metadata = {}, researchField, problem, extraction } = paper.results;
+        const canDecide = paper.status === 'done';
+
+        this.reviewVersion = paper.updatedAt;
+        pane.hidden = false;
+        pane.innerHTML = `
+            <div class="batch-review-header">
+                <h4>${this.escapeHtml(paper.title)}</h4>
+                <button class="btn-icon" data-action="close-review" title="Close review">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+
+            <div class="batch-review-section">
+                <div class="batch-review-label">Metadata</div>
+                <div>${this.escapeHtml((metadata.authors || []).map(author => author.name || author).join(', ') || 'No authors')}</div>
+                <div class="batch-review-meta">
+                    ${[metadata.venue || metadata.journal, metadata.year, metadata.doi].filter(Boolean).map(part => this.escapeHtml(part)).join(' · ')}
+                </div>
+            </div>
+
+            <div class="batch-review-section">
+                <label class="batch-review-label" for="batch-review-field">Research field</label>
+                ${researchField?.allFields?.length ? `
+                    <select id="batch-review-field" class="form-control" ${canDecide ? '' : 'disabled'}>
+                        ${researchField.allFields.map((field, index) => `
+                            <option value="${index}" ${field.label === researchField.selectedField?.label ? 'selected' : ''}>
+                                ${this.escapeHtml(field.label)}${field.score ? ` (${Math.round(field.score * 100) / 100})` : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                ` : '<div class="text-secondary">No field detected</div>'}
+            </div>
+
+            <div class="batch-review-section">
+                <div class="batch-review-label">Research problem ${problem?.source === 'fallback' ? '<span class="batch-tag">placeholder</span>' : ''}</div>
+                <div class="batch-problem-title">${this.escapeHtml(problem?.title || 'None')}</div>
+                <div class="batch-review-meta">${this.escapeHtml(problem?.description || '')}</div>
+            </div>
+
+            <div class="batch-review-section">
+                <div class="batch-review-label">
+                    Extracted values
+                    ${extraction ? `<span class="batch-tag">${extraction.valueCount} values · ${extraction.propertyCount} properties</span>` : ''}
+                </div>
+                ${this.renderValues(extraction)}
+            </div>
+
+            <div class="batch-review-actions">
+                ${paper.tabId ? `
+                    <button class="btn btn-secondary" data-action="focus" data-paper-id="${paper.id}">
+                        <i class="fas fa-eye"></i>
+                        <span>Show on page</span>
+                    </button>
+                ` : ''}
+                <button class="btn btn-secondary" data-action="reject" data-paper-id="${paper.id}" ${canDecide ? '' : 'disabled'}>
+                    <i class="fas fa-times"></i>
+                    <span>Reject</span>
+                </button>
+                <button class="btn btn-primary" data-action="approve" data-paper-id="${paper.id}" ${canDecide ? '' : 'disabled'}>
+                    <i class="fas fa-check"></i>
+                    <span>Approve</span>
+                </button>
+            </div>
+        `;
+    }
+
+    renderValues(extraction) {
+        if (!extraction?.values?.length) {
+            return '<div class="text-secondary">No values were extracted</div>';
+        }
+
+        const byProperty = new Map();
+        extraction.values.forEach(value => {
+            if (!byProperty.has(value.propertyLabel)) byProperty.set(value.propertyLabel, []);
+            byProperty.get(value.propertyLabel).push(value);
+        });
+
+        return `
+            <dl class="batch-values">
+                ${Array.from(byProperty.entries()).map(([label, values]) => `
+                    <dt>${this.escapeHtml(label)}</dt>
+                    ${values.map(value => `
+                        <dd title="${this.escapeHtml(value.sentence)}">
+                            ${this.escapeHtml(String(value.value))}
+                            ${value.confidence !== null ? `<span class="batch-confidence">${Math.round(value.confidence * 100)}%</span>` : ''}
+                        </dd>
+                    `).join('')}
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default BatchPanel;
@@ -4,6 +4,8 @@
 
 import { eventManager, EVENTS } from '../../utils/eventManager.js';
 import { resetHandler } from '../handlers/ResetHandler.js';
+import { SettingsPanel } from './SettingsPanel.js';
+import { BatchPanel } from './BatchPanel.js';
 
 export class HeaderManager {
     constructor() {
@@ -16,6 +18,8 @@ export class HeaderManager {
         this.handleStartOver = this.handleStartOver.bind(this);
         this.handleThemeToggle = this.handleThemeToggle.bind(this);
         this.handleClose = this.handleClose.bind(this);
+        this.handleSettings = this.handleSettings.bind(this);
+        this.handleBatch = this.handleBatch.bind(this);
         this.handleResetComplete = this.handleResetComplete.bind(this);
     }
     
@@ -92,6 +96,12 @@ export class HeaderManager {
                     
                     <div class="header-right">
                         <div class="header-actions">
+                            <button id="batch-btn" class="btn-icon batch" title="Batch Annotation" aria-label="Annotate a list of papers in batch mode">
+                                <i class="fas fa-layer-group" aria-hidden="true"></i>
+                            </button>
+                            <button id="settings-btn" class="btn-icon settings" title="AI Provider Settings" aria-label="Configure the AI provider">
+                                <i class="fas fa-cog" aria-hidden="true"></i>
+                            </button>
                             <button id="theme-toggle" class="btn-icon theme-toggle" title="Toggle Theme" aria-label="Toggle between light and dark themes">
                                 <i class="fas fa-moon" aria-hidden="true"></i>
                             </button>
@@ -120,6 +130,8 @@ export class HeaderManager {
         const startOverBtn = document.getElementById('start-over-btn');
         const themeToggle = document.getElementById('theme-toggle');
         const closeBtn = document.getElementById('close-btn');
+        const settingsBtn = document.getElementById('settings-btn');
+        const batchBtn = document.getElementById('batch-btn');
         
         if (startOverBtn) {
             startOverBtn.addEventListener('click', this.handleStartOver);
@@ -139,6 +151,14 @@ export class HeaderManager {
             closeBtn.addEventListener('click', this.handleClose);
         }
         
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', this.handleSettings);
+        }
+        
+        if (batchBtn) {
+            batchBtn.addEventListener('click', this.handleBatch);
+        }
+        
         // State change listeners
         eventManager.on('page:info_updated', (pageInfo) => {
             this.updatePageInfo(pageInfo);
@@ -399,6 +419,27 @@ export class HeaderManager {
         }
     }
     
+    handleSettings(event) {
+        event.preventDefault();
+        
+        if (!this.settingsPanel) {
+            this.settingsPanel = new SettingsPanel();
+        }
+        this.settingsPanel.open();
+    }
+    
+    handleBatch(event) {
+        event.preventDefault();
+        this.openBatchPanel();
+    }
+    
+    openBatchPanel() {
+        if (!this.batchPanel) {
+            this.batchPanel = new BatchPanel();
+        }
+        this.batchPanel.open();
+    }
+    
     handleThemeToggle(event) {
         event.preventDefault();
         
@@ -0,0 +1,345 @@
+// ================================
+// src/core/ui/SettingsPanel.js
+// LLM provider settings (OpenAI, local OpenAI-compatible server, Anthropic)
+// ================================
+
+import configInstance from '../../config/config.js';
+import { LLM_PROVIDERS, getProviderModels, isProviderConfigured, createLLMProvider } from '../services/ai/providers/providerRegistry.js';
+
+export class SettingsPanel {
+    constructor() {
+        this.modal = null;
+        this.providerType = configInstance.getLLMProvider();
+        this.models = [];
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    getToastManager() {
+        return window.serviceManager?.getService('toastManager') || window.toastManager || null;
+    }
+
+    getLLMService() {
+        if (window.serviceManager?.hasService('llmService')) {
+            return window.serviceManager.getService('llmService');
+        }
+        return null;
+    }
+
+    getEmbeddingService() {
+        if (window.serviceManager?.hasService('embeddingService')) {
+            return window.serviceManager.getService('embeddingService');
+        }
+        return null;
+    }
+
+    open() {
+        if (this.modal) return;
+
+        this.providerType = configInstance.getLLMProvider();
+        document.body.insertAdjacentHTML('beforeend', this.createHTML());
+        this.modal = document.getElementById('llm-settings-modal');
+
+        this.setupEventListeners();
+        this.renderProviderFields();
+        this.renderUsage();
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    createHTML() {
+        const options = Object.values(LLM_PROVIDERS).map(info => `
+            <option value="${info.id}" ${info.id === this.providerType ? 'selected' : ''}>${info.label}</option>
+        `).join('');
+
+        return `
+            <div class="modal-overlay" id="llm-settings-modal">
+                <div class="modal-content llm-settings">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-cog"></i> AI Provider Settings</h3>
+                        <button class="modal-close" id="close-llm-settings" aria-label="Close settings">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="llm-provider-select">Provider</label>
+                            <select id="llm-provider-select" class="form-control">${options}</select>
+                            <div class="form-help">
+                                <small class="text-secondary" id="llm-provider-description"></small>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="llm-base-url">Base URL</label>
+                            <input type="url" id="llm-base-url" class="form-control" spellcheck="false">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="llm-api-key">API key <span class="llm-optional" id="llm-api-key-optional">(optional)</span></label>
+                            <input type="password" id="llm-api-key" class="form-control" autocomplete="off" spellcheck="false">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="llm-model-select">Model</label>
+                            <div class="llm-model-row">
+                                <select id="llm-model-select" class="form-control"></select>
+                                <input type="text" id="llm-model-input" class="form-control" placeholder="Model name served by the server" spellcheck="false">
+                                <button class="btn btn-secondary" id="llm-load-models" title="Ask the server for its models">
+                                    <i class="fas fa-sync-alt"></i>
+                                </button>
+                            </div>
+                        </div>
+
+                        <div class="form-group llm-vision-group" id="llm-vision-group">
+                            <label class="llm-checkbox">
+                                <input type="checkbox" id="llm-vision">
+                                <span>Model accepts images (used for figure analysis)</span>
+                            </label>
+                        </div>
+
+                        <div class="llm-capabilities" id="llm-capabilities"></div>
+                        <div class="llm-usage" id="llm-usage"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" id="test-llm-settings">
+                            <i class="fas fa-plug"></i>
+                            <span>Test</span>
+                        </button>
+                        <button class="btn btn-secondary" id="cancel-llm-settings">Cancel</button>
+                        <button class="btn btn-primary" id="save-llm-settings">
+                            <i class="fas fa-save"></i>
+                            <span>Save</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        const modal = this.modal;
+
+        modal.querySelector('#close-llm-settings')?.addEventListener('click', () => this.close());
+        modal.querySelector('#cancel-llm-settings')?.addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        document.addEventListener('keydown', this.handleKeydown);
+
+        modal.querySelector('#llm-provider-select')?.addEventListener('change', (e) => {
+            this.providerType = e.target.value;
+            this.renderProviderFields();
+        });
+
+        modal.querySelector('#llm-model-select')?.addEventListener('change', (e) => {
+            if (this.isLocalProvider()) {
+                modal.querySelector('#llm-model-input').value = e.target.value;
+            }
+            this.renderCapabilities();
+        });
+        modal.querySelector('#llm-model-input')?.addEventListener('input', () => this.renderCapabilities());
+        modal.querySelector('#llm-vision')?.addEventListener('change', () => this.renderCapabilities());
+        modal.querySelector('#llm-load-models')?.addEventListener('click', () => this.loadServerModels());
+        modal.querySelector('#test-llm-settings')?.addEventListener('click', () => this.testSettings());
+        modal.querySelector('#save-llm-settings')?.addEventListener('click', () => this.save());
+    }
+
+    isLocalProvider() {
+        return this.providerType === 'openai-compatible';
+    }
+
+    renderProviderFields() {
+        const info = LLM_PROVIDERS[this.providerType];
+        const settings = configInstance.getLLMSettings(this.providerType);
+        const modal = this.modal;
+
+        modal.querySelector('#llm-provider-description').textContent = info.description;
+        modal.querySelector('#llm-base-url').value = settings.baseURL || info.defaultBaseURL;
+        modal.querySelector('#llm-api-key').value = settings.apiKey || '';
+        modal.querySelector('#llm-api-key-optional').style.display = info.requiresApiKey ? 'none' : '';
+        modal.querySelector('#llm-vision').checked = !!settings.vision;
+        modal.querySelector('#llm-vision-group').style.display = this.isLocalProvider() ? '' : 'none';
+
+        // Hosted providers have a fixed catalogue; local servers are queried
+        modal.querySelector('#llm-load-models').style.display = this.isLocalProvider() ? '' : 'none';
+        modal.querySelector('#llm-model-input').style.display = this.isLocalProvider() ? '' : 'none';
+        modal.querySelector('#llm-model-input').value = this.isLocalProvider() ? (settings.model || '') : '';
+
+        this.models = getProviderModels(this.providerType);
+        this.renderModelOptions(settings.model || info.defaultModel);
+    }
+
+    renderModelOptions(selected) {
+        const select = this.modal.querySelector('#llm-model-select');
+
+        if (this.models.length === 0) {
+            select.style.display = 'none';
+            this.renderCapabilities();
+            return;
+        }
+
+        select.style.display = '';
+        // Model lists from local servers are not trusted markup
+        select.innerHTML = this.models.map(model => `
+            <option value="${this.escapeHtml(model.id)}" ${model.id === selected ? 'selected' : ''}>
+                ${this.escapeHtml(model.label || model.id)}${model.vision ? ' 👁' : ''}
+            </option>
+        `).join('');
+
+        this.renderCapabilities();
+    }
+
+    async loadServerModels() {
+        const button = this.modal.querySelector('#llm-load-models');
+        const icon = button.querySelector('i');
+        icon.className = 'fas fa-spinner fa-spin';
+
+        try {
+            const provider = createLLMProvider(this.providerType, this.collectSettings());
+            this.models = await provider.listModels();
+
+            const current = this.modal.querySelector('#llm-model-input').value.trim();
+            this.renderModelOptions(current || this.models[0]?.id);
+            this.modal.querySelector('#llm-model-input').value = current || this.models[0]?.id || '';
+
+            this.getToastManager()?.success(`Found ${this.models.length} model(s) on the server`);
+        } catch (error) {
+            console.warn('⚠️ Could not load models from server:', error);
+            this.getToastManager()?.error(`Could not reach ${this.modal.querySelector('#llm-base-url').value}: ${error.message}`);
+        } finally {
+            icon.className = 'fas fa-sync-alt';
+        }
+    }
+
+    collectSettings() {
+        const modal = this.modal;
+        const select = modal.querySelector('#llm-model-select');
+        const typedModel = modal.querySelector('#llm-model-input').value.trim();
+        const settings = {
+            baseURL: modal.querySelector('#llm-base-url').value.trim().replace(/\/+$/, ''),
+            apiKey: modal.querySelector('#llm-api-key').value.trim(),
+            model: this.isLocalProvider() ? (typedModel || select.value) : select.value
+        };
+
+        if (this.isLocalProvider()) {
+            settings.vision = modal.querySelector('#llm-vision').checked;
+        }
+
+        return settings;
+    }
+
+    renderCapabilities() {
+        const container = this.modal?.querySelector('#llm-capabilities');
+        if (!container) return;
+
+        const settings = this.collectSettings();
+        const model = this.models.find(m => m.id === settings.model);
+        const vision = this.isLocalProvider() ? settings.vision : !!model?.vision;
+
+        container.innerHTML = `
+            <span class="llm-capability ${vision ? 'supported' : ''}">
+                <i class="fas ${vision ? 'fa-eye' : 'fa-eye-slash'}"></i>
+                ${vision ? 'Image analysis available' : 'Text only - image analysis disabled'}
+            </span>
+            ${model?.contextWindow ? `
+                <span class="llm-capability">
+                    <i class="fas fa-align-left"></i>
+                    ${model.contextWindow.toLocaleString()} token context
+                </span>
+            ` : ''}
+        `;
+    }
+
+    renderUsage() {
+        const container = this.modal?.querySelector('#llm-usage');
+        const llmService = this.getLLMService();
+        if (!container || !llmService?.provider?.getUsageStats) return;
+
+        const usage = llmService.provider.getUsageStats();
+        const info = LLM_PROVIDERS[usage.provider];
+
+        container.innerHTML = `
+            <div class="llm-usage-title">This session · ${info?.label || usage.provider} ${usage.model ? `(${usage.model})` : ''}</div>
+            <div class="llm-usage-stats">
+                <span><strong>${usage.totalRequests}</strong> requests</span>
+                <span><strong>${usage.promptTokens.toLocaleString()}</strong> prompt tokens</span>
+                <span><strong>${usage.completionTokens.toLocaleString()}</strong> completion tokens</span>
+            </div>
+        `;
+    }
+
+    async testSettings() {
+        const settings = this.collectSettings();
+        const toastManager = this.getToastManager();
+
+        if (!isProviderConfigured(this.providerType, settings)) {
+            toastManager?.warning(this.isLocalProvider() ?
+                'Enter the server URL and a model name' :
+                'Enter an API key');
+            return;
+        }
+
+        try {
+            const provider = createLLMProvider(this.providerType, settings);
+            const result = await provider.testConnection();
+
+            if (result.success) {
+                toastManager?.success(`Connected to ${LLM_PROVIDERS[this.providerType].label} (${provider.model})`);
+            } else {
+                toastManager?.error(`Connection failed: ${result.error || result.message}`);
+            }
+        } catch (error) {
+            toastManager?.error(`Connection failed: ${error.message}`);
+        }
+    }
+
+    async save() {
+        const settings = this.collectSettings();
+        const toastManager = this.getToastManager();
+
+        if (!isProviderConfigured(this.providerType, settings)) {
+            toastManager?.warning(this.isLocalProvider() ?
+                'Enter the server URL and a model name' :
+                'Enter an API key');
+            return;
+        }
+
+        try {
+            await configInstance.setLLMSettings(this.providerType, settings);
+            this.getEmbeddingService()?.useProvider(this.providerType, configInstance.getLLMSettings(this.providerType));
+
+            const llmService = this.getLLMService();
+            if (llmService) {
+                await llmService.switchProvider(this.providerType, configInstance.getLLMSettings(this.providerType));
+                toastManager?.success(`Now using ${LLM_PROVIDERS[this.providerType].label}`);
+            } else {
+                // AI services are only registered when a provider is configured at startup
+                toastManager?.info('Settings saved. Reopen the extension to enable AI features.');
+            }
+
+            this.close();
+        } catch (error) {
+            console.error('❌ Failed to save LLM settings:', error);
+            toastManager?.error(`Could not switch provider: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+export default SettingsPanel;
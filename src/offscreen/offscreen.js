@@ -0,0 +1,115 @@
+// ================================
+// src/offscreen/offscreen.js
+// Offscreen document that runs the popup's metadata resolvers and research
+// field classifier for the background service worker, which can neither
+// import these ES modules nor parse the XML that arXiv and PubMed return
+// ================================
+
+import configInstance from '../config/config.js';
+import { DataCache } from '../core/state/DataCache.js';
+import { MetadataService } from '../core/services/MetadataService.js';
+import { ORKGService } from '../core/services/orkgService.js';
+import { EmbeddingService } from '../core/services/embeddingService.js';
+
+const MESSAGE_TARGET = 'offscreen';
+
+class OffscreenServices {
+    constructor() {
+        this.ready = null;
+        this.dataCache = new DataCache();
+        this.metadataService = null;
+        this.orkgService = null;
+        this.embeddingService = null;
+        this.embeddingKey = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = configInstance.load().then(config => {
+                this.metadataService = new MetadataService(this.dataCache, config.metadataExtraction, config.externalApis);
+                this.orkgService = new ORKGService(null, this.dataCache, config.orkg);
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * The page's citation tags merged field by field with every source
+     * that resolves the paper's DOI, arXiv ID or PMID
+     * @param {Object} request - { url, page, doi }
+     */
+    async resolveMetadata(request) {
+        const page = request.page || null;
+        const identifiers = this.metadataService.extractIdentifiers(request.url, page, request.doi || page?.doi);
+        const records = await this.metadataService.fetchMetadataRecords(identifiers);
+
+        return { metadata: this.metadataService.mergeMetadata(page, records) };
+    }
+
+    /**
+     * ORKG NLP annotations, or the local ranking when the NLP service is
+     * down. Extension storage is out of reach here, so the worker passes
+     * the stored taxonomy along.
+     * @param {Object} request - { abstract, taxonomy, embeddings, topN }
+     */
+    async classifyResearchField(request) {
+        if (request.taxonomy && !this.dataCache.getResearchFieldTaxonomy()) {
+            this.dataCache.setResearchFieldTaxonomy(request.taxonomy);
+        }
+
+        this.useEmbeddings(request.embeddings);
+
+        const response = await this.orkgService.findRelatedResearchField(request.abstract, request.topN || 5);
+
+        return {
+            annotations: response?.payload?.annotations || [],
+            source: response?.status === 'fallback' ? 'local_classifier' : 'orkg_nlp'
+        };
+    }
+
+    /**
+     * Field ranking uses OpenAI embeddings when the worker sends OpenAI
+     * settings, and lexical overlap otherwise
+     * @param {Object|null} settings - { apiKey, baseURL }
+     */
+    useEmbeddings(settings) {
+        const key = settings?.apiKey ? `${settings.baseURL || ''}|${settings.apiKey}` : null;
+
+        if (key !== this.embeddingKey) {
+            this.embeddingKey = key;
+            this.embeddingService = key ? new EmbeddingService({
+                apiKey: settings.apiKey,
+                baseUrl: settings.baseURL || 'https://api.openai.com/v1',
+                model: 'text-embedding-3-small',
+                useMockIfNoKey: true,
+                useTextSimilarityFallback: true
+            }) : null;
+        }
+
+        this.orkgService.fieldClassifier.config.embeddingService = this.embeddingService;
+    }
+
+    handleMessage(message) {
+        switch (message.action) {
+            case 'RESOLVE_METADATA':
+                return this.resolveMetadata(message);
+            case 'CLASSIFY_RESEARCH_FIELD':
+                return this.classifyResearchField(message);
+            default:
+                return Promise.reject(new Error(`Unknown offscreen action: ${message.action}`));
+        }
+    }
+}
+
+const services = new OffscreenServices();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.target !== MESSAGE_TARGET) return false;
+
+    services.init()
+        .then(() => services.handleMessage(message))
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+});
@@ -19,6 +19,7 @@ import { ToastManager } from '../core/ui/ToastManager.js';
 import { StateManager } from '../core/state/StateManager.js';
 import { WorkflowState } from '../core/state/WorkflowState.js';
 import { DataCache } from '../core/state/DataCache.js';
+import { PaperSessionManager } from '../core/state/PaperSessionManager.js';
 import { NavigationManager } from '../core/navigation/NavigationManager.js';
 import { ContentManager } from '../core/content/ContentManager.js';
 import { HeaderManager } from '../core/ui/HeaderManager.js';
@@ -40,13 +41,16 @@ import { APIService } from '../core/services/APIService.js';
 import { ORKGService } from '../core/services/ORKGService.js';
 import { ORKGProblemMatcher } from '../core/services/ORKGProblemMatcher.js';
 import { MetadataService } from '../core/services/MetadataService.js';
+import { BatchQueue } from '../core/services/BatchQueue.js';
+import { AuthorResolver } from '../core/services/AuthorResolver.js';
 
 import { EmbeddingService } from '../core/services/embeddingService.js';
 
-import { LLMService } from '../core/services/ai/llmService.js';
+import { LLMService, getLLMService } from '../core/services/ai/llmService.js';
 import { RAGService } from '../core/services/ai/ragService.js';
 import { GenerationAdapter } from '../core/services/ai/adapters/GenerationAdapter.js';
 import { OpenAIProvider } from '../core/services/ai/providers/OpenAIProvider.js';
+import { isProviderConfigured } from '../core/services/ai/providers/providerRegistry.js';
 import { ImageAnalysisService } from '../core/services/ai/adapters/ImageAnalysisService.js';
 
 
@@ -70,6 +74,7 @@ class PopupMain {
         // Bind methods
         this.handleError = this.handleError.bind(this);
         this.handleThemeChange = this.handleThemeChange.bind(this);
+        this.handleProviderChange = this.handleProviderChange.bind(this);
         this.handleUserResetRequest = this.handleUserResetRequest.bind(this);
         
         console.log('🏗️ PopupMain constructor completed');
@@ -282,6 +287,10 @@ class PopupMain {
                 priority: 70,
                 dependencies: ['stateManager']
             })
+            .registerService('paperSessionManager', PaperSessionManager, {
+                priority: 65,
+                dependencies: ['stateManager', 'toastManager', 'workflowState']
+            })
             .registerService('apiService', APIService, {
                 priority: 73,
                 dependencies: ['dataCache'],
@@ -346,19 +355,23 @@ class PopupMain {
                     // Get the config instance
                     const config = window.orkgConfig || window.orkgConfigData;
                     
-                    // Create config object for OpenAI service
+                    // Embeddings follow the selected provider: OpenAI embeddings
+                    // with the OpenAI provider, text similarity with any other
+                    const provider = configInstance.getLLMProvider();
+                    const providerSettings = configInstance.getLLMSettings(provider);
+                    const remoteEmbeddings = provider === 'openai';
+                    
                     const embeddingConfig = {
-                        // Add the OpenAI API key from the correct location
-                        openaiApiKey: config.openai?.apiKey || config.defaults?.openai?.apiKey,
-                        apiKey: config.openai?.apiKey || config.defaults?.openai?.apiKey,
+                        // Include problem processing settings
+                        ...config.problemProcessing,
+                        
+                        remoteEmbeddings: remoteEmbeddings,
+                        apiKey: remoteEmbeddings ? providerSettings.apiKey : '',
                         
                         // Add other OpenAI embedding settings
                         model: 'text-embedding-3-small',
-                        baseUrl: config.openai?.baseURL || 'https://api.openai.com/v1',
-                        timeout: config.openai?.timeout || 30000,
-                        
-                        // Include problem processing settings
-                        ...config.problemProcessing,
+                        baseUrl: (remoteEmbeddings && providerSettings.baseURL) || 'https://api.openai.com/v1',
+                        timeout: providerSettings.timeout || 30000,
                         
                         // Fallback settings
                         useMockIfNoKey: true,
@@ -379,14 +392,28 @@ class PopupMain {
                 )
             });
        
-        if (this.config.openai && this.config.openai.apiKey) {
-            console.log(`🔑 Registering OpenAI Provider with config:`, this.config.openai);
+        const llmProvider = configInstance.getLLMProvider();
+        const llmSettings = configInstance.getLLMSettings(llmProvider);
+        const hasLLM = isProviderConfigured(llmProvider, llmSettings);
+        
+        // Without a configured provider the workflow runs in offline mode:
+        // AI generation is skipped and extraction uses deterministic patterns
+        const aiDependencies = hasLLM ? ['generationAdapter'] : [];
+        
+        if (hasLLM) {
+            console.log(`🔑 Registering LLM provider: ${llmProvider}`);
             
-            // Pass config directly to ServiceManager
+            serviceManager.registerService('llmService', LLMService, {
+                priority: 23,
+                dependencies: ['dataCache'],
+                factory: () => getLLMService({ ...llmSettings, provider: llmProvider })
+            });
+            
+            // Adapters keep asking for 'openAIProvider' - it is whichever backend is active
             serviceManager.registerService('openAIProvider', OpenAIProvider, {
                 priority: 22,
-                dependencies: ['dataCache'],
-                config: this.config.openai  // ← Pass config here, no factory
+                dependencies: ['llmService'],
+                factory: (deps) => deps.llmService.provider
             });
             
             serviceManager.registerService('generationAdapter', GenerationAdapter, {
@@ -406,7 +433,7 @@ class PopupMain {
         .registerService('imageAnalysisService', ImageAnalysisService, {
             priority: 25,
             lazyInit: true,
-            dependencies: ['openAIProvider', 'dataCache']
+            dependencies: hasLLM ? ['openAIProvider', 'dataCache'] : ['dataCache']
         });
         // Content services - contentManager depends on workflowState
         serviceManager
@@ -428,15 +455,28 @@ class PopupMain {
             })
             .registerService('problemStep', ProblemStep, {
                 priority: 3,
-                dependencies: ['contentManager', 'stateManager', 'orkgProblemMatcher', 'generationAdapter']
+                dependencies: ['contentManager', 'stateManager', 'orkgProblemMatcher', ...aiDependencies]
             }).
             registerService('templateStep', TemplateStep, {
                 priority: 2,
-                dependencies: [ 'contentManager', 'stateManager', 'workflowState', 'orkgService', 'dataCache', 'generationAdapter' ]
+                dependencies: [ 'contentManager', 'stateManager', 'workflowState', 'orkgService', 'dataCache', ...aiDependencies ]
             }).
             registerService('analysisStep', AnalysisStep, {
                 priority: 2,
-                dependencies: [ 'contentManager', 'stateManager', 'workflowState', 'orkgService', 'dataCache', 'generationAdapter' ]
+                dependencies: [ 'contentManager', 'stateManager', 'workflowState', 'orkgService', 'dataCache' ]
+            });
+        
+        // ORCID and ORKG author lookups for the metadata step
+        serviceManager
+            .registerService('authorResolver', AuthorResolver, {
+                priority: 2,
+                dependencies: ['orkgService']
+            });
+        
+        // Batch mode follows the queue the background runs for a list of papers
+        serviceManager
+            .registerService('batchQueue', BatchQueue, {
+                priority: 2
             });
         
    
@@ -695,6 +735,9 @@ class PopupMain {
             // Theme events
             eventManager.on('theme:changed', this.handleThemeChange);
             
+            // LLM provider switched from the settings panel
+            eventManager.on('llm:provider_changed', this.handleProviderChange);
+            
             // Config change events
             window.addEventListener('configChange', (event) => {
                 console.log('⚙️ Config changed:', event.detail);
@@ -809,6 +852,17 @@ class PopupMain {
                 workflowState.setCurrentStep('welcome');
             }
             
+            // Offer to resume a saved session for this paper
+            const paperSessionManager = serviceManager.getService('paperSessionManager');
+            if (currentTab && paperSessionManager) {
+                await paperSessionManager.attach(currentTab);
+            }
+            
+            // The batch window opens straight into the batch queue
+            if (new URLSearchParams(window.location.search).get('view') === 'batch') {
+                headerManager?.openBatchPanel?.();
+            }
+            
             console.log('✅ Initial setup completed');
             
         } catch (error) {
@@ -976,6 +1030,29 @@ class PopupMain {
         }
     }
     
+    handleProviderChange(data) {
+        const provider = data?.provider;
+        if (!provider) return;
+        
+        console.log(`🔄 LLM provider changed to ${data.providerType} (${data.model || 'no model'})`);
+        
+        // Point the services that hold a provider reference at the new backend
+        if (serviceManager.hasService('openAIProvider')) {
+            serviceManager.replaceInstance('openAIProvider', provider);
+        }
+        
+        ['generationAdapter', 'imageAnalysisService'].forEach(name => {
+            if (serviceManager.hasService(name)) {
+                serviceManager.getService(name).provider = provider;
+            }
+        });
+        
+        // The image analyzer keeps its own service, built for the old provider
+        if (serviceManager.hasService('imageAnalyzer')) {
+            serviceManager.getService('imageAnalyzer').initializeAnalysisService();
+        }
+    }
+    
     handleUserResetRequest(data) {
         if (this.isResetting) {
             console.warn('🔄 Reset already in progress, ignoring duplicate request');
@@ -1014,6 +1091,11 @@ class PopupMain {
                         contentManager.reset();
                     }
                     
+                    // Extracted values per contribution belong to the paper being reset
+                    chrome.storage.local.remove(['contributionResults']).catch(error => {
+                        console.warn('Failed to clear contribution results:', error);
+                    });
+                    
                     this.updateLoadingProgress(80, 'Returning to start...');
                     
                     // Navigate back to welcome
@@ -321,11 +321,11 @@ export const PAGE_TYPES = {
     PDF_DOCUMENT: {
         id: 'pdf_document',
         label: 'PDF Document',
-        description: 'PDF format - requires alternative HTML source',
+        description: 'PDF format - open it in the ORKG PDF viewer or find an HTML source',
         icon: '📄',
         confidence: 'not-applicable',
-        recommendation: 'find-alternative',
-        processingDifficulty: 'impossible'
+        recommendation: 'open-pdf-viewer',
+        processingDifficulty: 'medium'
     },
     GENERAL_WEB_PAGE: {
         id: 'general_web_page',
@@ -415,6 +415,13 @@ export const METADATA_SELECTORS = {
         'meta[name="dc.publisher"]',
         'meta[property="article:publisher"]'
     ],
+    ARXIV_ID: [
+        'meta[name="citation_arxiv_id"]'
+    ],
+    PMID: [
+        'meta[name="citation_pmid"]',
+        'meta[name="ncbi_pmid"]'
+    ],
     KEYWORDS: [
         'meta[name="keywords"]',
         'meta[name="citation_keywords"]',
@@ -0,0 +1,33 @@
+// src/utils/pdfViewerUtils.js - Helpers for the bundled PDF viewer page
+export const PDF_VIEWER_PATH = 'src/viewer/pdf-viewer.html';
+
+function getViewerBaseURL() {
+    if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+        return chrome.runtime.getURL(PDF_VIEWER_PATH);
+    }
+    return null;
+}
+
+export function getPDFViewerURL(fileUrl) {
+    const base = getViewerBaseURL();
+    if (!base) return null;
+    return `${base}?file=${encodeURIComponent(fileUrl)}`;
+}
+
+export function isPDFViewerURL(url) {
+    const base = getViewerBaseURL();
+    return !!(base && url && url.startsWith(base));
+}
+
+/**
+ * Resolve the original PDF location for a viewer URL; other URLs are returned unchanged
+ */
+export function getPDFSourceURL(url) {
+    if (!isPDFViewerURL(url)) return url;
+
+    try {
+        return new URL(url).searchParams.get('file') || url;
+    } catch (error) {
+        return url;
+    }
+}
@@ -0,0 +1,559 @@
+// ================================
+// src/viewer/pdf-viewer.js
+// Bundled PDF viewer - renders each page as an image with a DOM text layer on
+// top, then loads the content script so extraction, highlighting and markers
+// work on PDFs the same way they do on HTML articles
+// ================================
+
+import * as pdfjsLib from '../lib/pdfjs/pdf.min.mjs';
+
+const RENDER_SCALE = 1.5;
+const CONTENT_SCRIPT_PATH = '../content/content-script.js';
+const METADATA_ACTION = 'GET_PDF_METADATA';
+
+const DOI_PATTERN = /\b10\.\d{4,9}\/[^\s"<>?#]+/;
+const KEYWORD_HEADING_PATTERN = /^((\d+(\.\d+)*\.?|[IVX]+\.)\s+)?(abstract|introduction|background|related work|preliminaries|methods?|methodology|materials and methods|approach|experiments?|experimental setup|evaluation|results?|results and discussion|discussion|conclusions?|future work|limitations|acknowledge?ments?|references|bibliography|appendix)\s*:?$/i;
+const NUMBERED_HEADING_PATTERN = /^(\d+(\.\d+)*\.?|[IVX]+\.)\s+[A-Z][^.!?]*$/;
+const ABSTRACT_END_PATTERN = /^(keywords|key words|index terms|ccs concepts|(1\.?|I\.)?\s*introduction)\b/i;
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('src/lib/pdfjs/pdf.worker.min.mjs');
+
+export class PDFViewer {
+    constructor() {
+        this.container = document.getElementById('pdf-viewer');
+        this.statusElement = document.getElementById('pdf-status');
+        this.titleElement = document.getElementById('pdf-document-title');
+        this.originalLink = document.getElementById('pdf-original-link');
+        this.fileInput = document.getElementById('pdf-file-input');
+
+        this.pdf = null;
+        this.fileUrl = null;
+        this.pages = [];
+        this.metadata = null;
+        this.imageUrls = [];
+    }
+
+    async init() {
+        this.setupMessageListener();
+        this.setupFileInput();
+
+        const fileUrl = new URLSearchParams(window.location.search).get('file');
+        if (fileUrl) {
+            await this.open({ url: fileUrl });
+        }
+    }
+
+    /**
+     * Load and render a PDF
+     * @param {Object} source - { url } or { data, name } for a local file
+     */
+    async open(source) {
+        this.reset();
+        this.fileUrl = source.url || null;
+        this.setStatus('Loading PDF...');
+
+        try {
+            const loadingTask = pdfjsLib.getDocument({
+                ...(source.data ? { data: source.data } : { url: source.url }),
+                isEvalSupported: false
+            });
+            this.pdf = await loadingTask.promise;
+            console.log(`📄 PDF loaded: ${this.pdf.numPages} pages`);
+
+            // Text first so the content script finds the whole paper when it starts
+            await this.renderTextLayers();
+
+            this.metadata = await this.buildMetadata(source);
+            this.applyDocumentMetadata();
+            this.loadContentScript();
+
+            await this.renderPageImages();
+
+            document.documentElement.dataset.pdfRendered = 'true';
+            this.setStatus(`${this.pdf.numPages} page${this.pdf.numPages === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('❌ Failed to load PDF:', error);
+            this.showError(error);
+        }
+    }
+
+    reset() {
+        this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.imageUrls = [];
+
+        if (this.pdf) {
+            this.pdf.destroy();
+            this.pdf = null;
+        }
+
+        this.pages = [];
+        this.metadata = null;
+        this.container.innerHTML = '';
+        delete document.documentElement.dataset.pdfRendered;
+    }
+
+    // ================================
+    // Text layer
+    // ================================
+
+    async renderTextLayers() {
+        for (let number = 1; number <= this.pdf.numPages; number++) {
+            this.setStatus(`Reading page ${number} of ${this.pdf.numPages}...`);
+
+            const page = await this.pdf.getPage(number);
+            const viewport = page.getViewport({ scale: RENDER_SCALE });
+            const textContent = await page.getTextContent();
+            const { lines, text } = this.buildLines(textContent, viewport);
+
+            this.pages.push({
+                number,
+                page,
+                viewport,
+                lines,
+                text,
+                element: this.createPageElement(number, viewport)
+            });
+        }
+
+        // Headings are judged against the body font size of the whole paper
+        const bodySize = this.getBodyFontSize();
+        this.pages.forEach(pageState => {
+            this.classifyLines(pageState, bodySize);
+            this.renderTextLayer(pageState);
+        });
+    }
+
+    createPageElement(number, viewport) {
+        const element = document.createElement('section');
+        element.className = 'pdf-page rendering';
+        element.dataset.pageNumber = number;
+        element.style.width = `${viewport.width}px`;
+        element.style.height = `${viewport.height}px`;
+
+        const textLayer = document.createElement('div');
+        textLayer.className = 'pdf-text-layer';
+        element.appendChild(textLayer);
+
+        this.container.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Merge PDF.js text items into visual lines. One element per line keeps
+     * sentences intact for the text extractor and for quote selectors.
+     */
+    buildLines(textContent, viewport) {
+        const lines = [];
+        const textParts = [];
+        let current = null;
+
+        textContent.items.forEach(item => {
+            if (typeof item.str !== 'string') return;
+
+            textParts.push(item.str);
+            if (item.hasEOL) textParts.push('\n');
+
+            if (!item.str.trim()) {
+                if (item.hasEOL) current = null;
+                return;
+            }
+
+            const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const fontSize = Math.hypot(tx[2], tx[3]);
+
+            // Rotated text (e.g. arXiv side stamps) stays out of the layer
+            if (!fontSize || Math.abs(tx[1]) > 0.01) {
+                current = null;
+                return;
+            }
+
+            const style = textContent.styles[item.fontName] || {};
+            const ascent = style.ascent || (style.descent ? 1 + style.descent : 0.8);
+            const left = tx[4];
+            const top = tx[5] - fontSize * ascent;
+            const width = item.width * viewport.scale;
+
+            const continuesLine = current &&
+                Math.abs(top - current.top) < fontSize * 0.5 &&
+                left >= current.right - fontSize &&
+                left - current.right < fontSize * 2;
+
+            if (continuesLine) {
+                const gap = left - current.right;
+                if (gap > fontSize * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(item.str)) {
+                    current.text += ' ';
+                }
+                current.text += item.str;
+                current.right = Math.max(current.right, left + width);
+                current.fontSize = Math.max(current.fontSize, fontSize);
+            } else {
+                current = {
+                    text: item.str,
+                    left,
+                    top,
+                    right: left + width,
+                    fontSize,
+                    fontFamily: style.fontFamily || 'sans-serif',
+                    heading: 0
+                };
+                lines.push(current);
+            }
+
+            if (item.hasEOL) current = null;
+        });
+
+        lines.forEach(line => {
+            line.text = line.text.replace(/\s+/g, ' ').trim();
+        });
+
+        return {
+            lines: lines.filter(line => line.text),
+            text: textParts.join('')
+        };
+    }
+
+    // Font size carrying most of the characters
+    getBodyFontSize() {
+        const counts = new Map();
+
+        this.pages.forEach(pageState => {
+            pageState.lines.forEach(line => {
+                const size = Math.round(line.fontSize);
+                counts.set(size, (counts.get(size) || 0) + line.text.length);
+            });
+        });
+
+        let bodySize = 0;
+        let maxCount = 0;
+        counts.forEach((count, size) => {
+            if (count > maxCount) {
+                maxCount = count;
+                bodySize = size;
+            }
+        });
+
+        return bodySize || 12;
+    }
+
+    /**
+     * Mark title and section heading lines (heading = h1-h4 level, 0 for text)
+     */
+    classifyLines(pageState, bodySize) {
+        const { lines, number, viewport } = pageState;
+
+        if (number === 1) {
+            const candidates = lines.filter(line =>
+                line.top < viewport.height * 0.4 && line.fontSize >= bodySize * 1.3
+            );
+            const titleSize = Math.max(0, ...candidates.map(line => line.fontSize));
+
+            candidates
+                .filter(line => line.fontSize >= titleSize * 0.95)
+                .forEach(line => { line.heading = 1; line.isTitle = true; });
+        }
+
+        lines.forEach(line => {
+            if (line.heading) return;
+
+            const text = line.text;
+            if (text.length < 3 || text.length > 120 || !/[A-Za-z]{2}/.test(text)) return;
+
+            const numbered = text.match(/^(\d+(?:\.\d+)*)\.?\s/);
+            const depth = numbered ? numbered[1].split('.').length : 1;
+
+            const isKeywordHeading = text.length <= 60 && KEYWORD_HEADING_PATTERN.test(text);
+            const isNumberedHeading = text.length <= 80 &&
+                text.split(/\s+/).length <= 10 &&
+                line.fontSize >= bodySize * 0.95 &&
+                NUMBERED_HEADING_PATTERN.test(text);
+            const isLargeHeading = line.fontSize >= bodySize * 1.15 && !/[.,;]$/.test(text);
+
+            if (isKeywordHeading || isNumberedHeading || isLargeHeading) {
+                line.heading = Math.min(4, depth + 1);
+            }
+        });
+    }
+
+    renderTextLayer(pageState) {
+        const layer = pageState.element.querySelector('.pdf-text-layer');
+        const fragment = document.createDocumentFragment();
+        const rendered = [];
+
+        pageState.lines.forEach(line => {
+            const element = document.createElement(line.heading ? `h${line.heading}` : 'span');
+            element.className = line.heading ? 'pdf-text-line pdf-heading' : 'pdf-text-line';
+            element.textContent = line.text;
+            element.style.left = `${line.left}px`;
+            element.style.top = `${line.top}px`;
+            element.style.fontSize = `${line.fontSize}px`;
+            element.style.fontFamily = line.fontFamily;
+
+            fragment.appendChild(element);
+            rendered.push({ element, width: line.right - line.left });
+        });
+
+        layer.appendChild(fragment);
+
+        // Stretch each line to the width PDF.js measured so selections and
+        // highlights line up with the page image (read first, then write)
+        const widths = rendered.map(({ element }) => element.getBoundingClientRect().width);
+        rendered.forEach(({ element, width }, index) => {
+            if (widths[index] > 0 && width > 0) {
+                element.style.transform = `scaleX(${width / widths[index]})`;
+            }
+        });
+    }
+
+    // ================================
+    // Page images
+    // ================================
+
+    async renderPageImages() {
+        for (const pageState of this.pages) {
+            this.setStatus(`Rendering page ${pageState.number} of ${this.pages.length}...`);
+            await this.renderPageImage(pageState);
+        }
+    }
+
+    async renderPageImage({ number, page, viewport, element }) {
+        const outputScale = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        }).promise;
+
+        // Extractors and markers work on <img> elements, so hand them a blob URL
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        canvas.width = 0;
+        canvas.height = 0;
+        page.cleanup();
+
+        if (!blob || !element.isConnected) return;
+
+        const src = URL.createObjectURL(blob);
+        this.imageUrls.push(src);
+
+        const figure = document.createElement('figure');
+        figure.className = 'pdf-page-figure';
+
+        const image = new Image();
+        image.className = 'pdf-page-image';
+        image.alt = `Page ${number}${this.metadata?.title ? ` of ${this.metadata.title}` : ''}`;
+        image.dataset.orkgPdfPage = number;
+        image.src = src;
+        await image.decode().catch(() => {});
+
+        const caption = document.createElement('figcaption');
+        caption.textContent = `Page ${number}`;
+
+        figure.appendChild(image);
+        figure.appendChild(caption);
+        element.insertBefore(figure, element.firstChild);
+        element.classList.remove('rendering');
+    }
+
+    // ================================
+    // Metadata
+    // ================================
+
+    /**
+     * Build page metadata in the same shape MetadataService reads from HTML pages
+     */
+    async buildMetadata(source) {
+        let info = {};
+        let xmp = null;
+
+        try {
+            const result = await this.pdf.getMetadata();
+            info = result.info || {};
+            xmp = result.metadata || null;
+        } catch (error) {
+            console.warn('Could not read PDF metadata:', error);
+        }
+
+        const firstPage = this.pages[0];
+        const title = this.cleanTitle(info.Title) ||
+            this.cleanTitle(xmp?.get('dc:title')) ||
+            (firstPage ? firstPage.lines.filter(line => line.isTitle).map(line => line.text).join(' ') : '') ||
+            (source.name || '').replace(/\.pdf$/i, '');
+
+        return {
+            source: 'pdf',
+            title,
+            authors: this.parseAuthors(info.Author),
+            abstract: firstPage ? this.findAbstract(firstPage.lines) : '',
+            doi: this.findDOI(),
+            url: this.fileUrl || window.location.href,
+            venue: '',
+            journal: '',
+            year: '',
+            publisher: '',
+            keywords: info.Keywords || '',
+            pageCount: this.pdf.numPages
+        };
+    }
+
+    // Producers often store file names or tool banners instead of the title
+    cleanTitle(value) {
+        const title = typeof value === 'string' ? value.trim() : '';
+        if (title.length < 5) return '';
+        if (/\.(pdf|docx?|tex|dvi|ps)$/i.test(title) || /^(microsoft word|untitled)/i.test(title)) return '';
+        return title;
+    }
+
+    parseAuthors(value) {
+        if (typeof value !== 'string' || !value.trim()) return [];
+
+        const parts = value.split(/\s*(?:;|,|\band\b|&)\s*/).filter(Boolean);
+        // "Smith, John" style values split into single words; keep them whole
+        const names = parts.every(part => /\s/.test(part)) ? parts : [value.trim()];
+
+        return names.map(name => ({ name }));
+    }
+
+    findAbstract(lines) {
+        const start = lines.findIndex(line => /^abstract\b/i.test(line.text));
+        if (start === -1) return '';
+
+        const parts = [lines[start].text.replace(/^abstract\s*[-—–.:]?\s*/i, '')];
+
+        for (let index = start + 1; index < lines.length; index++) {
+            const line = lines[index];
+            if ((line.heading && !line.isTitle) || ABSTRACT_END_PATTERN.test(line.text)) break;
+            parts.push(line.text);
+        }
+
+        return parts
+            .join(' ')
+            .replace(/(\w)- (\w)/g, '$1$2')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 5000);
+    }
+
+    findDOI() {
+        const sources = this.pages.slice(0, 2).map(pageState => pageState.text);
+        if (this.fileUrl) {
+            sources.push(decodeURIComponent(this.fileUrl));
+        }
+
+        for (const text of sources) {
+            const match = text.match(DOI_PATTERN);
+            if (match) {
+                return match[0].replace(/(\.pdf)?[.,;)\]]*$/i, '');
+            }
+        }
+
+        return '';
+    }
+
+    applyDocumentMetadata() {
+        const { title, authors, doi, abstract, keywords } = this.metadata;
+
+        if (title) {
+            document.title = title;
+            this.titleElement.textContent = title;
+        }
+
+        if (this.fileUrl) {
+            this.originalLink.href = this.fileUrl;
+            this.originalLink.hidden = false;
+        }
+
+        // citation_* tags let the HTML metadata readers work unchanged
+        document.head.querySelectorAll('meta[data-pdf-metadata]').forEach(meta => meta.remove());
+        this.addMeta('citation_title', title);
+        authors.forEach(author => this.addMeta('citation_author', author.name));
+        this.addMeta('citation_doi', doi);
+        this.addMeta('citation_abstract', abstract);
+        this.addMeta('citation_keywords', keywords);
+        this.addMeta('citation_pdf_url', this.fileUrl);
+    }
+
+    addMeta(name, content) {
+        if (!content) return;
+
+        const meta = document.createElement('meta');
+        meta.name = name;
+        meta.content = content;
+        meta.dataset.pdfMetadata = 'true';
+        document.head.appendChild(meta);
+    }
+
+    // ================================
+    // Extension wiring
+    // ================================
+
+    loadContentScript() {
+        if (document.querySelector('script[data-orkg-content-script]')) return;
+
+        const script = document.createElement('script');
+        script.src = CONTENT_SCRIPT_PATH;
+        script.dataset.orkgContentScript = 'true';
+        document.body.appendChild(script);
+    }
+
+    /**
+     * Scripting APIs cannot reach extension pages, so the popup asks for the
+     * PDF metadata by message. Registered before the content script loads and
+     * answered synchronously so this listener's response wins.
+     */
+    setupMessageListener() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message?.action !== METADATA_ACTION) return false;
+
+            if (!this.metadata) {
+                sendResponse({ success: false, error: 'PDF is still loading' });
+            } else {
+                sendResponse({ success: true, metadata: this.metadata });
+            }
+            return false;
+        });
+    }
+
+    setupFileInput() {
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            if (!file) return;
+
+            const data = new Uint8Array(await file.arrayBuffer());
+            this.fileInput.value = '';
+            await this.open({ data, name: file.name });
+        });
+    }
+
+    // ================================
+    // UI state
+    // ================================
+
+    setStatus(message, isError = false) {
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+
+    showError(error) {
+        const isFileUrl = this.fileUrl?.startsWith('file://');
+        const hint = isFileUrl
+            ? 'Allow access to file URLs for ORKG Annotator on the extensions page, then reload.'
+            : (error.message || 'The PDF could not be loaded.');
+
+        this.setStatus('Failed to load PDF', true);
+        this.container.innerHTML = '';
+
+        const state = document.createElement('div');
+        state.className = 'pdf-empty-state error';
+        state.innerHTML = '<i class="fas fa-exclamation-triangle"></i><p></p>';
+        state.querySelector('p').textContent = hint;
+        this.container.appendChild(state);
+    }
+}
+
+const pdfViewer = new PDFViewer();
+pdfViewer.init();
+
+export default pdfViewer;